@@ -0,0 +1,52 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const TripOfferModel = require('../src/infrastructure/database/models/TripOfferModel');
+
+/**
+ * Script para rellenar stopPoints (GeoJSON) en viajes existentes
+ * Necesario para la búsqueda por proximidad (índices 2dsphere)
+ */
+
+const MONGO_URI = process.env.MONGODB_URI || process.env.MONGO_URI;
+
+if (!MONGO_URI) {
+  console.error('❌ Error: MONGODB_URI no está definido en las variables de entorno');
+  process.exit(1);
+}
+
+async function backfillGeoPoints() {
+  try {
+    console.log('🔌 Conectando a MongoDB...');
+    await mongoose.connect(MONGO_URI);
+    console.log(`✓ Conectado a: ${mongoose.connection.name}`);
+
+    const cursor = TripOfferModel.find({ stopPoints: { $exists: false } })
+      .select('origin waypoints destination')
+      .lean()
+      .cursor();
+
+    let updated = 0;
+    for await (const trip of cursor) {
+      await TripOfferModel.updateOne(
+        { _id: trip._id },
+        {
+          $set: { stopPoints: TripOfferModel.toStopPoints(trip) },
+          // Puntos de la versión anterior (solo origen/destino)
+          $unset: { originPoint: '', destinationPoint: '' }
+        }
+      );
+      updated++;
+    }
+
+    await TripOfferModel.syncIndexes();
+
+    console.log(`\n✅ ${updated} viajes actualizados`);
+    await mongoose.connection.close();
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+}
+
+backfillGeoPoints();
@@ -0,0 +1,37 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const NotificationDelivery = require('../src/infrastructure/database/models/NotificationDeliveryModel');
+const DeliveryAttempt = require('../src/infrastructure/database/models/DeliveryAttemptModel');
+
+/**
+ * Script para sincronizar los índices de entregas de correo
+ * Elimina los índices únicos anteriores sobre providerMessageId, que impiden
+ * encolar entregas sin id del proveedor y registrar varios intentos de envío
+ */
+
+const MONGO_URI = process.env.MONGODB_URI || process.env.MONGO_URI;
+
+if (!MONGO_URI) {
+  console.error('❌ Error: MONGODB_URI no está definido en las variables de entorno');
+  process.exit(1);
+}
+
+async function syncNotificationIndexes() {
+  try {
+    console.log('🔌 Conectando a MongoDB...');
+    await mongoose.connect(MONGO_URI);
+    console.log(`✓ Conectado a: ${mongoose.connection.name}`);
+
+    const droppedDeliveries = await NotificationDelivery.syncIndexes();
+    const droppedAttempts = await DeliveryAttempt.syncIndexes();
+
+    console.log(`\n✅ Índices eliminados: ${[...droppedDeliveries, ...droppedAttempts].join(', ') || 'ninguno'}`);
+    await mongoose.connection.close();
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+}
+
+syncNotificationIndexes();
@@ -2,6 +2,7 @@ const TripOfferModel = require('../../infrastructure/database/models/TripOfferMo
 const BookingRequestModel = require('../../infrastructure/database/models/BookingRequestModel');
 const UserModel = require('../../infrastructure/database/models/UserModel');
 const AuditService = require('../../domain/services/AuditService');
+const UserSanctionService = require('../../domain/services/UserSanctionService');
 const ModerationNote = require('../../infrastructure/database/models/ModerationNoteModel');
 const Evidence = require('../../infrastructure/database/models/EvidenceModel');
 const AuditLogModel = require('../../infrastructure/database/models/AuditLogModel');
@@ -12,6 +13,13 @@ const TripOfferService = require('../../domain/services/TripOfferService');
 const MongoTripOfferRepository = require('../../infrastructure/repositories/MongoTripOfferRepository');
 const MongoBookingRequestRepository = require('../../infrastructure/repositories/MongoBookingRequestRepository');
 const MongoSeatLedgerRepository = require('../../infrastructure/repositories/MongoSeatLedgerRepository');
+const MongoPaymentRepository = require('../../infrastructure/repositories/MongoPaymentRepository');
+const RefundService = require('../../domain/services/RefundService');
+const CancellationPolicyService = require('../../domain/services/CancellationPolicyService');
+const WaitlistService = require('../../domain/services/WaitlistService');
+const TripLocationService = require('../../domain/services/TripLocationService');
+const TripChangeProposalService = require('../../domain/services/TripChangeProposalService');
+const TripChatService = require('../../domain/services/TripChatService');
 
 // Helper: mask email like a***@domain.com
 function maskEmail(email) {
@@ -421,49 +429,39 @@ async function suspendUser(req, res, next) {
       return res.status(400).json({ code: 'invalid_schema', message: 'Missing or invalid action/reason', correlationId: req.correlationId });
     }
 
-    const user = await UserModel.findById(userId);
-    if (!user) {
-      return res.status(404).json({ code: 'not_found', message: 'User not found', correlationId: req.correlationId });
-    }
-
     const adminId = req.user && req.user.id ? req.user.id : null;
 
     if (action === 'suspend') {
+      const result = await UserSanctionService.suspend(userId, { adminId, reason });
+      if (!result) {
+        return res.status(404).json({ code: 'not_found', message: 'User not found', correlationId: req.correlationId });
+      }
+
       // Idempotent: if already suspended, return current state
-      if (user.suspended) {
+      if (!result.changed) {
         // Still create an audit entry for the admin attempt
-    await res.audit({ actor: { type: 'admin', id: adminId }, action: 'suspend_attempt', entity: { type: 'User', id: userId }, reason, delta: { before: { suspended: true }, after: { suspended: true } }, correlationId: req.correlationId });
-        return res.json({ userId: userId.toString(), status: 'suspended', suspendedAt: user.suspendedAt ? new Date(user.suspendedAt).toISOString() : new Date().toISOString(), by: adminId });
+    await res.audit({ actor: { type: 'admin', id: adminId }, action: 'suspend_attempt', entity: { type: 'User', id: userId }, reason, delta: { before: result.before, after: result.after }, correlationId: req.correlationId });
+        return res.json({ userId: userId.toString(), status: 'suspended', suspendedAt: result.user.suspendedAt ? new Date(result.user.suspendedAt).toISOString() : new Date().toISOString(), by: adminId });
       }
 
-      const before = { suspended: !!user.suspended, suspendedAt: user.suspendedAt, suspensionReason: user.suspensionReason };
-      user.suspended = true;
-      user.suspendedAt = new Date();
-      user.suspendedBy = adminId;
-      user.suspensionReason = reason;
-      await user.save();
+  await res.audit({ actor: { type: 'admin', id: adminId }, action: 'suspend', entity: { type: 'User', id: userId }, reason, delta: { before: result.before, after: result.after }, correlationId: req.correlationId });
 
-      const after = { suspended: user.suspended, suspendedAt: user.suspendedAt, suspensionReason: user.suspensionReason };
-  await res.audit({ actor: { type: 'admin', id: adminId }, action: 'suspend', entity: { type: 'User', id: userId }, reason, delta: { before, after }, correlationId: req.correlationId });
-
-      return res.json({ userId: userId.toString(), status: 'suspended', suspendedAt: user.suspendedAt.toISOString(), by: adminId });
+      return res.json({ userId: userId.toString(), status: 'suspended', suspendedAt: result.user.suspendedAt.toISOString(), by: adminId });
     }
 
     // unsuspend
-    if (!user.suspended) {
+    const result = await UserSanctionService.unsuspend(userId, { adminId });
+    if (!result) {
+      return res.status(404).json({ code: 'not_found', message: 'User not found', correlationId: req.correlationId });
+    }
+
+    if (!result.changed) {
       // idempotent no-op
-  await res.audit({ actor: { type: 'admin', id: adminId }, action: 'unsuspend_attempt', entity: { type: 'User', id: userId }, reason, delta: { before: { suspended: false }, after: { suspended: false } }, correlationId: req.correlationId });
+  await res.audit({ actor: { type: 'admin', id: adminId }, action: 'unsuspend_attempt', entity: { type: 'User', id: userId }, reason, delta: { before: result.before, after: result.after }, correlationId: req.correlationId });
       return res.json({ userId: userId.toString(), status: 'active', by: adminId });
     }
 
-    const beforeU = { suspended: true, suspendedAt: user.suspendedAt, suspensionReason: user.suspensionReason };
-    user.suspended = false;
-    user.suspendedAt = null;
-    user.suspendedBy = adminId;
-    user.suspensionReason = '';
-    await user.save();
-    const afterU = { suspended: false, suspendedAt: null, suspensionReason: '' };
-  await res.audit({ actor: { type: 'admin', id: adminId }, action: 'unsuspend', entity: { type: 'User', id: userId }, reason, delta: { before: beforeU, after: afterU }, correlationId: req.correlationId });
+  await res.audit({ actor: { type: 'admin', id: adminId }, action: 'unsuspend', entity: { type: 'User', id: userId }, reason, delta: { before: result.before, after: result.after }, correlationId: req.correlationId });
 
     return res.json({ userId: userId.toString(), status: 'active', by: adminId });
 
@@ -489,22 +487,13 @@ async function publishBan(req, res, next) {
       return res.status(400).json({ code: 'invalid_schema', message: 'Missing reason', correlationId: req.correlationId });
     }
 
-    const user = await UserModel.findById(driverId);
-    if (!user || user.role !== 'driver') {
-      return res.status(404).json({ code: 'not_found', message: 'Driver not found', correlationId: req.correlationId });
-    }
-
     const adminId = req.user && req.user.id ? req.user.id : null;
 
-    const before = { publishBanUntil: user.publishBanUntil || null };
-
-    user.publishBanUntil = banUntil ? new Date(banUntil) : null;
-    user.publishBanReason = reason || '';
-    user.publishBannedBy = adminId;
-
-    await user.save();
-
-    const after = { publishBanUntil: user.publishBanUntil || null };
+    const result = await UserSanctionService.setPublishBan(driverId, { banUntil, reason, adminId });
+    if (!result) {
+      return res.status(404).json({ code: 'not_found', message: 'Driver not found', correlationId: req.correlationId });
+    }
+    const { user, before, after } = result;
 
   await res.audit({ actor: { type: 'admin', id: adminId }, action: 'publish_ban', entity: { type: 'User', id: driverId }, reason, delta: { before, after }, correlationId: req.correlationId });
 
@@ -553,30 +542,62 @@ async function forceCancelTrip(req, res, next) {
       // c) Bulk decline pending bookings
       const declinedAuto = pendingBookings.length > 0 ? await bookingRequestRepository.bulkDeclineAuto(tripId) : 0;
 
-      // d) Compute seats to release and cancel accepted bookings
-      const totalSeatsToRelease = acceptedBookings.reduce((s, b) => s + (b.seats || 0), 0);
+      // d) Cancel accepted bookings
       const canceledByPlatform = acceptedBookings.length > 0 ? await bookingRequestRepository.bulkCancelByPlatform(tripId) : 0;
 
-      // e) Deallocate seats from ledger (if any)
+      // e) Deallocate each booking's seats from its route segments (if any)
       let ledgerReleased = 0;
-      if (totalSeatsToRelease > 0) {
-        const ledgerResult = await seatLedgerRepository.deallocateSeats(tripId, totalSeatsToRelease);
+      for (const booking of acceptedBookings) {
+        if (!booking.seats) continue;
+        const ledgerResult = await seatLedgerRepository.deallocateSeats(tripId, booking.seats, booking.getSegment());
         if (ledgerResult) {
-          ledgerReleased = acceptedBookings.length; // count of bookings
+          ledgerReleased += 1; // count of bookings
         } else {
           // Log and continue; refund flags were set by bulkCancelByPlatform
-          console.warn(`[adminController] Could not deallocate seats for trip ${tripId}`);
+          console.warn(`[adminController] Could not deallocate seats for trip ${tripId} | bookingId: ${booking.id}`);
         }
       }
 
-      // f) For now, refundsCreated is the count of canceled bookings (payment service handles actual refunds)
-      const refundsCreated = canceledByPlatform;
+      // f) Request refunds for paid accepted bookings (open intents are canceled)
+      const refundsCreated = acceptedBookings.length > 0
+        ? await RefundService.createDefault().requestRefundsForBookings(acceptedBookings.map((b) => b.id), 'trip_canceled')
+        : 0;
+
+      // g) Close the trip's waitlist (held offers are released)
+      let waitlistClosed = 0;
+      try {
+        waitlistClosed = await WaitlistService.createDefault().closeTripWaitlist(tripId.toString());
+      } catch (err) {
+        console.error(`[adminController] Failed to close waitlist for trip ${tripId}:`, err && err.message);
+      }
+
+      // h) Purge the live location (trips in progress can be force-canceled)
+      try {
+        await TripLocationService.createDefault().purgeTripLocations(tripId.toString(), 'canceled');
+      } catch (err) {
+        console.error(`[adminController] Failed to purge locations for trip ${tripId}:`, err && err.message);
+      }
+
+      // i) Close the open change proposal (passengers no longer need to answer)
+      try {
+        await TripChangeProposalService.createDefault().closeTripProposals(tripId.toString());
+      } catch (err) {
+        console.error(`[adminController] Failed to close change proposals for trip ${tripId}:`, err && err.message);
+      }
+
+      // j) Close the trip chat (history stays readable)
+      try {
+        await TripChatService.createDefault().closeTripChat(tripId.toString(), 'canceled');
+      } catch (err) {
+        console.error(`[adminController] Failed to close chat for trip ${tripId}:`, err && err.message);
+      }
 
       const effects = {
         declinedAuto: declinedAuto || 0,
         canceledByPlatform: canceledByPlatform || 0,
         refundsCreated: refundsCreated || 0,
-        ledgerReleased: ledgerReleased || 0
+        ledgerReleased: ledgerReleased || 0,
+        waitlistClosed
       };
 
       // Record audit entry summarizing effects
@@ -630,7 +651,11 @@ async function listRefunds(req, res, next) {
     if (status) query.status = status;
     if (reason) query.reason = reason;
     if (transactionId) query.transactionId = transactionId;
-    if (bookingId) query.bookingRequestId = bookingId;
+    if (bookingId) {
+      // Refunds store bookingRequestId as ObjectId
+      const { Types } = require('mongoose');
+      query.bookingRequestId = Types.ObjectId.isValid(bookingId) ? new Types.ObjectId(bookingId) : bookingId;
+    }
     if (createdFrom || createdTo) {
       query.createdAt = {};
       if (createdFrom) query.createdAt.$gte = new Date(createdFrom);
@@ -660,8 +685,10 @@ async function listRefunds(req, res, next) {
       bookingId: d.bookingRequestId ? (d.bookingRequestId.toString ? d.bookingRequestId.toString() : d.bookingRequestId) : null,
       amount: d.amount || null,
       currency: d.currency || null,
+      refundPercent: d.refundPercent ?? null,
       status: d.status || null,
       reason: d.reason || null,
+      failureReason: d.failureReason || null,
       createdAt: d.createdAt ? new Date(d.createdAt).toISOString() : null
     }));
 
@@ -764,6 +791,7 @@ async function listRefunds(req, res, next) {
  *         name: status
  *         schema:
  *           type: string
+ *           enum: [requested, processing, succeeded, failed]
  *       - in: query
  *         name: transactionId
  *         schema:
@@ -803,10 +831,17 @@ async function listRefunds(req, res, next) {
  *                         type: number
  *                       currency:
  *                         type: string
+ *                       refundPercent:
+ *                         type: number
+ *                         description: Percentage granted by the cancellation policy
  *                       status:
  *                         type: string
+ *                         enum: [requested, processing, succeeded, failed]
  *                       reason:
  *                         type: string
+ *                       failureReason:
+ *                         type: string
+ *                         nullable: true
  *                       createdAt:
  *                         type: string
  *                         format: date-time
@@ -1154,20 +1189,16 @@ async function correctBookingState(req, res, next) {
         return res.status(409).json({ code: 'invalid_state', message: 'Transition not permitted', correlationId: req.correlationId });
       }
 
-      // If refund is requested, validate refundable balance from payments collection
-      const db = require('mongoose').connection.db;
+      // If refund is requested, validate refundable balance of the booking payment
       let refundCreated = false;
 
       if (refund) {
         try {
-          const paymentsColl = db.collection('payments');
-          const payment = await paymentsColl.findOne({ bookingRequestId: bookingId });
-          if (!payment) {
+          const payment = await new MongoPaymentRepository().findByBookingId(bookingId);
+          if (!payment || !payment.isSucceeded()) {
             return res.status(400).json({ code: 'invalid_schema', message: 'No refundable balance', correlationId: req.correlationId });
           }
-          const refundedAmount = payment.refundedAmount || 0;
-          const remaining = (payment.amount || 0) - refundedAmount;
-          if (refund.amount > remaining) {
+          if (refund.amount > payment.getRefundableAmount()) {
             return res.status(400).json({ code: 'invalid_schema', message: 'Refund amount exceeds refundable balance', correlationId: req.correlationId });
           }
         } catch (err) {
@@ -1187,21 +1218,16 @@ async function correctBookingState(req, res, next) {
         return res.status(500).json({ code: 'domain', message: 'Failed to apply correction atomically', correlationId: req.correlationId });
       }
 
-      // Create refund record if requested
+      // Request the refund with the admin amount; it replaces the policy refund of the booking
       if (refund) {
-        const coll = db.collection('refunds');
         try {
-          await coll.insertOne({
-            bookingRequestId: bookingId,
+          const created = await RefundService.createDefault().requestRefundForBooking(updatedBooking, {
             amount: refund.amount,
-            currency: refund.currency || 'COP',
-            reason: refund.reason || refund.reason,
-            status: 'created',
-            createdAt: new Date()
+            reason: refund.reason || reason
           });
-          refundCreated = true;
+          refundCreated = Boolean(created && created.isActive());
         } catch (err) {
-          console.error('[adminController] Failed to create refund record:', err && err.message);
+          console.error('[adminController] Failed to create refund:', err && err.message);
         }
       }
 
@@ -1209,6 +1235,13 @@ async function correctBookingState(req, res, next) {
     const adminId = req.user && req.user.id ? req.user.id : null;
     await res.audit({ actor: { type: 'admin', id: adminId }, action: 'correct_booking_state', entity: { type: 'BookingRequest', id: bookingId }, reason, delta: { before: { status: oldStatus }, after: { status: updatedBooking.status } }, correlationId: req.correlationId });
 
+      // Offer the released seats to the trip's waitlist
+      try {
+        await WaitlistService.createDefault().promoteFromWaitlist(bookingEntity.tripId);
+      } catch (err) {
+        console.error('[adminController] Waitlist promotion failed:', err && err.message);
+      }
+
       const effects = { ledgerReleased: bookingEntity.seats || 0, refundCreated };
       return res.json({ bookingId, oldStatus, newStatus: updatedBooking.status, effects });
     }
@@ -1220,3 +1253,209 @@ async function correctBookingState(req, res, next) {
 }
 
 module.exports.correctBookingState = correctBookingState;
+
+/**
+ * @openapi
+ * /admin/cancellation-policy:
+ *   get:
+ *     tags:
+ *       - System
+ *       - Payments
+ *     summary: Get the platform cancellation policy (admin)
+ *     description: Tiers applied to passenger cancellations and the bounds drivers must respect when overriding them per trip.
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Platform cancellation policy
+ *   put:
+ *     tags:
+ *       - System
+ *       - Payments
+ *     summary: Replace the platform cancellation policy (admin)
+ *     description: |
+ *       Applies to cancellations made after the change; refunds of earlier cancellations keep their outcome.
+ *       Existing trip overrides are clamped to the new bounds when applied.
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [tiers, reason]
+ *             properties:
+ *               tiers:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/CancellationTier'
+ *               bounds:
+ *                 type: object
+ *                 properties:
+ *                   allowTripOverride:
+ *                     type: boolean
+ *                   minRefundPercent:
+ *                     type: number
+ *                   maxPenaltyPercent:
+ *                     type: number
+ *                   maxFullRefundNoticeHours:
+ *                     type: number
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Updated platform cancellation policy
+ *       400:
+ *         description: Invalid tiers (invalid_cancellation_policy)
+ */
+async function getCancellationPolicy(req, res, next) {
+  try {
+    const policy = await CancellationPolicyService.createDefault().getPlatformPolicy();
+    const { tiers, bounds } = policy.toObject();
+    return res.json({ tiers, bounds, requestId: req.correlationId });
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function updateCancellationPolicy(req, res, next) {
+  try {
+    const { tiers, bounds, reason } = req.body;
+    const adminId = req.user && req.user.id ? req.user.id : null;
+
+    const { before, after } = await CancellationPolicyService.createDefault().updatePlatformPolicy({ tiers, bounds }, adminId);
+
+    await res.audit({ actor: { type: 'admin', id: adminId }, action: 'update_cancellation_policy', entity: { type: 'CancellationPolicy', id: 'platform' }, reason, delta: { before: before.toObject(), after: after.toObject() }, correlationId: req.correlationId });
+
+    const { tiers: savedTiers, bounds: savedBounds } = after.toObject();
+    return res.json({ tiers: savedTiers, bounds: savedBounds });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports.getCancellationPolicy = getCancellationPolicy;
+module.exports.updateCancellationPolicy = updateCancellationPolicy;
+
+/**
+ * Moderation cases for user reports
+ * Reports about the same user are grouped into a case that an admin triages and closes.
+ */
+const ModerationCaseService = require('../../domain/services/ModerationCaseService');
+const moderationCaseService = new ModerationCaseService();
+
+/**
+ * GET /admin/moderation/reports?status=&category=&reportedUserId=&reporterId=&tripId=&caseId=&createdFrom=&createdTo=&page=&pageSize=
+ */
+async function listUserReports(req, res, next) {
+  try {
+    return res.status(200).json(await moderationCaseService.listReports(req.query));
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /admin/moderation/cases?status=&assignedTo=&unassigned=&subjectUserId=&page=&pageSize=
+ */
+async function listModerationCases(req, res, next) {
+  try {
+    return res.status(200).json(await moderationCaseService.listCases(req.query));
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /admin/moderation/cases
+ * Body: { userId } - groups the reports about the user that are not in a case yet into their open case
+ */
+async function groupUserReports(req, res, next) {
+  try {
+    return res.status(200).json(await moderationCaseService.groupReports(req.body.userId));
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /admin/moderation/cases/:caseId
+ */
+async function getModerationCase(req, res, next) {
+  try {
+    return res.status(200).json(await moderationCaseService.getCase(req.params.caseId));
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * PATCH /admin/moderation/cases/:caseId/assignment
+ * Body: { assigneeId?: string|null, reason?: string } - defaults to the calling admin
+ */
+async function assignModerationCase(req, res, next) {
+  try {
+    const adminId = req.user && (req.user.sub || req.user.id) ? (req.user.sub || req.user.id) : null;
+    const assigneeId = req.body.assigneeId === undefined ? adminId : req.body.assigneeId;
+
+    const moderationCase = await moderationCaseService.assign(req.params.caseId, {
+      assigneeId,
+      adminId,
+      reason: req.body.reason,
+      correlationId: req.correlationId
+    });
+    return res.status(200).json(moderationCase);
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /admin/moderation/cases/:caseId/links
+ * Body: { noteIds?: string[], evidenceIds?: string[] }
+ */
+async function linkModerationCase(req, res, next) {
+  try {
+    const adminId = req.user && (req.user.sub || req.user.id) ? (req.user.sub || req.user.id) : null;
+    const moderationCase = await moderationCaseService.link(
+      req.params.caseId,
+      { noteIds: req.body.noteIds, evidenceIds: req.body.evidenceIds },
+      { adminId, correlationId: req.correlationId }
+    );
+    return res.status(200).json(moderationCase);
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /admin/moderation/cases/:caseId/close
+ * Body: { outcome: 'dismissed'|'warning'|'publish_ban'|'suspension', reason: string, banUntil?: ISODate }
+ * Applies the outcome to the reported user, resolves the reports and notifies the reporters.
+ */
+async function closeModerationCase(req, res, next) {
+  try {
+    const adminId = req.user && (req.user.sub || req.user.id) ? (req.user.sub || req.user.id) : null;
+    const { outcome, reason, banUntil } = req.body;
+
+    const moderationCase = await moderationCaseService.close(req.params.caseId, {
+      outcome,
+      reason,
+      banUntil,
+      adminId,
+      correlationId: req.correlationId
+    });
+    return res.status(200).json(moderationCase);
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports.listUserReports = listUserReports;
+module.exports.listModerationCases = listModerationCases;
+module.exports.groupUserReports = groupUserReports;
+module.exports.getModerationCase = getModerationCase;
+module.exports.assignModerationCase = assignModerationCase;
+module.exports.linkModerationCase = linkModerationCase;
+module.exports.closeModerationCase = closeModerationCase;
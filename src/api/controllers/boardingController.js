@@ -0,0 +1,85 @@
+/**
+ * BoardingController
+ *
+ * Boarding pass, driver check-in and no-show endpoints.
+ * Routes enforce RBAC (passenger or driver); business rules live in BoardingService.
+ */
+
+const BoardingService = require('../../domain/services/BoardingService');
+const BookingRequestResponseDto = require('../../domain/dtos/BookingRequestResponseDto');
+
+class BoardingController {
+  constructor() {
+    this.boardingService = BoardingService.createDefault();
+  }
+
+  /**
+   * GET /passengers/bookings/:bookingId/boarding-pass
+   * PIN and QR payload to show the driver at pickup
+   */
+  async getBoardingPass(req, res, next) {
+    try {
+      const pass = await this.boardingService.getBoardingPass(req.params.bookingId, req.user.sub);
+      res.status(200).json(pass);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /passengers/bookings/:bookingId/driver-no-show
+   * Report that the driver did not show up
+   */
+  async reportDriverNoShow(req, res, next) {
+    try {
+      const booking = await this.boardingService.reportDriverNoShow(req.params.bookingId, req.user.sub, req.body);
+
+      console.log(
+        `[BoardingController] Driver no-show reported | bookingId: ${booking.id} | passengerId: ${req.user.sub} | correlationId: ${req.correlationId}`
+      );
+
+      res.status(200).json(BookingRequestResponseDto.fromDomain(booking));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /drivers/trips/:tripId/check-in
+   * Check a passenger in with their boarding PIN
+   */
+  async checkInPassenger(req, res, next) {
+    try {
+      const booking = await this.boardingService.checkInPassenger(req.params.tripId, req.user.sub, req.body);
+
+      console.log(
+        `[BoardingController] Passenger checked in | tripId: ${req.params.tripId} | bookingId: ${booking.id} | correlationId: ${req.correlationId}`
+      );
+
+      res.status(200).json(BookingRequestResponseDto.fromDomain(booking));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /drivers/trips/:tripId/bookings/:bookingId/no-show
+   * Mark a passenger who did not show up at pickup
+   */
+  async markPassengerNoShow(req, res, next) {
+    try {
+      const { tripId, bookingId } = req.params;
+      const booking = await this.boardingService.markPassengerNoShow(tripId, bookingId, req.user.sub, req.body);
+
+      console.log(
+        `[BoardingController] Passenger no-show marked | tripId: ${tripId} | bookingId: ${booking.id} | correlationId: ${req.correlationId}`
+      );
+
+      res.status(200).json(BookingRequestResponseDto.fromDomain(booking));
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = BoardingController;
@@ -10,15 +10,21 @@ const MongoBookingRequestRepository = require('../../infrastructure/repositories
 const MongoTripOfferRepository = require('../../infrastructure/repositories/MongoTripOfferRepository');
 const CreateBookingRequestDto = require('../../domain/dtos/CreateBookingRequestDto');
 const BookingRequestResponseDto = require('../../domain/dtos/BookingRequestResponseDto');
+const CancellationPolicyService = require('../../domain/services/CancellationPolicyService');
+const CancellationQuoteDto = require('../../domain/dtos/CancellationQuoteDto');
 const DomainError = require('../../domain/errors/DomainError');
 
 class BookingRequestController {
   constructor() {
     this.bookingRequestRepository = new MongoBookingRequestRepository();
     this.tripOfferRepository = new MongoTripOfferRepository();
+    this.cancellationPolicyService = CancellationPolicyService.createDefault();
     this.bookingRequestService = new BookingRequestService(
       this.bookingRequestRepository,
-      this.tripOfferRepository
+      this.tripOfferRepository,
+      null,
+      null,
+      this.cancellationPolicyService
     );
   }
 
@@ -40,7 +46,8 @@ class BookingRequestController {
       // Create booking request via service (includes all invariant checks)
       const bookingRequest = await this.bookingRequestService.createBookingRequest(
         createDto,
-        passengerId
+        passengerId,
+        { correlationId: req.correlationId }
       );
 
       const responseDto = BookingRequestResponseDto.fromDomain(bookingRequest);
@@ -86,6 +93,13 @@ class BookingRequestController {
               correlationId: req.correlationId
             });
 
+          case 'invalid_stops':
+            return res.status(400).json({
+              code: 'invalid_stops',
+              message: error.message,
+              correlationId: req.correlationId
+            });
+
           default:
             return res.status(400).json({
               code: 'bad_request',
@@ -228,7 +242,8 @@ class BookingRequestController {
       const responseDto = BookingCancellationResultDto.fromCancellationResult(
         cancellationResult.bookingId,
         cancellationResult.status,
-        cancellationResult.effects
+        cancellationResult.effects,
+        cancellationResult.outcome
       );
 
       console.log(
@@ -298,6 +313,30 @@ class BookingRequestController {
       next(error);
     }
   }
+
+  /**
+   * GET /passengers/bookings/:bookingId/cancellation-quote
+   * Preview refund and late-cancellation penalty if canceled now (US-4.2)
+   */
+  async getCancellationQuote(req, res, next) {
+    try {
+      const { bookingId } = req.params;
+      const passengerId = req.user.sub;
+
+      const quote = await this.cancellationPolicyService.quoteCancellation(bookingId, passengerId);
+
+      console.log(
+        `[BookingRequestController] Cancellation quote | bookingId: ${bookingId} | policySource: ${quote.outcome.policySource} | refundAmount: ${quote.outcome.refundAmount} | penaltyAmount: ${quote.outcome.penaltyAmount} | correlationId: ${req.correlationId}`
+      );
+
+      res.status(200).json(CancellationQuoteDto.fromQuote(quote));
+    } catch (error) {
+      console.error(
+        `[BookingRequestController] Cancellation quote failed | bookingId: ${req.params?.bookingId} | passengerId: ${req.user?.sub} | error: ${error.message} | correlationId: ${req.correlationId}`
+      );
+      next(error);
+    }
+  }
 }
 
 module.exports = BookingRequestController;
@@ -0,0 +1,79 @@
+/**
+ * CalendarFeedController
+ *
+ * iCalendar feed of a user's trips: feed URL management from the profile
+ * and the public feed itself (authenticated by the token in its URL).
+ * Business rules live in CalendarFeedService.
+ */
+
+const CalendarFeedService = require('../../domain/services/CalendarFeedService');
+
+class CalendarFeedController {
+  constructor() {
+    this.calendarFeedService = CalendarFeedService.createDefault();
+  }
+
+  /**
+   * GET /api/users/me/calendar-feed
+   * Whether the feed is enabled (the URL is only shown when it is issued)
+   */
+  async getFeedStatus(req, res, next) {
+    try {
+      const feed = await this.calendarFeedService.getFeedStatus(req.user.sub);
+      res.status(200).json(feed);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/users/me/calendar-feed/rotate
+   * Issue a new feed URL; the previous one stops working
+   */
+  async rotateFeedToken(req, res, next) {
+    try {
+      const feed = await this.calendarFeedService.rotateFeedToken(req.user.sub);
+
+      console.log(
+        `[CalendarFeedController] Calendar feed URL issued | userId: ${req.user.sub} | correlationId: ${req.correlationId}`
+      );
+
+      res.status(200).json(feed);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * DELETE /api/users/me/calendar-feed
+   */
+  async disableFeed(req, res, next) {
+    try {
+      const feed = await this.calendarFeedService.disableFeed(req.user.sub);
+      res.status(200).json(feed);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /calendar/:token.ics
+   * Feed polled by calendar clients (no session)
+   */
+  async getFeed(req, res, next) {
+    try {
+      const calendar = await this.calendarFeedService.buildFeed(req.params.token);
+
+      res.status(200).set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'inline; filename="wheels-unisabana.ics"',
+        'Cache-Control': 'private, max-age=300'
+      });
+      res.send(calendar);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = CalendarFeedController;
@@ -18,6 +18,13 @@ const bookingRequestService = new BookingRequestService(
   bookingRequestRepository,
   tripOfferRepository
 );
+const WaitlistService = require('../../domain/services/WaitlistService');
+const MongoUserRepository = require('../../infrastructure/repositories/MongoUserRepository');
+const waitlistService = WaitlistService.createDefault();
+const userRepository = new MongoUserRepository();
+const DriverEligibilityService = require('../../domain/services/DriverEligibilityService');
+const RatingAggregateService = require('../../domain/services/ratingAggregateService');
+const driverEligibilityService = DriverEligibilityService.createDefault();
 const DriverVerification = require('../../infrastructure/database/models/DriverVerificationModel');
 const fs = require('fs');
 const path = require('path');
@@ -31,7 +38,9 @@ class DriverController {
    * Returns a capacity snapshot for a driver's trip.
    * Owner-only. No CSRF required (read-only).
    * 
-   * Response: { totalSeats, allocatedSeats, remainingSeats }
+   * Response: { totalSeats, allocatedSeats, remainingSeats, segments }
+   * allocatedSeats is the peak across segments; segments lists each leg
+   * of the route (stop i → stop i + 1) with its own occupancy.
    */
   async getTripCapacitySnapshot(req, res, next) {
     try {
@@ -61,7 +70,22 @@ class DriverController {
       const totalSeats = trip.totalSeats;
       const remainingSeats = Math.max(0, totalSeats - allocatedSeats);
 
-      return res.status(200).json({ totalSeats, allocatedSeats, remainingSeats });
+      // 4) Per-segment breakdown (legacy ledgers spread their allocation over the whole route)
+      const stops = trip.getStops();
+      const segmentSeats = ledger && ledger.segmentSeats.length > 0 ? ledger.segmentSeats : null;
+      const segments = stops.slice(0, -1).map((stop, index) => {
+        const segmentAllocated = segmentSeats ? segmentSeats[index] || 0 : allocatedSeats;
+        return {
+          fromStopIndex: index,
+          toStopIndex: index + 1,
+          from: stop.text,
+          to: stops[index + 1].text,
+          allocatedSeats: segmentAllocated,
+          remainingSeats: Math.max(0, totalSeats - segmentAllocated)
+        };
+      });
+
+      return res.status(200).json({ totalSeats, allocatedSeats, remainingSeats, segments });
     } catch (err) {
       return next(err);
     }
@@ -204,15 +228,24 @@ class DriverController {
         }
       );
 
+      // Rating drivers gave each passenger ({ avgRating: null, count: 0 } when unrated)
+      const passengerRatings = await RatingAggregateService.getPassengerRatings(
+        result.bookings.map((booking) => booking.passengerId)
+      );
+
       // Map to API response format
       const items = result.bookings.map((booking) => ({
         id: booking.id,
         tripId: booking.tripId,
         passengerId: booking.passengerId,
+        passengerRating: passengerRatings.get(String(booking.passengerId)),
         status: booking.status,
         seats: booking.seats,
         note: booking.note,
         acceptedAt: booking.acceptedAt,
+        autoAcceptRule: booking.autoAcceptRule,
+        boardingStatus: booking.boardingStatus,
+        boardedAt: booking.boardedAt,
         declinedAt: booking.declinedAt,
         canceledAt: booking.canceledAt,
         createdAt: booking.createdAt
@@ -236,6 +269,77 @@ class DriverController {
     }
   }
 
+  /**
+   * GET /drivers/trips/:tripId/waitlist
+   *
+   * Open waitlist of a driver's trip in line order.
+   * Owner-only. Waiting entries carry their position; offered ones hold seats.
+   */
+  async listTripWaitlist(req, res, next) {
+    try {
+      const { tripId } = req.params;
+      const entries = await waitlistService.listTripWaitlist(tripId, req.user.id);
+
+      res.status(200).json({ items: entries.map((entry) => entry.toObject()) });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /drivers/settings
+   * Driver settings (defaults for fields never saved)
+   */
+  async getDriverSettings(req, res, next) {
+    try {
+      const settings = await userRepository.getDriverSettings(req.user.id);
+      if (!settings) {
+        const DomainError = require('../../domain/errors/DomainError');
+        return next(new DomainError('User not found', 404, 'user_not_found'));
+      }
+
+      res.status(200).json(settings);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * PATCH /drivers/settings
+   * Partially update driver settings (e.g. waitlistPromotion)
+   */
+  async updateDriverSettings(req, res, next) {
+    try {
+      const driverId = req.user.id;
+      const settings = await userRepository.updateDriverSettings(driverId, req.body);
+      if (!settings) {
+        const DomainError = require('../../domain/errors/DomainError');
+        return next(new DomainError('User not found', 404, 'user_not_found'));
+      }
+
+      console.log(
+        `[DriverController] Driver settings updated | driverId: ${driverId} | fields: ${Object.keys(req.body).join(',')}`
+      );
+
+      res.status(200).json(settings);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /drivers/me/eligibility
+   * Whether the driver can publish and start trips, with the blocking reasons
+   */
+  async getMyEligibility(req, res, next) {
+    try {
+      const eligibility = await driverEligibilityService.evaluate(req.user.sub);
+      res.status(200).json(eligibility);
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * POST /drivers/verification
    * Driver submits verification documents (multipart/form-data)
@@ -15,12 +15,14 @@ const MongoTripOfferRepository = require('../../infrastructure/repositories/Mong
 const MongoBookingRequestRepository = require('../../infrastructure/repositories/MongoBookingRequestRepository');
 const MongoVehicleRepository = require('../../infrastructure/repositories/MongoVehicleRepository');
 const MongoUserRepository = require('../../infrastructure/repositories/MongoUserRepository');
-const UserModel = require('../../infrastructure/database/models/UserModel');
 const NotificationTemplateService = require('../../domain/services/NotificationTemplateService');
+const templateRegistry = require('../../domain/services/templateRegistry');
 const InAppNotification = require('../../infrastructure/database/models/InAppNotificationModel');
-const NotificationDelivery = require('../../infrastructure/database/models/NotificationDeliveryModel');
 const notificationMetrics = require('../../domain/services/notificationMetrics');
-const { v4: uuidv4 } = require('uuid');
+const realtimeService = require('../../domain/services/realtimeService');
+const NotificationService = require('../../domain/services/NotificationService');
+const NotificationPreferenceService = require('../../domain/services/NotificationPreferenceService');
+const EmailDeliveryService = require('../../domain/services/EmailDeliveryService');
 const DriverVerification = require('../../infrastructure/database/models/DriverVerificationModel');
 const verificationExpiryService = require('../../domain/services/verificationExpiryService');
 const DocumentPreview = require('../../infrastructure/database/models/DocumentPreviewModel');
@@ -43,6 +45,12 @@ class InternalController {
 
     // Template renderer for admin preview
     this.templateService = new NotificationTemplateService();
+
+    // User notification preferences (dispatch honors them)
+    this.notificationPreferenceService = new NotificationPreferenceService(this.userRepository);
+
+    // Outbound email queue
+    this.emailDeliveryService = EmailDeliveryService.createDefault();
   }
 
   /**
@@ -59,6 +67,9 @@ class InternalController {
    * - complete-trips: Auto-complete trips + expire pending bookings
    * - auto-complete-trips: Only complete trips
    * - expire-pendings: Only expire bookings
+   * - expand-trip-series: Generate recurring series occurrences up to the horizon
+   * - process-refunds: Request refunds for flagged bookings and send them to the provider
+   * - process-email-queue: Send due queued emails
    * 
    * Query params:
    * - name: Job name (required)
@@ -127,6 +138,60 @@ class InternalController {
           }
           break;
 
+        case 'expand-trip-series': {
+          // Roll recurring trip series forward to the current horizon
+          const TripOfferService = require('../../domain/services/TripOfferService');
+          const MongoTripSeriesRepository = require('../../infrastructure/repositories/MongoTripSeriesRepository');
+          const tripOfferService = new TripOfferService(
+            this.tripOfferRepository,
+            this.vehicleRepository,
+            this.userRepository,
+            new MongoTripSeriesRepository()
+          );
+          result = await tripOfferService.extendSeriesHorizons();
+          break;
+        }
+
+        case 'process-refunds': {
+          // Refund ledger worker (refundNeeded → requested → provider)
+          const RefundService = require('../../domain/services/RefundService');
+          result = await RefundService.createDefault().runRefundJob();
+          break;
+        }
+
+        case 'process-email-queue':
+          // Outbound email worker (pending → sent | retry | failed)
+          result = await this.emailDeliveryService.processQueue();
+          break;
+
+        case 'expire-waitlist-offers': {
+          // Unconfirmed waitlist offers → expired; held seats go to the next in line
+          const WaitlistService = require('../../domain/services/WaitlistService');
+          result = await WaitlistService.createDefault().expireOffers();
+          break;
+        }
+
+        case 'expire-change-proposals': {
+          // Unanswered trip change proposals past their deadline → bookings released with full refund
+          const TripChangeProposalService = require('../../domain/services/TripChangeProposalService');
+          result = await TripChangeProposalService.createDefault().expireProposals();
+          break;
+        }
+
+        case 'expire-ride-requests': {
+          // Open ride requests whose departure window ended without a driver → expired
+          const RideRequestService = require('../../domain/services/RideRequestService');
+          result = await RideRequestService.createDefault().expireRideRequests();
+          break;
+        }
+
+        case 'close-trip-chats': {
+          // Trip chats past their time after completion → closed (history stays readable)
+          const TripChatService = require('../../domain/services/TripChatService');
+          result = await TripChatService.createDefault().closeExpiredChats();
+          break;
+        }
+
         default:
           console.log(
             `[InternalController] Invalid job name | name: ${name} | correlationId: ${req.correlationId}`
@@ -138,6 +203,55 @@ class InternalController {
           });
       }
 
+      if (name === 'expand-trip-series') {
+        console.log(
+          `[InternalController] Job completed | name: ${name} | seriesProcessed: ${result.seriesProcessed} | tripsCreated: ${result.tripsCreated} | correlationId: ${req.correlationId}`
+        );
+        return res.status(200).json(result);
+      }
+
+      if (name === 'process-refunds') {
+        console.log(
+          `[InternalController] Job completed | name: ${name} | refundsRequested: ${result.refundsRequested} | refundsProcessed: ${result.refundsProcessed} | correlationId: ${req.correlationId}`
+        );
+        return res.status(200).json(result);
+      }
+
+      if (name === 'process-email-queue') {
+        console.log(
+          `[InternalController] Job completed | name: ${name} | processed: ${result.processed} | sent: ${result.sent} | retried: ${result.retried} | failed: ${result.failed} | correlationId: ${req.correlationId}`
+        );
+        return res.status(200).json(result);
+      }
+
+      if (name === 'expire-waitlist-offers') {
+        console.log(
+          `[InternalController] Job completed | name: ${name} | expired: ${result.expired} | offered: ${result.offered} | correlationId: ${req.correlationId}`
+        );
+        return res.status(200).json(result);
+      }
+
+      if (name === 'expire-change-proposals') {
+        console.log(
+          `[InternalController] Job completed | name: ${name} | proposals: ${result.proposals} | expired: ${result.expired} | correlationId: ${req.correlationId}`
+        );
+        return res.status(200).json(result);
+      }
+
+      if (name === 'expire-ride-requests') {
+        console.log(
+          `[InternalController] Job completed | name: ${name} | expired: ${result.expired} | correlationId: ${req.correlationId}`
+        );
+        return res.status(200).json(result);
+      }
+
+      if (name === 'close-trip-chats') {
+        console.log(
+          `[InternalController] Job completed | name: ${name} | closed: ${result.closed} | correlationId: ${req.correlationId}`
+        );
+        return res.status(200).json(result);
+      }
+
       // Special-case: verification-expiry-scan returns a different shape
       if (name === 'verification-expiry-scan') {
         console.log(
@@ -203,8 +317,6 @@ class InternalController {
       const draft = req.body;
       console.log(`[InternalController] Template validate requested | type: ${draft.type} | locale: ${draft.locale} | adminId: ${req.user.sub} | correlationId: ${req.correlationId}`);
 
-      const templateRegistry = require('../../domain/services/templateRegistry');
-
       const result = templateRegistry.validateDraft(draft);
 
       return res.status(200).json({ valid: result.valid, warnings: result.warnings || [] });
@@ -219,36 +331,138 @@ class InternalController {
   }
 
   /**
-   * POST /internal/notifications/dispatch
-   * Admin-only: force-create an in-app notification and optionally queue an email (stub)
+   * GET /internal/notifications/templates/registry
+   * Admin-only: latest and published version of every stored { type, locale }
    */
-  async dispatchNotification(req, res, next) {
+  async listTemplates(req, res, next) {
     try {
-      const { channel = 'both', type, userId, variables = {} } = req.body;
+      const items = await templateRegistry.listMetadata();
+      res.status(200).json({ items });
+    } catch (error) {
+      console.error(`[InternalController] Template listing failed | error: ${error.message} | correlationId: ${req.correlationId}`);
+      next(error);
+    }
+  }
 
-      // Resolve user preferences (if present) to decide which channels to invoke.
-      // Fallback defaults: email=true, inApp=true, push=false
-      let userDoc = null;
-      try {
-        userDoc = await UserModel.findById(userId).lean();
-      } catch (e) {
-        // ignore lookup errors and treat as no preferences (use defaults)
-        userDoc = null;
-      }
+  /**
+   * GET /internal/notifications/templates/:type/:locale/versions
+   * Admin-only: all versions of a template, newest first
+   */
+  async listTemplateVersions(req, res, next) {
+    try {
+      const { type, locale } = req.params;
+      const versions = await templateRegistry.listVersions(type, locale);
+      res.status(200).json({ type, locale, items: versions.map((t) => t.toObject()) });
+    } catch (error) {
+      console.error(`[InternalController] Template versions failed | error: ${error.message} | correlationId: ${req.correlationId}`);
+      next(error);
+    }
+  }
+
+  /**
+   * POST /internal/notifications/templates
+   * Admin-only: store a validated draft as the next version of { type, locale }
+   */
+  async createTemplateDraft(req, res, next) {
+    try {
+      const adminId = req.user.sub;
+      const template = await templateRegistry.createDraft(req.body, adminId);
+
+      console.log(`[InternalController] Template draft created | type: ${template.type} | locale: ${template.locale} | version: ${template.version} | adminId: ${adminId} | correlationId: ${req.correlationId}`);
+
+      res.status(201).json(template.toObject());
+    } catch (error) {
+      console.error(`[InternalController] Template draft failed | error: ${error.message} | correlationId: ${req.correlationId}`);
+      next(error);
+    }
+  }
+
+  /**
+   * PUT /internal/notifications/templates/:type/:locale/versions/:version
+   * Admin-only: edit a draft version
+   */
+  async updateTemplateDraft(req, res, next) {
+    try {
+      const { type, locale, version } = req.params;
+      const template = await templateRegistry.updateDraft(type, locale, version, req.body);
+
+      console.log(`[InternalController] Template draft updated | type: ${type} | locale: ${locale} | version: ${version} | adminId: ${req.user.sub} | correlationId: ${req.correlationId}`);
+
+      res.status(200).json(template.toObject());
+    } catch (error) {
+      console.error(`[InternalController] Template draft update failed | error: ${error.message} | correlationId: ${req.correlationId}`);
+      next(error);
+    }
+  }
+
+  /**
+   * POST /internal/notifications/templates/:type/:locale/versions/:version/publish
+   * Admin-only: make a version live (the previous one is archived)
+   */
+  async publishTemplate(req, res, next) {
+    try {
+      const { type, locale, version } = req.params;
+      const adminId = req.user.sub;
+      const { before, after } = await templateRegistry.publish(type, locale, version, adminId);
+
+      await this._auditTemplateChange(req, res, 'publish_notification_template', before, after);
+
+      res.status(200).json(after.toObject());
+    } catch (error) {
+      console.error(`[InternalController] Template publish failed | error: ${error.message} | correlationId: ${req.correlationId}`);
+      next(error);
+    }
+  }
+
+  /**
+   * POST /internal/notifications/templates/:type/:locale/rollback
+   * Admin-only: republish the previously published version (or body.version)
+   */
+  async rollbackTemplate(req, res, next) {
+    try {
+      const { type, locale } = req.params;
+      const adminId = req.user.sub;
+      const { before, after } = await templateRegistry.rollback(type, locale, adminId, req.body.version || null);
+
+      await this._auditTemplateChange(req, res, 'rollback_notification_template', before, after);
+
+      res.status(200).json(after.toObject());
+    } catch (error) {
+      console.error(`[InternalController] Template rollback failed | error: ${error.message} | correlationId: ${req.correlationId}`);
+      next(error);
+    }
+  }
 
-      const prefs = (userDoc && userDoc.notificationPreferences) || {};
-      const channelDefaults = { email: true, inApp: true, push: false };
+  /**
+   * @private
+   */
+  async _auditTemplateChange(req, res, action, before, after) {
+    await res.audit({
+      actor: { type: 'admin', id: req.user.sub },
+      action,
+      entity: { type: 'NotificationTemplate', id: `${after.type}:${after.locale}` },
+      reason: req.body.reason,
+      delta: {
+        before: before ? { version: before.version } : null,
+        after: { version: after.version }
+      },
+      correlationId: req.correlationId
+    });
+  }
 
-      const globalChannels = prefs.channels || {};
-      const channelEnabledGlobal = {
-        email: typeof globalChannels.email === 'boolean' ? globalChannels.email : channelDefaults.email,
-        inApp: typeof globalChannels.inApp === 'boolean' ? globalChannels.inApp : channelDefaults.inApp,
-        push: typeof globalChannels.push === 'boolean' ? globalChannels.push : channelDefaults.push
-      };
+  /**
+   * POST /internal/notifications/dispatch
+   * Admin-only: force-create an in-app notification and optionally queue an email
+   */
+  async dispatchNotification(req, res, next) {
+    try {
+      const { channel = 'both', type, userId, variables = {}, locale = 'en' } = req.body;
 
-      const typePrefs = (prefs.types && prefs.types[type]) || null;
-      const shouldSendEmail = typePrefs && typeof typePrefs.email === 'boolean' ? typePrefs.email : channelEnabledGlobal.email;
-      const shouldSendInApp = typePrefs && typeof typePrefs.inApp === 'boolean' ? typePrefs.inApp : channelEnabledGlobal.inApp;
+      // Resolve user preferences (channels, per-type overrides, quiet hours, locked pairs)
+      const inAppDecision = await this.notificationPreferenceService.evaluate(userId, type, 'inApp');
+      const emailDecision = await this.notificationPreferenceService.evaluate(userId, type, 'email');
+      const shouldSendInApp = inAppDecision.allowed;
+      const shouldSendEmail = emailDecision.allowed;
 
       // Create in-app notification if requested AND allowed by preferences
       let createdNotification = null;
@@ -271,6 +485,7 @@ class InternalController {
             data: variables,
             correlationId: req.correlationId
           });
+          await realtimeService.publishNotification(createdNotification);
 
           // metrics: in-app rendered & delivered/attempted
           try {
@@ -281,30 +496,36 @@ class InternalController {
         }
       }
 
-      // Simulate email dispatch by creating a NotificationDelivery record (only if allowed by preferences)
+      // Queue the email (only if allowed by preferences); the email worker renders and sends it.
+      // During quiet hours it is queued for the end of the window instead of dropped.
       let delivery = null;
       if (channel === 'email' || channel === 'both') {
-        if (!shouldSendEmail) {
-          console.info({ userId, type, correlationId: req.correlationId }, 'email_channel_skipped_by_preferences');
+        const heldByQuietHours = emailDecision.reason === 'quiet_hours';
+        if (!shouldSendEmail && !heldByQuietHours) {
+          console.info({ userId, type, reason: emailDecision.reason, correlationId: req.correlationId }, 'email_channel_skipped_by_preferences');
           try {
             await notificationMetrics.increment({ type, channel: 'email', deltas: { skippedByPreferences: 1 } });
           } catch (e) {
             console.warn('[InternalController] metrics increment failed for email skippedByPreferences', e);
           }
         } else {
-          const providerMessageId = uuidv4();
-          delivery = await NotificationDelivery.create({
-            providerMessageId,
+          delivery = await this.emailDeliveryService.enqueue({
+            userId,
+            type,
+            variables,
+            locale,
             notificationId: createdNotification ? createdNotification._id : null,
-            status: 'pending',
-            meta: { intentType: type, queuedBy: req.user.sub }
+            meta: { queuedBy: req.user.sub },
+            ...(heldByQuietHours && { nextAttemptAt: emailDecision.holdUntil })
           });
 
-          // metrics: email rendered & attempted
-          try {
-            await notificationMetrics.increment({ type, channel: 'email', deltas: { rendered: 1, attempted: 1 } });
-          } catch (e) {
-            console.warn('[InternalController] metrics increment failed for email', e);
+          if (heldByQuietHours) {
+            console.info({ userId, type, holdUntil: emailDecision.holdUntil, correlationId: req.correlationId }, 'email_channel_held_by_quiet_hours');
+            try {
+              await notificationMetrics.increment({ type, channel: 'email', deltas: { heldByQuietHours: 1 } });
+            } catch (e) {
+              console.warn('[InternalController] metrics increment failed for email heldByQuietHours', e);
+            }
           }
         }
       }
@@ -370,7 +591,7 @@ class InternalController {
 
         // Send notification to driver (in-app)
         try {
-          await InAppNotification.create({ userId: driverId, type: 'driver.verification', title: 'Verification approved', body: 'Your verification documents have been approved.', data: { decision: 'approved' }, correlationId: req.correlationId });
+          await NotificationService.createNotification(driverId, 'driver.verification', 'Verification approved', 'Your verification documents have been approved.', { decision: 'approved' }, req.correlationId);
         } catch (e) { console.warn('[InternalController] Failed to create in-app notification for approval', e.message); }
 
         return res.status(200).json({ driverId, status: 'verified', decisionAt: profile.decisionAt, reviewedBy: profile.reviewedBy });
@@ -392,7 +613,7 @@ class InternalController {
 
         // Send notification to driver (in-app)
         try {
-          await InAppNotification.create({ userId: driverId, type: 'driver.verification', title: 'Verification rejected', body: `Your verification was rejected: ${reason}`, data: { decision: 'rejected', reason }, correlationId: req.correlationId });
+          await NotificationService.createNotification(driverId, 'driver.verification', 'Verification rejected', `Your verification was rejected: ${reason}`, { decision: 'rejected', reason }, req.correlationId);
         } catch (e) { console.warn('[InternalController] Failed to create in-app notification for rejection', e.message); }
 
         return res.status(200).json({ driverId, status: 'rejected', reason: profile.rejectionReason, decisionAt: profile.decisionAt, reviewedBy: profile.reviewedBy });
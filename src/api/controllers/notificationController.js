@@ -1,5 +1,12 @@
 const InAppNotification = require('../../infrastructure/database/models/InAppNotificationModel');
 const Joi = require('joi');
+const mongoose = require('mongoose');
+const realtimeService = require('../../domain/services/realtimeService');
+
+// Comment line every 25s keeps proxies from closing an idle stream
+const HEARTBEAT_MS = 25 * 1000;
+// Reconnection delay suggested to EventSource clients
+const RETRY_MS = 5000;
 
 class NotificationController {
   constructor() {}
@@ -72,12 +79,88 @@ class NotificationController {
       // Mongoose 6+ returns modifiedCount
       const updated = result.modifiedCount != null ? result.modifiedCount : (result.nModified || 0);
 
+      if (updated > 0) {
+        await realtimeService.publishUnreadCount(req.user.id);
+      }
+
       return res.json({ updated });
     } catch (err) {
       console.error('[NotificationController.markRead] Error:', err);
       return res.status(500).json({ code: 'internal_error', message: 'Internal server error', correlationId: req.correlationId });
     }
   }
+
+  // GET /notifications/stream (Server-Sent Events)
+  async stream(req, res) {
+    const userId = req.user.id;
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    const resumeFrom = lastEventId && mongoose.Types.ObjectId.isValid(lastEventId) ? lastEventId : null;
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    let closed = false;
+    const send = (message) => {
+      if (closed) return;
+      if (message.id) res.write(`id: ${message.id}\n`);
+      res.write(`event: ${message.event}\n`);
+      res.write(`data: ${JSON.stringify(message.data)}\n\n`);
+    };
+
+    // Subscribe before replaying so nothing published meanwhile is lost;
+    // live events are held until the replay is written
+    let pending = [];
+    const unsubscribe = realtimeService.subscribe(userId, (message) => {
+      if (pending) pending.push(message);
+      else send(message);
+    });
+
+    const heartbeat = setInterval(() => {
+      if (!closed) res.write(': ping\n\n');
+    }, HEARTBEAT_MS);
+
+    // The stream ends with the session; the client reconnects after refreshing it
+    const expiresInMs = req.user.exp ? req.user.exp * 1000 - Date.now() : null;
+    const expiry = expiresInMs != null ? setTimeout(() => res.end(), Math.max(expiresInMs, 0)) : null;
+
+    const cleanup = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+      unsubscribe();
+    };
+    req.on('close', cleanup);
+    res.on('finish', cleanup);
+
+    try {
+      const replayed = new Set();
+      if (resumeFrom) {
+        const missed = await realtimeService.getEventsSince(userId, resumeFrom);
+        missed.forEach((message) => {
+          replayed.add(message.id);
+          send(message);
+        });
+      }
+
+      // Current unread count so the client can sync its badge on (re)connection
+      const unread = await realtimeService.getUnreadCount(userId);
+      send({ event: 'unread_count', data: { unread } });
+
+      const live = pending;
+      pending = null;
+      live.filter((message) => !replayed.has(message.id)).forEach(send);
+    } catch (err) {
+      console.error('[NotificationController.stream] Error:', err);
+      res.end();
+    }
+  }
 }
 
 module.exports = NotificationController;
@@ -40,8 +40,8 @@ class NotificationWebhookController {
       return res.status(400).json({ code: 'invalid_signature', message: 'Webhook signature verification failed' });
     }
 
-    // Normalize
-    const providerMessageId = evt.providerMessageId;
+    // Normalize (SMTP relays report the Message-ID header with its angle brackets)
+    const providerMessageId = evt.providerMessageId ? String(evt.providerMessageId).replace(/^<|>$/g, '') : null;
     if (!providerMessageId) {
       console.warn('[NotificationWebhook] Missing providerMessageId in payload');
       return res.status(202).json({ ok: true });
@@ -69,6 +69,8 @@ class NotificationWebhookController {
     }
 
     // Upsert NotificationDelivery (idempotent by providerMessageId)
+    // Deliveries sent by EmailDeliveryService carry their id in the metadata: match on it
+    // too, in case the event arrives before the provider message id was stored
     try {
       const statusMap = {
         delivered: 'delivered',
@@ -77,21 +79,26 @@ class NotificationWebhookController {
         dropped: 'dropped'
       };
 
-      const status = statusMap[evt.eventType] || 'pending';
+      const status = statusMap[evt.eventType] || null;
+      const deliveryId = evt.metadata && /^[0-9a-fA-F]{24}$/.test(String(evt.metadata.deliveryId || ''))
+        ? evt.metadata.deliveryId
+        : null;
+      const filter = deliveryId ? { $or: [{ providerMessageId }, { _id: deliveryId }] } : { providerMessageId };
 
       const ndUpdate = {
         $set: {
-          status,
+          providerMessageId,
           lastEventAt: now,
-          meta: Object.assign({}, evt.metadata || {})
+          'meta.lastEventMetadata': Object.assign({}, evt.metadata || {})
         },
-        $inc: { attempts: 1 },
         $addToSet: { processedEvents: evt.providerEventId || evt.providerMessageId }
       };
+      // Unknown event types are recorded without changing the delivery status
+      if (status) ndUpdate.$set.status = status;
       if (linkedNotificationId) ndUpdate.$set.notificationId = linkedNotificationId;
 
       // Fire-and-forget: don't block webhook response on DB availability; log any errors
-      NotificationDelivery.findOneAndUpdate({ providerMessageId }, ndUpdate, { upsert: true, new: true })
+      NotificationDelivery.findOneAndUpdate(filter, ndUpdate, { upsert: true, new: true })
         .then(async (nd) => {
           // update metrics based on status if we have intentType
           try {
@@ -115,7 +122,7 @@ class NotificationWebhookController {
       // don't crash — continue to record delivery attempt
     }
 
-    // Upsert a DeliveryAttempt record keyed by providerMessageId (idempotent)
+    // Upsert a DeliveryAttempt record per provider event (idempotent by providerEventId)
     try {
       const attempt = {
         providerMessageId,
@@ -125,9 +132,12 @@ class NotificationWebhookController {
         metadata: evt.metadata || {},
         raw: redactRaw(evt.raw)
       };
+      const attemptFilter = evt.providerEventId
+        ? { providerEventId: evt.providerEventId }
+        : { providerMessageId, eventType: evt.eventType, deliveryId: null };
 
       DeliveryAttempt.findOneAndUpdate(
-        { providerMessageId },
+        attemptFilter,
         { $set: attempt },
         { upsert: true, new: true }
       ).catch(err => console.error('[NotificationWebhook] Error upserting DeliveryAttempt:', err));
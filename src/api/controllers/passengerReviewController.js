@@ -0,0 +1,287 @@
+/**
+ * PassengerReviewController
+ *
+ * Reviews drivers write about the passengers of their completed trips, the
+ * passenger side (reviews received) and the same reports, moderation queue
+ * and hide/unhide moderation driver reviews have. Every change to a review's visibility
+ * recomputes the passenger's rating aggregate.
+ */
+
+const mongoose = require('mongoose');
+const PassengerReviewModel = require('../../infrastructure/database/models/PassengerReviewModel');
+const TripOfferModel = require('../../infrastructure/database/models/TripOfferModel');
+const BookingRequestModel = require('../../infrastructure/database/models/BookingRequestModel');
+const RatingAggregateService = require('../../domain/services/ratingAggregateService');
+const ReviewModerationService = require('../../domain/services/ReviewModerationService');
+
+const reviewModerationService = ReviewModerationService.createDefault();
+
+class PassengerReviewController {
+  /**
+   * POST /drivers/trips/:tripId/bookings/:bookingId/review
+   * The driver reviews a passenger who rode a completed trip (one review per passenger and trip)
+   */
+  async createReview(req, res, next) {
+    try {
+      const { tripId, bookingId } = req.params;
+      const { rating, text = '', tags = [] } = req.body;
+      const driverId = req.user.sub;
+
+      const trip = await TripOfferModel.findById(tripId).lean();
+      if (!trip) {
+        return res.status(404).json({ code: 'not_found', message: 'Trip not found', correlationId: req.correlationId });
+      }
+
+      if (String(trip.driverId) !== String(driverId)) {
+        return res.status(403).json({ code: 'forbidden_owner', message: 'Trip does not belong to the driver', correlationId: req.correlationId });
+      }
+
+      if (trip.status !== 'completed') {
+        return res.status(400).json({ code: 'trip_not_completed', message: 'Passengers can only be reviewed after the trip is completed', correlationId: req.correlationId });
+      }
+
+      const booking = await BookingRequestModel.findOne({ _id: bookingId, tripId }).lean();
+      if (!booking) {
+        return res.status(404).json({ code: 'booking_not_found', message: 'Booking not found on this trip', correlationId: req.correlationId });
+      }
+
+      if (booking.status !== 'accepted') {
+        return res.status(403).json({ code: 'not_participant', message: 'Only passengers with an accepted booking can be reviewed', correlationId: req.correlationId });
+      }
+
+      // Attendance already settled the trip for these passengers
+      if (booking.boardingStatus === 'passenger_no_show' || booking.boardingStatus === 'driver_no_show') {
+        return res.status(403).json({ code: booking.boardingStatus, message: 'Passengers who did not ride cannot be reviewed', correlationId: req.correlationId });
+      }
+
+      // Prevent duplicates at application level (unique index may not be ready in tests)
+      const existing = await PassengerReviewModel.findOne({ tripId, passengerId: booking.passengerId });
+      if (existing) {
+        return res.status(409).json({ code: 'review_exists', message: 'You have already reviewed this passenger for this trip', correlationId: req.correlationId });
+      }
+
+      const review = await PassengerReviewModel.create({
+        tripId,
+        bookingId,
+        driverId,
+        passengerId: booking.passengerId,
+        rating,
+        text,
+        tags
+      });
+
+      await RatingAggregateService.recomputePassengerAggregate(booking.passengerId);
+
+      console.log(
+        `[PassengerReviewController] Passenger reviewed | reviewId: ${review._id} | tripId: ${tripId} | passengerId: ${booking.passengerId} | rating: ${rating} | correlationId: ${req.correlationId}`
+      );
+
+      return res.status(201).json({
+        id: review._id.toString(),
+        tripId: review.tripId.toString(),
+        bookingId: review.bookingId.toString(),
+        driverId: review.driverId.toString(),
+        passengerId: review.passengerId.toString(),
+        rating: review.rating,
+        text: review.text,
+        tags: review.tags,
+        createdAt: review.createdAt
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /passengers/reviews/received?page=1&pageSize=10
+   * Visible reviews drivers wrote about the caller, with their rating aggregate
+   */
+  async listReceivedReviews(req, res, next) {
+    try {
+      const passengerId = req.user.sub;
+      const { page = 1, pageSize = 10 } = req.query;
+
+      const query = { passengerId, status: 'visible' };
+
+      const pageNum = parseInt(page, 10) || 1;
+      const size = Math.min(parseInt(pageSize, 10) || 10, 50);
+      const skip = (pageNum - 1) * size;
+
+      const [itemsRaw, total, agg] = await Promise.all([
+        PassengerReviewModel.find(query)
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(size)
+          .populate('driverId', 'firstName lastName')
+          .lean(),
+        PassengerReviewModel.countDocuments(query),
+        RatingAggregateService.getPassengerAggregate(passengerId)
+      ]);
+
+      const items = itemsRaw.map(r => {
+        const firstName = r.driverId?.firstName || '';
+        const lastName = r.driverId?.lastName || '';
+        const author = firstName ? `${firstName} ${lastName ? (lastName.charAt(0) + '.') : ''}`.trim() : 'Anonymous';
+
+        return {
+          id: r._id.toString(),
+          tripId: r.tripId.toString(),
+          rating: r.rating,
+          text: r.text,
+          tags: r.tags || [],
+          author,
+          createdAt: r.createdAt
+        };
+      });
+
+      return res.status(200).json({
+        rating: {
+          avgRating: agg?.count ? agg.avgRating : null,
+          count: agg?.count || 0,
+          histogram: agg?.histogram || { '1': 0, '2': 0, '3': 0, '4': 0, '5': 0 }
+        },
+        items,
+        page: pageNum,
+        pageSize: size,
+        total,
+        totalPages: Math.ceil(total / size)
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * POST /trips/passenger-reviews/:reviewId/report
+   * Any authenticated user may report a passenger review; enough open reports flag it for moderation
+   */
+  async reportReview(req, res, next) {
+    try {
+      const { reviewId } = req.params;
+      const { category, reason = '' } = req.body;
+
+      const result = await reviewModerationService.recordReport('passenger', reviewId, {
+        reporterId: req.user.sub,
+        category,
+        reason,
+        correlationId: req.correlationId
+      });
+
+      return res.status(201).json({ ok: true, ...result });
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Admin: GET /admin/passenger-reviews/flagged?page=1&pageSize=10
+   */
+  async adminListFlagged(req, res, next) {
+    try {
+      const queue = await reviewModerationService.listQueue('passenger', req.query);
+      return res.status(200).json(queue);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Admin: POST /admin/passenger-reviews/:reviewId/resolve
+   * Body: { action: 'restore'|'hide', reason }
+   */
+  async adminResolveReports(req, res, next) {
+    try {
+      const result = await reviewModerationService.resolve('passenger', req.params.reviewId, {
+        action: req.body.action,
+        reason: req.body.reason,
+        adminId: req.user.sub,
+        correlationId: req.correlationId
+      });
+      return res.status(200).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Admin: PATCH /admin/passenger-reviews/:reviewId/hide
+   */
+  async adminHideReview(req, res, next) {
+    return this._setVisibility(req, res, next, 'hide', null);
+  }
+
+  /**
+   * Admin: PATCH /admin/passenger-reviews/:reviewId/unhide
+   */
+  async adminUnhideReview(req, res, next) {
+    return this._setVisibility(req, res, next, 'unhide', null);
+  }
+
+  /**
+   * Admin: PATCH /admin/passenger-reviews/:reviewId/visibility
+   * Body: { action: 'hide'|'unhide', reason }
+   */
+  async adminSetVisibility(req, res, next) {
+    return this._setVisibility(req, res, next, req.body.action, req.body.reason);
+  }
+
+  /**
+   * Set visibility, record the moderation entry and recompute the passenger aggregate
+   * in one transaction (or without one where transactions are unsupported)
+   * @private
+   */
+  async _setVisibility(req, res, next, action, reason) {
+    let session = null;
+    try {
+      const { reviewId } = req.params;
+      const moderatorId = req.user.sub;
+
+      const review = await PassengerReviewModel.findById(reviewId).lean();
+      if (!review) {
+        return res.status(404).json({ code: 'not_found', message: 'Review not found', correlationId: req.correlationId });
+      }
+
+      const newStatus = action === 'hide' ? 'hidden' : 'visible';
+      const update = {
+        $set: { status: newStatus },
+        $push: {
+          moderation: {
+            moderatedAt: new Date(),
+            moderatorId,
+            action,
+            reason: reason || '',
+            correlationId: req.correlationId
+          }
+        }
+      };
+
+      if (process.env.NODE_ENV !== 'test') {
+        session = await mongoose.startSession();
+        try { session.startTransaction(); } catch (e) { await session.endSession(); session = null; }
+      }
+
+      if (session) {
+        await PassengerReviewModel.updateOne({ _id: reviewId }, update, { session });
+        await RatingAggregateService.recomputePassengerAggregate(review.passengerId, session);
+
+        await session.commitTransaction();
+        await session.endSession();
+      } else {
+        await PassengerReviewModel.updateOne({ _id: reviewId }, update);
+        await RatingAggregateService.recomputePassengerAggregate(review.passengerId);
+      }
+
+      console.log(
+        `[PassengerReviewController] Passenger review moderated | reviewId: ${reviewId} | action: ${action} | moderatorId: ${moderatorId} | correlationId: ${req.correlationId}`
+      );
+
+      return res.status(200).json({ id: reviewId, visibility: newStatus });
+    } catch (err) {
+      try { if (session) await session.abortTransaction(); } catch (e) {}
+      try { if (session) await session.endSession(); } catch (e) {}
+      next(err);
+    }
+  }
+}
+
+module.exports = PassengerReviewController;
@@ -21,15 +21,21 @@ class PassengerTripController {
    * - qDestination: text search in destination (case-insensitive)
    * - fromDate: minimum departure date
    * - toDate: maximum departure date
-   * - fromTime: minimum departure time (HH:MM format)
-   * - toTime: maximum departure time (HH:MM format)
+   * - fromTime: minimum departure time (HH:MM, America/Bogota)
+   * - toTime: maximum departure time (HH:MM, America/Bogota)
    * - minAvailableSeats: minimum available seats required
    * - minPrice: minimum price per seat
    * - maxPrice: maximum price per seat
+   * - nearOriginLat/nearOriginLng: pickup point (proximity search)
+   * - nearDestLat/nearDestLng: drop-off point (proximity search)
+   * - radius: max distance in meters from each point (default: 1000)
+   * - sort: departureAt | price | rating, '-' prefix for descending (default: departureAt)
    * - page: page number (default: 1)
    * - pageSize: results per page (default: 10, max: 50)
    * 
    * Returns only: status='published' AND departureAt > now
+   * With a pickup and/or drop-off point, results are ranked by combined
+   * walking distance and each item carries its distance to both points.
    */
   async searchTrips(req, res, next) {
     try {
@@ -43,12 +49,25 @@ class PassengerTripController {
         minAvailableSeats,
         minPrice,
         maxPrice,
+        nearOriginLat,
+        nearOriginLng,
+        nearDestLat,
+        nearDestLng,
+        radius,
+        sort,
         page, 
         pageSize 
       } = req.query;
 
+      const nearOrigin = nearOriginLat !== undefined
+        ? { lat: parseFloat(nearOriginLat), lng: parseFloat(nearOriginLng) }
+        : undefined;
+      const nearDestination = nearDestLat !== undefined
+        ? { lat: parseFloat(nearDestLat), lng: parseFloat(nearDestLng) }
+        : undefined;
+
       console.log(
-        `[PassengerTripController] Search trips | qOrigin: ${qOrigin || 'none'} | qDestination: ${qDestination || 'none'} | fromDate: ${fromDate || 'none'} | toDate: ${toDate || 'none'} | fromTime: ${fromTime || 'none'} | toTime: ${toTime || 'none'} | minAvailableSeats: ${minAvailableSeats || 'none'} | minPrice: ${minPrice || 'none'} | maxPrice: ${maxPrice || 'none'} | page: ${page || 1} | pageSize: ${pageSize || 10} | correlationId: ${req.correlationId}`
+        `[PassengerTripController] Search trips | qOrigin: ${qOrigin || 'none'} | qDestination: ${qDestination || 'none'} | fromDate: ${fromDate || 'none'} | toDate: ${toDate || 'none'} | fromTime: ${fromTime || 'none'} | toTime: ${toTime || 'none'} | minAvailableSeats: ${minAvailableSeats || 'none'} | minPrice: ${minPrice || 'none'} | maxPrice: ${maxPrice || 'none'} | nearOrigin: ${nearOrigin ? `${nearOrigin.lat},${nearOrigin.lng}` : 'none'} | nearDest: ${nearDestination ? `${nearDestination.lat},${nearDestination.lng}` : 'none'} | radius: ${radius || 'default'} | sort: ${sort || 'default'} | page: ${page || 1} | pageSize: ${pageSize || 10} | correlationId: ${req.correlationId}`
       );
 
       // Search published trips
@@ -62,12 +81,24 @@ class PassengerTripController {
         minAvailableSeats: minAvailableSeats ? parseInt(minAvailableSeats) : undefined,
         minPrice: minPrice ? parseFloat(minPrice) : undefined,
         maxPrice: maxPrice ? parseFloat(maxPrice) : undefined,
+        nearOrigin,
+        nearDestination,
+        radius: radius ? parseInt(radius) : undefined,
+        sort,
         page: page || 1,
         pageSize: pageSize || 10
       });
 
-      // Convert to DTOs
-      const items = TripOfferResponseDto.fromDomainArray(result.trips);
+      // Convert to DTOs (proximity searches also expose distance to each point)
+      let items = TripOfferResponseDto.fromDomainArray(result.trips);
+      if (result.distances) {
+        items = items.map((item) => ({ ...item, distance: result.distances[item.id] }));
+      }
+
+      // Stops the passenger would ride between and seats free on that stretch
+      if (result.segments) {
+        items = items.map((item) => ({ ...item, segment: result.segments[item.id] }));
+      }
 
       console.log(
         `[PassengerTripController] Search completed | found: ${result.total} | returned: ${items.length} | correlationId: ${req.correlationId}`
@@ -0,0 +1,77 @@
+const PaymentService = require('../../domain/services/PaymentService');
+const PaymentResponseDto = require('../../domain/dtos/PaymentResponseDto');
+
+/**
+ * Payment Controller (US-4.1)
+ * Handles passenger checkout endpoints and payment provider webhooks
+ */
+class PaymentController {
+  constructor() {
+    this.paymentService = PaymentService.createDefault();
+  }
+
+  /**
+   * POST /passengers/bookings/:bookingId/payment-intent
+   * Get (or create) the payment intent for an accepted booking
+   */
+  async createPaymentIntent(req, res, next) {
+    try {
+      const { bookingId } = req.params;
+      const passengerId = req.user.id;
+
+      const payment = await this.paymentService.getOrCreatePaymentIntent(bookingId, passengerId);
+
+      console.log(
+        `[PaymentController] Payment intent ready | bookingId: ${bookingId} | paymentId: ${payment.id} | status: ${payment.status} | correlationId: ${req.correlationId}`
+      );
+
+      res.status(200).json(PaymentResponseDto.fromDomain(payment, { includeClientSecret: true }));
+    } catch (error) {
+      console.error(
+        `[PaymentController] Payment intent failed | bookingId: ${req.params.bookingId} | error: ${error.message} | correlationId: ${req.correlationId}`
+      );
+      next(error);
+    }
+  }
+
+  /**
+   * GET /passengers/bookings/:bookingId/payment
+   * Payment status for a booking (passenger owner or trip driver)
+   */
+  async getPayment(req, res, next) {
+    try {
+      const payment = await this.paymentService.getPaymentForBooking(req.params.bookingId, req.user.id);
+      res.status(200).json(PaymentResponseDto.fromDomain(payment));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /payments/webhooks/stripe
+   * Public endpoint; signature-validated against the raw body
+   */
+  async handleStripeWebhook(req, res) {
+    const raw = req.rawBody || '';
+    const signature = req.headers['stripe-signature'];
+
+    let event;
+    try {
+      event = this.paymentService.paymentProvider.constructWebhookEvent(raw, signature);
+    } catch (err) {
+      console.warn('[PaymentWebhook] Invalid signature or payload:', err.message);
+      return res.status(400).json({ code: 'invalid_signature', message: 'Webhook signature verification failed' });
+    }
+
+    try {
+      const result = await this.paymentService.handleWebhookEvent(event);
+      return res.json({ received: true, ...result });
+    } catch (err) {
+      // Non-2xx makes the provider retry the delivery later
+      console.error(`[PaymentWebhook] Error handling event | eventId: ${event.id} | type: ${event.type} | error: ${err.message}`);
+      return res.status(500).json({ code: 'webhook_processing_failed', message: 'Webhook could not be processed' });
+    }
+  }
+}
+
+module.exports = PaymentController;
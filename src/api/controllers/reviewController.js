@@ -3,8 +3,19 @@ const ReviewModel = require('../../infrastructure/database/models/ReviewModel');
 const TripOfferModel = require('../../infrastructure/database/models/TripOfferModel');
 const BookingRequestModel = require('../../infrastructure/database/models/BookingRequestModel');
 const RatingAggregateService = require('../../domain/services/ratingAggregateService');
-const ReviewReportModel = require('../../infrastructure/database/models/ReviewReportModel');
-const ReviewReportCounterModel = require('../../infrastructure/database/models/ReviewReportCounterModel');
+const ReviewModerationService = require('../../domain/services/ReviewModerationService');
+const NotificationService = require('../../domain/services/NotificationService');
+
+const reviewModerationService = ReviewModerationService.createDefault();
+
+/**
+ * Public view of a driver's reply (null when absent or hidden by an admin)
+ */
+const toPublicReply = (reply) => (
+  reply && reply.status === 'visible'
+    ? { text: reply.text, createdAt: reply.createdAt, updatedAt: reply.updatedAt }
+    : null
+);
 
 class ReviewController {
   async createReview(req, res, next) {
@@ -13,22 +24,30 @@ class ReviewController {
       const { rating, text = '', tags = [] } = req.body;
       const passengerId = req.user.sub;
 
-      // Ensure trip exists and is completed
+      // Ensure trip exists
       const trip = await TripOfferModel.findById(tripId).lean();
       if (!trip) {
         return res.status(404).json({ code: 'not_found', message: 'Trip not found', correlationId: req.correlationId });
       }
 
-      if (trip.status !== 'completed') {
+      // Ensure passenger had an accepted booking for this trip
+      const booking = await BookingRequestModel.findOne({ passengerId, tripId, status: 'accepted' });
+
+      // A passenger who reported a driver no-show may review before the trip is completed
+      const driverNoShow = !!booking && booking.boardingStatus === 'driver_no_show';
+      if (trip.status !== 'completed' && !driverNoShow) {
         return res.status(400).json({ code: 'trip_not_completed', message: 'Reviews can only be created for completed trips', correlationId: req.correlationId });
       }
 
-      // Ensure passenger had an accepted booking for this trip
-      const booking = await BookingRequestModel.findOne({ passengerId, tripId, status: 'accepted' });
       if (!booking) {
         return res.status(403).json({ code: 'not_participant', message: 'Only trip participants may write a review', correlationId: req.correlationId });
       }
 
+      // Passengers the driver marked as no-show did not ride
+      if (booking.boardingStatus === 'passenger_no_show') {
+        return res.status(403).json({ code: 'passenger_no_show', message: 'Passengers marked as no-show cannot review this trip', correlationId: req.correlationId });
+      }
+
       // Prevent duplicates at application level (unique index may not be ready in tests)
       const existing = await ReviewModel.findOne({ passengerId, tripId });
       if (existing) {
@@ -101,6 +120,7 @@ class ReviewController {
           text: r.text,
           tags: r.tags || [],
           author,
+          reply: toPublicReply(r.reply),
           createdAt: r.createdAt
         };
       });
@@ -164,6 +184,7 @@ class ReviewController {
         rating: review.rating,
         text: review.text,
         tags: review.tags || [],
+        reply: toPublicReply(review.reply),
         createdAt: review.createdAt,
         lockedAt
       });
@@ -366,39 +387,166 @@ class ReviewController {
 
   /**
    * POST /reviews/:reviewId/report
-   * Any authenticated user may report a review. Creates a report record and marks review as 'flagged'.
+   * Any authenticated user may report a review. The review is flagged for moderation
+   * once its open reports reach the configured thresholds.
    */
   async reportReview(req, res, next) {
     try {
       const { reviewId } = req.params;
-      const reporterId = req.user.sub;
       const { category, reason = '' } = req.body;
 
+      const result = await reviewModerationService.recordReport('driver', reviewId, {
+        reporterId: req.user.sub,
+        category,
+        reason,
+        correlationId: req.correlationId
+      });
+
+      return res.status(201).json({ ok: true, ...result });
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * POST /drivers/reviews/:reviewId/reply
+   * The reviewed driver posts the public reply to a review (one per review).
+   * The passenger who wrote the review is notified.
+   */
+  async createReply(req, res, next) {
+    try {
+      const { reviewId } = req.params;
+      const { text } = req.body;
+      const driverId = req.user.sub;
+
       const review = await ReviewModel.findById(reviewId).lean();
       if (!review) {
         return res.status(404).json({ code: 'not_found', message: 'Review not found', correlationId: req.correlationId });
       }
 
-      // Rate-limit / deduplicate: one report per reporter per review
-      const existing = await ReviewReportModel.findOne({ reviewId, reporterId });
-      if (existing) {
-        return res.status(429).json({ code: 'rate_limited', message: 'You have already reported this review recently', correlationId: req.correlationId });
+      if (String(review.driverId) !== String(driverId)) {
+        return res.status(403).json({ code: 'forbidden_owner', message: 'Only the reviewed driver can reply', correlationId: req.correlationId });
       }
 
-      // Create report and include correlationId for audit
-      const report = await ReviewReportModel.create({ reviewId, reporterId, category, reason, correlationId: req.correlationId });
+      if (review.status === 'hidden') {
+        return res.status(409).json({ code: 'review_hidden', message: 'Hidden reviews cannot be replied to', correlationId: req.correlationId });
+      }
 
-      // Atomically increment per-(review,category) counter
-      const counter = await ReviewReportCounterModel.findOneAndUpdate(
-        { reviewId, category },
-        { $inc: { count: 1 } },
-        { upsert: true, new: true, setDefaultsOnInsert: true }
+      const now = new Date();
+      // Conditional on no reply yet so two concurrent posts cannot both win
+      const updated = await ReviewModel.findOneAndUpdate(
+        { _id: reviewId, reply: null },
+        { $set: { reply: { text, status: 'visible', createdAt: now, updatedAt: now, audit: [], moderation: [] } } },
+        { new: true }
       ).lean();
+      if (!updated) {
+        return res.status(409).json({ code: 'reply_exists', message: 'This review already has a reply; edit it instead', correlationId: req.correlationId });
+      }
 
-      // Mark review as flagged to surface to moderation
-      await ReviewModel.updateOne({ _id: reviewId }, { $set: { status: 'flagged' } });
+      console.log(
+        `[ReviewController] Review reply posted | reviewId: ${reviewId} | driverId: ${driverId} | correlationId: ${req.correlationId}`
+      );
 
-      return res.status(201).json({ ok: true, category, reports: counter.count });
+      await NotificationService.createNotification(
+        review.passengerId,
+        'review.reply',
+        'El conductor respondió tu reseña',
+        'El conductor de tu viaje respondió públicamente a la reseña que le dejaste.',
+        { reviewId, tripId: String(review.tripId), driverId: String(driverId) },
+        req.correlationId
+      );
+
+      return res.status(201).json({ reviewId, ...toPublicReply(updated.reply), status: updated.reply.status });
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * PATCH /drivers/reviews/:reviewId/reply
+   * The driver edits their reply; the previous text goes to the reply audit trail.
+   */
+  async editReply(req, res, next) {
+    try {
+      const { reviewId } = req.params;
+      const { text } = req.body;
+      const driverId = req.user.sub;
+
+      const review = await ReviewModel.findById(reviewId).lean();
+      if (!review || !review.reply) {
+        return res.status(404).json({ code: 'not_found', message: 'Reply not found', correlationId: req.correlationId });
+      }
+
+      if (String(review.driverId) !== String(driverId)) {
+        return res.status(403).json({ code: 'forbidden_owner', message: 'Only the reviewed driver can edit the reply', correlationId: req.correlationId });
+      }
+
+      const now = new Date();
+      const updated = await ReviewModel.findOneAndUpdate(
+        { _id: reviewId, 'reply.updatedAt': review.reply.updatedAt },
+        {
+          $set: { 'reply.text': text, 'reply.updatedAt': now },
+          $push: { 'reply.audit': { editedAt: now, text: review.reply.text } }
+        },
+        { new: true }
+      ).lean();
+      if (!updated) {
+        return res.status(409).json({ code: 'concurrent_update', message: 'The reply changed meanwhile; try again', correlationId: req.correlationId });
+      }
+
+      console.log(
+        `[ReviewController] Review reply edited | reviewId: ${reviewId} | driverId: ${driverId} | edits: ${updated.reply.audit.length} | correlationId: ${req.correlationId}`
+      );
+
+      return res.status(200).json({
+        reviewId,
+        text: updated.reply.text,
+        createdAt: updated.reply.createdAt,
+        updatedAt: updated.reply.updatedAt,
+        status: updated.reply.status
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Admin endpoint: PATCH /admin/reviews/:reviewId/reply/visibility
+   * Body: { action: 'hide'|'unhide', reason }
+   * Hides or restores the driver's reply without touching the review.
+   */
+  async adminSetReplyVisibility(req, res, next) {
+    try {
+      const { reviewId } = req.params;
+      const { action, reason } = req.body;
+      const moderatorId = req.user.sub;
+
+      const newStatus = action === 'hide' ? 'hidden' : 'visible';
+      const updated = await ReviewModel.findOneAndUpdate(
+        { _id: reviewId, reply: { $ne: null } },
+        {
+          $set: { 'reply.status': newStatus },
+          $push: {
+            'reply.moderation': {
+              moderatedAt: new Date(),
+              moderatorId,
+              action,
+              reason,
+              correlationId: req.correlationId
+            }
+          }
+        },
+        { new: true }
+      ).lean();
+      if (!updated) {
+        return res.status(404).json({ code: 'not_found', message: 'Reply not found', correlationId: req.correlationId });
+      }
+
+      console.log(
+        `[ReviewController] Review reply moderated | reviewId: ${reviewId} | action: ${action} | moderatorId: ${moderatorId} | correlationId: ${req.correlationId}`
+      );
+
+      return res.status(200).json({ id: reviewId, replyVisibility: newStatus });
     } catch (err) {
       next(err);
     }
@@ -570,6 +718,37 @@ class ReviewController {
       next(err);
     }
   }
+
+  /**
+   * Admin: GET /admin/reviews/flagged?page=1&pageSize=10
+   * Moderation queue: flagged reviews with their open reports
+   */
+  async adminListFlagged(req, res, next) {
+    try {
+      const queue = await reviewModerationService.listQueue('driver', req.query);
+      return res.status(200).json(queue);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Admin: POST /admin/reviews/:reviewId/resolve
+   * Body: { action: 'restore'|'hide', reason } - closes the open reports of the review
+   */
+  async adminResolveReports(req, res, next) {
+    try {
+      const result = await reviewModerationService.resolve('driver', req.params.reviewId, {
+        action: req.body.action,
+        reason: req.body.reason,
+        adminId: req.user.sub,
+        correlationId: req.correlationId
+      });
+      return res.status(200).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
 }
 
 module.exports = ReviewController;
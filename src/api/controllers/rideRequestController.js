@@ -0,0 +1,121 @@
+/**
+ * RideRequestController
+ *
+ * Passenger ride requests (demand without a matching trip) and the driver
+ * side: browsing them along a route and fulfilling one with a new trip.
+ * Business rules live in RideRequestService.
+ */
+
+const RideRequestService = require('../../domain/services/RideRequestService');
+const CreateTripOfferDto = require('../../domain/dtos/CreateTripOfferDto');
+const TripOfferResponseDto = require('../../domain/dtos/TripOfferResponseDto');
+const BookingRequestResponseDto = require('../../domain/dtos/BookingRequestResponseDto');
+
+class RideRequestController {
+  constructor() {
+    this.rideRequestService = RideRequestService.createDefault();
+  }
+
+  /**
+   * POST /passengers/ride-requests
+   * Post a ride request
+   */
+  async createRideRequest(req, res, next) {
+    try {
+      const passengerId = req.user.sub;
+      const request = await this.rideRequestService.createRideRequest(passengerId, req.body);
+
+      console.log(
+        `[RideRequestController] Ride request created | requestId: ${request.id} | passengerId: ${passengerId} | correlationId: ${req.correlationId}`
+      );
+
+      res.status(201).json(request.toObject());
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /passengers/ride-requests
+   * My ride requests (most recent first)
+   */
+  async listMyRideRequests(req, res, next) {
+    try {
+      const requests = await this.rideRequestService.listPassengerRequests(req.user.sub, {
+        status: req.query.status
+      });
+      res.status(200).json({ items: requests.map((request) => request.toObject()) });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * DELETE /passengers/ride-requests/:requestId
+   * Withdraw an open ride request
+   */
+  async cancelRideRequest(req, res, next) {
+    try {
+      const request = await this.rideRequestService.cancelRideRequest(req.params.requestId, req.user.sub);
+      res.status(200).json(request.toObject());
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /drivers/ride-requests
+   * Open ride requests along a route (pickup near its origin, drop-off near its destination)
+   */
+  async browseRideRequests(req, res, next) {
+    try {
+      const { originLat, originLng, destLat, destLng, radius, fromDate, toDate, page, pageSize } = req.query;
+
+      const result = await this.rideRequestService.browseOpenRequests(req.user.sub, {
+        origin: { lat: parseFloat(originLat), lng: parseFloat(originLng) },
+        destination: { lat: parseFloat(destLat), lng: parseFloat(destLng) },
+        radius: radius ? parseInt(radius) : undefined,
+        fromDate,
+        toDate,
+        page: page ? parseInt(page) : 1,
+        pageSize: pageSize ? parseInt(pageSize) : 10
+      });
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /drivers/ride-requests/:requestId/fulfill
+   * Create a trip for a ride request; the requester is booked on it
+   */
+  async fulfillRideRequest(req, res, next) {
+    try {
+      const driverId = req.user.sub;
+      const { requestId } = req.params;
+
+      const { rideRequest, trip, booking } = await this.rideRequestService.fulfillRideRequest(
+        requestId,
+        driverId,
+        CreateTripOfferDto.fromRequest(req.body),
+        { correlationId: req.correlationId }
+      );
+
+      console.log(
+        `[RideRequestController] Ride request fulfilled | requestId: ${requestId} | driverId: ${driverId} | tripId: ${trip.id} | bookingId: ${booking.id} | correlationId: ${req.correlationId}`
+      );
+
+      res.status(201).json({
+        rideRequestId: rideRequest.id,
+        trip: TripOfferResponseDto.fromDomain(trip),
+        booking: BookingRequestResponseDto.fromDomain(booking)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = RideRequestController;
@@ -0,0 +1,89 @@
+/**
+ * SavedSearchController
+ *
+ * Passenger saved searches: the filters of GET /passengers/trips/search kept
+ * to be alerted when matching trips are published.
+ * Business rules live in SavedSearchService.
+ */
+
+const SavedSearchService = require('../../domain/services/SavedSearchService');
+
+class SavedSearchController {
+  constructor() {
+    this.savedSearchService = SavedSearchService.createDefault();
+  }
+
+  /**
+   * POST /passengers/saved-searches
+   * Save a search (same filters as the trip search, plus name and weekdays)
+   */
+  async createSavedSearch(req, res, next) {
+    try {
+      const passengerId = req.user.sub;
+      const { name, daysOfWeek, nearOriginLat, nearOriginLng, nearDestLat, nearDestLng, ...filters } = req.body;
+
+      const search = await this.savedSearchService.createSavedSearch(passengerId, {
+        name,
+        daysOfWeek,
+        filters: {
+          ...filters,
+          nearOrigin: nearOriginLat !== undefined ? { lat: nearOriginLat, lng: nearOriginLng } : undefined,
+          nearDestination: nearDestLat !== undefined ? { lat: nearDestLat, lng: nearDestLng } : undefined
+        }
+      });
+
+      console.log(
+        `[SavedSearchController] Saved search created | searchId: ${search.id} | passengerId: ${passengerId} | correlationId: ${req.correlationId}`
+      );
+
+      res.status(201).json(search.toObject());
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /passengers/saved-searches
+   * My saved searches (most recent first)
+   */
+  async listMySavedSearches(req, res, next) {
+    try {
+      const searches = await this.savedSearchService.listSavedSearches(req.user.sub);
+      res.status(200).json({ items: searches.map((search) => search.toObject()) });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * PATCH /passengers/saved-searches/:searchId
+   * Rename, change weekdays, mute or unmute alerts
+   */
+  async updateSavedSearch(req, res, next) {
+    try {
+      const search = await this.savedSearchService.updateSavedSearch(req.params.searchId, req.user.sub, req.body);
+      res.status(200).json(search.toObject());
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * DELETE /passengers/saved-searches/:searchId
+   */
+  async deleteSavedSearch(req, res, next) {
+    try {
+      await this.savedSearchService.deleteSavedSearch(req.params.searchId, req.user.sub);
+
+      console.log(
+        `[SavedSearchController] Saved search deleted | searchId: ${req.params.searchId} | passengerId: ${req.user.sub} | correlationId: ${req.correlationId}`
+      );
+
+      res.status(204).send();
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = SavedSearchController;
@@ -0,0 +1,79 @@
+/**
+ * TripChangeProposalController
+ *
+ * Passenger re-consent on trip changes: passengers list and answer the
+ * proposals that concern their bookings, drivers follow the responses.
+ * Business rules live in TripChangeProposalService.
+ */
+
+const TripChangeProposalService = require('../../domain/services/TripChangeProposalService');
+
+class TripChangeProposalController {
+  constructor() {
+    this.changeProposalService = TripChangeProposalService.createDefault();
+  }
+
+  /**
+   * GET /passengers/change-proposals
+   * Change proposals on my bookings (most recent first)
+   */
+  async listMyProposals(req, res, next) {
+    try {
+      const items = await this.changeProposalService.listPassengerProposals(req.user.sub, {
+        status: req.query.status
+      });
+      res.status(200).json({ items });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /passengers/change-proposals/:proposalId/accept
+   * Keep the booking on the new terms
+   */
+  async acceptProposal(req, res, next) {
+    return this._respond(req, res, next, 'accept');
+  }
+
+  /**
+   * POST /passengers/change-proposals/:proposalId/decline
+   * Reject the new terms; the booking is canceled with a full refund
+   */
+  async declineProposal(req, res, next) {
+    return this._respond(req, res, next, 'decline');
+  }
+
+  /**
+   * GET /drivers/trips/:tripId/change-proposals
+   * Change proposals of my trip with every passenger response
+   */
+  async listTripProposals(req, res, next) {
+    try {
+      const items = await this.changeProposalService.listTripProposals(req.params.tripId, req.user.sub);
+      res.status(200).json({ items });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _respond(req, res, next, decision) {
+    try {
+      const { proposalId } = req.params;
+      const proposal = await this.changeProposalService.respond(proposalId, req.user.sub, decision);
+
+      console.log(
+        `[TripChangeProposalController] Change proposal answered | proposalId: ${proposalId} | passengerId: ${req.user.sub} | decision: ${decision} | correlationId: ${req.correlationId}`
+      );
+
+      res.status(200).json(proposal);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = TripChangeProposalController;
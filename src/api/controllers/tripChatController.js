@@ -0,0 +1,94 @@
+/**
+ * TripChatController
+ *
+ * In-trip conversation between the driver and the accepted passengers of a
+ * trip; admins can read it. Business rules live in TripChatService.
+ */
+
+const TripChatService = require('../../domain/services/TripChatService');
+
+class TripChatController {
+  constructor() {
+    this.tripChatService = TripChatService.createDefault();
+  }
+
+  /**
+   * GET /passengers/trips/:tripId/chat
+   * GET /drivers/trips/:tripId/chat
+   * GET /admin/trips/:tripId/chat
+   * Conversation state and a page of messages (newest first)
+   */
+  async getConversation(req, res, next) {
+    try {
+      const result = await this.tripChatService.getConversation(
+        req.params.tripId,
+        { userId: req.user.sub, role: req.user.role },
+        { before: req.query.before, limit: req.query.limit ? parseInt(req.query.limit) : undefined }
+      );
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /passengers/trips/:tripId/chat/messages
+   * POST /drivers/trips/:tripId/chat/messages
+   */
+  async sendMessage(req, res, next) {
+    try {
+      const message = await this.tripChatService.sendMessage(
+        req.params.tripId,
+        { userId: req.user.sub, role: req.user.role },
+        req.body.body
+      );
+      res.status(201).json(message);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /passengers/trips/:tripId/chat/read
+   * POST /drivers/trips/:tripId/chat/read
+   */
+  async markRead(req, res, next) {
+    try {
+      const result = await this.tripChatService.markRead(req.params.tripId, {
+        userId: req.user.sub,
+        role: req.user.role
+      });
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /passengers/trips/:tripId/chat/messages/:messageId/report
+   * POST /drivers/trips/:tripId/chat/messages/:messageId/report
+   * Report a message (files a user report against its sender)
+   */
+  async reportMessage(req, res, next) {
+    try {
+      const { tripId, messageId } = req.params;
+      const result = await this.tripChatService.reportMessage(
+        tripId,
+        messageId,
+        { userId: req.user.sub, role: req.user.role },
+        req.body,
+        { correlationId: req.correlationId }
+      );
+
+      console.log(
+        `[TripChatController] Message reported | tripId: ${tripId} | messageId: ${messageId} | reporterId: ${req.user.sub} | correlationId: ${req.correlationId}`
+      );
+
+      res.status(201).json({ ok: true, ...result, correlationId: req.correlationId });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = TripChatController;
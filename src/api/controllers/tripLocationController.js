@@ -0,0 +1,115 @@
+/**
+ * TripLocationController
+ *
+ * Live trip location: the driver posts positions, accepted passengers and
+ * admins read the buffer or follow the stream (Server-Sent Events).
+ * Business rules live in TripLocationService.
+ */
+
+const TripLocationService = require('../../domain/services/TripLocationService');
+const realtimeService = require('../../domain/services/realtimeService');
+
+// Comment line every 25s keeps proxies from closing an idle stream
+const HEARTBEAT_MS = 25 * 1000;
+// Reconnection delay suggested to EventSource clients
+const RETRY_MS = 5000;
+
+class TripLocationController {
+  constructor() {
+    this.tripLocationService = TripLocationService.createDefault();
+  }
+
+  /**
+   * POST /drivers/trips/:tripId/location
+   * Post the current position of the car
+   */
+  async recordPosition(req, res, next) {
+    try {
+      const location = await this.tripLocationService.recordPosition(req.params.tripId, req.user.sub, req.body);
+      res.status(201).json(location.toObject());
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /passengers/trips/:tripId/location
+   * GET /admin/trips/:tripId/location
+   * Buffered positions (newest first)
+   */
+  async getTripLocation(req, res, next) {
+    try {
+      const result = await this.tripLocationService.getTripLocation(req.params.tripId, {
+        userId: req.user.sub,
+        role: req.user.role
+      });
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /passengers/trips/:tripId/location/stream (Server-Sent Events)
+   * Events: snapshot (on connection), location, location_ended (stream closes)
+   */
+  async streamTripLocation(req, res, next) {
+    let snapshot;
+    try {
+      // Access is checked before the stream opens so errors keep their JSON shape
+      snapshot = await this.tripLocationService.getTripLocation(req.params.tripId, {
+        userId: req.user.sub,
+        role: req.user.role
+      });
+    } catch (error) {
+      return next(error);
+    }
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    let closed = false;
+    const send = (event, data) => {
+      if (closed) return;
+      res.write(`event: ${event}\n`);
+      res.write(`data: ${JSON.stringify(data)}\n\n`);
+    };
+
+    send('snapshot', snapshot);
+    if (['completed', 'canceled'].includes(snapshot.status)) {
+      send('location_ended', { tripId: snapshot.tripId, reason: snapshot.status });
+      return res.end();
+    }
+
+    const unsubscribe = realtimeService.subscribeTrip(snapshot.tripId, (message) => {
+      send(message.event, message.data);
+      if (message.event === 'location_ended') res.end();
+    });
+
+    const heartbeat = setInterval(() => {
+      if (!closed) res.write(': ping\n\n');
+    }, HEARTBEAT_MS);
+
+    // The stream ends with the session; the client reconnects after refreshing it
+    const expiresInMs = req.user.exp ? req.user.exp * 1000 - Date.now() : null;
+    const expiry = expiresInMs != null ? setTimeout(() => res.end(), Math.max(expiresInMs, 0)) : null;
+
+    const cleanup = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+      unsubscribe();
+    };
+    req.on('close', cleanup);
+    res.on('finish', cleanup);
+  }
+}
+
+module.exports = TripLocationController;
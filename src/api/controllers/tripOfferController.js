@@ -2,9 +2,12 @@ const TripOfferService = require('../../domain/services/TripOfferService');
 const MongoTripOfferRepository = require('../../infrastructure/repositories/MongoTripOfferRepository');
 const MongoVehicleRepository = require('../../infrastructure/repositories/MongoVehicleRepository');
 const MongoUserRepository = require('../../infrastructure/repositories/MongoUserRepository');
+const MongoTripSeriesRepository = require('../../infrastructure/repositories/MongoTripSeriesRepository');
 const CreateTripOfferDto = require('../../domain/dtos/CreateTripOfferDto');
 const UpdateTripOfferDto = require('../../domain/dtos/UpdateTripOfferDto');
 const TripOfferResponseDto = require('../../domain/dtos/TripOfferResponseDto');
+const CancellationPolicyService = require('../../domain/services/CancellationPolicyService');
+const TripChangeProposalService = require('../../domain/services/TripChangeProposalService');
 
 /**
  * Trip Offer Controller
@@ -15,11 +18,17 @@ class TripOfferController {
     this.tripOfferRepository = new MongoTripOfferRepository();
     this.vehicleRepository = new MongoVehicleRepository();
     this.userRepository = new MongoUserRepository();
+    this.tripSeriesRepository = new MongoTripSeriesRepository();
+    this.changeProposalService = TripChangeProposalService.createDefault();
     this.tripOfferService = new TripOfferService(
       this.tripOfferRepository,
       this.vehicleRepository,
-      this.userRepository
+      this.userRepository,
+      this.tripSeriesRepository,
+      null,
+      this.changeProposalService
     );
+    this.cancellationPolicyService = CancellationPolicyService.createDefault();
   }
 
   /**
@@ -226,6 +235,7 @@ class TripOfferController {
   /**
    * PATCH /drivers/trips/:id
    * Update a trip offer (owner only)
+   * Query scope=this|future selects edit-this-occurrence vs edit-all-future for series trips
    */
   async updateTripOffer(req, res, next) {
     try {
@@ -271,15 +281,21 @@ class TripOfferController {
       }
 
       // Regular update (not canceling)
-      const updatedTrip = await this.tripOfferService.updateTripOffer(id, driverId, updateDto);
+      // scope=future applies the change to this and all later occurrences of its series
+      const updatedTrip = req.query.scope === 'future'
+        ? await this.tripOfferService.updateFutureOccurrences(id, driverId, updateDto)
+        : await this.tripOfferService.updateTripOffer(id, driverId, updateDto);
 
       const responseDto = TripOfferResponseDto.fromDomain(updatedTrip);
 
+      // Change proposal booked passengers still have to answer (null if none)
+      const changeProposal = await this.changeProposalService.getOpenProposal(id);
+
       console.log(
-        `[TripOfferController] Trip updated | tripId: ${id} | status: ${updatedTrip.status} | correlationId: ${req.correlationId}`
+        `[TripOfferController] Trip updated | tripId: ${id} | status: ${updatedTrip.status} | termsVersion: ${updatedTrip.termsVersion} | correlationId: ${req.correlationId}`
       );
 
-      res.status(200).json(responseDto);
+      res.status(200).json({ ...responseDto, changeProposal: changeProposal ? changeProposal.toObject() : null });
     } catch (error) {
       console.error(
         `[TripOfferController] Update failed | tripId: ${req.params.id} | driverId: ${req.user?.sub} | error: ${error.message} | correlationId: ${req.correlationId}`
@@ -456,6 +472,54 @@ class TripOfferController {
     }
   }
 
+  /**
+   * PUT /drivers/trips/:id/cancellation-policy
+   * Override the platform cancellation tiers for a trip (within admin bounds)
+   */
+  async setCancellationPolicy(req, res, next) {
+    try {
+      const { id } = req.params;
+      const driverId = req.user.sub;
+
+      console.log(
+        `[TripOfferController] Set cancellation policy | tripId: ${id} | driverId: ${driverId} | tiers: ${req.body.tiers.length} | correlationId: ${req.correlationId}`
+      );
+
+      const updatedTrip = await this.cancellationPolicyService.setTripPolicy(id, driverId, req.body.tiers);
+
+      res.status(200).json(TripOfferResponseDto.fromDomain(updatedTrip));
+    } catch (error) {
+      console.error(
+        `[TripOfferController] Set cancellation policy failed | tripId: ${req.params.id} | driverId: ${req.user?.sub} | error: ${error.message} | correlationId: ${req.correlationId}`
+      );
+      next(error);
+    }
+  }
+
+  /**
+   * DELETE /drivers/trips/:id/cancellation-policy
+   * Remove the trip override (platform policy applies again)
+   */
+  async clearCancellationPolicy(req, res, next) {
+    try {
+      const { id } = req.params;
+      const driverId = req.user.sub;
+
+      console.log(
+        `[TripOfferController] Clear cancellation policy | tripId: ${id} | driverId: ${driverId} | correlationId: ${req.correlationId}`
+      );
+
+      const updatedTrip = await this.cancellationPolicyService.clearTripPolicy(id, driverId);
+
+      res.status(200).json(TripOfferResponseDto.fromDomain(updatedTrip));
+    } catch (error) {
+      console.error(
+        `[TripOfferController] Clear cancellation policy failed | tripId: ${req.params.id} | driverId: ${req.user?.sub} | error: ${error.message} | correlationId: ${req.correlationId}`
+      );
+      next(error);
+    }
+  }
+
   /**
    * DELETE /drivers/trips/:id
    * Cancel a trip offer (soft delete)
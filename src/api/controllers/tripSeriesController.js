@@ -0,0 +1,172 @@
+const TripOfferService = require('../../domain/services/TripOfferService');
+const MongoTripOfferRepository = require('../../infrastructure/repositories/MongoTripOfferRepository');
+const MongoTripSeriesRepository = require('../../infrastructure/repositories/MongoTripSeriesRepository');
+const MongoVehicleRepository = require('../../infrastructure/repositories/MongoVehicleRepository');
+const MongoUserRepository = require('../../infrastructure/repositories/MongoUserRepository');
+const MongoBookingRequestRepository = require('../../infrastructure/repositories/MongoBookingRequestRepository');
+const MongoSeatLedgerRepository = require('../../infrastructure/repositories/MongoSeatLedgerRepository');
+const CreateTripSeriesDto = require('../../domain/dtos/CreateTripSeriesDto');
+const TripSeriesResponseDto = require('../../domain/dtos/TripSeriesResponseDto');
+const TripOfferResponseDto = require('../../domain/dtos/TripOfferResponseDto');
+
+/**
+ * Trip Series Controller
+ * Handles HTTP requests for recurring weekly trip series
+ */
+class TripSeriesController {
+  constructor() {
+    this.tripOfferRepository = new MongoTripOfferRepository();
+    this.tripSeriesRepository = new MongoTripSeriesRepository();
+    this.bookingRequestRepository = new MongoBookingRequestRepository();
+    this.seatLedgerRepository = new MongoSeatLedgerRepository();
+    this.tripOfferService = new TripOfferService(
+      this.tripOfferRepository,
+      new MongoVehicleRepository(),
+      new MongoUserRepository(),
+      this.tripSeriesRepository
+    );
+  }
+
+  /**
+   * POST /drivers/trip-series
+   * Create a series and generate occurrences up to the rolling horizon
+   */
+  async createSeries(req, res, next) {
+    try {
+      const driverId = req.user.id;
+
+      console.log(
+        `[TripSeriesController] Create series | driverId: ${driverId} | correlationId: ${req.correlationId}`
+      );
+
+      const createDto = CreateTripSeriesDto.fromRequest(req.body);
+      const { series, trips, skipped } = await this.tripOfferService.createTripSeries(driverId, createDto);
+
+      console.log(
+        `[TripSeriesController] Series created | seriesId: ${series.id} | trips: ${trips.length} | skipped: ${skipped.length} | correlationId: ${req.correlationId}`
+      );
+
+      res.status(201).json({
+        series: TripSeriesResponseDto.fromDomain(series),
+        trips: TripOfferResponseDto.fromDomainArray(trips),
+        skipped
+      });
+    } catch (error) {
+      console.error(
+        `[TripSeriesController] Create failed | driverId: ${req.user?.id} | error: ${error.message} | correlationId: ${req.correlationId}`
+      );
+      next(error);
+    }
+  }
+
+  /**
+   * GET /drivers/trip-series
+   * List series of the authenticated driver
+   */
+  async listMySeries(req, res, next) {
+    try {
+      const driverId = req.user.id;
+      const series = await this.tripOfferService.getTripSeriesByDriver(driverId, {
+        status: req.query.status
+      });
+
+      res.status(200).json({ items: TripSeriesResponseDto.fromDomainArray(series) });
+    } catch (error) {
+      console.error(
+        `[TripSeriesController] List failed | driverId: ${req.user?.id} | error: ${error.message} | correlationId: ${req.correlationId}`
+      );
+      next(error);
+    }
+  }
+
+  /**
+   * GET /drivers/trip-series/:seriesId
+   * Series detail with its upcoming occurrences
+   */
+  async getSeries(req, res, next) {
+    try {
+      const { seriesId } = req.params;
+      const driverId = req.user.id;
+
+      const series = await this.tripOfferService.getTripSeriesById(seriesId, driverId);
+      const upcoming = await this.tripOfferRepository.findUpcomingBySeries(seriesId);
+
+      res.status(200).json({
+        series: TripSeriesResponseDto.fromDomain(series),
+        upcomingTrips: TripOfferResponseDto.fromDomainArray(upcoming)
+      });
+    } catch (error) {
+      console.error(
+        `[TripSeriesController] Get failed | seriesId: ${req.params.seriesId} | error: ${error.message} | correlationId: ${req.correlationId}`
+      );
+      next(error);
+    }
+  }
+
+  /**
+   * PATCH /drivers/trip-series/:seriesId
+   * Edit all future occurrences (individually edited occurrences are kept)
+   */
+  async updateSeries(req, res, next) {
+    try {
+      const { seriesId } = req.params;
+      const driverId = req.user.id;
+
+      console.log(
+        `[TripSeriesController] Update series | seriesId: ${seriesId} | driverId: ${driverId} | fields: ${Object.keys(req.body).join(', ')} | correlationId: ${req.correlationId}`
+      );
+
+      const result = await this.tripOfferService.updateTripSeries(seriesId, driverId, req.body, {
+        bookingRequestRepository: this.bookingRequestRepository,
+        seatLedgerRepository: this.seatLedgerRepository
+      });
+
+      res.status(200).json({
+        series: TripSeriesResponseDto.fromDomain(result.series),
+        updatedTrips: TripOfferResponseDto.fromDomainArray(result.updatedTrips),
+        canceledTripIds: result.canceledTrips,
+        skippedTrips: result.skippedTrips
+      });
+    } catch (error) {
+      console.error(
+        `[TripSeriesController] Update failed | seriesId: ${req.params.seriesId} | error: ${error.message} | correlationId: ${req.correlationId}`
+      );
+      next(error);
+    }
+  }
+
+  /**
+   * DELETE /drivers/trip-series/:seriesId
+   * Cancel the series; every upcoming occurrence is canceled with cascade
+   */
+  async cancelSeries(req, res, next) {
+    try {
+      const { seriesId } = req.params;
+      const driverId = req.user.id;
+
+      console.log(
+        `[TripSeriesController] Cancel series | seriesId: ${seriesId} | driverId: ${driverId} | correlationId: ${req.correlationId}`
+      );
+
+      const result = await this.tripOfferService.cancelTripSeries(
+        seriesId,
+        driverId,
+        this.bookingRequestRepository,
+        this.seatLedgerRepository
+      );
+
+      console.log(
+        `[TripSeriesController] Series canceled | seriesId: ${seriesId} | tripsCanceled: ${result.tripsCanceled} | correlationId: ${req.correlationId}`
+      );
+
+      res.status(200).json(result);
+    } catch (error) {
+      console.error(
+        `[TripSeriesController] Cancel failed | seriesId: ${req.params.seriesId} | error: ${error.message} | correlationId: ${req.correlationId}`
+      );
+      next(error);
+    }
+  }
+}
+
+module.exports = TripSeriesController;
@@ -4,12 +4,14 @@ const MongoUserRepository = require('../../infrastructure/repositories/MongoUser
 const UpdateProfileDto = require('../../domain/dtos/UpdateProfileDto');
 const { generateCsrfToken, setCsrfCookie } = require('../../utils/csrf');
 const prefsConfig = require('../../domain/config/notificationPreferencesConfig');
+const NotificationPreferenceService = require('../../domain/services/NotificationPreferenceService');
 
 class UserController {
   constructor() {
     this.userService = new UserService();
     this.authService = new AuthService();
     this.userRepository = new MongoUserRepository();
+    this.notificationPreferenceService = new NotificationPreferenceService(this.userRepository);
   }
 
   /**
@@ -295,6 +297,37 @@ class UserController {
     }
   }
 
+  /**
+   * GET /users/me/notification-preferences
+   * Preferencias de notificación del usuario autenticado (defaults si nunca se guardaron)
+   */
+  async getNotificationPreferences(req, res, next) {
+    try {
+      const userId = req.user.sub;
+      const preferences = await this.notificationPreferenceService.getPreferences(userId);
+      return res.status(200).json({ ...preferences.toObject(), locked: prefsConfig.locked });
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * PATCH /users/me/notification-preferences
+   * Actualización parcial; los pares tipo/canal bloqueados no se pueden desactivar (403)
+   */
+  async updateNotificationPreferences(req, res, next) {
+    try {
+      const userId = req.user.sub;
+
+      console.log(`[UserController] Updating notification preferences | userId: ${userId} | fields: ${Object.keys(req.body).join(',')}`);
+
+      const preferences = await this.notificationPreferenceService.updatePreferences(userId, req.body);
+      return res.status(200).json({ ...preferences.toObject(), locked: prefsConfig.locked });
+    } catch (err) {
+      next(err);
+    }
+  }
+
   /**
    * GET /users/me/notification-preferences/metadata
    * Returns guardrail metadata (which event/channel pairs are locked/non-editable)
@@ -2,6 +2,9 @@ const UserReportModel = require('../../infrastructure/database/models/UserReport
 const TripOfferModel = require('../../infrastructure/database/models/TripOfferModel');
 const BookingRequestModel = require('../../infrastructure/database/models/BookingRequestModel');
 const UserModel = require('../../infrastructure/database/models/UserModel');
+const ModerationCaseService = require('../../domain/services/ModerationCaseService');
+
+const moderationCaseService = new ModerationCaseService();
 
 class UserReportController {
   /**
@@ -75,6 +78,23 @@ class UserReportController {
         });
       }
 
+      // No-show reports must match the attendance recorded on the booking:
+      // the driver reports a passenger marked passenger_no_show, a passenger
+      // reports the driver after reporting driver_no_show
+      if (category === 'no_show') {
+        const noShowRecorded = reporterIsDriver
+          ? !!isPassenger && isPassenger.boardingStatus === 'passenger_no_show'
+          : isDriver && !!reporterIsPassenger && reporterIsPassenger.boardingStatus === 'driver_no_show';
+
+        if (!noShowRecorded) {
+          return res.status(409).json({
+            code: 'no_show_not_recorded',
+            message: 'Solo puedes reportar una inasistencia registrada en el abordaje de este viaje',
+            correlationId: req.correlationId
+          });
+        }
+      }
+
       // Check for duplicate report
       const existing = await UserReportModel.findOne({
         reportedUserId: userId,
@@ -100,6 +120,15 @@ class UserReportController {
         correlationId: req.correlationId
       });
 
+      // Group into the open moderation case of the user; admins can still group it later
+      try {
+        await moderationCaseService.attachReport(report);
+      } catch (caseError) {
+        console.error(
+          `[UserReportController] Moderation case grouping failed | reportId: ${report._id} | error: ${caseError.message} | correlationId: ${req.correlationId}`
+        );
+      }
+
       console.log(
         `[UserReportController] User reported | reportedUserId: ${userId} | reporterId: ${reporterId} | tripId: ${tripId} | category: ${category} | correlationId: ${req.correlationId}`
       );
@@ -157,6 +186,7 @@ class UserReportController {
           },
           category: report.category,
           reason: report.reason || '',
+          messageId: report.messageId ? report.messageId.toString() : null,
           status: report.status || 'pending',
           createdAt: report.createdAt
         }));
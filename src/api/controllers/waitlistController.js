@@ -0,0 +1,98 @@
+/**
+ * WaitlistController
+ *
+ * Passenger waitlist endpoints for fully booked trips.
+ * Enforces RBAC (passenger-only); business rules live in WaitlistService.
+ */
+
+const WaitlistService = require('../../domain/services/WaitlistService');
+const BookingRequestResponseDto = require('../../domain/dtos/BookingRequestResponseDto');
+
+class WaitlistController {
+  constructor() {
+    this.waitlistService = WaitlistService.createDefault();
+  }
+
+  /**
+   * POST /passengers/trips/:tripId/waitlist
+   * Join the waitlist of a full trip
+   */
+  async joinWaitlist(req, res, next) {
+    try {
+      const passengerId = req.user.sub;
+      const { tripId } = req.params;
+
+      const entry = await this.waitlistService.joinWaitlist(passengerId, { ...req.body, tripId });
+
+      console.log(
+        `[WaitlistController] Joined waitlist | entryId: ${entry.id} | tripId: ${tripId} | position: ${entry.position} | correlationId: ${req.correlationId}`
+      );
+
+      res.status(201).json(entry.toObject());
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /passengers/waitlist
+   * My waitlist entries (most recent first)
+   */
+  async listMyEntries(req, res, next) {
+    try {
+      const entries = await this.waitlistService.listPassengerEntries(req.user.sub, { status: req.query.status });
+      res.status(200).json({ items: entries.map((entry) => entry.toObject()) });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * DELETE /passengers/waitlist/:entryId
+   * Leave the waitlist (a pending offer is given to the next in line)
+   */
+  async leaveWaitlist(req, res, next) {
+    try {
+      const entry = await this.waitlistService.leaveWaitlist(req.params.entryId, req.user.sub);
+      res.status(200).json(entry.toObject());
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /passengers/waitlist/:entryId/confirm
+   * Take an active offer; creates the booking
+   */
+  async confirmOffer(req, res, next) {
+    try {
+      const { entry, booking } = await this.waitlistService.confirmOffer(req.params.entryId, req.user.sub);
+
+      console.log(
+        `[WaitlistController] Offer confirmed | entryId: ${entry.id} | bookingId: ${booking.id} | status: ${booking.status} | correlationId: ${req.correlationId}`
+      );
+
+      res.status(200).json({
+        entry: entry.toObject(),
+        booking: BookingRequestResponseDto.fromDomain(booking)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /passengers/waitlist/:entryId/decline
+   * Turn an offer down
+   */
+  async declineOffer(req, res, next) {
+    try {
+      const entry = await this.waitlistService.declineOffer(req.params.entryId, req.user.sub);
+      res.status(200).json(entry.toObject());
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = WaitlistController;
@@ -24,6 +24,7 @@ const errorHandler = (err, req, res, next) => {
     const codeToStatus = {
       invalid_booking_state: 409,
       duplicate_payment: 409,
+      duplicate_refund: 409,
       forbidden_owner: 403,
       forbidden: 403,
       unauthorized: 401,
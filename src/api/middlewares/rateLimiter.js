@@ -112,11 +112,32 @@ const preferenceUpdateRateLimiter = rateLimit({
   }
 });
 
+/**
+ * Rate limiter for boarding check-in
+ * 10 requests per minute per driver
+ * Slows down boarding PIN guessing (BoardingService also locks the trip)
+ */
+const boardingCheckInRateLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 10, // Maximum 10 check-ins per driver per window
+  message: {
+    code: 'too_many_attempts',
+    message: 'Too many check-in attempts, try again later'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => (req.user && req.user.sub) || req.ip,
+  skip: (req) => {
+    return process.env.NODE_ENV === 'development' || process.env.NODE_ENV === 'test';
+  }
+});
+
 module.exports = {
   publicRateLimiter,
   generalRateLimiter,
   loginRateLimiter,
-  passwordResetRateLimiter
+  passwordResetRateLimiter,
+  boardingCheckInRateLimiter
 };
 // Export preference limiter for routes that update user preferences
 module.exports.preferenceUpdateRateLimiter = preferenceUpdateRateLimiter;
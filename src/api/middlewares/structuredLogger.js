@@ -46,6 +46,20 @@ function redactPII(obj) {
   return redacted;
 }
 
+/**
+ * Secret tokens carried in the path (calendar feed URLs)
+ */
+const SECRET_PATH_PATTERN = /^(\/calendar\/)[^/?]+(\.ics)/;
+
+/**
+ * Redact secret tokens from a request path
+ * @param {string} url - Original URL
+ * @returns {string} - URL safe to log
+ */
+function redactPath(url) {
+  return String(url || '').replace(SECRET_PATH_PATTERN, '$1[REDACTED]$2');
+}
+
 /**
  * Get safe user identifier for logging (no PII)
  * @param {Object} req - Express request
@@ -69,7 +83,7 @@ const structuredLogger = (req, res, next) => {
     timestamp: new Date().toISOString(),
     correlationId: req.correlationId,
     method,
-    path: originalUrl,
+    path: redactPath(originalUrl),
     ip,
     userId: getSafeUserId(req),
     userAgent: req.get('user-agent') || 'unknown',
@@ -120,7 +134,7 @@ const structuredLogger = (req, res, next) => {
       timestamp: new Date().toISOString(),
       correlationId: req.correlationId,
       method,
-      path: originalUrl,
+      path: redactPath(originalUrl),
       status: res.statusCode,
       latency: `${latency}ms`,
       userId: getSafeUserId(req)
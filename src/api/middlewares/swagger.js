@@ -31,7 +31,8 @@ const swaggerOptions = {
       { name: 'Vehicles', description: 'Gestión de vehículos (drivers)' },
       { name: 'Authentication', description: 'Autenticación y sesiones' },
       { name: 'Trip Offers', description: 'Gestión de ofertas de viajes (drivers)' },
-      { name: 'Passenger Trips', description: 'Búsqueda y reserva de viajes (passengers)' }
+      { name: 'Passenger Trips', description: 'Búsqueda y reserva de viajes (passengers)' },
+      { name: 'Payments', description: 'Pagos y reembolsos de reservas' }
     ],
     components: {
       securitySchemes: {
@@ -168,12 +169,40 @@ const swaggerOptions = {
                 }
               }
             },
+            waypoints: {
+              type: 'array',
+              description: 'Ordered intermediate stops (stop indexes 1..n, origin = 0, destination = n + 1)',
+              items: {
+                type: 'object',
+                properties: {
+                  text: { type: 'string', example: 'Portal Norte' },
+                  geo: {
+                    type: 'object',
+                    properties: {
+                      lat: { type: 'number', example: 4.754 },
+                      lng: { type: 'number', example: -74.046 }
+                    }
+                  }
+                }
+              }
+            },
             departureAt: { type: 'string', format: 'date-time', example: '2025-11-01T07:30:00.000Z' },
             estimatedArrivalAt: { type: 'string', format: 'date-time', example: '2025-11-01T08:10:00.000Z' },
             pricePerSeat: { type: 'number', example: 6000 },
             totalSeats: { type: 'integer', example: 3 },
             status: { type: 'string', enum: ['draft', 'published', 'canceled', 'completed'], example: 'published' },
             notes: { type: 'string', example: 'Two backpacks max.' },
+            instantBook: { type: 'boolean', example: false, description: 'Booking requests are accepted on creation while seats last' },
+            termsVersion: { type: 'integer', minimum: 1, example: 1, description: 'Bumped on every price, time or route change' },
+            rideRequestId: { type: 'string', nullable: true, description: 'Passenger ride request the trip was created to fulfill' },
+            cancellationPolicy: {
+              type: 'object',
+              nullable: true,
+              description: 'Driver override of the platform cancellation policy (null = platform policy)',
+              properties: {
+                tiers: { type: 'array', items: { $ref: '#/components/schemas/CancellationTier' } }
+              }
+            },
             createdAt: { type: 'string', format: 'date-time', example: '2025-10-22T10:00:00.000Z' },
             updatedAt: { type: 'string', format: 'date-time', example: '2025-10-22T10:00:00.000Z' }
           }
@@ -194,8 +223,401 @@ const swaggerOptions = {
           type: 'object',
           properties: {
             totalSeats: { type: 'integer', example: 3 },
-            allocatedSeats: { type: 'integer', example: 2 },
-            remainingSeats: { type: 'integer', example: 1 }
+            allocatedSeats: { type: 'integer', example: 2, description: 'Peak occupancy across route segments' },
+            remainingSeats: { type: 'integer', example: 1 },
+            segments: {
+              type: 'array',
+              description: 'Occupancy per route segment (stop i → stop i + 1)',
+              items: {
+                type: 'object',
+                properties: {
+                  fromStopIndex: { type: 'integer', example: 0 },
+                  toStopIndex: { type: 'integer', example: 1 },
+                  from: { type: 'string', example: 'Universidad de La Sabana' },
+                  to: { type: 'string', example: 'Portal Norte' },
+                  allocatedSeats: { type: 'integer', example: 2 },
+                  remainingSeats: { type: 'integer', example: 1 }
+                }
+              }
+            }
+          }
+        },
+        // Booking payment (clientSecret only on POST payment-intent)
+        Payment: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: '66c1d2e3f4a5b6c7d8e9f0a1' },
+            bookingId: { type: 'string', example: '66b1c2d3e4f5a6b7c8d9e0f1' },
+            tripId: { type: 'string', example: '66a1b2c3d4e5f6a7b8c9d0e1' },
+            amount: { type: 'number', example: 12000, description: 'pricePerSeat × seats' },
+            currency: { type: 'string', example: 'COP' },
+            status: {
+              type: 'string',
+              enum: ['requires_payment', 'processing', 'succeeded', 'failed', 'canceled'],
+              example: 'requires_payment'
+            },
+            provider: { type: 'string', example: 'stripe' },
+            refundedAmount: { type: 'number', example: 0 },
+            paidAt: { type: 'string', format: 'date-time', nullable: true },
+            failureReason: { type: 'string', nullable: true },
+            clientSecret: { type: 'string', example: 'pi_3Pabc_secret_xyz' },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        // User notification preferences (GET/PATCH /api/users/me/notification-preferences)
+        NotificationPreferences: {
+          type: 'object',
+          properties: {
+            channels: {
+              type: 'object',
+              properties: {
+                email: { type: 'boolean', example: true },
+                inApp: { type: 'boolean', example: true },
+                push: { type: 'boolean', example: false }
+              }
+            },
+            types: {
+              type: 'object',
+              description: 'Per-type overrides of the global channels',
+              additionalProperties: {
+                type: 'object',
+                properties: {
+                  email: { type: 'boolean' },
+                  inApp: { type: 'boolean' },
+                  push: { type: 'boolean' }
+                }
+              },
+              example: { 'trip.reminder': { email: false } }
+            },
+            quietHours: {
+              type: 'object',
+              properties: {
+                enabled: { type: 'boolean', example: false },
+                start: { type: 'string', example: '22:00' },
+                end: { type: 'string', example: '07:00' },
+                timezone: { type: 'string', example: 'America/Bogota' }
+              }
+            },
+            locked: {
+              type: 'object',
+              description: 'Type/channel pairs that cannot be disabled',
+              example: { 'payment.failed': { email: true } }
+            }
+          }
+        },
+        // Whether a driver can publish/start trips (GET /drivers/me/eligibility)
+        DriverEligibility: {
+          type: 'object',
+          properties: {
+            canPublish: { type: 'boolean', example: false },
+            canStart: { type: 'boolean', example: true },
+            reasons: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  code: { type: 'string', example: 'publish_banned' },
+                  message: { type: 'string', example: 'An administrator banned you from publishing trips' },
+                  blocks: { type: 'array', items: { type: 'string', enum: ['publish', 'start'] }, example: ['publish'] },
+                  until: { type: 'string', format: 'date-time', description: 'When the reason lifts on its own, if it does' }
+                }
+              }
+            },
+            checkedAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        // iCalendar feed of the user's trips (GET /calendar/{token}.ics)
+        CalendarFeed: {
+          type: 'object',
+          properties: {
+            enabled: { type: 'boolean', example: true },
+            rotatedAt: { type: 'string', format: 'date-time', nullable: true, description: 'When the current URL was issued' }
+          }
+        },
+        // Cancellation policy tier (refund/penalty by hours of notice before departure)
+        CancellationTier: {
+          type: 'object',
+          required: ['minHoursBeforeDeparture', 'refundPercent'],
+          properties: {
+            minHoursBeforeDeparture: { type: 'number', minimum: 0, example: 24 },
+            refundPercent: { type: 'number', minimum: 0, maximum: 100, example: 100 },
+            penaltyPercent: { type: 'number', minimum: 0, maximum: 100, example: 0 }
+          }
+        },
+        // Result of applying the cancellation policy to a booking
+        CancellationOutcome: {
+          type: 'object',
+          properties: {
+            policySource: {
+              type: 'string',
+              enum: ['platform', 'trip', 'platform_cancellation', 'pending_request'],
+              example: 'platform'
+            },
+            hoursBeforeDeparture: { type: 'number', nullable: true, example: 5.5 },
+            amount: { type: 'number', example: 12000, description: 'Amount paid for the booking (0 if unpaid)' },
+            refundPercent: { type: 'number', example: 50 },
+            refundAmount: { type: 'number', example: 6000 },
+            penaltyPercent: { type: 'number', example: 0 },
+            penaltyAmount: { type: 'number', example: 0 },
+            isLateCancellation: { type: 'boolean', example: false }
+          }
+        },
+        // Passenger in line for seats on a full trip
+        WaitlistEntry: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: '66a1b2c3d4e5f6a7b8c9d0e4' },
+            tripId: { type: 'string', example: '66a1b2c3d4e5f6a7b8c9d0e1' },
+            passengerId: { type: 'string', example: '66a1b2c3d4e5f6a7b8c9d0e2' },
+            seats: { type: 'integer', example: 1 },
+            note: { type: 'string', example: '' },
+            boardStopIndex: { type: 'integer', example: 0 },
+            alightStopIndex: { type: 'integer', example: 1 },
+            status: {
+              type: 'string',
+              enum: ['waiting', 'offered', 'confirmed', 'declined', 'expired', 'left', 'closed'],
+              example: 'waiting'
+            },
+            position: { type: 'integer', nullable: true, example: 2, description: '1-based place in line (waiting entries)' },
+            offeredAt: { type: 'string', format: 'date-time', nullable: true },
+            offerExpiresAt: { type: 'string', format: 'date-time', nullable: true },
+            promotionMode: { type: 'string', enum: ['request', 'auto_accept'], nullable: true },
+            bookingId: { type: 'string', nullable: true },
+            resolvedAt: { type: 'string', format: 'date-time', nullable: true },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        // Live position of the car while a trip is in progress
+        TripLocation: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: '66a1b2c3d4e5f6a7b8c9d0e5' },
+            tripId: { type: 'string', example: '66a1b2c3d4e5f6a7b8c9d0e1' },
+            lat: { type: 'number', example: 4.8613 },
+            lng: { type: 'number', example: -74.0325 },
+            heading: { type: 'number', nullable: true, example: 180 },
+            speedKmh: { type: 'number', nullable: true, example: 42 },
+            accuracyM: { type: 'number', nullable: true, example: 8 },
+            recordedAt: { type: 'string', format: 'date-time', description: 'Device time of the fix' },
+            createdAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        TripLocationSnapshot: {
+          type: 'object',
+          properties: {
+            tripId: { type: 'string', example: '66a1b2c3d4e5f6a7b8c9d0e1' },
+            status: { type: 'string', enum: ['draft', 'published', 'in_progress', 'completed', 'canceled'], example: 'in_progress' },
+            sharing: { type: 'boolean', example: true, description: 'True while the trip is in progress' },
+            latest: { allOf: [{ $ref: '#/components/schemas/TripLocation' }], nullable: true },
+            positions: { type: 'array', description: 'Newest first', items: { $ref: '#/components/schemas/TripLocation' } }
+          }
+        },
+        TripMessage: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: '66c1d2e3f4a5b6c7d8e9f0a1' },
+            tripId: { type: 'string', example: '66a1b2c3d4e5f6a7b8c9d0e1' },
+            senderId: { type: 'string' },
+            senderRole: { type: 'string', enum: ['driver', 'passenger'], example: 'driver' },
+            body: { type: 'string', example: 'Estoy en la portería principal' },
+            masked: { type: 'boolean', example: false, description: 'Contact details were hidden for this reader' },
+            readBy: { type: 'array', items: { type: 'string' }, description: 'Participants (not the sender) who have seen it' },
+            createdAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        TripChat: {
+          type: 'object',
+          properties: {
+            tripId: { type: 'string', example: '66a1b2c3d4e5f6a7b8c9d0e1' },
+            status: { type: 'string', enum: ['open', 'closed'], example: 'open' },
+            closesAt: { type: 'string', format: 'date-time', nullable: true, description: 'Set once the trip is completed' },
+            closeReason: { type: 'string', enum: ['completed', 'canceled'], nullable: true },
+            canSend: { type: 'boolean', example: true },
+            unread: { type: 'integer', example: 2 },
+            participants: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  userId: { type: 'string' },
+                  role: { type: 'string', enum: ['driver', 'passenger'] },
+                  lastReadAt: { type: 'string', format: 'date-time', nullable: true }
+                }
+              }
+            },
+            messages: { type: 'array', description: 'Newest first', items: { $ref: '#/components/schemas/TripMessage' } },
+            hasMore: { type: 'boolean', example: false }
+          }
+        },
+        TripTerms: {
+          type: 'object',
+          description: 'Version of the price, time and route of a trip',
+          properties: {
+            version: { type: 'integer', minimum: 1, example: 2 },
+            pricePerSeat: { type: 'number', example: 7000 },
+            departureAt: { type: 'string', format: 'date-time' },
+            estimatedArrivalAt: { type: 'string', format: 'date-time' },
+            origin: { type: 'object', properties: { text: { type: 'string' }, geo: { type: 'object', properties: { lat: { type: 'number' }, lng: { type: 'number' } } } } },
+            destination: { type: 'object', properties: { text: { type: 'string' }, geo: { type: 'object', properties: { lat: { type: 'number' }, lng: { type: 'number' } } } } },
+            waypoints: { type: 'array', items: { type: 'object' } }
+          }
+        },
+        TripChangeProposal: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: '66b1c2d3e4f5a6b7c8d9e0f1' },
+            tripId: { type: 'string', example: '66a1b2c3d4e5f6a7b8c9d0e1' },
+            changes: { type: 'array', items: { type: 'string', enum: ['price', 'time', 'route'] }, example: ['price'] },
+            previousTerms: { $ref: '#/components/schemas/TripTerms' },
+            proposedTerms: { $ref: '#/components/schemas/TripTerms' },
+            status: { type: 'string', enum: ['open', 'closed'], example: 'open' },
+            deadline: { type: 'string', format: 'date-time' },
+            summary: {
+              type: 'object',
+              description: 'Responses per status',
+              example: { pending: 1, accepted: 2, declined: 0, expired: 0, canceled: 0 }
+            },
+            responses: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  bookingId: { type: 'string' },
+                  passengerId: { type: 'string' },
+                  seats: { type: 'integer', example: 1 },
+                  bookingStatus: { type: 'string', enum: ['pending', 'accepted'] },
+                  status: { type: 'string', enum: ['pending', 'accepted', 'declined', 'expired', 'canceled'] },
+                  respondedAt: { type: 'string', format: 'date-time', nullable: true }
+                }
+              }
+            },
+            closedAt: { type: 'string', format: 'date-time', nullable: true },
+            createdAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        PassengerChangeProposal: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: '66b1c2d3e4f5a6b7c8d9e0f1' },
+            tripId: { type: 'string', example: '66a1b2c3d4e5f6a7b8c9d0e1' },
+            changes: { type: 'array', items: { type: 'string', enum: ['price', 'time', 'route'] }, example: ['time'] },
+            previousTerms: { $ref: '#/components/schemas/TripTerms' },
+            proposedTerms: { $ref: '#/components/schemas/TripTerms' },
+            status: { type: 'string', enum: ['open', 'closed'], example: 'open' },
+            deadline: { type: 'string', format: 'date-time' },
+            bookingId: { type: 'string' },
+            response: { type: 'string', enum: ['pending', 'accepted', 'declined', 'expired', 'canceled'], example: 'pending' },
+            respondedAt: { type: 'string', format: 'date-time', nullable: true },
+            createdAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        SavedSearch: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: '66c1d2e3f4a5b6c7d8e9f0a1' },
+            name: { type: 'string', example: 'Casa a la U' },
+            filters: {
+              type: 'object',
+              description: 'Trip search filters that were set (pickup/drop-off points as nearOrigin/nearDestination)',
+              properties: {
+                qOrigin: { type: 'string', example: 'Chía' },
+                qDestination: { type: 'string', example: 'Universidad de La Sabana' },
+                fromDate: { type: 'string', format: 'date-time' },
+                toDate: { type: 'string', format: 'date-time' },
+                fromTime: { type: 'string', example: '06:00' },
+                toTime: { type: 'string', example: '08:00' },
+                minAvailableSeats: { type: 'integer' },
+                minPrice: { type: 'number' },
+                maxPrice: { type: 'number' },
+                nearOrigin: { type: 'object', properties: { lat: { type: 'number' }, lng: { type: 'number' } } },
+                nearDestination: { type: 'object', properties: { lat: { type: 'number' }, lng: { type: 'number' } } },
+                radius: { type: 'integer' }
+              }
+            },
+            daysOfWeek: { type: 'array', items: { type: 'integer', minimum: 0, maximum: 6 }, example: [1, 2, 3, 4, 5] },
+            muted: { type: 'boolean', example: false },
+            alertsToday: { type: 'integer', example: 1 },
+            lastAlertAt: { type: 'string', format: 'date-time', nullable: true },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        RideRequest: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: '66d1e2f3a4b5c6d7e8f9a0b1' },
+            origin: {
+              type: 'object',
+              properties: {
+                text: { type: 'string', example: 'Chía, parque principal' },
+                geo: { type: 'object', properties: { lat: { type: 'number', example: 4.8619 }, lng: { type: 'number', example: -74.0327 } } }
+              }
+            },
+            destination: {
+              type: 'object',
+              properties: {
+                text: { type: 'string', example: 'Universidad de La Sabana' },
+                geo: { type: 'object', properties: { lat: { type: 'number', example: 4.8615 }, lng: { type: 'number', example: -74.0337 } } }
+              }
+            },
+            windowStart: { type: 'string', format: 'date-time', description: 'Earliest acceptable departure' },
+            windowEnd: { type: 'string', format: 'date-time', description: 'Latest acceptable departure' },
+            seats: { type: 'integer', example: 1 },
+            maxPricePerSeat: { type: 'number', nullable: true, example: 7000 },
+            note: { type: 'string', example: 'Llevo un morral' },
+            status: { type: 'string', enum: ['open', 'fulfilled', 'canceled', 'expired'], example: 'open' },
+            tripId: { type: 'string', nullable: true, description: 'Trip created to fulfill the request' },
+            bookingId: { type: 'string', nullable: true, description: 'Accepted booking on that trip' },
+            fulfilledAt: { type: 'string', format: 'date-time', nullable: true },
+            canceledAt: { type: 'string', format: 'date-time', nullable: true },
+            expiredAt: { type: 'string', format: 'date-time', nullable: true },
+            createdAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        DriverRideRequest: {
+          type: 'object',
+          description: 'Open ride request as seen by drivers (requester not shown)',
+          properties: {
+            id: { type: 'string' },
+            origin: { type: 'object', properties: { text: { type: 'string' }, geo: { type: 'object' } } },
+            destination: { type: 'object', properties: { text: { type: 'string' }, geo: { type: 'object' } } },
+            windowStart: { type: 'string', format: 'date-time' },
+            windowEnd: { type: 'string', format: 'date-time' },
+            seats: { type: 'integer', example: 1 },
+            maxPricePerSeat: { type: 'number', nullable: true },
+            note: { type: 'string' },
+            distance: {
+              type: 'object',
+              description: 'Straight-line meters from the route origin/destination',
+              properties: {
+                originMeters: { type: 'integer', example: 350 },
+                destinationMeters: { type: 'integer', example: 120 },
+                totalMeters: { type: 'integer', example: 470 }
+              }
+            },
+            createdAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        DriverSettings: {
+          type: 'object',
+          properties: {
+            waitlistPromotion: { type: 'string', enum: ['request', 'auto_accept'], example: 'request' },
+            autoAcceptRules: {
+              type: 'array',
+              maxItems: 5,
+              description: 'Standing rules that accept booking requests on creation (first match fires)',
+              items: {
+                type: 'object',
+                required: ['type'],
+                properties: {
+                  type: { type: 'string', enum: ['min_rating', 'previous_rider'], example: 'previous_rider' },
+                  minRating: { type: 'number', minimum: 1, maximum: 5, nullable: true, description: 'min_rating rules only', example: 4 },
+                  maxSeats: { type: 'integer', minimum: 1, nullable: true, description: 'Largest request the rule accepts (null = any)', example: 2 }
+                }
+              }
+            }
           }
         }
       },
@@ -3,10 +3,16 @@ const router = express.Router();
 const authenticate = require('../middlewares/authenticate');
 const { requireRole } = require('../middlewares/authenticate');
 const adminController = require('../controllers/adminController');
+const TripLocationController = require('../controllers/tripLocationController');
+const tripLocationController = new TripLocationController();
+const TripChatController = require('../controllers/tripChatController');
+const tripChatController = new TripChatController();
+const { tripChatQuerySchema } = require('../validation/tripChatSchemas');
 const validateRequest = require('../middlewares/validateRequest');
 const { listTripsQuery, listBookingsQuery, listRefundsQuery, suspendUserSchema, forceCancelTripSchema, publishBanSchema } = require('../validation/adminSchemas');
 const { correctBookingStateSchema } = require('../validation/adminSchemas');
 const { moderationNoteSchema, evidenceUploadRequestSchema, listModerationNotesQuery, listAuditQuery, exportAuditQuery } = require('../validation/adminSchemas');
+const { listUserReportsQuery, listModerationCasesQuery, moderationCaseParamsSchema, groupUserReportsSchema, assignModerationCaseSchema, linkModerationCaseSchema, closeModerationCaseSchema } = require('../validation/adminSchemas');
 
 // GET /admin/users
 router.get('/users', authenticate, requireRole(['admin']), adminController.listUsers);
@@ -26,6 +32,12 @@ router.get('/refunds', authenticate, requireRole(['admin']), validateRequest(lis
 // PATCH /admin/users/:id/suspension
 router.patch('/users/:id/suspension', authenticate, requireRole(['admin']), validateRequest(suspendUserSchema, 'body'), adminController.suspendUser);
 
+// GET /admin/trips/:tripId/location (safety staff: live location of a trip in progress)
+router.get('/trips/:tripId/location', authenticate, requireRole(['admin']), tripLocationController.getTripLocation.bind(tripLocationController));
+
+// GET /admin/trips/:tripId/chat (moderation: read-only, messages unmasked)
+router.get('/trips/:tripId/chat', authenticate, requireRole(['admin']), validateRequest(tripChatQuerySchema, 'query'), tripChatController.getConversation.bind(tripChatController));
+
 // POST /admin/trips/:tripId/force-cancel
 router.post('/trips/:tripId/force-cancel', authenticate, requireRole(['admin']), validateRequest(forceCancelTripSchema, 'body'), adminController.forceCancelTrip);
 
@@ -35,11 +47,24 @@ router.post('/bookings/:bookingId/correct-state', authenticate, requireRole(['ad
 // PATCH /admin/drivers/:driverId/publish-ban
 router.patch('/drivers/:driverId/publish-ban', authenticate, requireRole(['admin']), validateRequest(publishBanSchema, 'body'), adminController.publishBan);
 
+// Platform cancellation policy
+router.get('/cancellation-policy', authenticate, requireRole(['admin']), adminController.getCancellationPolicy);
+router.put('/cancellation-policy', authenticate, requireRole(['admin']), validateRequest(require('../validation/adminSchemas').updateCancellationPolicySchema, 'body'), adminController.updateCancellationPolicy);
+
 // Moderation notes
 router.post('/moderation/notes', authenticate, requireRole(['admin']), validateRequest(moderationNoteSchema, 'body'), adminController.createModerationNote);
 router.post('/moderation/evidence/upload-url', authenticate, requireRole(['admin']), validateRequest(evidenceUploadRequestSchema, 'body'), adminController.createEvidenceUploadUrl);
 router.get('/moderation/notes', authenticate, requireRole(['admin']), validateRequest(listModerationNotesQuery, 'query'), adminController.listModerationNotes);
 
+// Moderation cases: user reports grouped per reported user, assigned, linked to notes/evidence and closed with an outcome
+router.get('/moderation/reports', authenticate, requireRole(['admin']), validateRequest(listUserReportsQuery, 'query'), adminController.listUserReports);
+router.get('/moderation/cases', authenticate, requireRole(['admin']), validateRequest(listModerationCasesQuery, 'query'), adminController.listModerationCases);
+router.post('/moderation/cases', authenticate, requireRole(['admin']), validateRequest(groupUserReportsSchema, 'body'), adminController.groupUserReports);
+router.get('/moderation/cases/:caseId', authenticate, requireRole(['admin']), validateRequest(moderationCaseParamsSchema, 'params'), adminController.getModerationCase);
+router.patch('/moderation/cases/:caseId/assignment', authenticate, requireRole(['admin']), validateRequest(moderationCaseParamsSchema, 'params'), validateRequest(assignModerationCaseSchema, 'body'), adminController.assignModerationCase);
+router.post('/moderation/cases/:caseId/links', authenticate, requireRole(['admin']), validateRequest(moderationCaseParamsSchema, 'params'), validateRequest(linkModerationCaseSchema, 'body'), adminController.linkModerationCase);
+router.post('/moderation/cases/:caseId/close', authenticate, requireRole(['admin']), validateRequest(moderationCaseParamsSchema, 'params'), validateRequest(closeModerationCaseSchema, 'body'), adminController.closeModerationCase);
+
 // Audit listing and export
 router.get('/audit', authenticate, requireRole(['admin']), validateRequest(listAuditQuery, 'query'), adminController.listAudit);
 // New route: /admin/audit/logs (same as /admin/audit but clearer path)
@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+
+const CalendarFeedController = require('../controllers/calendarFeedController');
+const validateRequest = require('../middlewares/validateRequest');
+const { generalRateLimiter } = require('../middlewares/rateLimiter');
+const { calendarFeedTokenParamsSchema } = require('../validation/userSchemas');
+
+const controller = new CalendarFeedController();
+
+/**
+ * @openapi
+ * /calendar/{token}.ics:
+ *   get:
+ *     tags:
+ *       - Users
+ *     summary: iCalendar feed of my trips
+ *     description: |
+ *       Polled by calendar clients, so it takes no session: the secret token in the URL
+ *       (issued by POST /api/users/me/calendar-feed/rotate) identifies the user.
+ *
+ *       - Trips I drive: `UID trip-<tripId>@wheels-unisabana`
+ *       - My bookings: `UID booking-<bookingId>@wheels-unisabana`
+ *       - SEQUENCE increases when the departure time or route changes and on cancellation
+ *       - Canceled trips and bookings are listed with `STATUS:CANCELLED` until departure
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Calendar
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Malformed token (invalid_schema)
+ *       404:
+ *         description: Unknown, rotated or disabled token (calendar_feed_not_found)
+ */
+router.get(
+  '/:token.ics',
+  generalRateLimiter,
+  validateRequest(calendarFeedTokenParamsSchema, 'params'),
+  controller.getFeed.bind(controller)
+);
+
+module.exports = router;
@@ -13,14 +13,48 @@ const authenticate = require('../middlewares/authenticate');
 const { requireRole } = require('../middlewares/authenticate');
 const requireCsrf = require('../middlewares/requireCsrf');
 const validateRequest = require('../middlewares/validateRequest');
+const { boardingCheckInRateLimiter } = require('../middlewares/rateLimiter');
 const {
   driverTripBookingRequestsQuerySchema,
   tripIdParamSchema,
-  bookingIdParamSchema
+  bookingIdParamSchema,
+  tripBookingParamsSchema,
+  checkInSchema,
+  noShowSchema
 } = require('../validation/bookingRequestSchemas');
-const { listReviewsQuerySchema } = require('../validation/reviewSchemas');
+const {
+  listReviewsQuerySchema,
+  createReviewBodySchema,
+  reviewIdParamSchema,
+  reviewReplyBodySchema
+} = require('../validation/reviewSchemas');
+const { updateDriverSettingsSchema } = require('../validation/userSchemas');
+const { tripLocationSchema } = require('../validation/tripOfferSchemas');
 const ReviewController = require('../controllers/reviewController');
 const reviewController = new ReviewController();
+const PassengerReviewController = require('../controllers/passengerReviewController');
+const passengerReviewController = new PassengerReviewController();
+const BoardingController = require('../controllers/boardingController');
+const boardingController = new BoardingController();
+const TripLocationController = require('../controllers/tripLocationController');
+const tripLocationController = new TripLocationController();
+const TripChangeProposalController = require('../controllers/tripChangeProposalController');
+const tripChangeProposalController = new TripChangeProposalController();
+const RideRequestController = require('../controllers/rideRequestController');
+const rideRequestController = new RideRequestController();
+const {
+  browseRideRequestsQuerySchema,
+  fulfillRideRequestSchema,
+  rideRequestIdParamSchema
+} = require('../validation/rideRequestSchemas');
+const TripChatController = require('../controllers/tripChatController');
+const tripChatController = new TripChatController();
+const {
+  tripChatQuerySchema,
+  sendTripMessageSchema,
+  reportTripMessageSchema,
+  tripMessageParamsSchema
+} = require('../validation/tripChatSchemas');
 const { verificationUpload, handleUploadError, cleanupOnError } = require('../middlewares/uploadMiddleware');
 
 /**
@@ -94,10 +128,20 @@ const { verificationUpload, handleUploadError, cleanupOnError } = require('../mi
  *                       id: { type: string, example: "66a1b2c3d4e5f6a7b8c9d0e1" }
  *                       tripId: { type: string, example: "66a1b2c3d4e5f6a7b8c9d0e1" }
  *                       passengerId: { type: string, example: "665e2af1b2c3d4e5f6a7b8c9" }
+ *                       passengerRating:
+ *                         type: object
+ *                         description: Reviews drivers wrote about the passenger (avgRating null when unrated)
+ *                         properties:
+ *                           avgRating: { type: number, nullable: true, example: 4.8 }
+ *                           count: { type: integer, example: 12 }
  *                       status: { type: string, enum: [pending, accepted, declined, canceled_by_passenger, expired], example: "pending" }
  *                       seats: { type: integer, example: 1 }
  *                       note: { type: string, nullable: true, example: "Window seat please" }
  *                       acceptedAt: { type: string, format: date-time, nullable: true }
+ *                       autoAcceptRule: { type: string, enum: [instant_book, min_rating, previous_rider], nullable: true }
+ *                       rideRequestId: { type: string, nullable: true, description: "Ride request fulfilled by this booking" }
+ *                       boardingStatus: { type: string, enum: [checked_in, passenger_no_show, driver_no_show], nullable: true }
+ *                       boardedAt: { type: string, format: date-time, nullable: true }
  *                       declinedAt: { type: string, format: date-time, nullable: true }
  *                       canceledAt: { type: string, format: date-time, nullable: true }
  *                       createdAt: { type: string, format: date-time }
@@ -148,6 +192,8 @@ router.get(
  *     description: |
  *       Returns current capacity numbers for a driver's trip. Owner-only.
  *       Response includes `totalSeats`, `allocatedSeats` (from Seat Ledger), and `remainingSeats`.
+ *       For trips with intermediate stops, `allocatedSeats` is the busiest segment and
+ *       `segments` breaks occupancy down per leg of the route.
  *     security:
  *       - cookieAuth: []
  *     parameters:
@@ -323,9 +369,866 @@ router.post(
   driverController.declineBookingRequest
 );
 
+/**
+ * @openapi
+ * /drivers/trips/{tripId}/waitlist:
+ *   get:
+ *     tags:
+ *       - Drivers
+ *     summary: Waitlist of a driver's trip (owner-only)
+ *     description: |
+ *       Open waitlist entries in line order (first come, first served).
+ *       - `waiting` entries carry their 1-based `position`
+ *       - `offered` entries hold released seats until `offerExpiresAt`
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-f\d]{24}$'
+ *     responses:
+ *       200:
+ *         description: Open waitlist entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WaitlistEntry'
+ *       403:
+ *         description: Trip not owned by driver (forbidden_owner)
+ *       404:
+ *         description: Trip not found (trip_not_found)
+ */
+router.get(
+  '/trips/:tripId/waitlist',
+  authenticate,
+  requireRole('driver'),
+  validateRequest(tripIdParamSchema, 'params'),
+  driverController.listTripWaitlist
+);
+
+/**
+ * @openapi
+ * /drivers/trips/{tripId}/check-in:
+ *   post:
+ *     tags:
+ *       - Drivers
+ *     summary: Check a passenger in at pickup (owner-only)
+ *     description: |
+ *       The passenger shows the boarding PIN or QR code of their boarding pass.
+ *       - Open from `BOARDING_CHECK_IN_OPEN_MINUTES` (default 60) before departure
+ *         until the trip is completed
+ *       - With the QR code send `bookingId` and `pin` (the QR payload is
+ *         `wheels-boarding:<bookingId>:<pin>`); with the PIN alone it must be unique on the trip
+ *       - After `BOARDING_PIN_MAX_FAILED_ATTEMPTS` (default 10) wrong PINs check-in
+ *         is locked for the trip; requests are limited to 10 per minute per driver
+ *       - Idempotent once checked in; the passenger gets `booking.checked_in`
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-f\d]{24}$'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [pin]
+ *             properties:
+ *               pin:
+ *                 type: string
+ *                 pattern: '^\d{6}$'
+ *                 example: "042917"
+ *               bookingId:
+ *                 type: string
+ *                 pattern: '^[a-f\d]{24}$'
+ *     responses:
+ *       200:
+ *         description: Passenger checked in (booking with `boardingStatus` checked_in)
+ *       400:
+ *         description: PIN does not match an accepted booking of the trip (invalid_boarding_pin)
+ *       403:
+ *         description: Trip not owned by driver (forbidden_owner)
+ *       404:
+ *         description: Trip not found (trip_not_found)
+ *       409:
+ *         description: |
+ *           Check-in not open (check_in_not_open), PIN shared by several bookings
+ *           (ambiguous_boarding_pin) or a no-show already recorded (boarding_already_recorded)
+ *       429:
+ *         description: |
+ *           Too many wrong PINs on the trip (boarding_pin_attempts_exceeded) or
+ *           too many requests (too_many_attempts)
+ */
+router.post(
+  '/trips/:tripId/check-in',
+  authenticate,
+  boardingCheckInRateLimiter,
+  requireRole('driver'),
+  requireCsrf,
+  validateRequest(tripIdParamSchema, 'params'),
+  validateRequest(checkInSchema, 'body'),
+  boardingController.checkInPassenger.bind(boardingController)
+);
+
+/**
+ * @openapi
+ * /drivers/trips/{tripId}/bookings/{bookingId}/no-show:
+ *   post:
+ *     tags:
+ *       - Drivers
+ *     summary: Mark a passenger as no-show (owner-only)
+ *     description: |
+ *       For accepted passengers who did not board, once the trip departed (started,
+ *       completed or past its departure time). Idempotent once marked.
+ *       - The passenger cannot review the trip
+ *       - The driver can then report the passenger with category `no_show`
+ *       - The passenger gets `booking.passenger_no_show`
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-f\d]{24}$'
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-f\d]{24}$'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: No-show recorded (booking with `boardingStatus` passenger_no_show)
+ *       403:
+ *         description: Trip not owned by driver (forbidden_owner)
+ *       404:
+ *         description: Trip or booking not found (trip_not_found, booking_not_found)
+ *       409:
+ *         description: |
+ *           Before departure (no_show_too_early), booking not accepted (booking_not_accepted)
+ *           or passenger already checked in (boarding_already_recorded)
+ */
+router.post(
+  '/trips/:tripId/bookings/:bookingId/no-show',
+  authenticate,
+  requireRole('driver'),
+  requireCsrf,
+  validateRequest(tripBookingParamsSchema, 'params'),
+  validateRequest(noShowSchema, 'body'),
+  boardingController.markPassengerNoShow.bind(boardingController)
+);
+
+/**
+ * @openapi
+ * /drivers/trips/{tripId}/bookings/{bookingId}/review:
+ *   post:
+ *     tags:
+ *       - Drivers
+ *     summary: Review a passenger of a completed trip (owner-only)
+ *     description: |
+ *       One review per passenger and trip, once the trip is `completed`. Passengers of
+ *       no-show bookings (either side) cannot be reviewed. Visible reviews make up the
+ *       passenger rating drivers see in the booking requests of their trips.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-f\d]{24}$'
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-f\d]{24}$'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [rating]
+ *             properties:
+ *               rating: { type: integer, minimum: 1, maximum: 5, example: 5 }
+ *               text: { type: string, maxLength: 1000, example: "Puntual y amable" }
+ *               tags:
+ *                 type: array
+ *                 maxItems: 5
+ *                 items: { type: string, maxLength: 50 }
+ *     responses:
+ *       201:
+ *         description: Review created
+ *       400:
+ *         description: Trip not completed (trip_not_completed) or invalid payload (invalid_schema)
+ *       403:
+ *         description: |
+ *           Trip not owned by driver (forbidden_owner), booking not accepted (not_participant)
+ *           or no-show booking (passenger_no_show, driver_no_show)
+ *       404:
+ *         description: Trip or booking not found (not_found, booking_not_found)
+ *       409:
+ *         description: Passenger already reviewed for this trip (review_exists)
+ */
+router.post(
+  '/trips/:tripId/bookings/:bookingId/review',
+  authenticate,
+  requireRole('driver'),
+  requireCsrf,
+  validateRequest(tripBookingParamsSchema, 'params'),
+  validateRequest(createReviewBodySchema, 'body'),
+  passengerReviewController.createReview.bind(passengerReviewController)
+);
+
+/**
+ * @openapi
+ * /drivers/trips/{tripId}/location:
+ *   post:
+ *     tags:
+ *       - Drivers
+ *     summary: Share the live position of the car (owner-only)
+ *     description: |
+ *       The driver's client posts positions periodically while the trip is `in_progress`.
+ *       - The position must fall in the route area: bounding box of origin, waypoints and
+ *         destination widened by `LIVE_LOCATION_AREA_MARGIN_KM` (default 5)
+ *       - `recordedAt` (device time, defaults to now) must be within the last 5 minutes
+ *       - Only the last `LIVE_LOCATION_BUFFER_SIZE` (default 20) positions are kept; all are
+ *         deleted when the trip is completed or canceled
+ *       - Accepted passengers following the location stream receive it as a `location` event
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-f\d]{24}$'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [lat, lng]
+ *             properties:
+ *               lat: { type: number, minimum: -90, maximum: 90, example: 4.8613 }
+ *               lng: { type: number, minimum: -180, maximum: 180, example: -74.0325 }
+ *               heading: { type: number, minimum: 0, maximum: 360 }
+ *               speedKmh: { type: number, minimum: 0, maximum: 300 }
+ *               accuracyM: { type: number, minimum: 0 }
+ *               recordedAt: { type: string, format: date-time }
+ *     responses:
+ *       201:
+ *         description: Position recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TripLocation'
+ *       400:
+ *         description: Outside the route area (position_out_of_area) or stale/future fix (invalid_recorded_at)
+ *       403:
+ *         description: Trip not owned by driver (forbidden_owner)
+ *       404:
+ *         description: Trip not found (trip_not_found)
+ *       409:
+ *         description: Trip not in progress (trip_not_in_progress)
+ */
+router.post(
+  '/trips/:tripId/location',
+  authenticate,
+  requireRole('driver'),
+  requireCsrf,
+  validateRequest(tripIdParamSchema, 'params'),
+  validateRequest(tripLocationSchema, 'body'),
+  tripLocationController.recordPosition.bind(tripLocationController)
+);
+
+/**
+ * @openapi
+ * /drivers/trips/{tripId}/chat:
+ *   get:
+ *     tags:
+ *       - Drivers
+ *     summary: Chat of my trip with its accepted passengers (owner-only)
+ *     description: |
+ *       Same conversation as GET /passengers/trips/{tripId}/chat. The driver sees every
+ *       message unmasked. The chat closes `TRIP_CHAT_CLOSE_HOURS` (default 24) after the
+ *       trip is completed, and when it is canceled.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-f\d]{24}$'
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 30
+ *     responses:
+ *       200:
+ *         description: Conversation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TripChat'
+ *       403:
+ *         description: Not the driver of the trip (forbidden_chat_access)
+ *       404:
+ *         description: Trip not found (trip_not_found)
+ */
+router.get(
+  '/trips/:tripId/chat',
+  authenticate,
+  requireRole('driver'),
+  validateRequest(tripIdParamSchema, 'params'),
+  validateRequest(tripChatQuerySchema, 'query'),
+  tripChatController.getConversation.bind(tripChatController)
+);
+
+/**
+ * @openapi
+ * /drivers/trips/{tripId}/chat/messages:
+ *   post:
+ *     tags:
+ *       - Drivers
+ *     summary: Send a message to the accepted passengers of my trip
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-f\d]{24}$'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [body]
+ *             properties:
+ *               body: { type: string, minLength: 1, maxLength: 1000, example: 'Salgo en 5 minutos' }
+ *     responses:
+ *       201:
+ *         description: Message sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TripMessage'
+ *       403:
+ *         description: Not the driver of the trip (forbidden_chat_access)
+ *       404:
+ *         description: Trip not found (trip_not_found)
+ *       409:
+ *         description: The chat is closed (chat_closed)
+ */
+router.post(
+  '/trips/:tripId/chat/messages',
+  authenticate,
+  requireRole('driver'),
+  requireCsrf,
+  validateRequest(tripIdParamSchema, 'params'),
+  validateRequest(sendTripMessageSchema, 'body'),
+  tripChatController.sendMessage.bind(tripChatController)
+);
+
+/**
+ * @openapi
+ * /drivers/trips/{tripId}/chat/read:
+ *   post:
+ *     tags:
+ *       - Drivers
+ *     summary: Mark the chat of my trip as read
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-f\d]{24}$'
+ *     responses:
+ *       200:
+ *         description: Read receipt ({ tripId, lastReadAt, unread })
+ *       403:
+ *         description: Not the driver of the trip (forbidden_chat_access)
+ *       404:
+ *         description: Trip not found (trip_not_found)
+ */
+router.post(
+  '/trips/:tripId/chat/read',
+  authenticate,
+  requireRole('driver'),
+  requireCsrf,
+  validateRequest(tripIdParamSchema, 'params'),
+  tripChatController.markRead.bind(tripChatController)
+);
+
+/**
+ * @openapi
+ * /drivers/trips/{tripId}/chat/messages/{messageId}/report:
+ *   post:
+ *     tags:
+ *       - Drivers
+ *     summary: Report a message of a passenger in my trip chat
+ *     description: |
+ *       Same as POST /passengers/trips/{tripId}/chat/messages/{messageId}/report: files a
+ *       user report against the sender for this trip.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-f\d]{24}$'
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-f\d]{24}$'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [category]
+ *             properties:
+ *               category: { type: string, enum: [abuse, harassment, fraud, unsafe_behavior, other] }
+ *               reason: { type: string, maxLength: 500 }
+ *     responses:
+ *       201:
+ *         description: Report filed
+ *       400:
+ *         description: Own message (cannot_report_self)
+ *       403:
+ *         description: Not the driver of the trip (forbidden_chat_access)
+ *       404:
+ *         description: Trip or message not found (trip_not_found, message_not_found)
+ *       429:
+ *         description: The sender was already reported for this trip (rate_limited)
+ */
+router.post(
+  '/trips/:tripId/chat/messages/:messageId/report',
+  authenticate,
+  requireRole('driver'),
+  requireCsrf,
+  validateRequest(tripMessageParamsSchema, 'params'),
+  validateRequest(reportTripMessageSchema, 'body'),
+  tripChatController.reportMessage.bind(tripChatController)
+);
+
+/**
+ * @openapi
+ * /drivers/trips/{tripId}/change-proposals:
+ *   get:
+ *     tags:
+ *       - Trip Offers
+ *     summary: Passenger responses to changes of my trip (Driver)
+ *     description: |
+ *       Changing the price, time or route of a published trip with active bookings opens a
+ *       change proposal. Each passenger accepts or declines it before `deadline`
+ *       (`CHANGE_PROPOSAL_RESPONSE_HOURS`, default 24, never later than departure);
+ *       declined and unanswered bookings are canceled with a full refund. Further price,
+ *       time or route edits are rejected (change_proposal_pending) while one is open.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-f\d]{24}$'
+ *     responses:
+ *       200:
+ *         description: Proposals, most recent first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TripChangeProposal'
+ *       403:
+ *         description: Trip not owned by driver (forbidden_owner)
+ *       404:
+ *         description: Trip not found (trip_not_found)
+ */
+router.get(
+  '/trips/:tripId/change-proposals',
+  authenticate,
+  requireRole('driver'),
+  validateRequest(tripIdParamSchema, 'params'),
+  tripChangeProposalController.listTripProposals.bind(tripChangeProposalController)
+);
+
+/**
+ * @openapi
+ * /drivers/ride-requests:
+ *   get:
+ *     tags:
+ *       - Drivers
+ *     summary: Browse open ride requests along a route
+ *     description: |
+ *       Passenger ride requests whose pickup is within `radius` of the route origin and whose
+ *       drop-off is within `radius` of its destination, closest (combined straight-line meters)
+ *       first. Only requests whose departure window has not ended; `fromDate`/`toDate` keep the
+ *       ones whose window overlaps that range. Requester identity is not shown.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - { in: query, name: originLat, required: true, schema: { type: number } }
+ *       - { in: query, name: originLng, required: true, schema: { type: number } }
+ *       - { in: query, name: destLat, required: true, schema: { type: number } }
+ *       - { in: query, name: destLng, required: true, schema: { type: number } }
+ *       - in: query
+ *         name: radius
+ *         description: Meters (default RIDE_REQUEST_MATCH_RADIUS_METERS, 1000)
+ *         schema: { type: integer, minimum: 50, maximum: 20000 }
+ *       - { in: query, name: fromDate, schema: { type: string, format: date-time } }
+ *       - { in: query, name: toDate, schema: { type: string, format: date-time } }
+ *       - { in: query, name: page, schema: { type: integer, minimum: 1, default: 1 } }
+ *       - { in: query, name: pageSize, schema: { type: integer, minimum: 1, maximum: 50, default: 10 } }
+ *     responses:
+ *       200:
+ *         description: Open ride requests
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DriverRideRequest'
+ *                 page: { type: integer }
+ *                 pageSize: { type: integer }
+ *                 total: { type: integer }
+ *                 totalPages: { type: integer }
+ */
+router.get(
+  '/ride-requests',
+  authenticate,
+  requireRole('driver'),
+  validateRequest(browseRideRequestsQuerySchema, 'query'),
+  rideRequestController.browseRideRequests.bind(rideRequestController)
+);
+
+/**
+ * @openapi
+ * /drivers/ride-requests/{requestId}/fulfill:
+ *   post:
+ *     tags:
+ *       - Drivers
+ *     summary: Fulfill a ride request with a new trip
+ *     description: |
+ *       Creates a published trip (same body as POST /drivers/trips, `status` ignored) linked to the
+ *       request (`rideRequestId`) and books the requester on it: the booking is created
+ *       `accepted`, its seats allocated on the new trip, between the stops closest to the
+ *       requested pickup and drop-off. The passenger gets a `ride_request.fulfilled` notification.
+ *
+ *       The trip must fit the request (`ride_request_mismatch` lists the `violations`):
+ *       - `window`: departure within windowStart..windowEnd
+ *       - `price`: pricePerSeat at most maxPricePerSeat
+ *       - `seats`: totalSeats at least the requested seats
+ *       - `route`: a stop within RIDE_REQUEST_MATCH_RADIUS_METERS (default 1000) of the pickup
+ *         and a later one within it of the drop-off
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-f\d]{24}$'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Same fields as POST /drivers/trips (vehicleId, origin, destination, waypoints, departureAt, estimatedArrivalAt, pricePerSeat, totalSeats, notes, instantBook)
+ *     responses:
+ *       201:
+ *         description: Trip created and requester booked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 rideRequestId: { type: string }
+ *                 trip:
+ *                   $ref: '#/components/schemas/TripOfferResponse'
+ *                 booking:
+ *                   type: object
+ *                   description: Accepted booking of the requester (rideRequestId set)
+ *       400:
+ *         description: |
+ *           Invalid trip (invalid_schema), trip does not fit (ride_request_mismatch) or
+ *           own request (cannot_fulfill_own_request)
+ *       404:
+ *         description: Ride request not found (ride_request_not_found)
+ *       409:
+ *         description: Already fulfilled, canceled or expired (ride_request_not_open)
+ */
+router.post(
+  '/ride-requests/:requestId/fulfill',
+  authenticate,
+  requireRole('driver'),
+  requireCsrf,
+  validateRequest(rideRequestIdParamSchema, 'params'),
+  validateRequest(fulfillRideRequestSchema, 'body'),
+  rideRequestController.fulfillRideRequest.bind(rideRequestController)
+);
+
+/**
+ * @openapi
+ * /drivers/settings:
+ *   get:
+ *     tags:
+ *       - Drivers
+ *     summary: Get driver settings
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Driver settings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DriverSettings'
+ *   patch:
+ *     tags:
+ *       - Drivers
+ *     summary: Update driver settings
+ *     description: |
+ *       Partial update; only the fields sent change.
+ *       - `waitlistPromotion`: what confirming a waitlist offer creates on your trips:
+ *         `request` (a pending request you accept or decline, default) or
+ *         `auto_accept` (an accepted booking on the held seats)
+ *       - `autoAcceptRules`: standing rules that accept new booking requests on creation
+ *         while seats last (replaces the whole list; `[]` turns them off).
+ *         `min_rating` matches passengers drivers rated at least `minRating` on average
+ *         (unrated passengers never match);
+ *         `previous_rider` matches passengers who rode a completed trip of yours.
+ *         `maxSeats` caps the request size a rule accepts. Per-trip instant-book
+ *         (`instantBook` on the trip) accepts every request.
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DriverSettings'
+ *     responses:
+ *       200:
+ *         description: Updated driver settings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DriverSettings'
+ *       400:
+ *         description: Invalid settings (invalid_schema)
+ *       403:
+ *         description: Not a driver or CSRF token missing
+ */
+router.get(
+  '/settings',
+  authenticate,
+  requireRole('driver'),
+  driverController.getDriverSettings
+);
+
+router.patch(
+  '/settings',
+  authenticate,
+  requireRole('driver'),
+  requireCsrf,
+  validateRequest(updateDriverSettingsSchema, 'body'),
+  driverController.updateDriverSettings
+);
+
+/**
+ * @openapi
+ * /drivers/me/eligibility:
+ *   get:
+ *     tags:
+ *       - Drivers
+ *     summary: Can I publish and start trips?
+ *     description: |
+ *       Evaluates every rule enforced when publishing (create, draft → published, trip series)
+ *       and starting trips. Each reason has a stable `code` and the actions it `blocks`:
+ *
+ *       - `account_suspended`, `not_a_driver` (publish, start)
+ *       - `verification_missing`, `verification_pending_review`, `verification_rejected`,
+ *         `verification_expired`, `driver_license_expired` (publish, start)
+ *       - `vehicle_missing`, `soat_missing`, `soat_expired` (publish, start)
+ *       - `publish_banned` (publish) with `until` and `reason`
+ *       - `driver_no_show_limit` (publish) with `count`, `limit` and `until`
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Eligibility
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DriverEligibility'
+ *       401:
+ *         description: Unauthorized - Missing or invalid session
+ *       403:
+ *         description: Not a driver
+ */
+router.get(
+  '/me/eligibility',
+  authenticate,
+  requireRole('driver'),
+  driverController.getMyEligibility.bind(driverController)
+);
+
+/**
+ * @openapi
+ * /drivers/reviews/{reviewId}/reply:
+ *   post:
+ *     tags:
+ *       - Drivers
+ *     summary: Reply publicly to a review about me
+ *     description: |
+ *       One reply per review, shown with the review in GET /drivers/{driverId}/reviews.
+ *       The passenger who wrote the review is notified (`review.reply`). Admins can hide
+ *       the reply without hiding the review.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-f\d]{24}$'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [text]
+ *             properties:
+ *               text: { type: string, maxLength: 1000, example: "¡Gracias por viajar conmigo!" }
+ *     responses:
+ *       201:
+ *         description: Reply posted
+ *       403:
+ *         description: The review is not about me (forbidden_owner)
+ *       404:
+ *         description: Review not found (not_found)
+ *       409:
+ *         description: Already replied (reply_exists) or review hidden (review_hidden)
+ *   patch:
+ *     tags:
+ *       - Drivers
+ *     summary: Edit my reply to a review
+ *     description: The previous text is kept in the reply's edit history.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-f\d]{24}$'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [text]
+ *             properties:
+ *               text: { type: string, maxLength: 1000 }
+ *     responses:
+ *       200:
+ *         description: Reply updated
+ *       403:
+ *         description: The review is not about me (forbidden_owner)
+ *       404:
+ *         description: Review or reply not found (not_found)
+ *       409:
+ *         description: Edited concurrently (concurrent_update)
+ */
+router.post(
+  '/reviews/:reviewId/reply',
+  authenticate,
+  requireRole('driver'),
+  requireCsrf,
+  validateRequest(reviewIdParamSchema, 'params'),
+  validateRequest(reviewReplyBodySchema, 'body'),
+  reviewController.createReply.bind(reviewController)
+);
+
+router.patch(
+  '/reviews/:reviewId/reply',
+  authenticate,
+  requireRole('driver'),
+  requireCsrf,
+  validateRequest(reviewIdParamSchema, 'params'),
+  validateRequest(reviewReplyBodySchema, 'body'),
+  reviewController.editReply.bind(reviewController)
+);
+
 /**
  * Public: GET /drivers/:driverId/reviews?page=1&pageSize=10
- * Lists visible reviews for a driver (public)
+ * Lists visible reviews for a driver (public), with the driver's reply when visible
  */
 router.get(
   '/:driverId/reviews',
@@ -387,6 +1290,7 @@ router.get(
  *       - Cancel all accepted bookings (→ canceled_by_platform)
  *       - Deallocate seats from ledger
  *       - Set refundNeeded flag for paid accepted bookings (triggers US-4.2)
+ *       - Close the trip's waitlist (passengers in line are notified)
  * 
  *       Returns effects summary with counts.
  *     security:
@@ -433,6 +1337,10 @@ router.get(
  *                       type: integer
  *                       example: 2
  *                       description: Count of seat ledger releases
+ *                     waitlistClosed:
+ *                       type: integer
+ *                       example: 3
+ *                       description: Count of waitlist entries closed (held offers released)
  *       401:
  *         description: Unauthorized
  *         content:
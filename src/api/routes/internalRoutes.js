@@ -20,7 +20,14 @@ const validateRequest = require('../middlewares/validateRequest');
 const { runJobQuerySchema } = require('../validation/internalSchemas');
 const { renderTemplateBodySchema, dispatchNotificationBodySchema } = require('../validation/internalSchemas');
 const { validateTemplateBodySchema } = require('../validation/internalSchemas');
-const templateRegistry = require('../../domain/services/templateRegistry');
+const {
+  createTemplateBodySchema,
+  updateTemplateDraftBodySchema,
+  templateParamsSchema,
+  templateVersionParamsSchema,
+  publishTemplateBodySchema,
+  rollbackTemplateBodySchema
+} = require('../validation/internalSchemas');
 
 /**
  * @route   POST /internal/jobs/run
@@ -46,6 +53,13 @@ const templateRegistry = require('../../domain/services/templateRegistry');
  *       - `complete-trips`: Auto-complete trips + expire pending bookings (default)
  *       - `auto-complete-trips`: Only complete trips past arrival time
  *       - `expire-pendings`: Only expire old pending bookings
+ *       - `expand-trip-series`: Generate recurring series occurrences up to the horizon
+ *       - `process-refunds`: Turn refundNeeded bookings into refunds and send requested refunds to the payment provider
+ *       - `process-email-queue`: Send due queued emails (retries included) through the email transport
+ *       - `expire-waitlist-offers`: Expire unconfirmed waitlist offers and offer the seats to the next in line
+ *       - `expire-change-proposals`: Treat trip change proposals unanswered by their deadline as declines (bookings released, full refund)
+ *       - `expire-ride-requests`: Expire open ride requests whose departure window ended without a driver
+ *       - `close-trip-chats`: Close trip chats whose time after completion (`TRIP_CHAT_CLOSE_HOURS`) is over
  *       
  *       **Use Cases**:
  *       - QA/testing
@@ -61,7 +75,7 @@ const templateRegistry = require('../../domain/services/templateRegistry');
  *         required: false
  *         schema:
  *           type: string
- *           enum: [complete-trips, auto-complete-trips, expire-pendings]
+ *           enum: [complete-trips, auto-complete-trips, expire-pendings, expand-trip-series, process-refunds, process-email-queue, expire-waitlist-offers, expire-change-proposals, expire-ride-requests, close-trip-chats]
  *           default: complete-trips
  *         description: Job name to execute
  *       - in: query
@@ -168,10 +182,74 @@ router.get(
   '/notifications/templates/registry',
   authenticate,
   requireRole('admin'),
-  (req, res) => {
-    const items = templateRegistry.listMetadata();
-    res.status(200).json({ items });
-  }
+  internalController.listTemplates.bind(internalController)
+);
+
+/**
+ * POST /internal/notifications/templates
+ * Admin-only: validate a template and store it as the next draft version of { type, locale }
+ */
+router.post(
+  '/notifications/templates',
+  authenticate,
+  requireRole('admin'),
+  requireCsrf,
+  validateRequest(createTemplateBodySchema, 'body'),
+  internalController.createTemplateDraft.bind(internalController)
+);
+
+/**
+ * GET /internal/notifications/templates/:type/:locale/versions
+ * Admin-only: list all versions of a template (newest first)
+ */
+router.get(
+  '/notifications/templates/:type/:locale/versions',
+  authenticate,
+  requireRole('admin'),
+  validateRequest(templateParamsSchema, 'params'),
+  internalController.listTemplateVersions.bind(internalController)
+);
+
+/**
+ * PUT /internal/notifications/templates/:type/:locale/versions/:version
+ * Admin-only: edit a draft version (published/archived versions are immutable)
+ */
+router.put(
+  '/notifications/templates/:type/:locale/versions/:version',
+  authenticate,
+  requireRole('admin'),
+  requireCsrf,
+  validateRequest(templateVersionParamsSchema, 'params'),
+  validateRequest(updateTemplateDraftBodySchema, 'body'),
+  internalController.updateTemplateDraft.bind(internalController)
+);
+
+/**
+ * POST /internal/notifications/templates/:type/:locale/versions/:version/publish
+ * Admin-only: publish a version; the previously published one is archived
+ */
+router.post(
+  '/notifications/templates/:type/:locale/versions/:version/publish',
+  authenticate,
+  requireRole('admin'),
+  requireCsrf,
+  validateRequest(templateVersionParamsSchema, 'params'),
+  validateRequest(publishTemplateBodySchema, 'body'),
+  internalController.publishTemplate.bind(internalController)
+);
+
+/**
+ * POST /internal/notifications/templates/:type/:locale/rollback
+ * Admin-only: republish the previously published version (or body.version)
+ */
+router.post(
+  '/notifications/templates/:type/:locale/rollback',
+  authenticate,
+  requireRole('admin'),
+  requireCsrf,
+  validateRequest(templateParamsSchema, 'params'),
+  validateRequest(rollbackTemplateBodySchema, 'body'),
+  internalController.rollbackTemplate.bind(internalController)
 );
 
 /**
@@ -275,4 +353,84 @@ router.patch(
   reviewController.adminSetVisibility.bind(reviewController)
 );
 
+// Admin: hide/unhide the driver's reply to a review (the review keeps its visibility)
+router.patch(
+  '/admin/reviews/:reviewId/reply/visibility',
+  authenticate,
+  requireRole('admin'),
+  requireCsrf,
+  validateRequest(reviewIdParamSchema, 'params'),
+  validateRequest(require('../validation/reviewSchemas').adminVisibilityBodySchema, 'body'),
+  reviewController.adminSetReplyVisibility.bind(reviewController)
+);
+
+// Admin moderation queue: reviews flagged by reports, resolved by restoring or hiding them
+router.get(
+  '/admin/reviews/flagged',
+  authenticate,
+  requireRole('admin'),
+  validateRequest(require('../validation/reviewSchemas').listReviewsQuerySchema, 'query'),
+  reviewController.adminListFlagged.bind(reviewController)
+);
+
+router.post(
+  '/admin/reviews/:reviewId/resolve',
+  authenticate,
+  requireRole('admin'),
+  requireCsrf,
+  validateRequest(reviewIdParamSchema, 'params'),
+  validateRequest(require('../validation/reviewSchemas').resolveReviewReportsBodySchema, 'body'),
+  reviewController.adminResolveReports.bind(reviewController)
+);
+
+// Admin moderation of reviews drivers wrote about passengers
+const PassengerReviewController = require('../controllers/passengerReviewController');
+const passengerReviewController = new PassengerReviewController();
+
+router.patch(
+  '/admin/passenger-reviews/:reviewId/hide',
+  authenticate,
+  requireRole('admin'),
+  requireCsrf,
+  validateRequest(reviewIdParamSchema, 'params'),
+  passengerReviewController.adminHideReview.bind(passengerReviewController)
+);
+
+router.patch(
+  '/admin/passenger-reviews/:reviewId/unhide',
+  authenticate,
+  requireRole('admin'),
+  requireCsrf,
+  validateRequest(reviewIdParamSchema, 'params'),
+  passengerReviewController.adminUnhideReview.bind(passengerReviewController)
+);
+
+router.patch(
+  '/admin/passenger-reviews/:reviewId/visibility',
+  authenticate,
+  requireRole('admin'),
+  requireCsrf,
+  validateRequest(reviewIdParamSchema, 'params'),
+  validateRequest(require('../validation/reviewSchemas').adminVisibilityBodySchema, 'body'),
+  passengerReviewController.adminSetVisibility.bind(passengerReviewController)
+);
+
+router.get(
+  '/admin/passenger-reviews/flagged',
+  authenticate,
+  requireRole('admin'),
+  validateRequest(require('../validation/reviewSchemas').listReviewsQuerySchema, 'query'),
+  passengerReviewController.adminListFlagged.bind(passengerReviewController)
+);
+
+router.post(
+  '/admin/passenger-reviews/:reviewId/resolve',
+  authenticate,
+  requireRole('admin'),
+  requireCsrf,
+  validateRequest(reviewIdParamSchema, 'params'),
+  validateRequest(require('../validation/reviewSchemas').resolveReviewReportsBodySchema, 'body'),
+  passengerReviewController.adminResolveReports.bind(passengerReviewController)
+);
+
 module.exports = router;
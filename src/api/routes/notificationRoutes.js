@@ -6,6 +6,13 @@ const authenticate = require('../middlewares/authenticate');
 
 const controller = new NotificationController();
 
+/**
+ * GET /notifications/stream
+ * Server-Sent Events: notification, unread_count, booking_status, trip_message, trip_chat_read, trip_chat_closed
+ * Resume: Last-Event-ID header (or ?lastEventId=) replays missed events
+ */
+router.get('/stream', authenticate, controller.stream.bind(controller));
+
 /**
  * GET /notifications
  * Query: status=unread|all, page, pageSize
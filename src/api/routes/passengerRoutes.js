@@ -10,12 +10,24 @@ const express = require('express');
 const PassengerTripController = require('../controllers/passengerTripController');
 const BookingRequestController = require('../controllers/bookingRequestController');
 const validateRequest = require('../middlewares/validateRequest');
-const { searchTripsQuerySchema } = require('../validation/tripOfferSchemas');
+const {
+  searchTripsQuerySchema,
+  createSavedSearchSchema,
+  updateSavedSearchSchema,
+  savedSearchIdParamSchema
+} = require('../validation/tripOfferSchemas');
 const { 
   createBookingRequestSchema, 
   listBookingRequestsQuerySchema, 
   bookingIdParamSchema,
-  cancelBookingRequestSchema 
+  cancelBookingRequestSchema,
+  tripIdParamSchema,
+  joinWaitlistSchema,
+  listWaitlistQuerySchema,
+  waitlistEntryIdParamSchema,
+  noShowSchema,
+  listChangeProposalsQuerySchema,
+  changeProposalIdParamSchema
 } = require('../validation/bookingRequestSchemas');
 const { generalRateLimiter } = require('../middlewares/rateLimiter');
 const authenticate = require('../middlewares/authenticate');
@@ -25,9 +37,38 @@ const requireCsrf = require('../middlewares/requireCsrf');
 const router = express.Router();
 const passengerTripController = new PassengerTripController();
 const bookingRequestController = new BookingRequestController();
+const PaymentController = require('../controllers/paymentController');
+const paymentController = new PaymentController();
 const ReviewController = require('../controllers/reviewController');
 const reviewController = new ReviewController();
+const PassengerReviewController = require('../controllers/passengerReviewController');
+const passengerReviewController = new PassengerReviewController();
 const { reviewIdParamSchema } = require('../validation/reviewSchemas');
+const WaitlistController = require('../controllers/waitlistController');
+const waitlistController = new WaitlistController();
+const BoardingController = require('../controllers/boardingController');
+const boardingController = new BoardingController();
+const TripLocationController = require('../controllers/tripLocationController');
+const tripLocationController = new TripLocationController();
+const TripChangeProposalController = require('../controllers/tripChangeProposalController');
+const tripChangeProposalController = new TripChangeProposalController();
+const SavedSearchController = require('../controllers/savedSearchController');
+const savedSearchController = new SavedSearchController();
+const RideRequestController = require('../controllers/rideRequestController');
+const rideRequestController = new RideRequestController();
+const {
+  createRideRequestSchema,
+  listRideRequestsQuerySchema,
+  rideRequestIdParamSchema
+} = require('../validation/rideRequestSchemas');
+const TripChatController = require('../controllers/tripChatController');
+const tripChatController = new TripChatController();
+const {
+  tripChatQuerySchema,
+  sendTripMessageSchema,
+  reportTripMessageSchema,
+  tripMessageParamsSchema
+} = require('../validation/tripChatSchemas');
 
 /**
  * @openapi
@@ -42,17 +83,29 @@ const { reviewIdParamSchema } = require('../validation/reviewSchemas');
  *       **Authorization**: Requires valid JWT cookie (any authenticated user, but intended for passengers).
  *       
  *       **Filters**:
- *       - `qOrigin`: Text search in origin (case-insensitive, partial match)
- *       - `qDestination`: Text search in destination (case-insensitive, partial match)
+ *       - `qOrigin`: Text search in origin or any intermediate stop (case-insensitive, partial match)
+ *       - `qDestination`: Text search in destination or any intermediate stop (case-insensitive, partial match)
  *       - `fromDate`: Minimum departure date (ISO 8601)
  *       - `toDate`: Maximum departure date (ISO 8601)
+ *       - `fromTime` / `toTime`: Departure time-of-day window (HH:MM, America/Bogota)
+ *       - `minAvailableSeats`: Seats that must still be free on the matched stretch
+ *       - `minPrice` / `maxPrice`: Price per seat range
+ *       - `nearOriginLat` / `nearOriginLng`: Pickup point; some stop of the trip must be within `radius`
+ *       - `nearDestLat` / `nearDestLng`: Drop-off point; a later stop must be within `radius`
+ *       - `radius`: Max distance in meters from each point (default: 1000, min: 50, max: 20000)
+ *       - `sort`: `departureAt`, `price` or `rating` (driver's average); prefix with `-` for descending
  *       - `page`: Page number (default: 1, min: 1)
  *       - `pageSize`: Results per page (default: 10, min: 1, max: 50)
  *       
  *       **Business Rules**:
  *       - Only returns trips with `status='published'`
  *       - Only returns trips with `departureAt > now` (future trips)
- *       - Results sorted by `departureAt` ascending (soonest first)
+ *       - Results sorted by `departureAt` ascending (soonest first) unless `sort` is given
+ *       - With a pickup and/or drop-off point, results are ranked by combined walking
+ *         distance (boarding + alighting stop) unless `sort` is given, and each item
+ *         includes a `distance` object
+ *       - Each item includes a `segment` with the matched board/alight stops; `minAvailableSeats`
+ *         is checked against the seats free on that stretch only
  *       
  *       **Security**:
  *       - Text inputs are sanitized (regex special chars escaped)
@@ -60,6 +113,8 @@ const { reviewIdParamSchema } = require('../validation/reviewSchemas');
  *       
  *       **Performance**:
  *       - Indexed queries on status and departureAt
+ *       - Filters, seat availability, sort and pagination run in one database aggregation,
+ *         so `total` and every page are exact
  *       - Pagination enforced (max 50 results per page)
  *     security:
  *       - cookieAuth: []
@@ -95,6 +150,55 @@ const { reviewIdParamSchema } = require('../validation/reviewSchemas');
  *         description: Maximum departure date (ISO 8601)
  *         example: "2025-11-30T23:59:59.999Z"
  *       - in: query
+ *         name: nearOriginLat
+ *         schema:
+ *           type: number
+ *           minimum: -90
+ *           maximum: 90
+ *         description: Pickup point latitude (requires nearOriginLng)
+ *         example: 4.861
+ *       - in: query
+ *         name: nearOriginLng
+ *         schema:
+ *           type: number
+ *           minimum: -180
+ *           maximum: 180
+ *         description: Pickup point longitude (requires nearOriginLat)
+ *         example: -74.032
+ *       - in: query
+ *         name: nearDestLat
+ *         schema:
+ *           type: number
+ *           minimum: -90
+ *           maximum: 90
+ *         description: Drop-off point latitude (requires nearDestLng)
+ *         example: 4.652
+ *       - in: query
+ *         name: nearDestLng
+ *         schema:
+ *           type: number
+ *           minimum: -180
+ *           maximum: 180
+ *         description: Drop-off point longitude (requires nearDestLat)
+ *         example: -74.093
+ *       - in: query
+ *         name: radius
+ *         schema:
+ *           type: integer
+ *           minimum: 50
+ *           maximum: 20000
+ *           default: 1000
+ *         description: Max walking distance in meters from each point
+ *         example: 800
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [departureAt, -departureAt, price, -price, rating, -rating]
+ *           default: departureAt
+ *         description: Result order; `-` prefix for descending (e.g. `-rating` for best-rated drivers first)
+ *         example: price
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -122,7 +226,44 @@ const { reviewIdParamSchema } = require('../validation/reviewSchemas');
  *                 items:
  *                   type: array
  *                   items:
- *                     $ref: '#/components/schemas/TripOfferResponse'
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/TripOfferResponse'
+ *                       - type: object
+ *                         properties:
+ *                           distance:
+ *                             type: object
+ *                             description: Only present on proximity searches
+ *                             properties:
+ *                               originMeters:
+ *                                 type: integer
+ *                                 nullable: true
+ *                                 example: 320
+ *                               destinationMeters:
+ *                                 type: integer
+ *                                 nullable: true
+ *                                 example: 540
+ *                               totalMeters:
+ *                                 type: integer
+ *                                 example: 860
+ *                           segment:
+ *                             type: object
+ *                             description: Stops matched for this search (origin, waypoints or destination) and seats free between them
+ *                             properties:
+ *                               boardStopIndex:
+ *                                 type: integer
+ *                                 example: 1
+ *                               alightStopIndex:
+ *                                 type: integer
+ *                                 example: 2
+ *                               board:
+ *                                 type: string
+ *                                 example: "Portal Norte"
+ *                               alight:
+ *                                 type: string
+ *                                 example: "Universidad de La Sabana"
+ *                               availableSeats:
+ *                                 type: integer
+ *                                 example: 2
  *                 page:
  *                   type: integer
  *                   example: 1
@@ -237,9 +378,15 @@ router.get(
  *       - Trip `departureAt` must be in the future
  *       - Passenger cannot have another active (pending) request for the same trip
  *       - Note is optional and must be ≤ 300 characters
- *       - Request starts with `status='pending'`
+ *       - `boardStopIndex`/`alightStopIndex` pick a partial ride between the trip's stops
+ *         (origin, waypoints, destination); boarding must come before alighting
+ *       - Request starts with `status='pending'`, unless it is auto-accepted
  *       
- *       **Future**: Accept/decline flow and capacity enforcement will be added in later stories.
+ *       **Auto-accept**: the request is created `accepted` (seats allocated, payment intent
+ *       created) when the trip has `instantBook` or one of the driver's standing rules matches
+ *       (`min_rating`, `previous_rider`, optionally capped by `maxSeats`) and the seats fit.
+ *       `autoAcceptRule` tells which rule fired; it is also recorded in the audit trail.
+ *       If no seats are left the request stays pending for the driver.
  *     security:
  *       - cookieAuth: []
  *     requestBody:
@@ -267,6 +414,16 @@ router.get(
  *                 default: 1
  *                 description: Number of seats requested
  *                 example: 1
+ *               boardStopIndex:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Stop where the passenger boards (0 = origin, then waypoints). Defaults to the origin.
+ *                 example: 0
+ *               alightStopIndex:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Stop where the passenger alights (last index = destination). Defaults to the destination.
+ *                 example: 2
  *           examples:
  *             with_note:
  *               summary: Request with note
@@ -299,9 +456,14 @@ router.get(
  *                   example: "665e2af1b2c3d4e5f6a7b8c9"
  *                 status:
  *                   type: string
- *                   enum: [pending]
- *                   description: Request status (always 'pending' on creation)
+ *                   enum: [pending, accepted]
+ *                   description: Request status ('accepted' only when auto-accepted)
  *                   example: "pending"
+ *                 autoAcceptRule:
+ *                   type: string
+ *                   nullable: true
+ *                   enum: [instant_book, min_rating, previous_rider]
+ *                   description: Rule that accepted the request on creation
  *                 note:
  *                   type: string
  *                   description: Optional note from passenger
@@ -310,6 +472,12 @@ router.get(
  *                   type: integer
  *                   description: Number of seats requested
  *                   example: 1
+ *                 boardStopIndex:
+ *                   type: integer
+ *                   example: 0
+ *                 alightStopIndex:
+ *                   type: integer
+ *                   example: 2
  *                 createdAt:
  *                   type: string
  *                   format: date-time
@@ -653,12 +821,15 @@ router.get(
  *       - Only the request owner (passenger) can cancel
  *       - Pending: Simple status update → `canceled_by_passenger`
  *       - Accepted: Transaction to decrement seat ledger + set refund flag
+ *       - Refund and late-cancellation penalty follow the trip's cancellation policy
+ *         (see `GET /passengers/bookings/{bookingId}/cancellation-quote`)
  *       - Optional reason stored for audit trail
  *       - **Idempotent**: If already canceled, returns 200 with zero effects
  *       
  *       **Returns**:
  *       - Effects summary with `ledgerReleased` (0 for pending, seats for accepted)
  *       - `refundCreated` flag (true if paid booking eligible for refund - US-4.2)
+ *       - `outcome` computed by the cancellation policy (refund and penalty amounts)
  *     security:
  *       - cookieAuth: []
  *     parameters:
@@ -712,8 +883,10 @@ router.get(
  *                       example: 1
  *                     refundCreated:
  *                       type: boolean
- *                       description: Whether RefundIntent was created (US-4.2)
+ *                       description: Whether a refund was requested for the paid booking per the cancellation policy (US-4.2)
  *                       example: true
+ *                 outcome:
+ *                   $ref: '#/components/schemas/CancellationOutcome'
  *             examples:
  *               accepted_booking:
  *                 summary: Accepted booking canceled (with seat deallocation)
@@ -723,6 +896,15 @@ router.get(
  *                   effects:
  *                     ledgerReleased: 1
  *                     refundCreated: true
+ *                   outcome:
+ *                     policySource: "platform"
+ *                     hoursBeforeDeparture: 5.5
+ *                     amount: 12000
+ *                     refundPercent: 50
+ *                     refundAmount: 6000
+ *                     penaltyPercent: 0
+ *                     penaltyAmount: 0
+ *                     isLateCancellation: false
  *               pending_booking:
  *                 summary: Pending booking canceled (no seat deallocation)
  *                 value:
@@ -794,34 +976,1340 @@ router.post(
   bookingRequestController.cancelMyBookingRequest.bind(bookingRequestController)
 );
 
-// GET my review for a trip
+/**
+ * @openapi
+ * /passengers/bookings/{bookingId}/cancellation-quote:
+ *   get:
+ *     tags:
+ *       - Passenger Trips
+ *     summary: Preview the refund and penalty of canceling a booking now (US-4.2)
+ *     description: |
+ *       Computes what the passenger would get back if they canceled right now, with the
+ *       same cancellation policy the cancel endpoint applies. Nothing is changed.
+ *
+ *       - Policy: the trip's driver override if set (within admin bounds), otherwise the platform policy
+ *       - Tier: first tier whose `minHoursBeforeDeparture` is met by the time left until departure
+ *       - `refundAmount` = amount × refundPercent − penaltyAmount
+ *       - Pending requests hold no money: `policySource` is `pending_request`
+ *       - Unpaid bookings quote on an amount of 0
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-f\d]{24}$'
+ *         description: Booking request ID (MongoDB ObjectId)
+ *     responses:
+ *       200:
+ *         description: Cancellation quote
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/CancellationOutcome'
+ *                 - type: object
+ *                   properties:
+ *                     bookingId:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                       enum: [pending, accepted]
+ *                     isPaid:
+ *                       type: boolean
+ *                     currency:
+ *                       type: string
+ *                       nullable: true
+ *                       example: "COP"
+ *                     tiers:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/CancellationTier'
+ *                     quotedAt:
+ *                       type: string
+ *                       format: date-time
+ *       403:
+ *         description: Forbidden (not owner)
+ *       404:
+ *         description: Booking request not found
+ *       409:
+ *         description: Booking can no longer be canceled (invalid_booking_state)
+ */
 router.get(
-  '/trips/:tripId/reviews/me',
+  '/bookings/:bookingId/cancellation-quote',
+  generalRateLimiter,
   authenticate,
   requireRole('passenger'),
-  validateRequest(require('../validation/bookingRequestSchemas').tripIdParamSchema, 'params'),
-  reviewController.getMyReviewForTrip.bind(reviewController)
+  validateRequest(bookingIdParamSchema, 'params'),
+  bookingRequestController.getCancellationQuote.bind(bookingRequestController)
 );
 
-// DELETE my review for a trip (soft-delete within 24h window)
+/**
+ * @openapi
+ * /passengers/bookings/{bookingId}/payment-intent:
+ *   post:
+ *     tags:
+ *       - Payments
+ *     summary: Get or create the payment intent for an accepted booking
+ *     description: |
+ *       Returns the payment of an accepted booking together with the `clientSecret`
+ *       needed to confirm it client-side (Stripe Payment Element).
+ *
+ *       - The intent is normally created when the driver accepts the booking;
+ *         this endpoint creates it if missing (idempotent)
+ *       - A failed payment can be retried with the same intent
+ *       - The booking is marked `isPaid` only when the provider webhook confirms the payment
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-f\d]{24}$'
+ *         description: Booking request ID (MongoDB ObjectId)
+ *     responses:
+ *       200:
+ *         description: Payment intent ready to confirm
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Payment'
+ *       403:
+ *         description: Forbidden (not owner or CSRF token missing)
+ *       404:
+ *         description: Booking request not found
+ *       409:
+ *         description: Booking is not accepted (invalid_booking_state) or already paid (booking_already_paid)
+ */
+router.post(
+  '/bookings/:bookingId/payment-intent',
+  generalRateLimiter,
+  authenticate,
+  requireRole('passenger'),
+  requireCsrf,
+  validateRequest(bookingIdParamSchema, 'params'),
+  paymentController.createPaymentIntent.bind(paymentController)
+);
+
+/**
+ * @openapi
+ * /passengers/bookings/{bookingId}/payment:
+ *   get:
+ *     tags:
+ *       - Payments
+ *     summary: Get payment status of a booking
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-f\d]{24}$'
+ *         description: Booking request ID (MongoDB ObjectId)
+ *     responses:
+ *       200:
+ *         description: Payment of the booking (without clientSecret)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Payment'
+ *       403:
+ *         description: Forbidden (not owner)
+ *       404:
+ *         description: Booking not found (booking_not_found) or no payment yet (payment_not_found)
+ */
+router.get(
+  '/bookings/:bookingId/payment',
+  generalRateLimiter,
+  authenticate,
+  requireRole('passenger'),
+  validateRequest(bookingIdParamSchema, 'params'),
+  paymentController.getPayment.bind(paymentController)
+);
+
+/**
+ * @openapi
+ * /passengers/trips/{tripId}/waitlist:
+ *   post:
+ *     tags:
+ *       - Passenger Trips
+ *     summary: Join the waitlist of a full trip
+ *     description: |
+ *       Only for published, future trips with no room for the requested seats on the
+ *       requested segment (otherwise request a booking: `seats_available`).
+ *
+ *       - Line order is first come, first served
+ *       - When seats are released (cancellation, admin correction, expired or declined
+ *         offer) the first entries that fit get an offer; the seats are held for them
+ *         until `offerExpiresAt` (`WAITLIST_OFFER_TTL_MINUTES`, never past departure)
+ *       - Notifications: `waitlist.joined`, `waitlist.offer`, `waitlist.offer_expired`, `waitlist.closed`
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-f\d]{24}$'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               seats:
+ *                 type: integer
+ *                 minimum: 1
+ *                 default: 1
+ *               note:
+ *                 type: string
+ *                 maxLength: 300
+ *               boardStopIndex:
+ *                 type: integer
+ *                 minimum: 0
+ *               alightStopIndex:
+ *                 type: integer
+ *                 minimum: 1
+ *     responses:
+ *       201:
+ *         description: Joined; `position` is the place in line
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WaitlistEntry'
+ *       400:
+ *         description: Invalid stops (invalid_stops) or seats over capacity (invalid_seats)
+ *       403:
+ *         description: Own trip (cannot_waitlist_own_trip) or CSRF token missing
+ *       404:
+ *         description: Trip not found (trip_not_found)
+ *       409:
+ *         description: |
+ *           Trip not bookable (trip_not_bookable), seats are free (seats_available),
+ *           already booked (duplicate_request) or already in line (already_waitlisted)
+ */
+router.post(
+  '/trips/:tripId/waitlist',
+  generalRateLimiter,
+  authenticate,
+  requireRole('passenger'),
+  requireCsrf,
+  validateRequest(tripIdParamSchema, 'params'),
+  validateRequest(joinWaitlistSchema, 'body'),
+  waitlistController.joinWaitlist.bind(waitlistController)
+);
+
+/**
+ * @openapi
+ * /passengers/waitlist:
+ *   get:
+ *     tags:
+ *       - Passenger Trips
+ *     summary: My waitlist entries
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [waiting, offered, confirmed, declined, expired, left, closed]
+ *         description: Filter by status (repeat the parameter for several)
+ *     responses:
+ *       200:
+ *         description: Entries, most recent first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WaitlistEntry'
+ */
+router.get(
+  '/waitlist',
+  generalRateLimiter,
+  authenticate,
+  requireRole('passenger'),
+  validateRequest(listWaitlistQuerySchema, 'query'),
+  waitlistController.listMyEntries.bind(waitlistController)
+);
+
+/**
+ * @openapi
+ * /passengers/waitlist/{entryId}:
+ *   delete:
+ *     tags:
+ *       - Passenger Trips
+ *     summary: Leave the waitlist
+ *     description: Idempotent. Seats held by a pending offer go to the next in line.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-f\d]{24}$'
+ *     responses:
+ *       200:
+ *         description: Entry left
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WaitlistEntry'
+ *       403:
+ *         description: Not the owner (forbidden_owner)
+ *       404:
+ *         description: Entry not found (waitlist_entry_not_found)
+ *       409:
+ *         description: Entry already resolved (invalid_state)
+ */
 router.delete(
-  '/trips/:tripId/reviews/:reviewId',
+  '/waitlist/:entryId',
+  generalRateLimiter,
   authenticate,
   requireRole('passenger'),
   requireCsrf,
-  validateRequest(require('../validation/reviewSchemas').reviewParamsSchema, 'params'),
-  reviewController.deleteMyReview.bind(reviewController)
+  validateRequest(waitlistEntryIdParamSchema, 'params'),
+  waitlistController.leaveWaitlist.bind(waitlistController)
 );
 
-// PATCH edit my review within 24h
-router.patch(
-  '/trips/:tripId/reviews/:reviewId',
+/**
+ * @openapi
+ * /passengers/waitlist/{entryId}/confirm:
+ *   post:
+ *     tags:
+ *       - Passenger Trips
+ *     summary: Confirm a waitlist offer
+ *     description: |
+ *       Takes the held seats before `offerExpiresAt`. What is created depends on the
+ *       driver's `waitlistPromotion` setting:
+ *       - `request`: a pending booking request the driver accepts or declines
+ *       - `auto_accept`: an accepted booking on the held seats (payment intent created)
+ *
+ *       Idempotent once confirmed.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-f\d]{24}$'
+ *     responses:
+ *       200:
+ *         description: Offer confirmed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 entry:
+ *                   $ref: '#/components/schemas/WaitlistEntry'
+ *                 booking:
+ *                   type: object
+ *       403:
+ *         description: Not the owner (forbidden_owner)
+ *       404:
+ *         description: Entry not found (waitlist_entry_not_found)
+ *       409:
+ *         description: No active offer (offer_not_active), trip not bookable or already booked
+ */
+router.post(
+  '/waitlist/:entryId/confirm',
+  generalRateLimiter,
   authenticate,
   requireRole('passenger'),
   requireCsrf,
-  validateRequest(require('../validation/reviewSchemas').reviewParamsSchema, 'params'),
-  validateRequest(require('../validation/reviewSchemas').updateReviewBodySchema, 'body'),
-  reviewController.editMyReview.bind(reviewController)
+  validateRequest(waitlistEntryIdParamSchema, 'params'),
+  waitlistController.confirmOffer.bind(waitlistController)
+);
+
+/**
+ * @openapi
+ * /passengers/waitlist/{entryId}/decline:
+ *   post:
+ *     tags:
+ *       - Passenger Trips
+ *     summary: Decline a waitlist offer
+ *     description: The held seats are offered to the next in line.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-f\d]{24}$'
+ *     responses:
+ *       200:
+ *         description: Offer declined
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WaitlistEntry'
+ *       403:
+ *         description: Not the owner (forbidden_owner)
+ *       404:
+ *         description: Entry not found (waitlist_entry_not_found)
+ *       409:
+ *         description: No active offer (offer_not_active)
+ */
+router.post(
+  '/waitlist/:entryId/decline',
+  generalRateLimiter,
+  authenticate,
+  requireRole('passenger'),
+  requireCsrf,
+  validateRequest(waitlistEntryIdParamSchema, 'params'),
+  waitlistController.declineOffer.bind(waitlistController)
+);
+
+/**
+ * @openapi
+ * /passengers/bookings/{bookingId}/boarding-pass:
+ *   get:
+ *     tags:
+ *       - Passenger Trips
+ *     summary: Boarding pass of an accepted booking
+ *     description: |
+ *       6-digit PIN (unique on the trip, issued on first request) and QR payload to
+ *       show the driver at pickup. Available while the trip is published or in progress.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-f\d]{24}$'
+ *     responses:
+ *       200:
+ *         description: Boarding pass
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 bookingId: { type: string }
+ *                 tripId: { type: string }
+ *                 pin: { type: string, example: "042917" }
+ *                 qrPayload: { type: string, example: "wheels-boarding:66a1b2c3d4e5f6a7b8c9d0e1:042917" }
+ *                 boardingStatus: { type: string, enum: [checked_in, passenger_no_show, driver_no_show], nullable: true }
+ *                 boardedAt: { type: string, format: date-time, nullable: true }
+ *       403:
+ *         description: Not the owner (forbidden_owner)
+ *       404:
+ *         description: Booking not found (booking_not_found)
+ *       409:
+ *         description: Booking not accepted (booking_not_accepted) or trip closed (trip_not_boardable)
+ */
+router.get(
+  '/bookings/:bookingId/boarding-pass',
+  generalRateLimiter,
+  authenticate,
+  requireRole('passenger'),
+  validateRequest(bookingIdParamSchema, 'params'),
+  boardingController.getBoardingPass.bind(boardingController)
+);
+
+/**
+ * @openapi
+ * /passengers/bookings/{bookingId}/driver-no-show:
+ *   post:
+ *     tags:
+ *       - Passenger Trips
+ *     summary: Report that the driver did not show up
+ *     description: |
+ *       Allowed `DRIVER_NO_SHOW_GRACE_MINUTES` (default 15) after departure if you were not
+ *       checked in. Idempotent once reported.
+ *       - You can review the trip even if the driver never completes it
+ *       - You can then report the driver with category `no_show`
+ *       - The driver gets `booking.driver_no_show`
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-f\d]{24}$'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Driver no-show recorded (booking with `boardingStatus` driver_no_show)
+ *       403:
+ *         description: Not the owner (forbidden_owner)
+ *       404:
+ *         description: Booking not found (booking_not_found)
+ *       409:
+ *         description: |
+ *           Too early (no_show_too_early), booking not accepted (booking_not_accepted),
+ *           trip canceled (trip_not_boardable) or already checked in (boarding_already_recorded)
+ */
+router.post(
+  '/bookings/:bookingId/driver-no-show',
+  generalRateLimiter,
+  authenticate,
+  requireRole('passenger'),
+  requireCsrf,
+  validateRequest(bookingIdParamSchema, 'params'),
+  validateRequest(noShowSchema, 'body'),
+  boardingController.reportDriverNoShow.bind(boardingController)
+);
+
+/**
+ * @openapi
+ * /passengers/change-proposals:
+ *   get:
+ *     tags:
+ *       - Passenger Trips
+ *     summary: Trip changes on my bookings
+ *     description: |
+ *       When a driver changes the price, time or route of a trip you booked, you get a
+ *       change proposal (`trip.change_proposed` notification) with the previous and the
+ *       proposed terms. Accept or decline it before `deadline`; no answer counts as a decline.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, closed]
+ *     responses:
+ *       200:
+ *         description: Proposals, most recent first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PassengerChangeProposal'
+ */
+router.get(
+  '/change-proposals',
+  generalRateLimiter,
+  authenticate,
+  requireRole('passenger'),
+  validateRequest(listChangeProposalsQuerySchema, 'query'),
+  tripChangeProposalController.listMyProposals.bind(tripChangeProposalController)
+);
+
+/**
+ * @openapi
+ * /passengers/change-proposals/{proposalId}/accept:
+ *   post:
+ *     tags:
+ *       - Passenger Trips
+ *     summary: Accept a trip change
+ *     description: The booking keeps its seats and its `agreedTerms` move to the proposed version.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: proposalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-f\d]{24}$'
+ *     responses:
+ *       200:
+ *         description: Answer recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PassengerChangeProposal'
+ *       403:
+ *         description: The proposal does not concern your bookings (forbidden_owner)
+ *       404:
+ *         description: Proposal not found (change_proposal_not_found)
+ *       409:
+ *         description: |
+ *           Already answered (response_already_recorded), proposal closed (change_proposal_closed)
+ *           or deadline passed (change_proposal_expired)
+ */
+router.post(
+  '/change-proposals/:proposalId/accept',
+  generalRateLimiter,
+  authenticate,
+  requireRole('passenger'),
+  requireCsrf,
+  validateRequest(changeProposalIdParamSchema, 'params'),
+  tripChangeProposalController.acceptProposal.bind(tripChangeProposalController)
+);
+
+/**
+ * @openapi
+ * /passengers/change-proposals/{proposalId}/decline:
+ *   post:
+ *     tags:
+ *       - Passenger Trips
+ *     summary: Decline a trip change
+ *     description: |
+ *       The booking is canceled and its seats released. A paid booking is refunded in full
+ *       (cancellation outcome with `policySource` terms_declined); the cancellation policy
+ *       penalty does not apply.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: proposalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-f\d]{24}$'
+ *     responses:
+ *       200:
+ *         description: Answer recorded, booking canceled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PassengerChangeProposal'
+ *       403:
+ *         description: The proposal does not concern your bookings (forbidden_owner)
+ *       404:
+ *         description: Proposal not found (change_proposal_not_found)
+ *       409:
+ *         description: |
+ *           Already answered (response_already_recorded), proposal closed (change_proposal_closed)
+ *           or deadline passed (change_proposal_expired)
+ */
+router.post(
+  '/change-proposals/:proposalId/decline',
+  generalRateLimiter,
+  authenticate,
+  requireRole('passenger'),
+  requireCsrf,
+  validateRequest(changeProposalIdParamSchema, 'params'),
+  tripChangeProposalController.declineProposal.bind(tripChangeProposalController)
+);
+
+/**
+ * @openapi
+ * /passengers/saved-searches:
+ *   post:
+ *     tags:
+ *       - Passenger Trips
+ *     summary: Save a trip search
+ *     description: |
+ *       Keeps the filters of GET /passengers/trips/search (without `sort`, `page` and `pageSize`)
+ *       under a name. When a trip matching them is published you get a `saved_search.match`
+ *       notification with the stops you would ride between.
+ *
+ *       - `daysOfWeek` limits alerts to departures on those weekdays (0 = Sunday ... 6 = Saturday,
+ *         America/Bogota); empty means any day
+ *       - At least one of qOrigin, qDestination or a pickup/drop-off point is required
+ *       - One alert per trip, at most SAVED_SEARCH_ALERTS_PER_DAY (default 5) per search and day;
+ *         with several matching searches you still get a single alert per trip
+ *       - Up to SAVED_SEARCH_MAX_PER_USER (default 10) saved searches
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 60
+ *                 example: "Casa a la U"
+ *               daysOfWeek:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                   minimum: 0
+ *                   maximum: 6
+ *                 example: [1, 2, 3, 4, 5]
+ *               qOrigin:
+ *                 type: string
+ *               qDestination:
+ *                 type: string
+ *               fromDate:
+ *                 type: string
+ *                 format: date-time
+ *               toDate:
+ *                 type: string
+ *                 format: date-time
+ *               fromTime:
+ *                 type: string
+ *                 example: "06:00"
+ *               toTime:
+ *                 type: string
+ *                 example: "08:00"
+ *               minAvailableSeats:
+ *                 type: integer
+ *               minPrice:
+ *                 type: number
+ *               maxPrice:
+ *                 type: number
+ *               nearOriginLat:
+ *                 type: number
+ *               nearOriginLng:
+ *                 type: number
+ *               nearDestLat:
+ *                 type: number
+ *               nearDestLng:
+ *                 type: number
+ *               radius:
+ *                 type: integer
+ *                 minimum: 50
+ *                 maximum: 20000
+ *     responses:
+ *       201:
+ *         description: Search saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SavedSearch'
+ *       400:
+ *         description: Invalid filters (invalid_schema)
+ *       409:
+ *         description: Too many saved searches (saved_search_limit_reached)
+ */
+router.post(
+  '/saved-searches',
+  generalRateLimiter,
+  authenticate,
+  requireRole('passenger'),
+  requireCsrf,
+  validateRequest(createSavedSearchSchema, 'body'),
+  savedSearchController.createSavedSearch.bind(savedSearchController)
+);
+
+/**
+ * @openapi
+ * /passengers/saved-searches:
+ *   get:
+ *     tags:
+ *       - Passenger Trips
+ *     summary: My saved searches
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Saved searches, most recent first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SavedSearch'
+ */
+router.get(
+  '/saved-searches',
+  generalRateLimiter,
+  authenticate,
+  requireRole('passenger'),
+  savedSearchController.listMySavedSearches.bind(savedSearchController)
+);
+
+/**
+ * @openapi
+ * /passengers/saved-searches/{searchId}:
+ *   patch:
+ *     tags:
+ *       - Passenger Trips
+ *     summary: Rename, mute or change the weekdays of a saved search
+ *     description: Filters cannot be edited; save a new search instead.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: searchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-f\d]{24}$'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 60
+ *               daysOfWeek:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                   minimum: 0
+ *                   maximum: 6
+ *               muted:
+ *                 type: boolean
+ *                 description: Muted searches send no alerts
+ *     responses:
+ *       200:
+ *         description: Updated search
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SavedSearch'
+ *       403:
+ *         description: Not your saved search (forbidden_owner)
+ *       404:
+ *         description: Saved search not found (saved_search_not_found)
+ *   delete:
+ *     tags:
+ *       - Passenger Trips
+ *     summary: Delete a saved search
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: searchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-f\d]{24}$'
+ *     responses:
+ *       204:
+ *         description: Deleted
+ *       403:
+ *         description: Not your saved search (forbidden_owner)
+ *       404:
+ *         description: Saved search not found (saved_search_not_found)
+ */
+router.patch(
+  '/saved-searches/:searchId',
+  generalRateLimiter,
+  authenticate,
+  requireRole('passenger'),
+  requireCsrf,
+  validateRequest(savedSearchIdParamSchema, 'params'),
+  validateRequest(updateSavedSearchSchema, 'body'),
+  savedSearchController.updateSavedSearch.bind(savedSearchController)
+);
+
+router.delete(
+  '/saved-searches/:searchId',
+  generalRateLimiter,
+  authenticate,
+  requireRole('passenger'),
+  requireCsrf,
+  validateRequest(savedSearchIdParamSchema, 'params'),
+  savedSearchController.deleteSavedSearch.bind(savedSearchController)
+);
+
+/**
+ * @openapi
+ * /passengers/ride-requests:
+ *   post:
+ *     tags:
+ *       - Passenger Trips
+ *     summary: Request a ride nobody offers yet
+ *     description: |
+ *       Posts demand for a ride: pickup and drop-off, the window you want to leave in, seats and
+ *       an optional price cap. Drivers browse open requests near their routes; one that fulfills
+ *       yours creates a trip for it and you are booked on it right away (`ride_request.fulfilled`
+ *       notification, accepted booking with `rideRequestId`). Without a driver the request
+ *       expires when the window ends (`ride_request.expired`).
+ *
+ *       Up to RIDE_REQUEST_MAX_OPEN (default 3) open requests per passenger.
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [origin, destination, windowStart, windowEnd]
+ *             properties:
+ *               origin:
+ *                 type: object
+ *                 properties:
+ *                   text: { type: string, example: "Chía, parque principal" }
+ *                   geo: { type: object, properties: { lat: { type: number, example: 4.8619 }, lng: { type: number, example: -74.0327 } } }
+ *               destination:
+ *                 type: object
+ *                 properties:
+ *                   text: { type: string, example: "Universidad de La Sabana" }
+ *                   geo: { type: object, properties: { lat: { type: number, example: 4.8615 }, lng: { type: number, example: -74.0337 } } }
+ *               windowStart: { type: string, format: date-time }
+ *               windowEnd: { type: string, format: date-time }
+ *               seats: { type: integer, minimum: 1, maximum: 8, default: 1 }
+ *               maxPricePerSeat: { type: number, nullable: true }
+ *               note: { type: string, maxLength: 300 }
+ *     responses:
+ *       201:
+ *         description: Ride request posted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RideRequest'
+ *       400:
+ *         description: Invalid request (invalid_schema) or window already over (invalid_window)
+ *       409:
+ *         description: Too many open requests (ride_request_limit_reached)
+ *   get:
+ *     tags:
+ *       - Passenger Trips
+ *     summary: My ride requests
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, fulfilled, canceled, expired]
+ *     responses:
+ *       200:
+ *         description: Ride requests, most recent first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RideRequest'
+ */
+router.post(
+  '/ride-requests',
+  generalRateLimiter,
+  authenticate,
+  requireRole('passenger'),
+  requireCsrf,
+  validateRequest(createRideRequestSchema, 'body'),
+  rideRequestController.createRideRequest.bind(rideRequestController)
+);
+
+router.get(
+  '/ride-requests',
+  generalRateLimiter,
+  authenticate,
+  requireRole('passenger'),
+  validateRequest(listRideRequestsQuerySchema, 'query'),
+  rideRequestController.listMyRideRequests.bind(rideRequestController)
+);
+
+/**
+ * @openapi
+ * /passengers/ride-requests/{requestId}:
+ *   delete:
+ *     tags:
+ *       - Passenger Trips
+ *     summary: Withdraw an open ride request
+ *     description: Only open requests; a fulfilled one is handled through its booking.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-f\d]{24}$'
+ *     responses:
+ *       200:
+ *         description: Request canceled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RideRequest'
+ *       403:
+ *         description: Not your request (forbidden_owner)
+ *       404:
+ *         description: Ride request not found (ride_request_not_found)
+ *       409:
+ *         description: Already fulfilled, canceled or expired (ride_request_not_open)
+ */
+router.delete(
+  '/ride-requests/:requestId',
+  generalRateLimiter,
+  authenticate,
+  requireRole('passenger'),
+  requireCsrf,
+  validateRequest(rideRequestIdParamSchema, 'params'),
+  rideRequestController.cancelRideRequest.bind(rideRequestController)
+);
+
+/**
+ * @openapi
+ * /passengers/trips/{tripId}/location:
+ *   get:
+ *     tags:
+ *       - Passenger Trips
+ *     summary: Live location of a trip
+ *     description: |
+ *       Buffered positions posted by the driver, newest first. Only for passengers with
+ *       an accepted booking (not marked as no-show). `sharing` is true while the trip is
+ *       `in_progress`; positions are purged when it is completed or canceled.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-f\d]{24}$'
+ *     responses:
+ *       200:
+ *         description: Trip location
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TripLocationSnapshot'
+ *       403:
+ *         description: Not a passenger of the trip (forbidden_location_access)
+ *       404:
+ *         description: Trip not found (trip_not_found)
+ */
+router.get(
+  '/trips/:tripId/location',
+  generalRateLimiter,
+  authenticate,
+  requireRole('passenger'),
+  validateRequest(tripIdParamSchema, 'params'),
+  tripLocationController.getTripLocation.bind(tripLocationController)
+);
+
+/**
+ * @openapi
+ * /passengers/trips/{tripId}/location/stream:
+ *   get:
+ *     tags:
+ *       - Passenger Trips
+ *     summary: Follow the live location of a trip (Server-Sent Events)
+ *     description: |
+ *       Same access as GET /passengers/trips/{tripId}/location. Events:
+ *       - `snapshot`: buffered positions on connection (TripLocationSnapshot)
+ *       - `location`: a new position (TripLocation)
+ *       - `location_ended`: the trip was completed or canceled; the stream closes
+ *
+ *       Positions are not replayed on reconnection: the new `snapshot` carries them.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-f\d]{24}$'
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       403:
+ *         description: Not a passenger of the trip (forbidden_location_access)
+ *       404:
+ *         description: Trip not found (trip_not_found)
+ */
+router.get(
+  '/trips/:tripId/location/stream',
+  authenticate,
+  requireRole('passenger'),
+  validateRequest(tripIdParamSchema, 'params'),
+  tripLocationController.streamTripLocation.bind(tripLocationController)
+);
+
+/**
+ * @openapi
+ * /passengers/trips/{tripId}/chat:
+ *   get:
+ *     tags:
+ *       - Passenger Trips
+ *     summary: Chat of a trip
+ *     description: |
+ *       Conversation between the driver and the passengers with an accepted booking (not
+ *       marked as no-show). Messages come newest first; pass the `createdAt` of the oldest
+ *       one as `before` to load older pages.
+ *       - `readBy`: participants (other than the sender) who have seen the message
+ *       - Phone numbers, emails and links in messages sent before your booking was
+ *         accepted are masked (`masked: true`)
+ *       - The chat closes `TRIP_CHAT_CLOSE_HOURS` (default 24) after the trip is completed,
+ *         and when it is canceled; history stays readable
+ *
+ *       New messages, read receipts and closure arrive on GET /notifications/stream as
+ *       `trip_message`, `trip_chat_read` and `trip_chat_closed` events.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-f\d]{24}$'
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 30
+ *     responses:
+ *       200:
+ *         description: Conversation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TripChat'
+ *       403:
+ *         description: Not a participant of the trip (forbidden_chat_access)
+ *       404:
+ *         description: Trip not found (trip_not_found)
+ */
+router.get(
+  '/trips/:tripId/chat',
+  generalRateLimiter,
+  authenticate,
+  requireRole('passenger'),
+  validateRequest(tripIdParamSchema, 'params'),
+  validateRequest(tripChatQuerySchema, 'query'),
+  tripChatController.getConversation.bind(tripChatController)
+);
+
+/**
+ * @openapi
+ * /passengers/trips/{tripId}/chat/messages:
+ *   post:
+ *     tags:
+ *       - Passenger Trips
+ *     summary: Send a message to the chat of a trip
+ *     description: |
+ *       Same participants as GET /passengers/trips/{tripId}/chat. Sending a message marks
+ *       the conversation as read up to it.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-f\d]{24}$'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [body]
+ *             properties:
+ *               body: { type: string, minLength: 1, maxLength: 1000, example: 'Estoy en la portería principal' }
+ *     responses:
+ *       201:
+ *         description: Message sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TripMessage'
+ *       403:
+ *         description: Not a participant of the trip (forbidden_chat_access)
+ *       404:
+ *         description: Trip not found (trip_not_found)
+ *       409:
+ *         description: The chat is closed (chat_closed)
+ */
+router.post(
+  '/trips/:tripId/chat/messages',
+  generalRateLimiter,
+  authenticate,
+  requireRole('passenger'),
+  requireCsrf,
+  validateRequest(tripIdParamSchema, 'params'),
+  validateRequest(sendTripMessageSchema, 'body'),
+  tripChatController.sendMessage.bind(tripChatController)
+);
+
+/**
+ * @openapi
+ * /passengers/trips/{tripId}/chat/read:
+ *   post:
+ *     tags:
+ *       - Passenger Trips
+ *     summary: Mark the chat of a trip as read
+ *     description: Moves your read receipt to now; the other participants get a `trip_chat_read` event.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-f\d]{24}$'
+ *     responses:
+ *       200:
+ *         description: Read receipt
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 tripId: { type: string }
+ *                 lastReadAt: { type: string, format: date-time }
+ *                 unread: { type: integer, example: 0 }
+ *       403:
+ *         description: Not a participant of the trip (forbidden_chat_access)
+ *       404:
+ *         description: Trip not found (trip_not_found)
+ */
+router.post(
+  '/trips/:tripId/chat/read',
+  generalRateLimiter,
+  authenticate,
+  requireRole('passenger'),
+  requireCsrf,
+  validateRequest(tripIdParamSchema, 'params'),
+  tripChatController.markRead.bind(tripChatController)
+);
+
+/**
+ * @openapi
+ * /passengers/trips/{tripId}/chat/messages/{messageId}/report:
+ *   post:
+ *     tags:
+ *       - Passenger Trips
+ *     summary: Report a message of the trip chat
+ *     description: |
+ *       Files a user report against the sender for this trip (the same report as
+ *       POST /users/{userId}/report, with `messageId` and the original text kept for
+ *       moderation). One report per user and trip.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-f\d]{24}$'
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-f\d]{24}$'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [category]
+ *             properties:
+ *               category: { type: string, enum: [abuse, harassment, fraud, unsafe_behavior, other] }
+ *               reason: { type: string, maxLength: 500 }
+ *     responses:
+ *       201:
+ *         description: Report filed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 ok: { type: boolean, example: true }
+ *                 reportId: { type: string }
+ *                 messageId: { type: string }
+ *                 reportedUserId: { type: string }
+ *                 category: { type: string, example: harassment }
+ *                 correlationId: { type: string }
+ *       400:
+ *         description: Own message (cannot_report_self)
+ *       403:
+ *         description: Not a participant of the trip (forbidden_chat_access)
+ *       404:
+ *         description: Trip or message not found (trip_not_found, message_not_found)
+ *       429:
+ *         description: The sender was already reported for this trip (rate_limited)
+ */
+router.post(
+  '/trips/:tripId/chat/messages/:messageId/report',
+  generalRateLimiter,
+  authenticate,
+  requireRole('passenger'),
+  requireCsrf,
+  validateRequest(tripMessageParamsSchema, 'params'),
+  validateRequest(reportTripMessageSchema, 'body'),
+  tripChatController.reportMessage.bind(tripChatController)
+);
+
+// GET my review for a trip
+router.get(
+  '/trips/:tripId/reviews/me',
+  authenticate,
+  requireRole('passenger'),
+  validateRequest(require('../validation/bookingRequestSchemas').tripIdParamSchema, 'params'),
+  reviewController.getMyReviewForTrip.bind(reviewController)
+);
+
+// DELETE my review for a trip (soft-delete within 24h window)
+router.delete(
+  '/trips/:tripId/reviews/:reviewId',
+  authenticate,
+  requireRole('passenger'),
+  requireCsrf,
+  validateRequest(require('../validation/reviewSchemas').reviewParamsSchema, 'params'),
+  reviewController.deleteMyReview.bind(reviewController)
+);
+
+// PATCH edit my review within 24h
+router.patch(
+  '/trips/:tripId/reviews/:reviewId',
+  authenticate,
+  requireRole('passenger'),
+  requireCsrf,
+  validateRequest(require('../validation/reviewSchemas').reviewParamsSchema, 'params'),
+  validateRequest(require('../validation/reviewSchemas').updateReviewBodySchema, 'body'),
+  reviewController.editMyReview.bind(reviewController)
+);
+
+// GET reviews drivers wrote about me, with my passenger rating
+router.get(
+  '/reviews/received',
+  authenticate,
+  requireRole('passenger'),
+  validateRequest(require('../validation/reviewSchemas').listReviewsQuerySchema, 'query'),
+  passengerReviewController.listReceivedReviews.bind(passengerReviewController)
 );
 
 module.exports = router;
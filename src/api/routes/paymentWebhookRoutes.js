@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+
+const rawBodyMiddleware = require('../middlewares/rawBody');
+const PaymentController = require('../controllers/paymentController');
+
+const controller = new PaymentController();
+
+/**
+ * POST /payments/webhooks/stripe
+ * Public endpoint; Stripe-Signature validated
+ */
+router.post('/stripe', rawBodyMiddleware, controller.handleStripeWebhook.bind(controller));
+
+module.exports = router;
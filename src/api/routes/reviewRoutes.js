@@ -9,8 +9,11 @@ const requireCsrf = require('../middlewares/requireCsrf');
 const { createReviewBodySchema } = require('../validation/reviewSchemas');
 
 const controller = new ReviewController();
+const PassengerReviewController = require('../controllers/passengerReviewController');
+const passengerReviewController = new PassengerReviewController();
 
 // POST /trips/:tripId/reviews - passenger writes a review for a completed trip
+// (or after reporting a driver no-show; passengers marked as no-show cannot review)
 router.post(
   '/:tripId/reviews',
   authenticate,
@@ -30,4 +33,14 @@ router.post(
   controller.reportReview.bind(controller)
 );
 
+// Report a review a driver wrote about a passenger: POST /passenger-reviews/:reviewId/report
+router.post(
+  '/passenger-reviews/:reviewId/report',
+  authenticate,
+  requireCsrf,
+  validateRequest(require('../validation/reviewSchemas').reviewIdParamSchema, 'params'),
+  validateRequest(require('../validation/reviewSchemas').reportReviewBodySchema, 'body'),
+  passengerReviewController.reportReview.bind(passengerReviewController)
+);
+
 module.exports = router;
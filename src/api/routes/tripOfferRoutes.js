@@ -1,15 +1,26 @@
 const express = require('express');
 const TripOfferController = require('../controllers/tripOfferController');
+const TripSeriesController = require('../controllers/tripSeriesController');
 const validateRequest = require('../middlewares/validateRequest');
-const { createTripOfferSchema, updateTripOfferSchema, listTripsQuerySchema, tripIdParamSchema } = require('../validation/tripOfferSchemas');
+const {
+  createTripOfferSchema,
+  updateTripOfferSchema,
+  listTripsQuerySchema,
+  tripIdParamSchema,
+  updateTripScopeQuerySchema,
+  createTripSeriesSchema,
+  updateTripSeriesSchema,
+  tripSeriesIdParamSchema,
+  tripCancellationPolicySchema
+} = require('../validation/tripOfferSchemas');
 const { generalRateLimiter } = require('../middlewares/rateLimiter');
 const authenticate = require('../middlewares/authenticate');
 const { requireRole } = require('../middlewares/authenticate');
 const requireCsrf = require('../middlewares/requireCsrf');
-const requireDriverVerified = require('../middlewares/verifyDriver');
 
 const router = express.Router();
 const tripOfferController = new TripOfferController();
+const tripSeriesController = new TripSeriesController();
 
 /**
  * @openapi
@@ -113,6 +124,25 @@ const tripOfferController = new TripOfferController();
  *                         minimum: -180
  *                         maximum: 180
  *                         example: -74.064
+ *               waypoints:
+ *                 type: array
+ *                 maxItems: 8
+ *                 description: Ordered intermediate stops between origin and destination. Passengers can book any stretch between stops.
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     text:
+ *                       type: string
+ *                       example: "Portal Norte"
+ *                     geo:
+ *                       type: object
+ *                       properties:
+ *                         lat:
+ *                           type: number
+ *                           example: 4.754
+ *                         lng:
+ *                           type: number
+ *                           example: -74.046
  *               departureAt:
  *                 type: string
  *                 format: date-time
@@ -145,6 +175,10 @@ const tripOfferController = new TripOfferController();
  *                 maxLength: 500
  *                 description: Optional notes for passengers
  *                 example: "Two backpacks max. No pets allowed."
+ *               instantBook:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Accept booking requests on creation while seats last
  *           examples:
  *             published:
  *               summary: Published trip (visible to passengers)
@@ -250,12 +284,25 @@ const tripOfferController = new TripOfferController();
  *             schema:
  *               $ref: '#/components/schemas/ErrorUnauthorized'
  *       403:
- *         description: Forbidden (not a driver or vehicle ownership violation)
+ *         description: Forbidden (not a driver, vehicle ownership violation, or not eligible to publish)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorForbidden'
  *             examples:
+ *               driver_not_eligible:
+ *                 summary: Driver cannot publish (see GET /drivers/me/eligibility)
+ *                 value:
+ *                   code: "driver_not_eligible"
+ *                   message: "You cannot publish trips right now"
+ *                   details:
+ *                     action: "publish"
+ *                     reasons:
+ *                       - code: "publish_banned"
+ *                         message: "An administrator banned you from publishing trips"
+ *                         blocks: ["publish"]
+ *                         until: "2026-11-01T00:00:00.000Z"
+ *                   correlationId: "123e4567-e89b-12d3-a456-426614174000"
  *               not_driver:
  *                 summary: User is not a driver
  *                 value:
@@ -293,7 +340,6 @@ router.post(
   generalRateLimiter,
   authenticate,
   requireRole('driver'),
-  // requireDriverVerified, // Temporarily disabled for testing
   requireCsrf,
   validateRequest(createTripOfferSchema),
   tripOfferController.createTripOffer.bind(tripOfferController)
@@ -545,14 +591,28 @@ router.get(
  *       - `pricePerSeat`: Update price
  *       - `totalSeats`: Update capacity (must be ≥ 1 and ≤ vehicle capacity)
  *       - `notes`: Update trip notes
+ *       - `instantBook`: Accept booking requests on creation while seats last (this trip only)
+ *       - `departureAt`, `estimatedArrivalAt`: Move the trip (draft or published, departure in the future)
+ *       - `origin`, `destination`: Change the endpoints (draft or published; waypoints stay)
  *       - `status`: Transition status (draft ↔ published, published → canceled)
  *       
+ *       **Passenger re-consent**: price, time and route are the trip terms. Changing them bumps
+ *       `termsVersion`; on a published trip with active bookings it opens a change proposal
+ *       (returned as `changeProposal`) that each passenger accepts or declines before its deadline.
+ *       Declined or unanswered bookings are canceled with a full refund. While a proposal is
+ *       open, further price, time or route edits are rejected with 409 `change_proposal_pending`.
+ *       
  *       **Business Rules**:
- *       - Only draft trips can have times edited (if enabled in config)
  *       - Cannot edit canceled or completed trips
  *       - Status transitions must be legal
  *       - totalSeats cannot be less than booked seats (future validation)
  *       - All updates re-validate against vehicle capacity
+ *       
+ *       **Recurring series** (`scope` query parameter):
+ *       - `this` (default): edits only this occurrence; later series-wide edits skip it
+ *       - `future`: applies `pricePerSeat`/`totalSeats`/`notes` to this and all later
+ *         occurrences of the series (status, time and route changes are not allowed with this scope);
+ *         booked occurrences get their own change proposal, occurrences with one still open are skipped
  *     security:
  *       - cookieAuth: []
  *     parameters:
@@ -564,6 +624,13 @@ router.get(
  *           pattern: '^[a-f\d]{24}$'
  *         description: Trip offer ID (MongoDB ObjectId)
  *         example: "66a1b2c3d4e5f6a7b8c9d0e1"
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [this, future]
+ *           default: this
+ *         description: Edit this occurrence only, or this and all future occurrences of its series
  *     requestBody:
  *       required: true
  *       content:
@@ -588,6 +655,23 @@ router.get(
  *                 maxLength: 500
  *                 description: Trip notes
  *                 example: "Meet at Gate 3. Be punctual."
+ *               instantBook:
+ *                 type: boolean
+ *                 description: Instant-book (not allowed with scope=future)
+ *               departureAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: New departure (not allowed with scope=future)
+ *               estimatedArrivalAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: New estimated arrival (must be after departureAt)
+ *               origin:
+ *                 type: object
+ *                 description: "New origin `{ text, geo: { lat, lng } }` (not allowed with scope=future)"
+ *               destination:
+ *                 type: object
+ *                 description: "New destination `{ text, geo: { lat, lng } }` (not allowed with scope=future)"
  *               status:
  *                 type: string
  *                 enum: [draft, published, canceled, completed]
@@ -613,7 +697,15 @@ router.get(
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/TripOfferResponse'
+ *               allOf:
+ *                 - $ref: '#/components/schemas/TripOfferResponse'
+ *                 - type: object
+ *                   properties:
+ *                     changeProposal:
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/TripChangeProposal'
+ *                       nullable: true
+ *                       description: Open proposal booked passengers must answer (null if none)
  *             example:
  *               id: "66a1b2c3d4e5f6a7b8c9d0e1"
  *               driverId: "665e2af1b2c3d4e5f6a7b8c9"
@@ -719,6 +811,12 @@ router.get(
  *                   code: "invalid_transition"
  *                   message: "Cannot edit departureAt for a published trip"
  *                   correlationId: "123e4567-e89b-12d3-a456-426614174000"
+ *               change_proposal_pending:
+ *                 summary: Passengers are still answering a previous change
+ *                 value:
+ *                   code: "change_proposal_pending"
+ *                   message: "Trip has a change proposal waiting for passenger responses"
+ *                   correlationId: "123e4567-e89b-12d3-a456-426614174000"
  */
 router.patch(
   '/trips/:id',
@@ -727,6 +825,7 @@ router.patch(
   requireRole('driver'),
   requireCsrf,
   validateRequest(tripIdParamSchema, 'params'),
+  validateRequest(updateTripScopeQuerySchema, 'query'),
   validateRequest(updateTripOfferSchema),
   tripOfferController.updateTripOffer.bind(tripOfferController)
 );
@@ -912,6 +1011,7 @@ router.post(
 
 /**
  * Start a trip (change status from published to in_progress)
+ * 403 driver_not_eligible when a reason blocking `start` applies (GET /drivers/me/eligibility)
  */
 router.post(
   '/trips/:id/start',
@@ -925,6 +1025,7 @@ router.post(
 
 /**
  * Complete a trip (change status from in_progress to completed)
+ * The live location of the trip is purged
  */
 router.post(
   '/trips/:id/complete',
@@ -936,5 +1037,242 @@ router.post(
   tripOfferController.completeTrip.bind(tripOfferController)
 );
 
+/**
+ * @openapi
+ * /drivers/trips/{id}/cancellation-policy:
+ *   put:
+ *     tags:
+ *       - Trip Offers
+ *     summary: Set the cancellation policy of a trip (Driver only)
+ *     description: |
+ *       Overrides the platform cancellation tiers for one of the driver's trips.
+ *       Applies to passenger cancellations made after the change.
+ *
+ *       **Bounds** (set by admins, see `GET /admin/cancellation-policy`):
+ *       - Every tier refunds at least `minRefundPercent`
+ *       - No tier withholds more than `maxPenaltyPercent`
+ *       - A tier must fully refund cancellations `maxFullRefundNoticeHours` or more before departure
+ *       - A tier with `minHoursBeforeDeparture: 0` is required
+ *
+ *       Only draft or published trips can be changed.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trip offer ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [tiers]
+ *             properties:
+ *               tiers:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 6
+ *                 items:
+ *                   $ref: '#/components/schemas/CancellationTier'
+ *           example:
+ *             tiers:
+ *               - { minHoursBeforeDeparture: 12, refundPercent: 100, penaltyPercent: 0 }
+ *               - { minHoursBeforeDeparture: 0, refundPercent: 50, penaltyPercent: 5 }
+ *     responses:
+ *       200:
+ *         description: Trip with its cancellation policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TripOfferResponse'
+ *       400:
+ *         description: Invalid tiers or outside platform bounds (cancellation_policy_out_of_bounds)
+ *       403:
+ *         description: Trip not owned by driver (forbidden_owner)
+ *       404:
+ *         description: Trip not found
+ *       409:
+ *         description: Trip is no longer draft or published (invalid_trip_state)
+ *   delete:
+ *     tags:
+ *       - Trip Offers
+ *     summary: Remove the cancellation policy override of a trip (Driver only)
+ *     description: The trip falls back to the platform cancellation policy.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trip offer ID
+ *     responses:
+ *       200:
+ *         description: Trip without cancellation policy override
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TripOfferResponse'
+ *       403:
+ *         description: Trip not owned by driver (forbidden_owner)
+ *       404:
+ *         description: Trip not found
+ *       409:
+ *         description: Trip is no longer draft or published (invalid_trip_state)
+ */
+router.put(
+  '/trips/:id/cancellation-policy',
+  generalRateLimiter,
+  authenticate,
+  requireRole('driver'),
+  requireCsrf,
+  validateRequest(tripIdParamSchema, 'params'),
+  validateRequest(tripCancellationPolicySchema, 'body'),
+  tripOfferController.setCancellationPolicy.bind(tripOfferController)
+);
+
+router.delete(
+  '/trips/:id/cancellation-policy',
+  generalRateLimiter,
+  authenticate,
+  requireRole('driver'),
+  requireCsrf,
+  validateRequest(tripIdParamSchema, 'params'),
+  tripOfferController.clearCancellationPolicy.bind(tripOfferController)
+);
+
+/**
+ * @openapi
+ * /drivers/trip-series:
+ *   post:
+ *     tags:
+ *       - Trip Offers
+ *     summary: Create a recurring weekly trip series (Driver only)
+ *     description: |
+ *       Creates a weekly schedule (e.g. Mon/Wed/Fri 06:30 until end of semester) and
+ *       generates individual trip offers on a rolling horizon (default 14 days,
+ *       extended daily by the scheduler).
+ *       
+ *       - `daysOfWeek`: 0 = Sunday ... 6 = Saturday
+ *       - `departureTime`, `startDate`, `untilDate` use local time (America/Bogota)
+ *       - Published occurrences are checked for overlap with your other published
+ *         trips; conflicts inside the initial horizon reject the series (409 with details)
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             vehicleId: "6680a1b2c3d4e5f6a7b8c9d0"
+ *             origin: { text: "Chía", geo: { lat: 4.861, lng: -74.032 } }
+ *             destination: { text: "Universidad de La Sabana", geo: { lat: 4.8615, lng: -74.0325 } }
+ *             daysOfWeek: [1, 3, 5]
+ *             departureTime: "06:30"
+ *             durationMinutes: 40
+ *             startDate: "2025-11-03"
+ *             untilDate: "2025-12-12"
+ *             pricePerSeat: 6000
+ *             totalSeats: 3
+ *     responses:
+ *       201:
+ *         description: Series created with its first occurrences ({ series, trips, skipped })
+ *       400:
+ *         description: Invalid payload or schedule without occurrences
+ *       409:
+ *         description: Occurrences overlap with other published trips
+ */
+router.post(
+  '/trip-series',
+  generalRateLimiter,
+  authenticate,
+  requireRole('driver'),
+  requireCsrf,
+  validateRequest(createTripSeriesSchema),
+  tripSeriesController.createSeries.bind(tripSeriesController)
+);
+
+/**
+ * List my trip series
+ */
+router.get(
+  '/trip-series',
+  generalRateLimiter,
+  authenticate,
+  requireRole('driver'),
+  tripSeriesController.listMySeries.bind(tripSeriesController)
+);
+
+/**
+ * Get a trip series with its upcoming occurrences
+ */
+router.get(
+  '/trip-series/:seriesId',
+  generalRateLimiter,
+  authenticate,
+  requireRole('driver'),
+  validateRequest(tripSeriesIdParamSchema, 'params'),
+  tripSeriesController.getSeries.bind(tripSeriesController)
+);
+
+/**
+ * @openapi
+ * /drivers/trip-series/{seriesId}:
+ *   patch:
+ *     tags:
+ *       - Trip Offers
+ *     summary: Edit all future occurrences of a series (Driver only)
+ *     description: |
+ *       Updates the series template and every upcoming draft/published occurrence,
+ *       except occurrences edited individually (`scope=this`).
+ *       Shortening `untilDate` cancels later occurrences with cascade; extending it
+ *       generates the new occurrences inside the current horizon.
+ *       A `totalSeats` below the seats already allocated on an occurrence leaves
+ *       that occurrence unchanged; it is detached and listed in `skippedTrips`.
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Updated series ({ series, updatedTrips, canceledTripIds, skippedTrips })
+ *   delete:
+ *     tags:
+ *       - Trip Offers
+ *     summary: Cancel a series and all its upcoming occurrences (Driver only)
+ *     description: |
+ *       Stops generation and cancels every upcoming occurrence through the trip
+ *       cascade (pending → declined_auto, accepted → canceled_by_platform, seats
+ *       released, passengers notified). Idempotent.
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Series canceled ({ seriesId, status, tripsCanceled, effects, failedTripIds })
+ */
+router.patch(
+  '/trip-series/:seriesId',
+  generalRateLimiter,
+  authenticate,
+  requireRole('driver'),
+  requireCsrf,
+  validateRequest(tripSeriesIdParamSchema, 'params'),
+  validateRequest(updateTripSeriesSchema),
+  tripSeriesController.updateSeries.bind(tripSeriesController)
+);
+
+router.delete(
+  '/trip-series/:seriesId',
+  generalRateLimiter,
+  authenticate,
+  requireRole('driver'),
+  requireCsrf,
+  validateRequest(tripSeriesIdParamSchema, 'params'),
+  tripSeriesController.cancelSeries.bind(tripSeriesController)
+);
+
 module.exports = router;
 
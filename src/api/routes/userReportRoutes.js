@@ -31,6 +31,7 @@ router.get(
 /**
  * POST /users/:userId/report
  * Report a user from a specific trip
+ * category no_show requires the no-show recorded at boarding for that trip
  */
 router.post(
   '/:userId/report',
@@ -1,8 +1,9 @@
 const express = require('express');
 const UserController = require('../controllers/userController');
+const CalendarFeedController = require('../controllers/calendarFeedController');
 const validateRequest = require('../middlewares/validateRequest');
 const conditionalValidateRequest = require('../middlewares/conditionalValidation');
-const { createUserSchema, updateProfileSchema } = require('../validation/userSchemas');
+const { createUserSchema, updateProfileSchema, updateNotificationPreferencesSchema } = require('../validation/userSchemas');
 const { upload, handleUploadError, cleanupOnError } = require('../middlewares/uploadMiddleware');
 const { publicRateLimiter, generalRateLimiter } = require('../middlewares/rateLimiter');
 const authenticate = require('../middlewares/authenticate');
@@ -11,6 +12,7 @@ const requireCsrf = require('../middlewares/requireCsrf');
 
 const router = express.Router();
 const userController = new UserController();
+const calendarFeedController = new CalendarFeedController();
 
 /**
  * POST /users - Registrar nuevo usuario
@@ -304,6 +306,103 @@ router.patch(
   userController.updateMyProfile.bind(userController)
 );
 
+/**
+ * @openapi
+ * /api/users/me/notification-preferences:
+ *   get:
+ *     tags:
+ *       - Users
+ *     summary: Get my notification preferences
+ *     description: |
+ *       Global channels, per-type overrides and quiet hours. Users who never saved
+ *       preferences get the defaults (email and in-app on, push off, no quiet hours).
+ *       `locked` lists type/channel pairs that are always delivered.
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Notification preferences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotificationPreferences'
+ *       401:
+ *         description: Unauthorized - Missing or invalid session
+ *   patch:
+ *     tags:
+ *       - Users
+ *     summary: Update my notification preferences (partial)
+ *     description: |
+ *       Only the fields sent are changed. In `types`, `null` removes the override of a type
+ *       (or of one of its channels) so the global channel applies again.
+ *
+ *       - Locked type/channel pairs cannot be disabled (403 `preference_locked`);
+ *         disabling a global channel never stops locked pairs
+ *       - Quiet hours hold back email and push (not in-app) in the user's timezone
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               channels:
+ *                 type: object
+ *                 properties:
+ *                   email: { type: boolean }
+ *                   inApp: { type: boolean }
+ *                   push: { type: boolean }
+ *               types:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: object
+ *                   nullable: true
+ *                   properties:
+ *                     email: { type: boolean, nullable: true }
+ *                     inApp: { type: boolean, nullable: true }
+ *                     push: { type: boolean, nullable: true }
+ *               quietHours:
+ *                 type: object
+ *                 properties:
+ *                   enabled: { type: boolean }
+ *                   start: { type: string, example: "22:00" }
+ *                   end: { type: string, example: "07:00" }
+ *                   timezone: { type: string, example: "America/Bogota" }
+ *           example:
+ *             channels: { push: true }
+ *             types:
+ *               trip.reminder: { email: false }
+ *             quietHours: { enabled: true, start: "22:00", end: "07:00" }
+ *     responses:
+ *       200:
+ *         description: Updated notification preferences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotificationPreferences'
+ *       400:
+ *         description: Invalid payload (invalid_schema)
+ *       403:
+ *         description: Attempt to disable a locked type/channel (preference_locked) or CSRF token missing
+ */
+router.get(
+  '/me/notification-preferences',
+  generalRateLimiter,
+  authenticate,
+  userController.getNotificationPreferences.bind(userController)
+);
+
+router.patch(
+  '/me/notification-preferences',
+  generalRateLimiter,
+  authenticate,
+  requireCsrf,
+  validateRequest(updateNotificationPreferencesSchema, 'body'),
+  userController.updateNotificationPreferences.bind(userController)
+);
+
 /**
  * GET /users/me/notification-preferences/metadata
  * Returns guardrail metadata so clients can discover locked event/channel pairs
@@ -315,5 +414,102 @@ router.get(
   userController.getNotificationPreferencesMetadata.bind(userController)
 );
 
+/**
+ * @openapi
+ * /api/users/me/calendar-feed:
+ *   get:
+ *     tags:
+ *       - Users
+ *     summary: Get my calendar feed status
+ *     description: |
+ *       Whether an iCalendar feed URL is active. The URL itself is only returned when it
+ *       is issued (POST /api/users/me/calendar-feed/rotate).
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Calendar feed status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CalendarFeed'
+ *       401:
+ *         description: Unauthorized - Missing or invalid session
+ *   delete:
+ *     tags:
+ *       - Users
+ *     summary: Disable my calendar feed
+ *     description: The current feed URL stops working (404 for calendar clients).
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Calendar feed disabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CalendarFeed'
+ *       401:
+ *         description: Unauthorized - Missing or invalid session
+ *       403:
+ *         description: CSRF token missing or invalid
+ */
+router.get(
+  '/me/calendar-feed',
+  generalRateLimiter,
+  authenticate,
+  calendarFeedController.getFeedStatus.bind(calendarFeedController)
+);
+
+router.delete(
+  '/me/calendar-feed',
+  generalRateLimiter,
+  authenticate,
+  requireCsrf,
+  calendarFeedController.disableFeed.bind(calendarFeedController)
+);
+
+/**
+ * @openapi
+ * /api/users/me/calendar-feed/rotate:
+ *   post:
+ *     tags:
+ *       - Users
+ *     summary: Issue a new calendar feed URL
+ *     description: |
+ *       Returns a secret `.ics` URL to subscribe to from Google Calendar, Outlook or Apple
+ *       Calendar. It lists the trips I drive (published and in progress) and the trips of
+ *       my accepted bookings; canceled ones stay as CANCELLED events until departure.
+ *
+ *       - The URL is only shown in this response; any previous URL stops working
+ *       - Anyone with the URL can read the feed, so rotate it if it leaks
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: New calendar feed URL
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/CalendarFeed'
+ *                 - type: object
+ *                   properties:
+ *                     url:
+ *                       type: string
+ *                       example: "https://api.wheels.unisabana.edu.co/calendar/3q2-7wQx...Zk.ics"
+ *       401:
+ *         description: Unauthorized - Missing or invalid session
+ *       403:
+ *         description: CSRF token missing or invalid
+ */
+router.post(
+  '/me/calendar-feed/rotate',
+  generalRateLimiter,
+  authenticate,
+  requireCsrf,
+  calendarFeedController.rotateFeedToken.bind(calendarFeedController)
+);
+
 module.exports = router;
 
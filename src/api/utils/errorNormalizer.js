@@ -7,6 +7,7 @@ const DomainError = require('../../domain/errors/DomainError');
 const codeToStatus = {
   invalid_booking_state: 409,
   duplicate_payment: 409,
+  duplicate_refund: 409,
   booking_already_paid: 409,
   forbidden_owner: 403,
   forbidden: 403,
@@ -43,7 +44,7 @@ function normalizeError(err) {
   if (typeof err.name === 'string' && err.name.endsWith('Error')) {
     err.code = err.code || camelToSnake(err.name);
     // If it's one of known conflict errors, mark as 409
-    if (['InvalidBookingStateError', 'DuplicatePaymentError', 'BookingAlreadyPaidError'].includes(err.name)) {
+    if (['InvalidBookingStateError', 'DuplicatePaymentError', 'DuplicateRefundError', 'BookingAlreadyPaidError'].includes(err.name)) {
       err.statusCode = err.statusCode || 409;
     } else {
       err.statusCode = err.statusCode || 400;
@@ -29,7 +29,7 @@ const listBookingsQuery = Joi.object({
 }).concat(paginationQuery).options({ abortEarly: false, stripUnknown: true });
 
 const listRefundsQuery = Joi.object({
-  status: Joi.string().optional(),
+  status: Joi.string().valid('requested', 'processing', 'succeeded', 'failed').optional(),
   reason: Joi.string().max(500).optional(),
   transactionId: Joi.string().optional(),
   bookingId: Joi.string().pattern(/^[a-f\d]{24}$/i).optional(),
@@ -91,9 +91,71 @@ const listModerationNotesQuery = Joi.object({
   pageSize: Joi.number().integer().min(1).max(100).default(20).optional()
 }).options({ abortEarly: false, stripUnknown: true });
 
+// Moderation cases (user reports grouped per reported user)
+const objectId = Joi.string().pattern(/^[a-f\d]{24}$/i).messages({
+  'string.pattern.base': '{{#label}} must be a valid MongoDB ObjectId'
+});
+
+const listUserReportsQuery = Joi.object({
+  status: Joi.string().valid('pending', 'reviewed', 'resolved').optional(),
+  category: Joi.string().valid('abuse', 'harassment', 'fraud', 'no_show', 'unsafe_behavior', 'other').optional(),
+  reportedUserId: objectId.optional(),
+  reporterId: objectId.optional(),
+  tripId: objectId.optional(),
+  caseId: objectId.optional(),
+  createdFrom: Joi.date().iso().optional(),
+  createdTo: Joi.date().iso().optional(),
+  page: Joi.number().integer().min(1).default(1).optional(),
+  pageSize: Joi.number().integer().min(1).max(100).default(25).optional()
+}).options({ abortEarly: false, stripUnknown: true });
+
+const listModerationCasesQuery = Joi.object({
+  status: Joi.string().valid('open', 'closed').optional(),
+  assignedTo: objectId.optional(),
+  unassigned: Joi.boolean().optional(),
+  subjectUserId: objectId.optional(),
+  page: Joi.number().integer().min(1).default(1).optional(),
+  pageSize: Joi.number().integer().min(1).max(100).default(25).optional()
+}).options({ abortEarly: false, stripUnknown: true });
+
+const moderationCaseParamsSchema = Joi.object({
+  caseId: objectId.required()
+}).options({ abortEarly: false });
+
+const groupUserReportsSchema = Joi.object({
+  userId: objectId.required()
+}).options({ abortEarly: false, stripUnknown: true });
+
+const assignModerationCaseSchema = Joi.object({
+  assigneeId: objectId.allow(null).optional(),
+  reason: Joi.string().min(3).max(500).optional()
+}).options({ abortEarly: false, stripUnknown: true });
+
+const linkModerationCaseSchema = Joi.object({
+  noteIds: Joi.array().items(objectId).min(1).max(50).optional(),
+  evidenceIds: Joi.array().items(Joi.string().max(100)).min(1).max(50).optional()
+}).or('noteIds', 'evidenceIds').options({ abortEarly: false, stripUnknown: true });
+
+const closeModerationCaseSchema = Joi.object({
+  outcome: Joi.string().valid('dismissed', 'warning', 'publish_ban', 'suspension').required(),
+  reason: Joi.string().min(3).max(1000).required(),
+  banUntil: Joi.when('outcome', {
+    is: 'publish_ban',
+    then: Joi.date().iso().greater('now').required(),
+    otherwise: Joi.forbidden()
+  })
+}).options({ abortEarly: false, stripUnknown: true });
+
 module.exports.moderationNoteSchema = moderationNoteSchema;
 module.exports.evidenceUploadRequestSchema = evidenceUploadRequestSchema;
 module.exports.listModerationNotesQuery = listModerationNotesQuery;
+module.exports.listUserReportsQuery = listUserReportsQuery;
+module.exports.listModerationCasesQuery = listModerationCasesQuery;
+module.exports.moderationCaseParamsSchema = moderationCaseParamsSchema;
+module.exports.groupUserReportsSchema = groupUserReportsSchema;
+module.exports.assignModerationCaseSchema = assignModerationCaseSchema;
+module.exports.linkModerationCaseSchema = linkModerationCaseSchema;
+module.exports.closeModerationCaseSchema = closeModerationCaseSchema;
 
 // Audit listing and export schemas
 const listAuditQuery = Joi.object({
@@ -134,3 +196,19 @@ const integrityQuery = Joi.object({
 }).options({ abortEarly: false, stripUnknown: true });
 
 module.exports.integrityQuery = integrityQuery;
+
+// Platform cancellation policy
+const { cancellationTierSchema } = require('./tripOfferSchemas');
+
+const updateCancellationPolicySchema = Joi.object({
+  tiers: Joi.array().items(cancellationTierSchema).min(1).max(6).required(),
+  bounds: Joi.object({
+    allowTripOverride: Joi.boolean().optional(),
+    minRefundPercent: Joi.number().min(0).max(100).optional(),
+    maxPenaltyPercent: Joi.number().min(0).max(100).optional(),
+    maxFullRefundNoticeHours: Joi.number().min(0).max(24 * 30).optional()
+  }).optional(),
+  reason: Joi.string().min(3).max(500).required()
+}).options({ abortEarly: false, stripUnknown: true });
+
+module.exports.updateCancellationPolicySchema = updateCancellationPolicySchema;
@@ -31,6 +31,31 @@ const createBookingRequestSchema = Joi.object({
       'number.base': 'seats must be a number',
       'number.integer': 'seats must be an integer',
       'number.min': 'seats must be at least 1'
+    }),
+  // Stop indexes along the trip route: 0 = origin, last = destination
+  boardStopIndex: Joi.number()
+    .integer()
+    .min(0)
+    .optional()
+    .messages({
+      'number.base': 'boardStopIndex must be a number',
+      'number.integer': 'boardStopIndex must be an integer',
+      'number.min': 'boardStopIndex must be at least 0'
+    }),
+  alightStopIndex: Joi.number()
+    .integer()
+    .min(1)
+    .optional()
+    .when('boardStopIndex', {
+      is: Joi.exist(),
+      then: Joi.number().greater(Joi.ref('boardStopIndex')).messages({
+        'number.greater': 'alightStopIndex must be after boardStopIndex'
+      })
+    })
+    .messages({
+      'number.base': 'alightStopIndex must be a number',
+      'number.integer': 'alightStopIndex must be an integer',
+      'number.min': 'alightStopIndex must be at least 1'
     })
 }).options({
   abortEarly: false,
@@ -176,12 +201,188 @@ const cancelBookingRequestSchema = Joi.object({
   abortEarly: false
 });
 
+/**
+ * Schema for joining the waitlist of a full trip
+ * POST /passengers/trips/:tripId/waitlist
+ */
+const joinWaitlistSchema = Joi.object({
+  seats: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .optional()
+    .messages({
+      'number.base': 'seats must be a number',
+      'number.integer': 'seats must be an integer',
+      'number.min': 'seats must be at least 1'
+    }),
+  note: Joi.string()
+    .max(300)
+    .trim()
+    .allow('')
+    .optional()
+    .messages({
+      'string.max': 'note must not exceed 300 characters'
+    }),
+  boardStopIndex: Joi.number()
+    .integer()
+    .min(0)
+    .optional()
+    .messages({
+      'number.base': 'boardStopIndex must be a number',
+      'number.integer': 'boardStopIndex must be an integer',
+      'number.min': 'boardStopIndex must be at least 0'
+    }),
+  alightStopIndex: Joi.number()
+    .integer()
+    .min(1)
+    .optional()
+    .when('boardStopIndex', {
+      is: Joi.exist(),
+      then: Joi.number().greater(Joi.ref('boardStopIndex')).messages({
+        'number.greater': 'alightStopIndex must be after boardStopIndex'
+      })
+    })
+    .messages({
+      'number.base': 'alightStopIndex must be a number',
+      'number.integer': 'alightStopIndex must be an integer',
+      'number.min': 'alightStopIndex must be at least 1'
+    })
+}).options({
+  abortEarly: false,
+  stripUnknown: true
+});
+
+// Schema for listing my waitlist entries (GET /passengers/waitlist)
+const listWaitlistQuerySchema = Joi.object({
+  status: Joi.alternatives()
+    .try(
+      Joi.string().valid('waiting', 'offered', 'confirmed', 'declined', 'expired', 'left', 'closed'),
+      Joi.array().items(Joi.string().valid('waiting', 'offered', 'confirmed', 'declined', 'expired', 'left', 'closed'))
+    )
+    .optional()
+    .messages({
+      'any.only': 'status must be one of: waiting, offered, confirmed, declined, expired, left, closed'
+    })
+}).options({
+  abortEarly: false,
+  stripUnknown: true
+});
+
+// Schema for entryId parameter
+const waitlistEntryIdParamSchema = Joi.object({
+  entryId: Joi.string()
+    .pattern(/^[a-f\d]{24}$/i)
+    .required()
+    .messages({
+      'string.pattern.base': 'entryId must be a valid MongoDB ObjectId',
+      'any.required': 'entryId is required'
+    })
+}).options({
+  abortEarly: false
+});
+
+// Schema for tripId + bookingId parameters
+const tripBookingParamsSchema = Joi.object({
+  tripId: Joi.string()
+    .pattern(/^[a-f\d]{24}$/i)
+    .required()
+    .messages({
+      'string.pattern.base': 'tripId must be a valid MongoDB ObjectId',
+      'any.required': 'tripId is required'
+    }),
+  bookingId: Joi.string()
+    .pattern(/^[a-f\d]{24}$/i)
+    .required()
+    .messages({
+      'string.pattern.base': 'bookingId must be a valid MongoDB ObjectId',
+      'any.required': 'bookingId is required'
+    })
+}).options({
+  abortEarly: false
+});
+
+/**
+ * Schema for checking a passenger in at pickup
+ * POST /drivers/trips/:tripId/check-in
+ * bookingId comes from the scanned QR code; the PIN alone is enough if unique on the trip
+ */
+const checkInSchema = Joi.object({
+  pin: Joi.string()
+    .pattern(/^\d{6}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'pin must be 6 digits',
+      'any.required': 'pin is required'
+    }),
+  bookingId: Joi.string()
+    .pattern(/^[a-f\d]{24}$/i)
+    .optional()
+    .messages({
+      'string.pattern.base': 'bookingId must be a valid MongoDB ObjectId'
+    })
+}).options({
+  abortEarly: false
+});
+
+/**
+ * Schema for reporting a no-show (passenger or driver)
+ * POST /drivers/trips/:tripId/bookings/:bookingId/no-show
+ * POST /passengers/bookings/:bookingId/driver-no-show
+ */
+const noShowSchema = Joi.object({
+  reason: Joi.string()
+    .trim()
+    .max(500)
+    .optional()
+    .allow('')
+    .messages({
+      'string.max': 'No-show reason cannot exceed 500 characters'
+    })
+}).options({
+  abortEarly: false
+});
+
+// Schema for listing my change proposals (GET /passengers/change-proposals)
+const listChangeProposalsQuerySchema = Joi.object({
+  status: Joi.string()
+    .valid('open', 'closed')
+    .optional()
+    .messages({
+      'any.only': 'status must be one of: open, closed'
+    })
+}).options({
+  abortEarly: false,
+  stripUnknown: true
+});
+
+// Schema for proposalId parameter
+const changeProposalIdParamSchema = Joi.object({
+  proposalId: Joi.string()
+    .pattern(/^[a-f\d]{24}$/i)
+    .required()
+    .messages({
+      'string.pattern.base': 'proposalId must be a valid MongoDB ObjectId',
+      'any.required': 'proposalId is required'
+    })
+}).options({
+  abortEarly: false
+});
+
 module.exports = {
   createBookingRequestSchema,
   listBookingRequestsQuerySchema,
   bookingIdParamSchema,
   driverTripBookingRequestsQuerySchema,
   tripIdParamSchema,
-  cancelBookingRequestSchema
+  cancelBookingRequestSchema,
+  joinWaitlistSchema,
+  listWaitlistQuerySchema,
+  waitlistEntryIdParamSchema,
+  tripBookingParamsSchema,
+  checkInSchema,
+  noShowSchema,
+  listChangeProposalsQuerySchema,
+  changeProposalIdParamSchema
 };
 
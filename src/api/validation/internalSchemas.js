@@ -15,7 +15,7 @@ const Joi = require('joi');
  */
 const runJobQuerySchema = Joi.object({
   name: Joi.string()
-    .valid('complete-trips', 'auto-complete-trips', 'expire-pendings', 'verification-expiry-scan', 'audit-anchor')
+    .valid('complete-trips', 'auto-complete-trips', 'expire-pendings', 'verification-expiry-scan', 'audit-anchor', 'expand-trip-series', 'process-refunds', 'process-email-queue', 'expire-waitlist-offers', 'expire-change-proposals', 'expire-ride-requests', 'close-trip-chats')
     .default('complete-trips')
     .messages({
       'any.only': 'Job name must be one of: complete-trips, auto-complete-trips, expire-pendings'
@@ -35,13 +35,17 @@ const runJobQuerySchema = Joi.object({
   abortEarly: false
 });
 
+// Notification type names, e.g. 'payment.succeeded', 'booking.accepted'
+const templateTypeSchema = Joi.string().pattern(/^[a-z][a-zA-Z0-9_]*(\.[a-zA-Z0-9_]+)*$/).max(100);
+const templateLocaleSchema = Joi.string().valid('en', 'es');
+
 /**
  * Schema for POST /internal/notifications/templates/render
  * Body: { channel: 'email'|'in-app', type: 'payment.succeeded', variables: { ... } }
  */
 const renderTemplateBodySchema = Joi.object({
   channel: Joi.string().valid('email', 'in-app').required(),
-  type: Joi.string().valid('payment.succeeded').required(),
+  type: templateTypeSchema.required(),
   locale: Joi.string().valid('en','es').default('en'),
   variables: Joi.object().default({})
 }).options({ abortEarly: false });
@@ -53,6 +57,7 @@ const dispatchNotificationBodySchema = Joi.object({
   channel: Joi.string().valid('email', 'in-app', 'both').default('both'),
   type: Joi.string().required(),
   userId: Joi.string().required(),
+  locale: Joi.string().valid('en','es').default('en'),
   variables: Joi.object().default({})
 }).options({ abortEarly: false });
 
@@ -70,6 +75,58 @@ const validateTemplateBodySchema = Joi.object({
   partials: Joi.object().pattern(Joi.string(), Joi.string()).optional()
 }).options({ abortEarly: false });
 
+/**
+ * Schema for POST /internal/notifications/templates
+ * Stores a new draft version of { type, locale }
+ */
+const createTemplateBodySchema = Joi.object({
+  type: templateTypeSchema.required(),
+  locale: templateLocaleSchema.default('en'),
+  subject: Joi.string().max(500).required(),
+  html: Joi.string().allow('').default(''),
+  text: Joi.string().allow('').default(''),
+  schema: Joi.object().default({}),
+  partials: Joi.object().pattern(Joi.string().pattern(/^[a-zA-Z0-9_.\-]+$/), Joi.string().allow('')).default({}),
+  notes: Joi.string().max(500).allow('').optional()
+}).options({ abortEarly: false });
+
+/**
+ * Schema for PUT /internal/notifications/templates/:type/:locale/versions/:version
+ */
+const updateTemplateDraftBodySchema = Joi.object({
+  subject: Joi.string().max(500),
+  html: Joi.string().allow(''),
+  text: Joi.string().allow(''),
+  schema: Joi.object(),
+  partials: Joi.object().pattern(Joi.string().pattern(/^[a-zA-Z0-9_.\-]+$/), Joi.string().allow('')),
+  notes: Joi.string().max(500).allow('')
+}).min(1).options({ abortEarly: false });
+
+/**
+ * Path params for /internal/notifications/templates/:type/:locale[/versions/:version]
+ */
+const templateParamsSchema = Joi.object({
+  type: templateTypeSchema.required(),
+  locale: templateLocaleSchema.required()
+});
+
+const templateVersionParamsSchema = templateParamsSchema.keys({
+  version: Joi.number().integer().min(1).required()
+});
+
+/**
+ * Schema for POST .../versions/:version/publish and .../rollback
+ * Body: { reason: string, version?: number (rollback only) }
+ * The reason is recorded in the admin audit log.
+ */
+const publishTemplateBodySchema = Joi.object({
+  reason: Joi.string().trim().min(3).max(500).required()
+}).options({ abortEarly: false });
+
+const rollbackTemplateBodySchema = publishTemplateBodySchema.keys({
+  version: Joi.number().integer().min(1).optional()
+});
+
 /**
  * Schema for PATCH /admin/drivers/:driverId/verification
  * Body: { action: 'approve' | 'reject', reason?: string, comment?: string }
@@ -90,4 +147,10 @@ module.exports = {
   , dispatchNotificationBodySchema
   , validateTemplateBodySchema
   , reviewDriverVerificationBodySchema
+  , createTemplateBodySchema
+  , updateTemplateDraftBodySchema
+  , templateParamsSchema
+  , templateVersionParamsSchema
+  , publishTemplateBodySchema
+  , rollbackTemplateBodySchema
 };
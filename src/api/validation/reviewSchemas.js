@@ -49,4 +49,26 @@ const adminVisibilityBodySchema = Joi.object({
   })
 }).options({ abortEarly: false });
 
-module.exports = { createReviewBodySchema, listReviewsQuerySchema, reviewIdParamSchema, reportReviewBodySchema, adminVisibilityBodySchema, updateReviewBodySchema, reviewParamsSchema };
+// Admin resolution of a reported review (closes its open reports)
+const resolveReviewReportsBodySchema = Joi.object({
+  action: Joi.string().valid('restore', 'hide').required().messages({
+    'any.only': 'Action must be restore or hide',
+    'any.required': 'Action is required'
+  }),
+  reason: Joi.string().trim().min(1).max(500).required().messages({
+    'string.empty': 'Reason is required for moderation actions',
+    'any.required': 'Reason is required for moderation actions',
+    'string.max': 'Reason cannot exceed 500 characters'
+  })
+}).options({ abortEarly: false });
+
+// Driver's public reply to a review
+const reviewReplyBodySchema = Joi.object({
+  text: Joi.string().trim().min(1).max(1000).required().messages({
+    'string.empty': 'Reply text cannot be empty',
+    'string.max': 'Reply text cannot exceed 1000 characters',
+    'any.required': 'Reply text is required'
+  })
+}).options({ abortEarly: false });
+
+module.exports = { createReviewBodySchema, reviewReplyBodySchema, listReviewsQuerySchema, reviewIdParamSchema, reportReviewBodySchema, adminVisibilityBodySchema, resolveReviewReportsBodySchema, updateReviewBodySchema, reviewParamsSchema };
@@ -0,0 +1,190 @@
+const Joi = require('joi');
+const { geoLocationSchema, createTripOfferSchema } = require('./tripOfferSchemas');
+
+/**
+ * Validation schemas for Ride Request endpoints
+ */
+
+const objectIdPattern = /^[a-f\d]{24}$/i;
+
+// Schema for posting a ride request
+const createRideRequestSchema = Joi.object({
+  origin: geoLocationSchema.messages({
+    'any.required': 'origin is required'
+  }),
+  destination: geoLocationSchema.messages({
+    'any.required': 'destination is required'
+  }),
+  windowStart: Joi.date()
+    .iso()
+    .required()
+    .messages({
+      'date.format': 'windowStart must be a valid ISO 8601 date',
+      'any.required': 'windowStart is required',
+      'date.base': 'windowStart must be a valid date'
+    }),
+  windowEnd: Joi.date()
+    .iso()
+    .greater(Joi.ref('windowStart'))
+    .required()
+    .messages({
+      'date.format': 'windowEnd must be a valid ISO 8601 date',
+      'date.greater': 'windowEnd must be after windowStart',
+      'any.required': 'windowEnd is required',
+      'date.base': 'windowEnd must be a valid date'
+    }),
+  seats: Joi.number()
+    .integer()
+    .min(1)
+    .max(8)
+    .default(1)
+    .optional()
+    .messages({
+      'number.base': 'seats must be a number',
+      'number.integer': 'seats must be an integer',
+      'number.min': 'seats must be at least 1',
+      'number.max': 'seats must not exceed 8'
+    }),
+  maxPricePerSeat: Joi.number()
+    .min(0)
+    .precision(2)
+    .allow(null)
+    .optional()
+    .messages({
+      'number.base': 'maxPricePerSeat must be a number',
+      'number.min': 'maxPricePerSeat must be 0 or greater'
+    }),
+  note: Joi.string()
+    .max(300)
+    .trim()
+    .allow('')
+    .default('')
+    .optional()
+    .messages({
+      'string.max': 'note must not exceed 300 characters'
+    })
+}).options({
+  abortEarly: false,
+  stripUnknown: true
+});
+
+// Schema for listing my ride requests
+const listRideRequestsQuerySchema = Joi.object({
+  status: Joi.string()
+    .valid('open', 'fulfilled', 'canceled', 'expired')
+    .optional()
+    .messages({
+      'any.only': 'status must be one of: open, fulfilled, canceled, expired'
+    })
+}).options({
+  abortEarly: false,
+  stripUnknown: true
+});
+
+// Schema for drivers browsing open ride requests along a route
+const browseRideRequestsQuerySchema = Joi.object({
+  originLat: Joi.number().min(-90).max(90).required().messages({
+    'number.base': 'originLat must be a number',
+    'number.min': 'originLat must be a valid latitude',
+    'number.max': 'originLat must be a valid latitude',
+    'any.required': 'originLat is required'
+  }),
+  originLng: Joi.number().min(-180).max(180).required().messages({
+    'number.base': 'originLng must be a number',
+    'number.min': 'originLng must be a valid longitude',
+    'number.max': 'originLng must be a valid longitude',
+    'any.required': 'originLng is required'
+  }),
+  destLat: Joi.number().min(-90).max(90).required().messages({
+    'number.base': 'destLat must be a number',
+    'number.min': 'destLat must be a valid latitude',
+    'number.max': 'destLat must be a valid latitude',
+    'any.required': 'destLat is required'
+  }),
+  destLng: Joi.number().min(-180).max(180).required().messages({
+    'number.base': 'destLng must be a number',
+    'number.min': 'destLng must be a valid longitude',
+    'number.max': 'destLng must be a valid longitude',
+    'any.required': 'destLng is required'
+  }),
+  radius: Joi.number()
+    .integer()
+    .min(50)
+    .max(20000)
+    .optional()
+    .messages({
+      'number.base': 'radius must be a number',
+      'number.integer': 'radius must be an integer (meters)',
+      'number.min': 'radius must be at least 50 meters',
+      'number.max': 'radius must not exceed 20000 meters'
+    }),
+  fromDate: Joi.date()
+    .iso()
+    .optional()
+    .messages({
+      'date.format': 'fromDate must be a valid ISO 8601 date',
+      'date.base': 'fromDate must be a valid date'
+    }),
+  toDate: Joi.date()
+    .iso()
+    .optional()
+    .when('fromDate', {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref('fromDate')).messages({
+        'date.min': 'toDate must be after fromDate'
+      })
+    })
+    .messages({
+      'date.format': 'toDate must be a valid ISO 8601 date',
+      'date.base': 'toDate must be a valid date'
+    }),
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .optional()
+    .messages({
+      'number.base': 'page must be a number',
+      'number.integer': 'page must be an integer',
+      'number.min': 'page must be at least 1'
+    }),
+  pageSize: Joi.number()
+    .integer()
+    .min(1)
+    .max(50)
+    .default(10)
+    .optional()
+    .messages({
+      'number.base': 'pageSize must be a number',
+      'number.integer': 'pageSize must be an integer',
+      'number.min': 'pageSize must be at least 1',
+      'number.max': 'pageSize must not exceed 50'
+    })
+}).options({
+  abortEarly: false,
+  stripUnknown: true
+});
+
+// Schema for fulfilling a ride request: the trip to create (always published)
+const fulfillRideRequestSchema = createTripOfferSchema.fork(['status'], (schema) => schema.strip());
+
+// Schema for requestId parameter
+const rideRequestIdParamSchema = Joi.object({
+  requestId: Joi.string()
+    .pattern(objectIdPattern)
+    .required()
+    .messages({
+      'string.pattern.base': 'requestId must be a valid MongoDB ObjectId',
+      'any.required': 'requestId is required'
+    })
+}).options({
+  abortEarly: false
+});
+
+module.exports = {
+  createRideRequestSchema,
+  listRideRequestsQuerySchema,
+  browseRideRequestsQuerySchema,
+  fulfillRideRequestSchema,
+  rideRequestIdParamSchema
+};
@@ -0,0 +1,100 @@
+const Joi = require('joi');
+
+/**
+ * Validation schemas for the in-trip chat endpoints
+ */
+
+const objectIdPattern = /^[a-f\d]{24}$/i;
+
+// Schema for reading the conversation (GET .../trips/:tripId/chat)
+const tripChatQuerySchema = Joi.object({
+  before: Joi.date()
+    .iso()
+    .optional()
+    .messages({
+      'date.format': 'before must be a valid ISO 8601 date',
+      'date.base': 'before must be a valid date'
+    }),
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(30)
+    .messages({
+      'number.base': 'limit must be a number',
+      'number.integer': 'limit must be an integer',
+      'number.min': 'limit must be at least 1',
+      'number.max': 'limit must not exceed 100'
+    })
+}).options({
+  abortEarly: false,
+  stripUnknown: true
+});
+
+// Schema for sending a message
+const sendTripMessageSchema = Joi.object({
+  body: Joi.string()
+    .trim()
+    .min(1)
+    .max(1000)
+    .required()
+    .messages({
+      'string.empty': 'body cannot be empty',
+      'string.min': 'body cannot be empty',
+      'string.max': 'body cannot exceed 1000 characters',
+      'any.required': 'body is required'
+    })
+}).options({
+  abortEarly: false,
+  stripUnknown: true
+});
+
+// Schema for reporting a message (no_show is reported from the booking, not the chat)
+const reportTripMessageSchema = Joi.object({
+  category: Joi.string()
+    .valid('abuse', 'harassment', 'fraud', 'unsafe_behavior', 'other')
+    .required()
+    .messages({
+      'any.only': 'Categoría de reporte inválida',
+      'any.required': 'La categoría es requerida'
+    }),
+  reason: Joi.string()
+    .trim()
+    .max(500)
+    .optional()
+    .allow('')
+    .default('')
+    .messages({
+      'string.max': 'La razón no puede exceder 500 caracteres'
+    })
+}).options({
+  abortEarly: false,
+  stripUnknown: true
+});
+
+// Schema for tripId + messageId parameters
+const tripMessageParamsSchema = Joi.object({
+  tripId: Joi.string()
+    .pattern(objectIdPattern)
+    .required()
+    .messages({
+      'string.pattern.base': 'tripId must be a valid MongoDB ObjectId',
+      'any.required': 'tripId is required'
+    }),
+  messageId: Joi.string()
+    .pattern(objectIdPattern)
+    .required()
+    .messages({
+      'string.pattern.base': 'messageId must be a valid MongoDB ObjectId',
+      'any.required': 'messageId is required'
+    })
+}).options({
+  abortEarly: false
+});
+
+module.exports = {
+  tripChatQuerySchema,
+  sendTripMessageSchema,
+  reportTripMessageSchema,
+  tripMessageParamsSchema
+};
@@ -59,6 +59,14 @@ const createTripOfferSchema = Joi.object({
   destination: geoLocationSchema.messages({
     'any.required': 'destination is required'
   }),
+  waypoints: Joi.array()
+    .items(geoLocationSchema)
+    .max(8)
+    .default([])
+    .messages({
+      'array.base': 'waypoints must be an array',
+      'array.max': 'A trip can have at most 8 intermediate stops'
+    }),
   departureAt: Joi.date()
     .iso()
     .required()
@@ -111,6 +119,13 @@ const createTripOfferSchema = Joi.object({
     .optional()
     .messages({
       'string.max': 'notes must not exceed 500 characters'
+    }),
+  // Accept booking requests on creation while seats last
+  instantBook: Joi.boolean()
+    .default(false)
+    .optional()
+    .messages({
+      'boolean.base': 'instantBook must be a boolean'
     })
 }).options({
   abortEarly: false,
@@ -149,7 +164,29 @@ const updateTripOfferSchema = Joi.object({
     .optional()
     .messages({
       'string.max': 'notes must not exceed 500 characters'
-    })
+    }),
+  instantBook: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'instantBook must be a boolean'
+    }),
+  // Time and route: material changes (booked passengers must re-consent)
+  departureAt: Joi.date()
+    .iso()
+    .optional()
+    .messages({
+      'date.format': 'departureAt must be a valid ISO 8601 date',
+      'date.base': 'departureAt must be a valid date'
+    }),
+  estimatedArrivalAt: Joi.date()
+    .iso()
+    .optional()
+    .messages({
+      'date.format': 'estimatedArrivalAt must be a valid ISO 8601 date',
+      'date.base': 'estimatedArrivalAt must be a valid date'
+    }),
+  origin: geoLocationSchema.optional(),
+  destination: geoLocationSchema.optional()
 })
   .min(1)
   .options({
@@ -312,6 +349,59 @@ const searchTripsQuerySchema = Joi.object({
       'number.base': 'maxPrice must be a number',
       'number.min': 'maxPrice must be at least 0'
     }),
+  nearOriginLat: Joi.number()
+    .min(-90)
+    .max(90)
+    .optional()
+    .messages({
+      'number.base': 'nearOriginLat must be a number',
+      'number.min': 'nearOriginLat must be a valid latitude',
+      'number.max': 'nearOriginLat must be a valid latitude'
+    }),
+  nearOriginLng: Joi.number()
+    .min(-180)
+    .max(180)
+    .optional()
+    .messages({
+      'number.base': 'nearOriginLng must be a number',
+      'number.min': 'nearOriginLng must be a valid longitude',
+      'number.max': 'nearOriginLng must be a valid longitude'
+    }),
+  nearDestLat: Joi.number()
+    .min(-90)
+    .max(90)
+    .optional()
+    .messages({
+      'number.base': 'nearDestLat must be a number',
+      'number.min': 'nearDestLat must be a valid latitude',
+      'number.max': 'nearDestLat must be a valid latitude'
+    }),
+  nearDestLng: Joi.number()
+    .min(-180)
+    .max(180)
+    .optional()
+    .messages({
+      'number.base': 'nearDestLng must be a number',
+      'number.min': 'nearDestLng must be a valid longitude',
+      'number.max': 'nearDestLng must be a valid longitude'
+    }),
+  radius: Joi.number()
+    .integer()
+    .min(50)
+    .max(20000)
+    .optional()
+    .messages({
+      'number.base': 'radius must be a number',
+      'number.integer': 'radius must be an integer (meters)',
+      'number.min': 'radius must be at least 50 meters',
+      'number.max': 'radius must not exceed 20000 meters'
+    }),
+  sort: Joi.string()
+    .valid('departureAt', '-departureAt', 'price', '-price', 'rating', '-rating')
+    .optional()
+    .messages({
+      'any.only': 'sort must be one of departureAt, price, rating (prefix with - for descending)'
+    }),
   page: Joi.number()
     .integer()
     .min(1)
@@ -334,16 +424,390 @@ const searchTripsQuerySchema = Joi.object({
       'number.min': 'pageSize must be at least 1',
       'number.max': 'pageSize must not exceed 50'
     })
+})
+  .and('nearOriginLat', 'nearOriginLng')
+  .and('nearDestLat', 'nearDestLng')
+  .messages({
+    'object.and': 'Latitude and longitude must be provided together'
+  })
+  .options({
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+const daysOfWeekSchema = Joi.array()
+  .items(Joi.number().integer().min(0).max(6))
+  .unique()
+  .max(7)
+  .messages({
+    'array.base': 'daysOfWeek must be an array',
+    'array.unique': 'daysOfWeek must not repeat days',
+    'number.base': 'daysOfWeek must contain numbers from 0 (Sunday) to 6 (Saturday)',
+    'number.integer': 'daysOfWeek must contain numbers from 0 (Sunday) to 6 (Saturday)',
+    'number.min': 'daysOfWeek must contain numbers from 0 (Sunday) to 6 (Saturday)',
+    'number.max': 'daysOfWeek must contain numbers from 0 (Sunday) to 6 (Saturday)'
+  });
+
+// Schema for saving a search: the filters of GET /passengers/trips/search
+// (sorting and pagination dropped), a name and optional weekdays
+const createSavedSearchSchema = searchTripsQuerySchema
+  .fork(['sort', 'page', 'pageSize'], (schema) => schema.strip())
+  .keys({
+    name: Joi.string()
+      .trim()
+      .min(1)
+      .max(60)
+      .required()
+      .messages({
+        'string.min': 'name must be at least 1 character',
+        'string.max': 'name must not exceed 60 characters',
+        'any.required': 'name is required'
+      }),
+    daysOfWeek: daysOfWeekSchema.default([])
+  })
+  .or('qOrigin', 'qDestination', 'nearOriginLat', 'nearDestLat')
+  .messages({
+    'object.missing': 'At least one of qOrigin, qDestination, nearOriginLat/nearOriginLng or nearDestLat/nearDestLng is required'
+  });
+
+// Schema for updating a saved search (filters are replaced by saving a new search)
+const updateSavedSearchSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(1)
+    .max(60)
+    .optional()
+    .messages({
+      'string.min': 'name must be at least 1 character',
+      'string.max': 'name must not exceed 60 characters'
+    }),
+  daysOfWeek: daysOfWeekSchema.optional(),
+  muted: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'muted must be a boolean'
+    })
+})
+  .min(1)
+  .messages({
+    'object.min': 'At least one of name, daysOfWeek or muted is required'
+  })
+  .options({
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+// Schema for searchId parameter
+const savedSearchIdParamSchema = Joi.object({
+  searchId: Joi.string()
+    .pattern(/^[a-f\d]{24}$/i)
+    .required()
+    .messages({
+      'string.pattern.base': 'searchId must be a valid MongoDB ObjectId',
+      'any.required': 'searchId is required'
+    })
+}).options({
+  abortEarly: false
+});
+
+// Schema for scope of PATCH /drivers/trips/:id on series occurrences
+const updateTripScopeQuerySchema = Joi.object({
+  scope: Joi.string()
+    .valid('this', 'future')
+    .default('this')
+    .optional()
+    .messages({
+      'any.only': 'scope must be either "this" or "future"'
+    })
+}).options({
+  abortEarly: false,
+  stripUnknown: true
+});
+
+const localDatePattern = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+// Schema for creating a recurring trip series
+const createTripSeriesSchema = Joi.object({
+  vehicleId: Joi.string()
+    .pattern(/^[a-f\d]{24}$/i)
+    .required()
+    .messages({
+      'string.pattern.base': 'vehicleId must be a valid MongoDB ObjectId',
+      'any.required': 'vehicleId is required'
+    }),
+  origin: geoLocationSchema.messages({
+    'any.required': 'origin is required'
+  }),
+  destination: geoLocationSchema.messages({
+    'any.required': 'destination is required'
+  }),
+  waypoints: Joi.array()
+    .items(geoLocationSchema)
+    .max(8)
+    .default([])
+    .messages({
+      'array.base': 'waypoints must be an array',
+      'array.max': 'A trip can have at most 8 intermediate stops'
+    }),
+  daysOfWeek: Joi.array()
+    .items(Joi.number().integer().min(0).max(6))
+    .min(1)
+    .unique()
+    .required()
+    .messages({
+      'array.min': 'daysOfWeek must contain at least one day',
+      'array.unique': 'daysOfWeek must not contain duplicates',
+      'number.min': 'daysOfWeek values must be between 0 (Sunday) and 6 (Saturday)',
+      'number.max': 'daysOfWeek values must be between 0 (Sunday) and 6 (Saturday)',
+      'any.required': 'daysOfWeek is required'
+    }),
+  departureTime: Joi.string()
+    .pattern(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'departureTime must be in HH:MM format (24-hour)',
+      'any.required': 'departureTime is required'
+    }),
+  durationMinutes: Joi.number()
+    .integer()
+    .min(1)
+    .max(720)
+    .required()
+    .messages({
+      'number.base': 'durationMinutes must be a number',
+      'number.integer': 'durationMinutes must be an integer',
+      'number.min': 'durationMinutes must be at least 1',
+      'number.max': 'durationMinutes must not exceed 720',
+      'any.required': 'durationMinutes is required'
+    }),
+  startDate: Joi.string()
+    .pattern(localDatePattern)
+    .required()
+    .messages({
+      'string.pattern.base': 'startDate must be in YYYY-MM-DD format',
+      'any.required': 'startDate is required'
+    }),
+  untilDate: Joi.string()
+    .pattern(localDatePattern)
+    .required()
+    .messages({
+      'string.pattern.base': 'untilDate must be in YYYY-MM-DD format',
+      'any.required': 'untilDate is required'
+    }),
+  pricePerSeat: Joi.number()
+    .min(0)
+    .precision(2)
+    .required()
+    .messages({
+      'number.min': 'pricePerSeat must be 0 or greater',
+      'number.base': 'pricePerSeat must be a number',
+      'any.required': 'pricePerSeat is required'
+    }),
+  totalSeats: Joi.number()
+    .integer()
+    .min(1)
+    .required()
+    .messages({
+      'number.base': 'totalSeats must be a number',
+      'number.integer': 'totalSeats must be an integer',
+      'number.min': 'totalSeats must be at least 1',
+      'any.required': 'totalSeats is required'
+    }),
+  tripStatus: Joi.string()
+    .valid('draft', 'published')
+    .default('published')
+    .optional()
+    .messages({
+      'any.only': 'tripStatus must be either "draft" or "published"'
+    }),
+  notes: Joi.string()
+    .max(500)
+    .trim()
+    .allow('')
+    .default('')
+    .optional()
+    .messages({
+      'string.max': 'notes must not exceed 500 characters'
+    })
+}).options({
+  abortEarly: false,
+  stripUnknown: true
+});
+
+// Schema for editing all future occurrences of a series
+const updateTripSeriesSchema = Joi.object({
+  pricePerSeat: Joi.number()
+    .min(0)
+    .precision(2)
+    .optional()
+    .messages({
+      'number.min': 'pricePerSeat must be 0 or greater',
+      'number.base': 'pricePerSeat must be a number'
+    }),
+  totalSeats: Joi.number()
+    .integer()
+    .min(1)
+    .optional()
+    .messages({
+      'number.base': 'totalSeats must be a number',
+      'number.integer': 'totalSeats must be an integer',
+      'number.min': 'totalSeats must be at least 1'
+    }),
+  notes: Joi.string()
+    .max(500)
+    .trim()
+    .allow('')
+    .optional()
+    .messages({
+      'string.max': 'notes must not exceed 500 characters'
+    }),
+  untilDate: Joi.string()
+    .pattern(localDatePattern)
+    .optional()
+    .messages({
+      'string.pattern.base': 'untilDate must be in YYYY-MM-DD format'
+    })
+})
+  .min(1)
+  .options({
+    abortEarly: false,
+    stripUnknown: true
+  })
+  .messages({
+    'object.min': 'At least one field must be provided for update'
+  });
+
+// Schema for trip series ID parameter
+const tripSeriesIdParamSchema = Joi.object({
+  seriesId: Joi.string()
+    .pattern(/^[a-f\d]{24}$/i)
+    .required()
+    .messages({
+      'string.pattern.base': 'Series ID must be a valid MongoDB ObjectId',
+      'any.required': 'Series ID is required'
+    })
+}).options({
+  abortEarly: false
+});
+
+// Cancellation policy tier (refund/penalty by hours of notice before departure)
+const cancellationTierSchema = Joi.object({
+  minHoursBeforeDeparture: Joi.number()
+    .min(0)
+    .max(24 * 30)
+    .required()
+    .messages({
+      'number.base': 'minHoursBeforeDeparture must be a number',
+      'number.min': 'minHoursBeforeDeparture must be 0 or greater',
+      'any.required': 'minHoursBeforeDeparture is required'
+    }),
+  refundPercent: Joi.number()
+    .min(0)
+    .max(100)
+    .required()
+    .messages({
+      'number.base': 'refundPercent must be a number',
+      'number.min': 'refundPercent must be between 0 and 100',
+      'number.max': 'refundPercent must be between 0 and 100',
+      'any.required': 'refundPercent is required'
+    }),
+  penaltyPercent: Joi.number()
+    .min(0)
+    .max(100)
+    .default(0)
+    .messages({
+      'number.base': 'penaltyPercent must be a number',
+      'number.min': 'penaltyPercent must be between 0 and 100',
+      'number.max': 'penaltyPercent must be between 0 and 100'
+    })
+});
+
+// Schema for a driver's per-trip cancellation policy
+const tripCancellationPolicySchema = Joi.object({
+  tiers: Joi.array()
+    .items(cancellationTierSchema)
+    .min(1)
+    .max(6)
+    .required()
+    .messages({
+      'array.min': 'At least one tier is required',
+      'array.max': 'At most 6 tiers are allowed',
+      'any.required': 'tiers is required'
+    })
+}).options({
+  abortEarly: false,
+  stripUnknown: true
+});
+
+// Schema for a live position posted by the driver (POST /drivers/trips/:tripId/location)
+const tripLocationSchema = Joi.object({
+  lat: Joi.number()
+    .min(-90)
+    .max(90)
+    .required()
+    .messages({
+      'number.min': 'Latitude must be between -90 and 90',
+      'number.max': 'Latitude must be between -90 and 90',
+      'any.required': 'Latitude is required'
+    }),
+  lng: Joi.number()
+    .min(-180)
+    .max(180)
+    .required()
+    .messages({
+      'number.min': 'Longitude must be between -180 and 180',
+      'number.max': 'Longitude must be between -180 and 180',
+      'any.required': 'Longitude is required'
+    }),
+  heading: Joi.number()
+    .min(0)
+    .max(360)
+    .optional()
+    .messages({
+      'number.min': 'heading must be between 0 and 360',
+      'number.max': 'heading must be between 0 and 360'
+    }),
+  speedKmh: Joi.number()
+    .min(0)
+    .max(300)
+    .optional()
+    .messages({
+      'number.min': 'speedKmh cannot be negative',
+      'number.max': 'speedKmh cannot exceed 300'
+    }),
+  accuracyM: Joi.number()
+    .min(0)
+    .optional()
+    .messages({
+      'number.min': 'accuracyM cannot be negative'
+    }),
+  recordedAt: Joi.date()
+    .iso()
+    .optional()
+    .messages({
+      'date.format': 'recordedAt must be a valid ISO 8601 date'
+    })
 }).options({
   abortEarly: false,
   stripUnknown: true
 });
 
 module.exports = {
+  geoLocationSchema,
   createTripOfferSchema,
   updateTripOfferSchema,
   listTripsQuerySchema,
   tripIdParamSchema,
-  searchTripsQuerySchema
+  searchTripsQuerySchema,
+  createSavedSearchSchema,
+  updateSavedSearchSchema,
+  savedSearchIdParamSchema,
+  updateTripScopeQuerySchema,
+  createTripSeriesSchema,
+  updateTripSeriesSchema,
+  tripSeriesIdParamSchema,
+  cancellationTierSchema,
+  tripCancellationPolicySchema,
+  tripLocationSchema
 };
 
@@ -115,8 +115,126 @@ const updateProfileSchema = Joi.object({
     abortEarly: false   // Reportar todos los errores
   });
 
+/**
+ * Schema para PATCH /api/users/me/notification-preferences
+ * Actualización parcial: solo se modifican los campos enviados.
+ * En types, null elimina la preferencia del tipo (o de un canal).
+ */
+const channelTogglesSchema = Joi.object({
+  email: Joi.boolean().allow(null),
+  inApp: Joi.boolean().allow(null),
+  push: Joi.boolean().allow(null)
+});
+
+const timeOfDay = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const updateNotificationPreferencesSchema = Joi.object({
+  channels: Joi.object({
+    email: Joi.boolean(),
+    inApp: Joi.boolean(),
+    push: Joi.boolean()
+  }).optional(),
+
+  types: Joi.object()
+    .pattern(
+      /^[a-z][a-z0-9_]*(\.[a-z0-9_]+)*$/,
+      channelTogglesSchema.allow(null)
+    )
+    .max(50)
+    .optional()
+    .messages({
+      'object.unknown': 'Notification type must look like "booking.accepted"'
+    }),
+
+  quietHours: Joi.object({
+    enabled: Joi.boolean(),
+    start: Joi.string().pattern(timeOfDay).messages({
+      'string.pattern.base': 'start must be in HH:mm format'
+    }),
+    end: Joi.string().pattern(timeOfDay).messages({
+      'string.pattern.base': 'end must be in HH:mm format'
+    }),
+    timezone: Joi.string()
+      .max(64)
+      .custom((value, helpers) => {
+        try {
+          new Intl.DateTimeFormat('en-US', { timeZone: value });
+          return value;
+        } catch (e) {
+          return helpers.error('any.invalid');
+        }
+      })
+      .messages({
+        'any.invalid': 'timezone must be a valid IANA time zone (e.g. America/Bogota)'
+      })
+  }).optional()
+})
+  .min(1)
+  .options({
+    abortEarly: false
+  })
+  .messages({
+    'object.min': 'At least one of channels, types or quietHours must be provided'
+  });
+
+/**
+ * Esquema para PATCH /drivers/settings
+ * Actualización parcial de los ajustes de conductor.
+ * waitlistPromotion: 'request' crea una solicitud pendiente al confirmar un cupo
+ * de la lista de espera; 'auto_accept' la acepta directamente.
+ * autoAcceptRules: reemplaza la lista completa de reglas ([] las desactiva).
+ */
+const autoAcceptRuleSchema = Joi.object({
+  type: Joi.string().valid('min_rating', 'previous_rider').required().messages({
+    'any.only': 'rule type must be one of: min_rating, previous_rider'
+  }),
+  minRating: Joi.number().min(1).max(5).when('type', {
+    is: 'min_rating',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }).messages({
+    'any.required': 'minRating is required for min_rating rules',
+    'any.unknown': 'minRating only applies to min_rating rules'
+  }),
+  maxSeats: Joi.number().integer().min(1).allow(null).messages({
+    'number.min': 'maxSeats must be at least 1'
+  })
+});
+
+const updateDriverSettingsSchema = Joi.object({
+  waitlistPromotion: Joi.string().valid('request', 'auto_accept').messages({
+    'any.only': 'waitlistPromotion must be one of: request, auto_accept'
+  }),
+  autoAcceptRules: Joi.array().items(autoAcceptRuleSchema).max(5).unique('type').messages({
+    'array.unique': 'Only one rule per type is allowed',
+    'array.max': 'At most 5 auto-accept rules are allowed'
+  })
+})
+  .min(1)
+  .options({
+    abortEarly: false
+  })
+  .messages({
+    'object.min': 'At least one setting must be provided'
+  });
+
+/**
+ * Calendar feed URL token (GET /calendar/:token.ics)
+ */
+const calendarFeedTokenParamsSchema = Joi.object({
+  token: Joi.string().pattern(/^[A-Za-z0-9_-]{20,100}$/).required().messages({
+    'string.pattern.base': 'token is not a valid calendar feed token',
+    'any.required': 'token is required'
+  })
+}).options({
+  abortEarly: false
+});
+
 module.exports = {
   createUserSchema,
-  updateProfileSchema
+  updateProfileSchema,
+  updateNotificationPreferencesSchema,
+  updateDriverSettingsSchema,
+  calendarFeedTokenParamsSchema
 };
 
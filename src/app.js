@@ -19,6 +19,7 @@ const userRoutes = require('./api/routes/userRoutes');
 const authRoutes = require('./api/routes/authRoutes');
 const vehicleRoutes = require('./api/routes/vehicleRoutes');
 const notificationWebhookRoutes = require('./api/routes/notificationWebhookRoutes');
+const paymentWebhookRoutes = require('./api/routes/paymentWebhookRoutes');
 
 const app = express();
 
@@ -38,7 +39,7 @@ app.use(cors({
   origin: allowedOrigins === '*' ? true : allowedOrigins,
   credentials: true, // CRITICAL: Allow cookies in cross-origin requests
   methods: ['GET', 'POST', 'PATCH', 'DELETE', 'OPTIONS', 'PUT'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-CSRF-Token'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-CSRF-Token', 'Last-Event-ID'],
   exposedHeaders: ['Set-Cookie'],
   maxAge: 86400 // 24 hours preflight cache
 }));
@@ -54,6 +55,8 @@ app.use(generalRateLimiter);
 
 // Mount email notification webhooks BEFORE body parsing so raw body is available
 app.use('/notifications/webhooks', notificationWebhookRoutes);
+// Payment provider webhooks (Stripe) also need the raw body for signature checks
+app.use('/payments/webhooks', paymentWebhookRoutes);
 
 // Body parsing
 app.use(express.json({ limit: '10mb' }));
@@ -81,6 +84,7 @@ const notificationRoutes = require('./api/routes/notificationRoutes');
 const reviewRoutes = require('./api/routes/reviewRoutes');
 const userReportRoutes = require('./api/routes/userReportRoutes');
 const adminRoutes = require('./api/routes/adminRoutes');
+const calendarRoutes = require('./api/routes/calendarRoutes');
 app.use('/api/users', userRoutes);
 app.use('/api/users', userReportRoutes);
 app.use('/auth', authRoutes);
@@ -97,6 +101,8 @@ app.use('/notifications', notificationRoutes);
 app.use('/trips', reviewRoutes);
 // Admin routes
 app.use('/admin', adminRoutes);
+// Calendar feeds (token in the URL, no session)
+app.use('/calendar', calendarRoutes);
 
 // Swagger Documentation
 serveSwagger(app);
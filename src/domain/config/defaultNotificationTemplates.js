@@ -0,0 +1,36 @@
+/**
+ * Built-in notification templates
+ *
+ * Rendered when no version of { type, locale } has been published in the
+ * template store yet, so existing notifications keep working on a fresh
+ * database. Same format as stored templates (placeholders, filters, partials).
+ */
+
+const defaults = {
+  'payment.succeeded': {
+    en: {
+      subject: 'Your payment was successful',
+      html: '<h1>Thanks, {{firstName}}!</h1><p>Your payment of {{amount | currency}} was successful for the trip at {{tripTime | time}}.</p>',
+      text: 'Thanks, {{firstName}}! Your payment of {{amount | currency}} was successful for the trip at {{tripTime | time}}.',
+      schema: { required: ['firstName', 'amount', 'currency'] }
+    },
+    es: {
+      subject: '¡Tu pago fue exitoso!',
+      html: '<h1>Gracias, {{firstName}}!</h1><p>Tu pago de {{amount | currency}} fue exitoso para el viaje a las {{tripTime | time}}.</p>',
+      text: 'Gracias, {{firstName}}! Tu pago de {{amount | currency}} fue exitoso para el viaje a las {{tripTime | time}}.',
+      schema: { required: ['firstName', 'amount', 'currency'] }
+    }
+  }
+};
+
+/**
+ * Built-in template for a type in one locale
+ * @returns {Object|null} { subject, html, text, schema, partials }
+ */
+function getDefaultTemplate(type, locale) {
+  const byLocale = defaults[type];
+  if (!byLocale || !byLocale[locale]) return null;
+  return { partials: {}, ...byLocale[locale], type, locale, version: 0 };
+}
+
+module.exports = { defaults, getDefaultTemplate };
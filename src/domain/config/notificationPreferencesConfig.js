@@ -9,6 +9,8 @@
 const locked = {
   // Prevent users from disabling email for payment failures — critical alert
   'payment.failed': { email: true },
+  // Moderation warnings must reach the warned user
+  'moderation.warning': { inApp: true },
   // Prevent disabling email for payment succeeded? keep flexible — example only
   // Add more entries as product requirements evolve
 };
@@ -2,7 +2,8 @@
  * BookingCancellationResultDto
  * 
  * Data Transfer Object for booking cancellation effects.
- * Provides summary of seat deallocation and refund status.
+ * Provides summary of seat deallocation, refund status and the
+ * cancellation policy outcome (refund and late-cancellation penalty).
  * 
  * Used in: POST /passengers/bookings/:bookingId/cancel (US-3.4.3)
  */
@@ -11,7 +12,8 @@ class BookingCancellationResultDto {
   constructor({
     id,
     status,
-    effects
+    effects,
+    outcome = null
   }) {
     this.id = id;
     this.status = status;
@@ -19,6 +21,18 @@ class BookingCancellationResultDto {
       ledgerReleased: effects.ledgerReleased || 0,
       refundCreated: effects.refundCreated || false
     };
+    this.outcome = outcome
+      ? {
+          policySource: outcome.policySource,
+          hoursBeforeDeparture: outcome.hoursBeforeDeparture,
+          amount: outcome.amount,
+          refundPercent: outcome.refundPercent,
+          refundAmount: outcome.refundAmount,
+          penaltyPercent: outcome.penaltyPercent,
+          penaltyAmount: outcome.penaltyAmount,
+          isLateCancellation: outcome.isLateCancellation
+        }
+      : null;
   }
 
   /**
@@ -28,14 +42,16 @@ class BookingCancellationResultDto {
    * @param {string} bookingStatus - Final booking status (should be 'canceled_by_passenger')
    * @param {Object} cancellationEffects - Summary of cancellation operations
    * @param {number} cancellationEffects.ledgerReleased - Count of seats deallocated (0 or booking.seats)
-   * @param {boolean} cancellationEffects.refundCreated - Whether RefundIntent was created (US-4.2)
+   * @param {boolean} cancellationEffects.refundCreated - Whether a refund was requested per the cancellation policy (US-4.2)
+   * @param {Object|null} outcome - Cancellation policy outcome (refund and penalty amounts)
    * @returns {BookingCancellationResultDto}
    */
-  static fromCancellationResult(bookingId, bookingStatus, cancellationEffects) {
+  static fromCancellationResult(bookingId, bookingStatus, cancellationEffects, outcome = null) {
     return new BookingCancellationResultDto({
       id: bookingId,
       status: bookingStatus,
-      effects: cancellationEffects
+      effects: cancellationEffects,
+      outcome
     });
   }
 }
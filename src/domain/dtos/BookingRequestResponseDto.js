@@ -18,8 +18,15 @@ class BookingRequestResponseDto {
     status,
     seats,
     note,
+    boardStopIndex = null,
+    alightStopIndex = null,
     canceledAt,
-    isPaid = false, // Payment functionality removed
+    isPaid = false,
+    autoAcceptRule = null,
+    rideRequestId = null,
+    boardingStatus = null,
+    boardedAt = null,
+    agreedTerms = null,
     createdAt,
     updatedAt,
     // Optional populated trip data (for list responses)
@@ -33,8 +40,15 @@ class BookingRequestResponseDto {
     this.status = status;
     this.seats = seats;
     this.note = note;
+    this.boardStopIndex = boardStopIndex;
+    this.alightStopIndex = alightStopIndex;
     this.canceledAt = canceledAt;
-      this.isPaid = false; // Payment functionality removed
+    this.isPaid = isPaid;
+    this.autoAcceptRule = autoAcceptRule; // Rule that accepted the request on creation (null = driver decision)
+    this.rideRequestId = rideRequestId; // Ride request this booking fulfills (null = regular request)
+    this.boardingStatus = boardingStatus; // checked_in | passenger_no_show | driver_no_show (never the PIN)
+    this.boardedAt = boardedAt;
+    this.agreedTerms = agreedTerms; // Trip terms snapshot the passenger agreed to (version, price, time, route)
     this.createdAt = createdAt;
     this.updatedAt = updatedAt;
 
@@ -54,6 +68,7 @@ class BookingRequestResponseDto {
         id: trip.id || trip._id?.toString(),
         origin: trip.origin,
         destination: trip.destination,
+        waypoints: trip.waypoints || [],
         departureAt: trip.departureAt,
         estimatedArrivalAt: trip.estimatedArrivalAt,
         pricePerSeat: trip.pricePerSeat,
@@ -82,8 +97,15 @@ class BookingRequestResponseDto {
       status: bookingRequest.status,
       seats: bookingRequest.seats,
       note: bookingRequest.note,
+      boardStopIndex: bookingRequest.boardStopIndex,
+      alightStopIndex: bookingRequest.alightStopIndex,
       canceledAt: bookingRequest.canceledAt,
-      isPaid: false, // Payment functionality removed
+      isPaid: bookingRequest.isPaid || false,
+      autoAcceptRule: bookingRequest.autoAcceptRule || null,
+      rideRequestId: bookingRequest.rideRequestId || null,
+      boardingStatus: bookingRequest.boardingStatus || null,
+      boardedAt: bookingRequest.boardedAt || null,
+      agreedTerms: bookingRequest.agreedTerms || null,
       createdAt: bookingRequest.createdAt,
       updatedAt: bookingRequest.updatedAt
     });
@@ -112,8 +134,15 @@ class BookingRequestResponseDto {
       status: obj.status,
       seats: obj.seats,
       note: obj.note || '',
+      boardStopIndex: obj.boardStopIndex ?? null,
+      alightStopIndex: obj.alightStopIndex ?? null,
       canceledAt: obj.canceledAt,
-      isPaid: false, // Payment functionality removed
+      isPaid: obj.isPaid || false,
+      autoAcceptRule: obj.autoAcceptRule || null,
+      rideRequestId: obj.rideRequestId ? obj.rideRequestId.toString() : null,
+      boardingStatus: obj.boardingStatus || null,
+      boardedAt: obj.boardedAt || null,
+      agreedTerms: obj.agreedTerms || null,
       createdAt: obj.createdAt,
       updatedAt: obj.updatedAt,
       // Include populated trip if available
@@ -0,0 +1,42 @@
+/**
+ * CancellationQuoteDto
+ *
+ * Preview of what a passenger gets back if they cancel a booking now.
+ * Computed with the same policy as the actual cancellation.
+ *
+ * Used in: GET /passengers/bookings/:bookingId/cancellation-quote (US-4.2)
+ */
+
+class CancellationQuoteDto {
+  constructor({ bookingId, status, isPaid, currency, outcome, policy }) {
+    this.bookingId = bookingId;
+    this.status = status;
+    this.isPaid = isPaid;
+    this.currency = currency;
+    this.policySource = outcome.policySource;
+    this.hoursBeforeDeparture = outcome.hoursBeforeDeparture;
+    this.amount = outcome.amount;
+    this.refundPercent = outcome.refundPercent;
+    this.refundAmount = outcome.refundAmount;
+    this.penaltyPercent = outcome.penaltyPercent;
+    this.penaltyAmount = outcome.penaltyAmount;
+    this.isLateCancellation = outcome.isLateCancellation;
+    this.tiers = policy.tiers.map((t) => ({
+      minHoursBeforeDeparture: t.minHoursBeforeDeparture,
+      refundPercent: t.refundPercent,
+      penaltyPercent: t.penaltyPercent
+    }));
+    this.quotedAt = new Date().toISOString();
+  }
+
+  /**
+   * Create DTO from a CancellationPolicyService quote
+   * @param {Object} quote - { bookingId, status, isPaid, currency, outcome, policy }
+   * @returns {CancellationQuoteDto}
+   */
+  static fromQuote(quote) {
+    return new CancellationQuoteDto(quote);
+  }
+}
+
+module.exports = CancellationQuoteDto;
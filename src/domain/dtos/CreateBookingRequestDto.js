@@ -6,10 +6,12 @@
  */
 
 class CreateBookingRequestDto {
-  constructor({ tripId, seats = 1, note = '' }) {
+  constructor({ tripId, seats = 1, note = '', boardStopIndex = null, alightStopIndex = null }) {
     this.tripId = tripId;
     this.seats = seats;
     this.note = note;
+    this.boardStopIndex = boardStopIndex; // null = trip origin
+    this.alightStopIndex = alightStopIndex; // null = trip destination
   }
 
   /**
@@ -37,6 +39,15 @@ class CreateBookingRequestDto {
       errors.push('seats must be at least 1');
     }
 
+    // Stop indexes validation (optional, checked against the route by the service)
+    if (this.boardStopIndex !== null && (!Number.isInteger(this.boardStopIndex) || this.boardStopIndex < 0)) {
+      errors.push('boardStopIndex must be a non-negative integer');
+    }
+
+    if (this.alightStopIndex !== null && (!Number.isInteger(this.alightStopIndex) || this.alightStopIndex < 1)) {
+      errors.push('alightStopIndex must be a positive integer');
+    }
+
     // Note validation (optional)
     if (this.note !== undefined && this.note !== null) {
       if (typeof this.note !== 'string') {
@@ -65,7 +76,9 @@ class CreateBookingRequestDto {
     return new CreateBookingRequestDto({
       tripId: body.tripId,
       seats: body.seats !== undefined ? Number(body.seats) : 1,
-      note: body.note || ''
+      note: body.note || '',
+      boardStopIndex: body.boardStopIndex !== undefined ? Number(body.boardStopIndex) : null,
+      alightStopIndex: body.alightStopIndex !== undefined ? Number(body.alightStopIndex) : null
     });
   }
 }
@@ -7,22 +7,26 @@ class CreateTripOfferDto {
     vehicleId,
     origin,
     destination,
+    waypoints = [],
     departureAt,
     estimatedArrivalAt,
     pricePerSeat,
     totalSeats,
     status = 'published',
-    notes = ''
+    notes = '',
+    instantBook = false
   }) {
     this.vehicleId = vehicleId;
     this.origin = origin; // { text: string, geo: { lat: number, lng: number } }
     this.destination = destination; // Same shape
+    this.waypoints = waypoints; // Ordered intermediate stops, same shape
     this.departureAt = departureAt;
     this.estimatedArrivalAt = estimatedArrivalAt;
     this.pricePerSeat = pricePerSeat;
     this.totalSeats = totalSeats;
     this.status = status;
     this.notes = notes;
+    this.instantBook = instantBook;
   }
 
   /**
@@ -33,12 +37,14 @@ class CreateTripOfferDto {
       vehicleId: body.vehicleId,
       origin: body.origin,
       destination: body.destination,
+      waypoints: body.waypoints || [],
       departureAt: body.departureAt,
       estimatedArrivalAt: body.estimatedArrivalAt,
       pricePerSeat: body.pricePerSeat,
       totalSeats: body.totalSeats,
       status: body.status || 'published',
-      notes: body.notes || ''
+      notes: body.notes || '',
+      instantBook: body.instantBook === true
     });
   }
 
@@ -60,6 +66,12 @@ class CreateTripOfferDto {
       }
     }
 
+    if (!Array.isArray(this.waypoints)) {
+      errors.push('waypoints must be an array');
+    } else if (this.waypoints.some((w) => !w || !w.text || !w.geo)) {
+      errors.push('each waypoint requires text and geo coordinates');
+    }
+
     if (!this.destination || !this.destination.text || !this.destination.geo) {
       errors.push('destination with text and geo coordinates is required');
     } else {
@@ -0,0 +1,119 @@
+/**
+ * Create Trip Series DTO
+ * Data Transfer Object for creating a recurring weekly trip series
+ */
+class CreateTripSeriesDto {
+  constructor({
+    vehicleId,
+    origin,
+    destination,
+    waypoints = [],
+    daysOfWeek,
+    departureTime,
+    durationMinutes,
+    startDate,
+    untilDate,
+    pricePerSeat,
+    totalSeats,
+    tripStatus = 'published',
+    notes = ''
+  }) {
+    this.vehicleId = vehicleId;
+    this.origin = origin; // { text: string, geo: { lat: number, lng: number } }
+    this.destination = destination; // Same shape
+    this.waypoints = waypoints; // Ordered intermediate stops, same shape
+    this.daysOfWeek = daysOfWeek; // [0-6], 0 = Sunday
+    this.departureTime = departureTime; // 'HH:MM' local time (America/Bogota)
+    this.durationMinutes = durationMinutes;
+    this.startDate = startDate; // 'YYYY-MM-DD'
+    this.untilDate = untilDate; // 'YYYY-MM-DD'
+    this.pricePerSeat = pricePerSeat;
+    this.totalSeats = totalSeats;
+    this.tripStatus = tripStatus;
+    this.notes = notes;
+  }
+
+  /**
+   * Create DTO from request body
+   */
+  static fromRequest(body) {
+    return new CreateTripSeriesDto({
+      vehicleId: body.vehicleId,
+      origin: body.origin,
+      destination: body.destination,
+      waypoints: body.waypoints || [],
+      daysOfWeek: body.daysOfWeek,
+      departureTime: body.departureTime,
+      durationMinutes: body.durationMinutes,
+      startDate: body.startDate,
+      untilDate: body.untilDate,
+      pricePerSeat: body.pricePerSeat,
+      totalSeats: body.totalSeats,
+      tripStatus: body.tripStatus || 'published',
+      notes: body.notes || ''
+    });
+  }
+
+  /**
+   * Validate DTO structure
+   */
+  validate() {
+    const errors = [];
+
+    if (!this.vehicleId) {
+      errors.push('vehicleId is required');
+    }
+
+    if (!this.origin || !this.origin.text || !this.origin.geo) {
+      errors.push('origin with text and geo coordinates is required');
+    }
+
+    if (!Array.isArray(this.waypoints)) {
+      errors.push('waypoints must be an array');
+    } else if (this.waypoints.some((w) => !w || !w.text || !w.geo)) {
+      errors.push('each waypoint requires text and geo coordinates');
+    }
+
+    if (!this.destination || !this.destination.text || !this.destination.geo) {
+      errors.push('destination with text and geo coordinates is required');
+    }
+
+    if (
+      !Array.isArray(this.daysOfWeek) ||
+      this.daysOfWeek.length === 0 ||
+      !this.daysOfWeek.every((d) => Number.isInteger(d) && d >= 0 && d <= 6)
+    ) {
+      errors.push('daysOfWeek must be a non-empty list of integers between 0 and 6');
+    }
+
+    if (!/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/.test(this.departureTime || '')) {
+      errors.push('departureTime must be in HH:MM format');
+    }
+
+    if (!Number.isInteger(this.durationMinutes) || this.durationMinutes < 1) {
+      errors.push('durationMinutes must be a positive integer');
+    }
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(this.startDate || '') || !/^\d{4}-\d{2}-\d{2}$/.test(this.untilDate || '')) {
+      errors.push('startDate and untilDate must be in YYYY-MM-DD format');
+    } else if (this.untilDate < this.startDate) {
+      errors.push('untilDate must be on or after startDate');
+    }
+
+    if (this.pricePerSeat === undefined || this.pricePerSeat === null) {
+      errors.push('pricePerSeat is required');
+    }
+
+    if (this.totalSeats === undefined || this.totalSeats === null) {
+      errors.push('totalSeats is required');
+    }
+
+    if (!['draft', 'published'].includes(this.tripStatus)) {
+      errors.push('tripStatus must be draft or published');
+    }
+
+    return errors;
+  }
+}
+
+module.exports = CreateTripSeriesDto;
@@ -0,0 +1,63 @@
+/**
+ * PaymentResponseDto - Data Transfer Object for booking payment responses
+ * clientSecret is only included when explicitly requested (passenger checkout)
+ */
+class PaymentResponseDto {
+  constructor({
+    id,
+    bookingId,
+    tripId,
+    amount,
+    currency,
+    status,
+    provider,
+    refundedAmount = 0,
+    paidAt = null,
+    failureReason = null,
+    clientSecret,
+    createdAt,
+    updatedAt
+  }) {
+    this.id = id;
+    this.bookingId = bookingId;
+    this.tripId = tripId;
+    this.amount = amount;
+    this.currency = currency;
+    this.status = status;
+    this.provider = provider;
+    this.refundedAmount = refundedAmount;
+    this.paidAt = paidAt;
+    this.failureReason = failureReason;
+    if (clientSecret !== undefined) {
+      this.clientSecret = clientSecret;
+    }
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+  }
+
+  /**
+   * Create DTO from domain entity
+   * @param {Payment} payment - Domain entity
+   * @param {Object} options - { includeClientSecret }
+   * @returns {PaymentResponseDto}
+   */
+  static fromDomain(payment, { includeClientSecret = false } = {}) {
+    return new PaymentResponseDto({
+      id: payment.id,
+      bookingId: payment.bookingRequestId,
+      tripId: payment.tripId,
+      amount: payment.amount,
+      currency: payment.currency,
+      status: payment.status,
+      provider: payment.provider,
+      refundedAmount: payment.refundedAmount,
+      paidAt: payment.paidAt,
+      failureReason: payment.failureReason,
+      clientSecret: includeClientSecret ? payment.clientSecret : undefined,
+      createdAt: payment.createdAt,
+      updatedAt: payment.updatedAt
+    });
+  }
+}
+
+module.exports = PaymentResponseDto;
@@ -19,7 +19,8 @@ class TripCancellationResultDto {
       declinedAuto: effects.declinedAuto || 0,
       canceledByPlatform: effects.canceledByPlatform || 0,
       refundsCreated: effects.refundsCreated || 0,
-      ledgerReleased: effects.ledgerReleased || 0
+      ledgerReleased: effects.ledgerReleased || 0,
+      waitlistClosed: effects.waitlistClosed || 0
     };
   }
 
@@ -33,6 +34,7 @@ class TripCancellationResultDto {
    * @param {number} cascadeEffects.canceledByPlatform - Count of accepted bookings canceled by platform
    * @param {number} cascadeEffects.refundsCreated - Count of RefundIntents created (US-4.2)
    * @param {number} cascadeEffects.ledgerReleased - Count of seat ledger releases
+   * @param {number} cascadeEffects.waitlistClosed - Count of waitlist entries closed
    * @returns {TripCancellationResultDto}
    */
   static fromCancellationResult(tripId, tripStatus, cascadeEffects) {
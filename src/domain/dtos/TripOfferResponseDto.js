@@ -22,12 +22,24 @@ class TripOfferResponseDto {
         lng: tripOffer.destination.geo.lng
       }
     };
+    this.waypoints = (tripOffer.waypoints || []).map((waypoint) => ({
+      text: waypoint.text,
+      geo: {
+        lat: waypoint.geo.lat,
+        lng: waypoint.geo.lng
+      }
+    }));
     this.departureAt = tripOffer.departureAt.toISOString();
     this.estimatedArrivalAt = tripOffer.estimatedArrivalAt.toISOString();
     this.pricePerSeat = tripOffer.pricePerSeat;
     this.totalSeats = tripOffer.totalSeats;
     this.status = tripOffer.status;
     this.notes = tripOffer.notes || '';
+    this.instantBook = !!tripOffer.instantBook;
+    this.termsVersion = tripOffer.termsVersion || 1;
+    this.seriesId = tripOffer.seriesId || null;
+    this.rideRequestId = tripOffer.rideRequestId || null;
+    this.cancellationPolicy = tripOffer.cancellationPolicy || null;
     this.createdAt = tripOffer.createdAt?.toISOString();
     this.updatedAt = tripOffer.updatedAt?.toISOString();
   }
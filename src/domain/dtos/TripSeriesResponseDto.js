@@ -0,0 +1,62 @@
+/**
+ * Trip Series Response DTO
+ * Data Transfer Object for public API responses
+ */
+class TripSeriesResponseDto {
+  constructor(series) {
+    this.id = series.id;
+    this.driverId = series.driverId;
+    this.vehicleId = series.vehicleId;
+    this.origin = {
+      text: series.origin.text,
+      geo: {
+        lat: series.origin.geo.lat,
+        lng: series.origin.geo.lng
+      }
+    };
+    this.destination = {
+      text: series.destination.text,
+      geo: {
+        lat: series.destination.geo.lat,
+        lng: series.destination.geo.lng
+      }
+    };
+    this.waypoints = (series.waypoints || []).map((waypoint) => ({
+      text: waypoint.text,
+      geo: {
+        lat: waypoint.geo.lat,
+        lng: waypoint.geo.lng
+      }
+    }));
+    this.daysOfWeek = series.daysOfWeek;
+    this.departureTime = series.departureTime;
+    this.durationMinutes = series.durationMinutes;
+    this.startDate = series.startDate;
+    this.untilDate = series.untilDate;
+    this.pricePerSeat = series.pricePerSeat;
+    this.totalSeats = series.totalSeats;
+    this.tripStatus = series.tripStatus;
+    this.status = series.status;
+    this.notes = series.notes || '';
+    this.generatedUntil = series.generatedUntil ? series.generatedUntil.toISOString() : null;
+    this.createdAt = series.createdAt?.toISOString();
+    this.updatedAt = series.updatedAt?.toISOString();
+  }
+
+  /**
+   * Create response DTO from domain entity
+   */
+  static fromDomain(series) {
+    if (!series) return null;
+    return new TripSeriesResponseDto(series);
+  }
+
+  /**
+   * Create array of response DTOs from domain entities
+   */
+  static fromDomainArray(seriesList) {
+    return seriesList.map((series) => TripSeriesResponseDto.fromDomain(series));
+  }
+}
+
+module.exports = TripSeriesResponseDto;
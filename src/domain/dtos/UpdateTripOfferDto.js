@@ -3,12 +3,17 @@
  * Data Transfer Object for updating an existing trip offer
  */
 class UpdateTripOfferDto {
-  constructor({ pricePerSeat, totalSeats, notes, status }) {
+  constructor({ pricePerSeat, totalSeats, notes, instantBook, status, departureAt, estimatedArrivalAt, origin, destination }) {
     // Only include fields that are provided
     if (pricePerSeat !== undefined) this.pricePerSeat = pricePerSeat;
     if (totalSeats !== undefined) this.totalSeats = totalSeats;
     if (notes !== undefined) this.notes = notes;
+    if (instantBook !== undefined) this.instantBook = instantBook;
     if (status !== undefined) this.status = status;
+    if (departureAt !== undefined) this.departureAt = new Date(departureAt);
+    if (estimatedArrivalAt !== undefined) this.estimatedArrivalAt = new Date(estimatedArrivalAt);
+    if (origin !== undefined) this.origin = origin;
+    if (destination !== undefined) this.destination = destination;
   }
 
   /**
@@ -19,7 +24,12 @@ class UpdateTripOfferDto {
       pricePerSeat: body.pricePerSeat,
       totalSeats: body.totalSeats,
       notes: body.notes,
-      status: body.status
+      instantBook: body.instantBook,
+      status: body.status,
+      departureAt: body.departureAt,
+      estimatedArrivalAt: body.estimatedArrivalAt,
+      origin: body.origin,
+      destination: body.destination
     });
   }
 
@@ -41,10 +51,29 @@ class UpdateTripOfferDto {
       errors.push('notes must be a string');
     }
 
+    if (this.instantBook !== undefined && typeof this.instantBook !== 'boolean') {
+      errors.push('instantBook must be a boolean');
+    }
+
     if (this.status !== undefined && !['draft', 'published', 'canceled'].includes(this.status)) {
       errors.push('status must be draft, published, or canceled');
     }
 
+    for (const field of ['departureAt', 'estimatedArrivalAt']) {
+      if (this[field] !== undefined && isNaN(this[field].getTime())) {
+        errors.push(`${field} must be a valid date`);
+      }
+    }
+
+    for (const field of ['origin', 'destination']) {
+      const place = this[field];
+      if (place === undefined) continue;
+      if (!place || typeof place.text !== 'string' || !place.geo ||
+          typeof place.geo.lat !== 'number' || typeof place.geo.lng !== 'number') {
+        errors.push(`${field} must have text and geo coordinates`);
+      }
+    }
+
     return errors;
   }
 
@@ -56,7 +85,12 @@ class UpdateTripOfferDto {
       this.pricePerSeat !== undefined ||
       this.totalSeats !== undefined ||
       this.notes !== undefined ||
-      this.status !== undefined
+      this.instantBook !== undefined ||
+      this.status !== undefined ||
+      this.departureAt !== undefined ||
+      this.estimatedArrivalAt !== undefined ||
+      this.origin !== undefined ||
+      this.destination !== undefined
     );
   }
 }
@@ -0,0 +1,100 @@
+/**
+ * AutoAcceptPolicy Domain Entity
+ *
+ * Decides whether a new booking request on a trip is accepted on creation,
+ * without waiting for the driver:
+ * - instant_book: the trip has instant-book enabled (any passenger)
+ * - min_rating: driver standing rule; passenger rating >= minRating
+ * - previous_rider: driver standing rule; passenger rode a completed trip of the driver
+ *
+ * Standing rules may cap the seats of the request (maxSeats). The first rule
+ * that matches fires; seats are still only granted if the ledger has room.
+ */
+
+const RULE_TYPES = ['instant_book', 'min_rating', 'previous_rider'];
+
+// Rules a driver can set on their profile (instant_book is per trip)
+const STANDING_RULE_TYPES = ['min_rating', 'previous_rider'];
+
+class AutoAcceptPolicy {
+  /**
+   * @param {Object} params
+   * @param {boolean} params.instantBook - Trip instant-book flag
+   * @param {Object[]} params.rules - Driver standing rules [{ type, minRating, maxSeats }]
+   */
+  constructor({ instantBook = false, rules = [] } = {}) {
+    this.instantBook = !!instantBook;
+    this.rules = (rules || []).filter((rule) => rule && STANDING_RULE_TYPES.includes(rule.type));
+  }
+
+  /**
+   * Build the policy of a trip from the driver settings
+   * @param {TripOffer} trip
+   * @param {Object|null} driverSettings - { autoAcceptRules }
+   * @returns {AutoAcceptPolicy}
+   */
+  static forTrip(trip, driverSettings) {
+    return new AutoAcceptPolicy({
+      instantBook: trip.instantBook,
+      rules: (driverSettings && driverSettings.autoAcceptRules) || []
+    });
+  }
+
+  /**
+   * Check if nothing can ever fire (skip the passenger lookups)
+   */
+  isEmpty() {
+    return !this.instantBook && this.rules.length === 0;
+  }
+
+  /**
+   * Check if a rule of this type could fire for the requested seats
+   * (tells the caller which passenger facts it needs to look up)
+   * @param {string} type
+   * @param {number} seats
+   */
+  needs(type, seats) {
+    return this.rules.some((rule) => rule.type === type && AutoAcceptPolicy._fitsSeats(rule, seats));
+  }
+
+  /**
+   * First rule that fires for a request, or null
+   *
+   * @param {Object} request
+   * @param {number} request.seats - Requested seats
+   * @param {number|null} request.passengerRating - Passenger average rating (null = unrated)
+   * @param {boolean} request.hasRiddenWithDriver - Passenger rode a completed trip of the driver
+   * @returns {{ type: string, minRating?: number, maxSeats?: number|null }|null}
+   */
+  evaluate({ seats, passengerRating = null, hasRiddenWithDriver = false }) {
+    if (this.instantBook) {
+      return { type: 'instant_book' };
+    }
+
+    for (const rule of this.rules) {
+      if (!AutoAcceptPolicy._fitsSeats(rule, seats)) continue;
+
+      if (rule.type === 'min_rating' && passengerRating !== null && passengerRating >= rule.minRating) {
+        return { type: 'min_rating', minRating: rule.minRating, maxSeats: rule.maxSeats ?? null };
+      }
+
+      if (rule.type === 'previous_rider' && hasRiddenWithDriver) {
+        return { type: 'previous_rider', maxSeats: rule.maxSeats ?? null };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  static _fitsSeats(rule, seats) {
+    return rule.maxSeats === null || rule.maxSeats === undefined || seats <= rule.maxSeats;
+  }
+}
+
+AutoAcceptPolicy.RULE_TYPES = RULE_TYPES;
+AutoAcceptPolicy.STANDING_RULE_TYPES = STANDING_RULE_TYPES;
+
+module.exports = AutoAcceptPolicy;
@@ -15,14 +15,25 @@ class BookingRequest {
     status = 'pending',
     seats = 1,
     note = '',
+    boardStopIndex = null,
+    alightStopIndex = null,
     acceptedAt = null,
     acceptedBy = null,
+    autoAcceptRule = null,
+    rideRequestId = null,
     declinedAt = null,
     declinedBy = null,
     canceledAt = null,
     cancellationReason = '', // Optional audit trail for passenger cancellations
     refundNeeded = false, // Internal flag for refund policy hooks
     isPaid = false, // US-4.1.5: Payment status (read model sync)
+    cancellationOutcome = null, // US-4.2: Refund/penalty computed when the passenger canceled
+    boardingStatus = null, // checked_in | passenger_no_show | driver_no_show
+    boardedAt = null,
+    noShowReportedAt = null,
+    noShowReportedBy = null,
+    noShowReason = '',
+    agreedTerms = null, // Trip terms snapshot the passenger agreed to
     createdAt = new Date(),
     updatedAt = new Date()
   }) {
@@ -32,14 +43,25 @@ class BookingRequest {
     this.status = status;
     this.seats = seats;
     this.note = note;
+    this.boardStopIndex = boardStopIndex; // Stop where passenger boards (null = origin)
+    this.alightStopIndex = alightStopIndex; // Stop where passenger alights (null = destination)
     this.acceptedAt = acceptedAt;
     this.acceptedBy = acceptedBy;
+    this.autoAcceptRule = autoAcceptRule; // instant_book | min_rating | previous_rider (accepted on creation)
+    this.rideRequestId = rideRequestId; // Ride request fulfilled by this booking (accepted on creation)
     this.declinedAt = declinedAt;
     this.declinedBy = declinedBy;
     this.canceledAt = canceledAt;
     this.cancellationReason = cancellationReason; // Audit trail
     this.refundNeeded = refundNeeded; // Internal flag, never exposed in DTOs
     this.isPaid = isPaid; // US-4.1.5: Payment status
+    this.cancellationOutcome = cancellationOutcome;
+    this.boardingStatus = boardingStatus; // Attendance outcome (null = not recorded yet)
+    this.boardedAt = boardedAt;
+    this.noShowReportedAt = noShowReportedAt;
+    this.noShowReportedBy = noShowReportedBy;
+    this.noShowReason = noShowReason;
+    this.agreedTerms = agreedTerms; // { version, pricePerSeat, departureAt, ..., agreedAt }
     this.createdAt = createdAt;
     this.updatedAt = new Date();
 
@@ -82,6 +104,19 @@ class BookingRequest {
     }
   }
 
+  /**
+   * Route segment range occupied by this booking
+   * Segment i goes from stop i to stop i + 1.
+   *
+   * @returns {{from: number, to: number}|null} null for whole-route bookings
+   */
+  getSegment() {
+    if (this.boardStopIndex === null || this.alightStopIndex === null) {
+      return null;
+    }
+    return { from: this.boardStopIndex, to: this.alightStopIndex };
+  }
+
   /**
    * Check if this booking is active (not canceled/expired)
    * Active means: pending or accepted
@@ -121,10 +156,24 @@ class BookingRequest {
   /**
    * Check if this booking is cancelable by passenger
    * Legal states for cancellation: pending, accepted
-   * Cannot cancel: already canceled, declined, expired
+   * Cannot cancel: already canceled, declined, expired, or attendance already recorded
    */
   isCancelableByPassenger() {
-    return this.status === 'pending' || this.status === 'accepted';
+    return (this.status === 'pending' || this.status === 'accepted') && !this.hasBoardingOutcome();
+  }
+
+  /**
+   * Check if attendance (check-in or a no-show) was recorded for this booking
+   */
+  hasBoardingOutcome() {
+    return this.boardingStatus !== null && this.boardingStatus !== undefined;
+  }
+
+  /**
+   * Check if the passenger was checked in at pickup
+   */
+  isCheckedIn() {
+    return this.boardingStatus === 'checked_in';
   }
 
   /**
@@ -292,11 +341,20 @@ class BookingRequest {
       note: this.note,
       acceptedAt: this.acceptedAt,
       acceptedBy: this.acceptedBy,
+      autoAcceptRule: this.autoAcceptRule,
+      rideRequestId: this.rideRequestId,
       declinedAt: this.declinedAt,
       declinedBy: this.declinedBy,
       canceledAt: this.canceledAt,
       cancellationReason: this.cancellationReason, // Audit trail
       refundNeeded: this.refundNeeded, // Persisted but never exposed in DTOs
+      cancellationOutcome: this.cancellationOutcome,
+      boardingStatus: this.boardingStatus,
+      boardedAt: this.boardedAt,
+      noShowReportedAt: this.noShowReportedAt,
+      noShowReportedBy: this.noShowReportedBy,
+      noShowReason: this.noShowReason,
+      agreedTerms: this.agreedTerms,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
     };
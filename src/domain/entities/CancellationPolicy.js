@@ -0,0 +1,222 @@
+/**
+ * CancellationPolicy Domain Entity (US-4.2)
+ *
+ * Decides how much of a booking is refunded when it is canceled, and which
+ * late-cancellation penalty is withheld.
+ *
+ * - Platform cancellations (driver canceled trip, admin correction) refund 100%
+ * - Passenger cancellations use the first tier whose `minHoursBeforeDeparture`
+ *   is met by the time left until departure:
+ *     penaltyAmount = amount × penaltyPercent (never above the gross refund)
+ *     refundAmount  = amount × refundPercent − penaltyAmount
+ *
+ * The platform policy is set by admins; drivers may override the tiers of
+ * their own trips within the admin-set `bounds`.
+ */
+
+const DEFAULT_TIERS = [
+  { minHoursBeforeDeparture: 24, refundPercent: 100, penaltyPercent: 0 },
+  { minHoursBeforeDeparture: 2, refundPercent: 50, penaltyPercent: 0 },
+  { minHoursBeforeDeparture: 0, refundPercent: 50, penaltyPercent: 20 }
+];
+
+const DEFAULT_BOUNDS = {
+  allowTripOverride: true,
+  minRefundPercent: 0, // Every trip tier must refund at least this
+  maxPenaltyPercent: 20, // No trip tier may withhold more than this
+  maxFullRefundNoticeHours: 48 // Trips must fully refund cancellations made this far ahead
+};
+
+const MAX_TIERS = 6;
+
+class CancellationPolicy {
+  constructor({ tiers = DEFAULT_TIERS, bounds = DEFAULT_BOUNDS, source = 'platform' } = {}) {
+    // Longest notice first
+    this.tiers = tiers
+      .map((t) => ({
+        minHoursBeforeDeparture: t.minHoursBeforeDeparture,
+        refundPercent: t.refundPercent,
+        penaltyPercent: t.penaltyPercent || 0
+      }))
+      .sort((a, b) => b.minHoursBeforeDeparture - a.minHoursBeforeDeparture);
+    this.bounds = { ...DEFAULT_BOUNDS, ...(bounds || {}) };
+    this.source = source; // platform | trip
+  }
+
+  /**
+   * Tier applying with `hoursBeforeDeparture` of notice
+   * Cancellations after departure fall into the shortest-notice tier
+   * @param {number} hoursBeforeDeparture
+   * @returns {Object} { minHoursBeforeDeparture, refundPercent, penaltyPercent }
+   */
+  getTier(hoursBeforeDeparture) {
+    return (
+      this.tiers.find((t) => hoursBeforeDeparture >= t.minHoursBeforeDeparture) ||
+      this.tiers[this.tiers.length - 1]
+    );
+  }
+
+  /**
+   * Outcome of a passenger cancellation
+   * @param {Object} params - { amount, canceledAt, departureAt }
+   * @returns {Object} { policySource, hoursBeforeDeparture, amount, refundPercent, refundAmount,
+   *                     penaltyPercent, penaltyAmount, isLateCancellation }
+   */
+  quote({ amount, canceledAt = new Date(), departureAt }) {
+    const hoursBeforeDeparture = CancellationPolicy.hoursBetween(canceledAt, departureAt);
+    const tier = this.getTier(hoursBeforeDeparture);
+
+    const grossRefund = CancellationPolicy.applyPercent(amount, tier.refundPercent);
+    const penaltyAmount = Math.min(CancellationPolicy.applyPercent(amount, tier.penaltyPercent), grossRefund);
+    const refundAmount = Math.round((grossRefund - penaltyAmount) * 100) / 100;
+
+    return {
+      policySource: this.source,
+      hoursBeforeDeparture: Math.max(0, Math.round(hoursBeforeDeparture * 10) / 10),
+      amount,
+      refundPercent: tier.refundPercent,
+      refundAmount,
+      penaltyPercent: tier.penaltyPercent,
+      penaltyAmount,
+      isLateCancellation: penaltyAmount > 0
+    };
+  }
+
+  /**
+   * Check a driver's trip tiers against the admin bounds
+   * @param {Array} tiers - Proposed trip tiers
+   * @returns {string[]} Violations (empty if allowed)
+   */
+  validateTripOverride(tiers) {
+    if (!this.bounds.allowTripOverride) {
+      return ['Trip-level cancellation policies are disabled by the platform'];
+    }
+
+    const violations = CancellationPolicy.validateTiers(tiers);
+    if (violations.length > 0) {
+      return violations;
+    }
+
+    for (const tier of tiers) {
+      if (tier.refundPercent < this.bounds.minRefundPercent) {
+        violations.push(
+          `Tier ${tier.minHoursBeforeDeparture}h: refundPercent must be at least ${this.bounds.minRefundPercent}`
+        );
+      }
+      if ((tier.penaltyPercent || 0) > this.bounds.maxPenaltyPercent) {
+        violations.push(
+          `Tier ${tier.minHoursBeforeDeparture}h: penaltyPercent cannot exceed ${this.bounds.maxPenaltyPercent}`
+        );
+      }
+    }
+
+    const fullRefundTier = tiers.find(
+      (t) =>
+        t.refundPercent === 100 &&
+        !t.penaltyPercent &&
+        t.minHoursBeforeDeparture <= this.bounds.maxFullRefundNoticeHours
+    );
+    if (!fullRefundTier) {
+      violations.push(
+        `A full refund must be offered for cancellations ${this.bounds.maxFullRefundNoticeHours}h or more before departure`
+      );
+    }
+
+    return violations;
+  }
+
+  /**
+   * Policy in effect for a trip: the driver's override, clamped to the current
+   * bounds (admins may have tightened them after the override was saved)
+   * @param {Object|null} override - Trip override ({ tiers })
+   * @returns {CancellationPolicy}
+   */
+  withTripOverride(override) {
+    if (!override || !Array.isArray(override.tiers) || override.tiers.length === 0 || !this.bounds.allowTripOverride) {
+      return this;
+    }
+
+    const tiers = override.tiers.map((t) => ({
+      minHoursBeforeDeparture: t.minHoursBeforeDeparture,
+      refundPercent: Math.max(t.refundPercent, this.bounds.minRefundPercent),
+      penaltyPercent: Math.min(t.penaltyPercent || 0, this.bounds.maxPenaltyPercent)
+    }));
+
+    return new CancellationPolicy({ tiers, bounds: this.bounds, source: 'trip' });
+  }
+
+  /**
+   * Plain representation (persistence / API)
+   */
+  toObject() {
+    return {
+      source: this.source,
+      tiers: this.tiers.map((t) => ({ ...t })),
+      bounds: { ...this.bounds }
+    };
+  }
+
+  /**
+   * Structural checks shared by platform and trip tiers
+   * @param {Array} tiers
+   * @returns {string[]} Violations (empty if valid)
+   */
+  static validateTiers(tiers) {
+    if (!Array.isArray(tiers) || tiers.length === 0 || tiers.length > MAX_TIERS) {
+      return [`Between 1 and ${MAX_TIERS} tiers are required`];
+    }
+
+    const violations = [];
+    const notices = tiers.map((t) => t.minHoursBeforeDeparture);
+    if (new Set(notices).size !== notices.length) {
+      violations.push('Each tier must have a distinct minHoursBeforeDeparture');
+    }
+    if (!notices.includes(0)) {
+      violations.push('A tier with minHoursBeforeDeparture 0 is required');
+    }
+
+    return violations;
+  }
+
+  /**
+   * Outcome of a full refund without penalty
+   * @param {number} amount
+   * @param {string} policySource - platform_cancellation | pending_request
+   * @returns {Object} Cancellation outcome
+   */
+  static fullRefundOutcome(amount, policySource = 'platform_cancellation') {
+    return {
+      policySource,
+      hoursBeforeDeparture: null,
+      amount,
+      refundPercent: 100,
+      refundAmount: amount,
+      penaltyPercent: 0,
+      penaltyAmount: 0,
+      isLateCancellation: false
+    };
+  }
+
+  /**
+   * Hours from `from` until `to` (negative once `to` has passed)
+   */
+  static hoursBetween(from, to) {
+    return (new Date(to).getTime() - new Date(from).getTime()) / (60 * 60 * 1000);
+  }
+
+  /**
+   * Apply a percentage to an amount (major units, 2 decimals)
+   * @param {number} amount
+   * @param {number} percent
+   * @returns {number}
+   */
+  static applyPercent(amount, percent) {
+    return Math.round(amount * percent) / 100;
+  }
+}
+
+CancellationPolicy.DEFAULT_TIERS = DEFAULT_TIERS;
+CancellationPolicy.DEFAULT_BOUNDS = DEFAULT_BOUNDS;
+CancellationPolicy.MAX_TIERS = MAX_TIERS;
+
+module.exports = CancellationPolicy;
@@ -0,0 +1,215 @@
+/**
+ * NotificationPreferences Domain Entity
+ *
+ * Per-user delivery preferences:
+ * - channels: global on/off per channel (email, inApp, push)
+ * - types: per notification type overrides of the global channels
+ * - quietHours: local time window during which email and push are held back
+ *
+ * Locked type/channel pairs (notificationPreferencesConfig) are always
+ * delivered, whatever the user chose.
+ */
+
+const { isLocked } = require('../config/notificationPreferencesConfig');
+
+const CHANNELS = ['email', 'inApp', 'push'];
+const DEFAULT_CHANNELS = { email: true, inApp: true, push: false };
+// In-app notifications are passive (read when the app is opened): not affected by quiet hours
+const QUIET_HOURS_CHANNELS = ['email', 'push'];
+const DEFAULT_QUIET_HOURS = { enabled: false, start: '22:00', end: '07:00', timezone: 'America/Bogota' };
+
+class NotificationPreferences {
+  constructor({ channels = {}, types = {}, quietHours = {} } = {}) {
+    this.channels = { ...DEFAULT_CHANNELS };
+    for (const channel of CHANNELS) {
+      if (typeof channels[channel] === 'boolean') this.channels[channel] = channels[channel];
+    }
+    this.types = {};
+    for (const [type, overrides] of Object.entries(types || {})) {
+      const clean = NotificationPreferences._cleanOverrides(overrides);
+      if (Object.keys(clean).length > 0) this.types[type] = clean;
+    }
+    this.quietHours = { ...DEFAULT_QUIET_HOURS, ...(quietHours || {}) };
+  }
+
+  /**
+   * Build from the persisted shape (types stored as an array, since
+   * notification types contain dots and cannot be Mongo keys)
+   * @param {Object|null} stored - { channels, types: [{ type, email, inApp, push }], quietHours }
+   * @returns {NotificationPreferences}
+   */
+  static fromStored(stored) {
+    if (!stored) return new NotificationPreferences();
+
+    const types = {};
+    for (const entry of stored.types || []) {
+      types[entry.type] = { email: entry.email, inApp: entry.inApp, push: entry.push };
+    }
+    return new NotificationPreferences({ channels: stored.channels, types, quietHours: stored.quietHours });
+  }
+
+  /**
+   * Whether a notification of `type` should go out on `channel` at `at`
+   * @param {string} type - Notification type (e.g. 'booking.accepted')
+   * @param {string} channel - email | inApp | push
+   * @param {Date} at - Delivery instant
+   * @returns {Object} { allowed, reason, holdUntil } reason: locked | preferences | quiet_hours | null;
+   *   holdUntil (quiet_hours only): end of the quiet window, when the notification may go out
+   */
+  evaluate(type, channel, at = new Date()) {
+    if (isLocked(type, channel)) {
+      return { allowed: true, reason: 'locked' };
+    }
+
+    const override = this.types[type];
+    const enabled = override && typeof override[channel] === 'boolean' ? override[channel] : this.channels[channel];
+    if (!enabled) {
+      return { allowed: false, reason: 'preferences' };
+    }
+
+    if (QUIET_HOURS_CHANNELS.includes(channel) && this.isInQuietHours(at)) {
+      return { allowed: false, reason: 'quiet_hours', holdUntil: this.quietHoursEnd(at) };
+    }
+
+    return { allowed: true, reason: null };
+  }
+
+  /**
+   * Whether `at` falls inside the user's quiet hours (in their timezone)
+   * Windows may cross midnight (e.g. 22:00 → 07:00).
+   * @param {Date} at
+   * @returns {boolean}
+   */
+  isInQuietHours(at = new Date()) {
+    const { enabled, start, end } = this.quietHours;
+    if (!enabled || start === end) return false;
+
+    const now = this._localMinutes(at);
+    const from = NotificationPreferences._toMinutes(start);
+    const to = NotificationPreferences._toMinutes(end);
+
+    return from < to ? now >= from && now < to : now >= from || now < to;
+  }
+
+  /**
+   * Instant the quiet window containing `at` ends (next `end` in the user's timezone)
+   * @param {Date} at
+   * @returns {Date}
+   */
+  quietHoursEnd(at = new Date()) {
+    const minutesLeft = (NotificationPreferences._toMinutes(this.quietHours.end) - this._localMinutes(at) + 1440) % 1440;
+    const startOfMinute = at.getTime() - (at.getTime() % 60000);
+    return new Date(startOfMinute + minutesLeft * 60000);
+  }
+
+  /**
+   * Minutes since local midnight of `at` in the user's timezone
+   * @private
+   */
+  _localMinutes(at) {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone: this.quietHours.timezone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(at);
+    const hour = Number(parts.find((p) => p.type === 'hour').value);
+    const minute = Number(parts.find((p) => p.type === 'minute').value);
+    return hour * 60 + minute;
+  }
+
+  /**
+   * Apply a partial update
+   * - channels / quietHours: merged field by field
+   * - types[type]: merged per channel; null removes the override (or a single channel)
+   * @param {Object} patch - { channels, types, quietHours }
+   * @returns {Object} { preferences, lockedViolations } lockedViolations: [{ type, channel }]
+   */
+  applyPatch({ channels, types, quietHours } = {}) {
+    const next = new NotificationPreferences(this.toObject());
+    const lockedViolations = [];
+
+    if (channels) {
+      for (const channel of CHANNELS) {
+        if (typeof channels[channel] === 'boolean') next.channels[channel] = channels[channel];
+      }
+    }
+
+    if (types) {
+      for (const [type, overrides] of Object.entries(types)) {
+        if (overrides === null) {
+          delete next.types[type];
+          continue;
+        }
+
+        const merged = { ...(next.types[type] || {}) };
+        for (const channel of CHANNELS) {
+          if (!(channel in overrides)) continue;
+          if (overrides[channel] === false && isLocked(type, channel)) {
+            lockedViolations.push({ type, channel });
+            continue;
+          }
+          if (overrides[channel] === null) delete merged[channel];
+          else merged[channel] = overrides[channel];
+        }
+
+        if (Object.keys(merged).length > 0) next.types[type] = merged;
+        else delete next.types[type];
+      }
+    }
+
+    if (quietHours) {
+      next.quietHours = { ...next.quietHours, ...quietHours };
+    }
+
+    return { preferences: next, lockedViolations };
+  }
+
+  /**
+   * API representation
+   */
+  toObject() {
+    const types = {};
+    for (const [type, overrides] of Object.entries(this.types)) {
+      types[type] = { ...overrides };
+    }
+    return { channels: { ...this.channels }, types, quietHours: { ...this.quietHours } };
+  }
+
+  /**
+   * Persisted representation (types as an array)
+   */
+  toStored() {
+    return {
+      channels: { ...this.channels },
+      types: Object.entries(this.types).map(([type, overrides]) => ({ type, ...overrides })),
+      quietHours: { ...this.quietHours }
+    };
+  }
+
+  /**
+   * @private
+   */
+  static _cleanOverrides(overrides) {
+    const clean = {};
+    for (const channel of CHANNELS) {
+      if (overrides && typeof overrides[channel] === 'boolean') clean[channel] = overrides[channel];
+    }
+    return clean;
+  }
+
+  /**
+   * 'HH:mm' → minutes since midnight
+   * @private
+   */
+  static _toMinutes(hhmm) {
+    const [h, m] = String(hhmm).split(':').map(Number);
+    return h * 60 + m;
+  }
+}
+
+NotificationPreferences.CHANNELS = CHANNELS;
+NotificationPreferences.DEFAULT_CHANNELS = DEFAULT_CHANNELS;
+NotificationPreferences.DEFAULT_QUIET_HOURS = DEFAULT_QUIET_HOURS;
+
+module.exports = NotificationPreferences;
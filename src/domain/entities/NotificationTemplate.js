@@ -0,0 +1,106 @@
+/**
+ * NotificationTemplate Domain Entity
+ *
+ * One version of the template for a notification { type, locale }.
+ * Lifecycle: draft → published → archived (an archived version that was
+ * published before can be published again on rollback).
+ */
+
+class NotificationTemplate {
+  constructor({
+    id = null,
+    type,
+    locale,
+    version,
+    status = 'draft',
+    subject,
+    html = '',
+    text = '',
+    schema = {},
+    partials = {},
+    notes = null,
+    createdBy = null,
+    publishedAt = null,
+    publishedBy = null,
+    createdAt = null,
+    updatedAt = null
+  }) {
+    this.id = id;
+    this.type = type;
+    this.locale = locale;
+    this.version = version;
+    this.status = status;
+    this.subject = subject;
+    this.html = html || '';
+    this.text = text || '';
+    this.schema = schema || {};
+    this.partials = partials || {};
+    this.notes = notes;
+    this.createdBy = createdBy;
+    this.publishedAt = publishedAt;
+    this.publishedBy = publishedBy;
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+  }
+
+  isDraft() {
+    return this.status === 'draft';
+  }
+
+  isPublished() {
+    return this.status === 'published';
+  }
+
+  /**
+   * Whether this version was live at some point
+   */
+  wasPublished() {
+    return this.publishedAt !== null;
+  }
+
+  /**
+   * Variables the template requires (schema.required)
+   * @returns {string[]}
+   */
+  getRequiredVariables() {
+    return Array.isArray(this.schema.required) ? this.schema.required : [];
+  }
+
+  /**
+   * Content fields (draft payload shape, used by validation and audit)
+   */
+  toDraft() {
+    return {
+      type: this.type,
+      locale: this.locale,
+      subject: this.subject,
+      html: this.html,
+      text: this.text,
+      schema: this.schema,
+      partials: this.partials
+    };
+  }
+
+  /**
+   * Listing representation (no content)
+   */
+  toMetadata() {
+    return {
+      id: this.id,
+      type: this.type,
+      locale: this.locale,
+      version: this.version,
+      status: this.status,
+      notes: this.notes,
+      publishedAt: this.publishedAt,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  toObject() {
+    return { ...this.toMetadata(), ...this.toDraft(), createdBy: this.createdBy, publishedBy: this.publishedBy };
+  }
+}
+
+module.exports = NotificationTemplate;
@@ -0,0 +1,69 @@
+/**
+ * Payment Domain Entity (US-4.1)
+ * 
+ * Passenger payment for an accepted booking, settled by the payment provider.
+ * Amounts are in major currency units.
+ */
+
+class Payment {
+  constructor({
+    id,
+    bookingRequestId,
+    tripId,
+    passengerId,
+    driverId,
+    amount,
+    currency = 'COP',
+    status = 'requires_payment',
+    provider,
+    providerPaymentIntentId,
+    clientSecret = null,
+    refundedAmount = 0,
+    paidAt = null,
+    failureReason = null,
+    createdAt = new Date(),
+    updatedAt = new Date()
+  }) {
+    this.id = id;
+    this.bookingRequestId = bookingRequestId;
+    this.tripId = tripId;
+    this.passengerId = passengerId;
+    this.driverId = driverId;
+    this.amount = amount;
+    this.currency = currency;
+    this.status = status;
+    this.provider = provider;
+    this.providerPaymentIntentId = providerPaymentIntentId;
+    this.clientSecret = clientSecret; // Only loaded for the paying passenger
+    this.refundedAmount = refundedAmount;
+    this.paidAt = paidAt;
+    this.failureReason = failureReason;
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+  }
+
+  /**
+   * Check if the passenger has completed the payment
+   */
+  isSucceeded() {
+    return this.status === 'succeeded';
+  }
+
+  /**
+   * Check if the payment can still be completed by the passenger
+   */
+  isOpen() {
+    return this.status === 'requires_payment' || this.status === 'processing';
+  }
+
+  /**
+   * Amount that can still be refunded
+   * @returns {number}
+   */
+  getRefundableAmount() {
+    if (!this.isSucceeded()) return 0;
+    return Math.max(0, this.amount - this.refundedAmount);
+  }
+}
+
+module.exports = Payment;
@@ -0,0 +1,73 @@
+/**
+ * Refund Domain Entity (US-4.2)
+ * 
+ * Money returned to a passenger for a paid booking.
+ * Created as `requested` and settled by the process-refunds job.
+ */
+
+const MAX_REFUND_ATTEMPTS = 5;
+
+class Refund {
+  constructor({
+    id,
+    paymentId,
+    transactionId,
+    bookingRequestId,
+    passengerId,
+    amount,
+    currency = 'COP',
+    refundPercent = 100,
+    status = 'requested',
+    reason = '',
+    idempotencyKey,
+    attempts = 0,
+    providerRefundId = null,
+    failureReason = null,
+    processedAt = null,
+    createdAt = new Date(),
+    updatedAt = new Date()
+  }) {
+    this.id = id;
+    this.paymentId = paymentId;
+    this.transactionId = transactionId;
+    this.bookingRequestId = bookingRequestId;
+    this.passengerId = passengerId;
+    this.amount = amount;
+    this.currency = currency;
+    this.refundPercent = refundPercent;
+    this.status = status; // requested | processing | succeeded | failed
+    this.reason = reason;
+    this.idempotencyKey = idempotencyKey;
+    this.attempts = attempts;
+    this.providerRefundId = providerRefundId;
+    this.failureReason = failureReason;
+    this.processedAt = processedAt;
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+  }
+
+  /**
+   * Check if the refund still counts against the refundable balance
+   */
+  isActive() {
+    return this.status !== 'failed';
+  }
+
+  /**
+   * Check if the refund reached a final state
+   */
+  isSettled() {
+    return this.status === 'succeeded' || this.status === 'failed';
+  }
+
+  /**
+   * Check if another provider attempt is allowed after a failure
+   */
+  canRetry() {
+    return this.attempts < MAX_REFUND_ATTEMPTS;
+  }
+}
+
+Refund.MAX_REFUND_ATTEMPTS = MAX_REFUND_ATTEMPTS;
+
+module.exports = Refund;
@@ -0,0 +1,171 @@
+/**
+ * RideRequest Domain Entity
+ *
+ * Passenger demand for a ride nobody offers yet: pickup and drop-off
+ * locations, a desired departure window, seats and an optional price cap.
+ * A driver fulfills it by creating a trip that fits, which books the
+ * requester on it.
+ */
+
+const EARTH_RADIUS_METERS = 6378100;
+
+/**
+ * Great-circle distance between two { lat, lng } points, in meters (haversine)
+ * @private
+ */
+const distanceInMeters = (a, b) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return Math.round(2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h)));
+};
+
+class RideRequest {
+  constructor({
+    id,
+    passengerId,
+    origin,
+    destination,
+    windowStart,
+    windowEnd,
+    seats = 1,
+    maxPricePerSeat = null,
+    note = '',
+    status = 'open',
+    fulfilledBy = null,
+    fulfilledAt = null,
+    tripId = null,
+    bookingId = null,
+    canceledAt = null,
+    expiredAt = null,
+    createdAt = new Date(),
+    updatedAt = new Date()
+  }) {
+    this.id = id;
+    this.passengerId = passengerId;
+    this.origin = origin; // { text, geo: { lat, lng } }
+    this.destination = destination; // Same shape
+    this.windowStart = windowStart instanceof Date ? windowStart : new Date(windowStart);
+    this.windowEnd = windowEnd instanceof Date ? windowEnd : new Date(windowEnd);
+    this.seats = seats;
+    this.maxPricePerSeat = maxPricePerSeat; // null = any price
+    this.note = note;
+    this.status = status; // open | fulfilled | canceled | expired
+    this.fulfilledBy = fulfilledBy; // Driver who created the trip
+    this.fulfilledAt = fulfilledAt;
+    this.tripId = tripId;
+    this.bookingId = bookingId;
+    this.canceledAt = canceledAt;
+    this.expiredAt = expiredAt;
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+  }
+
+  isOpen() {
+    return this.status === 'open';
+  }
+
+  belongsToPassenger(passengerId) {
+    return this.passengerId === passengerId;
+  }
+
+  /**
+   * Terms of a trip that do not fit the request (empty = fits)
+   * @param {Object} trip - { departureAt, pricePerSeat, totalSeats }
+   * @returns {string[]} Violated constraints: window, price, seats
+   */
+  getTripViolations({ departureAt, pricePerSeat, totalSeats }) {
+    const violations = [];
+    const departure = new Date(departureAt);
+    if (departure < this.windowStart || departure > this.windowEnd) {
+      violations.push('window');
+    }
+    if (this.maxPricePerSeat !== null && pricePerSeat > this.maxPricePerSeat) {
+      violations.push('price');
+    }
+    if (totalSeats < this.seats) {
+      violations.push('seats');
+    }
+    return violations;
+  }
+
+  /**
+   * Stops of a route where the requester would board and alight
+   * The board stop must be within the radius of the request origin and the
+   * alight stop, a later one, within the radius of its destination; the pair
+   * with the smallest combined walking distance wins.
+   *
+   * @param {Array<Object>} stops - Route stops in order ({ text, geo })
+   * @param {number} radiusMeters
+   * @returns {{from: number, to: number, originMeters: number, destinationMeters: number}|null}
+   */
+  resolveSegmentOn(stops, radiusMeters) {
+    const boardDistances = stops.map((stop) => distanceInMeters(this.origin.geo, stop.geo));
+    const alightDistances = stops.map((stop) => distanceInMeters(this.destination.geo, stop.geo));
+
+    let best = null;
+    for (let from = 0; from < stops.length - 1; from++) {
+      if (boardDistances[from] > radiusMeters) continue;
+
+      for (let to = from + 1; to < stops.length; to++) {
+        if (alightDistances[to] > radiusMeters) continue;
+
+        const totalMeters = boardDistances[from] + alightDistances[to];
+        if (!best || totalMeters < best.originMeters + best.destinationMeters) {
+          best = { from, to, originMeters: boardDistances[from], destinationMeters: alightDistances[to] };
+        }
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Passenger view
+   */
+  toObject() {
+    return {
+      id: this.id,
+      origin: this.origin,
+      destination: this.destination,
+      windowStart: this.windowStart,
+      windowEnd: this.windowEnd,
+      seats: this.seats,
+      maxPricePerSeat: this.maxPricePerSeat,
+      note: this.note,
+      status: this.status,
+      tripId: this.tripId,
+      bookingId: this.bookingId,
+      fulfilledAt: this.fulfilledAt,
+      canceledAt: this.canceledAt,
+      expiredAt: this.expiredAt,
+      createdAt: this.createdAt
+    };
+  }
+
+  /**
+   * Driver view while browsing (requester identity is not exposed)
+   * @param {Object|null} distance - { originMeters, destinationMeters } to the driver's route
+   */
+  toDriverObject(distance = null) {
+    return {
+      id: this.id,
+      origin: this.origin,
+      destination: this.destination,
+      windowStart: this.windowStart,
+      windowEnd: this.windowEnd,
+      seats: this.seats,
+      maxPricePerSeat: this.maxPricePerSeat,
+      note: this.note,
+      distance,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+RideRequest.distanceInMeters = distanceInMeters;
+
+module.exports = RideRequest;
@@ -0,0 +1,110 @@
+/**
+ * SavedSearch Domain Entity
+ *
+ * A passenger trip search kept to be alerted when matching trips are
+ * published. Filters follow GET /passengers/trips/search; daysOfWeek
+ * narrows them to the local weekdays the passenger travels on.
+ */
+
+const TripSeries = require('./TripSeries');
+
+const FILTER_FIELDS = [
+  'qOrigin',
+  'qDestination',
+  'fromDate',
+  'toDate',
+  'fromTime',
+  'toTime',
+  'minAvailableSeats',
+  'minPrice',
+  'maxPrice',
+  'nearOrigin',
+  'nearDestination',
+  'radius'
+];
+
+class SavedSearch {
+  constructor({
+    id,
+    userId,
+    name,
+    filters = {},
+    daysOfWeek = [],
+    muted = false,
+    alertDay = null,
+    alertCount = 0,
+    lastAlertAt = null,
+    createdAt = new Date(),
+    updatedAt = new Date()
+  }) {
+    this.id = id;
+    this.userId = userId;
+    this.name = name;
+    this.filters = filters; // Search filters (null = not set)
+    this.daysOfWeek = daysOfWeek; // 0 = Sunday ... 6 = Saturday (empty = any day)
+    this.muted = muted;
+    this.alertDay = alertDay; // Local day alertCount refers to
+    this.alertCount = alertCount;
+    this.lastAlertAt = lastAlertAt;
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+  }
+
+  /**
+   * Filters in the shape of searchPublishedTrips (unset ones left out)
+   * @returns {Object}
+   */
+  toFilters() {
+    const filters = {};
+    for (const field of FILTER_FIELDS) {
+      const value = this.filters[field];
+      if (value !== null && value !== undefined) {
+        filters[field] = value;
+      }
+    }
+    return filters;
+  }
+
+  /**
+   * Check if a departure falls on one of the saved weekdays (local calendar)
+   * @param {Date} departureAt
+   */
+  matchesDay(departureAt) {
+    if (this.daysOfWeek.length === 0) return true;
+    return this.daysOfWeek.includes(SavedSearch.localWeekday(departureAt));
+  }
+
+  /**
+   * Alerts sent on a local day
+   * @param {string} day - YYYY-MM-DD
+   */
+  getAlertsOn(day) {
+    return this.alertDay === day ? this.alertCount : 0;
+  }
+
+  /**
+   * Local weekday (America/Bogota) of an instant: 0 = Sunday ... 6 = Saturday
+   * @param {Date} instant
+   */
+  static localWeekday(instant) {
+    return new Date(`${TripSeries.toLocalDate(new Date(instant))}T00:00:00.000Z`).getUTCDay();
+  }
+
+  toObject() {
+    return {
+      id: this.id,
+      name: this.name,
+      filters: this.toFilters(),
+      daysOfWeek: this.daysOfWeek,
+      muted: this.muted,
+      alertsToday: this.getAlertsOn(TripSeries.toLocalDate(new Date())),
+      lastAlertAt: this.lastAlertAt,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+SavedSearch.FILTER_FIELDS = FILTER_FIELDS;
+
+module.exports = SavedSearch;
@@ -10,13 +10,15 @@ class SeatLedger {
     id,
     tripId,
     allocatedSeats = 0,
+    segmentSeats = [],
     bookedPassengers = [],
     createdAt = new Date(),
     updatedAt = new Date()
   }) {
     this.id = id;
     this.tripId = tripId;
-    this.allocatedSeats = allocatedSeats;
+    this.allocatedSeats = allocatedSeats; // Peak occupancy across segments
+    this.segmentSeats = segmentSeats; // Occupancy per route segment (stop i → stop i + 1)
     this.bookedPassengers = bookedPassengers; // Array of { bookingRequestId, passengerId, seats, acceptedAt }
     this.createdAt = createdAt;
     this.updatedAt = updatedAt;
@@ -56,6 +58,25 @@ class SeatLedger {
     return Math.max(0, totalSeats - this.allocatedSeats);
   }
 
+  /**
+   * Get remaining seats on a range of segments [from, to)
+   * Ledgers without per-segment data fall back to the whole-trip allocation.
+   *
+   * @param {number} totalSeats - Total seats available on the trip
+   * @param {number} from - First segment index (inclusive)
+   * @param {number} to - Last segment index (exclusive)
+   * @returns {number} Seats free on every segment of the range
+   */
+  getRemainingSeatsOnSegment(totalSeats, from, to) {
+    if (!this.segmentSeats || this.segmentSeats.length === 0) {
+      return this.getRemainingSeats(totalSeats);
+    }
+
+    const occupied = this.segmentSeats.slice(from, to);
+    const peak = occupied.length > 0 ? Math.max(...occupied) : 0;
+    return Math.max(0, totalSeats - peak);
+  }
+
   /**
    * Calculate utilization percentage
    * @param {number} totalSeats - Total seats available on the trip
@@ -83,6 +104,7 @@ class SeatLedger {
       id: this.id,
       tripId: this.tripId,
       allocatedSeats: this.allocatedSeats,
+      segmentSeats: this.segmentSeats,
       bookedPassengers: this.bookedPassengers,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
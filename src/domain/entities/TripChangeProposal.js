@@ -0,0 +1,123 @@
+/**
+ * TripChangeProposal Domain Entity
+ *
+ * A material change (price, time or route) to a trip with active bookings.
+ * The new terms apply to the trip right away; each affected passenger must
+ * accept them before the deadline or the booking is released with a full
+ * refund.
+ */
+
+const RESPONSE_STATUSES = ['pending', 'accepted', 'declined', 'expired', 'canceled'];
+
+class TripChangeProposal {
+  constructor({
+    id,
+    tripId,
+    driverId,
+    changes = [],
+    previousTerms,
+    proposedTerms,
+    status = 'open',
+    deadline,
+    responses = [],
+    closedAt = null,
+    createdAt = new Date(),
+    updatedAt = new Date()
+  }) {
+    this.id = id;
+    this.tripId = tripId;
+    this.driverId = driverId;
+    this.changes = changes; // price | time | route
+    this.previousTerms = previousTerms; // Terms snapshot (version N)
+    this.proposedTerms = proposedTerms; // Terms snapshot (version N + 1)
+    this.status = status;
+    this.deadline = deadline;
+    this.responses = responses; // [{ bookingId, passengerId, seats, bookingStatus, status, respondedAt }]
+    this.closedAt = closedAt;
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+  }
+
+  isOpen() {
+    return this.status === 'open';
+  }
+
+  /**
+   * Check if the deadline passed
+   * @param {Date} now
+   */
+  isPastDeadline(now = new Date()) {
+    return new Date(this.deadline) <= now;
+  }
+
+  /**
+   * Response slot of a passenger (one active booking per passenger and trip)
+   * @param {string} passengerId
+   * @returns {Object|null}
+   */
+  getResponseFor(passengerId) {
+    return this.responses.find((response) => response.passengerId === passengerId) || null;
+  }
+
+  /**
+   * Responses nobody answered yet
+   */
+  getPendingResponses() {
+    return this.responses.filter((response) => response.status === 'pending');
+  }
+
+  /**
+   * Counts per response status
+   */
+  getSummary() {
+    const summary = Object.fromEntries(RESPONSE_STATUSES.map((status) => [status, 0]));
+    for (const response of this.responses) {
+      summary[response.status] += 1;
+    }
+    return summary;
+  }
+
+  /**
+   * Driver view: every response
+   */
+  toObject() {
+    return {
+      id: this.id,
+      tripId: this.tripId,
+      changes: this.changes,
+      previousTerms: this.previousTerms,
+      proposedTerms: this.proposedTerms,
+      status: this.status,
+      deadline: this.deadline,
+      summary: this.getSummary(),
+      responses: this.responses,
+      closedAt: this.closedAt,
+      createdAt: this.createdAt
+    };
+  }
+
+  /**
+   * Passenger view: only their own response
+   * @param {string} passengerId
+   */
+  toPassengerObject(passengerId) {
+    const response = this.getResponseFor(passengerId);
+    return {
+      id: this.id,
+      tripId: this.tripId,
+      changes: this.changes,
+      previousTerms: this.previousTerms,
+      proposedTerms: this.proposedTerms,
+      status: this.status,
+      deadline: this.deadline,
+      bookingId: response ? response.bookingId : null,
+      response: response ? response.status : null,
+      respondedAt: response ? response.respondedAt : null,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+TripChangeProposal.RESPONSE_STATUSES = RESPONSE_STATUSES;
+
+module.exports = TripChangeProposal;
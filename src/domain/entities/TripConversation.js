@@ -0,0 +1,69 @@
+/**
+ * TripConversation Domain Entity
+ *
+ * State of the in-trip conversation of a trip: open until a set time after
+ * the trip is completed (closed right away if it is canceled), plus the read
+ * receipt of each participant.
+ */
+
+class TripConversation {
+  constructor({
+    id = null,
+    tripId,
+    driverId,
+    status = 'open',
+    closesAt = null,
+    closedAt = null,
+    closeReason = null,
+    reads = [],
+    createdAt = new Date(),
+    updatedAt = new Date()
+  }) {
+    this.id = id;
+    this.tripId = tripId;
+    this.driverId = driverId;
+    this.status = status; // open | closed
+    this.closesAt = closesAt; // Set when the trip is completed
+    this.closedAt = closedAt;
+    this.closeReason = closeReason; // completed | canceled
+    this.reads = reads; // [{ userId, lastReadAt }]
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+  }
+
+  /**
+   * New messages are accepted (closure also applies before the job marks it)
+   * @param {Date} now
+   */
+  isOpen(now = new Date()) {
+    if (this.status !== 'open') return false;
+    return !this.closesAt || new Date(this.closesAt) > now;
+  }
+
+  /**
+   * Time of the last message the user has seen (null = never opened it)
+   * @param {string} userId
+   * @returns {Date|null}
+   */
+  getLastReadAt(userId) {
+    const receipt = this.reads.find((read) => read.userId === userId);
+    return receipt ? new Date(receipt.lastReadAt) : null;
+  }
+
+  /**
+   * Participants other than the sender who have seen a message
+   * @param {TripMessage} message
+   * @param {string[]} participantIds - Current participants
+   * @returns {string[]}
+   */
+  getReadersOf(message, participantIds) {
+    const sentAt = new Date(message.createdAt);
+    return participantIds.filter((userId) => {
+      if (message.isSentBy(userId)) return false;
+      const lastReadAt = this.getLastReadAt(userId);
+      return !!lastReadAt && lastReadAt >= sentAt;
+    });
+  }
+}
+
+module.exports = TripConversation;
@@ -0,0 +1,50 @@
+/**
+ * TripLocation Domain Entity
+ *
+ * A position of the car posted by the driver while the trip is in progress.
+ */
+
+class TripLocation {
+  constructor({
+    id,
+    tripId,
+    driverId,
+    lat,
+    lng,
+    heading = null,
+    speedKmh = null,
+    accuracyM = null,
+    recordedAt,
+    createdAt = new Date()
+  }) {
+    this.id = id;
+    this.tripId = tripId;
+    this.driverId = driverId;
+    this.lat = lat;
+    this.lng = lng;
+    this.heading = heading; // Degrees clockwise from north
+    this.speedKmh = speedKmh;
+    this.accuracyM = accuracyM;
+    this.recordedAt = recordedAt; // Device time of the fix
+    this.createdAt = createdAt;
+  }
+
+  /**
+   * Shape shared by the read endpoint and the location stream
+   */
+  toObject() {
+    return {
+      id: this.id,
+      tripId: this.tripId,
+      lat: this.lat,
+      lng: this.lng,
+      heading: this.heading,
+      speedKmh: this.speedKmh,
+      accuracyM: this.accuracyM,
+      recordedAt: this.recordedAt,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+module.exports = TripLocation;
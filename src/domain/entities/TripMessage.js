@@ -0,0 +1,108 @@
+/**
+ * TripMessage Domain Entity
+ *
+ * A message of the in-trip conversation between the driver and the accepted
+ * passengers. Contact details (phone numbers, emails, links) stay hidden from
+ * passengers who were not accepted yet when the message was sent.
+ */
+
+const MASK = '[contacto oculto]';
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.|wa\.me\/)\S*/gi;
+// Runs of digits with the separators people type in phone numbers
+const PHONE_PATTERN = /\+?\d[\d\s().-]{5,}\d/g;
+// Phone numbers have at least 7 digits (local landline)
+const PHONE_MIN_DIGITS = 7;
+// Dates look like digit runs too (2026-10-18, 18.10.2026)
+const DATE_SHAPE = /^\d{1,4}[-.]\d{1,2}[-.]\d{1,4}$/;
+
+/**
+ * Replace contact details in a text
+ * @private
+ */
+const maskContactDetails = (text) => {
+  let masked = false;
+  const replace = () => {
+    masked = true;
+    return MASK;
+  };
+
+  const result = text
+    .replace(EMAIL_PATTERN, replace)
+    .replace(LINK_PATTERN, replace)
+    .replace(PHONE_PATTERN, (match) => {
+      const digits = match.replace(/\D/g, '').length;
+      if (digits < PHONE_MIN_DIGITS || DATE_SHAPE.test(match.trim())) return match;
+      return replace();
+    });
+
+  return { text: result, masked };
+};
+
+class TripMessage {
+  constructor({
+    id,
+    tripId,
+    senderId,
+    senderRole,
+    body,
+    hasContactDetails = false,
+    reportCount = 0,
+    createdAt = new Date()
+  }) {
+    this.id = id;
+    this.tripId = tripId;
+    this.senderId = senderId;
+    this.senderRole = senderRole; // driver | passenger
+    this.body = body; // As written (moderation sees it unmasked)
+    this.hasContactDetails = hasContactDetails;
+    this.reportCount = reportCount;
+    this.createdAt = createdAt;
+  }
+
+  isSentBy(userId) {
+    return this.senderId === userId;
+  }
+
+  /**
+   * Body as a reader sees it
+   * @param {boolean} reveal - Show contact details
+   * @returns {{body: string, masked: boolean}}
+   */
+  getBodyFor(reveal) {
+    if (reveal || !this.hasContactDetails) {
+      return { body: this.body, masked: false };
+    }
+    const { text } = maskContactDetails(this.body);
+    return { body: text, masked: true };
+  }
+
+  /**
+   * Shape shared by the conversation endpoint and the notification stream
+   * @param {Object} options - { reveal, readBy }
+   */
+  toObject({ reveal = false, readBy = [] } = {}) {
+    const { body, masked } = this.getBodyFor(reveal);
+    return {
+      id: this.id,
+      tripId: this.tripId,
+      senderId: this.senderId,
+      senderRole: this.senderRole,
+      body,
+      masked,
+      readBy,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+/**
+ * Whether a text contains contact details
+ * @param {string} text
+ * @returns {boolean}
+ */
+TripMessage.containsContactDetails = (text) => maskContactDetails(text).masked;
+TripMessage.maskContactDetails = (text) => maskContactDetails(text).text;
+
+module.exports = TripMessage;
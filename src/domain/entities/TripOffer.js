@@ -12,12 +12,20 @@ class TripOffer {
     vehicleId,
     origin,
     destination,
+    waypoints = [],
     departureAt,
     estimatedArrivalAt,
     pricePerSeat,
     totalSeats,
     status = 'published',
     notes = '',
+    instantBook = false,
+    termsVersion = 1,
+    seriesId = null,
+    occurrenceDate = null,
+    detachedFromSeries = false,
+    rideRequestId = null,
+    cancellationPolicy = null,
     createdAt,
     updatedAt
   }) {
@@ -26,12 +34,20 @@ class TripOffer {
     this.vehicleId = vehicleId;
     this.origin = origin; // { text: string, geo: { lat: number, lng: number } }
     this.destination = destination; // Same shape
+    this.waypoints = waypoints || []; // Ordered intermediate stops, same shape
     this.departureAt = departureAt instanceof Date ? departureAt : new Date(departureAt);
     this.estimatedArrivalAt = estimatedArrivalAt instanceof Date ? estimatedArrivalAt : new Date(estimatedArrivalAt);
     this.pricePerSeat = pricePerSeat;
     this.totalSeats = totalSeats;
     this.status = status;
     this.notes = notes;
+    this.instantBook = instantBook; // Requests are accepted on creation while seats last
+    this.termsVersion = termsVersion; // Bumped on every material change (price, time, route)
+    this.seriesId = seriesId; // Recurring series this trip belongs to (if any)
+    this.occurrenceDate = occurrenceDate; // 'YYYY-MM-DD' local date within the series
+    this.detachedFromSeries = detachedFromSeries;
+    this.rideRequestId = rideRequestId; // Passenger ride request the trip fulfills (if any)
+    this.cancellationPolicy = cancellationPolicy; // Driver override of the platform policy ({ tiers }) or null
     this.createdAt = createdAt;
     this.updatedAt = updatedAt;
   }
@@ -98,6 +114,118 @@ class TripOffer {
     return validTransitions[this.status]?.includes(newStatus) || false;
   }
 
+  /**
+   * All stops in route order: origin (0), waypoints..., destination (last)
+   * @returns {Array<{text: string, geo: {lat: number, lng: number}}>}
+   */
+  getStops() {
+    return [this.origin, ...this.waypoints, this.destination];
+  }
+
+  /**
+   * Area covered by the route: bounding box of all stops widened by a margin
+   * @param {number} marginKm - Margin added on every side
+   * @returns {{minLat: number, maxLat: number, minLng: number, maxLng: number}|null} null if a stop has no geo
+   */
+  getBoundingArea(marginKm = 0) {
+    const points = this.getStops().map((stop) => stop && stop.geo);
+    if (points.some((geo) => !geo || typeof geo.lat !== 'number' || typeof geo.lng !== 'number')) {
+      return null;
+    }
+
+    const lats = points.map((geo) => geo.lat);
+    const lngs = points.map((geo) => geo.lng);
+    const minLat = Math.min(...lats);
+    const maxLat = Math.max(...lats);
+
+    // ~111.32 km per degree of latitude; longitude degrees shrink with cos(latitude)
+    const latMargin = marginKm / 111.32;
+    const widestLat = Math.max(Math.abs(minLat), Math.abs(maxLat)) + latMargin;
+    const lngMargin = marginKm / (111.32 * Math.max(Math.cos((Math.min(widestLat, 89) * Math.PI) / 180), 0.01));
+
+    return {
+      minLat: minLat - latMargin,
+      maxLat: maxLat + latMargin,
+      minLng: Math.min(...lngs) - lngMargin,
+      maxLng: Math.max(...lngs) + lngMargin
+    };
+  }
+
+  /**
+   * Terms passengers agree to when booking (snapshot of the current version)
+   * @returns {{version: number, pricePerSeat: number, departureAt: Date, estimatedArrivalAt: Date, origin: Object, destination: Object, waypoints: Object[]}}
+   */
+  getTerms() {
+    const place = (stop) => ({ text: stop.text, geo: { lat: stop.geo.lat, lng: stop.geo.lng } });
+
+    return {
+      version: this.termsVersion,
+      pricePerSeat: this.pricePerSeat,
+      departureAt: this.departureAt,
+      estimatedArrivalAt: this.estimatedArrivalAt,
+      origin: place(this.origin),
+      destination: place(this.destination),
+      waypoints: this.waypoints.map(place)
+    };
+  }
+
+  /**
+   * Material changes an update would make to the terms
+   * @param {Object} updates - { pricePerSeat, departureAt, estimatedArrivalAt, origin, destination }
+   * @returns {string[]} Changed kinds: price, time, route
+   */
+  getMaterialChanges(updates) {
+    const changed = [];
+    const samePlace = (a, b) => a.text === b.text && a.geo.lat === b.geo.lat && a.geo.lng === b.geo.lng;
+    const sameTime = (a, b) => new Date(a).getTime() === new Date(b).getTime();
+
+    if (updates.pricePerSeat !== undefined && updates.pricePerSeat !== this.pricePerSeat) {
+      changed.push('price');
+    }
+    if (
+      (updates.departureAt !== undefined && !sameTime(updates.departureAt, this.departureAt)) ||
+      (updates.estimatedArrivalAt !== undefined && !sameTime(updates.estimatedArrivalAt, this.estimatedArrivalAt))
+    ) {
+      changed.push('time');
+    }
+    if (
+      (updates.origin !== undefined && !samePlace(updates.origin, this.origin)) ||
+      (updates.destination !== undefined && !samePlace(updates.destination, this.destination))
+    ) {
+      changed.push('route');
+    }
+
+    return changed;
+  }
+
+  /**
+   * Number of legs between consecutive stops
+   */
+  getSegmentCount() {
+    return this.waypoints.length + 1;
+  }
+
+  /**
+   * Resolve the segment range covered by a board/alight stop pair
+   * Segment i goes from stop i to stop i + 1. Missing indexes default to
+   * the full route (origin → destination).
+   *
+   * @param {number|null} boardStopIndex - Stop where the passenger boards
+   * @param {number|null} alightStopIndex - Stop where the passenger alights
+   * @returns {{from: number, to: number, segmentCount: number}|null} null if invalid
+   */
+  resolveSegment(boardStopIndex = null, alightStopIndex = null) {
+    const segmentCount = this.getSegmentCount();
+    const from = boardStopIndex === null || boardStopIndex === undefined ? 0 : boardStopIndex;
+    const to = alightStopIndex === null || alightStopIndex === undefined ? segmentCount : alightStopIndex;
+
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || to > segmentCount || from >= to) {
+      return null;
+    }
+
+    return { from, to, segmentCount };
+  }
+
   /**
    * Check if trip time window overlaps with another trip
    */
@@ -112,10 +240,11 @@ class TripOffer {
   /**
    * Update mutable fields
    */
-  update({ pricePerSeat, totalSeats, notes, status }) {
+  update({ pricePerSeat, totalSeats, notes, instantBook, status }) {
     if (pricePerSeat !== undefined) this.pricePerSeat = pricePerSeat;
     if (totalSeats !== undefined) this.totalSeats = totalSeats;
     if (notes !== undefined) this.notes = notes;
+    if (instantBook !== undefined) this.instantBook = instantBook;
     if (status !== undefined) {
       if (!this.canTransitionTo(status)) {
         throw new Error(`Invalid status transition from ${this.status} to ${status}`);
@@ -0,0 +1,147 @@
+/**
+ * TripSeries Domain Entity
+ * Weekly recurring schedule (e.g. Mon/Wed/Fri 06:30 until end of semester)
+ * from which individual TripOffer occurrences are generated.
+ *
+ * Dates and times are expressed in the local calendar of America/Bogota
+ * (UTC-05:00, no daylight saving time).
+ */
+
+const InvalidTransitionError = require('../errors/InvalidTransitionError');
+
+const LOCAL_UTC_OFFSET_MINUTES = -300; // America/Bogota
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class TripSeries {
+  constructor({
+    id,
+    driverId,
+    vehicleId,
+    origin,
+    destination,
+    waypoints = [],
+    daysOfWeek = [],
+    departureTime,
+    durationMinutes,
+    startDate,
+    untilDate,
+    pricePerSeat,
+    totalSeats,
+    notes = '',
+    tripStatus = 'published',
+    status = 'active',
+    generatedUntil = null,
+    canceledAt = null,
+    createdAt,
+    updatedAt
+  }) {
+    this.id = id;
+    this.driverId = driverId;
+    this.vehicleId = vehicleId;
+    this.origin = origin; // { text: string, geo: { lat: number, lng: number } }
+    this.destination = destination; // Same shape
+    this.waypoints = waypoints || []; // Ordered intermediate stops
+    this.daysOfWeek = daysOfWeek; // 0 = Sunday ... 6 = Saturday
+    this.departureTime = departureTime; // 'HH:MM' local time
+    this.durationMinutes = durationMinutes;
+    this.startDate = startDate; // 'YYYY-MM-DD' local date (inclusive)
+    this.untilDate = untilDate; // 'YYYY-MM-DD' local date (inclusive)
+    this.pricePerSeat = pricePerSeat;
+    this.totalSeats = totalSeats;
+    this.notes = notes;
+    this.tripStatus = tripStatus;
+    this.status = status;
+    this.generatedUntil = generatedUntil ? new Date(generatedUntil) : null;
+    this.canceledAt = canceledAt;
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+  }
+
+  /**
+   * Check if series still generates occurrences
+   */
+  isActive() {
+    return this.status === 'active';
+  }
+
+  /**
+   * Departure instant of the series on a given local date
+   * @param {string} localDate - 'YYYY-MM-DD'
+   * @returns {Date}
+   */
+  departureOn(localDate) {
+    const [year, month, day] = localDate.split('-').map(Number);
+    const [hours, minutes] = this.departureTime.split(':').map(Number);
+    const localMs = Date.UTC(year, month - 1, day, hours, minutes);
+    return new Date(localMs - LOCAL_UTC_OFFSET_MINUTES * 60 * 1000);
+  }
+
+  /**
+   * Local calendar date (YYYY-MM-DD) of an instant
+   * @param {Date} instant
+   * @returns {string}
+   */
+  static toLocalDate(instant) {
+    const local = new Date(instant.getTime() + LOCAL_UTC_OFFSET_MINUTES * 60 * 1000);
+    return local.toISOString().slice(0, 10);
+  }
+
+  /**
+   * List occurrences departing in the window (from, to]
+   * Only dates within [startDate, untilDate] whose weekday is scheduled.
+   *
+   * @param {Date} from - Exclusive lower bound for departureAt
+   * @param {Date} to - Inclusive upper bound for departureAt
+   * @returns {Array<{occurrenceDate: string, departureAt: Date, estimatedArrivalAt: Date}>}
+   */
+  getOccurrences(from, to) {
+    const occurrences = [];
+    const fromDate = TripSeries.toLocalDate(from);
+    const firstDate = fromDate > this.startDate ? fromDate : this.startDate;
+
+    let cursor = new Date(`${firstDate}T00:00:00.000Z`);
+    const last = new Date(`${this.untilDate}T00:00:00.000Z`);
+
+    while (cursor <= last) {
+      const occurrenceDate = cursor.toISOString().slice(0, 10);
+
+      if (this.daysOfWeek.includes(cursor.getUTCDay())) {
+        const departureAt = this.departureOn(occurrenceDate);
+        if (departureAt > to) break;
+
+        if (departureAt > from) {
+          occurrences.push({
+            occurrenceDate,
+            departureAt,
+            estimatedArrivalAt: new Date(departureAt.getTime() + this.durationMinutes * 60 * 1000)
+          });
+        }
+      }
+
+      cursor = new Date(cursor.getTime() + DAY_MS);
+    }
+
+    return occurrences;
+  }
+
+  /**
+   * Cancel the series (stops generation of further occurrences)
+   * Legal transitions: active → canceled
+   *
+   * @throws {InvalidTransitionError} if series is already canceled
+   */
+  cancel() {
+    if (!this.isActive()) {
+      throw new InvalidTransitionError(
+        `Cannot cancel series with status: ${this.status}`,
+        this.status,
+        'canceled'
+      );
+    }
+    this.status = 'canceled';
+    this.canceledAt = new Date();
+    this.updatedAt = new Date();
+  }
+}
+
+module.exports = TripSeries;
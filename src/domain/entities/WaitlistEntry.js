@@ -0,0 +1,108 @@
+/**
+ * WaitlistEntry Domain Entity
+ *
+ * A passenger in line for seats on a fully booked trip. When seats are
+ * released the first entries that fit get a time-boxed offer (seats held on
+ * the ledger) that the passenger must confirm.
+ */
+
+// Entries still in line (one per passenger and trip)
+const OPEN_STATUSES = ['waiting', 'offered'];
+
+class WaitlistEntry {
+  constructor({
+    id,
+    tripId,
+    passengerId,
+    seats = 1,
+    note = '',
+    boardStopIndex,
+    alightStopIndex,
+    status = 'waiting',
+    offeredAt = null,
+    offerExpiresAt = null,
+    promotionMode = null,
+    bookingId = null,
+    resolvedAt = null,
+    position = null,
+    createdAt = new Date(),
+    updatedAt = new Date()
+  }) {
+    this.id = id;
+    this.tripId = tripId;
+    this.passengerId = passengerId;
+    this.seats = seats;
+    this.note = note;
+    this.boardStopIndex = boardStopIndex;
+    this.alightStopIndex = alightStopIndex;
+    this.status = status; // waiting | offered | confirmed | declined | expired | left | closed
+    this.offeredAt = offeredAt;
+    this.offerExpiresAt = offerExpiresAt;
+    this.promotionMode = promotionMode; // request | auto_accept (set on confirmation)
+    this.bookingId = bookingId;
+    this.resolvedAt = resolvedAt;
+    this.position = position; // 1-based place in line (waiting entries only, when computed)
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+  }
+
+  /**
+   * Check if the entry is still in line (waiting or holding an offer)
+   */
+  isOpen() {
+    return OPEN_STATUSES.includes(this.status);
+  }
+
+  isWaiting() {
+    return this.status === 'waiting';
+  }
+
+  isOffered() {
+    return this.status === 'offered';
+  }
+
+  /**
+   * Check if the offer can still be confirmed
+   * @param {Date} now
+   */
+  isOfferActive(now = new Date()) {
+    return this.isOffered() && this.offerExpiresAt && this.offerExpiresAt > now;
+  }
+
+  /**
+   * Route segment the entry waits for, as stored on bookings
+   * @returns {{from: number, to: number}}
+   */
+  getSegment() {
+    return { from: this.boardStopIndex, to: this.alightStopIndex };
+  }
+
+  belongsToPassenger(passengerId) {
+    return this.passengerId === passengerId;
+  }
+
+  toObject() {
+    return {
+      id: this.id,
+      tripId: this.tripId,
+      passengerId: this.passengerId,
+      seats: this.seats,
+      note: this.note,
+      boardStopIndex: this.boardStopIndex,
+      alightStopIndex: this.alightStopIndex,
+      status: this.status,
+      position: this.position,
+      offeredAt: this.offeredAt,
+      offerExpiresAt: this.offerExpiresAt,
+      promotionMode: this.promotionMode,
+      bookingId: this.bookingId,
+      resolvedAt: this.resolvedAt,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+WaitlistEntry.OPEN_STATUSES = OPEN_STATUSES;
+
+module.exports = WaitlistEntry;
@@ -0,0 +1,19 @@
+/**
+ * Booking Already Paid Error (US-4.1.1)
+ * 
+ * Thrown when attempting to create a payment intent for a booking
+ * whose payment has already succeeded.
+ * 
+ * HTTP Status: 409 Conflict
+ * Error Code: booking_already_paid
+ */
+
+const DomainError = require('./DomainError');
+
+class BookingAlreadyPaidError extends DomainError {
+  constructor(message = 'Booking has already been paid', details = {}) {
+    super(message, 409, 'booking_already_paid', details);
+  }
+}
+
+module.exports = BookingAlreadyPaidError;
@@ -0,0 +1,18 @@
+/**
+ * Duplicate Payment Error (US-4.1.1)
+ * 
+ * Thrown when a second payment record would be created for the same booking.
+ * 
+ * HTTP Status: 409 Conflict
+ * Error Code: duplicate_payment
+ */
+
+const DomainError = require('./DomainError');
+
+class DuplicatePaymentError extends DomainError {
+  constructor(message = 'A payment already exists for this booking', details = {}) {
+    super(message, 409, 'duplicate_payment', details);
+  }
+}
+
+module.exports = DuplicatePaymentError;
@@ -0,0 +1,19 @@
+/**
+ * Duplicate Refund Error (US-4.2)
+ * 
+ * Thrown when a refund with the same idempotency key already exists
+ * (e.g. the cancellation refund of a booking was already requested).
+ * 
+ * HTTP Status: 409 Conflict
+ * Error Code: duplicate_refund
+ */
+
+const DomainError = require('./DomainError');
+
+class DuplicateRefundError extends DomainError {
+  constructor(message = 'A refund with this idempotency key already exists', details = {}) {
+    super(message, 409, 'duplicate_refund', details);
+  }
+}
+
+module.exports = DuplicateRefundError;
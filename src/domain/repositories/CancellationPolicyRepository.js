@@ -0,0 +1,25 @@
+/**
+ * CancellationPolicy Repository Interface
+ * Domain layer contract for platform cancellation policy data access
+ */
+class CancellationPolicyRepository {
+  /**
+   * Get the platform cancellation policy
+   * @returns {Promise<CancellationPolicy|null>} Stored policy, or null if admins never set one
+   */
+  async getPlatformPolicy() {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Create or replace the platform cancellation policy
+   * @param {Object} policyData - { tiers, bounds }
+   * @param {string} updatedBy - Admin user ID
+   * @returns {Promise<CancellationPolicy>}
+   */
+  async savePlatformPolicy(policyData, updatedBy) {
+    throw new Error('Method not implemented');
+  }
+}
+
+module.exports = CancellationPolicyRepository;
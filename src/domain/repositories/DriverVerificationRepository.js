@@ -0,0 +1,16 @@
+/**
+ * DriverVerification Repository Interface
+ * Domain layer contract for driver verification profile access
+ */
+class DriverVerificationRepository {
+  /**
+   * Verification status and document expiries of a driver
+   * @param {string} userId - Driver ID
+   * @returns {Promise<Object|null>} { status, licenseExpiresAt, soatExpiresAt, hasSoat } or null if never submitted
+   */
+  async findStatusByUserId(userId) {
+    throw new Error('Method not implemented');
+  }
+}
+
+module.exports = DriverVerificationRepository;
@@ -0,0 +1,89 @@
+/**
+ * NotificationTemplate Repository Interface
+ * Domain layer contract for versioned notification template data access
+ */
+class NotificationTemplateRepository {
+  /**
+   * Create a template version
+   * @param {Object} templateData - { type, locale, version, subject, html, text, schema, partials, notes, createdBy }
+   * @returns {Promise<NotificationTemplate>}
+   */
+  async create(templateData) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find one version of a template
+   * @param {string} type
+   * @param {string} locale
+   * @param {number} version
+   * @returns {Promise<NotificationTemplate|null>}
+   */
+  async findVersion(type, locale, version) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find the published version of a template
+   * @param {string} type
+   * @param {string} locale
+   * @returns {Promise<NotificationTemplate|null>}
+   */
+  async findPublished(type, locale) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * List all versions of a template (newest first)
+   * @param {string} type
+   * @param {string} locale
+   * @returns {Promise<NotificationTemplate[]>}
+   */
+  async listVersions(type, locale) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Highest version number of a template (0 if none)
+   * @param {string} type
+   * @param {string} locale
+   * @returns {Promise<number>}
+   */
+  async getLatestVersionNumber(type, locale) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Update the content of a draft version
+   * @param {string} type
+   * @param {string} locale
+   * @param {number} version
+   * @param {Object} updates - { subject, html, text, schema, partials, notes }
+   * @returns {Promise<NotificationTemplate|null>} null if the version is not a draft
+   */
+  async updateDraft(type, locale, version, updates) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Publish a version, archiving the currently published one
+   * @param {string} type
+   * @param {string} locale
+   * @param {number} version
+   * @param {string} publishedBy - Admin user ID
+   * @returns {Promise<NotificationTemplate>}
+   */
+  async publishVersion(type, locale, version, publishedBy) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Latest version of every { type, locale } with its published version
+   * @returns {Promise<Array>} [{ type, locale, latestVersion, publishedVersion, updatedAt }]
+   */
+  async listMetadata() {
+    throw new Error('Method not implemented');
+  }
+}
+
+module.exports = NotificationTemplateRepository;
@@ -0,0 +1,87 @@
+/**
+ * Payment Repository Interface
+ * Domain layer contract for payment data access
+ */
+class PaymentRepository {
+  /**
+   * Create a payment for a booking
+   * @param {Object} paymentData - Payment data
+   * @returns {Promise<Payment>}
+   * @throws {DuplicatePaymentError} if the booking already has a payment
+   */
+  async create(paymentData) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find payment by ID
+   * @param {string} paymentId - Payment ID
+   * @returns {Promise<Payment|null>}
+   */
+  async findById(paymentId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find payment for a booking
+   * @param {string} bookingId - Booking request ID
+   * @param {Object} options - { withClientSecret }
+   * @returns {Promise<Payment|null>}
+   */
+  async findByBookingId(bookingId, options) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find payment by provider payment intent ID
+   * @param {string} providerPaymentIntentId - Provider intent ID
+   * @returns {Promise<Payment|null>}
+   */
+  async findByProviderPaymentIntentId(providerPaymentIntentId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Record a provider event as applied to a payment (idempotency)
+   * @param {string} paymentId - Payment ID
+   * @param {string} eventId - Provider event ID
+   * @returns {Promise<boolean>} true if the event had not been processed before
+   */
+  async markEventProcessed(paymentId, eventId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Forget a provider event whose processing failed so its redelivery is applied
+   * @param {string} paymentId - Payment ID
+   * @param {string} eventId - Provider event ID
+   * @returns {Promise<void>}
+   */
+  async unmarkEventProcessed(paymentId, eventId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Update payment status fields
+   * With fromStatuses, only a payment currently in one of them is updated.
+   * @param {string} paymentId - Payment ID
+   * @param {Object} updates - { status, paidAt, failureReason }
+   * @param {Object} options - { fromStatuses }
+   * @returns {Promise<Payment|null>} null if not found or not in fromStatuses
+   */
+  async updateStatus(paymentId, updates, options) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Atomically add to the refunded amount (guarded by payment amount)
+   * @param {string} paymentId - Payment ID
+   * @param {number} amount - Amount to add (negative to release)
+   * @returns {Promise<Payment|null>} null if the guard failed
+   */
+  async incrementRefundedAmount(paymentId, amount) {
+    throw new Error('Method not implemented');
+  }
+}
+
+module.exports = PaymentRepository;
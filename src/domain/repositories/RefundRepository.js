@@ -0,0 +1,74 @@
+/**
+ * Refund Repository Interface
+ * Domain layer contract for refund data access
+ */
+class RefundRepository {
+  /**
+   * Create a refund record
+   * @param {Object} refundData - Refund data
+   * @returns {Promise<Refund>}
+   * @throws {DuplicateRefundError} if a refund with the same idempotencyKey exists
+   */
+  async create(refundData) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find refund by idempotency key
+   * @param {string} idempotencyKey - Refund idempotency key
+   * @returns {Promise<Refund|null>}
+   */
+  async findByIdempotencyKey(idempotencyKey) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Atomically claim the oldest requested refund (requested → processing)
+   * Increments the attempt counter.
+   * @param {Date} updatedBefore - Skip refunds touched after this instant (retries wait for the next run)
+   * @returns {Promise<Refund|null>} Claimed refund, or null if queue is empty
+   */
+  async claimNextRequested(updatedBefore) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Return refunds stuck in processing without a provider refund back to requested
+   * (worker crashed between claim and provider call)
+   * @param {Date} olderThan - Only refunds last updated before this instant
+   * @returns {Promise<number>} Count of requeued refunds
+   */
+  async requeueStaleProcessing(olderThan) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find refunds for a booking
+   * @param {string} bookingId - Booking request ID
+   * @returns {Promise<Refund[]>}
+   */
+  async findByBookingId(bookingId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find refund by provider refund ID
+   * @param {string} providerRefundId - Provider refund ID
+   * @returns {Promise<Refund|null>}
+   */
+  async findByProviderRefundId(providerRefundId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Update refund status fields
+   * @param {string} refundId - Refund ID
+   * @param {Object} updates - { status, providerRefundId, failureReason, processedAt }
+   * @returns {Promise<Refund|null>}
+   */
+  async updateStatus(refundId, updates) {
+    throw new Error('Method not implemented');
+  }
+}
+
+module.exports = RefundRepository;
@@ -0,0 +1,108 @@
+/**
+ * RideRequest Repository Interface
+ * Domain layer contract for passenger ride request data access
+ */
+class RideRequestRepository {
+  /**
+   * @param {Object} requestData - { passengerId, origin, destination, windowStart, windowEnd, seats, maxPricePerSeat, note }
+   * @returns {Promise<RideRequest>}
+   */
+  async create(requestData) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * @param {string} requestId
+   * @returns {Promise<RideRequest|null>}
+   */
+  async findById(requestId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Ride requests of a passenger (most recent first)
+   * @param {string} passengerId
+   * @param {Object} filters - { status }
+   * @returns {Promise<RideRequest[]>}
+   */
+  async findByPassenger(passengerId, filters = {}) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * @param {string} passengerId
+   * @returns {Promise<number>} Open requests of the passenger
+   */
+  async countOpenByPassenger(passengerId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Open requests whose pickup is near one point and drop-off near another
+   * @param {Object} query - { origin, destination, radius, fromDate, toDate, excludePassengerId, page, pageSize }
+   * @returns {Promise<Object>} { items: [{ request, distance }], total, page, pageSize, totalPages }
+   */
+  async findOpenNear(query) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Atomically take an open request for a driver (open → fulfilled)
+   * @param {string} requestId
+   * @param {string} driverId
+   * @returns {Promise<RideRequest|null>} null if no longer open
+   */
+  async claim(requestId, driverId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Give a claimed request back (fulfilled → open) when its trip could not be created
+   * @param {string} requestId
+   * @param {string} driverId
+   * @returns {Promise<RideRequest|null>}
+   */
+  async release(requestId, driverId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Record the trip and booking that fulfilled a request
+   * @param {string} requestId
+   * @param {Object} fulfillment - { tripId, bookingId }
+   * @returns {Promise<RideRequest|null>}
+   */
+  async linkFulfillment(requestId, fulfillment) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Cancel an open request
+   * @param {string} requestId
+   * @returns {Promise<RideRequest|null>} null if no longer open
+   */
+  async cancel(requestId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Open requests whose departure window is over
+   * @param {Date} now
+   * @param {number} limit
+   * @returns {Promise<RideRequest[]>}
+   */
+  async findExpired(now = new Date(), limit = 100) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Mark an open request as expired
+   * @param {string} requestId
+   * @returns {Promise<RideRequest|null>} null if no longer open
+   */
+  async expire(requestId) {
+    throw new Error('Method not implemented');
+  }
+}
+
+module.exports = RideRequestRepository;
@@ -0,0 +1,81 @@
+/**
+ * SavedSearch Repository Interface
+ * Domain layer contract for passenger saved search data access
+ */
+class SavedSearchRepository {
+  /**
+   * @param {Object} searchData - { userId, name, filters, daysOfWeek }
+   * @returns {Promise<SavedSearch>}
+   */
+  async create(searchData) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * @param {string} searchId
+   * @returns {Promise<SavedSearch|null>}
+   */
+  async findById(searchId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Saved searches of a user (most recent first)
+   * @param {string} userId
+   * @returns {Promise<SavedSearch[]>}
+   */
+  async findByUser(userId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * @param {string} userId
+   * @returns {Promise<number>}
+   */
+  async countByUser(userId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * @param {string} searchId
+   * @param {Object} updates - { name, daysOfWeek, muted }
+   * @returns {Promise<SavedSearch|null>}
+   */
+  async update(searchId, updates) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * @param {string} searchId
+   * @returns {Promise<boolean>} Whether it existed
+   */
+  async delete(searchId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Unmuted searches a published trip may match
+   * Pre-filters on weekday, price and date bounds; the rest is matched against the trip.
+   * @param {Object} trip - { driverId, departureAt, pricePerSeat, weekday }
+   * @param {number} limit
+   * @returns {Promise<SavedSearch[]>}
+   */
+  async findAlertCandidates(trip, limit = 1000) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Atomically record an alert for a trip
+   * Fails if the search is muted, already alerted for the trip or reached the daily cap.
+   * @param {string} searchId
+   * @param {string} tripId
+   * @param {string} day - Local day (YYYY-MM-DD)
+   * @param {number} dailyCap
+   * @returns {Promise<SavedSearch|null>} Updated search, or null if no alert is due
+   */
+  async claimAlert(searchId, tripId, day, dailyCap) {
+    throw new Error('Method not implemented');
+  }
+}
+
+module.exports = SavedSearchRepository;
@@ -0,0 +1,95 @@
+/**
+ * TripChangeProposal Repository Interface
+ * Domain layer contract for trip change proposal data access
+ */
+class TripChangeProposalRepository {
+  /**
+   * Open a change proposal on a trip
+   * @param {Object} proposalData - { tripId, driverId, changes, previousTerms, proposedTerms, deadline, responses }
+   * @returns {Promise<TripChangeProposal>}
+   * @throws {DomainError} change_proposal_pending (409) if the trip already has an open proposal
+   */
+  async create(proposalData) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * @param {string} proposalId
+   * @returns {Promise<TripChangeProposal|null>}
+   */
+  async findById(proposalId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Open proposal of a trip
+   * @param {string} tripId
+   * @returns {Promise<TripChangeProposal|null>}
+   */
+  async findOpenByTrip(tripId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Proposals of a trip (most recent first)
+   * @param {string} tripId
+   * @returns {Promise<TripChangeProposal[]>}
+   */
+  async findByTrip(tripId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Proposals a passenger has a response slot in (most recent first)
+   * @param {string} passengerId
+   * @param {Object} filters - { status }
+   * @returns {Promise<TripChangeProposal[]>}
+   */
+  async findByPassenger(passengerId, filters = {}) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Atomically move the response of a booking from a pending state
+   * Only applies while the proposal is open.
+   * @param {string} proposalId
+   * @param {string} bookingId
+   * @param {string} status - accepted | declined | expired | canceled
+   * @param {Date} respondedAt
+   * @returns {Promise<TripChangeProposal|null>} Updated proposal, or null if the response was not pending
+   */
+  async setResponse(proposalId, bookingId, status, respondedAt = new Date()) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Close a proposal once no response is pending
+   * @param {string} proposalId
+   * @returns {Promise<TripChangeProposal|null>} Closed proposal, or null if still open with pending responses
+   */
+  async closeIfSettled(proposalId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Close a proposal, moving any pending response to `pendingStatus`
+   * @param {string} proposalId
+   * @param {string} pendingStatus - expired | canceled
+   * @returns {Promise<TripChangeProposal|null>}
+   */
+  async close(proposalId, pendingStatus) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Open proposals whose deadline passed (oldest deadline first)
+   * @param {Date} now
+   * @param {number} limit
+   * @returns {Promise<TripChangeProposal[]>}
+   */
+  async findExpired(now = new Date(), limit = 100) {
+    throw new Error('Method not implemented');
+  }
+}
+
+module.exports = TripChangeProposalRepository;
@@ -0,0 +1,65 @@
+/**
+ * TripConversation Repository Interface
+ * Domain layer contract for in-trip conversation state
+ */
+class TripConversationRepository {
+  /**
+   * @param {string} tripId
+   * @returns {Promise<TripConversation|null>}
+   */
+  async findByTrip(tripId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Conversation of a trip, created if it does not exist yet
+   * @param {Object} conversationData - { tripId, driverId, closesAt }
+   * @returns {Promise<TripConversation>}
+   */
+  async ensure(conversationData) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Move the read receipt of a participant forward (never backwards)
+   * @param {string} tripId
+   * @param {string} userId
+   * @param {Date} readAt
+   * @returns {Promise<TripConversation|null>}
+   */
+  async markRead(tripId, userId, readAt) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Set the closing time of an open conversation
+   * @param {string} tripId
+   * @param {Date} closesAt
+   * @returns {Promise<TripConversation|null>} null if there is no open conversation
+   */
+  async scheduleClosure(tripId, closesAt) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Close an open conversation
+   * @param {string} tripId
+   * @param {string} reason - completed | canceled
+   * @returns {Promise<TripConversation|null>} null if it was not open
+   */
+  async close(tripId, reason) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Open conversations whose closing time has passed
+   * @param {Date} now
+   * @param {number} limit
+   * @returns {Promise<TripConversation[]>}
+   */
+  async findDueForClosure(now, limit) {
+    throw new Error('Method not implemented');
+  }
+}
+
+module.exports = TripConversationRepository;
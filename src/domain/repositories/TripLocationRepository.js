@@ -0,0 +1,36 @@
+/**
+ * TripLocation Repository Interface
+ * Domain layer contract for live trip location data access
+ */
+class TripLocationRepository {
+  /**
+   * Store a position and drop the oldest ones past the buffer size
+   * @param {Object} locationData - { tripId, driverId, lat, lng, heading, speedKmh, accuracyM, recordedAt }
+   * @param {number} bufferSize - Positions kept per trip
+   * @returns {Promise<TripLocation>}
+   */
+  async append(locationData, bufferSize) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Most recent positions of a trip (newest first)
+   * @param {string} tripId
+   * @param {number} limit
+   * @returns {Promise<TripLocation[]>}
+   */
+  async findLatestByTrip(tripId, limit) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Delete every position of a trip
+   * @param {string} tripId
+   * @returns {Promise<number>} Positions deleted
+   */
+  async deleteByTrip(tripId) {
+    throw new Error('Method not implemented');
+  }
+}
+
+module.exports = TripLocationRepository;
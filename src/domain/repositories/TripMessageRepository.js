@@ -0,0 +1,52 @@
+/**
+ * TripMessage Repository Interface
+ * Domain layer contract for in-trip message data access
+ */
+class TripMessageRepository {
+  /**
+   * @param {Object} messageData - { tripId, senderId, senderRole, body, hasContactDetails }
+   * @returns {Promise<TripMessage>}
+   */
+  async create(messageData) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * @param {string} messageId
+   * @returns {Promise<TripMessage|null>}
+   */
+  async findById(messageId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Messages of a trip (newest first)
+   * @param {string} tripId
+   * @param {Object} options - { before: Date, limit }
+   * @returns {Promise<TripMessage[]>}
+   */
+  async findByTrip(tripId, { before, limit }) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Messages of other participants sent after a time
+   * @param {string} tripId
+   * @param {string} userId - Reader (own messages are not counted)
+   * @param {Date|null} since - null counts every message
+   * @returns {Promise<number>}
+   */
+  async countUnread(tripId, userId, since) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * @param {string} messageId
+   * @returns {Promise<void>}
+   */
+  async incrementReportCount(messageId) {
+    throw new Error('Method not implemented');
+  }
+}
+
+module.exports = TripMessageRepository;
@@ -71,6 +71,25 @@ class TripOfferRepository {
     throw new Error('Method not implemented');
   }
 
+  /**
+   * Find the trips of a driver's calendar: upcoming published and in progress
+   * @param {string} driverId - Driver user ID
+   * @param {Date} now - Reference time for "upcoming"
+   * @returns {Promise<TripOffer[]>} Sorted by departure
+   */
+  async findCalendarTripsByDriver(driverId, now) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find trips by ID (unknown IDs are skipped)
+   * @param {string[]} tripIds
+   * @returns {Promise<TripOffer[]>}
+   */
+  async findByIds(tripIds) {
+    throw new Error('Method not implemented');
+  }
+
   /**
    * Count trips by driver and status
    * @param {string} driverId - Driver user ID
@@ -80,6 +99,44 @@ class TripOfferRepository {
   async countByDriverAndStatus(driverId, status) {
     throw new Error('Method not implemented');
   }
+
+  /**
+   * Wrong boarding PINs entered at check-in on a trip
+   * @param {string} tripId - Trip offer ID
+   * @returns {Promise<number>}
+   */
+  async getBoardingPinFailures(tripId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Count a wrong boarding PIN on a trip
+   * @param {string} tripId - Trip offer ID
+   * @returns {Promise<number>} Wrong PINs so far
+   */
+  async registerBoardingPinFailure(tripId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find upcoming draft/published occurrences of a recurring series
+   * @param {string} seriesId - Trip series ID
+   * @param {Object} options - { fromDepartureAt, includeDetached }
+   * @returns {Promise<TripOffer[]>}
+   */
+  async findUpcomingBySeries(seriesId, options = {}) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Evaluate a trip against several search filter sets (saved search alerts)
+   * @param {string} tripId - Trip offer ID
+   * @param {Array<Object>} filterSets - Search filters
+   * @returns {Promise<Array<Object|null>>} Ridden segment per filter set (null = no match)
+   */
+  async matchSearches(tripId, filterSets) {
+    throw new Error('Method not implemented');
+  }
 }
 
 module.exports = TripOfferRepository;
@@ -0,0 +1,54 @@
+/**
+ * TripSeries Repository Interface
+ * Domain layer contract for recurring trip series data access
+ */
+class TripSeriesRepository {
+  /**
+   * Create a new trip series
+   * @param {Object} seriesData - Trip series data
+   * @returns {Promise<TripSeries>}
+   */
+  async create(seriesData) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find trip series by ID
+   * @param {string} seriesId - Trip series ID
+   * @returns {Promise<TripSeries|null>}
+   */
+  async findById(seriesId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find all trip series by driver ID
+   * @param {string} driverId - Driver user ID
+   * @param {Object} filters - Optional filters (status)
+   * @returns {Promise<TripSeries[]>}
+   */
+  async findByDriverId(driverId, filters = {}) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Update trip series
+   * @param {string} seriesId - Trip series ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<TripSeries>}
+   */
+  async update(seriesId, updates) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find active, unfinished series whose generated horizon ends before the given instant
+   * @param {Date} horizon - Target horizon
+   * @returns {Promise<TripSeries[]>}
+   */
+  async findActiveNeedingExpansion(horizon) {
+    throw new Error('Method not implemented');
+  }
+}
+
+module.exports = TripSeriesRepository;
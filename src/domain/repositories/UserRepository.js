@@ -24,6 +24,51 @@ class UserRepository {
     async update(id, updates) {
         throw new Error('Not implemented');
     }
+
+    //Método para obtener las preferencias de notificación guardadas (null si nunca se guardaron):
+    async getNotificationPreferences(userId) {
+        throw new Error('Not implemented');
+    }
+
+    //Método para reemplazar las preferencias de notificación de un usuario:
+    async updateNotificationPreferences(userId, preferences) {
+        throw new Error('Not implemented');
+    }
+
+    //Método para obtener los ajustes de conductor (defaults si nunca se guardaron):
+    async getDriverSettings(userId) {
+        throw new Error('Not implemented');
+    }
+
+    //Método para actualizar parcialmente los ajustes de conductor:
+    async updateDriverSettings(userId, settings) {
+        throw new Error('Not implemented');
+    }
+
+    //Método para obtener el rol y las restricciones de cuenta (suspensión, veto de publicación):
+    async getAccountRestrictions(userId) {
+        throw new Error('Not implemented');
+    }
+
+    //Método para obtener el estado del feed de calendario ({ enabled, rotatedAt }):
+    async getCalendarFeed(userId) {
+        throw new Error('Not implemented');
+    }
+
+    //Método para guardar el hash de un nuevo token del feed de calendario (reemplaza el anterior):
+    async setCalendarFeedToken(userId, tokenHash) {
+        throw new Error('Not implemented');
+    }
+
+    //Método para desactivar el feed de calendario:
+    async clearCalendarFeedToken(userId) {
+        throw new Error('Not implemented');
+    }
+
+    //Método para buscar el ID del usuario dueño de un token del feed de calendario:
+    async findIdByCalendarFeedToken(tokenHash) {
+        throw new Error('Not implemented');
+    }
 }
 
 module.exports = UserRepository;
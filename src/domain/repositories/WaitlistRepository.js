@@ -0,0 +1,92 @@
+/**
+ * Waitlist Repository Interface
+ * Domain layer contract for trip waitlist data access
+ */
+class WaitlistRepository {
+  /**
+   * Add a passenger to the waitlist of a trip
+   * @param {Object} entryData - { tripId, passengerId, seats, note, boardStopIndex, alightStopIndex }
+   * @returns {Promise<WaitlistEntry>}
+   * @throws {DomainError} already_waitlisted (409) if the passenger already has an open entry
+   */
+  async create(entryData) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * @param {string} entryId
+   * @returns {Promise<WaitlistEntry|null>}
+   */
+  async findById(entryId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Open (waiting/offered) entry of a passenger on a trip
+   * @returns {Promise<WaitlistEntry|null>}
+   */
+  async findOpenEntry(passengerId, tripId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Waiting entries of a trip in line order (oldest first)
+   * @param {string} tripId
+   * @returns {Promise<WaitlistEntry[]>}
+   */
+  async findWaitingByTrip(tripId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Open entries of a trip in line order, with the position of waiting ones
+   * @param {string} tripId
+   * @returns {Promise<WaitlistEntry[]>}
+   */
+  async findOpenByTrip(tripId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Entries of a passenger (most recent first), with the position of waiting ones
+   * @param {string} passengerId
+   * @param {Object} filters - { status }
+   * @returns {Promise<WaitlistEntry[]>}
+   */
+  async findByPassenger(passengerId, filters = {}) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * 1-based place in line of a waiting entry
+   * @param {WaitlistEntry} entry
+   * @returns {Promise<number>}
+   */
+  async getPosition(entry) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Atomically move an entry between statuses
+   * @param {string} entryId
+   * @param {string[]} fromStatuses - Statuses the entry must be in
+   * @param {Object} updates - Fields to set (status included)
+   * @param {Object} conditions - Extra filter the entry must match (e.g. offerExpiresAt)
+   * @returns {Promise<WaitlistEntry|null>} Updated entry, or null if it was not in fromStatuses
+   */
+  async transition(entryId, fromStatuses, updates, conditions = {}) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Offers past their expiry (offered and offerExpiresAt <= now)
+   * @param {Date} now
+   * @param {number} limit
+   * @returns {Promise<WaitlistEntry[]>}
+   */
+  async findExpiredOffers(now, limit = 100) {
+    throw new Error('Method not implemented');
+  }
+}
+
+module.exports = WaitlistRepository;
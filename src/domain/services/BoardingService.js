@@ -0,0 +1,409 @@
+/**
+ * BoardingService
+ *
+ * Who actually rode, between startTrip and completeTrip.
+ *
+ * - Each accepted booking gets a 6-digit boarding PIN (issued with the
+ *   boarding pass, unique per trip) and a QR payload carrying the booking id
+ * - The driver checks passengers in at pickup with the PIN (or the scanned QR);
+ *   after BOARDING_PIN_MAX_FAILED_ATTEMPTS wrong PINs check-in is locked for the trip
+ * - The driver can mark a passenger who did not show up as passenger_no_show
+ * - A passenger whose driver did not show up can report driver_no_show
+ *
+ * The first outcome recorded on a booking wins. Outcomes drive review
+ * eligibility and no_show user reports.
+ */
+
+const crypto = require('crypto');
+const DomainError = require('../errors/DomainError');
+const NotificationService = require('./NotificationService');
+
+// Check-in opens this long before departure (trips not started yet)
+const DEFAULT_CHECK_IN_OPEN_MINUTES = 60;
+
+// Passengers wait this long after departure before reporting a driver no-show
+const DEFAULT_DRIVER_NO_SHOW_GRACE_MINUTES = 15;
+
+// Wrong PINs tolerated per trip before check-in locks (PINs are only 6 digits)
+const DEFAULT_MAX_FAILED_PIN_ATTEMPTS = 10;
+
+const QR_PAYLOAD_PREFIX = 'wheels-boarding';
+const MAX_PIN_ATTEMPTS = 10;
+
+class BoardingService {
+  constructor(
+    bookingRequestRepository,
+    tripOfferRepository,
+    {
+      checkInOpenMinutes = DEFAULT_CHECK_IN_OPEN_MINUTES,
+      driverNoShowGraceMinutes = DEFAULT_DRIVER_NO_SHOW_GRACE_MINUTES,
+      maxFailedPinAttempts = DEFAULT_MAX_FAILED_PIN_ATTEMPTS
+    } = {}
+  ) {
+    this.bookingRequestRepository = bookingRequestRepository;
+    this.tripOfferRepository = tripOfferRepository;
+    this.checkInOpenMinutes = checkInOpenMinutes;
+    this.driverNoShowGraceMinutes = driverNoShowGraceMinutes;
+    this.maxFailedPinAttempts = maxFailedPinAttempts;
+  }
+
+  /**
+   * Build a BoardingService wired to the Mongo repositories
+   * BOARDING_CHECK_IN_OPEN_MINUTES and DRIVER_NO_SHOW_GRACE_MINUTES tune the time windows,
+   * BOARDING_PIN_MAX_FAILED_ATTEMPTS the wrong PINs tolerated per trip.
+   * @returns {BoardingService}
+   */
+  static createDefault() {
+    const MongoBookingRequestRepository = require('../../infrastructure/repositories/MongoBookingRequestRepository');
+    const MongoTripOfferRepository = require('../../infrastructure/repositories/MongoTripOfferRepository');
+
+    return new BoardingService(new MongoBookingRequestRepository(), new MongoTripOfferRepository(), {
+      checkInOpenMinutes:
+        parseInt(process.env.BOARDING_CHECK_IN_OPEN_MINUTES, 10) || DEFAULT_CHECK_IN_OPEN_MINUTES,
+      driverNoShowGraceMinutes:
+        parseInt(process.env.DRIVER_NO_SHOW_GRACE_MINUTES, 10) || DEFAULT_DRIVER_NO_SHOW_GRACE_MINUTES,
+      maxFailedPinAttempts:
+        parseInt(process.env.BOARDING_PIN_MAX_FAILED_ATTEMPTS, 10) || DEFAULT_MAX_FAILED_PIN_ATTEMPTS
+    });
+  }
+
+  /**
+   * Boarding pass of an accepted booking (issues the PIN on first use)
+   *
+   * @param {string} bookingId
+   * @param {string} passengerId - Must own the booking
+   * @returns {Promise<Object>} { bookingId, tripId, pin, qrPayload, boardingStatus, boardedAt }
+   * @throws {DomainError} booking_not_found (404), forbidden_owner (403),
+   *   booking_not_accepted / trip_not_boardable (409)
+   */
+  async getBoardingPass(bookingId, passengerId) {
+    const booking = await this._getOwnedBooking(bookingId, passengerId);
+
+    if (booking.status !== 'accepted') {
+      throw new DomainError('Only accepted bookings have a boarding pass', 409, 'booking_not_accepted');
+    }
+
+    const trip = await this._getTrip(booking.tripId);
+    if (!['published', 'in_progress'].includes(trip.status)) {
+      throw new DomainError('Trip is not open for boarding', 409, 'trip_not_boardable');
+    }
+
+    const pin = await this.bookingRequestRepository.ensureBoardingPin(
+      booking.id,
+      await this._generateTripPin(trip.id)
+    );
+    if (!pin) {
+      // Canceled while the pass was being issued
+      throw new DomainError('Only accepted bookings have a boarding pass', 409, 'booking_not_accepted');
+    }
+
+    return {
+      bookingId: booking.id,
+      tripId: trip.id,
+      pin,
+      qrPayload: BoardingService.buildQrPayload(booking.id, pin),
+      boardingStatus: booking.boardingStatus,
+      boardedAt: booking.boardedAt
+    };
+  }
+
+  /**
+   * Check a passenger in at pickup
+   * With a bookingId (scanned QR) the PIN must match that booking; with the
+   * PIN alone it must identify a single accepted booking of the trip.
+   * Wrong PINs are counted per trip; once maxFailedPinAttempts is reached no
+   * more check-ins are accepted, so PINs cannot be guessed.
+   *
+   * @param {string} tripId
+   * @param {string} driverId - Must own the trip
+   * @param {Object} data - { pin, bookingId? }
+   * @returns {Promise<BookingRequest>} Checked-in booking
+   * @throws {DomainError} trip_not_found (404), forbidden_owner (403), invalid_boarding_pin (400),
+   *   check_in_not_open / ambiguous_boarding_pin / boarding_already_recorded (409),
+   *   boarding_pin_attempts_exceeded (429)
+   */
+  async checkInPassenger(tripId, driverId, { pin, bookingId = null }) {
+    const trip = await this._getOwnedTrip(tripId, driverId);
+
+    const now = new Date();
+    const opensAt = new Date(new Date(trip.departureAt).getTime() - this.checkInOpenMinutes * 60 * 1000);
+    const open = trip.status === 'in_progress' || (trip.status === 'published' && now >= opensAt);
+    if (!open) {
+      throw new DomainError(
+        `Check-in opens ${this.checkInOpenMinutes} minutes before departure and closes when the trip is completed`,
+        409,
+        'check_in_not_open'
+      );
+    }
+
+    const failedAttempts = await this.tripOfferRepository.getBoardingPinFailures(trip.id);
+    if (failedAttempts >= this.maxFailedPinAttempts) {
+      throw new DomainError(
+        'Too many wrong boarding PINs on this trip; check-in is locked',
+        429,
+        'boarding_pin_attempts_exceeded'
+      );
+    }
+
+    let booking;
+    if (bookingId) {
+      booking = await this.bookingRequestRepository.findById(bookingId);
+      const matches =
+        booking &&
+        booking.tripId === trip.id &&
+        (await this.bookingRequestRepository.matchesBoardingPin(bookingId, pin));
+      if (!matches) {
+        return this._rejectPin(trip.id);
+      }
+    } else {
+      const candidates = await this.bookingRequestRepository.findAcceptedByTripAndPin(trip.id, pin);
+      if (candidates.length === 0) {
+        return this._rejectPin(trip.id);
+      }
+      if (candidates.length > 1) {
+        throw new DomainError('Boarding PIN matches several bookings; scan the QR code instead', 409, 'ambiguous_boarding_pin');
+      }
+      booking = candidates[0];
+    }
+
+    if (booking.isCheckedIn()) {
+      return booking; // Idempotent
+    }
+
+    const checkedIn = await this.bookingRequestRepository.recordBoardingOutcome(booking.id, {
+      boardingStatus: 'checked_in',
+      boardedAt: now
+    });
+    if (!checkedIn) {
+      return this._rejectRecorded(booking.id, 'checked_in');
+    }
+
+    console.log(
+      `[BoardingService] Passenger checked in | tripId: ${trip.id} | bookingId: ${checkedIn.id} | passengerId: ${checkedIn.passengerId}`
+    );
+
+    await NotificationService.createNotification(
+      checkedIn.passengerId,
+      'booking.checked_in',
+      'Abordaje confirmado',
+      'El conductor confirmó tu abordaje. ¡Buen viaje!',
+      { bookingId: checkedIn.id, tripId: trip.id }
+    );
+
+    return checkedIn;
+  }
+
+  /**
+   * Mark a passenger who did not show up at pickup
+   * Allowed once the trip departed (started, completed or past departure time).
+   *
+   * @param {string} tripId
+   * @param {string} bookingId
+   * @param {string} driverId - Must own the trip
+   * @param {Object} data - { reason }
+   * @returns {Promise<BookingRequest>}
+   * @throws {DomainError} trip_not_found / booking_not_found (404), forbidden_owner (403),
+   *   booking_not_accepted / no_show_too_early / boarding_already_recorded (409)
+   */
+  async markPassengerNoShow(tripId, bookingId, driverId, { reason = '' } = {}) {
+    const trip = await this._getOwnedTrip(tripId, driverId);
+
+    const departed =
+      ['in_progress', 'completed'].includes(trip.status) ||
+      (trip.status === 'published' && new Date() >= new Date(trip.departureAt));
+    if (!departed) {
+      throw new DomainError('Passengers can only be marked as no-show after departure', 409, 'no_show_too_early');
+    }
+
+    const booking = await this.bookingRequestRepository.findById(bookingId);
+    if (!booking || booking.tripId !== trip.id) {
+      throw new DomainError('Booking request not found', 404, 'booking_not_found');
+    }
+    if (booking.status !== 'accepted') {
+      throw new DomainError('Only accepted bookings can be marked as no-show', 409, 'booking_not_accepted');
+    }
+    if (booking.boardingStatus === 'passenger_no_show') {
+      return booking; // Idempotent
+    }
+
+    const marked = await this.bookingRequestRepository.recordBoardingOutcome(booking.id, {
+      boardingStatus: 'passenger_no_show',
+      noShowReportedAt: new Date(),
+      noShowReportedBy: driverId,
+      noShowReason: reason
+    });
+    if (!marked) {
+      return this._rejectRecorded(booking.id, 'passenger_no_show');
+    }
+
+    console.log(
+      `[BoardingService] Passenger no-show recorded | tripId: ${trip.id} | bookingId: ${marked.id} | passengerId: ${marked.passengerId}`
+    );
+
+    await NotificationService.createNotification(
+      marked.passengerId,
+      'booking.passenger_no_show',
+      'Inasistencia registrada',
+      'El conductor registró que no te presentaste al punto de recogida.',
+      { bookingId: marked.id, tripId: trip.id }
+    );
+
+    return marked;
+  }
+
+  /**
+   * Report that the driver did not show up
+   * Allowed once the grace period after departure passed and the passenger
+   * was not checked in.
+   *
+   * @param {string} bookingId
+   * @param {string} passengerId - Must own the booking
+   * @param {Object} data - { reason }
+   * @returns {Promise<BookingRequest>}
+   * @throws {DomainError} booking_not_found (404), forbidden_owner (403),
+   *   booking_not_accepted / trip_not_boardable / no_show_too_early / boarding_already_recorded (409)
+   */
+  async reportDriverNoShow(bookingId, passengerId, { reason = '' } = {}) {
+    const booking = await this._getOwnedBooking(bookingId, passengerId);
+
+    if (booking.status !== 'accepted') {
+      throw new DomainError('Only accepted bookings can report a driver no-show', 409, 'booking_not_accepted');
+    }
+    if (booking.boardingStatus === 'driver_no_show') {
+      return booking; // Idempotent
+    }
+
+    const trip = await this._getTrip(booking.tripId);
+    if (!['published', 'in_progress', 'completed'].includes(trip.status)) {
+      throw new DomainError('Trip is not open for boarding', 409, 'trip_not_boardable');
+    }
+
+    const reportableAt = new Date(new Date(trip.departureAt).getTime() + this.driverNoShowGraceMinutes * 60 * 1000);
+    if (new Date() < reportableAt) {
+      throw new DomainError(
+        `A driver no-show can be reported ${this.driverNoShowGraceMinutes} minutes after departure`,
+        409,
+        'no_show_too_early'
+      );
+    }
+
+    const reported = await this.bookingRequestRepository.recordBoardingOutcome(booking.id, {
+      boardingStatus: 'driver_no_show',
+      noShowReportedAt: new Date(),
+      noShowReportedBy: passengerId,
+      noShowReason: reason
+    });
+    if (!reported) {
+      return this._rejectRecorded(booking.id, 'driver_no_show');
+    }
+
+    console.log(
+      `[BoardingService] Driver no-show reported | tripId: ${trip.id} | bookingId: ${reported.id} | driverId: ${trip.driverId}`
+    );
+
+    await NotificationService.createNotification(
+      trip.driverId,
+      'booking.driver_no_show',
+      'Reporte de inasistencia',
+      'Un pasajero reportó que no llegaste al punto de recogida.',
+      { bookingId: reported.id, tripId: trip.id }
+    );
+
+    return reported;
+  }
+
+  /**
+   * QR payload of a boarding pass: "wheels-boarding:<bookingId>:<pin>"
+   * @param {string} bookingId
+   * @param {string} pin
+   * @returns {string}
+   */
+  static buildQrPayload(bookingId, pin) {
+    return `${QR_PAYLOAD_PREFIX}:${bookingId}:${pin}`;
+  }
+
+  /**
+   * Random 6-digit PIN not yet used on the trip
+   * @private
+   */
+  async _generateTripPin(tripId) {
+    const taken = new Set(await this.bookingRequestRepository.findBoardingPinsByTrip(tripId));
+
+    let pin;
+    for (let attempt = 0; attempt < MAX_PIN_ATTEMPTS; attempt++) {
+      pin = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+      if (!taken.has(pin)) break;
+    }
+    // A collision left after the retries is resolved at check-in with the QR code
+    return pin;
+  }
+
+  /**
+   * Reload a booking whose outcome could not be recorded and explain why
+   * @private
+   */
+  async _rejectRecorded(bookingId, attempted) {
+    const current = await this.bookingRequestRepository.findById(bookingId);
+
+    if (current && current.boardingStatus === attempted) {
+      return current; // Concurrent identical request
+    }
+    if (!current || current.status !== 'accepted') {
+      throw new DomainError('Booking is no longer accepted', 409, 'booking_not_accepted');
+    }
+    throw new DomainError(
+      `Boarding outcome already recorded: ${current.boardingStatus}`,
+      409,
+      'boarding_already_recorded',
+      { boardingStatus: current.boardingStatus }
+    );
+  }
+
+  /**
+   * @private
+   */
+  async _getOwnedBooking(bookingId, passengerId) {
+    const booking = await this.bookingRequestRepository.findById(bookingId);
+    if (!booking) {
+      throw new DomainError('Booking request not found', 404, 'booking_not_found');
+    }
+    if (booking.passengerId !== passengerId) {
+      throw new DomainError('You cannot access this booking', 403, 'forbidden_owner');
+    }
+    return booking;
+  }
+
+  /**
+   * @private
+   */
+  async _getTrip(tripId) {
+    const trip = await this.tripOfferRepository.findById(tripId);
+    if (!trip) {
+      throw new DomainError('Trip offer not found', 404, 'trip_not_found');
+    }
+    return trip;
+  }
+
+  /**
+   * Count a wrong PIN against the trip and reject the check-in
+   * @private
+   */
+  async _rejectPin(tripId) {
+    const failedAttempts = await this.tripOfferRepository.registerBoardingPinFailure(tripId);
+    console.warn(`[BoardingService] Wrong boarding PIN | tripId: ${tripId} | failedAttempts: ${failedAttempts}`);
+    throw new DomainError('Boarding PIN does not match an accepted booking of this trip', 400, 'invalid_boarding_pin');
+  }
+
+  /**
+   * @private
+   */
+  async _getOwnedTrip(tripId, driverId) {
+    const trip = await this._getTrip(tripId);
+    if (trip.driverId !== driverId) {
+      throw new DomainError('Trip does not belong to the driver', 403, 'forbidden_owner');
+    }
+    return trip;
+  }
+}
+
+module.exports = BoardingService;
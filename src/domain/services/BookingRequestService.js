@@ -13,11 +13,89 @@
 const DomainError = require('../errors/DomainError');
 const InvalidTransitionError = require('../errors/InvalidTransitionError');
 const NotificationService = require('./NotificationService');
+const realtimeService = require('./realtimeService');
+const CancellationPolicy = require('../entities/CancellationPolicy');
+const AutoAcceptPolicy = require('../entities/AutoAcceptPolicy');
+const auditWriter = require('./auditWriter');
+const RatingAggregateService = require('./ratingAggregateService');
 
 class BookingRequestService {
-  constructor(bookingRequestRepository, tripOfferRepository) {
+  constructor(
+    bookingRequestRepository,
+    tripOfferRepository,
+    paymentService = null,
+    refundService = null,
+    cancellationPolicyService = null,
+    waitlistService = null,
+    userRepository = null
+  ) {
     this.bookingRequestRepository = bookingRequestRepository;
     this.tripOfferRepository = tripOfferRepository;
+    this.paymentService = paymentService;
+    this.refundService = refundService;
+    this.cancellationPolicyService = cancellationPolicyService;
+    this.waitlistService = waitlistService;
+    this.userRepository = userRepository;
+  }
+
+  /**
+   * Lazily resolve the PaymentService (default Mongo + configured provider)
+   * @private
+   */
+  _getPaymentService() {
+    if (!this.paymentService) {
+      const PaymentService = require('./PaymentService');
+      this.paymentService = PaymentService.createDefault();
+    }
+    return this.paymentService;
+  }
+
+  /**
+   * Lazily resolve the RefundService (default Mongo + configured provider)
+   * @private
+   */
+  _getRefundService() {
+    if (!this.refundService) {
+      const RefundService = require('./RefundService');
+      this.refundService = RefundService.createDefault();
+    }
+    return this.refundService;
+  }
+
+  /**
+   * Lazily resolve the CancellationPolicyService (platform policy + trip overrides)
+   * @private
+   */
+  _getCancellationPolicyService() {
+    if (!this.cancellationPolicyService) {
+      const CancellationPolicyService = require('./CancellationPolicyService');
+      this.cancellationPolicyService = CancellationPolicyService.createDefault();
+    }
+    return this.cancellationPolicyService;
+  }
+
+  /**
+   * Lazily resolve the WaitlistService (released seats are offered to the waitlist)
+   * @private
+   */
+  _getWaitlistService() {
+    if (!this.waitlistService) {
+      const WaitlistService = require('./WaitlistService');
+      this.waitlistService = WaitlistService.createDefault();
+    }
+    return this.waitlistService;
+  }
+
+  /**
+   * Lazily resolve the UserRepository (driver auto-accept rules)
+   * @private
+   */
+  _getUserRepository() {
+    if (!this.userRepository) {
+      const MongoUserRepository = require('../../infrastructure/repositories/MongoUserRepository');
+      this.userRepository = new MongoUserRepository();
+    }
+    return this.userRepository;
   }
 
   /**
@@ -27,13 +105,19 @@ class BookingRequestService {
    * - Trip exists, is published, and has future departure
    * - No duplicate active request for same (passenger, trip)
    * 
+   * Auto-accept: if the trip has instant-book or a driver standing rule
+   * matches (see AutoAcceptPolicy), the seats are allocated on the ledger
+   * first and the booking is created already accepted, recording the rule.
+   * If the ledger has no room the request is created pending as usual.
+   * 
    * @param {CreateBookingRequestDto} createDto - Booking request data
    * @param {string} passengerId - Requesting passenger ID
+   * @param {Object} options - { correlationId } for the audit trail
    * @returns {Promise<BookingRequest>} Created booking request
    * @throws {DomainError} if validation fails
    */
-  async createBookingRequest(createDto, passengerId) {
-    const { tripId, seats, note } = createDto;
+  async createBookingRequest(createDto, passengerId, { correlationId = null } = {}) {
+    const { tripId, seats, note, boardStopIndex = null, alightStopIndex = null } = createDto;
 
     console.log(
       `[BookingRequestService] Creating booking request | passengerId: ${passengerId} | tripId: ${tripId} | seats: ${seats}`
@@ -79,7 +163,19 @@ class BookingRequestService {
       );
     }
 
-    // 5. Check for duplicate active request
+    // 5. Verify requested stops belong to the trip route (board before alight)
+    const segment = trip.resolveSegment(boardStopIndex, alightStopIndex);
+    if (!segment) {
+      console.log(
+        `[BookingRequestService] Invalid stops | tripId: ${tripId} | boardStopIndex: ${boardStopIndex} | alightStopIndex: ${alightStopIndex}`
+      );
+      throw new DomainError(
+        'boardStopIndex and alightStopIndex must be stops of this trip, boarding before alighting',
+        'invalid_stops'
+      );
+    }
+
+    // 6. Check for duplicate active request
     const existingBooking = await this.bookingRequestRepository.findActiveBooking(
       passengerId,
       tripId
@@ -95,7 +191,7 @@ class BookingRequestService {
       );
     }
 
-    // 6. Soft capacity check (log warning but don't block)
+    // 7. Soft capacity check (log warning but don't block)
     // Note: Strict capacity enforcement happens during driver acceptance (future story)
     const activeBookingsCount = await this.bookingRequestRepository.countActiveBookingsForTrip(tripId);
     const requestedTotalSeats = activeBookingsCount + seats;
@@ -107,18 +203,62 @@ class BookingRequestService {
       // Don't throw error - allow request to be created (driver will decide during acceptance)
     }
 
-    // 7. Create booking request
-    const bookingRequest = await this.bookingRequestRepository.create({
-      tripId,
-      passengerId,
-      seats,
-      note: note || ''
-    });
+    // 8. Auto-accept: instant-book or a driver standing rule, only if the seats fit
+    const autoAcceptRule = await this._evaluateAutoAccept(trip, passengerId, seats);
+    let seatsAllocated = false;
+
+    if (autoAcceptRule) {
+      const SeatLedgerModel = require('../../infrastructure/database/models/SeatLedgerModel');
+      let ledger = null;
+      try {
+        ledger = await SeatLedgerModel.allocateSeats(trip.id, trip.totalSeats, seats, segment);
+      } catch (error) {
+        if (error.message !== 'CAPACITY_EXCEEDED') throw error;
+      }
+
+      seatsAllocated = Boolean(ledger);
+      if (!seatsAllocated) {
+        console.log(
+          `[BookingRequestService] Auto-accept rule matched but no seats left; request stays pending | tripId: ${tripId} | rule: ${autoAcceptRule.type} | seats: ${seats}`
+        );
+      }
+    }
+
+    // 9. Create booking request (accepted if the auto-accept allocation succeeded)
+    let bookingRequest;
+    try {
+      bookingRequest = await this.bookingRequestRepository.create({
+        tripId,
+        passengerId,
+        seats,
+        note: note || '',
+        boardStopIndex: segment.from,
+        alightStopIndex: segment.to,
+        agreedTerms: { ...trip.getTerms(), agreedAt: new Date() },
+        ...(seatsAllocated && {
+          status: 'accepted',
+          acceptedBy: trip.driverId,
+          autoAcceptRule: autoAcceptRule.type
+        })
+      });
+    } catch (error) {
+      if (seatsAllocated) {
+        // Give the seats back; the booking was never created
+        const SeatLedgerModel = require('../../infrastructure/database/models/SeatLedgerModel');
+        await SeatLedgerModel.deallocateSeats(trip.id, seats, segment);
+      }
+      throw error;
+    }
 
     console.log(
-      `[BookingRequestService] Booking request created | bookingId: ${bookingRequest.id} | passengerId: ${passengerId} | tripId: ${tripId} | status: ${bookingRequest.status}`
+      `[BookingRequestService] Booking request created | bookingId: ${bookingRequest.id} | passengerId: ${passengerId} | tripId: ${tripId} | status: ${bookingRequest.status}${seatsAllocated ? ` | autoAcceptRule: ${autoAcceptRule.type}` : ''}`
     );
 
+    if (seatsAllocated) {
+      await this._completeAutoAccept(bookingRequest, trip, autoAcceptRule, correlationId);
+      return bookingRequest;
+    }
+
     // Notify driver of new booking request
     await NotificationService.createNotification(
       trip.driverId,
@@ -132,10 +272,95 @@ class BookingRequestService {
         seats: bookingRequest.seats
       }
     );
+    await this._publishStatusChange(bookingRequest, trip.driverId, null);
 
     return bookingRequest;
   }
 
+  /**
+   * Book the requester of a ride request on the trip a driver created for it
+   * The booking is created accepted: its seats are allocated on the new trip's
+   * ledger first, and given back if the booking cannot be stored.
+   *
+   * @param {RideRequest} rideRequest - Claimed ride request
+   * @param {TripOffer} trip - Published trip created to fulfill it
+   * @param {Object} segment - { from, to } stops the requester rides between
+   * @param {Object} options - { correlationId } for the audit trail
+   * @returns {Promise<BookingRequest>} Accepted booking
+   * @throws {DomainError} ride_request_seats_unavailable (409)
+   */
+  async createRideRequestBooking(rideRequest, trip, segment, { correlationId = null } = {}) {
+    const SeatLedgerModel = require('../../infrastructure/database/models/SeatLedgerModel');
+    const { seats, passengerId } = rideRequest;
+
+    let ledger = null;
+    try {
+      ledger = await SeatLedgerModel.allocateSeats(trip.id, trip.totalSeats, seats, segment);
+    } catch (error) {
+      if (error.message !== 'CAPACITY_EXCEEDED') throw error;
+    }
+    if (!ledger) {
+      throw new DomainError('Not enough seats on the trip for the ride request', 409, 'ride_request_seats_unavailable', {
+        seats,
+        totalSeats: trip.totalSeats
+      });
+    }
+
+    let booking;
+    try {
+      booking = await this.bookingRequestRepository.create({
+        tripId: trip.id,
+        passengerId,
+        seats,
+        note: rideRequest.note || '',
+        boardStopIndex: segment.from,
+        alightStopIndex: segment.to,
+        agreedTerms: { ...trip.getTerms(), agreedAt: new Date() },
+        status: 'accepted',
+        acceptedBy: trip.driverId,
+        rideRequestId: rideRequest.id
+      });
+    } catch (error) {
+      await SeatLedgerModel.deallocateSeats(trip.id, seats, segment);
+      throw error;
+    }
+
+    console.log(
+      `[BookingRequestService] Ride request booking created | bookingId: ${booking.id} | rideRequestId: ${rideRequest.id} | passengerId: ${passengerId} | tripId: ${trip.id} | seats: ${seats}`
+    );
+
+    try {
+      await auditWriter.write({
+        actor: { type: 'user', id: trip.driverId },
+        action: 'ride_request_fulfilled',
+        entity: { type: 'BookingRequest', id: booking.id },
+        reason: `ride_request:${rideRequest.id}`,
+        delta: {
+          before: { status: null },
+          after: { status: 'accepted', rideRequestId: rideRequest.id, tripId: trip.id, driverId: trip.driverId }
+        },
+        correlationId
+      });
+    } catch (error) {
+      console.error(
+        `[BookingRequestService] Audit write failed for ride request booking | bookingId: ${booking.id} | error: ${error.message}`
+      );
+    }
+
+    await this._publishStatusChange(booking, trip.driverId, null);
+
+    try {
+      await this._getPaymentService().createPaymentForBooking(booking, trip);
+    } catch (error) {
+      // Passenger can still request the intent later (POST /passengers/bookings/:id/payment-intent)
+      console.error(
+        `[BookingRequestService] Payment creation failed | bookingId: ${booking.id} | error: ${error.message}`
+      );
+    }
+
+    return booking;
+  }
+
   /**
    * Get booking request by ID
    * @param {string} bookingId - Booking request ID
@@ -185,8 +410,9 @@ class BookingRequestService {
    * For accepted bookings: Uses MongoDB transaction to atomically:
    * 1. Update booking status to canceled_by_passenger
    * 2. Deallocate seats from SeatLedger
-   * 3. Set refundNeeded flag based on payment policy (for future US-4.2)
+   * 3. Set refundNeeded flag based on payment status
    * 4. Store cancellation reason for audit trail
+   * After commit, a refund is requested per the cancellation policy (open payment intents are canceled).
    * 
    * For pending bookings: Simple status update (no transaction needed)
    * 
@@ -229,7 +455,8 @@ class BookingRequestService {
         effects: {
           ledgerReleased: 0,
           refundCreated: false
-        }
+        },
+        outcome: bookingRequest.cancellationOutcome
       };
     }
 
@@ -264,10 +491,25 @@ class BookingRequestService {
         `[BookingRequestService] Canceling accepted booking (transaction) | bookingId: ${bookingId} | tripId: ${bookingRequest.tripId} | seats: ${bookingRequest.seats}`
       );
 
-      // Payment functionality removed - no payment/refund logic needed
+      // Refund and late-cancellation penalty by time left until departure
+      const policyService = this._getCancellationPolicyService();
+      const trip = await this.tripOfferRepository.findById(bookingRequest.tripId);
+      const paidAmount = await policyService.getPaidAmount(bookingId);
+      const outcome = await policyService.computeOutcome(bookingRequest, trip, {
+        amount: paidAmount,
+        at: new Date(),
+        asStatus: 'canceled_by_passenger'
+      });
+
+      console.log(
+        `[BookingRequestService] Cancellation outcome | bookingId: ${bookingId} | policySource: ${outcome.policySource} | refundAmount: ${outcome.refundAmount} | penaltyAmount: ${outcome.penaltyAmount}`
+      );
+
       try {
-        // Use entity method to update status and store reason
-        bookingRequest.cancelByPassenger(false, false, reason);
+        // Use entity method to update status and store reason; the outcome is
+        // persisted so the refund worker honors what was quoted
+        bookingRequest.cancelByPassenger(bookingRequest.isPaid, outcome.refundAmount > 0, reason);
+        bookingRequest.cancellationOutcome = outcome;
 
         // Execute transaction
         const canceledBooking = await this.bookingRequestRepository.cancelWithTransaction(
@@ -279,8 +521,21 @@ class BookingRequestService {
           `[BookingRequestService] Accepted booking canceled | bookingId: ${bookingId} | tripId: ${bookingRequest.tripId} | seats: ${bookingRequest.seats} | refundNeeded: ${bookingRequest.refundNeeded}`
         );
 
+        // Request the policy refund outside the transaction; if this fails the
+        // process-refunds job picks the flagged booking up later
+        let refundCreated = false;
+        try {
+          const refund = await this._getRefundService().requestRefundForBooking(bookingRequest, {
+            reason: 'canceled_by_passenger'
+          });
+          refundCreated = Boolean(refund && refund.isActive());
+        } catch (refundError) {
+          console.error(
+            `[BookingRequestService] Refund request failed after cancellation | bookingId: ${bookingId} | error: ${refundError.message}`
+          );
+        }
+
         // Notify passenger and driver about cancellation
-        const trip = await this.tripOfferRepository.findById(bookingRequest.tripId);
         if (trip) {
           // Notify passenger
           await NotificationService.createNotification(
@@ -291,7 +546,9 @@ class BookingRequestService {
             {
               bookingId: canceledBooking.id,
               tripId: trip.id,
-              seats: canceledBooking.seats
+              seats: canceledBooking.seats,
+              refundAmount: outcome.refundAmount,
+              penaltyAmount: outcome.penaltyAmount
             }
           );
 
@@ -309,6 +566,17 @@ class BookingRequestService {
             }
           );
         }
+        await this._publishStatusChange(canceledBooking, trip && trip.driverId, 'accepted');
+
+        // Offer the released seats to the trip's waitlist; expire-waitlist-offers
+        // and later releases retry if this fails
+        try {
+          await this._getWaitlistService().promoteFromWaitlist(bookingRequest.tripId);
+        } catch (waitlistError) {
+          console.error(
+            `[BookingRequestService] Waitlist promotion failed after cancellation | tripId: ${bookingRequest.tripId} | error: ${waitlistError.message}`
+          );
+        }
 
         // Return effects summary
         return {
@@ -316,8 +584,9 @@ class BookingRequestService {
           status: 'canceled_by_passenger',
           effects: {
             ledgerReleased: seatsToRelease,
-            refundCreated: false // Payment functionality removed
-          }
+            refundCreated
+          },
+          outcome
         };
       } catch (error) {
         if (error instanceof InvalidTransitionError) {
@@ -377,6 +646,7 @@ class BookingRequestService {
             }
           );
         }
+        await this._publishStatusChange(canceledBooking, trip && trip.driverId, 'pending');
 
         // Return effects summary
         return {
@@ -385,7 +655,8 @@ class BookingRequestService {
           effects: {
             ledgerReleased: 0, // Pending bookings don't have seats in ledger
             refundCreated: false // Pending bookings don't trigger refunds
-          }
+          },
+          outcome: CancellationPolicy.fullRefundOutcome(0, 'pending_request')
         };
       } catch (error) {
         if (error instanceof InvalidTransitionError) {
@@ -476,16 +747,18 @@ class BookingRequestService {
       );
     }
 
-    // 7. Atomically allocate seats (race-safe)
+    // 7. Atomically allocate seats on the booked segments (race-safe)
     // This uses findOneAndUpdate with conditional guards to prevent oversubscription
     const SeatLedgerModel = require('../../infrastructure/database/models/SeatLedgerModel');
+    const segment = trip.resolveSegment(bookingRequest.boardStopIndex, bookingRequest.alightStopIndex);
     let ledger;
     
     try {
       ledger = await SeatLedgerModel.allocateSeats(
         trip.id,
         trip.totalSeats,
-        bookingRequest.seats
+        bookingRequest.seats,
+        segment
       );
     } catch (error) {
       if (error.message === 'CAPACITY_EXCEEDED') {
@@ -500,7 +773,7 @@ class BookingRequestService {
     if (!ledger) {
       // Atomic operation failed (capacity guard condition not met)
       console.log(
-        `[BookingRequestService] Capacity exceeded (atomic guard failed) | tripId: ${trip.id} | totalSeats: ${trip.totalSeats} | requestedSeats: ${bookingRequest.seats}`
+        `[BookingRequestService] Capacity exceeded (atomic guard failed) | tripId: ${trip.id} | totalSeats: ${trip.totalSeats} | requestedSeats: ${bookingRequest.seats} | segments: ${segment ? `${segment.from}-${segment.to}` : 'all'}`
       );
       throw new DomainError('No seats available for this trip', 'capacity_exceeded');
     }
@@ -525,6 +798,17 @@ class BookingRequestService {
         seats: acceptedBooking.seats
       }
     );
+    await this._publishStatusChange(acceptedBooking, driverId, 'pending');
+
+    // Create the payment intent the passenger has to confirm
+    try {
+      await this._getPaymentService().createPaymentForBooking(acceptedBooking, trip);
+    } catch (error) {
+      // Passenger can still request the intent later (POST /passengers/bookings/:id/payment-intent)
+      console.error(
+        `[BookingRequestService] Payment creation failed | bookingId: ${bookingId} | error: ${error.message}`
+      );
+    }
 
     return acceptedBooking;
   }
@@ -612,6 +896,7 @@ class BookingRequestService {
         reason: reason || null
       }
     );
+    await this._publishStatusChange(declinedBooking, driverId, 'pending');
 
     return declinedBooking;
   }
@@ -697,6 +982,106 @@ class BookingRequestService {
 
     return expiredCount;
   }
+
+  /**
+   * Auto-accept rule that fires for a new request, or null
+   * Passenger facts are only looked up when a rule needs them.
+   * @private
+   */
+  async _evaluateAutoAccept(trip, passengerId, seats) {
+    const settings = trip.instantBook ? null : await this._getUserRepository().getDriverSettings(trip.driverId);
+    const policy = AutoAcceptPolicy.forTrip(trip, settings);
+    if (policy.isEmpty()) {
+      return null;
+    }
+
+    const passengerRating = policy.needs('min_rating', seats) ? await this._getPassengerRating(passengerId) : null;
+    const hasRiddenWithDriver = policy.needs('previous_rider', seats)
+      ? await this.bookingRequestRepository.hasCompletedTripWithDriver(passengerId, trip.driverId)
+      : false;
+
+    return policy.evaluate({ seats, passengerRating, hasRiddenWithDriver });
+  }
+
+  /**
+   * Average rating drivers gave a passenger, or null if unrated
+   * Unrated passengers never match min_rating rules.
+   * @private
+   */
+  async _getPassengerRating(passengerId) {
+    const [rating] = (await RatingAggregateService.getPassengerRatings([passengerId])).values();
+    return rating.avgRating;
+  }
+
+  /**
+   * Side effects of a booking accepted on creation: audit entry,
+   * notifications, realtime status and payment intent
+   * @private
+   */
+  async _completeAutoAccept(booking, trip, rule, correlationId) {
+    try {
+      await auditWriter.write({
+        actor: { type: 'system', id: 'system' },
+        action: 'booking_auto_accepted',
+        entity: { type: 'BookingRequest', id: booking.id },
+        reason: `auto_accept:${rule.type}`,
+        delta: {
+          before: { status: null },
+          after: { status: 'accepted', autoAcceptRule: rule.type, rule, tripId: trip.id, driverId: trip.driverId }
+        },
+        correlationId
+      });
+    } catch (error) {
+      console.error(
+        `[BookingRequestService] Audit write failed for auto-accepted booking | bookingId: ${booking.id} | error: ${error.message}`
+      );
+    }
+
+    await NotificationService.createNotification(
+      booking.passengerId,
+      'booking.accepted',
+      'Reserva aceptada',
+      'Tu reserva fue aceptada automáticamente.',
+      {
+        bookingId: booking.id,
+        tripId: trip.id,
+        driverId: trip.driverId,
+        seats: booking.seats,
+        autoAcceptRule: rule.type
+      }
+    );
+    await NotificationService.createNotification(
+      trip.driverId,
+      'booking.auto_accepted',
+      'Reserva aceptada automáticamente',
+      'Una reserva para tu viaje fue aceptada por tus reglas de aceptación automática.',
+      {
+        bookingId: booking.id,
+        tripId: trip.id,
+        passengerId: booking.passengerId,
+        seats: booking.seats,
+        autoAcceptRule: rule.type
+      }
+    );
+    await this._publishStatusChange(booking, trip.driverId, null);
+
+    try {
+      await this._getPaymentService().createPaymentForBooking(booking, trip);
+    } catch (error) {
+      // Passenger can still request the intent later (POST /passengers/bookings/:id/payment-intent)
+      console.error(
+        `[BookingRequestService] Payment creation failed | bookingId: ${booking.id} | error: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Push the new booking status to the passenger's and driver's streams
+   * @private
+   */
+  async _publishStatusChange(booking, driverId, previousStatus) {
+    await realtimeService.publishBookingStatus(booking, { driverId, previousStatus });
+  }
 }
 
 module.exports = BookingRequestService;
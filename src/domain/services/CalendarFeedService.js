@@ -0,0 +1,216 @@
+/**
+ * CalendarFeedService
+ *
+ * Per-user iCalendar feed (GET /calendar/:token.ics) that Google Calendar,
+ * Outlook and other clients subscribe to.
+ *
+ * - The feed URL carries a secret token; only its SHA-256 hash is stored and
+ *   rotating it from the profile invalidates the previous URL
+ * - Lists the trips the user drives (upcoming published and in progress) and
+ *   the trips of their accepted bookings
+ * - UIDs are stable per trip (driver) and per booking (passenger); SEQUENCE
+ *   follows the trip terms version so clients apply time and route changes
+ * - Canceled trips and bookings stay in the feed as CANCELLED until their
+ *   departure so subscribed calendars drop them
+ */
+
+const DomainError = require('../errors/DomainError');
+const ICalendarUtil = require('../../utils/icalendar');
+const ResetTokenUtil = require('../../utils/resetToken');
+
+const DEFAULT_BASE_URL = 'http://localhost:3000';
+const UID_DOMAIN = 'wheels-unisabana';
+const PROD_ID = '-//Wheels Unisabana//Viajes//ES';
+// Suggested to clients; most poll on their own schedule anyway
+const REFRESH_INTERVAL = 'PT1H';
+// Bookings canceled earlier than this are left out of the feed
+const CANCELED_LOOKBACK_DAYS = 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+class CalendarFeedService {
+  constructor(userRepository, tripOfferRepository, bookingRequestRepository, { baseUrl = DEFAULT_BASE_URL } = {}) {
+    this.userRepository = userRepository;
+    this.tripOfferRepository = tripOfferRepository;
+    this.bookingRequestRepository = bookingRequestRepository;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+  }
+
+  /**
+   * Build a CalendarFeedService wired to the Mongo repositories
+   * API_BASE_URL is the public base of the feed URLs.
+   * @returns {CalendarFeedService}
+   */
+  static createDefault() {
+    const MongoUserRepository = require('../../infrastructure/repositories/MongoUserRepository');
+    const MongoTripOfferRepository = require('../../infrastructure/repositories/MongoTripOfferRepository');
+    const MongoBookingRequestRepository = require('../../infrastructure/repositories/MongoBookingRequestRepository');
+
+    return new CalendarFeedService(
+      new MongoUserRepository(),
+      new MongoTripOfferRepository(),
+      new MongoBookingRequestRepository(),
+      { baseUrl: process.env.API_BASE_URL || DEFAULT_BASE_URL }
+    );
+  }
+
+  /**
+   * Whether the user has a feed URL
+   * @param {string} userId
+   * @returns {Promise<Object>} { enabled, rotatedAt }
+   * @throws {DomainError} user_not_found (404)
+   */
+  async getFeedStatus(userId) {
+    const feed = await this.userRepository.getCalendarFeed(userId);
+    if (!feed) {
+      throw new DomainError('User not found', 404, 'user_not_found');
+    }
+    return feed;
+  }
+
+  /**
+   * Issue a new feed URL (the previous one stops working)
+   * The token is only returned here; it cannot be read back later.
+   *
+   * @param {string} userId
+   * @returns {Promise<Object>} { enabled, rotatedAt, url }
+   * @throws {DomainError} user_not_found (404)
+   */
+  async rotateFeedToken(userId) {
+    const token = ResetTokenUtil.generateToken();
+    const feed = await this.userRepository.setCalendarFeedToken(userId, ResetTokenUtil.hashToken(token));
+    if (!feed) {
+      throw new DomainError('User not found', 404, 'user_not_found');
+    }
+
+    console.log(`[CalendarFeedService] Calendar feed token rotated | userId: ${userId}`);
+
+    return { ...feed, url: this._feedUrl(token) };
+  }
+
+  /**
+   * Disable the feed (its URL stops working)
+   * @param {string} userId
+   * @returns {Promise<Object>} { enabled, rotatedAt }
+   * @throws {DomainError} user_not_found (404)
+   */
+  async disableFeed(userId) {
+    const feed = await this.userRepository.clearCalendarFeedToken(userId);
+    if (!feed) {
+      throw new DomainError('User not found', 404, 'user_not_found');
+    }
+
+    console.log(`[CalendarFeedService] Calendar feed disabled | userId: ${userId}`);
+
+    return feed;
+  }
+
+  /**
+   * Calendar of the owner of a feed token
+   *
+   * @param {string} token - Token from the feed URL
+   * @param {Date} now
+   * @returns {Promise<string>} .ics content
+   * @throws {DomainError} calendar_feed_not_found (404)
+   */
+  async buildFeed(token, now = new Date()) {
+    const userId = await this.userRepository.findIdByCalendarFeedToken(ResetTokenUtil.hashToken(token));
+    if (!userId) {
+      throw new DomainError('Calendar feed not found', 404, 'calendar_feed_not_found');
+    }
+
+    const [drivenTrips, canceledTrips, bookings] = await Promise.all([
+      this.tripOfferRepository.findCalendarTripsByDriver(userId, now),
+      this.tripOfferRepository.findByDriverId(userId, { status: 'canceled', fromDate: now }),
+      this.bookingRequestRepository.findCalendarBookings(userId, new Date(now.getTime() - CANCELED_LOOKBACK_DAYS * DAY_MS))
+    ]);
+
+    const bookedTrips = await this.tripOfferRepository.findByIds([...new Set(bookings.map((booking) => booking.tripId))]);
+    const tripsById = new Map(bookedTrips.map((trip) => [trip.id, trip]));
+
+    const events = [
+      ...[...drivenTrips, ...canceledTrips].map((trip) => this._toDriverEvent(trip)),
+      ...bookings
+        .map((booking) => ({ booking, trip: tripsById.get(booking.tripId) }))
+        .filter(({ trip }) => trip && (trip.status === 'in_progress' || new Date(trip.departureAt) > now))
+        .map(({ booking, trip }) => this._toPassengerEvent(booking, trip))
+    ].sort((a, b) => new Date(a.start) - new Date(b.start));
+
+    console.log(
+      `[CalendarFeedService] Calendar feed served | userId: ${userId} | events: ${events.length}`
+    );
+
+    return ICalendarUtil.buildCalendar(
+      { name: 'Wheels Unisabana', prodId: PROD_ID, refreshInterval: REFRESH_INTERVAL, events },
+      now
+    );
+  }
+
+  /**
+   * @private
+   */
+  _toDriverEvent(trip) {
+    const canceled = trip.status === 'canceled';
+    return {
+      uid: `trip-${trip.id}@${UID_DOMAIN}`,
+      sequence: this._sequence(trip, canceled),
+      start: trip.departureAt,
+      end: this._endOf(trip),
+      summary: `Conduces: ${trip.origin.text} → ${trip.destination.text}`,
+      description: [
+        'Viaje publicado en Wheels Unisabana.',
+        `Cupos: ${trip.totalSeats} · Precio por cupo: $${trip.pricePerSeat}`,
+        trip.notes || null
+      ].filter(Boolean).join('\n'),
+      location: trip.origin.text,
+      status: canceled ? 'CANCELLED' : 'CONFIRMED',
+      lastModified: trip.updatedAt
+    };
+  }
+
+  /**
+   * @private
+   */
+  _toPassengerEvent(booking, trip) {
+    const canceled = booking.status !== 'accepted' || trip.status === 'canceled';
+    const stops = [trip.origin, ...(trip.waypoints || []), trip.destination];
+    const board = stops[booking.boardStopIndex ?? 0] || trip.origin;
+    const alight = stops[booking.alightStopIndex ?? stops.length - 1] || trip.destination;
+
+    return {
+      uid: `booking-${booking.id}@${UID_DOMAIN}`,
+      sequence: this._sequence(trip, canceled),
+      start: trip.departureAt,
+      end: this._endOf(trip),
+      summary: `Viaje: ${board.text} → ${alight.text}`,
+      description: `Reserva de ${booking.seats} cupo(s) en Wheels Unisabana.`,
+      location: board.text,
+      status: canceled ? 'CANCELLED' : 'CONFIRMED',
+      lastModified: booking.canceledAt || trip.updatedAt
+    };
+  }
+
+  /**
+   * Terms version of the trip (bumped on time/route changes), one more once canceled
+   * @private
+   */
+  _sequence(trip, canceled) {
+    return (trip.termsVersion || 1) + (canceled ? 1 : 0);
+  }
+
+  /**
+   * @private
+   */
+  _endOf(trip) {
+    return trip.estimatedArrivalAt || new Date(new Date(trip.departureAt).getTime() + HOUR_MS);
+  }
+
+  /**
+   * @private
+   */
+  _feedUrl(token) {
+    return `${this.baseUrl}/calendar/${token}.ics`;
+  }
+}
+
+module.exports = CalendarFeedService;
@@ -0,0 +1,240 @@
+/**
+ * CancellationPolicyService (US-4.2)
+ *
+ * Resolves the cancellation policy in effect for a trip and computes the
+ * outcome (refund and late-cancellation penalty) of canceling a booking.
+ *
+ * - Platform policy: set by admins, CancellationPolicy defaults until then
+ * - Trip policy: driver override of the tiers, within the platform bounds
+ */
+
+const DomainError = require('../errors/DomainError');
+const CancellationPolicy = require('../entities/CancellationPolicy');
+
+// Trips whose bookings can still be canceled by passengers
+const EDITABLE_TRIP_STATUSES = ['draft', 'published'];
+
+class CancellationPolicyService {
+  constructor(cancellationPolicyRepository, tripOfferRepository, bookingRequestRepository, paymentRepository) {
+    this.cancellationPolicyRepository = cancellationPolicyRepository;
+    this.tripOfferRepository = tripOfferRepository;
+    this.bookingRequestRepository = bookingRequestRepository;
+    this.paymentRepository = paymentRepository;
+  }
+
+  /**
+   * Build a CancellationPolicyService wired to the Mongo repositories
+   * @returns {CancellationPolicyService}
+   */
+  static createDefault() {
+    const MongoCancellationPolicyRepository = require('../../infrastructure/repositories/MongoCancellationPolicyRepository');
+    const MongoTripOfferRepository = require('../../infrastructure/repositories/MongoTripOfferRepository');
+    const MongoBookingRequestRepository = require('../../infrastructure/repositories/MongoBookingRequestRepository');
+    const MongoPaymentRepository = require('../../infrastructure/repositories/MongoPaymentRepository');
+
+    return new CancellationPolicyService(
+      new MongoCancellationPolicyRepository(),
+      new MongoTripOfferRepository(),
+      new MongoBookingRequestRepository(),
+      new MongoPaymentRepository()
+    );
+  }
+
+  /**
+   * Platform cancellation policy (defaults if admins never set one)
+   * @returns {Promise<CancellationPolicy>}
+   */
+  async getPlatformPolicy() {
+    const policy = await this.cancellationPolicyRepository.getPlatformPolicy();
+    return policy || new CancellationPolicy();
+  }
+
+  /**
+   * Replace the platform cancellation policy
+   * @param {Object} policyData - { tiers, bounds }
+   * @param {string} adminId - Admin user ID
+   * @returns {Promise<Object>} { before, after } policies
+   * @throws {DomainError} invalid_cancellation_policy (400)
+   */
+  async updatePlatformPolicy({ tiers, bounds = {} }, adminId) {
+    const violations = CancellationPolicy.validateTiers(tiers);
+    if (violations.length > 0) {
+      throw new DomainError('Invalid cancellation policy', 400, 'invalid_cancellation_policy', { violations });
+    }
+
+    const before = await this.getPlatformPolicy();
+    const next = new CancellationPolicy({ tiers, bounds: { ...before.bounds, ...bounds } });
+    const after = await this.cancellationPolicyRepository.savePlatformPolicy(next.toObject(), adminId);
+
+    console.log(
+      `[CancellationPolicyService] Platform policy updated | adminId: ${adminId} | tiers: ${after.tiers.length}`
+    );
+
+    return { before, after };
+  }
+
+  /**
+   * Policy in effect for a trip (driver override clamped to platform bounds)
+   * @param {TripOffer} trip
+   * @returns {Promise<CancellationPolicy>}
+   */
+  async getPolicyForTrip(trip) {
+    const platformPolicy = await this.getPlatformPolicy();
+    return platformPolicy.withTripOverride(trip ? trip.cancellationPolicy : null);
+  }
+
+  /**
+   * Set the driver's cancellation tiers for one of their trips
+   * @param {string} tripId
+   * @param {string} driverId
+   * @param {Array} tiers - { minHoursBeforeDeparture, refundPercent, penaltyPercent }
+   * @returns {Promise<TripOffer>} Updated trip
+   * @throws {DomainError} trip_not_found (404), forbidden_owner (403), invalid_trip_state (409),
+   *                       cancellation_policy_out_of_bounds (400)
+   */
+  async setTripPolicy(tripId, driverId, tiers) {
+    await this._getEditableTrip(tripId, driverId);
+
+    const platformPolicy = await this.getPlatformPolicy();
+    const violations = platformPolicy.validateTripOverride(tiers);
+    if (violations.length > 0) {
+      throw new DomainError(
+        'Cancellation policy is outside the platform bounds',
+        400,
+        'cancellation_policy_out_of_bounds',
+        { violations, bounds: platformPolicy.bounds }
+      );
+    }
+
+    const normalized = new CancellationPolicy({ tiers }).tiers;
+    const updatedTrip = await this.tripOfferRepository.update(tripId, { cancellationPolicy: { tiers: normalized } });
+
+    console.log(
+      `[CancellationPolicyService] Trip policy set | tripId: ${tripId} | driverId: ${driverId} | tiers: ${normalized.length}`
+    );
+
+    return updatedTrip;
+  }
+
+  /**
+   * Remove the driver's override (trip falls back to the platform policy)
+   * @param {string} tripId
+   * @param {string} driverId
+   * @returns {Promise<TripOffer>} Updated trip
+   */
+  async clearTripPolicy(tripId, driverId) {
+    await this._getEditableTrip(tripId, driverId);
+
+    const updatedTrip = await this.tripOfferRepository.update(tripId, { cancellationPolicy: { tiers: [] } });
+
+    console.log(`[CancellationPolicyService] Trip policy cleared | tripId: ${tripId} | driverId: ${driverId}`);
+
+    return updatedTrip;
+  }
+
+  /**
+   * Outcome of canceling a booking at `at`
+   * Passenger cancellations follow the trip policy; any other cancellation is
+   * fully refunded. So is a passenger who declined new trip terms.
+   *
+   * @param {BookingRequest} booking
+   * @param {TripOffer} trip
+   * @param {Object} options - { amount, at, asStatus }
+   * @returns {Promise<Object>} Cancellation outcome
+   */
+  async computeOutcome(booking, trip, { amount, at = null, asStatus = null } = {}) {
+    const status = asStatus || booking.status;
+    if (status !== 'canceled_by_passenger' || !trip) {
+      return CancellationPolicy.fullRefundOutcome(amount);
+    }
+    if (booking.cancellationOutcome && booking.cancellationOutcome.policySource === 'terms_declined') {
+      return CancellationPolicy.fullRefundOutcome(amount, 'terms_declined');
+    }
+
+    const policy = await this.getPolicyForTrip(trip);
+    return policy.quote({
+      amount,
+      canceledAt: at || booking.canceledAt || new Date(),
+      departureAt: trip.departureAt
+    });
+  }
+
+  /**
+   * Amount paid for a booking (0 while unpaid)
+   * @param {string} bookingId
+   * @returns {Promise<number>}
+   */
+  async getPaidAmount(bookingId) {
+    const payment = await this.paymentRepository.findByBookingId(bookingId);
+    return payment && payment.isSucceeded() ? payment.amount : 0;
+  }
+
+  /**
+   * Preview what a passenger gets back if they cancel now
+   * @param {string} bookingId
+   * @param {string} passengerId
+   * @returns {Promise<Object>} { bookingId, status, isPaid, currency, outcome, policy }
+   * @throws {DomainError} booking_not_found (404), forbidden_owner (403), invalid_booking_state (409)
+   */
+  async quoteCancellation(bookingId, passengerId) {
+    const booking = await this.bookingRequestRepository.findById(bookingId);
+    if (!booking) {
+      throw new DomainError('Booking request not found', 404, 'booking_not_found');
+    }
+    if (!booking.belongsToPassenger(passengerId)) {
+      throw new DomainError('You cannot access this booking request', 403, 'forbidden_owner');
+    }
+    if (!booking.isCancelableByPassenger()) {
+      throw new DomainError(
+        `Booking with status ${booking.status} cannot be canceled`,
+        409,
+        'invalid_booking_state',
+        { status: booking.status }
+      );
+    }
+
+    const trip = await this.tripOfferRepository.findById(booking.tripId);
+    const policy = await this.getPolicyForTrip(trip);
+    const payment = await this.paymentRepository.findByBookingId(bookingId);
+    const amount = payment && payment.isSucceeded() ? payment.amount : 0;
+
+    // Pending requests hold no seat and no money: nothing is withheld
+    const outcome = booking.isPending()
+      ? CancellationPolicy.fullRefundOutcome(amount, 'pending_request')
+      : await this.computeOutcome(booking, trip, { amount, at: new Date(), asStatus: 'canceled_by_passenger' });
+
+    return {
+      bookingId: booking.id,
+      status: booking.status,
+      isPaid: amount > 0,
+      currency: payment ? payment.currency : null,
+      outcome,
+      policy: { source: policy.source, tiers: policy.tiers }
+    };
+  }
+
+  /**
+   * Load a trip the driver may still change the policy of
+   * @private
+   */
+  async _getEditableTrip(tripId, driverId) {
+    const trip = await this.tripOfferRepository.findById(tripId);
+    if (!trip) {
+      throw new DomainError('Trip offer not found', 404, 'trip_not_found');
+    }
+    if (trip.driverId !== driverId) {
+      throw new DomainError('Trip does not belong to the driver', 403, 'forbidden_owner');
+    }
+    if (!EDITABLE_TRIP_STATUSES.includes(trip.status)) {
+      throw new DomainError(
+        `Cannot change the cancellation policy of a ${trip.status} trip`,
+        409,
+        'invalid_trip_state',
+        { status: trip.status }
+      );
+    }
+    return trip;
+  }
+}
+
+module.exports = CancellationPolicyService;
@@ -0,0 +1,241 @@
+/**
+ * DriverEligibilityService
+ *
+ * Single place that decides whether a driver may publish or start trips.
+ * Every publish path (create, draft → published, trip series) and startTrip
+ * go through assertEligible; GET /drivers/me/eligibility exposes evaluate.
+ *
+ * Each blocking reason has a stable `code` and lists the actions it blocks:
+ * - account_suspended, not_a_driver: publish and start
+ * - verification_missing | verification_pending_review | verification_rejected |
+ *   verification_expired, driver_license_expired: publish and start
+ * - vehicle_missing, soat_missing, soat_expired: publish and start
+ * - publish_banned (admin publish ban): publish
+ * - driver_no_show_limit (DRIVER_NO_SHOW_LIMIT no-show reports within
+ *   DRIVER_NO_SHOW_WINDOW_DAYS): publish
+ */
+
+const DomainError = require('../errors/DomainError');
+
+const DEFAULT_NO_SHOW_LIMIT = 3;
+const DEFAULT_NO_SHOW_WINDOW_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PUBLISH_AND_START = ['publish', 'start'];
+const PUBLISH_ONLY = ['publish'];
+
+const VERIFICATION_REASONS = {
+  unverified: { code: 'verification_missing', message: 'Driver verification documents have not been submitted' },
+  pending_review: { code: 'verification_pending_review', message: 'Driver verification is pending admin review' },
+  rejected: { code: 'verification_rejected', message: 'Driver verification was rejected; resubmit your documents' },
+  expired: { code: 'verification_expired', message: 'Driver verification expired; renew your documents' }
+};
+
+class DriverEligibilityService {
+  constructor(
+    userRepository,
+    vehicleRepository,
+    driverVerificationRepository,
+    bookingRequestRepository,
+    { noShowLimit = DEFAULT_NO_SHOW_LIMIT, noShowWindowDays = DEFAULT_NO_SHOW_WINDOW_DAYS } = {}
+  ) {
+    this.userRepository = userRepository;
+    this.vehicleRepository = vehicleRepository;
+    this.driverVerificationRepository = driverVerificationRepository;
+    this.bookingRequestRepository = bookingRequestRepository;
+    this.noShowLimit = noShowLimit;
+    this.noShowWindowDays = noShowWindowDays;
+  }
+
+  /**
+   * Build a DriverEligibilityService wired to the Mongo repositories
+   * DRIVER_NO_SHOW_LIMIT and DRIVER_NO_SHOW_WINDOW_DAYS override the defaults.
+   * @returns {DriverEligibilityService}
+   */
+  static createDefault() {
+    const MongoUserRepository = require('../../infrastructure/repositories/MongoUserRepository');
+    const MongoVehicleRepository = require('../../infrastructure/repositories/MongoVehicleRepository');
+    const MongoDriverVerificationRepository = require('../../infrastructure/repositories/MongoDriverVerificationRepository');
+    const MongoBookingRequestRepository = require('../../infrastructure/repositories/MongoBookingRequestRepository');
+
+    const noShowLimit = parseInt(process.env.DRIVER_NO_SHOW_LIMIT, 10);
+    const noShowWindowDays = parseInt(process.env.DRIVER_NO_SHOW_WINDOW_DAYS, 10);
+
+    return new DriverEligibilityService(
+      new MongoUserRepository(),
+      new MongoVehicleRepository(),
+      new MongoDriverVerificationRepository(),
+      new MongoBookingRequestRepository(),
+      {
+        noShowLimit: noShowLimit > 0 ? noShowLimit : DEFAULT_NO_SHOW_LIMIT,
+        noShowWindowDays: noShowWindowDays > 0 ? noShowWindowDays : DEFAULT_NO_SHOW_WINDOW_DAYS
+      }
+    );
+  }
+
+  /**
+   * Evaluate every eligibility rule for a driver
+   *
+   * @param {string} driverId
+   * @param {Date} now
+   * @returns {Promise<Object>} { canPublish, canStart, reasons: [{ code, message, blocks, ... }], checkedAt }
+   * @throws {DomainError} user_not_found (404)
+   */
+  async evaluate(driverId, now = new Date()) {
+    const account = await this.userRepository.getAccountRestrictions(driverId);
+    if (!account) {
+      throw new DomainError('User not found', 404, 'user_not_found');
+    }
+
+    const [verification, vehicle, noShowDates] = await Promise.all([
+      this.driverVerificationRepository.findStatusByUserId(driverId),
+      this.vehicleRepository.findByDriverId(driverId),
+      this.bookingRequestRepository.findDriverNoShowReportDates(
+        driverId,
+        new Date(now.getTime() - this.noShowWindowDays * DAY_MS)
+      )
+    ]);
+
+    const reasons = [
+      ...this._accountReasons(account, now),
+      ...this._verificationReasons(verification, now),
+      ...this._vehicleReasons(vehicle, verification, now),
+      ...this._sanctionReasons(noShowDates)
+    ];
+
+    return {
+      canPublish: !reasons.some((reason) => reason.blocks.includes('publish')),
+      canStart: !reasons.some((reason) => reason.blocks.includes('start')),
+      reasons,
+      checkedAt: now
+    };
+  }
+
+  /**
+   * Fail unless the driver may perform an action
+   *
+   * @param {string} driverId
+   * @param {string} action - publish | start
+   * @returns {Promise<Object>} Evaluation (see evaluate)
+   * @throws {DomainError} driver_not_eligible (403) with the blocking reasons in details
+   */
+  async assertEligible(driverId, action = 'publish') {
+    const eligibility = await this.evaluate(driverId);
+    const blocking = eligibility.reasons.filter((reason) => reason.blocks.includes(action));
+
+    if (blocking.length > 0) {
+      console.log(
+        `[DriverEligibilityService] Driver not eligible | driverId: ${driverId} | action: ${action} | reasons: ${blocking.map((reason) => reason.code).join(',')}`
+      );
+      throw new DomainError(
+        action === 'start' ? 'You cannot start trips right now' : 'You cannot publish trips right now',
+        403,
+        'driver_not_eligible',
+        { action, reasons: blocking }
+      );
+    }
+
+    return eligibility;
+  }
+
+  /**
+   * @private
+   */
+  _accountReasons(account, now) {
+    const reasons = [];
+    if (account.role !== 'driver') {
+      reasons.push({ code: 'not_a_driver', message: 'Only drivers can publish trips', blocks: PUBLISH_AND_START });
+    }
+    if (account.suspended) {
+      reasons.push({
+        code: 'account_suspended',
+        message: 'Your account is suspended',
+        blocks: PUBLISH_AND_START,
+        since: account.suspendedAt
+      });
+    }
+    if (account.publishBanUntil && new Date(account.publishBanUntil) > now) {
+      reasons.push({
+        code: 'publish_banned',
+        message: 'An administrator banned you from publishing trips',
+        blocks: PUBLISH_ONLY,
+        until: account.publishBanUntil,
+        reason: account.publishBanReason
+      });
+    }
+    return reasons;
+  }
+
+  /**
+   * Status of the verification profile; a verified profile whose license
+   * expired before the daily expiry scan flipped it is blocked too
+   * @private
+   */
+  _verificationReasons(verification, now) {
+    const status = verification ? verification.status : 'unverified';
+    if (status !== 'verified') {
+      const { code, message } = VERIFICATION_REASONS[status] || VERIFICATION_REASONS.unverified;
+      return [{ code, message, blocks: PUBLISH_AND_START, status }];
+    }
+
+    if (verification.licenseExpiresAt && new Date(verification.licenseExpiresAt) <= now) {
+      return [{
+        code: 'driver_license_expired',
+        message: 'Your driver license expired; renew your documents',
+        blocks: PUBLISH_AND_START,
+        expiredAt: verification.licenseExpiresAt
+      }];
+    }
+
+    return [];
+  }
+
+  /**
+   * The vehicle must exist and carry a valid SOAT (photo on the vehicle,
+   * expiry from the verification documents)
+   * @private
+   */
+  _vehicleReasons(vehicle, verification, now) {
+    if (!vehicle) {
+      return [{ code: 'vehicle_missing', message: 'Register a vehicle to publish trips', blocks: PUBLISH_AND_START }];
+    }
+
+    if (!vehicle.soatPhotoUrl && !(verification && verification.hasSoat)) {
+      return [{ code: 'soat_missing', message: 'Upload the SOAT of your vehicle', blocks: PUBLISH_AND_START }];
+    }
+
+    if (verification && verification.soatExpiresAt && new Date(verification.soatExpiresAt) <= now) {
+      return [{
+        code: 'soat_expired',
+        message: 'The SOAT of your vehicle expired',
+        blocks: PUBLISH_AND_START,
+        expiredAt: verification.soatExpiresAt
+      }];
+    }
+
+    return [];
+  }
+
+  /**
+   * No-show sanction: lifted once enough reports leave the rolling window
+   * @private
+   */
+  _sanctionReasons(noShowDates) {
+    if (noShowDates.length < this.noShowLimit) {
+      return [];
+    }
+
+    // Below the limit again when the report that completes it leaves the window
+    const liftingReport = noShowDates[noShowDates.length - this.noShowLimit];
+    return [{
+      code: 'driver_no_show_limit',
+      message: `Passengers reported you as a no-show ${noShowDates.length} times in the last ${this.noShowWindowDays} days`,
+      blocks: PUBLISH_ONLY,
+      count: noShowDates.length,
+      limit: this.noShowLimit,
+      until: new Date(new Date(liftingReport).getTime() + this.noShowWindowDays * DAY_MS)
+    }];
+  }
+}
+
+module.exports = DriverEligibilityService;
@@ -0,0 +1,339 @@
+/**
+ * EmailDeliveryService
+ *
+ * Outbound email queue backed by NotificationDelivery:
+ * - enqueue(): stores a pending delivery (user, type, variables)
+ * - processQueue(): claims due deliveries, renders them through
+ *   NotificationTemplateService and sends them with the configured transport
+ *
+ * Every send is recorded as a DeliveryAttempt. Temporary failures are retried
+ * with exponential backoff up to maxAttempts; permanent ones fail the
+ * delivery. The provider message id returned by the transport is stored so
+ * webhook events (delivered, bounced, ...) reconcile with the delivery.
+ */
+
+const NotificationDelivery = require('../../infrastructure/database/models/NotificationDeliveryModel');
+const DeliveryAttempt = require('../../infrastructure/database/models/DeliveryAttemptModel');
+const notificationMetrics = require('./notificationMetrics');
+
+const DEFAULT_OPTIONS = {
+  maxAttempts: 5,
+  baseBackoffMs: 60 * 1000,
+  maxBackoffMs: 60 * 60 * 1000,
+  // A delivery stuck in 'sending' longer than this (worker crash) is claimed again
+  leaseMs: 2 * 60 * 1000,
+  batchSize: 20
+};
+
+class EmailDeliveryService {
+  constructor(transport, templateService, userRepository, options = {}) {
+    this.transport = transport;
+    this.templateService = templateService;
+    this.userRepository = userRepository;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  /**
+   * Build an EmailDeliveryService wired to the configured transport
+   * @returns {EmailDeliveryService}
+   */
+  static createDefault() {
+    const { getEmailTransport } = require('../../infrastructure/notificationProviders/emailTransports');
+    const NotificationTemplateService = require('./NotificationTemplateService');
+    const MongoUserRepository = require('../../infrastructure/repositories/MongoUserRepository');
+
+    return new EmailDeliveryService(
+      getEmailTransport(),
+      new NotificationTemplateService(),
+      new MongoUserRepository(),
+      {
+        maxAttempts: Number(process.env.EMAIL_MAX_ATTEMPTS) || DEFAULT_OPTIONS.maxAttempts,
+        baseBackoffMs: Number(process.env.EMAIL_RETRY_BASE_MS) || DEFAULT_OPTIONS.baseBackoffMs
+      }
+    );
+  }
+
+  /**
+   * Delay before retrying after the given attempt (1-based)
+   * @param {number} attempt
+   * @returns {number} milliseconds
+   */
+  backoffMs(attempt) {
+    const { baseBackoffMs, maxBackoffMs } = this.options;
+    return Math.min(maxBackoffMs, baseBackoffMs * 2 ** Math.max(0, attempt - 1));
+  }
+
+  /**
+   * Queue an email for a user
+   * nextAttemptAt defers the first send (e.g. to the end of the user's quiet hours).
+   * @param {Object} params - { userId, type, variables, locale, notificationId, meta, nextAttemptAt }
+   * @returns {Promise<Object>} NotificationDelivery document
+   */
+  async enqueue({ userId, type, variables = {}, locale = 'en', notificationId = null, meta = {}, nextAttemptAt = new Date() }) {
+    const delivery = await NotificationDelivery.create({
+      userId,
+      type,
+      locale,
+      variables,
+      notificationId,
+      status: 'pending',
+      maxAttempts: this.options.maxAttempts,
+      nextAttemptAt,
+      meta: { intentType: type, ...meta }
+    });
+
+    console.log(`[EmailDeliveryService] Email queued | deliveryId: ${delivery._id} | userId: ${userId} | type: ${type} | nextAttemptAt: ${nextAttemptAt.toISOString()}`);
+
+    return delivery;
+  }
+
+  /**
+   * Send every due delivery (up to `limit`)
+   * @param {Object} options - { limit, now }
+   * @returns {Promise<Object>} { processed, sent, retried, failed }
+   */
+  async processQueue({ limit = this.options.batchSize, now = new Date() } = {}) {
+    const result = { processed: 0, sent: 0, retried: 0, failed: 0 };
+
+    for (let i = 0; i < limit; i++) {
+      const delivery = await this._claimNext(now);
+      if (!delivery) break;
+
+      const outcome = await this._attempt(delivery);
+      result.processed++;
+      result[outcome]++;
+    }
+
+    if (result.processed > 0) {
+      console.log(
+        `[EmailDeliveryService] Queue processed | processed: ${result.processed} | sent: ${result.sent} | retried: ${result.retried} | failed: ${result.failed}`
+      );
+    }
+
+    return result;
+  }
+
+  /**
+   * Atomically take the next due delivery (or one whose lease expired)
+   * @private
+   */
+  async _claimNext(now) {
+    return NotificationDelivery.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending', nextAttemptAt: { $lte: now } },
+          { status: 'sending', lockedUntil: { $lte: now } }
+        ]
+      },
+      {
+        $set: { status: 'sending', lockedUntil: new Date(now.getTime() + this.options.leaseMs) },
+        $inc: { attempts: 1 }
+      },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Render and send one claimed delivery
+   * @private
+   * @returns {Promise<string>} sent | retried | failed
+   */
+  async _attempt(delivery) {
+    const startedAt = Date.now();
+    let recipient = null;
+
+    try {
+      const user = await this.userRepository.findById(String(delivery.userId));
+      if (!user || !user.corporateEmail) {
+        throw EmailDeliveryService._permanentError('Recipient not found', 'recipient_not_found');
+      }
+      recipient = user.corporateEmail;
+
+      const rendered = await this._render(delivery, user);
+      if (delivery.attempts === 1) {
+        await this._increment(delivery.type, { rendered: 1 });
+      }
+
+      await this._increment(delivery.type, { attempted: 1 });
+      const sendResult = await this.transport.send({
+        to: recipient,
+        subject: rendered.subject,
+        html: rendered.html,
+        text: rendered.text,
+        headers: { 'X-Wheels-Delivery-Id': String(delivery._id) },
+        metadata: {
+          deliveryId: String(delivery._id),
+          notificationId: delivery.notificationId ? String(delivery.notificationId) : null,
+          intentType: delivery.type
+        }
+      });
+
+      await this._recordAttempt(delivery, {
+        eventType: 'send_succeeded',
+        providerMessageId: sendResult.providerMessageId,
+        durationMs: Date.now() - startedAt,
+        recipient,
+        metadata: { response: sendResult.response || null }
+      });
+      await this._markSent(delivery, sendResult.providerMessageId);
+
+      console.log(
+        `[EmailDeliveryService] Email sent | deliveryId: ${delivery._id} | attempt: ${delivery.attempts} | transport: ${this.transport.name} | providerMessageId: ${sendResult.providerMessageId}`
+      );
+      return 'sent';
+    } catch (error) {
+      const retryable = error.retryable !== false;
+      const exhausted = delivery.attempts >= (delivery.maxAttempts || this.options.maxAttempts);
+
+      await this._recordAttempt(delivery, {
+        eventType: 'send_failed',
+        durationMs: Date.now() - startedAt,
+        recipient,
+        error,
+        retryable
+      });
+
+      if (retryable && !exhausted) {
+        const nextAttemptAt = new Date(Date.now() + this.backoffMs(delivery.attempts));
+        await NotificationDelivery.updateOne(
+          { _id: delivery._id, status: 'sending' },
+          { $set: { status: 'pending', nextAttemptAt, lockedUntil: null, lastError: error.message } }
+        );
+        console.warn(
+          `[EmailDeliveryService] Send failed, will retry | deliveryId: ${delivery._id} | attempt: ${delivery.attempts} | nextAttemptAt: ${nextAttemptAt.toISOString()} | error: ${error.message}`
+        );
+        return 'retried';
+      }
+
+      await NotificationDelivery.updateOne(
+        { _id: delivery._id, status: 'sending' },
+        { $set: { status: 'failed', nextAttemptAt: null, lockedUntil: null, lastError: error.message } }
+      );
+      await this._increment(delivery.type, { failed: 1 });
+      console.error(
+        `[EmailDeliveryService] Send failed permanently | deliveryId: ${delivery._id} | attempt: ${delivery.attempts} | retryable: ${retryable} | error: ${error.message}`
+      );
+      return 'failed';
+    }
+  }
+
+  /**
+   * Subject/html/text for a delivery
+   * Types without a template fall back to the `title`/`body` variables.
+   * @private
+   */
+  async _render(delivery, user) {
+    const variables = { firstName: user.firstName, ...(delivery.variables || {}) };
+
+    let rendered;
+    try {
+      rendered = await this.templateService.render('email', delivery.type, variables, delivery.locale, {
+        sanitize: true,
+        inlineCss: true
+      });
+    } catch (err) {
+      // Renderer validation errors are { code, message }: retrying cannot fix them
+      throw EmailDeliveryService._permanentError(err.message || 'Template rendering failed', err.code || 'render_failed');
+    }
+
+    if (rendered) return rendered;
+
+    if (!variables.title && !variables.body) {
+      throw EmailDeliveryService._permanentError(`No email template for type ${delivery.type}`, 'template_not_found');
+    }
+    const subject = variables.title || 'Wheels UniSabana';
+    const text = variables.body || variables.title;
+    return { subject, text, html: `<p>${EmailDeliveryService._escapeHtml(text)}</p>` };
+  }
+
+  /**
+   * Store the provider message id and mark as sent
+   * A webhook may already have advanced the status (matched by deliveryId):
+   * in that case only the provider id and sentAt are stored.
+   * @private
+   */
+  async _markSent(delivery, providerMessageId) {
+    const sent = {
+      providerMessageId,
+      transport: this.transport.name,
+      sentAt: new Date(),
+      lockedUntil: null,
+      nextAttemptAt: null,
+      lastError: null
+    };
+    const updated = await NotificationDelivery.updateOne(
+      { _id: delivery._id, status: 'sending' },
+      { $set: { ...sent, status: 'sent' } }
+    );
+    if (updated.modifiedCount === 0) {
+      await NotificationDelivery.updateOne({ _id: delivery._id }, { $set: sent });
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _recordAttempt(delivery, { eventType, providerMessageId = null, durationMs, recipient, error = null, retryable = null, metadata = {} }) {
+    try {
+      await DeliveryAttempt.create({
+        providerMessageId,
+        eventType,
+        deliveryId: delivery._id,
+        attemptNumber: delivery.attempts,
+        transport: this.transport.name,
+        durationMs,
+        error: error ? error.message : null,
+        retryable,
+        recipientRedacted: EmailDeliveryService._redactEmail(recipient),
+        metadata: error ? { ...metadata, errorCode: error.code || null } : metadata
+      });
+    } catch (err) {
+      // Never lose the delivery state because the audit record failed
+      console.error(`[EmailDeliveryService] Failed to record attempt | deliveryId: ${delivery._id} | error: ${err.message}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _increment(type, deltas) {
+    try {
+      await notificationMetrics.increment({ type, channel: 'email', deltas });
+    } catch (e) {
+      console.warn('[EmailDeliveryService] metrics increment failed for email', e.message);
+    }
+  }
+
+  /**
+   * @private
+   */
+  static _permanentError(message, code) {
+    const err = new Error(message);
+    err.code = code;
+    err.retryable = false;
+    return err;
+  }
+
+  /**
+   * @private
+   */
+  static _redactEmail(email) {
+    if (!email || typeof email !== 'string') return null;
+    const [local, domain] = email.split('@');
+    if (!domain) return 'REDACTED';
+    return local.length <= 1 ? `*@${domain}` : `${local[0]}***@${domain}`;
+  }
+
+  /**
+   * @private
+   */
+  static _escapeHtml(str) {
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+module.exports = EmailDeliveryService;
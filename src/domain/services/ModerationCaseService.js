@@ -0,0 +1,520 @@
+/**
+ * ModerationCaseService
+ *
+ * Admin case management for user reports (POST /users/:userId/report and
+ * trip chat message reports):
+ * - Reports about the same user are grouped into their open case; closing it
+ *   lets new reports start a new one
+ * - Cases are assigned to an admin (its reports move to `reviewed`) and link
+ *   ModerationNotes and Evidence
+ * - Closing a case resolves its reports, applies the outcome (dismissed,
+ *   warning, publish_ban, suspension) through UserSanctionService like the
+ *   admin actions do, and notifies the reporters
+ */
+
+const DomainError = require('../errors/DomainError');
+const auditWriter = require('./auditWriter');
+const NotificationService = require('./NotificationService');
+const UserSanctionService = require('./UserSanctionService');
+const ModerationCaseModel = require('../../infrastructure/database/models/ModerationCaseModel');
+const UserReportModel = require('../../infrastructure/database/models/UserReportModel');
+const UserModel = require('../../infrastructure/database/models/UserModel');
+const ModerationNote = require('../../infrastructure/database/models/ModerationNoteModel');
+const Evidence = require('../../infrastructure/database/models/EvidenceModel');
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const USER_FIELDS = 'firstName lastName role suspended';
+
+class ModerationCaseService {
+  /**
+   * Add a new report to the open case about its user (opening one if needed)
+   * @param {Object} report - UserReport document
+   * @returns {Promise<Object>} Case document
+   */
+  async attachReport(report) {
+    const moderationCase = await this._addReportsToOpenCase(report.reportedUserId, 1, report.createdAt || new Date());
+    await UserReportModel.updateOne({ _id: report._id }, { $set: { caseId: moderationCase._id } });
+
+    console.log(
+      `[ModerationCaseService] Report added to case | caseId: ${moderationCase._id} | reportId: ${report._id} | subjectUserId: ${report.reportedUserId}`
+    );
+
+    return moderationCase;
+  }
+
+  /**
+   * Group the reports about a user that are not in a case yet into their open case
+   * @param {string} subjectUserId
+   * @returns {Promise<Object>} Case (see getCase)
+   * @throws {DomainError} user_not_found (404), no_open_reports (409)
+   */
+  async groupReports(subjectUserId) {
+    const subject = await UserModel.exists({ _id: subjectUserId });
+    if (!subject) {
+      throw new DomainError('User not found', 404, 'user_not_found');
+    }
+
+    const ungrouped = await UserReportModel.find({ reportedUserId: subjectUserId, caseId: null, status: { $ne: 'resolved' } })
+      .select('_id createdAt')
+      .lean();
+
+    let moderationCase;
+    if (ungrouped.length > 0) {
+      const lastReportAt = new Date(Math.max(...ungrouped.map((report) => new Date(report.createdAt).getTime())));
+      moderationCase = await this._addReportsToOpenCase(subjectUserId, ungrouped.length, lastReportAt);
+      await UserReportModel.updateMany(
+        { _id: { $in: ungrouped.map((report) => report._id) } },
+        { $set: { caseId: moderationCase._id } }
+      );
+    } else {
+      moderationCase = await ModerationCaseModel.findOne({ subjectUserId, status: 'open' }).lean();
+      if (!moderationCase) {
+        throw new DomainError('There are no open reports about this user', 409, 'no_open_reports');
+      }
+    }
+
+    console.log(
+      `[ModerationCaseService] Reports grouped | caseId: ${moderationCase._id} | subjectUserId: ${subjectUserId} | grouped: ${ungrouped.length}`
+    );
+
+    return this.getCase(moderationCase._id);
+  }
+
+  /**
+   * User reports for triage, newest first
+   * @param {Object} filters - { status, category, reportedUserId, reporterId, tripId, caseId, createdFrom, createdTo, page, pageSize }
+   * @returns {Promise<Object>} { items, page, pageSize, total, totalPages }
+   */
+  async listReports({ status, category, reportedUserId, reporterId, tripId, caseId, createdFrom, createdTo, page = 1, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+    const query = {};
+    if (status) query.status = status;
+    if (category) query.category = category;
+    if (reportedUserId) query.reportedUserId = reportedUserId;
+    if (reporterId) query.reporterId = reporterId;
+    if (tripId) query.tripId = tripId;
+    if (caseId) query.caseId = caseId;
+    if (createdFrom || createdTo) {
+      query.createdAt = {};
+      if (createdFrom) query.createdAt.$gte = new Date(createdFrom);
+      if (createdTo) query.createdAt.$lte = new Date(createdTo);
+    }
+
+    const { pageNum, size } = this._pagination(page, pageSize);
+
+    const [reports, total] = await Promise.all([
+      UserReportModel.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * size)
+        .limit(size)
+        .populate('reportedUserId', USER_FIELDS)
+        .populate('reporterId', USER_FIELDS)
+        .lean(),
+      UserReportModel.countDocuments(query)
+    ]);
+
+    return {
+      items: reports.map((report) => this._toReport(report)),
+      page: pageNum,
+      pageSize: size,
+      total,
+      totalPages: Math.max(1, Math.ceil(total / size))
+    };
+  }
+
+  /**
+   * Cases, most recently reported first
+   * @param {Object} filters - { status, assignedTo, unassigned, subjectUserId, page, pageSize }
+   * @returns {Promise<Object>} { items, page, pageSize, total, totalPages }
+   */
+  async listCases({ status, assignedTo, unassigned, subjectUserId, page = 1, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+    const query = {};
+    if (status) query.status = status;
+    if (subjectUserId) query.subjectUserId = subjectUserId;
+    if (assignedTo) query.assignedTo = assignedTo;
+    else if (unassigned) query.assignedTo = null;
+
+    const { pageNum, size } = this._pagination(page, pageSize);
+
+    const [cases, total] = await Promise.all([
+      ModerationCaseModel.find(query)
+        .sort({ lastReportAt: -1 })
+        .skip((pageNum - 1) * size)
+        .limit(size)
+        .populate('subjectUserId', USER_FIELDS)
+        .lean(),
+      ModerationCaseModel.countDocuments(query)
+    ]);
+
+    return {
+      items: cases.map((moderationCase) => this._toCase(moderationCase)),
+      page: pageNum,
+      pageSize: size,
+      total,
+      totalPages: Math.max(1, Math.ceil(total / size))
+    };
+  }
+
+  /**
+   * A case with its reports, linked notes and evidence
+   * @param {string} caseId
+   * @returns {Promise<Object>}
+   * @throws {DomainError} case_not_found (404)
+   */
+  async getCase(caseId) {
+    const moderationCase = await ModerationCaseModel.findById(caseId).populate('subjectUserId', USER_FIELDS).lean();
+    if (!moderationCase) {
+      throw new DomainError('Moderation case not found', 404, 'case_not_found');
+    }
+
+    const [reports, notes] = await Promise.all([
+      UserReportModel.find({ caseId }).sort({ createdAt: 1 }).populate('reporterId', USER_FIELDS).lean(),
+      ModerationNote.find({ _id: { $in: moderationCase.noteIds || [] } }).sort({ createdAt: 1 }).lean()
+    ]);
+
+    // Evidence linked to the case or attached to one of its notes
+    const evidenceIds = [...new Set([...(moderationCase.evidenceIds || []), ...notes.flatMap((note) => note.evidence || [])])];
+    const evidence = evidenceIds.length > 0
+      ? await Evidence.find({ evidenceId: { $in: evidenceIds } }).lean()
+      : [];
+
+    return {
+      ...this._toCase(moderationCase),
+      reports: reports.map((report) => this._toReport(report)),
+      notes: notes.map((note) => ({
+        noteId: note._id.toString(),
+        entity: { type: note.entity, id: note.entityId },
+        category: note.category,
+        reason: note.reason,
+        evidence: note.evidence || [],
+        createdAt: note.createdAt,
+        by: note.createdBy
+      })),
+      evidence: evidence.map((item) => ({
+        evidenceId: item.evidenceId,
+        filename: item.filename,
+        contentType: item.contentType,
+        uploaded: !!item.uploadedAt,
+        createdAt: item.createdAt
+      }))
+    };
+  }
+
+  /**
+   * Assign an open case to an admin (null unassigns it)
+   * @param {string} caseId
+   * @param {Object} options - { assigneeId, adminId, reason, correlationId }
+   * @returns {Promise<Object>} Case (see getCase)
+   * @throws {DomainError} case_not_found (404), case_closed (409), invalid_assignee (400)
+   */
+  async assign(caseId, { assigneeId, adminId, reason, correlationId = null }) {
+    const moderationCase = await this._getOpenCase(caseId);
+
+    if (assigneeId) {
+      const assignee = await UserModel.findById(assigneeId).select('role').lean();
+      if (!assignee || assignee.role !== 'admin') {
+        throw new DomainError('Cases can only be assigned to admins', 400, 'invalid_assignee');
+      }
+    }
+
+    const updated = await ModerationCaseModel.findOneAndUpdate(
+      { _id: caseId, status: 'open' },
+      { $set: { assignedTo: assigneeId || null, assignedAt: assigneeId ? new Date() : null } },
+      { new: true }
+    ).lean();
+    if (!updated) {
+      throw new DomainError('Moderation case is already closed', 409, 'case_closed');
+    }
+
+    // Reports of an assigned case are under review
+    if (assigneeId) {
+      await UserReportModel.updateMany({ caseId, status: 'pending' }, { $set: { status: 'reviewed' } });
+    }
+
+    await auditWriter.write({
+      actor: { type: 'admin', id: adminId },
+      action: 'moderation_case_assign',
+      entity: { type: 'ModerationCase', id: caseId },
+      reason: reason || (assigneeId ? 'Case assigned' : 'Case unassigned'),
+      delta: {
+        before: { assignedTo: moderationCase.assignedTo ? moderationCase.assignedTo.toString() : null },
+        after: { assignedTo: assigneeId || null }
+      },
+      correlationId
+    });
+
+    console.log(
+      `[ModerationCaseService] Case assigned | caseId: ${caseId} | assignedTo: ${assigneeId || null} | adminId: ${adminId} | correlationId: ${correlationId}`
+    );
+
+    return this.getCase(caseId);
+  }
+
+  /**
+   * Link moderation notes and evidence to an open case
+   * @param {string} caseId
+   * @param {Object} links - { noteIds, evidenceIds }
+   * @param {Object} options - { adminId, correlationId }
+   * @returns {Promise<Object>} Case (see getCase)
+   * @throws {DomainError} case_not_found (404), case_closed (409), unknown_links (400)
+   */
+  async link(caseId, { noteIds = [], evidenceIds = [] }, { adminId, correlationId = null }) {
+    await this._getOpenCase(caseId);
+
+    const [notes, evidence] = await Promise.all([
+      noteIds.length > 0 ? ModerationNote.find({ _id: { $in: noteIds } }).select('_id').lean() : [],
+      evidenceIds.length > 0 ? Evidence.find({ evidenceId: { $in: evidenceIds } }).select('evidenceId').lean() : []
+    ]);
+
+    const foundNotes = notes.map((note) => note._id.toString());
+    const foundEvidence = evidence.map((item) => item.evidenceId);
+    const missing = [
+      ...noteIds.filter((id) => !foundNotes.includes(id)).map((id) => ({ field: 'noteIds', issue: `Unknown note ${id}` })),
+      ...evidenceIds.filter((id) => !foundEvidence.includes(id)).map((id) => ({ field: 'evidenceIds', issue: `Unknown evidence ${id}` }))
+    ];
+    if (missing.length > 0) {
+      throw new DomainError('Unknown notes or evidence', 400, 'unknown_links', missing);
+    }
+
+    const updated = await ModerationCaseModel.findOneAndUpdate(
+      { _id: caseId, status: 'open' },
+      { $addToSet: { noteIds: { $each: noteIds }, evidenceIds: { $each: evidenceIds } } },
+      { new: true }
+    ).lean();
+    if (!updated) {
+      throw new DomainError('Moderation case is already closed', 409, 'case_closed');
+    }
+
+    await auditWriter.write({
+      actor: { type: 'admin', id: adminId },
+      action: 'moderation_case_link',
+      entity: { type: 'ModerationCase', id: caseId },
+      reason: 'Notes and evidence linked',
+      delta: { before: null, after: { noteIds, evidenceIds } },
+      correlationId
+    });
+
+    return this.getCase(caseId);
+  }
+
+  /**
+   * Close an open case: apply the outcome to its user, resolve its reports
+   * and notify the reporters
+   *
+   * @param {string} caseId
+   * @param {Object} resolution - { outcome: dismissed|warning|publish_ban|suspension, reason, banUntil, adminId, correlationId }
+   * @returns {Promise<Object>} Case (see getCase)
+   * @throws {DomainError} case_not_found (404), user_not_found (404), case_closed (409), not_a_driver (409)
+   */
+  async close(caseId, { outcome, reason, banUntil = null, adminId, correlationId = null }) {
+    const moderationCase = await this._getOpenCase(caseId);
+    const subjectUserId = moderationCase.subjectUserId.toString();
+
+    const subject = await UserModel.findById(subjectUserId).select('role').lean();
+    if (!subject) {
+      throw new DomainError('User not found', 404, 'user_not_found');
+    }
+    if (outcome === 'publish_ban' && subject.role !== 'driver') {
+      throw new DomainError('Only drivers can be banned from publishing trips', 409, 'not_a_driver');
+    }
+
+    const closedAt = new Date();
+    const closed = await ModerationCaseModel.findOneAndUpdate(
+      { _id: caseId, status: 'open' },
+      {
+        $set: {
+          status: 'closed',
+          resolution: { outcome, reason, banUntil: outcome === 'publish_ban' ? new Date(banUntil) : null, closedAt, closedBy: adminId }
+        }
+      },
+      { new: true }
+    ).lean();
+    if (!closed) {
+      throw new DomainError('Moderation case is already closed', 409, 'case_closed');
+    }
+
+    await this._applyOutcome(subjectUserId, { caseId, outcome, reason, banUntil, adminId, correlationId });
+
+    await UserReportModel.updateMany({ caseId }, { $set: { status: 'resolved' } });
+
+    await auditWriter.write({
+      actor: { type: 'admin', id: adminId },
+      action: 'moderation_case_close',
+      entity: { type: 'ModerationCase', id: caseId },
+      reason,
+      delta: {
+        before: { status: 'open' },
+        after: { status: 'closed', outcome, subjectUserId, banUntil: closed.resolution.banUntil }
+      },
+      correlationId
+    });
+
+    // Reporters learn the case was handled, not how
+    const reporterIds = await UserReportModel.distinct('reporterId', { caseId });
+    await NotificationService.createNotifications(
+      reporterIds.map(String).filter((id) => id !== subjectUserId),
+      'user_report.closed',
+      'Revisamos tu reporte',
+      'Cerramos el caso del usuario que reportaste. Gracias por ayudarnos a mantener la comunidad segura.',
+      { caseId: caseId.toString() },
+      correlationId
+    );
+
+    console.log(
+      `[ModerationCaseService] Case closed | caseId: ${caseId} | subjectUserId: ${subjectUserId} | outcome: ${outcome} | adminId: ${adminId} | correlationId: ${correlationId}`
+    );
+
+    return this.getCase(caseId);
+  }
+
+  /**
+   * Sanction the reported user (same changes and audit actions as the admin endpoints)
+   * @private
+   */
+  async _applyOutcome(subjectUserId, { caseId, outcome, reason, banUntil, adminId, correlationId }) {
+    if (outcome === 'suspension') {
+      const result = await UserSanctionService.suspend(subjectUserId, { adminId, reason });
+      await auditWriter.write({
+        actor: { type: 'admin', id: adminId },
+        action: result.changed ? 'suspend' : 'suspend_attempt',
+        entity: { type: 'User', id: subjectUserId },
+        reason,
+        delta: { before: result.before, after: result.after },
+        correlationId
+      });
+      return;
+    }
+
+    if (outcome === 'publish_ban') {
+      const result = await UserSanctionService.setPublishBan(subjectUserId, { banUntil, reason, adminId });
+      await auditWriter.write({
+        actor: { type: 'admin', id: adminId },
+        action: 'publish_ban',
+        entity: { type: 'User', id: subjectUserId },
+        reason,
+        delta: { before: result.before, after: result.after },
+        correlationId
+      });
+      return;
+    }
+
+    if (outcome === 'warning') {
+      await NotificationService.createNotification(
+        subjectUserId,
+        'moderation.warning',
+        'Advertencia de moderación',
+        `Revisamos reportes de otros usuarios sobre ti: ${reason}`,
+        { caseId: caseId.toString() },
+        correlationId
+      );
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _getOpenCase(caseId) {
+    const moderationCase = await ModerationCaseModel.findById(caseId).lean();
+    if (!moderationCase) {
+      throw new DomainError('Moderation case not found', 404, 'case_not_found');
+    }
+    if (moderationCase.status !== 'open') {
+      throw new DomainError('Moderation case is already closed', 409, 'case_closed');
+    }
+    return moderationCase;
+  }
+
+  /**
+   * Count reports into the open case of a user, opening it if there is none
+   * @private
+   */
+  async _addReportsToOpenCase(subjectUserId, count, lastReportAt) {
+    const upsert = () => ModerationCaseModel.findOneAndUpdate(
+      { subjectUserId, status: 'open' },
+      { $inc: { reportCount: count }, $max: { lastReportAt } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    try {
+      return await upsert();
+    } catch (error) {
+      // A concurrent report opened the case first: join it
+      if (error.code === 11000) return upsert();
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _pagination(page, pageSize) {
+    const pageNum = parseInt(page, 10) || 1;
+    const size = Math.min(parseInt(pageSize, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    return { pageNum, size };
+  }
+
+  /**
+   * @private
+   */
+  _toUser(user) {
+    if (!user || !user._id) {
+      return user ? { id: user.toString() } : null;
+    }
+    return {
+      id: user._id.toString(),
+      firstName: user.firstName,
+      lastName: user.lastName,
+      role: user.role,
+      suspended: !!user.suspended
+    };
+  }
+
+  /**
+   * @private
+   */
+  _toReport(report) {
+    return {
+      id: report._id.toString(),
+      reportedUser: this._toUser(report.reportedUserId),
+      reporter: this._toUser(report.reporterId),
+      tripId: report.tripId.toString(),
+      category: report.category,
+      reason: report.reason || '',
+      messageId: report.messageId ? report.messageId.toString() : null,
+      messageBody: report.messageBody || null,
+      status: report.status || 'pending',
+      caseId: report.caseId ? report.caseId.toString() : null,
+      createdAt: report.createdAt
+    };
+  }
+
+  /**
+   * @private
+   */
+  _toCase(moderationCase) {
+    return {
+      id: moderationCase._id.toString(),
+      subject: this._toUser(moderationCase.subjectUserId),
+      status: moderationCase.status,
+      reportCount: moderationCase.reportCount,
+      lastReportAt: moderationCase.lastReportAt,
+      assignedTo: moderationCase.assignedTo ? moderationCase.assignedTo.toString() : null,
+      assignedAt: moderationCase.assignedAt,
+      noteIds: (moderationCase.noteIds || []).map(String),
+      evidenceIds: moderationCase.evidenceIds || [],
+      resolution: moderationCase.resolution
+        ? {
+          outcome: moderationCase.resolution.outcome,
+          reason: moderationCase.resolution.reason,
+          banUntil: moderationCase.resolution.banUntil,
+          closedAt: moderationCase.resolution.closedAt,
+          closedBy: moderationCase.resolution.closedBy ? moderationCase.resolution.closedBy.toString() : null
+        }
+        : null,
+      createdAt: moderationCase.createdAt,
+      updatedAt: moderationCase.updatedAt
+    };
+  }
+}
+
+module.exports = ModerationCaseService;
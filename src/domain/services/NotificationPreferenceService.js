@@ -0,0 +1,112 @@
+/**
+ * NotificationPreferenceService
+ *
+ * Reads and updates per-user notification preferences and answers, for
+ * every notification path, whether a type/channel may be delivered now.
+ *
+ * Locked pairs (notificationPreferencesConfig) cannot be disabled and are
+ * always delivered.
+ */
+
+const DomainError = require('../errors/DomainError');
+const NotificationPreferences = require('../entities/NotificationPreferences');
+
+class NotificationPreferenceService {
+  constructor(userRepository) {
+    this.userRepository = userRepository;
+  }
+
+  /**
+   * Build a NotificationPreferenceService wired to the Mongo user repository
+   * @returns {NotificationPreferenceService}
+   */
+  static createDefault() {
+    const MongoUserRepository = require('../../infrastructure/repositories/MongoUserRepository');
+    return new NotificationPreferenceService(new MongoUserRepository());
+  }
+
+  /**
+   * Preferences of a user (defaults if never saved)
+   * @param {string} userId
+   * @returns {Promise<NotificationPreferences>}
+   * @throws {DomainError} user_not_found (404)
+   */
+  async getPreferences(userId) {
+    const preferences = await this.userRepository.getNotificationPreferences(userId);
+    if (!preferences) {
+      throw new DomainError('User not found', 404, 'user_not_found');
+    }
+    return preferences;
+  }
+
+  /**
+   * Apply a partial update to the preferences of a user
+   * @param {string} userId
+   * @param {Object} patch - { channels, types, quietHours }
+   * @returns {Promise<NotificationPreferences>} Stored preferences
+   * @throws {DomainError} preference_locked (403) if a locked type/channel is disabled
+   */
+  async updatePreferences(userId, patch) {
+    const current = await this.getPreferences(userId);
+
+    const { preferences, lockedViolations } = current.applyPatch(patch);
+    if (lockedViolations.length > 0) {
+      throw new DomainError(
+        'One or more notification channels cannot be disabled',
+        403,
+        'preference_locked',
+        lockedViolations.map(({ type, channel }) => ({ field: `types.${type}.${channel}`, issue: 'locked' }))
+      );
+    }
+
+    const saved = await this.userRepository.updateNotificationPreferences(userId, preferences);
+
+    console.log(
+      `[NotificationPreferenceService] Preferences updated | userId: ${userId} | typeOverrides: ${Object.keys(saved.types).length} | quietHours: ${saved.quietHours.enabled}`
+    );
+
+    return saved;
+  }
+
+  /**
+   * Whether a notification may be delivered to a user on a channel
+   * Lookup failures fall back to the default preferences so a preference
+   * read never blocks a notification.
+   *
+   * @param {string} userId
+   * @param {string} type - Notification type
+   * @param {string} channel - email | inApp | push
+   * @param {Date} at - Delivery instant
+   * @returns {Promise<Object>} { allowed, reason, holdUntil } (holdUntil for quiet_hours)
+   */
+  async evaluate(userId, type, channel, at = new Date()) {
+    let preferences = null;
+    try {
+      preferences = await this.userRepository.getNotificationPreferences(userId);
+    } catch (error) {
+      console.warn(
+        `[NotificationPreferenceService] Preference lookup failed, using defaults | userId: ${userId} | error: ${error.message}`
+      );
+    }
+    return (preferences || new NotificationPreferences()).evaluate(type, channel, at);
+  }
+
+  /**
+   * Split recipients of a bulk notification by their preferences
+   * @param {string[]} userIds
+   * @param {string} type - Notification type
+   * @param {string} channel - email | inApp | push
+   * @returns {Promise<Object>} { allowed: string[], skipped: string[] }
+   */
+  async filterRecipients(userIds, type, channel) {
+    const allowed = [];
+    const skipped = [];
+    for (const userId of userIds) {
+      const decision = await this.evaluate(userId, type, channel);
+      (decision.allowed ? allowed : skipped).push(userId);
+    }
+    return { allowed, skipped };
+  }
+}
+
+module.exports = NotificationPreferenceService;
@@ -3,11 +3,40 @@
  * 
  * Service for creating in-app notifications automatically.
  * Handles notification creation with proper error handling (failures don't break main flow).
+ * Notifications the user disabled in their preferences are skipped.
  */
 
 const InAppNotification = require('../../infrastructure/database/models/InAppNotificationModel');
+const notificationMetrics = require('./notificationMetrics');
+const realtimeService = require('./realtimeService');
+
+let preferenceService = null;
 
 class NotificationService {
+  /**
+   * Lazily resolve the NotificationPreferenceService
+   * @private
+   */
+  static _getPreferenceService() {
+    if (!preferenceService) {
+      const NotificationPreferenceService = require('./NotificationPreferenceService');
+      preferenceService = NotificationPreferenceService.createDefault();
+    }
+    return preferenceService;
+  }
+
+  /**
+   * Record in-app notifications skipped by user preferences
+   * @private
+   */
+  static async _recordSkipped(type, count) {
+    try {
+      await notificationMetrics.increment({ type, channel: 'inApp', deltas: { skippedByPreferences: count } });
+    } catch (e) {
+      console.warn('[NotificationService] metrics increment failed for inApp skippedByPreferences', e.message);
+    }
+  }
+
   /**
    * Create an in-app notification
    * 
@@ -17,7 +46,7 @@ class NotificationService {
    * @param {string} body - Notification body/message
    * @param {Object} data - Additional data/metadata
    * @param {string} correlationId - Optional correlation ID for tracking
-   * @returns {Promise<Object|null>} Created notification or null if failed
+   * @returns {Promise<Object|null>} Created notification, or null if failed or disabled by the user
    */
   static async createNotification(userId, type, title, body = '', data = {}, correlationId = null) {
     try {
@@ -26,6 +55,13 @@ class NotificationService {
         return null;
       }
 
+      const decision = await NotificationService._getPreferenceService().evaluate(userId, type, 'inApp');
+      if (!decision.allowed) {
+        console.log(`[NotificationService] Notification skipped by preferences | userId: ${userId} | type: ${type}`);
+        await NotificationService._recordSkipped(type, 1);
+        return null;
+      }
+
       const notification = await InAppNotification.create({
         userId,
         type,
@@ -37,6 +73,7 @@ class NotificationService {
       });
 
       console.log(`[NotificationService] Notification created | userId: ${userId} | type: ${type} | id: ${notification._id}`);
+      await realtimeService.publishNotification(notification);
       return notification;
     } catch (error) {
       // Don't throw - notification failures shouldn't break main business logic
@@ -62,7 +99,23 @@ class NotificationService {
     }
 
     let successCount = 0;
-    const notifications = userIds.map(userId => ({
+    let recipients = userIds;
+    try {
+      const { allowed, skipped } = await NotificationService._getPreferenceService().filterRecipients(userIds, type, 'inApp');
+      recipients = allowed;
+      if (skipped.length > 0) {
+        console.log(`[NotificationService] Notifications skipped by preferences | type: ${type} | skipped: ${skipped.length}`);
+        await NotificationService._recordSkipped(type, skipped.length);
+      }
+    } catch (error) {
+      console.warn(`[NotificationService] Preference filtering failed, notifying all | type: ${type}`, error.message);
+    }
+
+    if (recipients.length === 0) {
+      return 0;
+    }
+
+    const notifications = recipients.map(userId => ({
       userId,
       type,
       title,
@@ -72,20 +125,27 @@ class NotificationService {
       isRead: false
     }));
 
+    let created = [];
     try {
       const result = await InAppNotification.insertMany(notifications, { ordered: false });
+      created = result;
       successCount = result.length;
       console.log(`[NotificationService] Created ${successCount} notifications | type: ${type} | total users: ${userIds.length}`);
     } catch (error) {
       // insertMany may partially succeed - count successful insertions
       if (error.writeErrors) {
-        successCount = userIds.length - error.writeErrors.length;
+        successCount = recipients.length - error.writeErrors.length;
+        created = error.insertedDocs || [];
         console.warn(`[NotificationService] Partial success creating notifications | succeeded: ${successCount} | failed: ${error.writeErrors.length}`);
       } else {
         console.error(`[NotificationService] Failed to create notifications | type: ${type}`, error.message);
       }
     }
 
+    for (const notification of created) {
+      await realtimeService.publishNotification(notification);
+    }
+
     return successCount;
   }
 }
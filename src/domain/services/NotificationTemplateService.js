@@ -1,15 +1,20 @@
 /**
  * NotificationTemplateService
  *
- * Simple template renderer for notification previews.
+ * Generic renderer for notification templates.
+ * - Uses the published version of { type, locale } from the template store,
+ *   falling back to the default locale and then to the built-in templates
+ * - Resolves partials ({{> name}}), i18n keys ({{t 'key'}}) and variables
+ *   ({{name}}, {{name | currency|time|date}})
  * - Read-only: does not send or persist anything
- * - Returns { subject, html, text }
- *
- * This is a minimal renderer used by admin preview endpoints.
+ * - Returns { subject, html, text } (null for unknown types)
  */
 
 const sanitizeHtml = require('sanitize-html');
 const { htmlToText } = require('html-to-text');
+const defaultTemplateRegistry = require('./templateRegistry');
+const { extractPartialRefs } = require('./templateRegistry');
+const { getDefaultTemplate } = require('../config/defaultNotificationTemplates');
 let inlineCss;
 try {
   // optional dependency at runtime
@@ -18,14 +23,12 @@ try {
   inlineCss = null;
 }
 
+// Partials may include partials, up to this depth (guards against cycles)
+const MAX_PARTIAL_DEPTH = 5;
+
 class NotificationTemplateService {
-  constructor() {
-    // metadata describing required variables per template
-    this.templateMeta = {
-      'payment.succeeded': {
-        required: ['firstName', 'amount', 'currency']
-      }
-    };
+  constructor(templateRegistry = defaultTemplateRegistry) {
+    this.templateRegistry = templateRegistry;
     // sanitize-html allowlist
     this.sanitizeOptions = {
       allowedTags: sanitizeHtml.defaults.allowedTags.concat([ 'img' ]),
@@ -39,60 +42,134 @@ class NotificationTemplateService {
   }
 
   async render(channel, type, variables = {}, locale = 'en', options = { sanitize: true, inlineCss: false }) {
-    // Normalize
-    const ch = (channel || '').toLowerCase();
-    const t = type;
+    const template = await this.resolveTemplate(type, locale);
+    if (!template) {
+      // Unsupported template type
+      return null;
+    }
 
     // Ensure required variables are present for the template
-    const meta = this.templateMeta[t];
-    if (meta && Array.isArray(meta.required)) {
-      const missing = meta.required.filter(k => variables[k] === undefined || variables[k] === null || variables[k] === '');
-      if (missing.length) {
-        throw { code: 'invalid_schema', message: `Variables missing: ${missing.join(', ')}` };
+    const required = Array.isArray(template.schema && template.schema.required) ? template.schema.required : [];
+    const missing = required.filter(k => variables[k] === undefined || variables[k] === null || variables[k] === '');
+    if (missing.length) {
+      throw { code: 'invalid_schema', message: `Variables missing: ${missing.join(', ')}` };
+    }
+
+    const compile = (str, escape) =>
+      this._interpolate(this._resolvePartials(str, template.partials || {}), variables, locale, escape);
+
+    const subject = compile(template.subject, false);
+    let html = compile(template.html, true);
+    let text = compile(template.text, false);
+
+    // Post-process: sanitize, inline CSS (optional), and ensure text fallback
+    if (options && options.sanitize) {
+      html = sanitizeHtml(html, this.sanitizeOptions);
+    }
+
+    if (options && options.inlineCss && inlineCss && html) {
+      try {
+        // inlineCss expects a promise; provide a base URL placeholder
+        html = await inlineCss(html, { url: ' ' });
+      } catch (e) {
+        // If inlining fails, continue with sanitized HTML
+      }
+    }
+
+    // Templates without a text version get one generated from the sanitized HTML
+    if (!text && html) {
+      try {
+        text = htmlToText(html, { wordwrap: 130 });
+      } catch (e) {
+        text = '';
       }
     }
 
-    switch (t) {
-      case 'payment.succeeded': {
-        const out = this._renderPaymentSucceeded(ch, variables, locale);
-        // Post-process: sanitize, inline CSS (optional), and ensure text fallback
-        let html = out.html || '';
-        let text = out.text || '';
-
-        if (options && options.sanitize) {
-          html = sanitizeHtml(html, this.sanitizeOptions);
-        }
-
-        if (options && options.inlineCss && inlineCss) {
-          try {
-            // inlineCss expects a promise; provide a base URL placeholder
-            // eslint-disable-next-line no-await-in-loop
-            html = await inlineCss(html, { url: ' ' });
-          } catch (e) {
-            // If inlining fails, continue with sanitized HTML
-            // log silently in tests; caller can enable debug logs if desired
-          }
-        }
-
-        // Always generate plain-text from sanitized HTML to avoid leaking raw input
-        try {
-          text = htmlToText(html, { wordwrap: 130 });
-        } catch (e) {
-          text = out.text || '';
-        }
-
-        return { subject: out.subject, html, text };
+    return { subject, html, text };
+  }
+
+  /**
+   * Template to render for { type, locale }: published version in the store
+   * (locale, then default locale), else the built-in template
+   * @returns {Promise<Object|null>} { subject, html, text, schema, partials, version }
+   */
+  async resolveTemplate(type, locale) {
+    const stored = await this.templateRegistry.getPublished(type, locale);
+    if (stored) return stored;
+
+    for (const loc of this.templateRegistry.localeChain(locale)) {
+      const builtIn = getDefaultTemplate(type, loc);
+      if (builtIn) return builtIn;
+    }
+    return null;
+  }
+
+  /**
+   * Replace {{> name}} references with the partial bodies
+   * @private
+   */
+  _resolvePartials(str, partials, depth = 0) {
+    if (!str) return '';
+    const refs = extractPartialRefs(str);
+    if (refs.length === 0) return str;
+    if (depth >= MAX_PARTIAL_DEPTH) {
+      throw { code: 'invalid_template', message: `Partials nested more than ${MAX_PARTIAL_DEPTH} levels` };
+    }
+
+    let out = str;
+    for (const ref of refs) {
+      if (typeof partials[ref] !== 'string') {
+        throw { code: 'missing_partial', message: `Missing partial: ${ref}` };
       }
+      const body = this._resolvePartials(partials[ref], partials, depth + 1);
+      out = out.replace(new RegExp(`{{>\\s*${ref.replace(/[.\-]/g, '\\$&')}\\s*}}`, 'g'), () => body);
+    }
+    return out;
+  }
+
+  /**
+   * Replace i18n keys and variables
+   * @private
+   */
+  _interpolate(str, variables, locale, escape) {
+    if (!str) return '';
+    const safe = (value) => (escape ? this._escapeHtml(value) : value);
+
+    return str
+      .replace(/{{\s*t\s+['"]([^'"]+)['"]\s*}}/g, (match, key) => {
+        const value = this.templateRegistry.translate(key, locale);
+        return safe(value === null ? key : value);
+      })
+      .replace(/{{\s*([a-zA-Z0-9_.]+)\s*(?:\|\s*([a-zA-Z]+)\s*)?}}/g, (match, name, filter) => {
+        const value = name.split('.').reduce((acc, part) => (acc == null ? undefined : acc[part]), variables);
+        return safe(this._applyFilter(filter, value, variables, locale));
+      });
+  }
 
+  /**
+   * @private
+   */
+  _applyFilter(filter, value, variables, locale) {
+    switch (filter) {
+      case 'currency': {
+        const amount = typeof value === 'number' ? value : Number(value || 0);
+        return this._formatCurrency(amount, variables.currency, locale);
+      }
+      case 'time':
+        return this._formatTime(value, locale);
+      case 'date':
+        return this._formatDate(value, locale);
       default:
-        // Unsupported template type
-        return null;
+        return value === undefined || value === null ? '' : String(value);
     }
   }
 
-  _safeFirstName(v) {
-    if (!v || typeof v !== 'string') return 'Customer';
-    return v;
+  _escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
   }
 
   _formatCurrency(amount, currency, locale) {
@@ -124,45 +201,11 @@ class NotificationTemplateService {
     }
   }
 
-  _renderPaymentSucceeded(channel, vars, locale) {
-    const firstName = this._safeFirstName(vars.firstName);
-    const amount = typeof vars.amount === 'number' ? vars.amount : Number(vars.amount || 0);
-    const currency = vars.currency || 'COP';
-
-    const formattedAmount = this._formatCurrency(amount, currency, locale);
-    const timeStr = this._formatTime(vars.tripTime, locale);
-
-    // Build templates per locale
-    if (locale === 'es') {
-      const subject = '¡Tu pago fue exitoso!';
-  const html = `<h1>Gracias, ${firstName}!</h1><p>Tu pago de ${formattedAmount} fue exitoso para el viaje a las ${timeStr}.</p>`;
-  const text = `Gracias, ${firstName}! Tu pago de ${formattedAmount} fue exitoso para el viaje a las ${timeStr}.`;
-
-      if (channel === 'in-app') {
-        return {
-          subject: 'Pago recibido',
-          html: `<strong>Gracias, ${firstName}!</strong> Tu pago de ${formattedAmount} fue registrado para el viaje a las ${timeStr}.`,
-          text: `Gracias, ${firstName}! Pago de ${formattedAmount} registrado para el viaje a las ${timeStr}.`
-        };
-      }
-
-    return { subject, html, text };
-    }
-
-    // Default: English
-    const subject = 'Your payment was successful';
-    const html = `<h1>Thanks, ${firstName}!</h1><p>Your payment of ${formattedAmount} was successful for the trip at ${timeStr}.</p>`;
-    const text = `Thanks, ${firstName}! Your payment of ${formattedAmount} was successful for the trip at ${timeStr}.`;
-
-    if (channel === 'in-app') {
-      return {
-        subject: 'Payment received',
-        html: `<strong>Thanks, ${firstName}!</strong> Your payment of ${formattedAmount} was recorded for the trip at ${timeStr}.`,
-        text: `Thanks, ${firstName}! Payment of ${formattedAmount} recorded for the trip at ${timeStr}.`
-      };
-    }
-
-    return { subject, html, text };
+  _formatDate(isoString, locale) {
+    if (!isoString) return '';
+    const d = new Date(isoString);
+    if (Number.isNaN(d.getTime())) return '';
+    return d.toLocaleDateString(locale === 'es' ? 'es-CO' : 'en-US', { year: 'numeric', month: 'long', day: 'numeric' });
   }
 }
 
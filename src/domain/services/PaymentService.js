@@ -0,0 +1,335 @@
+/**
+ * PaymentService (US-4.1 / US-4.2)
+ *
+ * Business logic for booking payments and refunds.
+ *
+ * Flow:
+ * 1. Driver accepts a booking → a payment intent is created with the provider
+ * 2. Passenger confirms the intent client-side using its clientSecret
+ * 3. Provider webhook (payment_intent.succeeded) marks payment succeeded and booking isPaid
+ * 4. Canceled paid bookings (refundNeeded) are refunded by RefundService
+ *
+ * The provider is injected (Stripe in production, offline fake in dev/tests).
+ */
+
+const DomainError = require('../errors/DomainError');
+const InvalidBookingStateError = require('../errors/InvalidBookingStateError');
+const BookingAlreadyPaidError = require('../errors/BookingAlreadyPaidError');
+const DuplicatePaymentError = require('../errors/DuplicatePaymentError');
+const RefundService = require('./RefundService');
+const NotificationService = require('./NotificationService');
+
+const PAYMENT_CURRENCY = (process.env.PAYMENT_CURRENCY || 'COP').toUpperCase();
+
+// Statuses a webhook may move a payment from. Event delivery is unordered, so
+// a late processing/failed/canceled event must not undo a settled payment.
+// A success is always recorded: money was taken, so a canceled booking gets refunded.
+const WEBHOOK_TRANSITIONS = {
+  processing: ['requires_payment', 'failed'],
+  failed: ['requires_payment', 'processing'],
+  canceled: ['requires_payment', 'processing', 'failed'],
+  succeeded: ['requires_payment', 'processing', 'failed', 'canceled']
+};
+
+class PaymentService {
+  constructor(paymentRepository, refundService, bookingRequestRepository, tripOfferRepository, paymentProvider) {
+    this.paymentRepository = paymentRepository;
+    this.refundService = refundService;
+    this.bookingRequestRepository = bookingRequestRepository;
+    this.tripOfferRepository = tripOfferRepository;
+    this.paymentProvider = paymentProvider;
+  }
+
+  /**
+   * Build a PaymentService wired to the Mongo repositories and configured provider
+   * @returns {PaymentService}
+   */
+  static createDefault() {
+    const MongoPaymentRepository = require('../../infrastructure/repositories/MongoPaymentRepository');
+    const MongoBookingRequestRepository = require('../../infrastructure/repositories/MongoBookingRequestRepository');
+    const MongoTripOfferRepository = require('../../infrastructure/repositories/MongoTripOfferRepository');
+    const { getPaymentProvider } = require('../../infrastructure/paymentProviders');
+
+    return new PaymentService(
+      new MongoPaymentRepository(),
+      RefundService.createDefault(),
+      new MongoBookingRequestRepository(),
+      new MongoTripOfferRepository(),
+      getPaymentProvider()
+    );
+  }
+
+  /**
+   * Create the payment for an accepted booking (called when the driver accepts)
+   * Idempotent: returns the existing payment if one was already created.
+   * Free trips (price 0) are settled immediately without the provider.
+   *
+   * @param {BookingRequest} booking - Accepted booking
+   * @param {TripOffer} trip - Booked trip
+   * @returns {Promise<Payment>} Payment (with clientSecret)
+   * @throws {InvalidBookingStateError} if booking is not accepted
+   */
+  async createPaymentForBooking(booking, trip) {
+    if (booking.status !== 'accepted') {
+      throw new InvalidBookingStateError(undefined, { bookingId: booking.id, status: booking.status });
+    }
+
+    const existing = await this.paymentRepository.findByBookingId(booking.id, { withClientSecret: true });
+    if (existing) {
+      return existing;
+    }
+
+    const amount = trip.pricePerSeat * booking.seats;
+    const paymentData = {
+      bookingRequestId: booking.id,
+      tripId: trip.id,
+      passengerId: booking.passengerId,
+      driverId: trip.driverId,
+      amount,
+      currency: PAYMENT_CURRENCY
+    };
+
+    try {
+      if (amount === 0) {
+        const payment = await this.paymentRepository.create({
+          ...paymentData,
+          provider: 'none',
+          providerPaymentIntentId: `free_${booking.id}`,
+          status: 'succeeded',
+          paidAt: new Date()
+        });
+        await this.bookingRequestRepository.markPaid(booking.id);
+        return payment;
+      }
+
+      const intent = await this.paymentProvider.createPaymentIntent({
+        amount,
+        currency: PAYMENT_CURRENCY,
+        metadata: { bookingId: booking.id, tripId: trip.id, passengerId: booking.passengerId },
+        idempotencyKey: `booking_${booking.id}_payment`
+      });
+
+      const payment = await this.paymentRepository.create({
+        ...paymentData,
+        provider: this.paymentProvider.name,
+        providerPaymentIntentId: intent.id,
+        clientSecret: intent.clientSecret
+      });
+
+      console.log(
+        `[PaymentService] Payment intent created | bookingId: ${booking.id} | paymentId: ${payment.id} | amount: ${amount} ${PAYMENT_CURRENCY}`
+      );
+
+      return payment;
+    } catch (error) {
+      if (error instanceof DuplicatePaymentError) {
+        // Concurrent creation: the other request won
+        return this.paymentRepository.findByBookingId(booking.id, { withClientSecret: true });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get (or create) the payment intent for a passenger's accepted booking
+   *
+   * @param {string} bookingId - Booking request ID
+   * @param {string} passengerId - Requesting passenger ID
+   * @returns {Promise<Payment>} Payment with clientSecret
+   * @throws {DomainError} booking_not_found (404), forbidden_owner (403)
+   * @throws {InvalidBookingStateError} if booking is not accepted
+   * @throws {BookingAlreadyPaidError} if payment already succeeded
+   */
+  async getOrCreatePaymentIntent(bookingId, passengerId) {
+    const booking = await this.bookingRequestRepository.findById(bookingId);
+    if (!booking) {
+      throw new DomainError('Booking request not found', 404, 'booking_not_found');
+    }
+
+    if (!booking.belongsToPassenger(passengerId)) {
+      throw new DomainError('You cannot access this booking request', 403, 'forbidden_owner');
+    }
+
+    if (booking.isPaid) {
+      throw new BookingAlreadyPaidError(undefined, { bookingId });
+    }
+
+    if (booking.status !== 'accepted') {
+      throw new InvalidBookingStateError(undefined, { bookingId, status: booking.status });
+    }
+
+    const payment = await this.paymentRepository.findByBookingId(bookingId, { withClientSecret: true });
+    if (payment) {
+      if (payment.isSucceeded()) {
+        throw new BookingAlreadyPaidError(undefined, { bookingId });
+      }
+
+      // A failed attempt can be retried with the same intent
+      if (payment.status === 'failed') {
+        await this.paymentRepository.updateStatus(payment.id, { status: 'requires_payment', failureReason: null });
+        payment.status = 'requires_payment';
+      }
+      return payment;
+    }
+
+    const trip = await this.tripOfferRepository.findById(booking.tripId);
+    if (!trip) {
+      throw new DomainError('Trip offer not found', 404, 'trip_not_found');
+    }
+
+    return this.createPaymentForBooking(booking, trip);
+  }
+
+  /**
+   * Get payment for a booking (passenger owner or trip driver)
+   *
+   * @param {string} bookingId - Booking request ID
+   * @param {string} userId - Requesting user ID
+   * @returns {Promise<Payment>}
+   * @throws {DomainError} booking_not_found / payment_not_found (404), forbidden_owner (403)
+   */
+  async getPaymentForBooking(bookingId, userId) {
+    const booking = await this.bookingRequestRepository.findById(bookingId);
+    if (!booking) {
+      throw new DomainError('Booking request not found', 404, 'booking_not_found');
+    }
+
+    const payment = await this.paymentRepository.findByBookingId(bookingId);
+
+    if (!booking.belongsToPassenger(userId) && (!payment || payment.driverId !== userId)) {
+      throw new DomainError('You cannot access this booking request', 403, 'forbidden_owner');
+    }
+
+    if (!payment) {
+      throw new DomainError('No payment exists for this booking', 404, 'payment_not_found');
+    }
+
+    return payment;
+  }
+
+  /**
+   * Apply a verified provider webhook event
+   * Idempotent: each event ID is applied at most once per payment. Status
+   * changes are guarded (WEBHOOK_TRANSITIONS): an out-of-order event that
+   * would move the payment backwards is acknowledged as stale and ignored.
+   *
+   * @param {Object} event - Provider event ({ id, type, data: { object } })
+   * @returns {Promise<Object>} { handled, duplicate, stale }
+   */
+  async handleWebhookEvent(event) {
+    const object = (event.data && event.data.object) || {};
+
+    switch (event.type) {
+      case 'payment_intent.succeeded':
+        return this._applyIntentEvent(event, object.id, async (payment) => {
+          const updated = await this._transition(payment, {
+            status: 'succeeded',
+            paidAt: new Date(),
+            failureReason: null
+          });
+          if (!updated) return false;
+
+          await this.bookingRequestRepository.markPaid(payment.bookingRequestId);
+
+          await NotificationService.createNotification(
+            payment.passengerId,
+            'payment.succeeded',
+            'Pago recibido',
+            'Tu pago fue procesado exitosamente.',
+            { bookingId: payment.bookingRequestId, paymentId: payment.id, amount: payment.amount }
+          );
+
+          // Booking canceled while the payment was in flight: queue it for refund
+          const booking = await this.bookingRequestRepository.findById(payment.bookingRequestId);
+          if (booking && !booking.isActive()) {
+            await this.bookingRequestRepository.flagRefundNeeded(payment.bookingRequestId);
+          }
+          return true;
+        });
+
+      case 'payment_intent.processing':
+        return this._applyIntentEvent(event, object.id, async (payment) =>
+          !!(await this._transition(payment, { status: 'processing' }))
+        );
+
+      case 'payment_intent.payment_failed':
+        return this._applyIntentEvent(event, object.id, async (payment) => {
+          const failureReason = (object.last_payment_error && object.last_payment_error.message) || 'Payment failed';
+          const updated = await this._transition(payment, { status: 'failed', failureReason });
+          if (!updated) return false;
+
+          await NotificationService.createNotification(
+            payment.passengerId,
+            'payment.failed',
+            'Pago rechazado',
+            'No pudimos procesar tu pago. Intenta de nuevo.',
+            { bookingId: payment.bookingRequestId, paymentId: payment.id }
+          );
+          return true;
+        });
+
+      case 'payment_intent.canceled':
+        return this._applyIntentEvent(event, object.id, async (payment) =>
+          !!(await this._transition(payment, { status: 'canceled' }))
+        );
+
+      case 'refund.updated':
+      case 'charge.refund.updated':
+        return this.refundService.applyProviderRefundUpdate(object);
+
+      default:
+        console.log(`[PaymentService] Ignoring webhook event | type: ${event.type} | eventId: ${event.id}`);
+        return { handled: false, duplicate: false };
+    }
+  }
+
+  /**
+   * Move a payment to updates.status if it is still in a status the webhook may leave
+   * @private
+   * @returns {Promise<Payment|null>} null when the transition is not allowed (stale event)
+   */
+  _transition(payment, updates) {
+    return this.paymentRepository.updateStatus(payment.id, updates, {
+      fromStatuses: WEBHOOK_TRANSITIONS[updates.status]
+    });
+  }
+
+  /**
+   * Resolve the payment of a payment_intent.* event and apply it once
+   * apply(payment) resolves false when the event is stale (out of order) and changed nothing.
+   * @private
+   */
+  async _applyIntentEvent(event, paymentIntentId, apply) {
+    const payment = await this.paymentRepository.findByProviderPaymentIntentId(paymentIntentId);
+    if (!payment) {
+      console.warn(`[PaymentService] Webhook for unknown payment intent | intentId: ${paymentIntentId} | eventId: ${event.id}`);
+      return { handled: false, duplicate: false };
+    }
+
+    const firstDelivery = await this.paymentRepository.markEventProcessed(payment.id, event.id);
+    if (!firstDelivery) {
+      console.log(`[PaymentService] Duplicate webhook event ignored | eventId: ${event.id} | paymentId: ${payment.id}`);
+      return { handled: true, duplicate: true };
+    }
+
+    let applied;
+    try {
+      applied = await apply(payment);
+    } catch (error) {
+      // Release the event so the provider's retry applies it instead of being dropped as a duplicate
+      await this.paymentRepository.unmarkEventProcessed(payment.id, event.id);
+      console.error(`[PaymentService] Webhook processing failed | type: ${event.type} | eventId: ${event.id} | paymentId: ${payment.id} | error: ${error.message}`);
+      throw error;
+    }
+
+    if (!applied) {
+      console.log(`[PaymentService] Stale webhook event ignored | type: ${event.type} | eventId: ${event.id} | paymentId: ${payment.id}`);
+      return { handled: true, duplicate: false, stale: true };
+    }
+
+    console.log(`[PaymentService] Webhook applied | type: ${event.type} | eventId: ${event.id} | paymentId: ${payment.id}`);
+    return { handled: true, duplicate: false };
+  }
+}
+
+module.exports = PaymentService;
@@ -0,0 +1,419 @@
+/**
+ * RefundService (US-4.2)
+ *
+ * Refund ledger for canceled bookings.
+ *
+ * Flow:
+ * 1. Cancellations set `refundNeeded` on the booking
+ * 2. requestRefundForBooking turns the flag into a `requested` refund record
+ *    (amount from the cancellation outcome) and reserves it on the payment
+ * 3. The process-refunds job claims requested refunds (→ processing) and
+ *    calls the payment provider; provider webhooks settle the final state
+ *
+ * Every step is idempotent: one cancellation refund per booking
+ * (idempotencyKey), and the same key is sent to the provider.
+ */
+
+const DomainError = require('../errors/DomainError');
+const DuplicateRefundError = require('../errors/DuplicateRefundError');
+const NotificationService = require('./NotificationService');
+
+// Processing refunds without provider response for this long are retried
+const STALE_PROCESSING_MINUTES = 15;
+
+class RefundService {
+  constructor(
+    refundRepository,
+    paymentRepository,
+    bookingRequestRepository,
+    tripOfferRepository,
+    paymentProvider,
+    cancellationPolicyService = null
+  ) {
+    this.refundRepository = refundRepository;
+    this.paymentRepository = paymentRepository;
+    this.bookingRequestRepository = bookingRequestRepository;
+    this.tripOfferRepository = tripOfferRepository;
+    this.paymentProvider = paymentProvider;
+    this.cancellationPolicyService = cancellationPolicyService;
+  }
+
+  /**
+   * Lazily resolve the CancellationPolicyService (platform policy + trip overrides)
+   * @private
+   */
+  _getCancellationPolicyService() {
+    if (!this.cancellationPolicyService) {
+      const CancellationPolicyService = require('./CancellationPolicyService');
+      this.cancellationPolicyService = CancellationPolicyService.createDefault();
+    }
+    return this.cancellationPolicyService;
+  }
+
+  /**
+   * Build a RefundService wired to the Mongo repositories and configured provider
+   * @returns {RefundService}
+   */
+  static createDefault() {
+    const MongoRefundRepository = require('../../infrastructure/repositories/MongoRefundRepository');
+    const MongoPaymentRepository = require('../../infrastructure/repositories/MongoPaymentRepository');
+    const MongoBookingRequestRepository = require('../../infrastructure/repositories/MongoBookingRequestRepository');
+    const MongoTripOfferRepository = require('../../infrastructure/repositories/MongoTripOfferRepository');
+    const { getPaymentProvider } = require('../../infrastructure/paymentProviders');
+
+    return new RefundService(
+      new MongoRefundRepository(),
+      new MongoPaymentRepository(),
+      new MongoBookingRequestRepository(),
+      new MongoTripOfferRepository(),
+      getPaymentProvider()
+    );
+  }
+
+  /**
+   * Idempotency key of the cancellation refund of a booking
+   * @param {string} bookingId
+   * @returns {string}
+   */
+  static cancellationKey(bookingId) {
+    return `booking_${bookingId}_cancellation`;
+  }
+
+  /**
+   * Turn a canceled booking into a requested refund
+   * - Paid booking: refund record for the policy amount (or the explicit `amount`)
+   * - Unpaid booking with an open intent: the intent is canceled, no refund
+   * Idempotent: returns the existing refund if the booking was already handled.
+   *
+   * @param {BookingRequest} booking - Canceled booking
+   * @param {Object} options - { amount, reason }
+   * @returns {Promise<Refund|null>} Requested refund, or null if nothing is owed
+   * @throws {DomainError} refund_exceeds_balance (400) if explicit amount is above the refundable balance
+   */
+  async requestRefundForBooking(booking, { amount = null, reason = '' } = {}) {
+    const idempotencyKey = RefundService.cancellationKey(booking.id);
+
+    const existing = await this.refundRepository.findByIdempotencyKey(idempotencyKey);
+    if (existing) {
+      await this.bookingRequestRepository.markRefundRequested(booking.id);
+      return existing;
+    }
+
+    const payment = await this.paymentRepository.findByBookingId(booking.id);
+
+    if (!payment || !payment.isSucceeded()) {
+      if (payment && payment.isOpen()) {
+        await this._cancelOpenPayment(payment);
+      }
+      await this.bookingRequestRepository.markRefundRequested(booking.id);
+      return null;
+    }
+
+    const refundable = payment.getRefundableAmount();
+    let refundPercent = 100;
+    let refundAmount = amount;
+
+    if (refundAmount === null) {
+      const outcome = await this._getOutcome(booking, payment);
+      refundPercent = outcome.refundPercent;
+      refundAmount = Math.min(outcome.refundAmount, refundable);
+    } else {
+      if (refundAmount > refundable) {
+        throw new DomainError(
+          'Refund amount exceeds refundable balance',
+          400,
+          'refund_exceeds_balance',
+          { refundable }
+        );
+      }
+      refundPercent = Math.round((refundAmount / payment.amount) * 100);
+    }
+
+    if (refundAmount <= 0) {
+      console.log(
+        `[RefundService] No refund owed by policy | bookingId: ${booking.id} | status: ${booking.status} | refundPercent: ${refundPercent}`
+      );
+      await this.bookingRequestRepository.markRefundRequested(booking.id);
+      return null;
+    }
+
+    // Reserve the amount on the payment so concurrent refunds cannot exceed it
+    const reserved = await this.paymentRepository.incrementRefundedAmount(payment.id, refundAmount);
+    if (!reserved) {
+      console.warn(
+        `[RefundService] Refundable balance exhausted | bookingId: ${booking.id} | paymentId: ${payment.id} | amount: ${refundAmount}`
+      );
+      await this.bookingRequestRepository.markRefundRequested(booking.id);
+      return null;
+    }
+
+    let refund;
+    try {
+      refund = await this.refundRepository.create({
+        paymentId: payment.id,
+        transactionId: payment.id,
+        bookingRequestId: booking.id,
+        passengerId: payment.passengerId,
+        amount: refundAmount,
+        currency: payment.currency,
+        refundPercent,
+        reason: reason || booking.status,
+        idempotencyKey
+      });
+    } catch (error) {
+      // Release our reservation whatever happened; a duplicate means another request won
+      await this.paymentRepository.incrementRefundedAmount(payment.id, -refundAmount);
+      if (!(error instanceof DuplicateRefundError)) {
+        throw error;
+      }
+      refund = await this.refundRepository.findByIdempotencyKey(idempotencyKey);
+    }
+
+    await this.bookingRequestRepository.markRefundRequested(booking.id);
+
+    console.log(
+      `[RefundService] Refund requested | bookingId: ${booking.id} | refundId: ${refund.id} | amount: ${refund.amount} | refundPercent: ${refund.refundPercent}`
+    );
+
+    return refund;
+  }
+
+  /**
+   * Request refunds for several canceled bookings (trip cancellations)
+   * Bookings are re-read so the policy sees their persisted cancellation state.
+   * Failures are logged per booking and never abort the batch.
+   *
+   * @param {string[]} bookingIds - Booking request IDs
+   * @param {string} reason - Refund reason
+   * @returns {Promise<number>} Number of refunds requested
+   */
+  async requestRefundsForBookings(bookingIds, reason = '') {
+    let requested = 0;
+    for (const bookingId of bookingIds) {
+      try {
+        const booking = await this.bookingRequestRepository.findById(bookingId);
+        if (!booking) continue;
+
+        const refund = await this.requestRefundForBooking(booking, { reason });
+        if (refund && refund.isActive()) requested++;
+      } catch (error) {
+        console.error(`[RefundService] Refund request failed | bookingId: ${bookingId} | error: ${error.message}`);
+      }
+    }
+    return requested;
+  }
+
+  /**
+   * Send a claimed (processing) refund to the payment provider
+   * Provider errors send the refund back to `requested` until attempts are
+   * exhausted; then it fails and the reserved amount is released.
+   *
+   * @param {Refund} refund - Refund claimed by the worker
+   * @returns {Promise<Refund>} Updated refund
+   */
+  async processRefund(refund) {
+    const payment = await this.paymentRepository.findById(refund.paymentId);
+
+    try {
+      const providerRefund = await this.paymentProvider.createRefund({
+        paymentIntentId: payment.providerPaymentIntentId,
+        amount: refund.amount,
+        metadata: { bookingId: refund.bookingRequestId, paymentId: refund.paymentId, refundId: refund.id },
+        idempotencyKey: refund.idempotencyKey
+      });
+
+      const succeeded = providerRefund.status === 'succeeded';
+      const updated = await this.refundRepository.updateStatus(refund.id, {
+        providerRefundId: providerRefund.id,
+        status: succeeded ? 'succeeded' : 'processing',
+        failureReason: null,
+        processedAt: succeeded ? new Date() : null
+      });
+
+      console.log(
+        `[RefundService] Refund sent to provider | refundId: ${refund.id} | providerRefundId: ${providerRefund.id} | status: ${updated.status}`
+      );
+
+      if (succeeded) {
+        await this._notifyRefunded(updated);
+      }
+      return updated;
+    } catch (error) {
+      if (refund.canRetry()) {
+        console.warn(
+          `[RefundService] Provider refund failed, will retry | refundId: ${refund.id} | attempts: ${refund.attempts} | error: ${error.message}`
+        );
+        return this.refundRepository.updateStatus(refund.id, {
+          status: 'requested',
+          failureReason: error.message
+        });
+      }
+
+      console.error(
+        `[RefundService] Provider refund failed permanently | refundId: ${refund.id} | attempts: ${refund.attempts} | error: ${error.message}`
+      );
+      return this._fail(refund, error.message);
+    }
+  }
+
+  /**
+   * Sync refund status from a provider refund object (webhook)
+   * Naturally idempotent: only status transitions are applied.
+   *
+   * @param {Object} providerRefund - Provider refund ({ id, status, failure_reason })
+   * @returns {Promise<Object>} { handled, duplicate }
+   */
+  async applyProviderRefundUpdate(providerRefund) {
+    const refund = await this.refundRepository.findByProviderRefundId(providerRefund.id);
+    if (!refund) {
+      return { handled: false, duplicate: false };
+    }
+
+    const statusMap = { succeeded: 'succeeded', failed: 'failed', canceled: 'failed' };
+    const status = statusMap[providerRefund.status] || 'processing';
+    if (status === refund.status || refund.isSettled()) {
+      return { handled: true, duplicate: true };
+    }
+
+    if (status === 'failed') {
+      await this._fail(refund, providerRefund.failure_reason || 'Refund failed at provider');
+    } else {
+      const updated = await this.refundRepository.updateStatus(refund.id, {
+        status,
+        processedAt: status === 'succeeded' ? new Date() : null
+      });
+      if (status === 'succeeded') {
+        await this._notifyRefunded(updated);
+      }
+    }
+
+    console.log(`[RefundService] Refund updated by provider | refundId: ${refund.id} | status: ${status}`);
+    return { handled: true, duplicate: false };
+  }
+
+  /**
+   * process-refunds job
+   * 1. Requeue refunds stuck in processing
+   * 2. Turn flagged bookings (refundNeeded) into requested refunds
+   * 3. Send requested refunds to the provider
+   *
+   * Idempotent: can be safely run multiple times or concurrently.
+   *
+   * @param {Object} options - { limit }
+   * @returns {Promise<Object>} { ok, requeued, refundsRequested, refundsProcessed, refundsSucceeded, refundsFailed, durationMs }
+   */
+  async runRefundJob({ limit = 100 } = {}) {
+    const startTime = Date.now();
+    console.log(`[RefundService] Starting process-refunds job | limit: ${limit}`);
+
+    const requeued = await this.refundRepository.requeueStaleProcessing(
+      new Date(Date.now() - STALE_PROCESSING_MINUTES * 60 * 1000)
+    );
+
+    const flagged = await this.bookingRequestRepository.findAwaitingRefund(limit);
+    let refundsRequested = 0;
+    for (const booking of flagged) {
+      try {
+        const refund = await this.requestRefundForBooking(booking);
+        if (refund && refund.isActive()) refundsRequested++;
+      } catch (error) {
+        console.error(`[RefundService] Refund request failed | bookingId: ${booking.id} | error: ${error.message}`);
+      }
+    }
+
+    let refundsProcessed = 0;
+    let refundsSucceeded = 0;
+    let refundsFailed = 0;
+    // Refunds requested or sent back for retry during this run are claimed too,
+    // but failed attempts wait for the next run
+    const claimCutoff = new Date();
+    while (refundsProcessed < limit) {
+      const claimed = await this.refundRepository.claimNextRequested(claimCutoff);
+      if (!claimed) break;
+
+      const result = await this.processRefund(claimed);
+      refundsProcessed++;
+      if (result.status === 'succeeded') refundsSucceeded++;
+      if (result.status === 'failed') refundsFailed++;
+    }
+
+    const durationMs = Date.now() - startTime;
+    console.log(
+      `[RefundService] process-refunds job completed | requeued: ${requeued} | refundsRequested: ${refundsRequested} | refundsProcessed: ${refundsProcessed} | refundsSucceeded: ${refundsSucceeded} | refundsFailed: ${refundsFailed} | duration: ${durationMs}ms`
+    );
+
+    return {
+      ok: true,
+      requeued,
+      refundsRequested,
+      refundsProcessed,
+      refundsSucceeded,
+      refundsFailed,
+      durationMs
+    };
+  }
+
+  /**
+   * Cancellation outcome for a paid booking
+   * Uses the outcome stored when the passenger canceled, so later policy
+   * changes never alter what was quoted; computes it otherwise.
+   * @private
+   */
+  async _getOutcome(booking, payment) {
+    const stored = booking.cancellationOutcome;
+    if (stored && stored.amount === payment.amount) {
+      return stored;
+    }
+
+    const trip = await this.tripOfferRepository.findById(booking.tripId);
+    return this._getCancellationPolicyService().computeOutcome(booking, trip, { amount: payment.amount });
+  }
+
+  /**
+   * Mark refund failed and release its reservation on the payment
+   * @private
+   */
+  async _fail(refund, failureReason) {
+    const updated = await this.refundRepository.updateStatus(refund.id, {
+      status: 'failed',
+      failureReason,
+      processedAt: new Date()
+    });
+    await this.paymentRepository.incrementRefundedAmount(refund.paymentId, -refund.amount);
+    return updated;
+  }
+
+  /**
+   * Cancel the open payment intent of a booking that will not be paid anymore
+   * @private
+   */
+  async _cancelOpenPayment(payment) {
+    try {
+      await this.paymentProvider.cancelPaymentIntent(payment.providerPaymentIntentId);
+      await this.paymentRepository.updateStatus(payment.id, { status: 'canceled' });
+      console.log(
+        `[RefundService] Open payment intent canceled | bookingId: ${payment.bookingRequestId} | paymentId: ${payment.id}`
+      );
+    } catch (error) {
+      // If it settles anyway, the payment webhook flags the booking for refund
+      console.warn(
+        `[RefundService] Could not cancel payment intent | paymentId: ${payment.id} | error: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _notifyRefunded(refund) {
+    await NotificationService.createNotification(
+      refund.passengerId,
+      'payment.refunded',
+      'Reembolso realizado',
+      'Hemos reembolsado el pago de tu reserva.',
+      { bookingId: refund.bookingRequestId, refundId: refund.id, amount: refund.amount, currency: refund.currency }
+    );
+  }
+}
+
+module.exports = RefundService;
@@ -0,0 +1,337 @@
+/**
+ * ReviewModerationService
+ *
+ * Report handling for driver reviews (reviews) and passenger reviews
+ * (passenger_reviews):
+ * - A report stays open until a moderator resolves its review
+ * - A visible review moves to `flagged` (out of the rating aggregate) once its
+ *   open reports reach REVIEW_FLAG_THRESHOLD, or the threshold of a single
+ *   category set in REVIEW_FLAG_CATEGORY_THRESHOLDS (e.g. "fraud:2,abuse:2")
+ * - The moderation queue lists flagged reviews with their open reports
+ * - Resolving restores or hides the review, closes its open reports and
+ *   writes an admin audit entry in one operation
+ */
+
+const mongoose = require('mongoose');
+const DomainError = require('../errors/DomainError');
+const auditWriter = require('./auditWriter');
+const RatingAggregateService = require('./ratingAggregateService');
+const ReviewModel = require('../../infrastructure/database/models/ReviewModel');
+const PassengerReviewModel = require('../../infrastructure/database/models/PassengerReviewModel');
+const ReviewReportModel = require('../../infrastructure/database/models/ReviewReportModel');
+const ReviewReportCounterModel = require('../../infrastructure/database/models/ReviewReportCounterModel');
+
+const DEFAULT_FLAG_THRESHOLD = 3;
+const CATEGORIES = ['abuse', 'spam', 'fraud', 'other'];
+
+// Where each kind of review lives and whose aggregate it feeds
+const REVIEW_KINDS = {
+  driver: {
+    Model: ReviewModel,
+    entityType: 'Review',
+    recompute: (review, session) => RatingAggregateService.recomputeAggregate(review.driverId, session)
+  },
+  passenger: {
+    Model: PassengerReviewModel,
+    entityType: 'PassengerReview',
+    recompute: (review, session) => RatingAggregateService.recomputePassengerAggregate(review.passengerId, session)
+  }
+};
+
+const RESOLUTIONS = {
+  restore: { status: 'visible', moderationAction: 'unhide', resolution: 'restored' },
+  hide: { status: 'hidden', moderationAction: 'hide', resolution: 'hidden' }
+};
+
+// Reports created before reports had a status count as open
+const OPEN_REPORT = { status: { $ne: 'closed' } };
+
+class ReviewModerationService {
+  constructor({ flagThreshold = DEFAULT_FLAG_THRESHOLD, categoryThresholds = {} } = {}) {
+    this.flagThreshold = flagThreshold;
+    this.categoryThresholds = categoryThresholds;
+  }
+
+  /**
+   * Build a ReviewModerationService from the environment
+   * REVIEW_FLAG_THRESHOLD and REVIEW_FLAG_CATEGORY_THRESHOLDS override the defaults.
+   * @returns {ReviewModerationService}
+   */
+  static createDefault() {
+    const flagThreshold = parseInt(process.env.REVIEW_FLAG_THRESHOLD, 10);
+
+    return new ReviewModerationService({
+      flagThreshold: flagThreshold > 0 ? flagThreshold : DEFAULT_FLAG_THRESHOLD,
+      categoryThresholds: ReviewModerationService.parseCategoryThresholds(process.env.REVIEW_FLAG_CATEGORY_THRESHOLDS)
+    });
+  }
+
+  /**
+   * Parse "category:count" pairs; unknown categories and invalid counts are ignored
+   * @param {string} value - e.g. "fraud:2,abuse:2"
+   * @returns {Object} { [category]: count }
+   */
+  static parseCategoryThresholds(value) {
+    const thresholds = {};
+    for (const pair of String(value || '').split(',')) {
+      const [category, count] = pair.split(':').map((part) => (part || '').trim());
+      const parsed = parseInt(count, 10);
+      if (CATEGORIES.includes(category) && parsed > 0) {
+        thresholds[category] = parsed;
+      }
+    }
+    return thresholds;
+  }
+
+  /**
+   * Record a report and flag the review when its open reports reach a threshold
+   *
+   * @param {string} reviewedRole - driver | passenger
+   * @param {string} reviewId
+   * @param {Object} report - { reporterId, category, reason, correlationId }
+   * @returns {Promise<Object>} { category, reports, openReports, flagged }
+   * @throws {DomainError} not_found (404), rate_limited (429)
+   */
+  async recordReport(reviewedRole, reviewId, { reporterId, category, reason = '', correlationId = null }) {
+    const { Model, recompute } = REVIEW_KINDS[reviewedRole];
+
+    const review = await Model.findById(reviewId).lean();
+    if (!review) {
+      throw new DomainError('Review not found', 404, 'not_found');
+    }
+
+    // Rate-limit / deduplicate: one report per reporter per review
+    const existing = await ReviewReportModel.findOne({ reviewId, reporterId });
+    if (existing) {
+      throw new DomainError('You have already reported this review recently', 429, 'rate_limited');
+    }
+
+    await ReviewReportModel.create({ reviewId, reviewedRole, reporterId, category, reason, correlationId });
+
+    // Atomically increment per-(review,category) counter
+    const counter = await ReviewReportCounterModel.findOneAndUpdate(
+      { reviewId, category },
+      { $inc: { count: 1 } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    const openByCategory = await this._countOpenReports(reviewId);
+    const openReports = Object.values(openByCategory).reduce((sum, count) => sum + count, 0);
+
+    let flagged = review.status === 'flagged';
+    if (review.status === 'visible' && this._reachesThreshold(openReports, openByCategory)) {
+      // Only a still-visible review is flagged; a concurrent moderation decision wins
+      const result = await Model.updateOne({ _id: reviewId, status: 'visible' }, { $set: { status: 'flagged' } });
+      if (result.modifiedCount > 0) {
+        flagged = true;
+        await recompute(review);
+
+        console.log(
+          `[ReviewModerationService] Review flagged | reviewedRole: ${reviewedRole} | reviewId: ${reviewId} | openReports: ${openReports} | correlationId: ${correlationId}`
+        );
+      }
+    }
+
+    return { category, reports: counter.count, openReports, flagged };
+  }
+
+  /**
+   * Flagged reviews, oldest first, with their open reports
+   *
+   * @param {string} reviewedRole - driver | passenger
+   * @param {Object} options - { page, pageSize }
+   * @returns {Promise<Object>} { items, page, pageSize, total, totalPages }
+   */
+  async listQueue(reviewedRole, { page = 1, pageSize = 10 } = {}) {
+    const { Model } = REVIEW_KINDS[reviewedRole];
+    const query = { status: 'flagged' };
+
+    const pageNum = parseInt(page, 10) || 1;
+    const size = Math.min(parseInt(pageSize, 10) || 10, 50);
+
+    const [reviews, total] = await Promise.all([
+      Model.find(query).sort({ updatedAt: 1 }).skip((pageNum - 1) * size).limit(size).lean(),
+      Model.countDocuments(query)
+    ]);
+
+    const reports = reviews.length > 0
+      ? await ReviewReportModel.find({ reviewId: { $in: reviews.map((review) => review._id) }, ...OPEN_REPORT })
+        .sort({ createdAt: 1 })
+        .lean()
+      : [];
+
+    const reportsByReview = new Map();
+    for (const report of reports) {
+      const key = report.reviewId.toString();
+      if (!reportsByReview.has(key)) reportsByReview.set(key, []);
+      reportsByReview.get(key).push(report);
+    }
+
+    const items = reviews.map((review) => {
+      const openReports = reportsByReview.get(review._id.toString()) || [];
+      const byCategory = {};
+      for (const report of openReports) {
+        byCategory[report.category] = (byCategory[report.category] || 0) + 1;
+      }
+
+      return {
+        id: review._id.toString(),
+        reviewedRole,
+        tripId: review.tripId.toString(),
+        driverId: review.driverId.toString(),
+        passengerId: review.passengerId.toString(),
+        rating: review.rating,
+        text: review.text,
+        tags: review.tags || [],
+        createdAt: review.createdAt,
+        flaggedAt: review.updatedAt,
+        reports: {
+          total: openReports.length,
+          byCategory,
+          items: openReports.map((report) => ({
+            id: report._id.toString(),
+            reporterId: report.reporterId.toString(),
+            category: report.category,
+            reason: report.reason,
+            createdAt: report.createdAt
+          }))
+        }
+      };
+    });
+
+    return { items, page: pageNum, pageSize: size, total, totalPages: Math.ceil(total / size) };
+  }
+
+  /**
+   * Restore or hide a reported review and close its open reports.
+   * The review update, report closing, aggregate recompute and audit entry run
+   * in one transaction where transactions are supported.
+   *
+   * @param {string} reviewedRole - driver | passenger
+   * @param {string} reviewId
+   * @param {Object} decision - { action: restore|hide, reason, adminId, correlationId }
+   * @returns {Promise<Object>} { id, reviewedRole, visibility, resolution, closedReports }
+   * @throws {DomainError} not_found (404), nothing_to_resolve (409)
+   */
+  async resolve(reviewedRole, reviewId, { action, reason, adminId, correlationId = null }) {
+    const { Model, entityType, recompute } = REVIEW_KINDS[reviewedRole];
+    const { status, moderationAction, resolution } = RESOLUTIONS[action];
+
+    const review = await Model.findById(reviewId).lean();
+    if (!review) {
+      throw new DomainError('Review not found', 404, 'not_found');
+    }
+
+    const openReports = await ReviewReportModel.countDocuments({ reviewId, ...OPEN_REPORT });
+    if (review.status !== 'flagged' && openReports === 0) {
+      throw new DomainError('Review has no open reports to resolve', 409, 'nothing_to_resolve');
+    }
+
+    const now = new Date();
+
+    const closedReports = await this._inTransaction(async (session) => {
+      const opts = session ? { session } : {};
+
+      await Model.updateOne(
+        { _id: reviewId },
+        {
+          $set: { status },
+          $push: {
+            moderation: { moderatedAt: now, moderatorId: adminId, action: moderationAction, reason, correlationId }
+          }
+        },
+        opts
+      );
+
+      const closed = await ReviewReportModel.updateMany(
+        { reviewId, ...OPEN_REPORT },
+        { $set: { status: 'closed', resolution, closedAt: now, closedBy: adminId } },
+        opts
+      );
+
+      await recompute(review, session);
+
+      await auditWriter.write({
+        session,
+        actor: { type: 'admin', id: adminId },
+        action: 'review_reports_resolved',
+        entity: { type: entityType, id: reviewId },
+        reason,
+        delta: {
+          before: { status: review.status, openReports },
+          after: { status, openReports: 0, resolution }
+        },
+        correlationId
+      });
+
+      return closed.modifiedCount;
+    });
+
+    console.log(
+      `[ReviewModerationService] Review reports resolved | reviewedRole: ${reviewedRole} | reviewId: ${reviewId} | resolution: ${resolution} | closedReports: ${closedReports} | adminId: ${adminId} | correlationId: ${correlationId}`
+    );
+
+    return { id: reviewId, reviewedRole, visibility: status, resolution, closedReports };
+  }
+
+  /**
+   * @private
+   */
+  _reachesThreshold(openReports, openByCategory) {
+    if (openReports >= this.flagThreshold) {
+      return true;
+    }
+    return Object.entries(this.categoryThresholds)
+      .some(([category, threshold]) => (openByCategory[category] || 0) >= threshold);
+  }
+
+  /**
+   * Open reports of a review per category
+   * @private
+   */
+  async _countOpenReports(reviewId) {
+    const results = await ReviewReportModel.aggregate([
+      { $match: { reviewId: new mongoose.Types.ObjectId(reviewId), ...OPEN_REPORT } },
+      { $group: { _id: '$category', count: { $sum: 1 } } }
+    ]).exec();
+
+    const counts = {};
+    for (const r of results) {
+      counts[r._id] = r.count;
+    }
+    return counts;
+  }
+
+  /**
+   * Run work(session) in a transaction; without one in tests or where
+   * transactions are unsupported (standalone mongod)
+   * @private
+   */
+  async _inTransaction(work) {
+    let session = null;
+    if (process.env.NODE_ENV !== 'test') {
+      session = await mongoose.startSession();
+      try { session.startTransaction(); } catch (e) { await session.endSession(); session = null; }
+    }
+
+    if (!session) {
+      return work(null);
+    }
+
+    try {
+      const result = await work(session);
+      await session.commitTransaction();
+      return result;
+    } catch (err) {
+      try { await session.abortTransaction(); } catch (e) {}
+      if (err && err.code === 20) {
+        return work(null);
+      }
+      throw err;
+    } finally {
+      try { await session.endSession(); } catch (e) {}
+    }
+  }
+}
+
+module.exports = ReviewModerationService;
@@ -0,0 +1,320 @@
+/**
+ * RideRequestService
+ *
+ * Passenger ride requests: demand posted when no trip matches, which drivers
+ * can browse near their route and fulfill.
+ *
+ * - A passenger keeps up to RIDE_REQUEST_MAX_OPEN open requests
+ * - Fulfilling creates a trip linked to the request (rideRequestId), books the
+ *   requester on it, accepted, in the new trip's seat ledger, then publishes it
+ * - The trip must depart within the request window, at or under its price cap,
+ *   with enough seats, and stop within RIDE_REQUEST_MATCH_RADIUS_METERS of
+ *   the requested pickup and drop-off
+ * - Open requests whose window ends without a driver expire
+ */
+
+const DomainError = require('../errors/DomainError');
+const NotificationService = require('./NotificationService');
+
+const DEFAULT_MAX_OPEN = 3;
+const DEFAULT_MATCH_RADIUS_METERS = 1000;
+
+class RideRequestService {
+  constructor(
+    rideRequestRepository,
+    tripOfferService,
+    bookingRequestService,
+    { maxOpen = DEFAULT_MAX_OPEN, matchRadiusMeters = DEFAULT_MATCH_RADIUS_METERS } = {}
+  ) {
+    this.rideRequestRepository = rideRequestRepository;
+    this.tripOfferService = tripOfferService;
+    this.bookingRequestService = bookingRequestService;
+    this.maxOpen = maxOpen;
+    this.matchRadiusMeters = matchRadiusMeters;
+  }
+
+  /**
+   * Build a RideRequestService wired to the Mongo repositories
+   * RIDE_REQUEST_MAX_OPEN and RIDE_REQUEST_MATCH_RADIUS_METERS override the defaults.
+   * @returns {RideRequestService}
+   */
+  static createDefault() {
+    const MongoRideRequestRepository = require('../../infrastructure/repositories/MongoRideRequestRepository');
+    const MongoTripOfferRepository = require('../../infrastructure/repositories/MongoTripOfferRepository');
+    const MongoVehicleRepository = require('../../infrastructure/repositories/MongoVehicleRepository');
+    const MongoUserRepository = require('../../infrastructure/repositories/MongoUserRepository');
+    const MongoTripSeriesRepository = require('../../infrastructure/repositories/MongoTripSeriesRepository');
+    const MongoBookingRequestRepository = require('../../infrastructure/repositories/MongoBookingRequestRepository');
+    const TripOfferService = require('./TripOfferService');
+    const BookingRequestService = require('./BookingRequestService');
+
+    const tripOfferRepository = new MongoTripOfferRepository();
+    const maxOpen = parseInt(process.env.RIDE_REQUEST_MAX_OPEN, 10);
+    const matchRadiusMeters = parseInt(process.env.RIDE_REQUEST_MATCH_RADIUS_METERS, 10);
+
+    return new RideRequestService(
+      new MongoRideRequestRepository(),
+      new TripOfferService(
+        tripOfferRepository,
+        new MongoVehicleRepository(),
+        new MongoUserRepository(),
+        new MongoTripSeriesRepository()
+      ),
+      new BookingRequestService(new MongoBookingRequestRepository(), tripOfferRepository),
+      {
+        maxOpen: maxOpen > 0 ? maxOpen : DEFAULT_MAX_OPEN,
+        matchRadiusMeters: matchRadiusMeters > 0 ? matchRadiusMeters : DEFAULT_MATCH_RADIUS_METERS
+      }
+    );
+  }
+
+  /**
+   * Post a ride request
+   * @param {string} passengerId
+   * @param {Object} requestData - { origin, destination, windowStart, windowEnd, seats, maxPricePerSeat, note }
+   * @returns {Promise<RideRequest>}
+   * @throws {DomainError} invalid_window (400), ride_request_limit_reached (409)
+   */
+  async createRideRequest(passengerId, { origin, destination, windowStart, windowEnd, seats, maxPricePerSeat = null, note = '' }) {
+    if (new Date(windowEnd) <= new Date()) {
+      throw new DomainError('The departure window must end in the future', 400, 'invalid_window');
+    }
+
+    const openCount = await this.rideRequestRepository.countOpenByPassenger(passengerId);
+    if (openCount >= this.maxOpen) {
+      throw new DomainError(
+        `You can keep up to ${this.maxOpen} open ride requests`,
+        409,
+        'ride_request_limit_reached',
+        { limit: this.maxOpen }
+      );
+    }
+
+    const request = await this.rideRequestRepository.create({
+      passengerId,
+      origin,
+      destination,
+      windowStart: new Date(windowStart),
+      windowEnd: new Date(windowEnd),
+      seats,
+      maxPricePerSeat,
+      note
+    });
+
+    console.log(
+      `[RideRequestService] Ride request created | requestId: ${request.id} | passengerId: ${passengerId} | seats: ${seats} | window: ${request.windowStart.toISOString()} - ${request.windowEnd.toISOString()}`
+    );
+
+    return request;
+  }
+
+  /**
+   * Ride requests of a passenger (most recent first)
+   * @param {string} passengerId
+   * @param {Object} filters - { status }
+   * @returns {Promise<RideRequest[]>}
+   */
+  async listPassengerRequests(passengerId, { status } = {}) {
+    return this.rideRequestRepository.findByPassenger(passengerId, { status });
+  }
+
+  /**
+   * Withdraw an open ride request
+   * @param {string} requestId
+   * @param {string} passengerId
+   * @returns {Promise<RideRequest>}
+   * @throws {DomainError} ride_request_not_found (404), forbidden_owner (403), ride_request_not_open (409)
+   */
+  async cancelRideRequest(requestId, passengerId) {
+    const request = await this._getRequest(requestId);
+    if (!request.belongsToPassenger(passengerId)) {
+      throw new DomainError('You cannot access this ride request', 403, 'forbidden_owner');
+    }
+
+    const canceled = await this.rideRequestRepository.cancel(requestId);
+    if (!canceled) {
+      throw new DomainError(`Ride request is ${request.status}`, 409, 'ride_request_not_open', {
+        status: request.status
+      });
+    }
+
+    console.log(`[RideRequestService] Ride request canceled | requestId: ${requestId} | passengerId: ${passengerId}`);
+
+    return canceled;
+  }
+
+  /**
+   * Open ride requests along a driver's route
+   * Pickup within the radius of the route origin and drop-off within the
+   * radius of its destination, closest first.
+   *
+   * @param {string} driverId
+   * @param {Object} query - { origin, destination, radius, fromDate, toDate, page, pageSize }
+   * @returns {Promise<Object>} { items, total, page, pageSize, totalPages }
+   */
+  async browseOpenRequests(driverId, { origin, destination, radius, fromDate, toDate, page = 1, pageSize = 10 }) {
+    const result = await this.rideRequestRepository.findOpenNear({
+      origin,
+      destination,
+      radius: radius || this.matchRadiusMeters,
+      fromDate,
+      toDate,
+      excludePassengerId: driverId,
+      page,
+      pageSize
+    });
+
+    return {
+      ...result,
+      items: result.items.map(({ request, distance }) => request.toDriverObject(distance))
+    };
+  }
+
+  /**
+   * Fulfill a ride request with a new trip
+   *
+   * The trip is created linked to the request and held as a draft while the
+   * requester is booked on it (accepted, seats allocated) between the stops
+   * closest to the requested pickup and drop-off; it is published once the
+   * booking is stored. The request is claimed before the trip is created so two
+   * drivers cannot fulfill it. If the booking fails the draft trip is canceled
+   * and the request given back.
+   *
+   * @param {string} requestId
+   * @param {string} driverId
+   * @param {CreateTripOfferDto} createDto - Trip to create
+   * @param {Object} options - { correlationId }
+   * @returns {Promise<Object>} { rideRequest, trip, booking }
+   * @throws {DomainError} ride_request_not_found (404), cannot_fulfill_own_request (400),
+   *                       ride_request_mismatch (400), ride_request_not_open (409)
+   */
+  async fulfillRideRequest(requestId, driverId, createDto, { correlationId = null } = {}) {
+    const request = await this._getRequest(requestId);
+    if (request.belongsToPassenger(driverId)) {
+      throw new DomainError('You cannot fulfill your own ride request', 400, 'cannot_fulfill_own_request');
+    }
+    if (!request.isOpen()) {
+      throw new DomainError(`Ride request is ${request.status}`, 409, 'ride_request_not_open', {
+        status: request.status
+      });
+    }
+
+    createDto.status = 'published';
+
+    const violations = request.getTripViolations(createDto);
+    const stops = [createDto.origin, ...(createDto.waypoints || []), createDto.destination];
+    const segment = request.resolveSegmentOn(stops, this.matchRadiusMeters);
+    if (!segment) {
+      violations.push('route');
+    }
+    if (violations.length > 0) {
+      throw new DomainError('The trip does not fit the ride request', 400, 'ride_request_mismatch', {
+        violations,
+        radiusMeters: this.matchRadiusMeters
+      });
+    }
+
+    const claimed = await this.rideRequestRepository.claim(requestId, driverId);
+    if (!claimed) {
+      throw new DomainError('Ride request is no longer open', 409, 'ride_request_not_open');
+    }
+
+    let trip;
+    let booking;
+    try {
+      trip = await this.tripOfferService.createTripOffer(driverId, createDto, {
+        rideRequestId: requestId,
+        holdPublication: true
+      });
+      booking = await this.bookingRequestService.createRideRequestBooking(request, trip, segment, { correlationId });
+    } catch (error) {
+      if (trip) {
+        await this._cancelHeldTrip(trip, driverId);
+      }
+      await this.rideRequestRepository.release(requestId, driverId);
+      console.error(
+        `[RideRequestService] Fulfillment failed; request reopened | requestId: ${requestId} | driverId: ${driverId} | tripId: ${trip ? trip.id : 'none'} | error: ${error.message}`
+      );
+      throw error;
+    }
+
+    trip = await this.tripOfferService.publishHeldTripOffer(trip.id);
+
+    const rideRequest = await this.rideRequestRepository.linkFulfillment(requestId, {
+      tripId: trip.id,
+      bookingId: booking.id
+    });
+
+    console.log(
+      `[RideRequestService] Ride request fulfilled | requestId: ${requestId} | driverId: ${driverId} | tripId: ${trip.id} | bookingId: ${booking.id}`
+    );
+
+    await NotificationService.createNotification(
+      request.passengerId,
+      'ride_request.fulfilled',
+      'Un conductor tomó tu solicitud',
+      `Se creó un viaje de ${stops[segment.from].text} a ${stops[segment.to].text} para tu solicitud. Tu reserva ya está aceptada.`,
+      { rideRequestId: requestId, tripId: trip.id, bookingId: booking.id, driverId, departureAt: trip.departureAt.toISOString() }
+    );
+
+    return { rideRequest, trip, booking };
+  }
+
+  /**
+   * Cancel the draft trip of a failed fulfillment so it does not linger
+   * (a retry would otherwise create an overlapping duplicate)
+   * @private
+   */
+  async _cancelHeldTrip(trip, driverId) {
+    try {
+      await this.tripOfferService.cancelTripOffer(trip.id, driverId);
+    } catch (error) {
+      console.error(
+        `[RideRequestService] Could not cancel trip of failed fulfillment | tripId: ${trip.id} | driverId: ${driverId} | error: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Expire open requests whose departure window is over
+   * @param {Date} now
+   * @returns {Promise<Object>} { expired }
+   */
+  async expireRideRequests(now = new Date()) {
+    const requests = await this.rideRequestRepository.findExpired(now);
+    let expired = 0;
+
+    for (const request of requests) {
+      const updated = await this.rideRequestRepository.expire(request.id);
+      if (!updated) continue;
+      expired++;
+
+      await NotificationService.createNotification(
+        request.passengerId,
+        'ride_request.expired',
+        'Tu solicitud de viaje venció',
+        'Ningún conductor tomó tu solicitud antes de la hora de salida que pediste.',
+        { rideRequestId: request.id }
+      );
+    }
+
+    if (expired > 0) {
+      console.log(`[RideRequestService] Ride requests expired | count: ${expired}`);
+    }
+
+    return { expired };
+  }
+
+  /**
+   * @private
+   */
+  async _getRequest(requestId) {
+    const request = await this.rideRequestRepository.findById(requestId);
+    if (!request) {
+      throw new DomainError('Ride request not found', 404, 'ride_request_not_found');
+    }
+    return request;
+  }
+}
+
+module.exports = RideRequestService;
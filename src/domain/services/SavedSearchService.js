@@ -0,0 +1,206 @@
+/**
+ * SavedSearchService
+ *
+ * Passenger saved searches and the alerts sent when a matching trip is
+ * published (created as published, or a draft published later).
+ *
+ * - Filters are the ones of GET /passengers/trips/search; daysOfWeek narrows
+ *   them to local weekdays of departure
+ * - Up to SAVED_SEARCH_MAX_PER_USER searches per passenger
+ * - One alert per trip and search, at most SAVED_SEARCH_ALERTS_PER_DAY per
+ *   search and local day, none while the search is muted
+ * - A passenger with several matching searches gets a single alert per trip
+ */
+
+const DomainError = require('../errors/DomainError');
+const SavedSearch = require('../entities/SavedSearch');
+const TripSeries = require('../entities/TripSeries');
+const NotificationService = require('./NotificationService');
+
+const DEFAULT_MAX_PER_USER = 10;
+const DEFAULT_ALERTS_PER_DAY = 5;
+
+class SavedSearchService {
+  constructor(
+    savedSearchRepository,
+    tripOfferRepository,
+    { maxPerUser = DEFAULT_MAX_PER_USER, alertsPerDay = DEFAULT_ALERTS_PER_DAY } = {}
+  ) {
+    this.savedSearchRepository = savedSearchRepository;
+    this.tripOfferRepository = tripOfferRepository;
+    this.maxPerUser = maxPerUser;
+    this.alertsPerDay = alertsPerDay;
+  }
+
+  /**
+   * Build a SavedSearchService wired to the Mongo repositories
+   * SAVED_SEARCH_MAX_PER_USER and SAVED_SEARCH_ALERTS_PER_DAY override the limits.
+   * @returns {SavedSearchService}
+   */
+  static createDefault() {
+    const MongoSavedSearchRepository = require('../../infrastructure/repositories/MongoSavedSearchRepository');
+    const MongoTripOfferRepository = require('../../infrastructure/repositories/MongoTripOfferRepository');
+
+    const maxPerUser = parseInt(process.env.SAVED_SEARCH_MAX_PER_USER, 10);
+    const alertsPerDay = parseInt(process.env.SAVED_SEARCH_ALERTS_PER_DAY, 10);
+
+    return new SavedSearchService(new MongoSavedSearchRepository(), new MongoTripOfferRepository(), {
+      maxPerUser: maxPerUser > 0 ? maxPerUser : DEFAULT_MAX_PER_USER,
+      alertsPerDay: alertsPerDay >= 0 ? alertsPerDay : DEFAULT_ALERTS_PER_DAY
+    });
+  }
+
+  /**
+   * Save a search
+   * @param {string} userId
+   * @param {Object} searchData - { name, filters, daysOfWeek }
+   * @returns {Promise<SavedSearch>}
+   * @throws {DomainError} saved_search_limit_reached (409)
+   */
+  async createSavedSearch(userId, { name, filters, daysOfWeek = [] }) {
+    const count = await this.savedSearchRepository.countByUser(userId);
+    if (count >= this.maxPerUser) {
+      throw new DomainError(
+        `You can keep up to ${this.maxPerUser} saved searches`,
+        409,
+        'saved_search_limit_reached',
+        { limit: this.maxPerUser }
+      );
+    }
+
+    const search = await this.savedSearchRepository.create({
+      userId,
+      name,
+      filters,
+      daysOfWeek: [...new Set(daysOfWeek)].sort((a, b) => a - b)
+    });
+
+    console.log(`[SavedSearchService] Saved search created | searchId: ${search.id} | userId: ${userId}`);
+
+    return search;
+  }
+
+  /**
+   * Saved searches of a user (most recent first)
+   * @param {string} userId
+   * @returns {Promise<SavedSearch[]>}
+   */
+  async listSavedSearches(userId) {
+    return this.savedSearchRepository.findByUser(userId);
+  }
+
+  /**
+   * Rename, change the weekdays of, mute or unmute a saved search
+   * @param {string} searchId
+   * @param {string} userId
+   * @param {Object} updates - { name, daysOfWeek, muted }
+   * @returns {Promise<SavedSearch>}
+   * @throws {DomainError} saved_search_not_found (404), forbidden_owner (403)
+   */
+  async updateSavedSearch(searchId, userId, { name, daysOfWeek, muted }) {
+    await this._getOwnedSearch(searchId, userId);
+
+    const updates = {};
+    if (name !== undefined) updates.name = name;
+    if (daysOfWeek !== undefined) updates.daysOfWeek = [...new Set(daysOfWeek)].sort((a, b) => a - b);
+    if (muted !== undefined) updates.muted = muted;
+
+    const search = await this.savedSearchRepository.update(searchId, updates);
+
+    console.log(
+      `[SavedSearchService] Saved search updated | searchId: ${searchId} | userId: ${userId} | fields: ${Object.keys(updates).join(',')}`
+    );
+
+    return search;
+  }
+
+  /**
+   * Delete a saved search
+   * @param {string} searchId
+   * @param {string} userId
+   * @throws {DomainError} saved_search_not_found (404), forbidden_owner (403)
+   */
+  async deleteSavedSearch(searchId, userId) {
+    await this._getOwnedSearch(searchId, userId);
+    await this.savedSearchRepository.delete(searchId);
+
+    console.log(`[SavedSearchService] Saved search deleted | searchId: ${searchId} | userId: ${userId}`);
+  }
+
+  /**
+   * Alert the passengers whose saved searches match a newly published trip
+   * Each passenger gets at most one alert per trip (their oldest matching
+   * search that is still under its daily cap).
+   *
+   * @param {TripOffer} trip - Published trip
+   * @returns {Promise<number>} Alerts sent
+   */
+  async notifyMatchingSearches(trip) {
+    const departureAt = new Date(trip.departureAt);
+    const candidates = await this.savedSearchRepository.findAlertCandidates({
+      driverId: trip.driverId,
+      departureAt,
+      pricePerSeat: trip.pricePerSeat,
+      weekday: SavedSearch.localWeekday(departureAt)
+    });
+    if (candidates.length === 0) return 0;
+
+    const segments = await this.tripOfferRepository.matchSearches(
+      trip.id,
+      candidates.map((search) => search.toFilters())
+    );
+
+    const day = TripSeries.toLocalDate(new Date());
+    const alertedUsers = new Set();
+    let sent = 0;
+
+    for (let i = 0; i < candidates.length; i++) {
+      const search = candidates[i];
+      const segment = segments[i];
+      if (!segment || alertedUsers.has(search.userId) || !search.matchesDay(departureAt)) continue;
+
+      const claimed = await this.savedSearchRepository.claimAlert(search.id, trip.id, day, this.alertsPerDay);
+      if (!claimed) continue;
+
+      alertedUsers.add(search.userId);
+      sent++;
+
+      await NotificationService.createNotification(
+        search.userId,
+        'saved_search.match',
+        'Nuevo viaje para tu búsqueda',
+        `Se publicó un viaje de ${segment.board} a ${segment.alight} que coincide con tu búsqueda "${search.name}".`,
+        {
+          savedSearchId: search.id,
+          tripId: trip.id,
+          departureAt: departureAt.toISOString(),
+          pricePerSeat: trip.pricePerSeat,
+          segment
+        }
+      );
+    }
+
+    console.log(
+      `[SavedSearchService] Saved search alerts | tripId: ${trip.id} | candidates: ${candidates.length} | sent: ${sent}`
+    );
+
+    return sent;
+  }
+
+  /**
+   * Load a saved search owned by the user
+   * @private
+   */
+  async _getOwnedSearch(searchId, userId) {
+    const search = await this.savedSearchRepository.findById(searchId);
+    if (!search) {
+      throw new DomainError('Saved search not found', 404, 'saved_search_not_found');
+    }
+    if (search.userId !== userId) {
+      throw new DomainError('You cannot access this saved search', 403, 'forbidden_owner');
+    }
+    return search;
+  }
+}
+
+module.exports = SavedSearchService;
@@ -0,0 +1,443 @@
+/**
+ * TripChangeProposalService
+ *
+ * Passenger re-consent when a driver changes the price, time or route of a
+ * trip that already has active bookings.
+ *
+ * - The new terms apply to the trip right away (termsVersion is bumped) and a
+ *   proposal records the previous and proposed terms with one response slot
+ *   per active booking
+ * - Passengers accept or decline before the deadline: CHANGE_PROPOSAL_RESPONSE_HOURS
+ *   after the change, but never later than departure
+ * - Accepting moves the booking's agreedTerms to the new version
+ * - Declining (or not answering in time) cancels the booking, releases its
+ *   seats and refunds it in full (policySource terms_declined)
+ * - A trip has at most one open proposal; further material edits wait until
+ *   every passenger answered or the deadline passed
+ */
+
+const DomainError = require('../errors/DomainError');
+const CancellationPolicy = require('../entities/CancellationPolicy');
+const NotificationService = require('./NotificationService');
+const realtimeService = require('./realtimeService');
+
+const DEFAULT_RESPONSE_HOURS = 24;
+
+const CHANGE_LABELS = { price: 'el precio', time: 'la hora', route: 'la ruta' };
+
+class TripChangeProposalService {
+  constructor(
+    tripChangeProposalRepository,
+    tripOfferRepository,
+    bookingRequestRepository,
+    seatLedgerRepository,
+    {
+      responseHours = DEFAULT_RESPONSE_HOURS,
+      refundService = null,
+      cancellationPolicyService = null,
+      waitlistService = null
+    } = {}
+  ) {
+    this.tripChangeProposalRepository = tripChangeProposalRepository;
+    this.tripOfferRepository = tripOfferRepository;
+    this.bookingRequestRepository = bookingRequestRepository;
+    this.seatLedgerRepository = seatLedgerRepository;
+    this.responseHours = responseHours;
+    this.refundService = refundService;
+    this.cancellationPolicyService = cancellationPolicyService;
+    this.waitlistService = waitlistService;
+  }
+
+  /**
+   * Build a TripChangeProposalService wired to the Mongo repositories
+   * CHANGE_PROPOSAL_RESPONSE_HOURS sets how long passengers have to answer.
+   * @returns {TripChangeProposalService}
+   */
+  static createDefault() {
+    const MongoTripChangeProposalRepository = require('../../infrastructure/repositories/MongoTripChangeProposalRepository');
+    const MongoTripOfferRepository = require('../../infrastructure/repositories/MongoTripOfferRepository');
+    const MongoBookingRequestRepository = require('../../infrastructure/repositories/MongoBookingRequestRepository');
+    const MongoSeatLedgerRepository = require('../../infrastructure/repositories/MongoSeatLedgerRepository');
+
+    const responseHours = parseFloat(process.env.CHANGE_PROPOSAL_RESPONSE_HOURS);
+
+    return new TripChangeProposalService(
+      new MongoTripChangeProposalRepository(),
+      new MongoTripOfferRepository(),
+      new MongoBookingRequestRepository(),
+      new MongoSeatLedgerRepository(),
+      { responseHours: responseHours > 0 ? responseHours : DEFAULT_RESPONSE_HOURS }
+    );
+  }
+
+  /**
+   * Lazily resolve the RefundService (declined bookings are refunded in full)
+   * @private
+   */
+  _getRefundService() {
+    if (!this.refundService) {
+      const RefundService = require('./RefundService');
+      this.refundService = RefundService.createDefault();
+    }
+    return this.refundService;
+  }
+
+  /**
+   * Lazily resolve the CancellationPolicyService (amount paid for a booking)
+   * @private
+   */
+  _getCancellationPolicyService() {
+    if (!this.cancellationPolicyService) {
+      const CancellationPolicyService = require('./CancellationPolicyService');
+      this.cancellationPolicyService = CancellationPolicyService.createDefault();
+    }
+    return this.cancellationPolicyService;
+  }
+
+  /**
+   * Lazily resolve the WaitlistService (released seats are offered to the waitlist)
+   * @private
+   */
+  _getWaitlistService() {
+    if (!this.waitlistService) {
+      const WaitlistService = require('./WaitlistService');
+      this.waitlistService = WaitlistService.createDefault();
+    }
+    return this.waitlistService;
+  }
+
+  /**
+   * Reject a material change while passengers are still answering a previous one
+   * Responses of bookings that ended meanwhile are settled first, so a proposal
+   * whose passengers all left does not block the trip until its deadline.
+   *
+   * @param {string} tripId
+   * @throws {DomainError} change_proposal_pending (409)
+   */
+  async assertNoOpenProposal(tripId) {
+    const proposal = await this.tripChangeProposalRepository.findOpenByTrip(tripId);
+    if (!proposal) {
+      return;
+    }
+
+    const settled = await this._settleEndedBookings(proposal);
+    if (settled) {
+      return;
+    }
+
+    throw new DomainError(
+      'Trip has a change proposal waiting for passenger responses',
+      409,
+      'change_proposal_pending',
+      { proposalId: proposal.id, deadline: proposal.deadline }
+    );
+  }
+
+  /**
+   * Ask the passengers of a trip to accept new terms
+   * Called after the trip was updated; returns null when nobody is booked.
+   *
+   * @param {TripOffer} before - Trip before the update
+   * @param {TripOffer} after - Trip after the update (termsVersion already bumped)
+   * @param {string[]} changes - price | time | route
+   * @returns {Promise<TripChangeProposal|null>}
+   */
+  async openProposal(before, after, changes) {
+    const bookings = [
+      ...(await this.bookingRequestRepository.findAllPendingByTrip(after.id)),
+      ...(await this.bookingRequestRepository.findAllAcceptedByTrip(after.id))
+    ];
+    if (bookings.length === 0) {
+      return null;
+    }
+
+    const now = new Date();
+    const firstDeparture = Math.min(new Date(before.departureAt).getTime(), new Date(after.departureAt).getTime());
+    const deadline = new Date(Math.min(now.getTime() + this.responseHours * 60 * 60 * 1000, firstDeparture));
+
+    const proposal = await this.tripChangeProposalRepository.create({
+      tripId: after.id,
+      driverId: after.driverId,
+      changes,
+      previousTerms: before.getTerms(),
+      proposedTerms: after.getTerms(),
+      deadline,
+      responses: bookings.map((booking) => ({
+        bookingId: booking.id,
+        passengerId: booking.passengerId,
+        seats: booking.seats,
+        bookingStatus: booking.status
+      }))
+    });
+
+    console.log(
+      `[TripChangeProposalService] Change proposal opened | proposalId: ${proposal.id} | tripId: ${after.id} | changes: ${changes.join(',')} | bookings: ${bookings.length} | deadline: ${deadline.toISOString()}`
+    );
+
+    const changed = changes.map((change) => CHANGE_LABELS[change]).join(', ');
+    for (const booking of bookings) {
+      await NotificationService.createNotification(
+        booking.passengerId,
+        'trip.change_proposed',
+        'Cambios en tu viaje',
+        `El conductor cambió ${changed} de tu viaje. Acepta o rechaza los cambios antes de la fecha límite; si no respondes, tu reserva se cancelará con reembolso completo.`,
+        {
+          proposalId: proposal.id,
+          tripId: after.id,
+          bookingId: booking.id,
+          changes,
+          deadline
+        }
+      );
+    }
+
+    return proposal;
+  }
+
+  /**
+   * Answer a change proposal
+   *
+   * @param {string} proposalId
+   * @param {string} passengerId
+   * @param {string} decision - accept | decline
+   * @returns {Promise<Object>} Proposal as seen by the passenger
+   * @throws {DomainError} change_proposal_not_found (404), forbidden_owner (403),
+   *   change_proposal_closed / response_already_recorded / change_proposal_expired (409)
+   */
+  async respond(proposalId, passengerId, decision) {
+    const proposal = await this.tripChangeProposalRepository.findById(proposalId);
+    if (!proposal) {
+      throw new DomainError('Change proposal not found', 404, 'change_proposal_not_found');
+    }
+
+    const response = proposal.getResponseFor(passengerId);
+    if (!response) {
+      throw new DomainError('This change proposal does not concern your bookings', 403, 'forbidden_owner');
+    }
+    if (!proposal.isOpen()) {
+      throw new DomainError('Change proposal is closed', 409, 'change_proposal_closed');
+    }
+    if (response.status !== 'pending') {
+      throw new DomainError('You already answered this change proposal', 409, 'response_already_recorded', {
+        response: response.status
+      });
+    }
+
+    const now = new Date();
+    if (proposal.isPastDeadline(now)) {
+      throw new DomainError('The deadline to answer this change proposal has passed', 409, 'change_proposal_expired');
+    }
+
+    const status = decision === 'accept' ? 'accepted' : 'declined';
+    const updated = await this.tripChangeProposalRepository.setResponse(proposal.id, response.bookingId, status, now);
+    if (!updated) {
+      throw new DomainError('You already answered this change proposal', 409, 'response_already_recorded');
+    }
+
+    console.log(
+      `[TripChangeProposalService] Change proposal answered | proposalId: ${proposal.id} | bookingId: ${response.bookingId} | response: ${status}`
+    );
+
+    if (status === 'accepted') {
+      const booking = await this.bookingRequestRepository.updateAgreedTerms(response.bookingId, {
+        ...proposal.proposedTerms,
+        agreedAt: now
+      });
+      if (!booking) {
+        // Booking ended meanwhile; keep the answer but it no longer binds anything
+        console.log(
+          `[TripChangeProposalService] Accepted terms on an ended booking | proposalId: ${proposal.id} | bookingId: ${response.bookingId}`
+        );
+      }
+    } else {
+      await this._releaseBooking(proposal, response, 'declined');
+    }
+
+    const closed = await this.tripChangeProposalRepository.closeIfSettled(proposal.id);
+    return (closed || updated).toPassengerObject(passengerId);
+  }
+
+  /**
+   * Treat unanswered responses past the deadline as declines (background job)
+   * @param {Date} now
+   * @returns {Promise<{proposals: number, expired: number}>}
+   */
+  async expireProposals(now = new Date()) {
+    const candidates = await this.tripChangeProposalRepository.findExpired(now);
+    let proposals = 0;
+    let expired = 0;
+
+    for (const proposal of candidates) {
+      for (const response of proposal.getPendingResponses()) {
+        const updated = await this.tripChangeProposalRepository.setResponse(proposal.id, response.bookingId, 'expired', now);
+        if (!updated) continue; // Answered meanwhile
+
+        expired += 1;
+        try {
+          await this._releaseBooking(proposal, response, 'expired');
+        } catch (error) {
+          console.error(
+            `[TripChangeProposalService] Booking release failed on expiry | proposalId: ${proposal.id} | bookingId: ${response.bookingId} | error: ${error.message}`
+          );
+        }
+      }
+
+      const closed = await this.tripChangeProposalRepository.close(proposal.id, 'expired');
+      if (closed) proposals += 1;
+    }
+
+    console.log(`[TripChangeProposalService] Proposal expiry job | proposals: ${proposals} | expired: ${expired}`);
+    return { proposals, expired };
+  }
+
+  /**
+   * Close the open proposal of a trip that ended (e.g. canceled)
+   * Pending responses become canceled; the bookings are handled by the cascade.
+   * @param {string} tripId
+   * @returns {Promise<boolean>} Whether a proposal was closed
+   */
+  async closeTripProposals(tripId) {
+    const proposal = await this.tripChangeProposalRepository.findOpenByTrip(tripId);
+    if (!proposal) {
+      return false;
+    }
+
+    const closed = await this.tripChangeProposalRepository.close(proposal.id, 'canceled');
+    if (closed) {
+      console.log(`[TripChangeProposalService] Change proposal closed | proposalId: ${proposal.id} | tripId: ${tripId}`);
+    }
+    return Boolean(closed);
+  }
+
+  /**
+   * Open proposal of a trip, if any
+   * @param {string} tripId
+   * @returns {Promise<TripChangeProposal|null>}
+   */
+  async getOpenProposal(tripId) {
+    return this.tripChangeProposalRepository.findOpenByTrip(tripId);
+  }
+
+  /**
+   * Change proposals that concern a passenger
+   * @param {string} passengerId
+   * @param {Object} filters - { status: open | closed }
+   * @returns {Promise<Object[]>}
+   */
+  async listPassengerProposals(passengerId, filters = {}) {
+    const proposals = await this.tripChangeProposalRepository.findByPassenger(passengerId, filters);
+    return proposals.map((proposal) => proposal.toPassengerObject(passengerId));
+  }
+
+  /**
+   * Change proposals of a trip with every response (driver view)
+   * @param {string} tripId
+   * @param {string} driverId - Must own the trip
+   * @returns {Promise<Object[]>}
+   * @throws {DomainError} trip_not_found (404), forbidden_owner (403)
+   */
+  async listTripProposals(tripId, driverId) {
+    const trip = await this.tripOfferRepository.findById(tripId);
+    if (!trip) {
+      throw new DomainError('Trip offer not found', 404, 'trip_not_found');
+    }
+    if (trip.driverId !== driverId) {
+      throw new DomainError('Trip does not belong to the driver', 403, 'forbidden_owner');
+    }
+
+    const proposals = await this.tripChangeProposalRepository.findByTrip(trip.id);
+    return proposals.map((proposal) => proposal.toObject());
+  }
+
+  /**
+   * Mark responses of bookings that ended as canceled and close the proposal if settled
+   * @private
+   * @returns {Promise<boolean>} Whether the proposal is closed now
+   */
+  async _settleEndedBookings(proposal) {
+    for (const response of proposal.getPendingResponses()) {
+      const booking = await this.bookingRequestRepository.findById(response.bookingId);
+      if (booking && ['pending', 'accepted'].includes(booking.status)) continue;
+
+      await this.tripChangeProposalRepository.setResponse(proposal.id, response.bookingId, 'canceled');
+    }
+
+    return Boolean(await this.tripChangeProposalRepository.closeIfSettled(proposal.id));
+  }
+
+  /**
+   * Cancel a booking whose passenger declined (or did not answer) the new terms
+   * Accepted bookings release their seats and are refunded in full.
+   * @private
+   * @param {string} cause - declined | expired
+   * @returns {Promise<BookingRequest|null>} Canceled booking, or null if it had already ended
+   */
+  async _releaseBooking(proposal, response, cause) {
+    const booking = await this.bookingRequestRepository.findById(response.bookingId);
+    if (!booking || !booking.isCancelableByPassenger()) {
+      return null;
+    }
+
+    const previousStatus = booking.status;
+    const reason = cause === 'declined' ? 'trip_terms_declined' : 'trip_terms_expired';
+    let canceled;
+
+    if (previousStatus === 'pending') {
+      booking.cancelByPassenger(false, false, reason);
+      canceled = await this.bookingRequestRepository.cancel(booking.id, reason);
+    } else {
+      const paidAmount = await this._getCancellationPolicyService().getPaidAmount(booking.id);
+      booking.cancelByPassenger(booking.isPaid, true, reason);
+      booking.cancellationOutcome = CancellationPolicy.fullRefundOutcome(paidAmount, 'terms_declined');
+      canceled = await this.bookingRequestRepository.cancelWithTransaction(booking, this.seatLedgerRepository);
+
+      // The refund-processing job retries flagged bookings if this fails
+      try {
+        await this._getRefundService().requestRefundForBooking(booking, { reason: 'terms_declined' });
+      } catch (refundError) {
+        console.error(
+          `[TripChangeProposalService] Refund request failed after release | bookingId: ${booking.id} | error: ${refundError.message}`
+        );
+      }
+    }
+
+    console.log(
+      `[TripChangeProposalService] Booking released | proposalId: ${proposal.id} | bookingId: ${booking.id} | previousStatus: ${previousStatus} | cause: ${cause}`
+    );
+
+    await realtimeService.publishBookingStatus(canceled, { driverId: proposal.driverId, previousStatus });
+
+    await NotificationService.createNotification(
+      booking.passengerId,
+      'booking.canceled',
+      'Reserva cancelada',
+      cause === 'declined'
+        ? 'Cancelamos tu reserva porque rechazaste los cambios del viaje. Si pagaste, recibirás el reembolso completo.'
+        : 'Cancelamos tu reserva porque no respondiste a tiempo a los cambios del viaje. Si pagaste, recibirás el reembolso completo.',
+      { bookingId: booking.id, tripId: proposal.tripId, proposalId: proposal.id }
+    );
+
+    await NotificationService.createNotification(
+      proposal.driverId,
+      'trip.change_declined',
+      'Un pasajero no aceptó los cambios',
+      'Un pasajero no aceptó los cambios de tu viaje y su reserva fue cancelada; los cupos quedaron libres.',
+      { bookingId: booking.id, tripId: proposal.tripId, proposalId: proposal.id, seats: booking.seats, cause }
+    );
+
+    if (previousStatus === 'accepted') {
+      // Offer the released seats to the trip's waitlist
+      try {
+        await this._getWaitlistService().promoteFromWaitlist(proposal.tripId);
+      } catch (waitlistError) {
+        console.error(
+          `[TripChangeProposalService] Waitlist promotion failed after release | tripId: ${proposal.tripId} | error: ${waitlistError.message}`
+        );
+      }
+    }
+
+    return canceled;
+  }
+}
+
+module.exports = TripChangeProposalService;
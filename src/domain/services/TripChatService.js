@@ -0,0 +1,437 @@
+/**
+ * TripChatService
+ *
+ * In-trip conversation between the driver and the passengers with an
+ * accepted booking (not marked as no-show). Admins can read it, not write.
+ *
+ * - Messages are kept; each participant has a read receipt (last message seen)
+ * - Contact details in a message are masked for passengers who were not
+ *   accepted yet when it was sent; admins always see the original
+ * - The conversation closes TRIP_CHAT_CLOSE_HOURS after the trip is completed
+ *   and right away if it is canceled; history stays readable
+ * - A message can be reported: it files a user report against its sender
+ *   (same one-report-per-user-and-trip rule as POST /users/:userId/report)
+ * - New messages, read receipts and closure reach the participants through
+ *   the notification stream (trip_message, trip_chat_read, trip_chat_closed)
+ */
+
+const DomainError = require('../errors/DomainError');
+const TripConversation = require('../entities/TripConversation');
+const TripMessage = require('../entities/TripMessage');
+const realtimeService = require('./realtimeService');
+const UserReportModel = require('../../infrastructure/database/models/UserReportModel');
+const ModerationCaseService = require('./ModerationCaseService');
+
+const DEFAULT_CLOSE_HOURS = 24;
+const DEFAULT_PAGE_SIZE = 30;
+// Conversations closed per run of the close-trip-chats job
+const CLOSE_BATCH_SIZE = 200;
+const HOUR_MS = 60 * 60 * 1000;
+
+class TripChatService {
+  constructor(
+    tripConversationRepository,
+    tripMessageRepository,
+    tripOfferRepository,
+    bookingRequestRepository,
+    { closeHours = DEFAULT_CLOSE_HOURS } = {}
+  ) {
+    this.tripConversationRepository = tripConversationRepository;
+    this.tripMessageRepository = tripMessageRepository;
+    this.tripOfferRepository = tripOfferRepository;
+    this.bookingRequestRepository = bookingRequestRepository;
+    this.closeHours = closeHours;
+  }
+
+  /**
+   * Build a TripChatService wired to the Mongo repositories
+   * TRIP_CHAT_CLOSE_HOURS sets how long the chat stays open after the trip is completed.
+   * @returns {TripChatService}
+   */
+  static createDefault() {
+    const MongoTripConversationRepository = require('../../infrastructure/repositories/MongoTripConversationRepository');
+    const MongoTripMessageRepository = require('../../infrastructure/repositories/MongoTripMessageRepository');
+    const MongoTripOfferRepository = require('../../infrastructure/repositories/MongoTripOfferRepository');
+    const MongoBookingRequestRepository = require('../../infrastructure/repositories/MongoBookingRequestRepository');
+
+    const closeHours = parseInt(process.env.TRIP_CHAT_CLOSE_HOURS, 10);
+
+    return new TripChatService(
+      new MongoTripConversationRepository(),
+      new MongoTripMessageRepository(),
+      new MongoTripOfferRepository(),
+      new MongoBookingRequestRepository(),
+      { closeHours: closeHours >= 0 ? closeHours : DEFAULT_CLOSE_HOURS }
+    );
+  }
+
+  /**
+   * Conversation of a trip with a page of messages (newest first)
+   *
+   * @param {string} tripId
+   * @param {Object} viewer - { userId, role }
+   * @param {Object} options - { before, limit }
+   * @returns {Promise<Object>} { tripId, status, closesAt, closeReason, canSend, unread, participants, messages, hasMore }
+   * @throws {DomainError} trip_not_found (404), forbidden_chat_access (403)
+   */
+  async getConversation(tripId, viewer, { before = null, limit = DEFAULT_PAGE_SIZE } = {}) {
+    const trip = await this._getTrip(tripId);
+    const access = await this._getAccess(trip, viewer);
+    const participants = await this._getParticipants(trip);
+    const conversation =
+      (await this.tripConversationRepository.findByTrip(trip.id)) ||
+      new TripConversation({ tripId: trip.id, driverId: trip.driverId });
+
+    const found = await this.tripMessageRepository.findByTrip(trip.id, {
+      before: before ? new Date(before) : null,
+      limit: limit + 1
+    });
+    const messages = found.slice(0, limit);
+
+    const unread = access.role === 'admin'
+      ? 0
+      : await this.tripMessageRepository.countUnread(trip.id, access.userId, conversation.getLastReadAt(access.userId));
+
+    const state = this._resolveState(trip, conversation);
+    const participantIds = participants.map((participant) => participant.userId);
+
+    return {
+      tripId: trip.id,
+      ...state,
+      canSend: state.status === 'open' && access.role !== 'admin',
+      unread,
+      participants: participants.map(({ userId, role }) => ({
+        userId,
+        role,
+        lastReadAt: conversation.getLastReadAt(userId)
+      })),
+      messages: messages.map((message) =>
+        message.toObject({
+          reveal: this._canReveal(access, message),
+          readBy: conversation.getReadersOf(message, participantIds)
+        })
+      ),
+      hasMore: found.length > limit
+    };
+  }
+
+  /**
+   * Send a message to the conversation of a trip
+   *
+   * @param {string} tripId
+   * @param {Object} sender - { userId, role }
+   * @param {string} body
+   * @returns {Promise<Object>} Message as the sender sees it
+   * @throws {DomainError} trip_not_found (404), forbidden_chat_access (403), chat_closed (409)
+   */
+  async sendMessage(tripId, sender, body) {
+    const trip = await this._getTrip(tripId);
+    const access = await this._getAccess(trip, sender);
+    this._assertCanWrite(access);
+
+    const conversation = await this.tripConversationRepository.ensure({
+      tripId: trip.id,
+      driverId: trip.driverId,
+      closesAt: this._completionClosesAt(trip)
+    });
+    const state = this._resolveState(trip, conversation);
+    if (state.status !== 'open') {
+      throw new DomainError('The chat of this trip is closed', 409, 'chat_closed', {
+        closesAt: state.closesAt,
+        closeReason: state.closeReason
+      });
+    }
+
+    const message = await this.tripMessageRepository.create({
+      tripId: trip.id,
+      senderId: access.userId,
+      senderRole: access.role,
+      body,
+      hasContactDetails: TripMessage.containsContactDetails(body)
+    });
+
+    // Sending a message means having seen everything before it
+    await this.tripConversationRepository.markRead(trip.id, access.userId, message.createdAt);
+
+    const participants = await this._getParticipants(trip);
+    for (const participant of participants) {
+      if (participant.userId === access.userId) continue;
+      await realtimeService.publishToUser(
+        participant.userId,
+        'trip_message',
+        message.toObject({ reveal: this._canReveal(participant, message) })
+      );
+    }
+
+    console.log(
+      `[TripChatService] Message sent | tripId: ${trip.id} | messageId: ${message.id} | senderId: ${access.userId} | role: ${access.role} | contactDetails: ${message.hasContactDetails}`
+    );
+
+    return message.toObject({ reveal: true });
+  }
+
+  /**
+   * Mark the conversation as read up to now
+   *
+   * @param {string} tripId
+   * @param {Object} reader - { userId, role }
+   * @returns {Promise<Object>} { tripId, lastReadAt, unread }
+   * @throws {DomainError} trip_not_found (404), forbidden_chat_access (403)
+   */
+  async markRead(tripId, reader) {
+    const trip = await this._getTrip(tripId);
+    const access = await this._getAccess(trip, reader);
+    this._assertCanWrite(access);
+
+    await this.tripConversationRepository.ensure({
+      tripId: trip.id,
+      driverId: trip.driverId,
+      closesAt: this._completionClosesAt(trip)
+    });
+
+    const readAt = new Date();
+    const conversation = await this.tripConversationRepository.markRead(trip.id, access.userId, readAt);
+    const lastReadAt = conversation.getLastReadAt(access.userId);
+
+    const participants = await this._getParticipants(trip);
+    for (const participant of participants) {
+      if (participant.userId === access.userId) continue;
+      await realtimeService.publishToUser(participant.userId, 'trip_chat_read', {
+        tripId: trip.id,
+        userId: access.userId,
+        lastReadAt
+      });
+    }
+
+    return { tripId: trip.id, lastReadAt, unread: 0 };
+  }
+
+  /**
+   * Report a message: files a user report against its sender for this trip
+   *
+   * @param {string} tripId
+   * @param {string} messageId
+   * @param {Object} reporter - { userId, role }
+   * @param {Object} reportData - { category, reason }
+   * @param {Object} options - { correlationId }
+   * @returns {Promise<Object>} { reportId, messageId, reportedUserId, category }
+   * @throws {DomainError} trip_not_found / message_not_found (404), forbidden_chat_access (403),
+   *   cannot_report_self (400), rate_limited (429)
+   */
+  async reportMessage(tripId, messageId, reporter, { category, reason = '' }, { correlationId = null } = {}) {
+    const trip = await this._getTrip(tripId);
+    const access = await this._getAccess(trip, reporter);
+    this._assertCanWrite(access);
+
+    const message = await this.tripMessageRepository.findById(messageId);
+    if (!message || message.tripId !== trip.id) {
+      throw new DomainError('Message not found', 404, 'message_not_found');
+    }
+    if (message.isSentBy(access.userId)) {
+      throw new DomainError('You cannot report your own message', 400, 'cannot_report_self');
+    }
+
+    const reportKey = { reportedUserId: message.senderId, reporterId: access.userId, tripId: trip.id };
+    const alreadyReported = () =>
+      new DomainError('You already reported this user for this trip', 429, 'rate_limited');
+
+    if (await UserReportModel.exists(reportKey)) {
+      throw alreadyReported();
+    }
+
+    let report;
+    try {
+      report = await UserReportModel.create({
+        ...reportKey,
+        category,
+        reason,
+        messageId: message.id,
+        messageBody: message.body,
+        correlationId
+      });
+    } catch (error) {
+      if (error.code === 11000) throw alreadyReported();
+      throw error;
+    }
+
+    await this.tripMessageRepository.incrementReportCount(message.id);
+
+    // Group into the open moderation case of the sender; admins can still group it later
+    try {
+      await new ModerationCaseService().attachReport(report);
+    } catch (error) {
+      console.error(
+        `[TripChatService] Moderation case grouping failed | reportId: ${report._id} | error: ${error.message}`
+      );
+    }
+
+    console.log(
+      `[TripChatService] Message reported | tripId: ${trip.id} | messageId: ${message.id} | reportedUserId: ${message.senderId} | reporterId: ${access.userId} | category: ${category}`
+    );
+
+    return {
+      reportId: report._id.toString(),
+      messageId: message.id,
+      reportedUserId: message.senderId,
+      category
+    };
+  }
+
+  /**
+   * Close the conversation of a trip that ended
+   * Completed trips keep it open TRIP_CHAT_CLOSE_HOURS more; canceled ones close it now.
+   *
+   * @param {string} tripId
+   * @param {string} reason - completed | canceled
+   * @param {Date} endedAt
+   * @returns {Promise<TripConversation|null>} null if the trip had no open conversation
+   */
+  async closeTripChat(tripId, reason, endedAt = new Date()) {
+    if (reason === 'completed') {
+      const closesAt = new Date(new Date(endedAt).getTime() + this.closeHours * HOUR_MS);
+      const scheduled = await this.tripConversationRepository.scheduleClosure(tripId, closesAt);
+      if (scheduled) {
+        console.log(`[TripChatService] Chat closure scheduled | tripId: ${tripId} | closesAt: ${closesAt.toISOString()}`);
+      }
+      return scheduled;
+    }
+
+    const closed = await this.tripConversationRepository.close(tripId, reason);
+    if (closed) {
+      await this._publishClosed(closed);
+      console.log(`[TripChatService] Chat closed | tripId: ${tripId} | reason: ${reason}`);
+    }
+    return closed;
+  }
+
+  /**
+   * Close the conversations whose time after completion is over
+   * @param {Date} now
+   * @returns {Promise<Object>} { closed }
+   */
+  async closeExpiredChats(now = new Date()) {
+    const due = await this.tripConversationRepository.findDueForClosure(now, CLOSE_BATCH_SIZE);
+    let closed = 0;
+
+    for (const conversation of due) {
+      const updated = await this.tripConversationRepository.close(conversation.tripId, 'completed');
+      if (!updated) continue;
+      closed++;
+      await this._publishClosed(updated);
+    }
+
+    if (closed > 0) {
+      console.log(`[TripChatService] Trip chats closed | count: ${closed}`);
+    }
+
+    return { closed };
+  }
+
+  /**
+   * Tell the driver and the passengers who opened the chat that it closed
+   * @private
+   */
+  async _publishClosed(conversation) {
+    const recipients = new Set([conversation.driverId, ...conversation.reads.map((read) => read.userId)]);
+    for (const userId of recipients) {
+      await realtimeService.publishToUser(userId, 'trip_chat_closed', {
+        tripId: conversation.tripId,
+        closeReason: conversation.closeReason,
+        closedAt: conversation.closedAt
+      });
+    }
+  }
+
+  /**
+   * Status of the conversation, also for trips that ended before it was created
+   * @private
+   */
+  _resolveState(trip, conversation, now = new Date()) {
+    if (trip.status === 'canceled' || conversation.closeReason === 'canceled') {
+      return { status: 'closed', closesAt: conversation.closedAt || trip.updatedAt, closeReason: 'canceled' };
+    }
+
+    const closesAt = conversation.closesAt || this._completionClosesAt(trip);
+    const open = conversation.status === 'open' && (!closesAt || new Date(closesAt) > now);
+
+    return {
+      status: open ? 'open' : 'closed',
+      closesAt,
+      closeReason: open ? null : 'completed'
+    };
+  }
+
+  /**
+   * Closing time of the chat of a completed trip (null while it has not ended)
+   * @private
+   */
+  _completionClosesAt(trip) {
+    if (trip.status !== 'completed') return null;
+    return new Date(new Date(trip.updatedAt).getTime() + this.closeHours * HOUR_MS);
+  }
+
+  /**
+   * Contact details are shown to admins, the driver, the sender and
+   * passengers accepted before the message was sent
+   * @private
+   */
+  _canReveal({ role, userId, acceptedAt }, message) {
+    if (role === 'admin' || role === 'driver' || message.isSentBy(userId)) return true;
+    return !!acceptedAt && new Date(acceptedAt) <= new Date(message.createdAt);
+  }
+
+  /**
+   * The driver and the passengers with an accepted booking not marked as no-show
+   * @private
+   */
+  async _getParticipants(trip) {
+    const bookings = await this.bookingRequestRepository.findAllAcceptedByTrip(trip.id);
+    return [
+      { userId: trip.driverId, role: 'driver', acceptedAt: null },
+      ...bookings
+        .filter((booking) => booking.boardingStatus !== 'passenger_no_show')
+        .map((booking) => ({ userId: booking.passengerId, role: 'passenger', acceptedAt: booking.acceptedAt }))
+    ];
+  }
+
+  /**
+   * Driver, passengers with an accepted booking who were not marked as no-show, and admins (read-only)
+   * @private
+   */
+  async _getAccess(trip, { userId, role }) {
+    if (trip.driverId === userId) {
+      return { userId, role: 'driver', acceptedAt: null };
+    }
+    if (role === 'admin') {
+      return { userId, role: 'admin', acceptedAt: null };
+    }
+
+    const booking = await this.bookingRequestRepository.findActiveBooking(userId, trip.id);
+    if (!booking || booking.status !== 'accepted' || booking.boardingStatus === 'passenger_no_show') {
+      throw new DomainError('Only the driver and accepted passengers of this trip can use its chat', 403, 'forbidden_chat_access');
+    }
+    return { userId, role: 'passenger', acceptedAt: booking.acceptedAt };
+  }
+
+  /**
+   * @private
+   */
+  _assertCanWrite(access) {
+    if (access.role === 'admin') {
+      throw new DomainError('Admins can read the chat of a trip but not write in it', 403, 'forbidden_chat_access');
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _getTrip(tripId) {
+    const trip = await this.tripOfferRepository.findById(tripId);
+    if (!trip) {
+      throw new DomainError('Trip offer not found', 404, 'trip_not_found');
+    }
+    return trip;
+  }
+}
+
+module.exports = TripChatService;
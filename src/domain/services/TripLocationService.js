@@ -0,0 +1,172 @@
+/**
+ * TripLocationService
+ *
+ * Live location of the car while a trip is in progress.
+ *
+ * - The driver's client posts positions periodically; each one must fall in
+ *   the route area (bounding box of the stops widened by a margin)
+ * - Only the most recent positions are kept per trip (short buffer)
+ * - Accepted passengers, the driver and admins (safety staff) can read the
+ *   buffer or follow the location stream
+ * - Positions are purged when the trip is completed or canceled
+ */
+
+const DomainError = require('../errors/DomainError');
+const realtimeService = require('./realtimeService');
+
+const DEFAULT_BUFFER_SIZE = 20;
+const DEFAULT_AREA_MARGIN_KM = 5;
+
+// Device clock skew tolerated on recordedAt
+const MAX_FUTURE_SKEW_MS = 60 * 1000;
+// Fixes older than this are rejected (the client must send fresh positions)
+const MAX_POSITION_AGE_MS = 5 * 60 * 1000;
+
+class TripLocationService {
+  constructor(
+    tripLocationRepository,
+    tripOfferRepository,
+    bookingRequestRepository,
+    { bufferSize = DEFAULT_BUFFER_SIZE, areaMarginKm = DEFAULT_AREA_MARGIN_KM } = {}
+  ) {
+    this.tripLocationRepository = tripLocationRepository;
+    this.tripOfferRepository = tripOfferRepository;
+    this.bookingRequestRepository = bookingRequestRepository;
+    this.bufferSize = bufferSize;
+    this.areaMarginKm = areaMarginKm;
+  }
+
+  /**
+   * Build a TripLocationService wired to the Mongo repositories
+   * LIVE_LOCATION_BUFFER_SIZE and LIVE_LOCATION_AREA_MARGIN_KM tune the buffer and the route area.
+   * @returns {TripLocationService}
+   */
+  static createDefault() {
+    const MongoTripLocationRepository = require('../../infrastructure/repositories/MongoTripLocationRepository');
+    const MongoTripOfferRepository = require('../../infrastructure/repositories/MongoTripOfferRepository');
+    const MongoBookingRequestRepository = require('../../infrastructure/repositories/MongoBookingRequestRepository');
+
+    const areaMarginKm = parseFloat(process.env.LIVE_LOCATION_AREA_MARGIN_KM);
+
+    return new TripLocationService(
+      new MongoTripLocationRepository(),
+      new MongoTripOfferRepository(),
+      new MongoBookingRequestRepository(),
+      {
+        bufferSize: parseInt(process.env.LIVE_LOCATION_BUFFER_SIZE, 10) || DEFAULT_BUFFER_SIZE,
+        areaMarginKm: Number.isFinite(areaMarginKm) && areaMarginKm >= 0 ? areaMarginKm : DEFAULT_AREA_MARGIN_KM
+      }
+    );
+  }
+
+  /**
+   * Record a position posted by the driver
+   *
+   * @param {string} tripId
+   * @param {string} driverId - Must own the trip
+   * @param {Object} position - { lat, lng, heading?, speedKmh?, accuracyM?, recordedAt? }
+   * @returns {Promise<TripLocation>}
+   * @throws {DomainError} trip_not_found (404), forbidden_owner (403), trip_not_in_progress (409),
+   *   invalid_recorded_at / position_out_of_area (400)
+   */
+  async recordPosition(tripId, driverId, { lat, lng, heading = null, speedKmh = null, accuracyM = null, recordedAt = null }) {
+    const trip = await this._getTrip(tripId);
+    if (trip.driverId !== driverId) {
+      throw new DomainError('Trip does not belong to the driver', 403, 'forbidden_owner');
+    }
+    if (trip.status !== 'in_progress') {
+      throw new DomainError('Location can only be shared while the trip is in progress', 409, 'trip_not_in_progress');
+    }
+
+    const now = Date.now();
+    const fixTime = recordedAt ? new Date(recordedAt) : new Date(now);
+    if (fixTime.getTime() > now + MAX_FUTURE_SKEW_MS || fixTime.getTime() < now - MAX_POSITION_AGE_MS) {
+      throw new DomainError('recordedAt must be within the last 5 minutes', 400, 'invalid_recorded_at');
+    }
+
+    const area = trip.getBoundingArea(this.areaMarginKm);
+    if (area && (lat < area.minLat || lat > area.maxLat || lng < area.minLng || lng > area.maxLng)) {
+      throw new DomainError('Position is outside the area of the trip route', 400, 'position_out_of_area', { area });
+    }
+
+    const location = await this.tripLocationRepository.append(
+      { tripId: trip.id, driverId, lat, lng, heading, speedKmh, accuracyM, recordedAt: fixTime },
+      this.bufferSize
+    );
+
+    await realtimeService.publishTripLocation(trip.id, 'location', location.toObject());
+
+    return location;
+  }
+
+  /**
+   * Buffered positions of a trip (newest first)
+   * Empty once the trip ended: positions are purged on completion/cancellation.
+   *
+   * @param {string} tripId
+   * @param {Object} viewer - { userId, role }
+   * @returns {Promise<Object>} { tripId, status, sharing, latest, positions }
+   * @throws {DomainError} trip_not_found (404), forbidden_location_access (403)
+   */
+  async getTripLocation(tripId, viewer) {
+    const trip = await this._getTrip(tripId);
+    await this._assertCanView(trip, viewer);
+
+    const positions = trip.status === 'in_progress'
+      ? await this.tripLocationRepository.findLatestByTrip(trip.id, this.bufferSize)
+      : [];
+
+    return {
+      tripId: trip.id,
+      status: trip.status,
+      sharing: trip.status === 'in_progress',
+      latest: positions.length > 0 ? positions[0].toObject() : null,
+      positions: positions.map((position) => position.toObject())
+    };
+  }
+
+  /**
+   * Delete the positions of a trip that ended and close its streams
+   *
+   * @param {string} tripId
+   * @param {string} reason - completed | canceled
+   * @returns {Promise<number>} Positions deleted
+   */
+  async purgeTripLocations(tripId, reason) {
+    const deleted = await this.tripLocationRepository.deleteByTrip(tripId);
+
+    await realtimeService.publishTripLocation(tripId, 'location_ended', { tripId: String(tripId), reason });
+
+    console.log(`[TripLocationService] Trip locations purged | tripId: ${tripId} | reason: ${reason} | deleted: ${deleted}`);
+
+    return deleted;
+  }
+
+  /**
+   * Driver, admins and passengers with an accepted booking who were not marked as no-show
+   * @private
+   */
+  async _assertCanView(trip, { userId, role }) {
+    if (role === 'admin' || trip.driverId === userId) {
+      return;
+    }
+
+    const booking = await this.bookingRequestRepository.findActiveBooking(userId, trip.id);
+    if (!booking || booking.status !== 'accepted' || booking.boardingStatus === 'passenger_no_show') {
+      throw new DomainError('Only passengers of this trip can follow its location', 403, 'forbidden_location_access');
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _getTrip(tripId) {
+    const trip = await this.tripOfferRepository.findById(tripId);
+    if (!trip) {
+      throw new DomainError('Trip offer not found', 404, 'trip_not_found');
+    }
+    return trip;
+  }
+}
+
+module.exports = TripLocationService;
@@ -4,59 +4,140 @@ const UpdateTripOfferDto = require('../dtos/UpdateTripOfferDto');
 const ValidationError = require('../errors/ValidationError');
 const DomainError = require('../errors/DomainError');
 const InvalidTransitionError = require('../errors/InvalidTransitionError');
+const TripSeries = require('../entities/TripSeries');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rolling horizon: occurrences of a series are materialized this many days ahead
+const SERIES_HORIZON_DAYS = parseInt(process.env.TRIP_SERIES_HORIZON_DAYS, 10) || 14;
 
 /**
  * Trip Offer Service
  * Business logic for trip offer management with ownership and temporal invariants
  */
 class TripOfferService {
-  constructor(tripOfferRepository, vehicleRepository, userRepository) {
+  constructor(
+    tripOfferRepository,
+    vehicleRepository,
+    userRepository,
+    tripSeriesRepository = null,
+    refundService = null,
+    changeProposalService = null,
+    eligibilityService = null,
+    seatLedgerRepository = null
+  ) {
     this.tripOfferRepository = tripOfferRepository;
     this.vehicleRepository = vehicleRepository;
     this.userRepository = userRepository;
+    this.tripSeriesRepository = tripSeriesRepository;
+    this.refundService = refundService;
+    this.changeProposalService = changeProposalService;
+    this.eligibilityService = eligibilityService;
+    this.seatLedgerRepository = seatLedgerRepository;
   }
 
   /**
-   * Create a new trip offer
-   * Validates driver-vehicle ownership, temporal constraints, and optional overlap check
+   * Lazily resolve the DriverEligibilityService (who may publish or start trips)
+   * @private
    */
-  async createTripOffer(driverId, createDto, { checkOverlap = true } = {}) {
-    // Validate DTO
-    const dtoErrors = createDto.validate();
-    if (dtoErrors.length > 0) {
-      throw new ValidationError(`Invalid trip offer data: ${dtoErrors.join(', ')}`);
+  _getEligibilityService() {
+    if (!this.eligibilityService) {
+      const DriverEligibilityService = require('./DriverEligibilityService');
+      this.eligibilityService = DriverEligibilityService.createDefault();
     }
+    return this.eligibilityService;
+  }
 
-    // Validate driver exists and has role 'driver'
-    const driver = await this.userRepository.findById(driverId);
-    if (!driver) {
-      throw new DomainError('Driver not found', 'driver_not_found');
+  /**
+   * Lazily resolve the TripChangeProposalService (passenger re-consent on material changes)
+   * @private
+   */
+  _getChangeProposalService() {
+    if (!this.changeProposalService) {
+      const TripChangeProposalService = require('./TripChangeProposalService');
+      this.changeProposalService = TripChangeProposalService.createDefault();
     }
+    return this.changeProposalService;
+  }
 
-    if (driver.role !== 'driver') {
-      throw new DomainError('User is not a driver', 'not_a_driver');
+  /**
+   * Lazily resolve the seat ledger repository (seats allocated per trip)
+   * @private
+   */
+  _getSeatLedgerRepository() {
+    if (!this.seatLedgerRepository) {
+      const MongoSeatLedgerRepository = require('../../infrastructure/repositories/MongoSeatLedgerRepository');
+      this.seatLedgerRepository = new MongoSeatLedgerRepository();
     }
+    return this.seatLedgerRepository;
+  }
 
-    // Validate vehicle exists and is owned by the driver
-    const vehicle = await this.vehicleRepository.findById(createDto.vehicleId);
-    if (!vehicle) {
-      throw new DomainError('Vehicle not found', 'vehicle_not_found');
-    }
+  /**
+   * Seats currently allocated on a trip (peak across segments, 0 without a ledger)
+   * @private
+   */
+  async _getAllocatedSeats(tripId, seatLedgerRepository = this._getSeatLedgerRepository()) {
+    const ledger = await seatLedgerRepository.getLedgerByTripId(tripId);
+    return ledger ? ledger.allocatedSeats : 0;
+  }
 
-    if (vehicle.driverId !== driverId) {
+  /**
+   * Reject a totalSeats below the seats already allocated on the trip
+   * @private
+   * @throws {DomainError} seats_below_allocated (409)
+   */
+  async _assertSeatsCoverAllocation(tripId, totalSeats) {
+    const allocatedSeats = await this._getAllocatedSeats(tripId);
+    if (totalSeats < allocatedSeats) {
       throw new DomainError(
-        'Vehicle does not belong to the driver',
-        'vehicle_ownership_violation'
+        `totalSeats (${totalSeats}) is below the ${allocatedSeats} seats already allocated`,
+        409,
+        'seats_below_allocated'
       );
     }
+  }
 
-    // Validate totalSeats does not exceed vehicle capacity
-    if (createDto.totalSeats > vehicle.capacity) {
-      throw new DomainError(
-        `totalSeats (${createDto.totalSeats}) exceeds vehicle capacity (${vehicle.capacity})`,
-        'exceeds_vehicle_capacity'
+  /**
+   * Alert passengers whose saved searches match a newly published trip
+   * Best-effort: a failure here never fails the publication.
+   * @private
+   */
+  async _notifySavedSearches(trip) {
+    try {
+      const SavedSearchService = require('./SavedSearchService');
+      await SavedSearchService.createDefault().notifyMatchingSearches(trip);
+    } catch (error) {
+      console.error(
+        `[TripOfferService] Saved search alerts failed | tripId: ${trip.id} | error: ${error.message}`
       );
     }
+  }
+
+  /**
+   * Create a new trip offer
+   * Validates driver-vehicle ownership, temporal constraints, and optional overlap check
+   * rideRequestId links a trip created to fulfill a passenger ride request.
+   * holdPublication validates a published trip but stores it as a draft until
+   * publishHeldTripOffer() is called (no saved-search alerts meanwhile).
+   */
+  async createTripOffer(
+    driverId,
+    createDto,
+    { checkOverlap = true, rideRequestId = null, holdPublication = false } = {}
+  ) {
+    // Validate DTO
+    const dtoErrors = createDto.validate();
+    if (dtoErrors.length > 0) {
+      throw new ValidationError(`Invalid trip offer data: ${dtoErrors.join(', ')}`);
+    }
+
+    // Validate driver role, vehicle ownership and capacity
+    await this._validateDriverAndVehicle(driverId, createDto.vehicleId, createDto.totalSeats);
+
+    // Publishing requires an eligible driver (drafts can be prepared meanwhile)
+    if (createDto.status === 'published') {
+      await this._getEligibilityService().assertEligible(driverId, 'publish');
+    }
 
     // Parse dates
     const departureAt = new Date(createDto.departureAt);
@@ -97,12 +178,15 @@ class TripOfferService {
       vehicleId: createDto.vehicleId,
       origin: createDto.origin,
       destination: createDto.destination,
+      waypoints: createDto.waypoints,
       departureAt,
       estimatedArrivalAt,
       pricePerSeat: createDto.pricePerSeat,
       totalSeats: createDto.totalSeats,
-      status: createDto.status,
-      notes: createDto.notes
+      status: holdPublication && createDto.status === 'published' ? 'draft' : createDto.status,
+      notes: createDto.notes,
+      instantBook: createDto.instantBook,
+      rideRequestId
     };
 
     const tripOffer = await this.tripOfferRepository.create(tripData);
@@ -111,9 +195,70 @@ class TripOfferService {
       `[TripOfferService] Trip offer created | tripId: ${tripOffer.id} | driverId: ${driverId} | status: ${tripOffer.status} | departure: ${tripOffer.departureAt.toISOString()}`
     );
 
+    if (tripOffer.status === 'published') {
+      await this._notifySavedSearches(tripOffer);
+    }
+
+    return tripOffer;
+  }
+
+  /**
+   * Publish a trip created with holdPublication
+   * The publication checks already ran when the trip was created.
+   *
+   * @param {string} tripId - Draft trip ID
+   * @returns {Promise<TripOffer>} The published trip
+   */
+  async publishHeldTripOffer(tripId) {
+    const tripOffer = await this.tripOfferRepository.update(tripId, { status: 'published' });
+
+    console.log(`[TripOfferService] Held trip offer published | tripId: ${tripId} | driverId: ${tripOffer.driverId}`);
+
+    await this._notifySavedSearches(tripOffer);
+
     return tripOffer;
   }
 
+  /**
+   * Validate driver exists with role 'driver', owns the vehicle, and
+   * totalSeats fits the vehicle capacity
+   * @private
+   */
+  async _validateDriverAndVehicle(driverId, vehicleId, totalSeats) {
+    // Validate driver exists and has role 'driver'
+    const driver = await this.userRepository.findById(driverId);
+    if (!driver) {
+      throw new DomainError('Driver not found', 'driver_not_found');
+    }
+
+    if (driver.role !== 'driver') {
+      throw new DomainError('User is not a driver', 'not_a_driver');
+    }
+
+    // Validate vehicle exists and is owned by the driver
+    const vehicle = await this.vehicleRepository.findById(vehicleId);
+    if (!vehicle) {
+      throw new DomainError('Vehicle not found', 'vehicle_not_found');
+    }
+
+    if (vehicle.driverId !== driverId) {
+      throw new DomainError(
+        'Vehicle does not belong to the driver',
+        'vehicle_ownership_violation'
+      );
+    }
+
+    // Validate totalSeats does not exceed vehicle capacity
+    if (totalSeats > vehicle.capacity) {
+      throw new DomainError(
+        `totalSeats (${totalSeats}) exceeds vehicle capacity (${vehicle.capacity})`,
+        'exceeds_vehicle_capacity'
+      );
+    }
+
+    return vehicle;
+  }
+
   /**
    * Get trip offer by ID
    */
@@ -159,12 +304,17 @@ class TripOfferService {
         vehicleId: doc.vehicleId.toString(),
         origin: doc.origin,
         destination: doc.destination,
+        waypoints: doc.waypoints || [],
         departureAt: doc.departureAt,
         estimatedArrivalAt: doc.estimatedArrivalAt,
         pricePerSeat: doc.pricePerSeat,
         totalSeats: doc.totalSeats,
         status: doc.status,
         notes: doc.notes,
+        seriesId: doc.seriesId ? doc.seriesId.toString() : null,
+        occurrenceDate: doc.occurrenceDate || null,
+        detachedFromSeries: !!doc.detachedFromSeries,
+        termsVersion: doc.termsVersion || 1,
         createdAt: doc.createdAt,
         updatedAt: doc.updatedAt
       });
@@ -184,6 +334,10 @@ class TripOfferService {
   /**
    * Update trip offer
    * Validates ownership, mutable fields, status transitions, and capacity constraints
+   *
+   * Time and route can be edited on draft and published trips. Price, time or
+   * route changes bump termsVersion; on a published trip with active bookings
+   * they open a change proposal the passengers must accept.
    */
   async updateTripOffer(tripId, driverId, updateDto, { checkOverlap = true } = {}) {
     // Validate DTO
@@ -224,11 +378,34 @@ class TripOfferService {
       );
     }
 
-    // If publishing a draft, validate departureAt is still in the future
+    // Time and route can only change before the trip starts
+    const changesTime = updateDto.departureAt !== undefined || updateDto.estimatedArrivalAt !== undefined;
+    const changesRoute = updateDto.origin !== undefined || updateDto.destination !== undefined;
+    if ((changesTime || changesRoute) && !['draft', 'published'].includes(tripOffer.status)) {
+      throw new DomainError(
+        `Cannot edit the time or route of a ${tripOffer.status} trip`,
+        409,
+        'invalid_status_for_update'
+      );
+    }
+
+    const departureAt = updateDto.departureAt || tripOffer.departureAt;
+    const estimatedArrivalAt = updateDto.estimatedArrivalAt || tripOffer.estimatedArrivalAt;
+    if (changesTime) {
+      if (new Date(departureAt) <= new Date()) {
+        throw new DomainError('departureAt must be in the future', 400, 'departure_in_past');
+      }
+      if (new Date(estimatedArrivalAt) <= new Date(departureAt)) {
+        throw new DomainError('estimatedArrivalAt must be after departureAt', 400, 'invalid_time_range');
+      }
+    }
+
+    // If publishing a draft, validate departureAt is still in the future and the driver is eligible
     if (updateDto.status === 'published' && tripOffer.status === 'draft') {
-      if (!tripOffer.isDepartureInFuture()) {
+      if (new Date(departureAt) <= new Date()) {
         throw new DomainError('Cannot publish trip with past departure time', 'departure_in_past');
       }
+      await this._getEligibilityService().assertEligible(driverId, 'publish');
     }
 
     // Validate totalSeats does not exceed vehicle capacity
@@ -244,20 +421,26 @@ class TripOfferService {
         );
       }
 
-      // Future: Cannot reduce totalSeats below already-booked seats
-      // This check will be implemented in later story when booking logic exists
-      // For now, just log a warning
+      // Cannot reduce totalSeats below the seats already allocated to passengers
+      await this._assertSeatsCoverAllocation(tripId, updateDto.totalSeats);
+
       console.log(
         `[TripOfferService] totalSeats updated | tripId: ${tripId} | oldValue: ${tripOffer.totalSeats} | newValue: ${updateDto.totalSeats}`
       );
     }
 
     // Optional: Check for overlapping trips if status changes to published
-    if (checkOverlap && updateDto.status === 'published' && tripOffer.status !== 'published') {
+    // (or the time window of a published trip moves)
+    const willBePublished = updateDto.status === 'published' || (!updateDto.status && tripOffer.status === 'published');
+    if (
+      checkOverlap &&
+      willBePublished &&
+      (tripOffer.status !== 'published' || changesTime)
+    ) {
       const overlappingTrips = await this.tripOfferRepository.findOverlappingTrips(
         driverId,
-        tripOffer.departureAt,
-        tripOffer.estimatedArrivalAt,
+        departureAt,
+        estimatedArrivalAt,
         tripId
       );
 
@@ -274,7 +457,32 @@ class TripOfferService {
     if (updateDto.pricePerSeat !== undefined) updates.pricePerSeat = updateDto.pricePerSeat;
     if (updateDto.totalSeats !== undefined) updates.totalSeats = updateDto.totalSeats;
     if (updateDto.notes !== undefined) updates.notes = updateDto.notes;
+    if (updateDto.instantBook !== undefined) updates.instantBook = updateDto.instantBook;
     if (updateDto.status !== undefined) updates.status = updateDto.status;
+    if (updateDto.departureAt !== undefined) updates.departureAt = updateDto.departureAt;
+    if (updateDto.estimatedArrivalAt !== undefined) updates.estimatedArrivalAt = updateDto.estimatedArrivalAt;
+    if (updateDto.origin !== undefined) updates.origin = updateDto.origin;
+    if (updateDto.destination !== undefined) updates.destination = updateDto.destination;
+
+    // Editing a single occurrence of a series detaches it from series-wide edits
+    if (
+      tripOffer.seriesId &&
+      (updates.pricePerSeat !== undefined || updates.totalSeats !== undefined || updates.notes !== undefined ||
+        changesTime || changesRoute)
+    ) {
+      updates.detachedFromSeries = true;
+    }
+
+    // Material changes (price, time, route) start a new version of the trip terms;
+    // passengers booked on a published trip must accept it (TripChangeProposalService)
+    const materialChanges = tripOffer.getMaterialChanges(updates);
+    const needsConsent = materialChanges.length > 0 && tripOffer.status === 'published';
+    if (materialChanges.length > 0) {
+      updates.termsVersion = tripOffer.termsVersion + 1;
+    }
+    if (needsConsent) {
+      await this._getChangeProposalService().assertNoOpenProposal(tripId);
+    }
 
     // Update trip offer
     const updatedTripOffer = await this.tripOfferRepository.update(tripId, updates);
@@ -283,6 +491,14 @@ class TripOfferService {
       `[TripOfferService] Trip offer updated | tripId: ${tripId} | driverId: ${driverId} | updates: ${Object.keys(updates).join(', ')}`
     );
 
+    if (needsConsent && updatedTripOffer.status === 'published') {
+      await this._getChangeProposalService().openProposal(tripOffer, updatedTripOffer, materialChanges);
+    }
+
+    if (tripOffer.status === 'draft' && updatedTripOffer.status === 'published') {
+      await this._notifySavedSearches(updatedTripOffer);
+    }
+
     return updatedTripOffer;
   }
 
@@ -348,6 +564,9 @@ class TripOfferService {
     // - pending → declined_auto
     // - accepted → canceled_by_platform (with refund trigger)
 
+    await this._purgeTripLocations(tripId, 'canceled');
+    await this._closeTripChat(tripId, 'canceled');
+
     return canceledTripOffer;
   }
 
@@ -375,6 +594,8 @@ class TripOfferService {
       throw new DomainError('Trip does not belong to the driver', 'ownership_violation', 403);
     }
 
+    await this._getEligibilityService().assertEligible(driverId, 'start');
+
     // Use entity's startTrip() method which enforces legal transitions
     try {
       tripOffer.startTrip();
@@ -448,9 +669,42 @@ class TripOfferService {
       `[TripOfferService] Trip completed | tripId: ${tripId} | driverId: ${driverId} | previousStatus: in_progress`
     );
 
+    await this._purgeTripLocations(tripId, 'completed');
+    await this._closeTripChat(tripId, 'completed', completedTripOffer.updatedAt);
+
     return completedTripOffer;
   }
 
+  /**
+   * Delete the live location of a trip that ended (best-effort)
+   * @private
+   */
+  async _purgeTripLocations(tripId, reason) {
+    try {
+      const TripLocationService = require('./TripLocationService');
+      await TripLocationService.createDefault().purgeTripLocations(tripId, reason);
+    } catch (error) {
+      console.error(
+        `[TripOfferService] Failed to purge trip locations | tripId: ${tripId} | error: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Close the chat of a trip that ended (best-effort)
+   * @private
+   */
+  async _closeTripChat(tripId, reason, endedAt = new Date()) {
+    try {
+      const TripChatService = require('./TripChatService');
+      await TripChatService.createDefault().closeTripChat(tripId, reason, endedAt);
+    } catch (error) {
+      console.error(
+        `[TripOfferService] Failed to close trip chat | tripId: ${tripId} | error: ${error.message}`
+      );
+    }
+  }
+
   /**
    * Cancel trip offer with cascade to all bookings (US-3.4.2)
    * 
@@ -460,6 +714,7 @@ class TripOfferService {
    * 3. Cancel all accepted bookings (→ canceled_by_platform)
    * 4. Deallocate seats from ledger for each accepted booking
    * 5. Set refundNeeded flag for paid accepted bookings
+   * After commit, refunds are requested for accepted bookings through RefundService.
    * 
    * @param {string} tripId - Trip ID to cancel
    * @param {string} driverId - Driver ID (ownership validation)
@@ -559,7 +814,8 @@ class TripOfferService {
         declinedAuto: 0,
         canceledByPlatform: 0,
         refundsCreated: 0,
-        ledgerReleased: 0
+        ledgerReleased: 0,
+        waitlistClosed: 0
       };
 
       await session.withTransaction(async () => {
@@ -587,32 +843,38 @@ class TripOfferService {
           );
 
           // d) Deallocate seats for each accepted booking
-          // Note: We use the total allocated seats from ledger, not per-booking
-          // The ledger tracks aggregate, so we release all at once
-          const totalSeatsToRelease = acceptedBookings.reduce((sum, booking) => sum + booking.seats, 0);
-
-          if (totalSeatsToRelease > 0) {
+          // Released per booking because each one occupies its own route segments
+          for (const booking of acceptedBookings) {
             const ledgerReleased = await seatLedgerRepository.deallocateSeats(
               tripId,
-              totalSeatsToRelease
+              booking.seats,
+              booking.getSegment()
             );
 
             if (!ledgerReleased) {
               throw new Error(
-                `Failed to deallocate seats atomically. Ledger may not exist or would go negative. tripId: ${tripId}, seats: ${totalSeatsToRelease}`
+                `Failed to deallocate seats atomically. Ledger may not exist or would go negative. tripId: ${tripId}, bookingId: ${booking.id}, seats: ${booking.seats}`
               );
             }
 
-            effects.ledgerReleased = acceptedBookings.length; // Count of bookings, not seats
+            effects.ledgerReleased += 1; // Count of bookings, not seats
           }
-
-          // TODO (US-4.2): Create RefundIntents for paid accepted bookings
-          // For now, we just count potential refunds (all accepted bookings get refundNeeded=true)
-          // The actual refund creation will happen in payment service
-          effects.refundsCreated = effects.canceledByPlatform; // Placeholder count
         }
       });
 
+      // Request refunds for paid accepted bookings (100% for platform cancellations)
+      // Done after commit; anything missed here is picked up by the process-refunds job
+      if (acceptedBookings.length > 0) {
+        if (!this.refundService) {
+          const RefundService = require('./RefundService');
+          this.refundService = RefundService.createDefault();
+        }
+        effects.refundsCreated = await this.refundService.requestRefundsForBookings(
+          acceptedBookings.map((b) => b.id),
+          'trip_canceled'
+        );
+      }
+
       console.log(
         `[TripOfferService] Cascade completed | tripId: ${tripId} | effects: ${JSON.stringify(effects)}`
       );
@@ -672,6 +934,44 @@ class TripOfferService {
         );
       }
 
+      // Push the new booking statuses to the affected passengers' streams
+      const realtimeService = require('./realtimeService');
+      for (const booking of pendingBookings) {
+        await realtimeService.publishBookingStatus(
+          { id: booking.id, tripId, passengerId: booking.passengerId, status: 'declined_auto' },
+          { previousStatus: 'pending' }
+        );
+      }
+      for (const booking of acceptedBookings) {
+        await realtimeService.publishBookingStatus(
+          { id: booking.id, tripId, passengerId: booking.passengerId, status: 'canceled_by_platform' },
+          { previousStatus: 'accepted' }
+        );
+      }
+
+      // Close the waitlist (held offers are released, waiting passengers notified)
+      try {
+        const WaitlistService = require('./WaitlistService');
+        effects.waitlistClosed = await WaitlistService.createDefault().closeTripWaitlist(tripId);
+      } catch (error) {
+        console.error(
+          `[TripOfferService] Failed to close waitlist | tripId: ${tripId} | error: ${error.message}`
+        );
+      }
+
+      // Passengers no longer need to answer pending trip changes
+      try {
+        const TripChangeProposalService = require('./TripChangeProposalService');
+        await TripChangeProposalService.createDefault().closeTripProposals(tripId);
+      } catch (error) {
+        console.error(
+          `[TripOfferService] Failed to close change proposals | tripId: ${tripId} | error: ${error.message}`
+        );
+      }
+
+      await this._purgeTripLocations(tripId, 'canceled');
+      await this._closeTripChat(tripId, 'canceled');
+
       return {
         tripId,
         status: 'canceled',
@@ -729,8 +1029,539 @@ class TripOfferService {
       `[TripOfferService] Auto-completed ${completedCount} trips | expected: ${eligibleTrips.length}`
     );
 
+    for (const trip of eligibleTrips) {
+      await this._closeTripChat(trip.id, 'completed', now);
+    }
+
     return completedCount;
   }
+
+  /**
+   * Create a recurring trip series and generate its first occurrences
+   *
+   * Every occurrence inside the initial horizon is checked against the
+   * driver's published trips; any conflict rejects the whole series so the
+   * driver can adjust the schedule.
+   *
+   * @param {string} driverId - Driver ID
+   * @param {CreateTripSeriesDto} createDto - Series data
+   * @returns {Promise<Object>} { series, trips, skipped }
+   * @throws {ValidationError} if DTO is invalid
+   * @throws {DomainError} empty_series | overlapping_trip (409)
+   */
+  async createTripSeries(driverId, createDto) {
+    const dtoErrors = createDto.validate();
+    if (dtoErrors.length > 0) {
+      throw new ValidationError(`Invalid trip series data: ${dtoErrors.join(', ')}`);
+    }
+
+    await this._validateDriverAndVehicle(driverId, createDto.vehicleId, createDto.totalSeats);
+
+    if (createDto.tripStatus === 'published') {
+      await this._getEligibilityService().assertEligible(driverId, 'publish');
+    }
+
+    const now = new Date();
+    const today = TripSeries.toLocalDate(now);
+    if (createDto.startDate < today) {
+      throw new DomainError('startDate must not be in the past', 400, 'departure_in_past');
+    }
+
+    const seriesData = {
+      driverId,
+      vehicleId: createDto.vehicleId,
+      origin: createDto.origin,
+      destination: createDto.destination,
+      waypoints: createDto.waypoints,
+      daysOfWeek: [...new Set(createDto.daysOfWeek)].sort(),
+      departureTime: createDto.departureTime,
+      durationMinutes: createDto.durationMinutes,
+      startDate: createDto.startDate,
+      untilDate: createDto.untilDate,
+      pricePerSeat: createDto.pricePerSeat,
+      totalSeats: createDto.totalSeats,
+      notes: createDto.notes,
+      tripStatus: createDto.tripStatus
+    };
+
+    // Dry run on the unsaved entity: the schedule must produce at least one trip
+    const candidate = new TripSeries(seriesData);
+    const untilDeparture = candidate.departureOn(candidate.untilDate);
+    if (candidate.getOccurrences(now, untilDeparture).length === 0) {
+      throw new DomainError(
+        'The schedule has no upcoming occurrences between startDate and untilDate',
+        400,
+        'empty_series'
+      );
+    }
+
+    if (candidate.tripStatus === 'published') {
+      const horizon = new Date(now.getTime() + SERIES_HORIZON_DAYS * DAY_MS);
+      const conflicts = [];
+
+      for (const occurrence of candidate.getOccurrences(now, horizon)) {
+        const overlappingTrips = await this.tripOfferRepository.findOverlappingTrips(
+          driverId,
+          occurrence.departureAt,
+          occurrence.estimatedArrivalAt
+        );
+        if (overlappingTrips.length > 0) {
+          conflicts.push({
+            occurrenceDate: occurrence.occurrenceDate,
+            conflictingTripIds: overlappingTrips.map((trip) => trip.id)
+          });
+        }
+      }
+
+      if (conflicts.length > 0) {
+        throw new DomainError(
+          'Some occurrences overlap with your other published trips',
+          409,
+          'overlapping_trip',
+          { conflicts }
+        );
+      }
+    }
+
+    const series = await this.tripSeriesRepository.create(seriesData);
+
+    console.log(
+      `[TripOfferService] Trip series created | seriesId: ${series.id} | driverId: ${driverId} | days: ${series.daysOfWeek.join(',')} | time: ${series.departureTime} | until: ${series.untilDate}`
+    );
+
+    const { trips, skipped } = await this.expandTripSeries(series, { now });
+
+    return { series, trips, skipped };
+  }
+
+  /**
+   * Materialize occurrences of a series up to the rolling horizon
+   *
+   * Idempotent: resumes from series.generatedUntil, and the unique
+   * (seriesId, occurrenceDate) index prevents duplicates. Published
+   * occurrences that overlap another published trip of the driver are
+   * skipped (and retried on the next expansion only if still in window).
+   * Published series of a driver who cannot publish are held until eligible.
+   *
+   * @param {TripSeries} series - Active series
+   * @param {Object} options
+   * @param {Date} options.now - Reference time (default: now)
+   * @returns {Promise<Object>} { trips, skipped }
+   */
+  async expandTripSeries(series, { now = new Date() } = {}) {
+    if (!series.isActive()) {
+      return { trips: [], skipped: [] };
+    }
+
+    const horizon = new Date(now.getTime() + SERIES_HORIZON_DAYS * DAY_MS);
+    const seriesEnd = series.departureOn(series.untilDate);
+    const generateUntil = seriesEnd < horizon ? seriesEnd : horizon;
+    const from = series.generatedUntil && series.generatedUntil > now ? series.generatedUntil : now;
+
+    const trips = [];
+    const skipped = [];
+
+    // Not eligible to publish: generate nothing and keep generatedUntil so the
+    // occurrences still ahead are created once the driver is eligible again
+    if (series.tripStatus === 'published') {
+      const eligibility = await this._getEligibilityService().evaluate(series.driverId, now);
+      if (!eligibility.canPublish) {
+        const reasons = eligibility.reasons.filter((reason) => reason.blocks.includes('publish'));
+        console.log(
+          `[TripOfferService] Trip series expansion held | seriesId: ${series.id} | driverId: ${series.driverId} | reasons: ${reasons.map((reason) => reason.code).join(',')}`
+        );
+        return { trips, skipped: [{ reason: 'driver_not_eligible', reasons }] };
+      }
+    }
+
+    for (const occurrence of series.getOccurrences(from, generateUntil)) {
+      if (series.tripStatus === 'published') {
+        const overlappingTrips = await this.tripOfferRepository.findOverlappingTrips(
+          series.driverId,
+          occurrence.departureAt,
+          occurrence.estimatedArrivalAt
+        );
+        if (overlappingTrips.length > 0) {
+          skipped.push({
+            occurrenceDate: occurrence.occurrenceDate,
+            reason: 'overlapping_trip',
+            conflictingTripIds: overlappingTrips.map((trip) => trip.id)
+          });
+          continue;
+        }
+      }
+
+      try {
+        const trip = await this.tripOfferRepository.create({
+          driverId: series.driverId,
+          vehicleId: series.vehicleId,
+          origin: series.origin,
+          destination: series.destination,
+          waypoints: series.waypoints,
+          departureAt: occurrence.departureAt,
+          estimatedArrivalAt: occurrence.estimatedArrivalAt,
+          pricePerSeat: series.pricePerSeat,
+          totalSeats: series.totalSeats,
+          status: series.tripStatus,
+          notes: series.notes,
+          seriesId: series.id,
+          occurrenceDate: occurrence.occurrenceDate
+        });
+        trips.push(trip);
+      } catch (error) {
+        // Duplicate key: occurrence already generated by a concurrent run
+        if (error.code === 11000) continue;
+        throw error;
+      }
+    }
+
+    if (!series.generatedUntil || generateUntil > series.generatedUntil) {
+      await this.tripSeriesRepository.update(series.id, { generatedUntil: generateUntil });
+      series.generatedUntil = generateUntil;
+    }
+
+    console.log(
+      `[TripOfferService] Trip series expanded | seriesId: ${series.id} | created: ${trips.length} | skipped: ${skipped.length} | generatedUntil: ${generateUntil.toISOString()}`
+    );
+
+    return { trips, skipped };
+  }
+
+  /**
+   * Roll every active series forward to the current horizon
+   * Used by the daily scheduler and the internal jobs endpoint.
+   *
+   * @returns {Promise<Object>} { seriesProcessed, tripsCreated, occurrencesSkipped }
+   */
+  async extendSeriesHorizons() {
+    const now = new Date();
+    const horizon = new Date(now.getTime() + SERIES_HORIZON_DAYS * DAY_MS);
+    const dueSeries = await this.tripSeriesRepository.findActiveNeedingExpansion(horizon);
+
+    const result = { seriesProcessed: 0, tripsCreated: 0, occurrencesSkipped: 0 };
+
+    for (const series of dueSeries) {
+      try {
+        const { trips, skipped } = await this.expandTripSeries(series, { now });
+        result.seriesProcessed += 1;
+        result.tripsCreated += trips.length;
+        result.occurrencesSkipped += skipped.length;
+      } catch (error) {
+        console.error(
+          `[TripOfferService] Series expansion failed | seriesId: ${series.id} | error: ${error.message}`
+        );
+      }
+    }
+
+    console.log(`[TripOfferService] Series horizons extended | result: ${JSON.stringify(result)}`);
+
+    return result;
+  }
+
+  /**
+   * Get a series owned by the driver
+   *
+   * @throws {DomainError} trip_series_not_found (404) | forbidden_owner (403)
+   */
+  async getTripSeriesById(seriesId, driverId) {
+    const series = await this.tripSeriesRepository.findById(seriesId);
+    if (!series) {
+      throw new DomainError('Trip series not found', 404, 'trip_series_not_found');
+    }
+
+    if (series.driverId !== driverId) {
+      throw new DomainError('Trip series does not belong to the driver', 403, 'forbidden_owner');
+    }
+
+    return series;
+  }
+
+  /**
+   * List series for a driver
+   */
+  async getTripSeriesByDriver(driverId, filters = {}) {
+    return this.tripSeriesRepository.findByDriverId(driverId, filters);
+  }
+
+  /**
+   * Edit all future occurrences of a series ("edit all future")
+   *
+   * Updates the series template (so later occurrences inherit the change)
+   * and every upcoming draft/published occurrence departing at or after
+   * `fromDepartureAt`, except occurrences edited individually.
+   * Occurrences with more seats allocated than a new totalSeats keep their
+   * seats, are detached from the series and reported in skippedTrips.
+   * Shortening untilDate cancels the occurrences beyond it with cascade.
+   *
+   * @param {string} seriesId - Series ID
+   * @param {string} driverId - Driver ID (ownership validation)
+   * @param {Object} changes - { pricePerSeat, totalSeats, notes, untilDate }
+   * @param {Object} options
+   * @param {Date} options.fromDepartureAt - First occurrence to update (default: now)
+   * @param {string} options.includeTripId - Occurrence to update even if detached
+   * @param {Object} options.bookingRequestRepository - Required when shortening untilDate
+   * @param {Object} options.seatLedgerRepository - Required when shortening untilDate
+   * @returns {Promise<Object>} { series, updatedTrips, canceledTrips, skippedTrips }
+   */
+  async updateTripSeries(seriesId, driverId, changes, options = {}) {
+    const {
+      fromDepartureAt = new Date(),
+      includeTripId = null,
+      bookingRequestRepository = null,
+      seatLedgerRepository = null
+    } = options;
+
+    const series = await this.getTripSeriesById(seriesId, driverId);
+    if (!series.isActive()) {
+      throw new DomainError('Cannot edit a canceled trip series', 409, 'invalid_status_for_update');
+    }
+
+    const templateUpdates = {};
+    if (changes.pricePerSeat !== undefined) templateUpdates.pricePerSeat = changes.pricePerSeat;
+    if (changes.totalSeats !== undefined) templateUpdates.totalSeats = changes.totalSeats;
+    if (changes.notes !== undefined) templateUpdates.notes = changes.notes;
+    if (changes.untilDate !== undefined) templateUpdates.untilDate = changes.untilDate;
+
+    if (Object.keys(templateUpdates).length === 0) {
+      throw new ValidationError('No fields to update');
+    }
+
+    if (templateUpdates.untilDate !== undefined && templateUpdates.untilDate < series.startDate) {
+      throw new ValidationError('untilDate must be on or after startDate');
+    }
+
+    if (templateUpdates.totalSeats !== undefined) {
+      await this._validateDriverAndVehicle(driverId, series.vehicleId, templateUpdates.totalSeats);
+    }
+
+    const updatedSeries = await this.tripSeriesRepository.update(seriesId, templateUpdates);
+
+    // Propagate template fields to upcoming, non-detached occurrences
+    const tripUpdates = { ...templateUpdates };
+    delete tripUpdates.untilDate;
+
+    const upcoming = await this.tripOfferRepository.findUpcomingBySeries(seriesId, { fromDepartureAt });
+    const updatedTrips = [];
+    const canceledTrips = [];
+    const skippedTrips = [];
+
+    for (const trip of upcoming) {
+      if (trip.occurrenceDate > updatedSeries.untilDate) {
+        if (!bookingRequestRepository || !seatLedgerRepository) {
+          throw new DomainError(
+            'Booking and seat ledger repositories required to shorten a series',
+            500,
+            'missing_dependency'
+          );
+        }
+        await this.cancelTripWithCascade(trip.id, driverId, bookingRequestRepository, seatLedgerRepository);
+        canceledTrips.push(trip.id);
+        continue;
+      }
+
+      if (Object.keys(tripUpdates).length === 0) continue;
+      if (trip.detachedFromSeries && trip.id !== includeTripId) continue;
+
+      // Seats already allocated to passengers cannot be taken away: leave this occurrence as is
+      if (tripUpdates.totalSeats !== undefined) {
+        const allocatedSeats = await this._getAllocatedSeats(
+          trip.id,
+          seatLedgerRepository || this._getSeatLedgerRepository()
+        );
+        if (tripUpdates.totalSeats < allocatedSeats) {
+          console.log(
+            `[TripOfferService] Occurrence skipped, seats below allocation | seriesId: ${seriesId} | tripId: ${trip.id} | allocatedSeats: ${allocatedSeats} | totalSeats: ${tripUpdates.totalSeats}`
+          );
+          await this.tripOfferRepository.update(trip.id, { detachedFromSeries: true });
+          skippedTrips.push({ tripId: trip.id, reason: 'seats_below_allocated', allocatedSeats });
+          continue;
+        }
+      }
+
+      // A price change starts a new terms version; booked passengers must accept it
+      const materialChanges = trip.getMaterialChanges(tripUpdates);
+      const needsConsent = materialChanges.length > 0 && trip.status === 'published';
+      if (needsConsent) {
+        try {
+          await this._getChangeProposalService().assertNoOpenProposal(trip.id);
+        } catch (error) {
+          if (error.code !== 'change_proposal_pending') throw error;
+
+          // Passengers are still answering a previous change: leave this occurrence as is
+          console.log(
+            `[TripOfferService] Occurrence skipped, change proposal pending | seriesId: ${seriesId} | tripId: ${trip.id}`
+          );
+          await this.tripOfferRepository.update(trip.id, { detachedFromSeries: true });
+          continue;
+        }
+      }
+
+      const occurrenceUpdates = materialChanges.length > 0
+        ? { ...tripUpdates, termsVersion: trip.termsVersion + 1 }
+        : tripUpdates;
+      const updatedTrip = await this.tripOfferRepository.update(trip.id, occurrenceUpdates);
+      updatedTrips.push(updatedTrip);
+
+      if (needsConsent) {
+        await this._getChangeProposalService().openProposal(trip, updatedTrip, materialChanges);
+      }
+    }
+
+    // Extending untilDate may open new dates inside the current horizon
+    if (templateUpdates.untilDate !== undefined && updatedSeries.generatedUntil) {
+      const newEnd = updatedSeries.departureOn(updatedSeries.untilDate);
+      if (newEnd < updatedSeries.generatedUntil) {
+        updatedSeries.generatedUntil = newEnd;
+        await this.tripSeriesRepository.update(seriesId, { generatedUntil: newEnd });
+      } else {
+        await this.expandTripSeries(updatedSeries);
+      }
+    }
+
+    console.log(
+      `[TripOfferService] Trip series updated | seriesId: ${seriesId} | driverId: ${driverId} | updates: ${Object.keys(templateUpdates).join(', ')} | tripsUpdated: ${updatedTrips.length} | tripsCanceled: ${canceledTrips.length} | tripsSkipped: ${skippedTrips.length}`
+    );
+
+    return { series: updatedSeries, updatedTrips, canceledTrips, skippedTrips };
+  }
+
+  /**
+   * Edit an occurrence and every later occurrence of its series
+   * Entry point for PATCH /drivers/trips/:id?scope=future
+   *
+   * @param {string} tripId - Occurrence to start from
+   * @param {string} driverId - Driver ID (ownership validation)
+   * @param {UpdateTripOfferDto} updateDto - Only pricePerSeat, totalSeats, notes
+   * @returns {Promise<TripOffer>} The updated occurrence
+   */
+  async updateFutureOccurrences(tripId, driverId, updateDto) {
+    const dtoErrors = updateDto.validate();
+    if (dtoErrors.length > 0) {
+      throw new ValidationError(`Invalid update data: ${dtoErrors.join(', ')}`);
+    }
+
+    if (updateDto.status !== undefined) {
+      throw new ValidationError('status cannot be changed with scope=future; cancel the series instead');
+    }
+
+    if (updateDto.instantBook !== undefined) {
+      throw new ValidationError('instantBook is set per trip; it cannot be changed with scope=future');
+    }
+
+    if (
+      updateDto.departureAt !== undefined ||
+      updateDto.estimatedArrivalAt !== undefined ||
+      updateDto.origin !== undefined ||
+      updateDto.destination !== undefined
+    ) {
+      throw new ValidationError('Time and route are set per trip; they cannot be changed with scope=future');
+    }
+
+    const tripOffer = await this.tripOfferRepository.findById(tripId);
+    if (!tripOffer) {
+      throw new DomainError('Trip offer not found', 404, 'trip_not_found');
+    }
+
+    if (tripOffer.driverId !== driverId) {
+      throw new DomainError('You do not own this trip offer', 403, 'ownership_violation');
+    }
+
+    if (!tripOffer.seriesId) {
+      throw new DomainError('Trip does not belong to a series', 400, 'not_a_series_trip');
+    }
+
+    if (!tripOffer.isEditable()) {
+      throw new DomainError(
+        `Cannot update ${tripOffer.status} trip`,
+        409,
+        'invalid_status_for_update'
+      );
+    }
+
+    if (updateDto.totalSeats !== undefined) {
+      await this._assertSeatsCoverAllocation(tripId, updateDto.totalSeats);
+    }
+
+    await this.updateTripSeries(
+      tripOffer.seriesId,
+      driverId,
+      {
+        pricePerSeat: updateDto.pricePerSeat,
+        totalSeats: updateDto.totalSeats,
+        notes: updateDto.notes
+      },
+      { fromDepartureAt: tripOffer.departureAt, includeTripId: tripId }
+    );
+
+    // Re-attach the occurrence: it now matches the series template again
+    return this.tripOfferRepository.update(tripId, { detachedFromSeries: false });
+  }
+
+  /**
+   * Cancel a series and every upcoming occurrence (cascade)
+   *
+   * The series is marked canceled first so no new occurrences are generated,
+   * then each upcoming draft/published occurrence goes through
+   * cancelTripWithCascade (bookings declined/canceled, seats released,
+   * passengers notified). Failures on individual trips are reported, not fatal.
+   *
+   * @param {string} seriesId - Series ID
+   * @param {string} driverId - Driver ID (ownership validation)
+   * @param {MongoBookingRequestRepository} bookingRequestRepository - Injected for cascade
+   * @param {MongoSeatLedgerRepository} seatLedgerRepository - Injected for seat deallocation
+   * @returns {Promise<Object>} { seriesId, status, tripsCanceled, effects, failedTripIds }
+   */
+  async cancelTripSeries(seriesId, driverId, bookingRequestRepository, seatLedgerRepository) {
+    const series = await this.getTripSeriesById(seriesId, driverId);
+
+    const effects = {
+      declinedAuto: 0,
+      canceledByPlatform: 0,
+      refundsCreated: 0,
+      ledgerReleased: 0
+    };
+
+    // Idempotent: already canceled series has nothing left to cascade
+    if (!series.isActive()) {
+      return { seriesId, status: 'canceled', tripsCanceled: 0, effects, failedTripIds: [] };
+    }
+
+    series.cancel();
+    await this.tripSeriesRepository.update(seriesId, {
+      status: series.status,
+      canceledAt: series.canceledAt
+    });
+
+    const upcoming = await this.tripOfferRepository.findUpcomingBySeries(seriesId);
+    let tripsCanceled = 0;
+    const failedTripIds = [];
+
+    for (const trip of upcoming) {
+      try {
+        const result = await this.cancelTripWithCascade(
+          trip.id,
+          driverId,
+          bookingRequestRepository,
+          seatLedgerRepository
+        );
+        tripsCanceled += 1;
+        Object.keys(effects).forEach((key) => {
+          effects[key] += result.effects[key] || 0;
+        });
+      } catch (error) {
+        console.error(
+          `[TripOfferService] Series occurrence cancel failed | seriesId: ${seriesId} | tripId: ${trip.id} | error: ${error.message}`
+        );
+        failedTripIds.push(trip.id);
+      }
+    }
+
+    console.log(
+      `[TripOfferService] Trip series canceled | seriesId: ${seriesId} | driverId: ${driverId} | tripsCanceled: ${tripsCanceled} | failed: ${failedTripIds.length} | effects: ${JSON.stringify(effects)}`
+    );
+
+    return { seriesId, status: 'canceled', tripsCanceled, effects, failedTripIds };
+  }
 }
 
 module.exports = TripOfferService;
@@ -0,0 +1,91 @@
+/**
+ * UserSanctionService
+ *
+ * Account sanctions applied by admins: suspension and the driver publish ban.
+ * Shared by the admin actions (PATCH /admin/users/:id/suspension,
+ * PATCH /admin/drivers/:driverId/publish-ban) and moderation case resolution.
+ * Callers write the audit entry with the returned before/after state.
+ */
+
+const UserModel = require('../../infrastructure/database/models/UserModel');
+
+class UserSanctionService {
+  /**
+   * Suspend a user (idempotent)
+   * @param {string} userId
+   * @param {Object} options - { adminId, reason }
+   * @returns {Promise<Object|null>} { user, changed, before, after } or null if the user does not exist
+   */
+  static async suspend(userId, { adminId, reason }) {
+    const user = await UserModel.findById(userId);
+    if (!user) {
+      return null;
+    }
+
+    if (user.suspended) {
+      return { user, changed: false, before: { suspended: true }, after: { suspended: true } };
+    }
+
+    const before = { suspended: !!user.suspended, suspendedAt: user.suspendedAt, suspensionReason: user.suspensionReason };
+    user.suspended = true;
+    user.suspendedAt = new Date();
+    user.suspendedBy = adminId;
+    user.suspensionReason = reason;
+    await user.save();
+
+    const after = { suspended: user.suspended, suspendedAt: user.suspendedAt, suspensionReason: user.suspensionReason };
+    return { user, changed: true, before, after };
+  }
+
+  /**
+   * Lift a suspension (idempotent)
+   * @param {string} userId
+   * @param {Object} options - { adminId }
+   * @returns {Promise<Object|null>} { user, changed, before, after } or null if the user does not exist
+   */
+  static async unsuspend(userId, { adminId }) {
+    const user = await UserModel.findById(userId);
+    if (!user) {
+      return null;
+    }
+
+    if (!user.suspended) {
+      return { user, changed: false, before: { suspended: false }, after: { suspended: false } };
+    }
+
+    const before = { suspended: true, suspendedAt: user.suspendedAt, suspensionReason: user.suspensionReason };
+    user.suspended = false;
+    user.suspendedAt = null;
+    user.suspendedBy = adminId;
+    user.suspensionReason = '';
+    await user.save();
+
+    const after = { suspended: false, suspendedAt: null, suspensionReason: '' };
+    return { user, changed: true, before, after };
+  }
+
+  /**
+   * Set or clear (banUntil null) the publish ban of a driver
+   * @param {string} driverId
+   * @param {Object} options - { banUntil, reason, adminId }
+   * @returns {Promise<Object|null>} { user, before, after } or null if the user is not a driver
+   */
+  static async setPublishBan(driverId, { banUntil, reason, adminId }) {
+    const user = await UserModel.findById(driverId);
+    if (!user || user.role !== 'driver') {
+      return null;
+    }
+
+    const before = { publishBanUntil: user.publishBanUntil || null };
+
+    user.publishBanUntil = banUntil ? new Date(banUntil) : null;
+    user.publishBanReason = reason || '';
+    user.publishBannedBy = adminId;
+    await user.save();
+
+    const after = { publishBanUntil: user.publishBanUntil || null };
+    return { user, before, after };
+  }
+}
+
+module.exports = UserSanctionService;
@@ -0,0 +1,523 @@
+/**
+ * WaitlistService
+ *
+ * Ordered waitlist for fully booked trips.
+ *
+ * - Passengers join when the seats they want are taken (first come, first served)
+ * - When seats are released (passenger cancels an accepted booking, admin
+ *   correction, declined/expired offer) the first entries that fit get an
+ *   offer: the seats are held on the ledger until offerExpiresAt
+ * - Confirming an offer creates a pending request or, if the driver enabled
+ *   auto-accept (driverSettings.waitlistPromotion), an accepted booking that
+ *   keeps the held seats
+ * - Offers not confirmed in time expire (expire-waitlist-offers job) and the
+ *   seats go to the next in line
+ */
+
+const DomainError = require('../errors/DomainError');
+const SeatLedger = require('../entities/SeatLedger');
+const WaitlistEntry = require('../entities/WaitlistEntry');
+const NotificationService = require('./NotificationService');
+const realtimeService = require('./realtimeService');
+
+const DEFAULT_OFFER_TTL_MINUTES = 30;
+
+class WaitlistService {
+  constructor(
+    waitlistRepository,
+    bookingRequestRepository,
+    tripOfferRepository,
+    seatLedgerRepository,
+    userRepository,
+    { offerTtlMinutes = DEFAULT_OFFER_TTL_MINUTES, paymentService = null } = {}
+  ) {
+    this.waitlistRepository = waitlistRepository;
+    this.bookingRequestRepository = bookingRequestRepository;
+    this.tripOfferRepository = tripOfferRepository;
+    this.seatLedgerRepository = seatLedgerRepository;
+    this.userRepository = userRepository;
+    this.offerTtlMinutes = offerTtlMinutes;
+    this.paymentService = paymentService;
+  }
+
+  /**
+   * Build a WaitlistService wired to the Mongo repositories
+   * WAITLIST_OFFER_TTL_MINUTES sets how long promoted passengers have to confirm.
+   * @returns {WaitlistService}
+   */
+  static createDefault() {
+    const MongoWaitlistRepository = require('../../infrastructure/repositories/MongoWaitlistRepository');
+    const MongoBookingRequestRepository = require('../../infrastructure/repositories/MongoBookingRequestRepository');
+    const MongoTripOfferRepository = require('../../infrastructure/repositories/MongoTripOfferRepository');
+    const MongoSeatLedgerRepository = require('../../infrastructure/repositories/MongoSeatLedgerRepository');
+    const MongoUserRepository = require('../../infrastructure/repositories/MongoUserRepository');
+
+    return new WaitlistService(
+      new MongoWaitlistRepository(),
+      new MongoBookingRequestRepository(),
+      new MongoTripOfferRepository(),
+      new MongoSeatLedgerRepository(),
+      new MongoUserRepository(),
+      { offerTtlMinutes: parseInt(process.env.WAITLIST_OFFER_TTL_MINUTES, 10) || DEFAULT_OFFER_TTL_MINUTES }
+    );
+  }
+
+  /**
+   * Lazily resolve the PaymentService (auto-accepted promotions need a payment intent)
+   * @private
+   */
+  _getPaymentService() {
+    if (!this.paymentService) {
+      const PaymentService = require('./PaymentService');
+      this.paymentService = PaymentService.createDefault();
+    }
+    return this.paymentService;
+  }
+
+  /**
+   * Join the waitlist of a full trip
+   *
+   * @param {string} passengerId
+   * @param {Object} data - { tripId, seats, note, boardStopIndex, alightStopIndex }
+   * @returns {Promise<WaitlistEntry>} Entry with its position in line
+   * @throws {DomainError} trip_not_found (404), cannot_waitlist_own_trip (403),
+   *   trip_not_bookable / duplicate_request / seats_available / already_waitlisted (409),
+   *   invalid_stops / invalid_seats (400)
+   */
+  async joinWaitlist(passengerId, { tripId, seats = 1, note = '', boardStopIndex = null, alightStopIndex = null }) {
+    const trip = await this._getBookableTrip(tripId);
+
+    if (trip.driverId === passengerId) {
+      throw new DomainError('You cannot join the waitlist of your own trip', 403, 'cannot_waitlist_own_trip');
+    }
+
+    const segment = trip.resolveSegment(boardStopIndex, alightStopIndex);
+    if (!segment) {
+      throw new DomainError('Invalid board/alight stops for this trip', 400, 'invalid_stops');
+    }
+
+    if (seats > trip.totalSeats) {
+      throw new DomainError('Requested seats exceed the trip capacity', 400, 'invalid_seats');
+    }
+
+    const activeBooking = await this.bookingRequestRepository.findActiveBooking(passengerId, tripId);
+    if (activeBooking) {
+      throw new DomainError('You already have an active booking for this trip', 409, 'duplicate_request');
+    }
+
+    const freeSeats = await this._getFreeSeats(trip, segment);
+    if (freeSeats >= seats) {
+      throw new DomainError('Seats are available; request a booking instead', 409, 'seats_available', { freeSeats });
+    }
+
+    const entry = await this.waitlistRepository.create({
+      tripId,
+      passengerId,
+      seats,
+      note: note || '',
+      boardStopIndex: segment.from,
+      alightStopIndex: segment.to
+    });
+
+    console.log(
+      `[WaitlistService] Passenger joined waitlist | entryId: ${entry.id} | tripId: ${tripId} | passengerId: ${passengerId} | seats: ${seats} | position: ${entry.position}`
+    );
+
+    await NotificationService.createNotification(
+      passengerId,
+      'waitlist.joined',
+      'Estás en la lista de espera',
+      `Te avisaremos si se libera un cupo. Tu posición: ${entry.position}.`,
+      { entryId: entry.id, tripId, seats, position: entry.position }
+    );
+
+    return entry;
+  }
+
+  /**
+   * Leave the waitlist (releases the held seats of a pending offer)
+   * @returns {Promise<WaitlistEntry>}
+   */
+  async leaveWaitlist(entryId, passengerId) {
+    const entry = await this._getOwnedEntry(entryId, passengerId);
+
+    if (entry.status === 'left') {
+      return entry; // Idempotent
+    }
+
+    const left = await this.waitlistRepository.transition(entryId, WaitlistEntry.OPEN_STATUSES, {
+      status: 'left',
+      resolvedAt: new Date()
+    });
+    if (!left) {
+      throw new DomainError(`Cannot leave the waitlist with status: ${entry.status}`, 409, 'invalid_state');
+    }
+
+    console.log(`[WaitlistService] Passenger left waitlist | entryId: ${entryId} | previousStatus: ${entry.status}`);
+
+    if (entry.isOffered()) {
+      await this._releaseHold(entry);
+      await this.promoteFromWaitlist(entry.tripId);
+    }
+
+    return left;
+  }
+
+  /**
+   * Waitlist entries of a passenger (most recent first)
+   * @param {string} passengerId
+   * @param {Object} filters - { status }
+   * @returns {Promise<WaitlistEntry[]>}
+   */
+  async listPassengerEntries(passengerId, filters = {}) {
+    return this.waitlistRepository.findByPassenger(passengerId, filters);
+  }
+
+  /**
+   * Open waitlist of a trip in line order (driver view)
+   * @returns {Promise<WaitlistEntry[]>}
+   * @throws {DomainError} trip_not_found (404), forbidden_owner (403)
+   */
+  async listTripWaitlist(tripId, driverId) {
+    const trip = await this.tripOfferRepository.findById(tripId);
+    if (!trip) {
+      throw new DomainError('Trip offer not found', 404, 'trip_not_found');
+    }
+    if (trip.driverId !== driverId) {
+      throw new DomainError('Trip does not belong to the driver', 403, 'forbidden_owner');
+    }
+    return this.waitlistRepository.findOpenByTrip(tripId);
+  }
+
+  /**
+   * Offer released seats to the waitlist
+   *
+   * Entries are visited in line order; each one whose seats fit on its
+   * segment gets them held and a time-boxed offer. Entries that do not fit
+   * keep their place (a later, smaller request may still be served).
+   *
+   * @param {string} tripId
+   * @returns {Promise<{offered: number}>}
+   */
+  async promoteFromWaitlist(tripId) {
+    const trip = await this.tripOfferRepository.findById(tripId);
+    if (!trip || trip.status !== 'published' || !trip.isDepartureInFuture()) {
+      return { offered: 0 };
+    }
+
+    const waiting = await this.waitlistRepository.findWaitingByTrip(tripId);
+    let offered = 0;
+
+    for (const entry of waiting) {
+      const segment = trip.resolveSegment(entry.boardStopIndex, entry.alightStopIndex);
+      if (!segment) continue;
+
+      const held = await this.seatLedgerRepository.allocateSeats(trip.id, trip.totalSeats, entry.seats, segment);
+      if (!held) continue;
+
+      const now = new Date();
+      const offerExpiresAt = new Date(
+        Math.min(now.getTime() + this.offerTtlMinutes * 60 * 1000, new Date(trip.departureAt).getTime())
+      );
+
+      const offer = await this.waitlistRepository.transition(entry.id, ['waiting'], {
+        status: 'offered',
+        offeredAt: now,
+        offerExpiresAt
+      });
+      if (!offer) {
+        // Entry left the line meanwhile
+        await this._releaseHold(entry, trip);
+        continue;
+      }
+
+      offered += 1;
+      console.log(
+        `[WaitlistService] Seats offered | entryId: ${entry.id} | tripId: ${tripId} | passengerId: ${entry.passengerId} | seats: ${entry.seats} | expiresAt: ${offerExpiresAt.toISOString()}`
+      );
+
+      await NotificationService.createNotification(
+        entry.passengerId,
+        'waitlist.offer',
+        'Se liberó un cupo',
+        'Hay cupo para ti en un viaje de tu lista de espera. Confírmalo antes de que venza la oferta.',
+        { entryId: entry.id, tripId, seats: entry.seats, offerExpiresAt: offerExpiresAt.toISOString() }
+      );
+    }
+
+    return { offered };
+  }
+
+  /**
+   * Confirm an active offer
+   *
+   * @returns {Promise<{entry: WaitlistEntry, booking: BookingRequest}>}
+   * @throws {DomainError} offer_not_active / trip_not_bookable / duplicate_request (409)
+   */
+  async confirmOffer(entryId, passengerId) {
+    const entry = await this._getOwnedEntry(entryId, passengerId);
+
+    if (entry.status === 'confirmed' && entry.bookingId) {
+      // Idempotent
+      return { entry, booking: await this.bookingRequestRepository.findById(entry.bookingId) };
+    }
+
+    const now = new Date();
+    if (!entry.isOfferActive(now)) {
+      throw new DomainError('There is no active offer for this waitlist entry', 409, 'offer_not_active');
+    }
+
+    const trip = await this.tripOfferRepository.findById(entry.tripId);
+    if (!trip || trip.status !== 'published' || !trip.isDepartureInFuture()) {
+      throw new DomainError('Trip cannot accept new bookings', 409, 'trip_not_bookable');
+    }
+
+    const activeBooking = await this.bookingRequestRepository.findActiveBooking(passengerId, entry.tripId);
+    if (activeBooking) {
+      throw new DomainError('You already have an active booking for this trip', 409, 'duplicate_request');
+    }
+
+    const settings = await this.userRepository.getDriverSettings(trip.driverId);
+    const promotionMode = (settings && settings.waitlistPromotion) || 'request';
+
+    // Claim the offer first so a double submit cannot create two bookings
+    const claimed = await this.waitlistRepository.transition(
+      entryId,
+      ['offered'],
+      { status: 'confirmed', promotionMode, resolvedAt: now },
+      { offerExpiresAt: { $gt: now } }
+    );
+    if (!claimed) {
+      throw new DomainError('There is no active offer for this waitlist entry', 409, 'offer_not_active');
+    }
+
+    let booking;
+    try {
+      booking = await this.bookingRequestRepository.create({
+        tripId: entry.tripId,
+        passengerId,
+        seats: entry.seats,
+        note: entry.note,
+        boardStopIndex: entry.boardStopIndex,
+        alightStopIndex: entry.alightStopIndex,
+        agreedTerms: { ...trip.getTerms(), agreedAt: now },
+        ...(promotionMode === 'auto_accept' && { status: 'accepted', acceptedBy: trip.driverId })
+      });
+    } catch (error) {
+      // Give the offer back; the held seats are still in place
+      await this.waitlistRepository.transition(entryId, ['confirmed'], {
+        status: 'offered',
+        promotionMode: null,
+        resolvedAt: null
+      });
+      throw error;
+    }
+
+    // Pending requests allocate on the driver's acceptance, so the hold goes back
+    if (promotionMode === 'request') {
+      await this._releaseHold(entry, trip);
+    }
+
+    const confirmed = await this.waitlistRepository.transition(entryId, ['confirmed'], { bookingId: booking.id });
+
+    console.log(
+      `[WaitlistService] Offer confirmed | entryId: ${entryId} | bookingId: ${booking.id} | promotionMode: ${promotionMode} | tripId: ${trip.id}`
+    );
+
+    if (promotionMode === 'auto_accept') {
+      try {
+        await this._getPaymentService().createPaymentForBooking(booking, trip);
+      } catch (error) {
+        // Passenger can still request the intent later (POST /passengers/bookings/:id/payment-intent)
+        console.error(`[WaitlistService] Payment creation failed | bookingId: ${booking.id} | error: ${error.message}`);
+      }
+
+      await NotificationService.createNotification(
+        passengerId,
+        'waitlist.confirmed',
+        'Reserva confirmada',
+        'Tu cupo desde la lista de espera quedó reservado.',
+        { entryId, bookingId: booking.id, tripId: trip.id, seats: booking.seats, status: booking.status }
+      );
+      await NotificationService.createNotification(
+        trip.driverId,
+        'waitlist.promoted',
+        'Nuevo pasajero desde la lista de espera',
+        'Un pasajero de la lista de espera tomó los cupos liberados de tu viaje.',
+        { bookingId: booking.id, tripId: trip.id, passengerId, seats: booking.seats }
+      );
+    } else {
+      await NotificationService.createNotification(
+        passengerId,
+        'waitlist.confirmed',
+        'Solicitud enviada',
+        'Enviamos tu solicitud al conductor. Te avisaremos cuando responda.',
+        { entryId, bookingId: booking.id, tripId: trip.id, seats: booking.seats, status: booking.status }
+      );
+      await NotificationService.createNotification(
+        trip.driverId,
+        'booking.new',
+        'Nueva solicitud de reserva',
+        'Un pasajero de la lista de espera solicitó los cupos liberados de tu viaje.',
+        { bookingId: booking.id, tripId: trip.id, passengerId, seats: booking.seats, fromWaitlist: true }
+      );
+    }
+
+    await realtimeService.publishBookingStatus(booking, { driverId: trip.driverId, previousStatus: null });
+
+    return { entry: confirmed || claimed, booking };
+  }
+
+  /**
+   * Turn an offer down; the seats go to the next in line
+   * @returns {Promise<WaitlistEntry>}
+   */
+  async declineOffer(entryId, passengerId) {
+    const entry = await this._getOwnedEntry(entryId, passengerId);
+
+    const declined = await this.waitlistRepository.transition(entryId, ['offered'], {
+      status: 'declined',
+      resolvedAt: new Date()
+    });
+    if (!declined) {
+      throw new DomainError('There is no active offer for this waitlist entry', 409, 'offer_not_active');
+    }
+
+    console.log(`[WaitlistService] Offer declined | entryId: ${entryId} | tripId: ${entry.tripId}`);
+
+    await this._releaseHold(entry);
+    await this.promoteFromWaitlist(entry.tripId);
+
+    return declined;
+  }
+
+  /**
+   * Expire offers not confirmed in time and pass the seats on (background job)
+   * @param {Date} now
+   * @returns {Promise<{expired: number, offered: number}>}
+   */
+  async expireOffers(now = new Date()) {
+    const candidates = await this.waitlistRepository.findExpiredOffers(now);
+    const tripIds = new Set();
+    let expired = 0;
+
+    for (const entry of candidates) {
+      const updated = await this.waitlistRepository.transition(
+        entry.id,
+        ['offered'],
+        { status: 'expired', resolvedAt: now },
+        { offerExpiresAt: { $lte: now } }
+      );
+      if (!updated) continue; // Confirmed or declined meanwhile
+
+      expired += 1;
+      tripIds.add(entry.tripId);
+      await this._releaseHold(entry);
+
+      await NotificationService.createNotification(
+        entry.passengerId,
+        'waitlist.offer_expired',
+        'Oferta de cupo vencida',
+        'No confirmaste a tiempo el cupo ofrecido; pasó al siguiente en la lista de espera.',
+        { entryId: entry.id, tripId: entry.tripId }
+      );
+    }
+
+    let offered = 0;
+    for (const tripId of tripIds) {
+      const result = await this.promoteFromWaitlist(tripId);
+      offered += result.offered;
+    }
+
+    console.log(`[WaitlistService] Offer expiry job | expired: ${expired} | offered: ${offered}`);
+    return { expired, offered };
+  }
+
+  /**
+   * Close the waitlist of a trip that can no longer be booked (e.g. canceled)
+   * @param {string} tripId
+   * @returns {Promise<number>} Count of closed entries
+   */
+  async closeTripWaitlist(tripId) {
+    const entries = await this.waitlistRepository.findOpenByTrip(tripId);
+    let closed = 0;
+
+    for (const entry of entries) {
+      const updated = await this.waitlistRepository.transition(entry.id, WaitlistEntry.OPEN_STATUSES, {
+        status: 'closed',
+        resolvedAt: new Date()
+      });
+      if (!updated) continue;
+
+      closed += 1;
+      if (entry.isOffered()) {
+        await this._releaseHold(entry);
+      }
+
+      await NotificationService.createNotification(
+        entry.passengerId,
+        'waitlist.closed',
+        'Lista de espera cerrada',
+        'El viaje ya no recibe reservas, así que cerramos su lista de espera.',
+        { entryId: entry.id, tripId }
+      );
+    }
+
+    if (closed > 0) {
+      console.log(`[WaitlistService] Waitlist closed | tripId: ${tripId} | entries: ${closed}`);
+    }
+    return closed;
+  }
+
+  /**
+   * @private
+   */
+  async _getBookableTrip(tripId) {
+    const trip = await this.tripOfferRepository.findById(tripId);
+    if (!trip) {
+      throw new DomainError('Trip offer not found', 404, 'trip_not_found');
+    }
+    if (trip.status !== 'published' || !trip.isDepartureInFuture()) {
+      throw new DomainError('Trip cannot accept new bookings', 409, 'trip_not_bookable');
+    }
+    return trip;
+  }
+
+  /**
+   * @private
+   */
+  async _getOwnedEntry(entryId, passengerId) {
+    const entry = await this.waitlistRepository.findById(entryId);
+    if (!entry) {
+      throw new DomainError('Waitlist entry not found', 404, 'waitlist_entry_not_found');
+    }
+    if (!entry.belongsToPassenger(passengerId)) {
+      throw new DomainError('You cannot modify this waitlist entry', 403, 'forbidden_owner');
+    }
+    return entry;
+  }
+
+  /**
+   * Seats free on every leg of a segment
+   * @private
+   */
+  async _getFreeSeats(trip, segment) {
+    const ledger = await this.seatLedgerRepository.getLedgerByTripId(trip.id);
+    if (!ledger) return trip.totalSeats;
+    return new SeatLedger(ledger).getRemainingSeatsOnSegment(trip.totalSeats, segment.from, segment.to);
+  }
+
+  /**
+   * Give the seats held by an offer back to the ledger
+   * @private
+   */
+  async _releaseHold(entry, trip = null) {
+    const segment = trip ? trip.resolveSegment(entry.boardStopIndex, entry.alightStopIndex) : entry.getSegment();
+    const released = await this.seatLedgerRepository.deallocateSeats(entry.tripId, entry.seats, segment);
+    if (!released) {
+      console.warn(`[WaitlistService] Could not release held seats | entryId: ${entry.id} | tripId: ${entry.tripId}`);
+    }
+  }
+}
+
+module.exports = WaitlistService;
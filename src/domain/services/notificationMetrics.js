@@ -43,7 +43,9 @@ class NotificationMetricsService {
           delivered: { $sum: '$delivered' },
           bounced: { $sum: '$bounced' },
           complained: { $sum: '$complained' },
-          skippedByPreferences: { $sum: '$skippedByPreferences' }
+          failed: { $sum: '$failed' },
+          skippedByPreferences: { $sum: '$skippedByPreferences' },
+          heldByQuietHours: { $sum: '$heldByQuietHours' }
       } },
       { $project: {
           _id: 0,
@@ -54,7 +56,9 @@ class NotificationMetricsService {
           delivered: 1,
           bounced: 1,
           complained: 1,
-          skippedByPreferences: 1
+          failed: 1,
+          skippedByPreferences: 1,
+          heldByQuietHours: 1
       } }
     ]).exec();
 
@@ -1,6 +1,8 @@
 const mongoose = require('mongoose');
 const ReviewModel = require('../../infrastructure/database/models/ReviewModel');
 const DriverRatingAggregate = require('../../infrastructure/database/models/DriverRatingAggregateModel');
+const PassengerReviewModel = require('../../infrastructure/database/models/PassengerReviewModel');
+const PassengerRatingAggregate = require('../../infrastructure/database/models/PassengerRatingAggregateModel');
 
 class RatingAggregateService {
   /**
@@ -8,35 +10,12 @@ class RatingAggregateService {
    * If a session is supplied, the upsert runs within that session.
    */
   static async recomputeAggregate(driverId, session = null) {
-    // Aggregation: match visible reviews for driver, group by rating
     const driverObjId = mongoose.Types.ObjectId.isValid(driverId) ? new mongoose.Types.ObjectId(driverId) : driverId;
-    const pipeline = [
-      { $match: { driverId: driverObjId, status: 'visible' } },
-      { $group: { _id: '$rating', count: { $sum: 1 }, sumRating: { $sum: '$rating' } } }
-    ];
-
-    const results = await ReviewModel.aggregate(pipeline).exec();
-
-    // Build histogram and compute totals
-    const histogram = { '1': 0, '2': 0, '3': 0, '4': 0, '5': 0 };
-    let total = 0;
-    let sum = 0;
-    for (const r of results) {
-      const key = String(r._id);
-      if (histogram.hasOwnProperty(key)) {
-        histogram[key] = r.count;
-        total += r.count;
-        sum += r._id * r.count;
-      }
-    }
-
-    const avg = total === 0 ? 0 : Math.round((sum / total) * 10) / 10; // one decimal
+    const summary = await this._summarize(ReviewModel, { driverId: driverObjId });
 
     const update = {
       driverId,
-      avgRating: avg,
-      count: total,
-      histogram,
+      ...summary,
       updatedAt: new Date()
     };
 
@@ -59,6 +38,90 @@ class RatingAggregateService {
     }
     return agg;
   }
+
+  /**
+   * Recompute the aggregate of a passenger from the visible reviews drivers wrote about them.
+   * If a session is supplied, the upsert runs within that session.
+   */
+  static async recomputePassengerAggregate(passengerId, session = null) {
+    const passengerObjId = mongoose.Types.ObjectId.isValid(passengerId) ? new mongoose.Types.ObjectId(passengerId) : passengerId;
+    const summary = await this._summarize(PassengerReviewModel, { passengerId: passengerObjId });
+
+    const update = {
+      passengerId,
+      ...summary,
+      updatedAt: new Date()
+    };
+
+    const opts = { upsert: true, new: true, setDefaultsOnInsert: true };
+
+    if (session) {
+      return PassengerRatingAggregate.findOneAndUpdate({ passengerId }, update, { ...opts, session }).lean();
+    }
+
+    return PassengerRatingAggregate.findOneAndUpdate({ passengerId }, update, opts).lean();
+  }
+
+  /**
+   * Get a passenger aggregate; if missing, recompute on the fly.
+   */
+  static async getPassengerAggregate(passengerId) {
+    let agg = await PassengerRatingAggregate.findOne({ passengerId }).lean();
+    if (!agg) {
+      agg = await this.recomputePassengerAggregate(passengerId);
+    }
+    return agg;
+  }
+
+  /**
+   * Ratings of several passengers at once (for driver booking lists).
+   * Passengers without an aggregate yet are reported unrated.
+   * @returns {Promise<Map<string, {avgRating: number|null, count: number}>>}
+   */
+  static async getPassengerRatings(passengerIds) {
+    const ids = [...new Set(passengerIds.map(String))];
+    const aggs = ids.length > 0
+      ? await PassengerRatingAggregate.find({ passengerId: { $in: ids } }).select('passengerId avgRating count').lean()
+      : [];
+
+    const ratings = new Map(ids.map((id) => [id, { avgRating: null, count: 0 }]));
+    for (const agg of aggs) {
+      if (agg.count > 0) {
+        ratings.set(agg.passengerId.toString(), { avgRating: agg.avgRating, count: agg.count });
+      }
+    }
+    return ratings;
+  }
+
+  /**
+   * Histogram, count and average (one decimal) of the visible reviews matching a filter
+   * @private
+   */
+  static async _summarize(Model, match) {
+    const pipeline = [
+      { $match: { ...match, status: 'visible' } },
+      { $group: { _id: '$rating', count: { $sum: 1 } } }
+    ];
+
+    const results = await Model.aggregate(pipeline).exec();
+
+    // Build histogram and compute totals
+    const histogram = { '1': 0, '2': 0, '3': 0, '4': 0, '5': 0 };
+    let total = 0;
+    let sum = 0;
+    for (const r of results) {
+      const key = String(r._id);
+      if (histogram.hasOwnProperty(key)) {
+        histogram[key] = r.count;
+        total += r.count;
+        sum += r._id * r.count;
+      }
+    }
+
+    const avgRating = total === 0 ? 0 : Math.round((sum / total) * 10) / 10; // one decimal
+
+    return { avgRating, count: total, histogram };
+  }
 }
 
 module.exports = RatingAggregateService;
@@ -0,0 +1,268 @@
+/**
+ * Realtime Service
+ *
+ * Pushes events to the notification stream of connected users
+ * (GET /notifications/stream):
+ * - notification: a new in-app notification
+ * - unread_count: unread in-app notifications after a change
+ * - booking_status: a booking request changed status
+ * - trip_message / trip_chat_read / trip_chat_closed: activity in the chat of
+ *   a trip the user takes part in
+ *
+ * Events are stored (realtime_events, 24h) so clients can resume from their
+ * Last-Event-ID, then fanned out through the pub/sub so every instance
+ * reaches its own connections. Publishing never throws: a failed push must
+ * not break the business flow that triggered it.
+ *
+ * Live trip locations (GET /passengers/trips/:tripId/location/stream) use
+ * their own channel and are never stored: positions are only kept in the
+ * per-trip buffer, which is purged when the trip ends.
+ */
+
+const RealtimeEvent = require('../../infrastructure/database/models/RealtimeEventModel');
+const InAppNotification = require('../../infrastructure/database/models/InAppNotificationModel');
+
+const CHANNEL = 'realtime.user-events';
+const TRIP_LOCATION_CHANNEL = 'realtime.trip-locations';
+// Events replayed at most on reconnection (older ones: client refetches GET /notifications)
+const REPLAY_LIMIT = 200;
+
+class RealtimeService {
+  constructor(pubsub = null) {
+    this.pubsub = pubsub;
+    // userId → Set of listeners (one per open stream on this instance)
+    this.listeners = new Map();
+    this.unsubscribe = null;
+    // tripId → Set of listeners of the trip location stream
+    this.tripListeners = new Map();
+    this.tripUnsubscribe = null;
+  }
+
+  /**
+   * Lazily resolve the configured pub/sub
+   * @private
+   */
+  _getPubSub() {
+    if (!this.pubsub) {
+      const { getPubSub } = require('../../infrastructure/pubsub');
+      this.pubsub = getPubSub();
+    }
+    return this.pubsub;
+  }
+
+  /**
+   * Store an event for a user and fan it out
+   * @param {string} userId
+   * @param {string} event - notification | unread_count | booking_status | trip_message | trip_chat_read | trip_chat_closed
+   * @param {Object} data
+   * @returns {Promise<Object|null>} { id, userId, event, data, createdAt } or null if it failed
+   */
+  async publishToUser(userId, event, data) {
+    try {
+      const doc = await RealtimeEvent.create({ userId, event, data });
+      const message = RealtimeService._toMessage(doc);
+      await this._getPubSub().publish(CHANNEL, message);
+      return message;
+    } catch (error) {
+      console.error(`[RealtimeService] Publish failed | userId: ${userId} | event: ${event} | error: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Push a new in-app notification and the updated unread count
+   * @param {Object} notification - InAppNotification document
+   */
+  async publishNotification(notification) {
+    await this.publishToUser(notification.userId, 'notification', RealtimeService.toNotificationPayload(notification));
+    await this.publishUnreadCount(notification.userId);
+  }
+
+  /**
+   * Push the current unread count of a user
+   * @param {string} userId
+   */
+  async publishUnreadCount(userId) {
+    try {
+      const unread = await this.getUnreadCount(userId);
+      return await this.publishToUser(userId, 'unread_count', { unread });
+    } catch (error) {
+      console.error(`[RealtimeService] Unread count failed | userId: ${userId} | error: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Push a booking status change to the passenger and the driver
+   * @param {BookingRequest} booking - Booking after the change
+   * @param {Object} options - { driverId, previousStatus }
+   */
+  async publishBookingStatus(booking, { driverId = null, previousStatus = null } = {}) {
+    const data = {
+      bookingId: booking.id,
+      tripId: booking.tripId,
+      status: booking.status,
+      previousStatus
+    };
+    const recipients = new Set([booking.passengerId, driverId].filter(Boolean).map(String));
+    for (const userId of recipients) {
+      await this.publishToUser(userId, 'booking_status', data);
+    }
+  }
+
+  /**
+   * Push a live location event of a trip (not stored)
+   * @param {string} tripId
+   * @param {string} event - location | location_ended
+   * @param {Object} data
+   */
+  async publishTripLocation(tripId, event, data = {}) {
+    try {
+      await this._getPubSub().publish(TRIP_LOCATION_CHANNEL, { tripId: String(tripId), event, data });
+    } catch (error) {
+      console.error(`[RealtimeService] Trip location publish failed | tripId: ${tripId} | event: ${event} | error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Receive the live location events of a trip published from any instance
+   * @param {string} tripId
+   * @param {Function} listener - ({ tripId, event, data }) => void
+   * @returns {Function} unsubscribe
+   */
+  subscribeTrip(tripId, listener) {
+    const key = String(tripId);
+    if (!this.tripListeners.has(key)) this.tripListeners.set(key, new Set());
+    this.tripListeners.get(key).add(listener);
+
+    if (!this.tripUnsubscribe) {
+      this.tripUnsubscribe = this._getPubSub().subscribe(TRIP_LOCATION_CHANNEL, (message) => this._dispatchTrip(message));
+    }
+
+    return () => {
+      const set = this.tripListeners.get(key);
+      if (!set) return;
+      set.delete(listener);
+      if (set.size === 0) this.tripListeners.delete(key);
+      if (this.tripListeners.size === 0 && this.tripUnsubscribe) {
+        this.tripUnsubscribe();
+        this.tripUnsubscribe = null;
+      }
+    };
+  }
+
+  async getUnreadCount(userId) {
+    return InAppNotification.countDocuments({ userId, isRead: false });
+  }
+
+  /**
+   * Events of a user stored after `lastEventId` (oldest first)
+   * @param {string} userId
+   * @param {string} lastEventId
+   * @returns {Promise<Array>}
+   */
+  async getEventsSince(userId, lastEventId) {
+    const docs = await RealtimeEvent.find({ userId, _id: { $gt: lastEventId } })
+      .sort({ _id: 1 })
+      .limit(REPLAY_LIMIT)
+      .lean();
+    return docs.map((doc) => RealtimeService._toMessage(doc));
+  }
+
+  /**
+   * Receive the events of a user published from any instance
+   * @param {string} userId
+   * @param {Function} listener - (message) => void
+   * @returns {Function} unsubscribe
+   */
+  subscribe(userId, listener) {
+    const key = String(userId);
+    if (!this.listeners.has(key)) this.listeners.set(key, new Set());
+    this.listeners.get(key).add(listener);
+
+    if (!this.unsubscribe) {
+      this.unsubscribe = this._getPubSub().subscribe(CHANNEL, (message) => this._dispatch(message));
+    }
+
+    return () => {
+      const set = this.listeners.get(key);
+      if (!set) return;
+      set.delete(listener);
+      if (set.size === 0) this.listeners.delete(key);
+      if (this.listeners.size === 0 && this.unsubscribe) {
+        this.unsubscribe();
+        this.unsubscribe = null;
+      }
+    };
+  }
+
+  /**
+   * Number of open streams on this instance
+   */
+  connectionCount() {
+    let count = 0;
+    for (const set of this.listeners.values()) count += set.size;
+    return count;
+  }
+
+  /**
+   * @private
+   */
+  _dispatch(message) {
+    const set = message && this.listeners.get(message.userId);
+    if (!set) return;
+    for (const listener of set) {
+      try {
+        listener(message);
+      } catch (error) {
+        console.error(`[RealtimeService] Listener failed | userId: ${message.userId} | error: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _dispatchTrip(message) {
+    const set = message && this.tripListeners.get(message.tripId);
+    if (!set) return;
+    for (const listener of set) {
+      try {
+        listener(message);
+      } catch (error) {
+        console.error(`[RealtimeService] Trip listener failed | tripId: ${message.tripId} | error: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Stream payload of an in-app notification (same shape as GET /notifications items)
+   */
+  static toNotificationPayload(notification) {
+    return {
+      id: notification._id.toString(),
+      type: notification.type,
+      title: notification.title,
+      body: notification.body,
+      data: notification.data || {},
+      isRead: !!notification.isRead,
+      createdAt: notification.createdAt
+    };
+  }
+
+  /**
+   * @private
+   */
+  static _toMessage(doc) {
+    return {
+      id: doc._id.toString(),
+      userId: doc.userId.toString(),
+      event: doc.event,
+      data: doc.data || {},
+      createdAt: doc.createdAt
+    };
+  }
+}
+
+module.exports = new RealtimeService();
+module.exports.RealtimeService = RealtimeService;
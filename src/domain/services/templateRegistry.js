@@ -1,10 +1,16 @@
 /**
  * Template Registry Service
  *
- * Lightweight in-memory registry for notification templates used by admin endpoints.
- * Stores versioned entries per {type, locale} and provides a validator/linter for drafts.
+ * Registry for notification templates used by admin endpoints and the renderer.
+ * Versions per {type, locale} are persisted in MongoDB with a draft → publish →
+ * rollback lifecycle; also provides a validator/linter for drafts and the i18n
+ * bundles ({{t 'key'}}) with fallback to the default locale.
  */
 
+const DomainError = require('../errors/DomainError');
+
+const DEFAULT_LOCALE = 'en';
+
 const defaultBundles = {
   en: {
     'common.team': 'Wheels Team',
@@ -18,7 +24,8 @@ const defaultBundles = {
 
 function extractPlaceholders(str) {
   if (!str || typeof str !== 'string') return [];
-  const re = /{{\s*([a-zA-Z0-9_.]+)\s*}}/g;
+  // {{name}} or {{name | filter}}
+  const re = /{{\s*([a-zA-Z0-9_.]+)\s*(?:\|\s*[a-zA-Z]+\s*)?}}/g;
   const out = new Set();
   let m;
   while ((m = re.exec(str)) !== null) {
@@ -50,30 +57,181 @@ function detectUnsafeHtml(str) {
 }
 
 class TemplateRegistry {
-  constructor() {
-    // store keyed by `${type}:${locale}`
-    this.store = new Map();
+  constructor(templateRepository = null) {
+    // versioned templates live in MongoDB (notification_templates)
+    this.templateRepository = templateRepository;
 
-    // seed with nothing by default; admin APIs will validate drafts (no persistence yet)
     this.bundles = defaultBundles;
   }
 
-  listMetadata() {
-    const items = [];
-    for (const value of this.store.values()) {
-      items.push({ type: value.type, locale: value.locale, version: value.version || 1, updatedAt: value.updatedAt });
+  /**
+   * Lazily resolve the Mongo template repository
+   * @private
+   */
+  _getRepository() {
+    if (!this.templateRepository) {
+      const MongoNotificationTemplateRepository = require('../../infrastructure/repositories/MongoNotificationTemplateRepository');
+      this.templateRepository = new MongoNotificationTemplateRepository();
+    }
+    return this.templateRepository;
+  }
+
+  /**
+   * Locales to try for a template, most specific first ('es' → ['es', 'en'])
+   */
+  localeChain(locale) {
+    return Array.from(new Set([locale || DEFAULT_LOCALE, DEFAULT_LOCALE]));
+  }
+
+  /**
+   * Bundle string for an i18n key, falling back to the default locale
+   * @returns {string|null}
+   */
+  translate(key, locale) {
+    for (const loc of this.localeChain(locale)) {
+      const bundle = this.bundles[loc];
+      if (bundle && Object.prototype.hasOwnProperty.call(bundle, key)) return bundle[key];
+    }
+    return null;
+  }
+
+  async listMetadata() {
+    return this._getRepository().listMetadata();
+  }
+
+  async listVersions(type, locale) {
+    return this._getRepository().listVersions(type, locale);
+  }
+
+  /**
+   * Published template for { type, locale }, falling back to the default locale
+   * @returns {Promise<NotificationTemplate|null>}
+   */
+  async getPublished(type, locale) {
+    for (const loc of this.localeChain(locale)) {
+      const template = await this._getRepository().findPublished(type, loc);
+      if (template) return template;
+    }
+    return null;
+  }
+
+  /**
+   * Store a validated draft as the next version of { type, locale }
+   * @param {Object} draft - { type, locale, subject, html, text, schema, partials, notes }
+   * @param {string} adminId
+   * @returns {Promise<NotificationTemplate>}
+   * @throws {DomainError} validation codes of validateDraft (400)
+   */
+  async createDraft(draft, adminId) {
+    this._validateOrThrow(draft);
+
+    const { type, locale = DEFAULT_LOCALE, subject, html = '', text = '', schema = {}, partials = {}, notes = null } = draft;
+    const repository = this._getRepository();
+    const version = (await repository.getLatestVersionNumber(type, locale)) + 1;
+
+    return repository.create({ type, locale, version, subject, html, text, schema, partials, notes, createdBy: adminId });
+  }
+
+  /**
+   * Change the content of a draft version
+   * @returns {Promise<NotificationTemplate>}
+   * @throws {DomainError} template_not_found (404), template_not_draft (409), validation codes (400)
+   */
+  async updateDraft(type, locale, version, changes) {
+    const current = await this._getVersionOrThrow(type, locale, version);
+    if (!current.isDraft()) {
+      throw new DomainError(`Version ${version} is ${current.status} and cannot be edited`, 409, 'template_not_draft');
     }
-    return items;
+
+    const updates = {};
+    for (const field of ['subject', 'html', 'text', 'schema', 'partials', 'notes']) {
+      if (changes[field] !== undefined) updates[field] = changes[field];
+    }
+    this._validateOrThrow({ ...current.toDraft(), ...updates });
+
+    const updated = await this._getRepository().updateDraft(type, locale, version, updates);
+    if (!updated) {
+      throw new DomainError(`Version ${version} is no longer a draft`, 409, 'template_not_draft');
+    }
+    return updated;
   }
 
-  // Register or update a template entry (not used by validate endpoint, but available)
-  upsert(entry) {
-    const key = `${entry.type}:${entry.locale}`;
-    const now = new Date().toISOString();
-    const existing = this.store.get(key) || {};
-    const version = (existing.version || 0) + 1;
-    this.store.set(key, Object.assign({}, entry, { version, updatedAt: now }));
-    return this.store.get(key);
+  /**
+   * Publish a version (the previously published one is archived)
+   * @returns {Promise<Object>} { before, after } before: previously published version or null
+   * @throws {DomainError} template_not_found (404), template_already_published (409)
+   */
+  async publish(type, locale, version, adminId) {
+    const target = await this._getVersionOrThrow(type, locale, version);
+    if (target.isPublished()) {
+      throw new DomainError(`Version ${version} is already published`, 409, 'template_already_published');
+    }
+
+    const repository = this._getRepository();
+    const before = await repository.findPublished(type, locale);
+    const after = await repository.publishVersion(type, locale, version, adminId);
+
+    console.log(
+      `[TemplateRegistry] Template published | type: ${type} | locale: ${locale} | version: ${version} | previous: ${before ? before.version : 'none'}`
+    );
+
+    return { before, after };
+  }
+
+  /**
+   * Republish a previously published version
+   * Without `version`, the most recently published version before the current one is used.
+   * @returns {Promise<Object>} { before, after }
+   * @throws {DomainError} template_not_found (404), no_previous_version (409), invalid_rollback_target (409)
+   */
+  async rollback(type, locale, adminId, version = null) {
+    let target;
+    if (version) {
+      target = await this._getVersionOrThrow(type, locale, version);
+      if (target.isPublished() || !target.wasPublished()) {
+        throw new DomainError(
+          `Version ${version} cannot be rolled back to: only previously published versions can`,
+          409,
+          'invalid_rollback_target'
+        );
+      }
+    } else {
+      const candidates = (await this.listVersions(type, locale))
+        .filter((t) => t.wasPublished() && !t.isPublished())
+        .sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
+      target = candidates[0];
+      if (!target) {
+        throw new DomainError(`No previously published version of ${type} (${locale})`, 409, 'no_previous_version');
+      }
+    }
+
+    return this.publish(type, locale, target.version, adminId);
+  }
+
+  /**
+   * @private
+   */
+  async _getVersionOrThrow(type, locale, version) {
+    const template = await this._getRepository().findVersion(type, locale, version);
+    if (!template) {
+      throw new DomainError(`Template ${type} (${locale}) version ${version} not found`, 404, 'template_not_found');
+    }
+    return template;
+  }
+
+  /**
+   * validateDraft errors ({ code, message }) as DomainError
+   * @private
+   */
+  _validateOrThrow(draft) {
+    try {
+      return this.validateDraft(draft);
+    } catch (err) {
+      if (err && err.code && err.message) {
+        throw new DomainError(err.message, 400, err.code);
+      }
+      throw err;
+    }
   }
 
   // Validate a draft payload. Returns { valid: true, warnings: [] } or throws an error-like object
@@ -104,6 +262,8 @@ class TemplateRegistry {
     extractPartialRefs(subject).forEach(p => partialRefs.add(p));
     extractPartialRefs(html).forEach(p => partialRefs.add(p));
     extractPartialRefs(text).forEach(p => partialRefs.add(p));
+    // partials may reference other partials
+    Object.values(partials || {}).forEach(p => extractPartialRefs(p).forEach(r => partialRefs.add(r)));
     // Ensure each referenced partial exists in partials
     for (const pr of partialRefs) {
       if (!partials || typeof partials[pr] !== 'string') {
@@ -166,3 +326,6 @@ class TemplateRegistry {
 }
 
 module.exports = new TemplateRegistry();
+module.exports.TemplateRegistry = TemplateRegistry;
+module.exports.extractPlaceholders = extractPlaceholders;
+module.exports.extractPartialRefs = extractPartialRefs;
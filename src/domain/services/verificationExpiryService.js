@@ -1,5 +1,5 @@
 const DriverVerification = require('../../infrastructure/database/models/DriverVerificationModel');
-const InAppNotification = require('../../infrastructure/database/models/InAppNotificationModel');
+const NotificationService = require('./NotificationService');
 
 /**
  * Runs an expiry scan over DriverVerification profiles.
@@ -59,7 +59,7 @@ class VerificationExpiryService {
           if (!already) {
             // send in-app reminder
             try {
-              await InAppNotification.create({ userId: doc.userId, type: 'driver.verification.reminder', title: 'Verification expiring soon', body: `Your verification documents expire in ${daysUntil} day(s). Please renew.`, data: { daysUntil, window: key } });
+              await NotificationService.createNotification(doc.userId, 'driver.verification.reminder', 'Verification expiring soon', `Your verification documents expire in ${daysUntil} day(s). Please renew.`, { daysUntil, window: key });
             } catch (e) { console.warn('[VerificationExpiryService] Failed to create in-app reminder', e && e.message); }
 
             // record reminder
@@ -3,6 +3,17 @@ const app = require('./app');
 const cron = require('node-cron');
 const connectDB = require('./infrastructure/database/connection');
 const TripReminderService = require('./domain/services/TripReminderService');
+const TripOfferService = require('./domain/services/TripOfferService');
+const MongoTripOfferRepository = require('./infrastructure/repositories/MongoTripOfferRepository');
+const MongoTripSeriesRepository = require('./infrastructure/repositories/MongoTripSeriesRepository');
+const MongoVehicleRepository = require('./infrastructure/repositories/MongoVehicleRepository');
+const MongoUserRepository = require('./infrastructure/repositories/MongoUserRepository');
+const RefundService = require('./domain/services/RefundService');
+const EmailDeliveryService = require('./domain/services/EmailDeliveryService');
+const WaitlistService = require('./domain/services/WaitlistService');
+const TripChangeProposalService = require('./domain/services/TripChangeProposalService');
+const RideRequestService = require('./domain/services/RideRequestService');
+const TripChatService = require('./domain/services/TripChatService');
 
 const PORT = process.env.PORT || 3000;
 
@@ -21,6 +32,95 @@ async function startServer() {
     });
     
     console.log('⏰ Trip reminder scheduler started (runs every minute)');
+
+    // Roll recurring trip series forward once a day (03:00)
+    const tripOfferService = new TripOfferService(
+      new MongoTripOfferRepository(),
+      new MongoVehicleRepository(),
+      new MongoUserRepository(),
+      new MongoTripSeriesRepository()
+    );
+    cron.schedule('0 0 3 * * *', async () => {
+      try {
+        await tripOfferService.extendSeriesHorizons();
+      } catch (error) {
+        console.error('[Scheduler] Trip series expansion failed:', error.message);
+      }
+    });
+
+    console.log('🔁 Trip series scheduler started (runs daily at 03:00)');
+
+    // Process the refund ledger every 5 minutes
+    const refundService = RefundService.createDefault();
+    cron.schedule('0 */5 * * * *', async () => {
+      try {
+        await refundService.runRefundJob();
+      } catch (error) {
+        console.error('[Scheduler] Refund processing failed:', error.message);
+      }
+    });
+
+    console.log('💸 Refund worker started (runs every 5 minutes)');
+
+    // Send queued emails (and due retries) every minute
+    const emailDeliveryService = EmailDeliveryService.createDefault();
+    cron.schedule('30 * * * * *', async () => {
+      try {
+        await emailDeliveryService.processQueue();
+      } catch (error) {
+        console.error('[Scheduler] Email queue processing failed:', error.message);
+      }
+    });
+
+    console.log(`📧 Email worker started (runs every minute, transport: ${emailDeliveryService.transport.name})`);
+
+    // Expire unconfirmed waitlist offers every minute; their seats go to the next in line
+    const waitlistService = WaitlistService.createDefault();
+    cron.schedule('15 * * * * *', async () => {
+      try {
+        await waitlistService.expireOffers();
+      } catch (error) {
+        console.error('[Scheduler] Waitlist offer expiry failed:', error.message);
+      }
+    });
+
+    console.log(`🎟️  Waitlist offer expiry started (runs every minute, offer TTL: ${waitlistService.offerTtlMinutes} min)`);
+
+    // Unanswered trip change proposals past their deadline count as declines
+    const changeProposalService = TripChangeProposalService.createDefault();
+    cron.schedule('45 * * * * *', async () => {
+      try {
+        await changeProposalService.expireProposals();
+      } catch (error) {
+        console.error('[Scheduler] Change proposal expiry failed:', error.message);
+      }
+    });
+
+    console.log(`📝 Change proposal expiry started (runs every minute, response window: ${changeProposalService.responseHours} h)`);
+
+    // Open ride requests whose departure window ended without a driver expire
+    const rideRequestService = RideRequestService.createDefault();
+    cron.schedule('50 * * * * *', async () => {
+      try {
+        await rideRequestService.expireRideRequests();
+      } catch (error) {
+        console.error('[Scheduler] Ride request expiry failed:', error.message);
+      }
+    });
+
+    console.log(`🙋 Ride request expiry started (runs every minute, match radius: ${rideRequestService.matchRadiusMeters} m)`);
+
+    // Trip chats close a set time after the trip is completed
+    const tripChatService = TripChatService.createDefault();
+    cron.schedule('20 */5 * * * *', async () => {
+      try {
+        await tripChatService.closeExpiredChats();
+      } catch (error) {
+        console.error('[Scheduler] Trip chat closure failed:', error.message);
+      }
+    });
+
+    console.log(`💬 Trip chat closure started (runs every 5 minutes, open ${tripChatService.closeHours} h after completion)`);
     
     // Iniciar servidor
     const server = app.listen(PORT, () => {
@@ -67,6 +67,17 @@ const bookingRequestSchema = new mongoose.Schema(
       maxlength: [300, 'Note cannot exceed 300 characters'],
       default: ''
     },
+    // Route stops (0 = origin, last = destination); null = whole route
+    boardStopIndex: {
+      type: Number,
+      min: [0, 'Board stop index cannot be negative'],
+      default: null
+    },
+    alightStopIndex: {
+      type: Number,
+      min: [1, 'Alight stop index must be at least 1'],
+      default: null
+    },
     // Audit trail fields for driver decisions
     acceptedAt: {
       type: Date,
@@ -77,6 +88,18 @@ const bookingRequestSchema = new mongoose.Schema(
       ref: 'User',
       default: null
     },
+    // Auto-accept rule that accepted the request on creation (null = driver decision)
+    autoAcceptRule: {
+      type: String,
+      enum: ['instant_book', 'min_rating', 'previous_rider', null],
+      default: null
+    },
+    // Passenger ride request this booking fulfills (created accepted with its trip)
+    rideRequestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RideRequest',
+      default: null
+    },
     declinedAt: {
       type: Date,
       default: null
@@ -119,6 +142,100 @@ const bookingRequestSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
       index: true // For filtering paid/unpaid bookings
+    },
+    // Set once refundNeeded has been turned into a refund record (US-4.2)
+    // Bookings with refundNeeded and no refundRequestedAt are picked up by the process-refunds job
+    refundRequestedAt: {
+      type: Date,
+      default: null,
+      select: false
+    },
+    // Boarding PIN the passenger shows at pickup (6 digits, issued with the boarding pass)
+    // Never exposed outside the boarding pass endpoint
+    boardingPin: {
+      type: String,
+      match: [/^\d{6}$/, 'Boarding PIN must be 6 digits'],
+      default: null,
+      select: false
+    },
+    // Attendance outcome between startTrip and completeTrip
+    // - checked_in: driver checked the passenger in with the PIN
+    // - passenger_no_show: driver reported the passenger did not show up
+    // - driver_no_show: passenger reported the driver did not show up
+    boardingStatus: {
+      type: String,
+      enum: {
+        values: ['checked_in', 'passenger_no_show', 'driver_no_show', null],
+        message: 'Boarding status must be one of: checked_in, passenger_no_show, driver_no_show'
+      },
+      default: null
+    },
+    boardedAt: {
+      type: Date,
+      default: null
+    },
+    noShowReportedAt: {
+      type: Date,
+      default: null
+    },
+    noShowReportedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    noShowReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'No-show reason cannot exceed 500 characters'],
+      default: ''
+    },
+    // Trip terms the passenger agreed to: a snapshot taken on booking and
+    // replaced when the passenger accepts a change proposal
+    agreedTerms: {
+      type: new mongoose.Schema(
+        {
+          version: { type: Number, min: 1 },
+          pricePerSeat: { type: Number, min: 0 },
+          departureAt: { type: Date },
+          estimatedArrivalAt: { type: Date },
+          origin: {
+            text: { type: String },
+            geo: { lat: { type: Number }, lng: { type: Number } }
+          },
+          destination: {
+            text: { type: String },
+            geo: { lat: { type: Number }, lng: { type: Number } }
+          },
+          waypoints: [
+            {
+              _id: false,
+              text: { type: String },
+              geo: { lat: { type: Number }, lng: { type: Number } }
+            }
+          ],
+          agreedAt: { type: Date }
+        },
+        { _id: false }
+      ),
+      default: null
+    },
+    // Cancellation policy outcome at the time the passenger canceled (US-4.2)
+    // The refund worker uses it so later policy edits never change what was promised
+    cancellationOutcome: {
+      type: new mongoose.Schema(
+        {
+          policySource: { type: String },
+          hoursBeforeDeparture: { type: Number, default: null },
+          amount: { type: Number, min: 0 },
+          refundPercent: { type: Number, min: 0, max: 100 },
+          refundAmount: { type: Number, min: 0 },
+          penaltyPercent: { type: Number, min: 0, max: 100 },
+          penaltyAmount: { type: Number, min: 0 },
+          isLateCancellation: { type: Boolean, default: false }
+        },
+        { _id: false }
+      ),
+      default: null
     }
   },
   {
@@ -152,6 +269,12 @@ bookingRequestSchema.index({ tripId: 1, status: 1 });
  */
 bookingRequestSchema.index({ passengerId: 1, tripId: 1, status: 1 });
 
+/**
+ * Index for the refund worker
+ * Used by: process-refunds job (flagged bookings without a refund record yet)
+ */
+bookingRequestSchema.index({ refundNeeded: 1, refundRequestedAt: 1 });
+
 // ============================================
 // INSTANCE METHODS
 // ============================================
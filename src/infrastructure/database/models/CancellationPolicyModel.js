@@ -0,0 +1,71 @@
+/**
+ * CancellationPolicy Mongoose Model (US-4.2)
+ *
+ * Platform-wide cancellation policy set by admins (PUT /admin/cancellation-policy).
+ * Stored as a single document (scope: 'platform'); when missing, the
+ * CancellationPolicy defaults apply.
+ *
+ * Business Rules:
+ * - tiers: refund/penalty percentages by hours of notice before departure
+ * - bounds: limits drivers must respect when overriding the tiers of a trip
+ */
+
+const mongoose = require('mongoose');
+
+const cancellationTierSchema = new mongoose.Schema(
+  {
+    minHoursBeforeDeparture: {
+      type: Number,
+      required: true,
+      min: [0, 'minHoursBeforeDeparture cannot be negative']
+    },
+    refundPercent: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100
+    },
+    penaltyPercent: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0
+    }
+  },
+  { _id: false }
+);
+
+const cancellationPolicySchema = new mongoose.Schema(
+  {
+    scope: {
+      type: String,
+      enum: ['platform'],
+      default: 'platform'
+    },
+    tiers: {
+      type: [cancellationTierSchema],
+      required: true
+    },
+    bounds: {
+      allowTripOverride: { type: Boolean, default: true },
+      minRefundPercent: { type: Number, min: 0, max: 100, default: 0 },
+      maxPenaltyPercent: { type: Number, min: 0, max: 100, default: 20 },
+      maxFullRefundNoticeHours: { type: Number, min: 0, default: 48 }
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'cancellation_policies'
+  }
+);
+
+cancellationPolicySchema.index({ scope: 1 }, { unique: true });
+
+const CancellationPolicyModel = mongoose.model('CancellationPolicy', cancellationPolicySchema);
+
+module.exports = CancellationPolicyModel;
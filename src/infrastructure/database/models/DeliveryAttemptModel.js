@@ -1,14 +1,35 @@
 const mongoose = require('mongoose');
 
+/**
+ * DeliveryAttempt
+ *
+ * One record per outbound send attempt (eventType 'send_succeeded' |
+ * 'send_failed', linked by deliveryId/attemptNumber) and per provider webhook
+ * event (delivered, bounced, ...), linked by providerMessageId and deduplicated
+ * by providerEventId.
+ */
 const deliveryAttemptSchema = new mongoose.Schema({
-  providerMessageId: { type: String, required: true, index: true },
+  providerMessageId: { type: String, default: null, index: true },
   providerEventId: { type: String, default: null },
   eventType: { type: String, required: true },
+  deliveryId: { type: mongoose.Schema.Types.ObjectId, ref: 'NotificationDelivery', default: null },
+  attemptNumber: { type: Number, default: null },
+  transport: { type: String, default: null },
+  durationMs: { type: Number, default: null },
+  error: { type: String, default: null },
+  retryable: { type: Boolean, default: null },
   recipientRedacted: { type: String, default: null },
   metadata: { type: mongoose.Schema.Types.Mixed, default: {} },
   raw: { type: mongoose.Schema.Types.Mixed, default: {} }
 }, { timestamps: true });
 
-deliveryAttemptSchema.index({ providerMessageId: 1 }, { unique: true, sparse: true });
+deliveryAttemptSchema.index(
+  { deliveryId: 1, attemptNumber: 1 },
+  { unique: true, partialFilterExpression: { deliveryId: { $type: 'objectId' } } }
+);
+deliveryAttemptSchema.index(
+  { providerEventId: 1 },
+  { unique: true, partialFilterExpression: { providerEventId: { $type: 'string' } } }
+);
 
 module.exports = mongoose.model('DeliveryAttempt', deliveryAttemptSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+/**
+ * Moderation case: the user reports about one user, handled together by an admin.
+ * A user has at most one open case; new reports about them join it.
+ */
+const moderationCaseSchema = new mongoose.Schema(
+  {
+    subjectUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    status: {
+      type: String,
+      enum: ['open', 'closed'],
+      default: 'open',
+      index: true
+    },
+    reportCount: {
+      type: Number,
+      default: 0
+    },
+    lastReportAt: {
+      type: Date,
+      default: null
+    },
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+      index: true
+    },
+    assignedAt: {
+      type: Date,
+      default: null
+    },
+    // Linked ModerationNote ids and Evidence evidenceIds
+    noteIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ModerationNote'
+    }],
+    evidenceIds: [{
+      type: String
+    }],
+    resolution: {
+      type: new mongoose.Schema(
+        {
+          outcome: {
+            type: String,
+            enum: ['dismissed', 'warning', 'publish_ban', 'suspension'],
+            required: true
+          },
+          reason: { type: String, trim: true, maxlength: 1000, required: true },
+          banUntil: { type: Date, default: null },
+          closedAt: { type: Date, required: true },
+          closedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
+        },
+        { _id: false }
+      ),
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'moderation_cases'
+  }
+);
+
+// One open case per user
+moderationCaseSchema.index(
+  { subjectUserId: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' }, name: 'one_open_case_per_user' }
+);
+moderationCaseSchema.index({ status: 1, lastReportAt: -1 });
+
+const ModerationCaseModel = mongoose.model('ModerationCase', moderationCaseSchema);
+
+module.exports = ModerationCaseModel;
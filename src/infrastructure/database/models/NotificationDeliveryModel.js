@@ -1,16 +1,32 @@
 const mongoose = require('mongoose');
 
 const notificationDeliverySchema = new mongoose.Schema({
-  providerMessageId: { type: String, required: true, unique: true, index: true },
+  // Set from the transport response once sent (webhook events are keyed by it)
+  providerMessageId: { type: String, default: null },
   notificationId: { type: mongoose.Schema.Types.ObjectId, ref: 'InAppNotification', default: null },
-  status: { type: String, enum: ['pending','sent','delivered','bounced','complained','dropped','failed'], default: 'pending' },
+  status: { type: String, enum: ['pending','sending','sent','delivered','bounced','complained','dropped','failed'], default: 'pending' },
   attempts: { type: Number, default: 0 },
   lastEventAt: { type: Date, default: null },
   processedEvents: { type: [String], default: [] },
-  meta: { type: mongoose.Schema.Types.Mixed, default: {} }
+  meta: { type: mongoose.Schema.Types.Mixed, default: {} },
+  // Outbound queue (EmailDeliveryService)
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  type: { type: String, default: null },
+  locale: { type: String, default: 'en' },
+  variables: { type: mongoose.Schema.Types.Mixed, default: {} },
+  transport: { type: String, default: null },
+  maxAttempts: { type: Number, default: 5 },
+  nextAttemptAt: { type: Date, default: null },
+  lockedUntil: { type: Date, default: null },
+  sentAt: { type: Date, default: null },
+  lastError: { type: String, default: null }
 }, { timestamps: true });
 
-// providerMessageId is already indexed via the field definition (unique: true)
-// avoid duplicate index declarations
+// Queued deliveries have no provider id yet: only enforce uniqueness once set
+notificationDeliverySchema.index(
+  { providerMessageId: 1 },
+  { unique: true, partialFilterExpression: { providerMessageId: { $type: 'string' } } }
+);
+notificationDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
 
 module.exports = mongoose.model('NotificationDelivery', notificationDeliverySchema);
@@ -9,7 +9,9 @@ const notificationMetricSchema = new mongoose.Schema({
   delivered: { type: Number, default: 0 },
   bounced: { type: Number, default: 0 },
   complained: { type: Number, default: 0 },
-  skippedByPreferences: { type: Number, default: 0 }
+  failed: { type: Number, default: 0 },
+  skippedByPreferences: { type: Number, default: 0 },
+  heldByQuietHours: { type: Number, default: 0 }
 }, { timestamps: true });
 
 notificationMetricSchema.index({ date: 1, type: 1, channel: 1 }, { unique: true });
@@ -0,0 +1,101 @@
+/**
+ * NotificationTemplate Mongoose Model
+ *
+ * Versioned notification templates per { type, locale }.
+ *
+ * Business Rules:
+ * - Every change creates a new version (1, 2, ...) as a draft
+ * - At most one published version per { type, locale }; publishing archives
+ *   the previous one (rollback republishes an archived version)
+ * - partials: named snippets referenced as {{> name}} from subject/html/text
+ */
+
+const mongoose = require('mongoose');
+
+const notificationTemplateSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: [true, 'Template type is required'],
+      trim: true
+    },
+    locale: {
+      type: String,
+      required: [true, 'Template locale is required'],
+      trim: true
+    },
+    version: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    status: {
+      type: String,
+      enum: ['draft', 'published', 'archived'],
+      default: 'draft'
+    },
+    subject: {
+      type: String,
+      required: [true, 'Template subject is required']
+    },
+    html: {
+      type: String,
+      default: ''
+    },
+    text: {
+      type: String,
+      default: ''
+    },
+    // JSON-schema-like variable contract ({ required: [...] })
+    schema: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    // Stored as a list: partial names may contain dots (not valid as keys)
+    partials: {
+      type: [
+        new mongoose.Schema(
+          {
+            name: { type: String, required: true },
+            body: { type: String, default: '' }
+          },
+          { _id: false }
+        )
+      ],
+      default: []
+    },
+    notes: {
+      type: String,
+      default: null
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    publishedAt: {
+      type: Date,
+      default: null
+    },
+    publishedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'notification_templates',
+    minimize: false
+  }
+);
+
+notificationTemplateSchema.index({ type: 1, locale: 1, version: -1 }, { unique: true });
+notificationTemplateSchema.index(
+  { type: 1, locale: 1 },
+  { unique: true, partialFilterExpression: { status: 'published' } }
+);
+
+const NotificationTemplateModel = mongoose.model('NotificationTemplate', notificationTemplateSchema);
+
+module.exports = NotificationTemplateModel;
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+/**
+ * Review of a passenger written by the driver of a completed trip
+ * Mirrors ReviewModel (passenger → driver) in the other direction.
+ */
+const passengerReviewSchema = new mongoose.Schema(
+  {
+    tripId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TripOffer',
+      required: [true, 'Trip ID is required'],
+      index: true
+    },
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BookingRequest',
+      required: [true, 'Booking ID is required']
+    },
+    driverId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Driver ID is required'],
+      index: true
+    },
+    passengerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Passenger ID is required'],
+      index: true
+    },
+    rating: {
+      type: Number,
+      required: [true, 'Rating is required'],
+      min: [1, 'Rating must be between 1 and 5'],
+      max: [5, 'Rating must be between 1 and 5'],
+      validate: {
+        validator: Number.isInteger,
+        message: 'Rating must be an integer'
+      }
+    },
+    text: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Review text cannot exceed 1000 characters'],
+      default: ''
+    },
+    tags: {
+      type: [String],
+      validate: {
+        validator: function (arr) {
+          return Array.isArray(arr) && arr.length <= 5;
+        },
+        message: 'Max 5 tags allowed'
+      },
+      default: []
+    },
+    status: {
+      type: String,
+      enum: ['visible', 'hidden', 'flagged'],
+      default: 'visible',
+      index: true
+    },
+    // Moderation actions performed by admins: hide/unhide with reason and moderator id
+    moderation: {
+      type: [
+        {
+          moderatedAt: { type: Date },
+          moderatorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+          action: { type: String, enum: ['hide', 'unhide'] },
+          reason: { type: String },
+          correlationId: { type: String }
+        }
+      ],
+      default: []
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'passenger_reviews'
+  }
+);
+
+// One review per passenger per trip
+passengerReviewSchema.index({ tripId: 1, passengerId: 1 }, { unique: true });
+
+// Index for passenger aggregates
+passengerReviewSchema.index({ passengerId: 1, status: 1 });
+
+const PassengerReviewModel = mongoose.model('PassengerReview', passengerReviewSchema);
+
+module.exports = PassengerReviewModel;
@@ -0,0 +1,103 @@
+/**
+ * Payment Mongoose Model (US-4.1)
+ * 
+ * One payment per accepted booking. Created when the driver accepts the
+ * booking request; settled asynchronously by the payment provider webhook.
+ * 
+ * Business Rules:
+ * - One payment per booking (unique bookingRequestId)
+ * - Amounts are stored in major currency units (e.g. COP pesos)
+ * - refundedAmount never exceeds amount
+ * - Webhook events are applied at most once (processedEvents)
+ */
+
+const mongoose = require('mongoose');
+
+const paymentSchema = new mongoose.Schema(
+  {
+    bookingRequestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BookingRequest',
+      required: [true, 'Booking request ID is required'],
+      unique: true
+    },
+    tripId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TripOffer',
+      required: [true, 'Trip ID is required'],
+      index: true
+    },
+    passengerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Passenger ID is required'],
+      index: true
+    },
+    driverId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Driver ID is required']
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Amount is required'],
+      min: [0, 'Amount cannot be negative']
+    },
+    currency: {
+      type: String,
+      required: true,
+      uppercase: true,
+      default: 'COP'
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ['requires_payment', 'processing', 'succeeded', 'failed', 'canceled'],
+        message: 'Status must be one of: requires_payment, processing, succeeded, failed, canceled'
+      },
+      default: 'requires_payment',
+      index: true
+    },
+    provider: {
+      type: String,
+      required: true
+    },
+    providerPaymentIntentId: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    // Handed to the passenger's client to confirm the payment; never listed
+    clientSecret: {
+      type: String,
+      select: false
+    },
+    refundedAmount: {
+      type: Number,
+      min: [0, 'Refunded amount cannot be negative'],
+      default: 0
+    },
+    paidAt: {
+      type: Date,
+      default: null
+    },
+    failureReason: {
+      type: String,
+      default: null
+    },
+    // Provider event IDs already applied (webhook idempotency)
+    processedEvents: {
+      type: [String],
+      default: [],
+      select: false
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'payments'
+  }
+);
+
+const PaymentModel = mongoose.model('Payment', paymentSchema);
+
+module.exports = PaymentModel;
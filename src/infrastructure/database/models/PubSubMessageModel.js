@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+/**
+ * Transport for MongoPubSub: instances watch inserts with a change stream.
+ * Short-lived (TTL), not a message history.
+ */
+const pubSubMessageSchema = new mongoose.Schema({
+  channel: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+  createdAt: { type: Date, default: Date.now, expires: 60 }
+}, { collection: 'pubsub_messages', versionKey: false });
+
+module.exports = mongoose.model('PubSubMessage', pubSubMessageSchema);
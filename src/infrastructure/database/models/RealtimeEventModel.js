@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+/**
+ * Events pushed to a user's notification stream (GET /notifications/stream).
+ * Kept for a day so reconnecting clients can resume from Last-Event-ID;
+ * the event id is the document _id.
+ */
+const realtimeEventSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  event: { type: String, enum: ['notification', 'unread_count', 'booking_status'], required: true },
+  data: { type: mongoose.Schema.Types.Mixed, default: {} },
+  createdAt: { type: Date, default: Date.now, expires: 24 * 60 * 60 }
+}, { collection: 'realtime_events', versionKey: false, minimize: false });
+
+realtimeEventSchema.index({ userId: 1, _id: 1 });
+
+module.exports = mongoose.model('RealtimeEvent', realtimeEventSchema);
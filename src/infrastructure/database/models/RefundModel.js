@@ -0,0 +1,113 @@
+/**
+ * Refund Mongoose Model (US-4.2)
+ * 
+ * Money returned to a passenger for a paid booking, issued through the
+ * payment provider. Listed by GET /admin/refunds.
+ * 
+ * Lifecycle (driven by the process-refunds job):
+ *   requested → processing → succeeded
+ *                          ↘ failed
+ * A processing refund whose provider call fails goes back to requested
+ * until MAX_REFUND_ATTEMPTS is reached.
+ *
+ * Business Rules:
+ * - Always linked to a payment (transactionId) and its booking
+ * - Sum of non-failed refunds never exceeds the payment amount
+ * - idempotencyKey is unique: one cancellation refund per booking
+ */
+
+const mongoose = require('mongoose');
+
+const refundSchema = new mongoose.Schema(
+  {
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+      required: [true, 'Payment ID is required'],
+      index: true
+    },
+    // Payment id as exposed to admins (GET /admin/refunds?transactionId=)
+    transactionId: {
+      type: String,
+      required: true,
+      index: true
+    },
+    bookingRequestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BookingRequest',
+      required: [true, 'Booking request ID is required'],
+      index: true
+    },
+    passengerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Amount is required'],
+      min: [0, 'Amount cannot be negative']
+    },
+    currency: {
+      type: String,
+      required: true,
+      uppercase: true,
+      default: 'COP'
+    },
+    // Percentage of the payment granted by the cancellation policy
+    refundPercent: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 100
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ['requested', 'processing', 'succeeded', 'failed'],
+        message: 'Status must be one of: requested, processing, succeeded, failed'
+      },
+      default: 'requested',
+      index: true
+    },
+    // Also sent to the provider so retried calls never refund twice
+    idempotencyKey: {
+      type: String,
+      required: true
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    reason: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    providerRefundId: {
+      type: String,
+      default: null
+    },
+    failureReason: {
+      type: String,
+      default: null
+    },
+    processedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'refunds'
+  }
+);
+
+refundSchema.index({ idempotencyKey: 1 }, { unique: true });
+refundSchema.index({ status: 1, updatedAt: 1 });
+refundSchema.index({ providerRefundId: 1 }, { unique: true, partialFilterExpression: { providerRefundId: { $type: 'string' } } });
+
+const RefundModel = mongoose.model('Refund', refundSchema);
+
+module.exports = RefundModel;
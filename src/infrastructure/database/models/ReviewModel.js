@@ -76,6 +76,42 @@ const reviewSchema = new mongoose.Schema(
         }
       ],
       default: []
+    },
+    // Public reply of the reviewed driver (one per review, editable)
+    reply: {
+      type: new mongoose.Schema(
+        {
+          text: {
+            type: String,
+            trim: true,
+            required: true,
+            maxlength: [1000, 'Reply text cannot exceed 1000 characters']
+          },
+          // Hidden by admins independently of the review
+          status: { type: String, enum: ['visible', 'hidden'], default: 'visible' },
+          createdAt: { type: Date },
+          updatedAt: { type: Date },
+          // Previous texts of the reply, one entry per edit
+          audit: {
+            type: [{ editedAt: { type: Date }, text: { type: String } }],
+            default: []
+          },
+          moderation: {
+            type: [
+              {
+                moderatedAt: { type: Date },
+                moderatorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+                action: { type: String, enum: ['hide', 'unhide'] },
+                reason: { type: String },
+                correlationId: { type: String }
+              }
+            ],
+            default: []
+          }
+        },
+        { _id: false }
+      ),
+      default: null
     }
   },
   {
@@ -9,6 +9,12 @@ const reviewReportSchema = new mongoose.Schema(
       required: true,
       index: true
     },
+    // Who the reported review is about: driver (reviews) or passenger (passenger_reviews)
+    reviewedRole: {
+      type: String,
+      enum: ['driver', 'passenger'],
+      default: 'driver'
+    },
     reporterId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -31,6 +37,26 @@ const reviewReportSchema = new mongoose.Schema(
       type: String,
       default: null,
       index: true
+    },
+    // Open until a moderator resolves the review (restored or hidden)
+    status: {
+      type: String,
+      enum: ['open', 'closed'],
+      default: 'open'
+    },
+    resolution: {
+      type: String,
+      enum: ['restored', 'hidden', null],
+      default: null
+    },
+    closedAt: {
+      type: Date,
+      default: null
+    },
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
     }
   },
   {
@@ -41,6 +67,8 @@ const reviewReportSchema = new mongoose.Schema(
 
 // Prevent duplicate report records per user per review (one report per reporter per review)
 reviewReportSchema.index({ reviewId: 1, reporterId: 1 }, { unique: true });
+// Open reports of a review (flag thresholds, moderation queue)
+reviewReportSchema.index({ reviewId: 1, status: 1 });
 
 const ReviewReportModel = mongoose.model('ReviewReport', reviewReportSchema);
 
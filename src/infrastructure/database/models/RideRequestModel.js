@@ -0,0 +1,158 @@
+/**
+ * RideRequest Mongoose Model
+ *
+ * Passenger demand with no matching trip: where from, where to, when and how
+ * many seats. Drivers browse open requests near their route and answer one by
+ * creating a trip for it, which books the requester right away.
+ *
+ * Lifecycle: open → fulfilled (trip created) | canceled (by the passenger) |
+ * expired (departure window over without a driver)
+ */
+
+const mongoose = require('mongoose');
+
+const locationSchema = new mongoose.Schema(
+  {
+    text: { type: String, required: true, trim: true, maxlength: 200 },
+    geo: {
+      lat: { type: Number, required: true, min: -90, max: 90 },
+      lng: { type: Number, required: true, min: -180, max: 180 }
+    }
+  },
+  { _id: false }
+);
+
+// GeoJSON mirror of a location, required by the 2dsphere indexes ([lng, lat])
+const pointSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ['Point'], default: 'Point' },
+    coordinates: { type: [Number], default: undefined }
+  },
+  { _id: false }
+);
+
+const rideRequestSchema = new mongoose.Schema(
+  {
+    passengerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Passenger ID is required']
+    },
+    origin: {
+      type: locationSchema,
+      required: true
+    },
+    destination: {
+      type: locationSchema,
+      required: true
+    },
+    originPoint: {
+      type: pointSchema,
+      select: false
+    },
+    destinationPoint: {
+      type: pointSchema,
+      select: false
+    },
+    // Desired departure window
+    windowStart: {
+      type: Date,
+      required: [true, 'windowStart is required']
+    },
+    windowEnd: {
+      type: Date,
+      required: [true, 'windowEnd is required']
+    },
+    seats: {
+      type: Number,
+      required: true,
+      min: [1, 'At least 1 seat is required'],
+      validate: {
+        validator: Number.isInteger,
+        message: 'seats must be an integer'
+      }
+    },
+    // Highest price per seat the passenger accepts (null = any)
+    maxPricePerSeat: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Note cannot exceed 300 characters'],
+      default: ''
+    },
+    status: {
+      type: String,
+      enum: ['open', 'fulfilled', 'canceled', 'expired'],
+      default: 'open'
+    },
+    // Set when a driver fulfills the request
+    fulfilledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    fulfilledAt: {
+      type: Date,
+      default: null
+    },
+    tripId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TripOffer',
+      default: null
+    },
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BookingRequest',
+      default: null
+    },
+    canceledAt: {
+      type: Date,
+      default: null
+    },
+    expiredAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'ride_requests'
+  }
+);
+
+// Passenger history and open-request limit
+rideRequestSchema.index({ passengerId: 1, status: 1, createdAt: -1 });
+
+// Expiry job
+rideRequestSchema.index({ status: 1, windowEnd: 1 });
+
+// Proximity browsing by drivers (pickup near the route origin)
+rideRequestSchema.index({ originPoint: '2dsphere' });
+
+const toPoint = (location) =>
+  location && location.geo
+    ? { type: 'Point', coordinates: [location.geo.lng, location.geo.lat] }
+    : undefined;
+
+// Keep GeoJSON points in sync with origin/destination geo
+rideRequestSchema.pre('validate', function (next) {
+  if (this.isNew || this.isModified('origin')) this.originPoint = toPoint(this.origin);
+  if (this.isNew || this.isModified('destination')) this.destinationPoint = toPoint(this.destination);
+  next();
+});
+
+// Validation: the window must end after it starts
+rideRequestSchema.pre('save', function (next) {
+  if (this.windowStart >= this.windowEnd) {
+    return next(new Error('windowEnd must be after windowStart'));
+  }
+  next();
+});
+
+const RideRequestModel = mongoose.model('RideRequest', rideRequestSchema);
+
+module.exports = RideRequestModel;
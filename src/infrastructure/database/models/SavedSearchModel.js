@@ -0,0 +1,104 @@
+/**
+ * SavedSearch Mongoose Model
+ *
+ * A passenger trip search stored to be alerted when matching trips are
+ * published. Filters are the ones of GET /passengers/trips/search (without
+ * sort/pagination), plus the weekdays the passenger travels on.
+ *
+ * Alerts:
+ * - One per trip and search (alertedTripIds keeps the most recent ones)
+ * - At most SAVED_SEARCH_ALERTS_PER_DAY per search and local day (alertDay/alertCount)
+ * - None while muted
+ */
+
+const mongoose = require('mongoose');
+
+// Trips remembered per search to avoid alerting twice (republished drafts)
+const ALERTED_TRIPS_KEPT = 50;
+
+const pointSchema = new mongoose.Schema(
+  {
+    lat: { type: Number, required: true, min: -90, max: 90 },
+    lng: { type: Number, required: true, min: -180, max: 180 }
+  },
+  { _id: false }
+);
+
+const filtersSchema = new mongoose.Schema(
+  {
+    qOrigin: { type: String, trim: true, maxlength: 100, default: null },
+    qDestination: { type: String, trim: true, maxlength: 100, default: null },
+    fromDate: { type: Date, default: null },
+    toDate: { type: Date, default: null },
+    fromTime: { type: String, match: /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, default: null },
+    toTime: { type: String, match: /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, default: null },
+    minAvailableSeats: { type: Number, min: 1, default: null },
+    minPrice: { type: Number, min: 0, default: null },
+    maxPrice: { type: Number, min: 0, default: null },
+    nearOrigin: { type: pointSchema, default: null },
+    nearDestination: { type: pointSchema, default: null },
+    radius: { type: Number, min: 50, max: 20000, default: null }
+  },
+  { _id: false }
+);
+
+const savedSearchSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required']
+    },
+    name: {
+      type: String,
+      trim: true,
+      required: [true, 'Name is required'],
+      maxlength: [60, 'Name cannot exceed 60 characters']
+    },
+    filters: {
+      type: filtersSchema,
+      default: () => ({})
+    },
+    // Local weekdays (America/Bogota) of departure: 0 = Sunday ... 6 = Saturday (empty = any day)
+    daysOfWeek: {
+      type: [{ type: Number, min: 0, max: 6 }],
+      default: []
+    },
+    muted: {
+      type: Boolean,
+      default: false
+    },
+    // Local day (YYYY-MM-DD) alertCount refers to
+    alertDay: {
+      type: String,
+      default: null
+    },
+    alertCount: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    alertedTripIds: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'TripOffer' }],
+      default: []
+    },
+    lastAlertAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'saved_searches'
+  }
+);
+
+/**
+ * My saved searches and alert candidates
+ */
+savedSearchSchema.index({ userId: 1, createdAt: -1 });
+savedSearchSchema.index({ muted: 1, daysOfWeek: 1 });
+
+savedSearchSchema.statics.ALERTED_TRIPS_KEPT = ALERTED_TRIPS_KEPT;
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
@@ -7,6 +7,8 @@
  * Business Rules:
  * - One ledger entry per trip (unique tripId)
  * - allocatedSeats must never exceed trip's totalSeats
+ * - segmentSeats[i] counts seats occupied on leg i (stop i → stop i + 1);
+ *   allocatedSeats mirrors the busiest leg so whole-trip readers keep working
  * - All updates must be atomic (using findOneAndUpdate with conditions)
  * - Created on first accept, updated on subsequent accepts
  * 
@@ -34,6 +36,11 @@ const seatLedgerSchema = new mongoose.Schema(
         validator: Number.isInteger,
         message: 'Allocated seats must be an integer'
       }
+    },
+    // Occupancy per route segment (length = waypoints + 1)
+    segmentSeats: {
+      type: [Number],
+      default: undefined
     }
   },
   {
@@ -81,58 +88,119 @@ seatLedgerSchema.methods.getRemainingSeats = function (totalSeats) {
 // ============================================
 
 /**
- * Atomically increment allocated seats for a trip
- * Race-safe: uses findOneAndUpdate with conditional guards
+ * Build the $map expression that adds delta to every segment in [from, to)
+ * `to` null means "until the last segment of the ledger".
+ */
+const shiftSegments = (from, to, delta) => {
+  const end = to === null ? { $size: '$segmentSeats' } : to;
+  return {
+    $map: {
+      input: { $range: [0, { $size: '$segmentSeats' }] },
+      as: 'i',
+      in: {
+        $cond: [
+          { $and: [{ $gte: ['$$i', from] }, { $lt: ['$$i', end] }] },
+          { $add: [{ $arrayElemAt: ['$segmentSeats', '$$i'] }, delta] },
+          { $arrayElemAt: ['$segmentSeats', '$$i'] }
+        ]
+      }
+    }
+  };
+};
+
+/**
+ * Build the filter guard that every segment in [from, to) satisfies a condition
+ */
+const segmentGuard = (from, to, condition) => {
+  if (to === null) {
+    // Whole route: no segment may violate the condition
+    const negated = condition.$lte !== undefined ? { $gt: condition.$lte } : { $lt: condition.$gte };
+    return { segmentSeats: { $not: { $elemMatch: negated } } };
+  }
+
+  const guard = {};
+  for (let i = from; i < to; i++) {
+    guard[`segmentSeats.${i}`] = condition;
+  }
+  return guard;
+};
+
+/**
+ * Ensure the ledger exists and tracks per-segment occupancy
+ * Ledgers created before segments were introduced are migrated by
+ * assuming their allocation spans every segment (the safe choice).
+ *
+ * @param {string} tripId - Trip ObjectId
+ * @param {number} segmentCount - Number of route segments of the trip
+ */
+seatLedgerSchema.statics.ensureSegments = async function (tripId, segmentCount = 1) {
+  try {
+    await this.updateOne(
+      { tripId },
+      { $setOnInsert: { allocatedSeats: 0, segmentSeats: new Array(segmentCount).fill(0) } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Concurrent upsert created the ledger first
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  await this.updateOne(
+    {
+      tripId,
+      $or: [{ segmentSeats: { $exists: false } }, { segmentSeats: { $size: 0 } }]
+    },
+    [
+      {
+        $set: {
+          segmentSeats: {
+            $map: { input: { $range: [0, segmentCount] }, in: '$allocatedSeats' }
+          }
+        }
+      }
+    ]
+  );
+};
+
+/**
+ * Atomically allocate seats for a trip on a range of segments
+ * Race-safe: a single findOneAndUpdate guarded on every affected segment
  * 
  * @param {string} tripId - Trip ObjectId
  * @param {number} totalSeats - Total seats available on trip
  * @param {number} seatsToAllocate - Number of seats to allocate (default 1)
+ * @param {Object|null} segment - { from, to, segmentCount }; null = whole route
  * @returns {Promise<Document|null>} Updated ledger or null if capacity exceeded
  */
 seatLedgerSchema.statics.allocateSeats = async function (
   tripId,
   totalSeats,
-  seatsToAllocate = 1
+  seatsToAllocate = 1,
+  segment = null
 ) {
-  // Step 1: Try to find existing ledger
-  let ledger = await this.findOne({ tripId });
-
-  if (!ledger) {
-    // No ledger exists - create one if we have capacity
-    if (seatsToAllocate <= totalSeats) {
-      try {
-        ledger = await this.create({
-          tripId,
-          allocatedSeats: seatsToAllocate
-        });
-        return ledger;
-      } catch (error) {
-        // If duplicate key error (race condition), retry the update
-        if (error.code === 11000) {
-          ledger = await this.findOne({ tripId });
-          // Fall through to the update logic below
-        } else {
-          throw error;
-        }
-      }
-    } else {
-      // Requested seats exceed total capacity
-      return null;
-    }
+  if (seatsToAllocate > totalSeats) {
+    // Requested seats exceed total capacity
+    return null;
   }
 
-  // Step 2: Ledger exists - atomic increment with capacity guard
+  const from = segment ? segment.from : 0;
+  const to = segment ? segment.to : null;
+
+  await this.ensureSegments(tripId, segment ? segment.segmentCount : 1);
+
   const updatedLedger = await this.findOneAndUpdate(
     {
       tripId,
-      allocatedSeats: { $lte: totalSeats - seatsToAllocate } // Guard: ensure capacity
+      ...segmentGuard(from, to, { $lte: totalSeats - seatsToAllocate }) // Guard: ensure capacity
     },
+    [
+      { $set: { segmentSeats: shiftSegments(from, to, seatsToAllocate) } },
+      { $set: { allocatedSeats: { $max: '$segmentSeats' } } }
+    ],
     {
-      $inc: { allocatedSeats: seatsToAllocate }
-    },
-    {
-      new: true, // Return updated document
-      runValidators: true
+      new: true // Return updated document
     }
   );
 
@@ -140,6 +208,42 @@ seatLedgerSchema.statics.allocateSeats = async function (
   return updatedLedger;
 };
 
+/**
+ * Atomically release seats for a trip on a range of segments
+ * Race-safe: guarded so no segment can go negative
+ * 
+ * @param {string} tripId - Trip ObjectId
+ * @param {number} seatsToDeallocate - Number of seats to free (default 1)
+ * @param {Object|null} segment - { from, to[, segmentCount] }; null = whole route
+ * @returns {Promise<Document|null>} Updated ledger or null if it would go negative
+ */
+seatLedgerSchema.statics.deallocateSeats = async function (
+  tripId,
+  seatsToDeallocate = 1,
+  segment = null
+) {
+  const from = segment ? segment.from : 0;
+  const to = segment ? segment.to : null;
+
+  // Ledgers still missing segmentSeats belong to trips booked before stops
+  // existed (single segment), so the booking's alight index is the count
+  await this.ensureSegments(tripId, segment ? segment.segmentCount || segment.to : 1);
+
+  return this.findOneAndUpdate(
+    {
+      tripId,
+      ...segmentGuard(from, to, { $gte: seatsToDeallocate }) // Guard: ensure we don't go negative
+    },
+    [
+      { $set: { segmentSeats: shiftSegments(from, to, -seatsToDeallocate) } },
+      { $set: { allocatedSeats: { $max: '$segmentSeats' } } }
+    ],
+    {
+      new: true
+    }
+  );
+};
+
 /**
  * Get current ledger for a trip (create if doesn't exist)
  * @param {string} tripId - Trip ObjectId
@@ -0,0 +1,153 @@
+/**
+ * TripChangeProposal Mongoose Model
+ *
+ * A material change (price, time or route) a driver made to a trip that
+ * already had active bookings. Each affected booking gets a response slot
+ * the passenger must fill before the deadline.
+ *
+ * Status Lifecycle:
+ * - open: Waiting for passenger responses
+ * - closed: Every response settled (answered, expired or canceled)
+ *
+ * Response statuses:
+ * - pending: Not answered yet
+ * - accepted: Passenger agreed to the new terms (booking.agreedTerms updated)
+ * - declined: Passenger turned the new terms down (booking canceled, full refund)
+ * - expired: No answer before the deadline (handled as a decline)
+ * - canceled: Booking ended for another reason (trip canceled, passenger canceled)
+ */
+
+const mongoose = require('mongoose');
+
+const RESPONSE_STATUSES = ['pending', 'accepted', 'declined', 'expired', 'canceled'];
+
+const placeSchema = new mongoose.Schema(
+  {
+    text: { type: String, required: true },
+    geo: {
+      lat: { type: Number, required: true },
+      lng: { type: Number, required: true }
+    }
+  },
+  { _id: false }
+);
+
+// Snapshot of a version of the trip terms
+const termsSchema = new mongoose.Schema(
+  {
+    version: { type: Number, required: true, min: 1 },
+    pricePerSeat: { type: Number, required: true },
+    departureAt: { type: Date, required: true },
+    estimatedArrivalAt: { type: Date, required: true },
+    origin: { type: placeSchema, required: true },
+    destination: { type: placeSchema, required: true },
+    waypoints: { type: [placeSchema], default: [] }
+  },
+  { _id: false }
+);
+
+const responseSchema = new mongoose.Schema(
+  {
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BookingRequest',
+      required: true
+    },
+    passengerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    seats: {
+      type: Number,
+      min: 1,
+      required: true
+    },
+    // Booking status when the change was made (pending | accepted)
+    bookingStatus: {
+      type: String,
+      enum: ['pending', 'accepted'],
+      required: true
+    },
+    status: {
+      type: String,
+      enum: {
+        values: RESPONSE_STATUSES,
+        message: `Response status must be one of: ${RESPONSE_STATUSES.join(', ')}`
+      },
+      default: 'pending'
+    },
+    respondedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  { _id: false }
+);
+
+const tripChangeProposalSchema = new mongoose.Schema(
+  {
+    tripId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TripOffer',
+      required: [true, 'Trip ID is required']
+    },
+    driverId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Driver ID is required']
+    },
+    // Kinds of change: price, time, route
+    changes: {
+      type: [{ type: String, enum: ['price', 'time', 'route'] }],
+      required: true
+    },
+    previousTerms: {
+      type: termsSchema,
+      required: true
+    },
+    proposedTerms: {
+      type: termsSchema,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['open', 'closed'],
+      default: 'open'
+    },
+    // Passengers must answer before this; unanswered responses expire
+    deadline: {
+      type: Date,
+      required: [true, 'Deadline is required']
+    },
+    responses: {
+      type: [responseSchema],
+      default: []
+    },
+    closedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'trip_change_proposals'
+  }
+);
+
+/**
+ * One open proposal per trip
+ */
+tripChangeProposalSchema.index(
+  { tripId: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+
+/**
+ * Trip history, passenger listing and expiry job
+ */
+tripChangeProposalSchema.index({ tripId: 1, createdAt: -1 });
+tripChangeProposalSchema.index({ 'responses.passengerId': 1, status: 1 });
+tripChangeProposalSchema.index({ status: 1, deadline: 1 });
+
+module.exports = mongoose.model('TripChangeProposal', tripChangeProposalSchema);
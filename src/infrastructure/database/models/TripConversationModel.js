@@ -0,0 +1,82 @@
+/**
+ * TripConversation Mongoose Model
+ *
+ * State of the in-trip conversation between the driver and the accepted
+ * passengers of a trip (one per trip, created with its first message or read).
+ *
+ * - closesAt is set when the trip is completed (completion + TRIP_CHAT_CLOSE_HOURS)
+ * - Canceled trips close their conversation right away
+ * - reads keeps the read receipt of each participant (last message time seen)
+ */
+
+const mongoose = require('mongoose');
+
+const readReceiptSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    lastReadAt: {
+      type: Date,
+      required: true
+    }
+  },
+  { _id: false }
+);
+
+const tripConversationSchema = new mongoose.Schema(
+  {
+    tripId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TripOffer',
+      required: [true, 'Trip ID is required'],
+      unique: true
+    },
+    driverId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Driver ID is required']
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ['open', 'closed'],
+        message: 'Status must be one of: open, closed'
+      },
+      default: 'open'
+    },
+    closesAt: {
+      type: Date,
+      default: null
+    },
+    closedAt: {
+      type: Date,
+      default: null
+    },
+    closeReason: {
+      type: String,
+      enum: {
+        values: ['completed', 'canceled'],
+        message: 'Close reason must be one of: completed, canceled'
+      },
+      default: null
+    },
+    reads: {
+      type: [readReceiptSchema],
+      default: []
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'trip_conversations'
+  }
+);
+
+/**
+ * Conversations due for closure (close-trip-chats job)
+ */
+tripConversationSchema.index({ status: 1, closesAt: 1 });
+
+module.exports = mongoose.model('TripConversation', tripConversationSchema);
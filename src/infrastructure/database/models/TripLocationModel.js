@@ -0,0 +1,80 @@
+/**
+ * TripLocation Mongoose Model
+ *
+ * Positions posted by the driver while a trip is in progress.
+ *
+ * Only a short buffer is kept per trip (the most recent positions); all of
+ * them are deleted when the trip is completed or canceled. The TTL index is
+ * a safety net for trips that are never closed.
+ */
+
+const mongoose = require('mongoose');
+
+// Positions older than this are dropped even if the trip never ends
+const LOCATION_TTL_SECONDS = 6 * 60 * 60;
+
+const tripLocationSchema = new mongoose.Schema(
+  {
+    tripId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TripOffer',
+      required: [true, 'Trip ID is required']
+    },
+    driverId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Driver ID is required']
+    },
+    lat: {
+      type: Number,
+      required: [true, 'Latitude is required'],
+      min: [-90, 'Latitude must be between -90 and 90'],
+      max: [90, 'Latitude must be between -90 and 90']
+    },
+    lng: {
+      type: Number,
+      required: [true, 'Longitude is required'],
+      min: [-180, 'Longitude must be between -180 and 180'],
+      max: [180, 'Longitude must be between -180 and 180']
+    },
+    // Degrees clockwise from north
+    heading: {
+      type: Number,
+      min: [0, 'Heading must be between 0 and 360'],
+      max: [360, 'Heading must be between 0 and 360'],
+      default: null
+    },
+    speedKmh: {
+      type: Number,
+      min: [0, 'Speed cannot be negative'],
+      default: null
+    },
+    // GPS accuracy radius reported by the device
+    accuracyM: {
+      type: Number,
+      min: [0, 'Accuracy cannot be negative'],
+      default: null
+    },
+    // Device time of the fix (createdAt is the server time)
+    recordedAt: {
+      type: Date,
+      required: [true, 'Recorded time is required']
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      expires: LOCATION_TTL_SECONDS
+    }
+  },
+  {
+    collection: 'trip_locations',
+    versionKey: false
+  }
+);
+
+/**
+ * Latest positions of a trip (read, buffer trimming and purge)
+ */
+tripLocationSchema.index({ tripId: 1, recordedAt: -1, _id: -1 });
+
+module.exports = mongoose.model('TripLocation', tripLocationSchema);
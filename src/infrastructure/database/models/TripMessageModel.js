@@ -0,0 +1,59 @@
+/**
+ * TripMessage Mongoose Model
+ *
+ * Messages of an in-trip conversation. The body is stored as written;
+ * contact details are masked when it is read (see TripMessage entity).
+ */
+
+const mongoose = require('mongoose');
+
+const tripMessageSchema = new mongoose.Schema(
+  {
+    tripId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TripOffer',
+      required: [true, 'Trip ID is required']
+    },
+    senderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Sender ID is required']
+    },
+    senderRole: {
+      type: String,
+      enum: {
+        values: ['driver', 'passenger'],
+        message: 'Sender role must be one of: driver, passenger'
+      },
+      required: [true, 'Sender role is required']
+    },
+    body: {
+      type: String,
+      required: [true, 'Message body is required'],
+      trim: true,
+      maxlength: [1000, 'Message cannot exceed 1000 characters']
+    },
+    // Phone numbers, emails or links detected when the message was sent
+    hasContactDetails: {
+      type: Boolean,
+      default: false
+    },
+    // Participants who reported the message (user reports with messageId)
+    reportCount: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    collection: 'trip_messages'
+  }
+);
+
+/**
+ * Conversation history (newest first, paged by createdAt) and unread counts
+ */
+tripMessageSchema.index({ tripId: 1, createdAt: -1, _id: -1 });
+
+module.exports = mongoose.model('TripMessage', tripMessageSchema);
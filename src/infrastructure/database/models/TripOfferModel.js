@@ -26,6 +26,23 @@ const geoLocationSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// GeoJSON mirror of stop geo, required by the 2dsphere index
+// (MongoDB expects [lng, lat] order, while the public shape is { lat, lng })
+const geoPointSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
+  { _id: false }
+);
+
 const tripOfferSchema = new mongoose.Schema(
   {
     driverId: {
@@ -47,6 +64,21 @@ const tripOfferSchema = new mongoose.Schema(
       type: geoLocationSchema,
       required: true
     },
+    // Ordered intermediate stops between origin and destination
+    waypoints: {
+      type: [geoLocationSchema],
+      default: [],
+      validate: {
+        validator: (waypoints) => waypoints.length <= 8,
+        message: 'A trip can have at most 8 waypoints'
+      }
+    },
+    // All stops in route order (origin, waypoints..., destination) as GeoJSON
+    stopPoints: {
+      type: [geoPointSchema],
+      default: undefined,
+      select: false
+    },
     departureAt: {
       type: Date,
       required: true,
@@ -95,6 +127,57 @@ const tripOfferSchema = new mongoose.Schema(
       maxlength: 500,
       default: '',
       trim: true
+    },
+    // Instant-book: booking requests are accepted on creation while seats last
+    instantBook: {
+      type: Boolean,
+      default: false
+    },
+    // Version of the trip terms (price, time, route); bumped on every material change
+    // Bookings record the version they agreed to (agreedTerms.version)
+    termsVersion: {
+      type: Number,
+      min: 1,
+      default: 1
+    },
+    // Recurring series this trip was generated from (null for one-off trips)
+    seriesId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TripSeries',
+      default: null
+    },
+    // Local calendar date (YYYY-MM-DD) of the series occurrence
+    occurrenceDate: {
+      type: String,
+      default: null
+    },
+    // Edited individually ("this occurrence"): series-wide edits skip it
+    detachedFromSeries: {
+      type: Boolean,
+      default: false
+    },
+    // Passenger ride request the trip was created to fulfill (null = regular offer)
+    rideRequestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RideRequest',
+      default: null
+    },
+    // Driver override of the platform cancellation tiers (empty = platform policy)
+    cancellationPolicy: {
+      tiers: [
+        {
+          _id: false,
+          minHoursBeforeDeparture: { type: Number, required: true, min: 0 },
+          refundPercent: { type: Number, required: true, min: 0, max: 100 },
+          penaltyPercent: { type: Number, min: 0, max: 100, default: 0 }
+        }
+      ]
+    },
+    // Wrong boarding PINs entered at check-in; check-in locks at the configured maximum
+    boardingPinFailures: {
+      type: Number,
+      min: 0,
+      default: 0
     }
   },
   {
@@ -110,9 +193,45 @@ tripOfferSchema.index({ driverId: 1, departureAt: 1 });
 // Index for finding published trips by date range
 tripOfferSchema.index({ status: 1, departureAt: 1 });
 
-// Optional: 2dsphere index for future geo search (currently not needed)
-// tripOfferSchema.index({ 'origin.geo': '2dsphere' });
-// tripOfferSchema.index({ 'destination.geo': '2dsphere' });
+// One trip per series occurrence (idempotent expansion)
+tripOfferSchema.index(
+  { seriesId: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { seriesId: { $type: 'objectId' } } }
+);
+
+// 2dsphere index for proximity search (pickup / drop-off near any stop)
+tripOfferSchema.index({ stopPoints: '2dsphere' });
+
+/**
+ * Build a GeoJSON point from a { lat, lng } pair
+ * @param {Object} geo - { lat, lng }
+ * @returns {Object|undefined} GeoJSON Point
+ */
+const toGeoPoint = (geo) => {
+  if (!geo || typeof geo.lat !== 'number' || typeof geo.lng !== 'number') {
+    return undefined;
+  }
+  return { type: 'Point', coordinates: [geo.lng, geo.lat] };
+};
+
+/**
+ * Build the ordered GeoJSON stop list (origin, waypoints..., destination)
+ * @param {Object} trip - { origin, waypoints, destination }
+ * @returns {Object[]|undefined} GeoJSON Points
+ */
+const toStopPoints = (trip) => {
+  const stops = [trip.origin, ...(trip.waypoints || []), trip.destination];
+  const points = stops.map((stop) => toGeoPoint(stop && stop.geo));
+  return points.every(Boolean) ? points : undefined;
+};
+
+// Keep GeoJSON stop points in sync with origin/waypoints/destination geo
+tripOfferSchema.pre('validate', function (next) {
+  if (this.isNew || this.isModified('origin') || this.isModified('waypoints') || this.isModified('destination')) {
+    this.stopPoints = toStopPoints(this);
+  }
+  next();
+});
 
 // Validation: estimatedArrivalAt must be after departureAt
 tripOfferSchema.pre('save', function (next) {
@@ -187,6 +306,20 @@ tripOfferSchema.statics.findUpcomingByDriver = function (driverId) {
   }).sort({ departureAt: 1 });
 };
 
+// Static method: Find driver's calendar trips (upcoming published and in progress)
+tripOfferSchema.statics.findCalendarTripsByDriver = function (driverId, now = new Date()) {
+  return this.find({
+    driverId,
+    $or: [
+      { status: 'published', departureAt: { $gt: now } },
+      { status: 'in_progress' }
+    ]
+  }).sort({ departureAt: 1 });
+};
+
+tripOfferSchema.statics.toGeoPoint = toGeoPoint;
+tripOfferSchema.statics.toStopPoints = toStopPoints;
+
 const TripOfferModel = mongoose.model('TripOffer', tripOfferSchema);
 
 module.exports = TripOfferModel;
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+
+const geoLocationSchema = new mongoose.Schema(
+  {
+    text: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200
+    },
+    geo: {
+      lat: {
+        type: Number,
+        required: true,
+        min: -90,
+        max: 90
+      },
+      lng: {
+        type: Number,
+        required: true,
+        min: -180,
+        max: 180
+      }
+    }
+  },
+  { _id: false }
+);
+
+/**
+ * Trip Series
+ * Weekly schedule template that is expanded into individual TripOffer
+ * documents on a rolling horizon (see TripOfferService.expandTripSeries).
+ */
+const tripSeriesSchema = new mongoose.Schema(
+  {
+    driverId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    vehicleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Vehicle',
+      required: true
+    },
+    origin: {
+      type: geoLocationSchema,
+      required: true
+    },
+    destination: {
+      type: geoLocationSchema,
+      required: true
+    },
+    waypoints: {
+      type: [geoLocationSchema],
+      default: []
+    },
+    // 0 = Sunday ... 6 = Saturday (local calendar, America/Bogota)
+    daysOfWeek: {
+      type: [Number],
+      required: true,
+      validate: {
+        validator: (days) =>
+          Array.isArray(days) && days.length > 0 && days.every((d) => Number.isInteger(d) && d >= 0 && d <= 6),
+        message: 'daysOfWeek must contain integers between 0 and 6'
+      }
+    },
+    // Local departure time (HH:MM, America/Bogota)
+    departureTime: {
+      type: String,
+      required: true,
+      match: /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/
+    },
+    durationMinutes: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 720
+    },
+    // Local calendar dates (YYYY-MM-DD), inclusive
+    startDate: {
+      type: String,
+      required: true,
+      match: /^\d{4}-\d{2}-\d{2}$/
+    },
+    untilDate: {
+      type: String,
+      required: true,
+      match: /^\d{4}-\d{2}-\d{2}$/
+    },
+    pricePerSeat: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    totalSeats: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    notes: {
+      type: String,
+      maxlength: 500,
+      default: '',
+      trim: true
+    },
+    // Status given to generated occurrences
+    tripStatus: {
+      type: String,
+      enum: ['draft', 'published'],
+      default: 'published'
+    },
+    status: {
+      type: String,
+      enum: ['active', 'canceled'],
+      default: 'active',
+      index: true
+    },
+    // Occurrences departing up to this instant have already been generated
+    generatedUntil: {
+      type: Date,
+      default: null
+    },
+    canceledAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'trip_series'
+  }
+);
+
+tripSeriesSchema.index({ status: 1, generatedUntil: 1 });
+
+const TripSeriesModel = mongoose.model('TripSeries', tripSeriesSchema);
+
+module.exports = TripSeriesModel;
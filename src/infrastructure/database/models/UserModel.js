@@ -108,6 +108,56 @@ const userSchema = new mongoose.Schema({
   passwordChangedAt: {
     type: Date,
     default: null
+  },
+  // Preferencias de notificación (GET/PATCH /api/users/me/notification-preferences)
+  // types se guarda como arreglo: los tipos ('booking.accepted') contienen puntos
+  notificationPreferences: {
+    channels: {
+      email: { type: Boolean, default: true },
+      inApp: { type: Boolean, default: true },
+      push: { type: Boolean, default: false }
+    },
+    types: [{
+      _id: false,
+      type: { type: String, required: true, trim: true, maxlength: 100 },
+      email: { type: Boolean },
+      inApp: { type: Boolean },
+      push: { type: Boolean }
+    }],
+    quietHours: {
+      enabled: { type: Boolean, default: false },
+      start: { type: String, match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'start must be HH:mm'], default: '22:00' },
+      end: { type: String, match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'end must be HH:mm'], default: '07:00' },
+      timezone: { type: String, default: 'America/Bogota' }
+    }
+  },
+  // Ajustes de conductor (GET/PATCH /api/drivers/settings)
+  // waitlistPromotion: qué se crea cuando un pasajero confirma un cupo de la lista de espera
+  // autoAcceptRules: reglas permanentes para aceptar solicitudes al crearlas
+  //   - min_rating: pasajeros con calificación >= minRating
+  //   - previous_rider: pasajeros que ya viajaron con el conductor
+  //   maxSeats (opcional) limita los cupos de la solicitud que la regla acepta
+  driverSettings: {
+    waitlistPromotion: { type: String, enum: ['request', 'auto_accept'], default: 'request' },
+    autoAcceptRules: {
+      type: [{
+        _id: false,
+        type: { type: String, enum: ['min_rating', 'previous_rider'], required: true },
+        minRating: { type: Number, min: 1, max: 5, default: null },
+        maxSeats: { type: Number, min: 1, default: null }
+      }],
+      default: []
+    }
+  },
+  // Feed iCalendar de viajes (GET /calendar/:token.ics)
+  // Solo se guarda el hash SHA-256 del token; rotarlo invalida la URL anterior
+  calendarFeedTokenHash: {
+    type: String,
+    select: false
+  },
+  calendarFeedRotatedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true,      // Crea createdAt y updatedAt automáticamente
@@ -130,6 +180,12 @@ userSchema.pre('save', function(next) {
   next();
 });
 
+// Búsqueda del feed por token (solo usuarios con feed activo)
+userSchema.index(
+  { calendarFeedTokenHash: 1 },
+  { unique: true, partialFilterExpression: { calendarFeedTokenHash: { $type: 'string' } } }
+);
+
 // Crear el modelo
 const UserModel = mongoose.model('User', userSchema);
 
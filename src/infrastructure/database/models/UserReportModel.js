@@ -32,6 +32,24 @@ const userReportSchema = new mongoose.Schema(
       maxlength: 500,
       default: ''
     },
+    // Set when the report was filed from a message of the trip chat
+    messageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TripMessage',
+      default: null
+    },
+    // Message as written (unmasked), kept for moderation
+    messageBody: {
+      type: String,
+      default: null
+    },
+    // Moderation case grouping the reports about the same user
+    caseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ModerationCase',
+      default: null,
+      index: true
+    },
     status: {
       type: String,
       enum: ['pending', 'reviewed', 'resolved'],
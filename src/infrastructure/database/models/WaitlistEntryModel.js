@@ -0,0 +1,116 @@
+/**
+ * WaitlistEntry Mongoose Model
+ *
+ * A passenger waiting for seats on a fully booked trip.
+ *
+ * Status Lifecycle:
+ * - waiting: In line; order is createdAt (then _id)
+ * - offered: Seats were released and are held for this passenger until offerExpiresAt
+ * - confirmed: Passenger took the offer (bookingId points to the booking created)
+ * - declined: Passenger turned the offer down
+ * - expired: Offer not confirmed in time
+ * - left: Passenger left the waitlist
+ * - closed: Trip canceled or no longer bookable
+ */
+
+const mongoose = require('mongoose');
+
+const WAITLIST_STATUSES = ['waiting', 'offered', 'confirmed', 'declined', 'expired', 'left', 'closed'];
+
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    tripId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TripOffer',
+      required: [true, 'Trip ID is required']
+    },
+    passengerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Passenger ID is required']
+    },
+    seats: {
+      type: Number,
+      required: [true, 'Number of seats is required'],
+      min: [1, 'Must request at least 1 seat'],
+      validate: {
+        validator: Number.isInteger,
+        message: 'Seats must be an integer'
+      },
+      default: 1
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Note cannot exceed 300 characters'],
+      default: ''
+    },
+    // Route stops the passenger wants to ride between (resolved, like bookings)
+    boardStopIndex: {
+      type: Number,
+      min: [0, 'Board stop index cannot be negative'],
+      required: true
+    },
+    alightStopIndex: {
+      type: Number,
+      min: [1, 'Alight stop index must be at least 1'],
+      required: true
+    },
+    status: {
+      type: String,
+      enum: {
+        values: WAITLIST_STATUSES,
+        message: `Status must be one of: ${WAITLIST_STATUSES.join(', ')}`
+      },
+      default: 'waiting'
+    },
+    offeredAt: {
+      type: Date,
+      default: null
+    },
+    offerExpiresAt: {
+      type: Date,
+      default: null
+    },
+    // Driver setting applied when the offer was confirmed ('request' | 'auto_accept')
+    promotionMode: {
+      type: String,
+      enum: ['request', 'auto_accept', null],
+      default: null
+    },
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BookingRequest',
+      default: null
+    },
+    resolvedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'waitlist_entries'
+  }
+);
+
+/**
+ * Line order per trip (promotion and position)
+ */
+waitlistEntrySchema.index({ tripId: 1, status: 1, createdAt: 1, _id: 1 });
+
+/**
+ * One open entry per passenger and trip
+ */
+waitlistEntrySchema.index(
+  { tripId: 1, passengerId: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['waiting', 'offered'] } } }
+);
+
+/**
+ * Passenger listing and offer expiry job
+ */
+waitlistEntrySchema.index({ passengerId: 1, createdAt: -1 });
+waitlistEntrySchema.index({ status: 1, offerExpiresAt: 1 });
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
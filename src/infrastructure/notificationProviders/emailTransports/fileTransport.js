@@ -0,0 +1,34 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { createMessageId, buildMimeMessage } = require('./transportUtils');
+
+/**
+ * Filesystem email transport (development)
+ *
+ * Writes every message as an .eml file under EMAIL_FILE_DIR (default
+ * ./tmp/emails) so it can be opened in any mail client.
+ */
+class FileEmailTransport {
+  constructor({
+    directory = process.env.EMAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'emails'),
+    from = process.env.EMAIL_FROM || 'no-reply@wheels.local'
+  } = {}) {
+    this.name = 'file';
+    this.directory = directory;
+    this.from = from;
+  }
+
+  async send(message) {
+    const from = message.from || this.from;
+    const messageId = createMessageId(from);
+    const mime = buildMimeMessage({ ...message, from, messageId });
+
+    await fs.mkdir(this.directory, { recursive: true });
+    const filePath = path.join(this.directory, `${messageId.replace(/[^a-zA-Z0-9.-]/g, '_')}.eml`);
+    await fs.writeFile(filePath, mime, 'utf8');
+
+    return { providerMessageId: messageId, response: filePath };
+  }
+}
+
+module.exports = FileEmailTransport;
@@ -0,0 +1,77 @@
+const { transportError } = require('./transportUtils');
+
+/**
+ * Provider HTTP API email transport
+ *
+ * POSTs the message as JSON to EMAIL_API_URL with a bearer EMAIL_API_KEY and
+ * reads the provider message id from the response (`id` or `messageId`).
+ * The delivery id travels in `metadata` so webhook events can be matched
+ * even before the provider id is stored.
+ */
+class HttpApiEmailTransport {
+  constructor({
+    url = process.env.EMAIL_API_URL,
+    apiKey = process.env.EMAIL_API_KEY,
+    from = process.env.EMAIL_FROM,
+    timeoutMs = 10000
+  } = {}) {
+    this.name = 'http';
+    this.url = url;
+    this.apiKey = apiKey;
+    this.from = from;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Send a message
+   * @param {Object} message - { from, to, subject, text, html, headers, metadata }
+   * @returns {Promise<Object>} { providerMessageId, response }
+   * @throws {Error} with code 'email_api_error' and `retryable`
+   */
+  async send({ from, to, subject, text, html, headers = {}, metadata = {} }) {
+    if (!this.url || !this.apiKey) {
+      throw transportError('EMAIL_API_URL and EMAIL_API_KEY must be configured', 'email_api_not_configured', false);
+    }
+
+    let response;
+    try {
+      response = await fetch(this.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${this.apiKey}`
+        },
+        body: JSON.stringify({ from: from || this.from, to, subject, text, html, headers, metadata }),
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+    } catch (error) {
+      throw transportError(`Email API request failed: ${error.message}`, 'email_api_error', true);
+    }
+
+    let body = {};
+    try {
+      body = await response.json();
+    } catch (e) {
+      body = {};
+    }
+
+    if (!response.ok) {
+      // Rate limits and provider outages are worth retrying; other 4xx are not
+      const retryable = response.status === 429 || response.status >= 500;
+      throw transportError(
+        `Email API responded ${response.status}: ${body.message || body.error || response.statusText}`,
+        'email_api_error',
+        retryable
+      );
+    }
+
+    const providerMessageId = body.id || body.messageId;
+    if (!providerMessageId) {
+      throw transportError('Email API response has no message id', 'email_api_error', false);
+    }
+
+    return { providerMessageId: String(providerMessageId), response: `HTTP ${response.status}` };
+  }
+}
+
+module.exports = HttpApiEmailTransport;
@@ -0,0 +1,54 @@
+const SmtpEmailTransport = require('./smtpTransport');
+const HttpApiEmailTransport = require('./httpApiTransport');
+const FileEmailTransport = require('./fileTransport');
+const MemoryEmailTransport = require('./memoryTransport');
+
+/**
+ * Email transport registry
+ *
+ * EMAIL_TRANSPORT selects the implementation ('smtp' | 'http' | 'file' |
+ * 'memory'). When unset, SMTP is used if SMTP_HOST is configured, the
+ * provider API if EMAIL_API_URL is, and the filesystem transport otherwise.
+ * Tests can swap the transport with setEmailTransport().
+ */
+let transport = null;
+
+function createDefaultTransport() {
+  const name =
+    process.env.EMAIL_TRANSPORT ||
+    (process.env.SMTP_HOST ? 'smtp' : process.env.EMAIL_API_URL ? 'http' : 'file');
+
+  switch (name) {
+    case 'smtp':
+      return new SmtpEmailTransport();
+    case 'http':
+      return new HttpApiEmailTransport();
+    case 'memory':
+      return new MemoryEmailTransport();
+    default:
+      if (process.env.NODE_ENV === 'production') {
+        console.warn('[EmailTransport] Writing emails to the filesystem in production');
+      }
+      return new FileEmailTransport();
+  }
+}
+
+function getEmailTransport() {
+  if (!transport) {
+    transport = createDefaultTransport();
+  }
+  return transport;
+}
+
+function setEmailTransport(customTransport) {
+  transport = customTransport;
+}
+
+module.exports = {
+  getEmailTransport,
+  setEmailTransport,
+  SmtpEmailTransport,
+  HttpApiEmailTransport,
+  FileEmailTransport,
+  MemoryEmailTransport
+};
@@ -0,0 +1,45 @@
+const { transportError, createMessageId } = require('./transportUtils');
+
+/**
+ * In-memory email transport (tests)
+ *
+ * Keeps sent messages in `sent`. failNext() makes the next sends fail, to
+ * exercise retries and permanent failures.
+ */
+class MemoryEmailTransport {
+  constructor({ from = process.env.EMAIL_FROM || 'no-reply@wheels.local' } = {}) {
+    this.name = 'memory';
+    this.from = from;
+    this.sent = [];
+    this.failures = [];
+  }
+
+  /**
+   * Fail the next `count` sends
+   * @param {number} count
+   * @param {Object} options - { retryable, message }
+   */
+  failNext(count = 1, { retryable = true, message = 'Simulated transport failure' } = {}) {
+    for (let i = 0; i < count; i++) {
+      this.failures.push({ retryable, message });
+    }
+  }
+
+  async send(message) {
+    const failure = this.failures.shift();
+    if (failure) {
+      throw transportError(failure.message, 'memory_transport_error', failure.retryable);
+    }
+
+    const providerMessageId = createMessageId(message.from || this.from);
+    this.sent.push({ ...message, from: message.from || this.from, providerMessageId, sentAt: new Date() });
+    return { providerMessageId, response: 'stored' };
+  }
+
+  clear() {
+    this.sent = [];
+    this.failures = [];
+  }
+}
+
+module.exports = MemoryEmailTransport;
@@ -0,0 +1,102 @@
+const nodemailer = require('nodemailer');
+const { transportError, createMessageId, buildMimeMessage } = require('./transportUtils');
+
+/**
+ * SMTP email transport
+ *
+ * Sends the MIME message built by transportUtils through nodemailer's SMTP
+ * client, one connection per message. Credentials are only sent over TLS:
+ * with SMTP_USER set and no implicit TLS the server must offer STARTTLS.
+ * The generated Message-ID is returned as provider message id: relays
+ * report it back in their event webhooks.
+ *
+ * Config: SMTP_HOST, SMTP_PORT, SMTP_SECURE (implicit TLS, port 465),
+ * SMTP_USER, SMTP_PASS, EMAIL_FROM.
+ */
+class SmtpEmailTransport {
+  constructor({
+    host = process.env.SMTP_HOST,
+    port = Number(process.env.SMTP_PORT) || 587,
+    secure = process.env.SMTP_SECURE === 'true',
+    user = process.env.SMTP_USER,
+    pass = process.env.SMTP_PASS,
+    from = process.env.EMAIL_FROM,
+    timeoutMs = 15000
+  } = {}) {
+    this.name = 'smtp';
+    this.host = host;
+    this.port = port;
+    this.secure = secure;
+    this.user = user;
+    this.pass = pass;
+    this.from = from;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Send a message
+   * @param {Object} message - { from, to, subject, text, html, headers }
+   * @returns {Promise<Object>} { providerMessageId, response }
+   * @throws {Error} with code 'smtp_error' | 'smtp_connection_error' | 'smtp_tls_required' and `retryable`
+   */
+  async send(message) {
+    if (!this.host) {
+      throw transportError('SMTP_HOST is not configured', 'smtp_not_configured', false);
+    }
+
+    const from = message.from || this.from;
+    const messageId = createMessageId(from);
+    const mime = buildMimeMessage({ ...message, from, messageId });
+
+    const transporter = nodemailer.createTransport({
+      host: this.host,
+      port: this.port,
+      secure: this.secure,
+      // Never authenticate in cleartext: fail unless STARTTLS succeeds
+      requireTLS: !!this.user && !this.secure,
+      auth: this.user ? { user: this.user, pass: this.pass || '' } : undefined,
+      connectionTimeout: this.timeoutMs,
+      greetingTimeout: this.timeoutMs,
+      socketTimeout: this.timeoutMs
+    });
+
+    try {
+      const info = await transporter.sendMail({
+        envelope: { from: SmtpEmailTransport._address(from), to: [SmtpEmailTransport._address(message.to)] },
+        raw: mime
+      });
+
+      return { providerMessageId: messageId, response: String(info.response || '').trim() };
+    } catch (err) {
+      throw SmtpEmailTransport._toTransportError(err);
+    } finally {
+      transporter.close();
+    }
+  }
+
+  /**
+   * Map a nodemailer error to a transport error
+   * 4xx replies are transient (greylisting, mailbox busy); 5xx replies are permanent rejections.
+   * @private
+   */
+  static _toTransportError(err) {
+    if (err.responseCode) {
+      return transportError(`SMTP ${err.responseCode}: ${err.response || err.message}`, 'smtp_error', err.responseCode < 500);
+    }
+    if (err.code === 'ETLS') {
+      return transportError(`SMTP server does not support TLS: ${err.message}`, 'smtp_tls_required', false);
+    }
+    return transportError(`SMTP connection failed: ${err.message}`, 'smtp_connection_error', true);
+  }
+
+  /**
+   * Bare address from 'Name <addr>' or 'addr'
+   * @private
+   */
+  static _address(value) {
+    const match = String(value || '').match(/<([^>]+)>/);
+    return (match ? match[1] : String(value || '')).trim();
+  }
+}
+
+module.exports = SmtpEmailTransport;
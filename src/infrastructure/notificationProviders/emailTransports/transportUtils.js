@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+
+/**
+ * Helpers shared by the email transports: message ids, MIME encoding and
+ * transport errors.
+ *
+ * Transport errors carry `retryable` so the delivery queue can tell a
+ * temporary failure (timeouts, 4xx SMTP replies, HTTP 429/5xx) from a
+ * permanent rejection (5xx SMTP replies, HTTP 4xx).
+ */
+
+function transportError(message, code, retryable) {
+  const err = new Error(message);
+  err.code = code;
+  err.retryable = retryable;
+  return err;
+}
+
+/**
+ * RFC 5322 Message-ID (without angle brackets)
+ * @param {string} from - Sender address; its domain is used as id domain
+ */
+function createMessageId(from) {
+  const domain = (String(from || '').split('@')[1] || 'wheels.local').replace(/[>\s]/g, '');
+  return `${Date.now()}.${crypto.randomBytes(8).toString('hex')}@${domain}`;
+}
+
+/**
+ * RFC 2047 encoded-word for non-ASCII header values
+ */
+function encodeHeader(value) {
+  const str = String(value || '');
+  if (/^[\x20-\x7e]*$/.test(str)) return str;
+  return `=?UTF-8?B?${Buffer.from(str, 'utf8').toString('base64')}?=`;
+}
+
+function base64Lines(str) {
+  return Buffer.from(String(str || ''), 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+}
+
+/**
+ * Build a multipart/alternative (text + html) MIME message
+ * @param {Object} message - { from, to, subject, text, html, headers, messageId }
+ * @returns {string} CRLF-delimited message
+ */
+function buildMimeMessage({ from, to, subject, text, html, headers = {}, messageId }) {
+  const boundary = `=_wheels_${crypto.randomBytes(12).toString('hex')}`;
+  const lines = [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${messageId}>`,
+    'MIME-Version: 1.0'
+  ];
+  for (const [name, value] of Object.entries(headers)) {
+    lines.push(`${name}: ${encodeHeader(value)}`);
+  }
+  lines.push(`Content-Type: multipart/alternative; boundary="${boundary}"`, '');
+
+  const parts = [['text/plain', text], ['text/html', html]].filter(([, body]) => body);
+  for (const [contentType, body] of parts) {
+    lines.push(
+      `--${boundary}`,
+      `Content-Type: ${contentType}; charset=utf-8`,
+      'Content-Transfer-Encoding: base64',
+      '',
+      base64Lines(body)
+    );
+  }
+  lines.push(`--${boundary}--`, '');
+
+  return lines.join('\r\n');
+}
+
+module.exports = { transportError, createMessageId, encodeHeader, buildMimeMessage };
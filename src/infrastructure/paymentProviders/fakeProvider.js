@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+/**
+ * Offline payment provider (US-4.1)
+ *
+ * Drop-in replacement for StripePaymentProvider used in development and tests.
+ * Keeps intents and refunds in memory and signs/verifies webhook payloads with
+ * the same `t=timestamp,v1=signature` scheme Stripe uses, so the webhook
+ * endpoint can be exercised end to end without network access.
+ * Only used when PAYMENT_PROVIDER=fake is set outside production; the webhook
+ * secret must be configured (STRIPE_WEBHOOK_SECRET), there is no default.
+ */
+class FakePaymentProvider {
+  constructor({ webhookSecret = process.env.STRIPE_WEBHOOK_SECRET } = {}) {
+    if (!webhookSecret) {
+      throw new Error('STRIPE_WEBHOOK_SECRET is not configured');
+    }
+
+    this.name = 'fake';
+    this.webhookSecret = webhookSecret;
+    this.intents = new Map();
+    this.refunds = new Map();
+    this.idempotencyKeys = new Map();
+  }
+
+  _id(prefix) {
+    return `${prefix}_fake_${crypto.randomBytes(12).toString('hex')}`;
+  }
+
+  _idempotent(key, create) {
+    if (key && this.idempotencyKeys.has(key)) {
+      return this.idempotencyKeys.get(key);
+    }
+    const result = create();
+    if (key) this.idempotencyKeys.set(key, result);
+    return result;
+  }
+
+  async createPaymentIntent({ amount, currency, metadata = {}, idempotencyKey }) {
+    return this._idempotent(idempotencyKey, () => {
+      const id = this._id('pi');
+      const intent = {
+        id,
+        amount,
+        currency,
+        metadata,
+        status: 'requires_payment_method',
+        clientSecret: `${id}_secret_${crypto.randomBytes(8).toString('hex')}`
+      };
+      this.intents.set(id, intent);
+      return { id, clientSecret: intent.clientSecret, status: intent.status };
+    });
+  }
+
+  async cancelPaymentIntent(paymentIntentId) {
+    const intent = this.intents.get(paymentIntentId);
+    if (intent) intent.status = 'canceled';
+    return { id: paymentIntentId, status: 'canceled' };
+  }
+
+  async createRefund({ paymentIntentId, amount, metadata = {}, idempotencyKey }) {
+    return this._idempotent(idempotencyKey, () => {
+      const id = this._id('re');
+      this.refunds.set(id, { id, paymentIntentId, amount, metadata, status: 'succeeded' });
+      return { id, status: 'succeeded' };
+    });
+  }
+
+  /**
+   * Build a Stripe-shaped event (for tests and local simulation)
+   * @param {string} type - e.g. 'payment_intent.succeeded'
+   * @param {Object} object - Event data object
+   */
+  buildEvent(type, object) {
+    return { id: this._id('evt'), type, created: Math.floor(Date.now() / 1000), data: { object } };
+  }
+
+  /**
+   * Sign a raw payload the way Stripe does
+   * @param {string} raw - Raw JSON body
+   * @returns {string} Stripe-Signature header value
+   */
+  signPayload(raw, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto
+      .createHmac('sha256', this.webhookSecret)
+      .update(`${timestamp}.${raw}`)
+      .digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+  }
+
+  constructWebhookEvent(raw, signature) {
+    const parts = {};
+    (signature || '').split(',').forEach((part) => {
+      const [key, value] = part.trim().split('=');
+      if (key && value) parts[key] = value;
+    });
+
+    const fail = (message) => {
+      const err = new Error(message);
+      err.code = 'invalid_signature';
+      return err;
+    };
+
+    if (!parts.t || !parts.v1) {
+      throw fail('Invalid signature header');
+    }
+
+    if (Math.abs(Math.floor(Date.now() / 1000) - Number(parts.t)) > SIGNATURE_TOLERANCE_SECONDS) {
+      throw fail('Webhook timestamp outside the tolerance zone');
+    }
+
+    const expected = this.signPayload(raw, parts.t).split('v1=')[1];
+    const sigBuf = Buffer.from(parts.v1, 'hex');
+    const expBuf = Buffer.from(expected, 'hex');
+    if (sigBuf.length !== expBuf.length || !crypto.timingSafeEqual(sigBuf, expBuf)) {
+      throw fail('Webhook signature verification failed');
+    }
+
+    try {
+      return JSON.parse(raw);
+    } catch (e) {
+      throw fail('Invalid JSON payload');
+    }
+  }
+}
+
+module.exports = FakePaymentProvider;
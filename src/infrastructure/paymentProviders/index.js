@@ -0,0 +1,50 @@
+const StripePaymentProvider = require('./stripeProvider');
+const FakePaymentProvider = require('./fakeProvider');
+
+/**
+ * Payment provider registry (US-4.1)
+ *
+ * PAYMENT_PROVIDER selects the implementation ('stripe' | 'fake'). When unset,
+ * Stripe is used if STRIPE_SECRET_KEY is configured. There is no silent
+ * fallback: the offline fake must be selected explicitly and is refused in
+ * production, so a missing Stripe configuration fails at startup instead of
+ * accepting forged webhooks. Tests can swap the provider with setPaymentProvider().
+ */
+let provider = null;
+
+function createDefaultProvider() {
+  const name = process.env.PAYMENT_PROVIDER || (process.env.STRIPE_SECRET_KEY ? 'stripe' : null);
+
+  if (name === 'stripe') {
+    if (!process.env.STRIPE_SECRET_KEY) {
+      throw new Error('STRIPE_SECRET_KEY is not configured');
+    }
+    return new StripePaymentProvider();
+  }
+
+  if (name === 'fake') {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('The offline fake payment provider cannot be used in production');
+    }
+    return new FakePaymentProvider();
+  }
+
+  throw new Error(
+    name
+      ? `Unknown PAYMENT_PROVIDER: ${name}`
+      : 'No payment provider configured: set STRIPE_SECRET_KEY (or PAYMENT_PROVIDER=fake outside production)'
+  );
+}
+
+function getPaymentProvider() {
+  if (!provider) {
+    provider = createDefaultProvider();
+  }
+  return provider;
+}
+
+function setPaymentProvider(customProvider) {
+  provider = customProvider;
+}
+
+module.exports = { getPaymentProvider, setPaymentProvider, StripePaymentProvider, FakePaymentProvider };
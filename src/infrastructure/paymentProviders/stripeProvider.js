@@ -0,0 +1,91 @@
+const Stripe = require('stripe');
+
+/**
+ * Stripe payment provider (US-4.1)
+ *
+ * Thin wrapper around the Stripe SDK. The rest of the app works with amounts
+ * in major units (COP pesos); conversion to Stripe minor units happens here.
+ */
+class StripePaymentProvider {
+  constructor({
+    secretKey = process.env.STRIPE_SECRET_KEY,
+    webhookSecret = process.env.STRIPE_WEBHOOK_SECRET
+  } = {}) {
+    this.name = 'stripe';
+    this.client = Stripe(secretKey);
+    this.webhookSecret = webhookSecret;
+  }
+
+  _toMinorUnits(amount) {
+    return Math.round(amount * 100);
+  }
+
+  /**
+   * Create a payment intent the passenger confirms client-side
+   * @returns {Promise<{id: string, clientSecret: string, status: string}>}
+   */
+  async createPaymentIntent({ amount, currency, metadata = {}, idempotencyKey }) {
+    const intent = await this.client.paymentIntents.create(
+      {
+        amount: this._toMinorUnits(amount),
+        currency: currency.toLowerCase(),
+        metadata,
+        automatic_payment_methods: { enabled: true }
+      },
+      idempotencyKey ? { idempotencyKey } : undefined
+    );
+
+    return { id: intent.id, clientSecret: intent.client_secret, status: intent.status };
+  }
+
+  /**
+   * Cancel an unpaid payment intent
+   * @returns {Promise<{id: string, status: string}>}
+   */
+  async cancelPaymentIntent(paymentIntentId) {
+    const intent = await this.client.paymentIntents.cancel(paymentIntentId);
+    return { id: intent.id, status: intent.status };
+  }
+
+  /**
+   * Refund (part of) a succeeded payment intent
+   * @returns {Promise<{id: string, status: string}>}
+   */
+  async createRefund({ paymentIntentId, amount, metadata = {}, idempotencyKey }) {
+    const refund = await this.client.refunds.create(
+      {
+        payment_intent: paymentIntentId,
+        amount: this._toMinorUnits(amount),
+        metadata
+      },
+      idempotencyKey ? { idempotencyKey } : undefined
+    );
+
+    return { id: refund.id, status: refund.status };
+  }
+
+  /**
+   * Verify the Stripe-Signature header and parse the event
+   * @param {string} raw - Raw request body
+   * @param {string} signature - Stripe-Signature header
+   * @returns {Object} Stripe event ({ id, type, data: { object } })
+   * @throws {Error} with code 'invalid_signature'
+   */
+  constructWebhookEvent(raw, signature) {
+    if (!this.webhookSecret) {
+      const err = new Error('Stripe webhook secret not configured');
+      err.code = 'invalid_signature';
+      throw err;
+    }
+
+    try {
+      return this.client.webhooks.constructEvent(raw, signature, this.webhookSecret);
+    } catch (error) {
+      const err = new Error(`Webhook signature verification failed: ${error.message}`);
+      err.code = 'invalid_signature';
+      throw err;
+    }
+  }
+}
+
+module.exports = StripePaymentProvider;
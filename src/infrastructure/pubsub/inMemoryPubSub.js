@@ -0,0 +1,40 @@
+const { EventEmitter } = require('events');
+
+/**
+ * In-process pub/sub
+ *
+ * Delivers messages to subscribers of the same process only: enough for a
+ * single-node deployment and for tests.
+ */
+class InMemoryPubSub {
+  constructor() {
+    this.name = 'memory';
+    this.emitter = new EventEmitter();
+    // One listener per connected stream: do not warn past 10
+    this.emitter.setMaxListeners(0);
+  }
+
+  /**
+   * @param {string} channel
+   * @param {Object} message - JSON-serializable payload
+   */
+  async publish(channel, message) {
+    this.emitter.emit(channel, message);
+  }
+
+  /**
+   * @param {string} channel
+   * @param {Function} handler - (message) => void
+   * @returns {Function} unsubscribe
+   */
+  subscribe(channel, handler) {
+    this.emitter.on(channel, handler);
+    return () => this.emitter.off(channel, handler);
+  }
+
+  async close() {
+    this.emitter.removeAllListeners();
+  }
+}
+
+module.exports = InMemoryPubSub;
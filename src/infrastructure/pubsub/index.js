@@ -0,0 +1,32 @@
+const InMemoryPubSub = require('./inMemoryPubSub');
+const MongoPubSub = require('./mongoPubSub');
+
+/**
+ * Pub/sub registry
+ *
+ * REALTIME_PUBSUB selects the implementation ('memory' | 'mongo'). The
+ * in-process one (default) only reaches clients connected to the same
+ * instance; run several instances with 'mongo'. Tests can swap the
+ * implementation with setPubSub().
+ */
+let pubsub = null;
+
+function createDefaultPubSub() {
+  if (process.env.REALTIME_PUBSUB === 'mongo') {
+    return new MongoPubSub();
+  }
+  return new InMemoryPubSub();
+}
+
+function getPubSub() {
+  if (!pubsub) {
+    pubsub = createDefaultPubSub();
+  }
+  return pubsub;
+}
+
+function setPubSub(customPubSub) {
+  pubsub = customPubSub;
+}
+
+module.exports = { getPubSub, setPubSub, InMemoryPubSub, MongoPubSub };
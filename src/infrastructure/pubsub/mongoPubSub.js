@@ -0,0 +1,78 @@
+const { EventEmitter } = require('events');
+const PubSubMessageModel = require('../database/models/PubSubMessageModel');
+
+// Wait before reopening a change stream that failed
+const RESTART_DELAY_MS = 5000;
+
+// The resume token fell off the oplog: the stream can only restart from now
+const CHANGE_STREAM_HISTORY_LOST = 286;
+
+/**
+ * MongoDB pub/sub (multi-instance)
+ *
+ * publish() inserts into the `pubsub_messages` collection; every instance
+ * watches that collection with a change stream and hands inserted messages
+ * to its local subscribers. Requires a replica set (MongoDB Atlas is one).
+ * Messages expire after a minute (TTL index): they are not a history.
+ * A failed stream is reopened after the last message it delivered
+ * (resumeAfter), so messages inserted while it was down are not lost.
+ */
+class MongoPubSub {
+  constructor() {
+    this.name = 'mongo';
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.stream = null;
+    this.resumeToken = null;
+    this.restartTimer = null;
+    this.closed = false;
+  }
+
+  async publish(channel, message) {
+    await PubSubMessageModel.create({ channel, payload: message });
+  }
+
+  subscribe(channel, handler) {
+    this._ensureStream();
+    this.emitter.on(channel, handler);
+    return () => this.emitter.off(channel, handler);
+  }
+
+  async close() {
+    this.closed = true;
+    clearTimeout(this.restartTimer);
+    this.emitter.removeAllListeners();
+    if (this.stream) {
+      await this.stream.close();
+      this.stream = null;
+    }
+  }
+
+  /**
+   * Open the change stream on first subscription (and after failures)
+   * @private
+   */
+  _ensureStream() {
+    if (this.stream || this.closed) return;
+
+    const options = this.resumeToken ? { resumeAfter: this.resumeToken } : {};
+    this.stream = PubSubMessageModel.watch([{ $match: { operationType: 'insert' } }], options);
+    this.stream.on('change', (change) => {
+      this.resumeToken = change._id;
+      const { channel, payload } = change.fullDocument || {};
+      if (channel) this.emitter.emit(channel, payload);
+    });
+    this.stream.on('error', (error) => {
+      console.error(`[MongoPubSub] Change stream failed, restarting | error: ${error.message}`);
+      if (error.code === CHANGE_STREAM_HISTORY_LOST) {
+        this.resumeToken = null;
+      }
+      this.stream = null;
+      clearTimeout(this.restartTimer);
+      this.restartTimer = setTimeout(() => this._ensureStream(), RESTART_DELAY_MS);
+      this.restartTimer.unref();
+    });
+  }
+}
+
+module.exports = MongoPubSub;
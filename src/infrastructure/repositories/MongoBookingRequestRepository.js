@@ -5,7 +5,9 @@
  * Handles persistence and queries for booking requests.
  */
 
+const mongoose = require('mongoose');
 const BookingRequestModel = require('../database/models/BookingRequestModel');
+const TripOfferModel = require('../database/models/TripOfferModel');
 const BookingRequest = require('../../domain/entities/BookingRequest');
 
 class MongoBookingRequestRepository {
@@ -25,12 +27,23 @@ class MongoBookingRequestRepository {
       status: obj.status,
       seats: obj.seats,
       note: obj.note || '',
+      boardStopIndex: obj.boardStopIndex ?? null,
+      alightStopIndex: obj.alightStopIndex ?? null,
       acceptedAt: obj.acceptedAt,
       acceptedBy: obj.acceptedBy ? obj.acceptedBy.toString() : null,
+      autoAcceptRule: obj.autoAcceptRule || null,
+      rideRequestId: obj.rideRequestId ? obj.rideRequestId.toString() : null,
       declinedAt: obj.declinedAt,
       declinedBy: obj.declinedBy ? obj.declinedBy.toString() : null,
       canceledAt: obj.canceledAt,
-      isPaid: false, // Payment functionality removed
+      isPaid: obj.isPaid || false,
+      cancellationOutcome: obj.cancellationOutcome || null,
+      boardingStatus: obj.boardingStatus || null,
+      boardedAt: obj.boardedAt || null,
+      noShowReportedAt: obj.noShowReportedAt || null,
+      noShowReportedBy: obj.noShowReportedBy ? obj.noShowReportedBy.toString() : null,
+      noShowReason: obj.noShowReason || '',
+      agreedTerms: obj.agreedTerms || null,
       createdAt: obj.createdAt,
       updatedAt: obj.updatedAt
     });
@@ -46,16 +59,37 @@ class MongoBookingRequestRepository {
 
   /**
    * Create a new booking request
+   * Bookings are created pending; status 'accepted' (with acceptedBy) is only
+   * for flows that already allocated the seats, e.g. waitlist promotions,
+   * auto-accept rules (autoAcceptRule records which one fired) and fulfilled
+   * ride requests (rideRequestId).
    * @param {Object} data - Booking request data
    * @returns {Promise<BookingRequest>} Created booking request
    */
-  async create({ tripId, passengerId, seats, note }) {
+  async create({
+    tripId,
+    passengerId,
+    seats,
+    note,
+    boardStopIndex = null,
+    alightStopIndex = null,
+    status = 'pending',
+    acceptedBy = null,
+    autoAcceptRule = null,
+    rideRequestId = null,
+    agreedTerms = null
+  }) {
     const doc = await BookingRequestModel.create({
       tripId,
       passengerId,
       seats,
       note,
-      status: 'pending'
+      boardStopIndex,
+      alightStopIndex,
+      status,
+      agreedTerms,
+      rideRequestId,
+      ...(status === 'accepted' && { acceptedAt: new Date(), acceptedBy, autoAcceptRule })
     });
 
     return this._toDomain(doc);
@@ -88,6 +122,67 @@ class MongoBookingRequestRepository {
     return this._toDomain(doc);
   }
 
+  /**
+   * Check if a passenger rode (accepted booking) a completed trip of a driver
+   * Used by the previous_rider auto-accept rule
+   * @param {string} passengerId - Passenger ID
+   * @param {string} driverId - Driver ID
+   * @returns {Promise<boolean>}
+   */
+  async hasCompletedTripWithDriver(passengerId, driverId) {
+    const [match] = await BookingRequestModel.aggregate([
+      { $match: { passengerId: new mongoose.Types.ObjectId(passengerId), status: 'accepted' } },
+      {
+        $lookup: {
+          from: TripOfferModel.collection.name,
+          localField: 'tripId',
+          foreignField: '_id',
+          as: 'trip',
+          pipeline: [
+            { $match: { driverId: new mongoose.Types.ObjectId(driverId), status: 'completed' } },
+            { $project: { _id: 1 } }
+          ]
+        }
+      },
+      { $match: { 'trip.0': { $exists: true } } },
+      { $limit: 1 },
+      { $project: { _id: 1 } }
+    ]);
+
+    return Boolean(match);
+  }
+
+  /**
+   * When passengers reported a driver as a no-show, one date per trip
+   * Used by the driver eligibility check (no-show sanction)
+   * @param {string} driverId - Driver ID
+   * @param {Date} since - Reports older than this are left out
+   * @returns {Promise<Date[]>} First report date of each trip, oldest first
+   */
+  async findDriverNoShowReportDates(driverId, since) {
+    const reports = await BookingRequestModel.aggregate([
+      { $match: { boardingStatus: 'driver_no_show', noShowReportedAt: { $gte: since } } },
+      {
+        $lookup: {
+          from: TripOfferModel.collection.name,
+          localField: 'tripId',
+          foreignField: '_id',
+          as: 'trip',
+          pipeline: [
+            { $match: { driverId: new mongoose.Types.ObjectId(driverId) } },
+            { $project: { _id: 1 } }
+          ]
+        }
+      },
+      { $match: { 'trip.0': { $exists: true } } },
+      // Several passengers of the same trip count as one no-show
+      { $group: { _id: '$tripId', reportedAt: { $min: '$noShowReportedAt' } } },
+      { $sort: { reportedAt: 1 } }
+    ]);
+
+    return reports.map((report) => report.reportedAt);
+  }
+
   /**
    * Find all booking requests by passenger
    * @param {string} passengerId - Passenger ID
@@ -262,7 +357,8 @@ class MongoBookingRequestRepository {
             status: 'canceled_by_passenger',
             canceledAt: new Date(),
             cancellationReason: bookingEntity.cancellationReason || '',
-            refundNeeded: bookingEntity.refundNeeded // Internal flag for US-4.2
+            refundNeeded: bookingEntity.refundNeeded, // Internal flag for US-4.2
+            cancellationOutcome: bookingEntity.cancellationOutcome || null
           },
           { new: true, runValidators: true, session }
         );
@@ -274,7 +370,8 @@ class MongoBookingRequestRepository {
         // 2. Atomically deallocate seats from ledger
         const ledgerUpdated = await seatLedgerRepository.deallocateSeats(
           bookingEntity.tripId,
-          bookingEntity.seats
+          bookingEntity.seats,
+          bookingEntity.getSegment()
         );
 
         if (!ledgerUpdated) {
@@ -370,6 +467,164 @@ class MongoBookingRequestRepository {
     return this._toDomain(doc);
   }
 
+  /**
+   * Mark booking request as paid (payment webhook settled)
+   * @param {string} id - Booking request ID
+   * @returns {Promise<BookingRequest|null>} Updated booking request
+   */
+  async markPaid(id) {
+    const doc = await BookingRequestModel.findByIdAndUpdate(
+      id,
+      { isPaid: true },
+      { new: true }
+    );
+
+    return this._toDomain(doc);
+  }
+
+  /**
+   * Flag a booking as needing a refund (e.g. paid after it was canceled)
+   * Clears refundRequestedAt so the refund worker picks it up again.
+   * @param {string} id - Booking request ID
+   * @returns {Promise<void>}
+   */
+  async flagRefundNeeded(id) {
+    await BookingRequestModel.updateOne(
+      { _id: id },
+      { $set: { refundNeeded: true, refundRequestedAt: null } }
+    );
+  }
+
+  /**
+   * Record that the refund of a flagged booking has been requested
+   * @param {string} id - Booking request ID
+   * @returns {Promise<void>}
+   */
+  async markRefundRequested(id) {
+    await BookingRequestModel.updateOne(
+      { _id: id },
+      { $set: { refundRequestedAt: new Date() } }
+    );
+  }
+
+  /**
+   * Boarding PINs already issued on a trip (to keep them unique per trip)
+   * @param {string} tripId - Trip ID
+   * @returns {Promise<string[]>}
+   */
+  async findBoardingPinsByTrip(tripId) {
+    const docs = await BookingRequestModel.find({
+      tripId,
+      status: 'accepted',
+      boardingPin: { $ne: null }
+    })
+      .select('+boardingPin')
+      .lean();
+
+    return docs.map((doc) => doc.boardingPin);
+  }
+
+  /**
+   * Get the boarding PIN of an accepted booking, issuing it on first use
+   * The PIN is only set if none exists, so concurrent calls agree on one PIN.
+   * @param {string} id - Booking request ID
+   * @param {string} pin - PIN to issue if the booking has none yet
+   * @returns {Promise<string|null>} Stored PIN, or null if the booking is not accepted
+   */
+  async ensureBoardingPin(id, pin) {
+    await BookingRequestModel.updateOne(
+      { _id: id, status: 'accepted', boardingPin: null },
+      { $set: { boardingPin: pin } }
+    );
+
+    const doc = await BookingRequestModel.findOne({ _id: id, status: 'accepted' })
+      .select('+boardingPin')
+      .lean();
+
+    return doc ? doc.boardingPin : null;
+  }
+
+  /**
+   * Accepted bookings of a trip holding a boarding PIN
+   * @param {string} tripId - Trip ID
+   * @param {string} pin - Boarding PIN
+   * @returns {Promise<BookingRequest[]>}
+   */
+  async findAcceptedByTripAndPin(tripId, pin) {
+    const docs = await BookingRequestModel.find({
+      tripId,
+      status: 'accepted',
+      boardingPin: pin
+    }).lean();
+
+    return this._toDomainArray(docs);
+  }
+
+  /**
+   * Check a boarding PIN against an accepted booking
+   * @param {string} id - Booking request ID
+   * @param {string} pin - Boarding PIN
+   * @returns {Promise<boolean>}
+   */
+  async matchesBoardingPin(id, pin) {
+    const count = await BookingRequestModel.countDocuments({
+      _id: id,
+      status: 'accepted',
+      boardingPin: pin
+    });
+
+    return count > 0;
+  }
+
+  /**
+   * Record the attendance outcome of an accepted booking (first outcome wins)
+   * @param {string} id - Booking request ID
+   * @param {Object} outcome - { boardingStatus, boardedAt?, noShowReportedAt?, noShowReportedBy?, noShowReason? }
+   * @returns {Promise<BookingRequest|null>} Updated booking, or null if not accepted or already recorded
+   */
+  async recordBoardingOutcome(id, outcome) {
+    const doc = await BookingRequestModel.findOneAndUpdate(
+      { _id: id, status: 'accepted', boardingStatus: null },
+      { $set: outcome },
+      { new: true, runValidators: true }
+    ).lean();
+
+    return this._toDomain(doc);
+  }
+
+  /**
+   * Replace the trip terms an active (pending/accepted) booking agreed to
+   * @param {string} id - Booking request ID
+   * @param {Object} agreedTerms - Terms snapshot with agreedAt
+   * @returns {Promise<BookingRequest|null>} Updated booking, or null if no longer active
+   */
+  async updateAgreedTerms(id, agreedTerms) {
+    const doc = await BookingRequestModel.findOneAndUpdate(
+      { _id: id, status: { $in: ['pending', 'accepted'] } },
+      { $set: { agreedTerms } },
+      { new: true, runValidators: true }
+    ).lean();
+
+    return this._toDomain(doc);
+  }
+
+  /**
+   * Find canceled bookings flagged with refundNeeded that have no refund record yet
+   * @param {number} limit - Max bookings to return (oldest cancellations first)
+   * @returns {Promise<BookingRequest[]>}
+   */
+  async findAwaitingRefund(limit = 100) {
+    const docs = await BookingRequestModel.find({
+      refundNeeded: true,
+      refundRequestedAt: null
+    })
+      .sort({ canceledAt: 1 })
+      .limit(limit)
+      .lean();
+
+    return this._toDomainArray(docs);
+  }
+
   /**
    * Update booking request status to declined (driver decision)
    * @param {string} id - Booking request ID
@@ -461,7 +716,8 @@ class MongoBookingRequestRepository {
         // 2. Atomically deallocate seats from ledger
         const ledgerUpdated = await seatLedgerRepository.deallocateSeats(
           bookingEntity.tripId,
-          bookingEntity.seats
+          bookingEntity.seats,
+          bookingEntity.getSegment()
         );
 
         if (!ledgerUpdated) {
@@ -514,6 +770,29 @@ class MongoBookingRequestRepository {
     return this._toDomainArray(docs);
   }
 
+  /**
+   * Bookings of a passenger that belong in their calendar feed:
+   * accepted ones, and the ones canceled after being accepted
+   * @param {string} passengerId - Passenger ID
+   * @param {Date} canceledSince - Canceled bookings older than this are left out
+   * @returns {Promise<BookingRequest[]>}
+   */
+  async findCalendarBookings(passengerId, canceledSince) {
+    const docs = await BookingRequestModel.find({
+      passengerId,
+      $or: [
+        { status: 'accepted' },
+        {
+          status: { $in: ['canceled_by_passenger', 'canceled_by_platform'] },
+          acceptedAt: { $ne: null },
+          canceledAt: { $gte: canceledSince }
+        }
+      ]
+    }).lean();
+
+    return this._toDomainArray(docs);
+  }
+
   /**
    * Bulk update pending bookings to declined_auto
    * Used when driver cancels trip (cascade operation)
@@ -0,0 +1,40 @@
+const CancellationPolicyRepository = require('../../domain/repositories/CancellationPolicyRepository');
+const CancellationPolicyModel = require('../database/models/CancellationPolicyModel');
+const CancellationPolicy = require('../../domain/entities/CancellationPolicy');
+
+/**
+ * MongoDB implementation of CancellationPolicyRepository
+ */
+class MongoCancellationPolicyRepository extends CancellationPolicyRepository {
+  /**
+   * Convert Mongoose document to domain entity
+   * @private
+   */
+  _toDomain(doc) {
+    if (!doc) return null;
+
+    const obj = doc.toObject ? doc.toObject() : doc;
+
+    return new CancellationPolicy({
+      tiers: obj.tiers,
+      bounds: obj.bounds,
+      source: 'platform'
+    });
+  }
+
+  async getPlatformPolicy() {
+    const doc = await CancellationPolicyModel.findOne({ scope: 'platform' }).lean();
+    return this._toDomain(doc);
+  }
+
+  async savePlatformPolicy(policyData, updatedBy) {
+    const doc = await CancellationPolicyModel.findOneAndUpdate(
+      { scope: 'platform' },
+      { $set: { tiers: policyData.tiers, bounds: policyData.bounds, updatedBy } },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    ).lean();
+    return this._toDomain(doc);
+  }
+}
+
+module.exports = MongoCancellationPolicyRepository;
@@ -0,0 +1,24 @@
+const DriverVerificationRepository = require('../../domain/repositories/DriverVerificationRepository');
+const DriverVerificationModel = require('../database/models/DriverVerificationModel');
+
+/**
+ * MongoDB implementation of DriverVerificationRepository
+ */
+class MongoDriverVerificationRepository extends DriverVerificationRepository {
+  async findStatusByUserId(userId) {
+    const doc = await DriverVerificationModel.findOne({ userId })
+      .select('status documents.driverLicense.expiresAt documents.soat.uploadedAt documents.soat.expiresAt')
+      .lean();
+    if (!doc) return null;
+
+    const documents = doc.documents || {};
+    return {
+      status: doc.status,
+      licenseExpiresAt: (documents.driverLicense && documents.driverLicense.expiresAt) || null,
+      soatExpiresAt: (documents.soat && documents.soat.expiresAt) || null,
+      hasSoat: !!documents.soat
+    };
+  }
+}
+
+module.exports = MongoDriverVerificationRepository;
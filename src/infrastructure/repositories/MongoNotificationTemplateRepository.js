@@ -0,0 +1,139 @@
+const NotificationTemplateRepository = require('../../domain/repositories/NotificationTemplateRepository');
+const NotificationTemplateModel = require('../database/models/NotificationTemplateModel');
+const NotificationTemplate = require('../../domain/entities/NotificationTemplate');
+
+/**
+ * MongoDB implementation of NotificationTemplateRepository
+ */
+class MongoNotificationTemplateRepository extends NotificationTemplateRepository {
+  /**
+   * Convert Mongoose document to domain entity
+   * @private
+   */
+  _toDomain(doc) {
+    if (!doc) return null;
+
+    const obj = doc.toObject ? doc.toObject() : doc;
+
+    const partials = {};
+    for (const partial of obj.partials || []) {
+      partials[partial.name] = partial.body;
+    }
+
+    return new NotificationTemplate({
+      id: obj._id.toString(),
+      type: obj.type,
+      locale: obj.locale,
+      version: obj.version,
+      status: obj.status,
+      subject: obj.subject,
+      html: obj.html,
+      text: obj.text,
+      schema: obj.schema,
+      partials,
+      notes: obj.notes,
+      createdBy: obj.createdBy ? obj.createdBy.toString() : null,
+      publishedAt: obj.publishedAt,
+      publishedBy: obj.publishedBy ? obj.publishedBy.toString() : null,
+      createdAt: obj.createdAt,
+      updatedAt: obj.updatedAt
+    });
+  }
+
+  /**
+   * { name: body } → [{ name, body }]
+   * @private
+   */
+  _toStoredPartials(partials) {
+    return Object.entries(partials || {}).map(([name, body]) => ({ name, body }));
+  }
+
+  async create(templateData) {
+    const doc = await NotificationTemplateModel.create({
+      ...templateData,
+      partials: this._toStoredPartials(templateData.partials),
+      status: 'draft'
+    });
+    return this._toDomain(doc);
+  }
+
+  async findVersion(type, locale, version) {
+    const doc = await NotificationTemplateModel.findOne({ type, locale, version }).lean();
+    return this._toDomain(doc);
+  }
+
+  async findPublished(type, locale) {
+    const doc = await NotificationTemplateModel.findOne({ type, locale, status: 'published' }).lean();
+    return this._toDomain(doc);
+  }
+
+  async listVersions(type, locale) {
+    const docs = await NotificationTemplateModel.find({ type, locale }).sort({ version: -1 }).lean();
+    return docs.map((doc) => this._toDomain(doc));
+  }
+
+  async getLatestVersionNumber(type, locale) {
+    const doc = await NotificationTemplateModel.findOne({ type, locale }).sort({ version: -1 }).select('version').lean();
+    return doc ? doc.version : 0;
+  }
+
+  async updateDraft(type, locale, version, updates) {
+    const $set = { ...updates };
+    if (updates.partials !== undefined) {
+      $set.partials = this._toStoredPartials(updates.partials);
+    }
+
+    const doc = await NotificationTemplateModel.findOneAndUpdate(
+      { type, locale, version, status: 'draft' },
+      { $set },
+      { new: true, runValidators: true }
+    ).lean();
+    return this._toDomain(doc);
+  }
+
+  async publishVersion(type, locale, version, publishedBy) {
+    // Archive first: the unique index allows a single published version
+    await NotificationTemplateModel.updateMany(
+      { type, locale, status: 'published', version: { $ne: version } },
+      { $set: { status: 'archived' } }
+    );
+
+    const doc = await NotificationTemplateModel.findOneAndUpdate(
+      { type, locale, version },
+      { $set: { status: 'published', publishedAt: new Date(), publishedBy } },
+      { new: true }
+    ).lean();
+    return this._toDomain(doc);
+  }
+
+  async listMetadata() {
+    return NotificationTemplateModel.aggregate([
+      { $sort: { version: -1 } },
+      {
+        $group: {
+          _id: { type: '$type', locale: '$locale' },
+          latestVersion: { $first: '$version' },
+          latestStatus: { $first: '$status' },
+          updatedAt: { $max: '$updatedAt' },
+          publishedVersion: {
+            $max: { $cond: [{ $eq: ['$status', 'published'] }, '$version', null] }
+          }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          type: '$_id.type',
+          locale: '$_id.locale',
+          latestVersion: 1,
+          latestStatus: 1,
+          publishedVersion: 1,
+          updatedAt: 1
+        }
+      },
+      { $sort: { type: 1, locale: 1 } }
+    ]);
+  }
+}
+
+module.exports = MongoNotificationTemplateRepository;
@@ -0,0 +1,117 @@
+const PaymentRepository = require('../../domain/repositories/PaymentRepository');
+const PaymentModel = require('../database/models/PaymentModel');
+const Payment = require('../../domain/entities/Payment');
+const DuplicatePaymentError = require('../../domain/errors/DuplicatePaymentError');
+
+/**
+ * MongoDB implementation of PaymentRepository
+ */
+class MongoPaymentRepository extends PaymentRepository {
+  /**
+   * Convert Mongoose document to domain entity
+   * @private
+   */
+  _toDomain(doc) {
+    if (!doc) return null;
+
+    const obj = doc.toObject ? doc.toObject() : doc;
+
+    return new Payment({
+      id: obj._id.toString(),
+      bookingRequestId: obj.bookingRequestId.toString(),
+      tripId: obj.tripId.toString(),
+      passengerId: obj.passengerId.toString(),
+      driverId: obj.driverId.toString(),
+      amount: obj.amount,
+      currency: obj.currency,
+      status: obj.status,
+      provider: obj.provider,
+      providerPaymentIntentId: obj.providerPaymentIntentId,
+      clientSecret: obj.clientSecret || null,
+      refundedAmount: obj.refundedAmount || 0,
+      paidAt: obj.paidAt,
+      failureReason: obj.failureReason,
+      createdAt: obj.createdAt,
+      updatedAt: obj.updatedAt
+    });
+  }
+
+  async create(paymentData) {
+    try {
+      const doc = await PaymentModel.create(paymentData);
+      return this._toDomain(doc);
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new DuplicatePaymentError('A payment already exists for this booking', {
+          bookingId: paymentData.bookingRequestId
+        });
+      }
+      throw error;
+    }
+  }
+
+  async findById(paymentId) {
+    const doc = await PaymentModel.findById(paymentId).lean();
+    return this._toDomain(doc);
+  }
+
+  async findByBookingId(bookingId, { withClientSecret = false } = {}) {
+    const query = PaymentModel.findOne({ bookingRequestId: bookingId });
+    if (withClientSecret) {
+      query.select('+clientSecret');
+    }
+    const doc = await query.lean();
+    return this._toDomain(doc);
+  }
+
+  async findByProviderPaymentIntentId(providerPaymentIntentId) {
+    const doc = await PaymentModel.findOne({ providerPaymentIntentId }).lean();
+    return this._toDomain(doc);
+  }
+
+  async markEventProcessed(paymentId, eventId) {
+    const result = await PaymentModel.updateOne(
+      { _id: paymentId, processedEvents: { $ne: eventId } },
+      { $addToSet: { processedEvents: eventId } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  async unmarkEventProcessed(paymentId, eventId) {
+    await PaymentModel.updateOne({ _id: paymentId }, { $pull: { processedEvents: eventId } });
+  }
+
+  async updateStatus(paymentId, updates, { fromStatuses = null } = {}) {
+    const filter = { _id: paymentId };
+    if (fromStatuses) {
+      filter.status = { $in: fromStatuses };
+    }
+
+    const doc = await PaymentModel.findOneAndUpdate(
+      filter,
+      { $set: updates },
+      { new: true, runValidators: true }
+    ).lean();
+    return this._toDomain(doc);
+  }
+
+  async incrementRefundedAmount(paymentId, amount) {
+    const doc = await PaymentModel.findOneAndUpdate(
+      {
+        _id: paymentId,
+        // Guard: refunded amount stays within [0, amount]
+        $expr: {
+          $and: [
+            { $lte: [{ $add: ['$refundedAmount', amount] }, '$amount'] },
+            { $gte: [{ $add: ['$refundedAmount', amount] }, 0] }
+          ]
+        }
+      },
+      { $inc: { refundedAmount: amount } },
+      { new: true }
+    ).lean();
+    return this._toDomain(doc);
+  }
+}
+
+module.exports = MongoPaymentRepository;
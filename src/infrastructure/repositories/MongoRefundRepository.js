@@ -0,0 +1,94 @@
+const RefundRepository = require('../../domain/repositories/RefundRepository');
+const RefundModel = require('../database/models/RefundModel');
+const Refund = require('../../domain/entities/Refund');
+const DuplicateRefundError = require('../../domain/errors/DuplicateRefundError');
+
+/**
+ * MongoDB implementation of RefundRepository
+ */
+class MongoRefundRepository extends RefundRepository {
+  /**
+   * Convert Mongoose document to domain entity
+   * @private
+   */
+  _toDomain(doc) {
+    if (!doc) return null;
+
+    const obj = doc.toObject ? doc.toObject() : doc;
+
+    return new Refund({
+      id: obj._id.toString(),
+      paymentId: obj.paymentId.toString(),
+      transactionId: obj.transactionId,
+      bookingRequestId: obj.bookingRequestId.toString(),
+      passengerId: obj.passengerId.toString(),
+      amount: obj.amount,
+      currency: obj.currency,
+      refundPercent: obj.refundPercent ?? 100,
+      status: obj.status,
+      reason: obj.reason || '',
+      idempotencyKey: obj.idempotencyKey,
+      attempts: obj.attempts || 0,
+      providerRefundId: obj.providerRefundId,
+      failureReason: obj.failureReason,
+      processedAt: obj.processedAt,
+      createdAt: obj.createdAt,
+      updatedAt: obj.updatedAt
+    });
+  }
+
+  async create(refundData) {
+    try {
+      const doc = await RefundModel.create(refundData);
+      return this._toDomain(doc);
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new DuplicateRefundError(undefined, { idempotencyKey: refundData.idempotencyKey });
+      }
+      throw error;
+    }
+  }
+
+  async findByIdempotencyKey(idempotencyKey) {
+    const doc = await RefundModel.findOne({ idempotencyKey }).lean();
+    return this._toDomain(doc);
+  }
+
+  async claimNextRequested(updatedBefore = new Date()) {
+    const doc = await RefundModel.findOneAndUpdate(
+      { status: 'requested', updatedAt: { $lt: updatedBefore } },
+      { $set: { status: 'processing' }, $inc: { attempts: 1 } },
+      { new: true, sort: { updatedAt: 1 } }
+    ).lean();
+    return this._toDomain(doc);
+  }
+
+  async requeueStaleProcessing(olderThan) {
+    const result = await RefundModel.updateMany(
+      { status: 'processing', providerRefundId: null, updatedAt: { $lt: olderThan } },
+      { $set: { status: 'requested' } }
+    );
+    return result.modifiedCount;
+  }
+
+  async findByBookingId(bookingId) {
+    const docs = await RefundModel.find({ bookingRequestId: bookingId }).sort({ createdAt: 1 }).lean();
+    return docs.map((doc) => this._toDomain(doc));
+  }
+
+  async findByProviderRefundId(providerRefundId) {
+    const doc = await RefundModel.findOne({ providerRefundId }).lean();
+    return this._toDomain(doc);
+  }
+
+  async updateStatus(refundId, updates) {
+    const doc = await RefundModel.findByIdAndUpdate(
+      refundId,
+      { $set: updates },
+      { new: true, runValidators: true }
+    ).lean();
+    return this._toDomain(doc);
+  }
+}
+
+module.exports = MongoRefundRepository;
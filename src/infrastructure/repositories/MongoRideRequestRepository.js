@@ -0,0 +1,188 @@
+const RideRequestRepository = require('../../domain/repositories/RideRequestRepository');
+const RideRequestModel = require('../database/models/RideRequestModel');
+const RideRequest = require('../../domain/entities/RideRequest');
+
+const EARTH_RADIUS_METERS = 6378100;
+
+// Candidates ranked in memory per browse query
+const MAX_BROWSE_CANDIDATES = 500;
+
+/**
+ * MongoDB implementation of RideRequestRepository
+ */
+class MongoRideRequestRepository extends RideRequestRepository {
+  /**
+   * Convert Mongoose document to domain entity
+   * @private
+   */
+  _toDomain(doc) {
+    if (!doc) return null;
+
+    const obj = doc.toObject ? doc.toObject() : doc;
+    const toStr = (val) => (val ? val.toString() : null);
+
+    return new RideRequest({
+      id: obj._id.toString(),
+      passengerId: obj.passengerId.toString(),
+      origin: obj.origin,
+      destination: obj.destination,
+      windowStart: obj.windowStart,
+      windowEnd: obj.windowEnd,
+      seats: obj.seats,
+      maxPricePerSeat: obj.maxPricePerSeat ?? null,
+      note: obj.note || '',
+      status: obj.status,
+      fulfilledBy: toStr(obj.fulfilledBy),
+      fulfilledAt: obj.fulfilledAt || null,
+      tripId: toStr(obj.tripId),
+      bookingId: toStr(obj.bookingId),
+      canceledAt: obj.canceledAt || null,
+      expiredAt: obj.expiredAt || null,
+      createdAt: obj.createdAt,
+      updatedAt: obj.updatedAt
+    });
+  }
+
+  async create(requestData) {
+    const doc = await RideRequestModel.create(requestData);
+    return this._toDomain(doc);
+  }
+
+  async findById(requestId) {
+    const doc = await RideRequestModel.findById(requestId).lean();
+    return this._toDomain(doc);
+  }
+
+  async findByPassenger(passengerId, { status } = {}) {
+    const query = { passengerId };
+    if (status) {
+      query.status = status;
+    }
+
+    const docs = await RideRequestModel.find(query).sort({ createdAt: -1 }).limit(100).lean();
+    return docs.map((doc) => this._toDomain(doc));
+  }
+
+  async countOpenByPassenger(passengerId) {
+    return RideRequestModel.countDocuments({ passengerId, status: 'open' });
+  }
+
+  async findOpenNear({
+    origin,
+    destination,
+    radius,
+    fromDate = null,
+    toDate = null,
+    excludePassengerId = null,
+    page = 1,
+    pageSize = 10
+  }) {
+    const within = (point) => ({
+      $geoWithin: { $centerSphere: [[point.lng, point.lat], radius / EARTH_RADIUS_METERS] }
+    });
+
+    // Window still ahead, overlapping [fromDate, toDate] when given
+    const query = {
+      status: 'open',
+      originPoint: within(origin),
+      destinationPoint: within(destination),
+      windowEnd: { $gt: fromDate && new Date(fromDate) > new Date() ? new Date(fromDate) : new Date() }
+    };
+    if (toDate) {
+      query.windowStart = { $lte: new Date(toDate) };
+    }
+    if (excludePassengerId) {
+      query.passengerId = { $ne: excludePassengerId };
+    }
+
+    const docs = await RideRequestModel.find(query)
+      .sort({ windowStart: 1 })
+      .limit(MAX_BROWSE_CANDIDATES)
+      .lean();
+
+    // Closest pickup + drop-off first, earliest window on ties
+    const ranked = docs
+      .map((doc) => {
+        const originMeters = RideRequest.distanceInMeters(origin, doc.origin.geo);
+        const destinationMeters = RideRequest.distanceInMeters(destination, doc.destination.geo);
+        return { doc, distance: { originMeters, destinationMeters, totalMeters: originMeters + destinationMeters } };
+      })
+      .sort(
+        (a, b) =>
+          a.distance.totalMeters - b.distance.totalMeters ||
+          new Date(a.doc.windowStart) - new Date(b.doc.windowStart)
+      );
+
+    const limit = Math.min(pageSize, 50);
+    const items = ranked.slice((page - 1) * limit, page * limit).map(({ doc, distance }) => ({
+      request: this._toDomain(doc),
+      distance
+    }));
+
+    return {
+      items,
+      total: ranked.length,
+      page,
+      pageSize: limit,
+      totalPages: Math.ceil(ranked.length / limit)
+    };
+  }
+
+  async claim(requestId, driverId) {
+    const doc = await RideRequestModel.findOneAndUpdate(
+      { _id: requestId, status: 'open', windowEnd: { $gt: new Date() } },
+      { $set: { status: 'fulfilled', fulfilledBy: driverId, fulfilledAt: new Date() } },
+      { new: true }
+    ).lean();
+    return this._toDomain(doc);
+  }
+
+  async release(requestId, driverId) {
+    const doc = await RideRequestModel.findOneAndUpdate(
+      { _id: requestId, status: 'fulfilled', fulfilledBy: driverId, tripId: null },
+      { $set: { status: 'open', fulfilledBy: null, fulfilledAt: null } },
+      { new: true }
+    ).lean();
+    return this._toDomain(doc);
+  }
+
+  async linkFulfillment(requestId, { tripId, bookingId }) {
+    const doc = await RideRequestModel.findOneAndUpdate(
+      { _id: requestId, status: 'fulfilled' },
+      { $set: { tripId, bookingId } },
+      { new: true }
+    ).lean();
+    return this._toDomain(doc);
+  }
+
+  async cancel(requestId) {
+    const doc = await RideRequestModel.findOneAndUpdate(
+      { _id: requestId, status: 'open' },
+      { $set: { status: 'canceled', canceledAt: new Date() } },
+      { new: true }
+    ).lean();
+    return this._toDomain(doc);
+  }
+
+  async findExpired(now = new Date(), limit = 100) {
+    const docs = await RideRequestModel.find({
+      status: 'open',
+      windowEnd: { $lte: now }
+    })
+      .sort({ windowEnd: 1 })
+      .limit(limit)
+      .lean();
+    return docs.map((doc) => this._toDomain(doc));
+  }
+
+  async expire(requestId) {
+    const doc = await RideRequestModel.findOneAndUpdate(
+      { _id: requestId, status: 'open' },
+      { $set: { status: 'expired', expiredAt: new Date() } },
+      { new: true }
+    ).lean();
+    return this._toDomain(doc);
+  }
+}
+
+module.exports = MongoRideRequestRepository;
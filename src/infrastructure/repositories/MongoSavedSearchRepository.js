@@ -0,0 +1,110 @@
+const SavedSearchRepository = require('../../domain/repositories/SavedSearchRepository');
+const SavedSearchModel = require('../database/models/SavedSearchModel');
+const SavedSearch = require('../../domain/entities/SavedSearch');
+
+/**
+ * MongoDB implementation of SavedSearchRepository
+ */
+class MongoSavedSearchRepository extends SavedSearchRepository {
+  /**
+   * Convert Mongoose document to domain entity
+   * @private
+   */
+  _toDomain(doc) {
+    if (!doc) return null;
+
+    const obj = doc.toObject ? doc.toObject() : doc;
+
+    return new SavedSearch({
+      id: obj._id.toString(),
+      userId: obj.userId.toString(),
+      name: obj.name,
+      filters: obj.filters || {},
+      daysOfWeek: obj.daysOfWeek || [],
+      muted: !!obj.muted,
+      alertDay: obj.alertDay || null,
+      alertCount: obj.alertCount || 0,
+      lastAlertAt: obj.lastAlertAt || null,
+      createdAt: obj.createdAt,
+      updatedAt: obj.updatedAt
+    });
+  }
+
+  async create(searchData) {
+    const doc = await SavedSearchModel.create(searchData);
+    return this._toDomain(doc);
+  }
+
+  async findById(searchId) {
+    const doc = await SavedSearchModel.findById(searchId).lean();
+    return this._toDomain(doc);
+  }
+
+  async findByUser(userId) {
+    const docs = await SavedSearchModel.find({ userId }).sort({ createdAt: -1 }).lean();
+    return docs.map((doc) => this._toDomain(doc));
+  }
+
+  async countByUser(userId) {
+    return SavedSearchModel.countDocuments({ userId });
+  }
+
+  async update(searchId, updates) {
+    const doc = await SavedSearchModel.findByIdAndUpdate(
+      searchId,
+      { $set: updates },
+      { new: true, runValidators: true }
+    ).lean();
+    return this._toDomain(doc);
+  }
+
+  async delete(searchId) {
+    const result = await SavedSearchModel.deleteOne({ _id: searchId });
+    return result.deletedCount > 0;
+  }
+
+  async findAlertCandidates({ driverId, departureAt, pricePerSeat, weekday }, limit = 1000) {
+    // { field: null } also matches filters that were never set
+    const docs = await SavedSearchModel.find({
+      muted: false,
+      userId: { $ne: driverId },
+      $and: [
+        { $or: [{ daysOfWeek: { $size: 0 } }, { daysOfWeek: weekday }] },
+        { $or: [{ 'filters.minPrice': null }, { 'filters.minPrice': { $lte: pricePerSeat } }] },
+        { $or: [{ 'filters.maxPrice': null }, { 'filters.maxPrice': { $gte: pricePerSeat } }] },
+        { $or: [{ 'filters.fromDate': null }, { 'filters.fromDate': { $lte: departureAt } }] },
+        { $or: [{ 'filters.toDate': null }, { 'filters.toDate': { $gte: departureAt } }] }
+      ]
+    })
+      .sort({ createdAt: 1 })
+      .limit(limit)
+      .lean();
+    return docs.map((doc) => this._toDomain(doc));
+  }
+
+  async claimAlert(searchId, tripId, day, dailyCap) {
+    const now = new Date();
+    const remember = { alertedTripIds: { $each: [tripId], $slice: -SavedSearchModel.ALERTED_TRIPS_KEPT } };
+    const due = { _id: searchId, muted: false, alertedTripIds: { $ne: tripId } };
+
+    // Same day: only while under the cap
+    let doc = await SavedSearchModel.findOneAndUpdate(
+      { ...due, alertDay: day, alertCount: { $lt: dailyCap } },
+      { $inc: { alertCount: 1 }, $set: { lastAlertAt: now }, $push: remember },
+      { new: true }
+    ).lean();
+
+    // First alert of the day starts a new count
+    if (!doc && dailyCap > 0) {
+      doc = await SavedSearchModel.findOneAndUpdate(
+        { ...due, alertDay: { $ne: day } },
+        { $set: { alertDay: day, alertCount: 1, lastAlertAt: now }, $push: remember },
+        { new: true }
+      ).lean();
+    }
+
+    return this._toDomain(doc);
+  }
+}
+
+module.exports = MongoSavedSearchRepository;
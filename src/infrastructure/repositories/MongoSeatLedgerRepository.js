@@ -15,10 +15,11 @@ class MongoSeatLedgerRepository {
    * @param {string} tripId - Trip ObjectId
    * @param {number} totalSeats - Total seats available on trip
    * @param {number} seatsToAllocate - Number of seats to allocate
+   * @param {Object|null} segment - { from, to, segmentCount } from TripOffer.resolveSegment; null = whole route
    * @returns {Promise<Object|null>} Updated ledger or null if capacity exceeded
    */
-  async allocateSeats(tripId, totalSeats, seatsToAllocate = 1) {
-    const ledger = await SeatLedgerModel.allocateSeats(tripId, totalSeats, seatsToAllocate);
+  async allocateSeats(tripId, totalSeats, seatsToAllocate = 1, segment = null) {
+    const ledger = await SeatLedgerModel.allocateSeats(tripId, totalSeats, seatsToAllocate, segment);
     
     if (!ledger) {
       return null; // Capacity exceeded
@@ -27,6 +28,7 @@ class MongoSeatLedgerRepository {
     return {
       tripId: ledger.tripId.toString(),
       allocatedSeats: ledger.allocatedSeats,
+      segmentSeats: ledger.segmentSeats || [],
       remainingSeats: totalSeats - ledger.allocatedSeats,
       updatedAt: ledger.updatedAt
     };
@@ -39,9 +41,10 @@ class MongoSeatLedgerRepository {
    * 
    * @param {string} tripId - Trip ObjectId
    * @param {number} seatsToDeallocate - Number of seats to free (default 1)
+   * @param {Object|null} segment - { from, to, segmentCount } of the booking; null = whole route
    * @returns {Promise<Object|null>} Updated ledger or null if would go negative
    */
-  async deallocateSeats(tripId, seatsToDeallocate = 1) {
+  async deallocateSeats(tripId, seatsToDeallocate = 1, segment = null) {
     // Guard: cannot deallocate from non-existent ledger
     const ledger = await SeatLedgerModel.findOne({ tripId });
     if (!ledger) {
@@ -57,20 +60,8 @@ class MongoSeatLedgerRepository {
       return null;
     }
 
-    // Atomic decrement with negative guard
-    const updatedLedger = await SeatLedgerModel.findOneAndUpdate(
-      {
-        tripId,
-        allocatedSeats: { $gte: seatsToDeallocate } // Guard: ensure we don't go negative
-      },
-      {
-        $inc: { allocatedSeats: -seatsToDeallocate } // Decrement atomically
-      },
-      {
-        new: true, // Return updated document
-        runValidators: true
-      }
-    );
+    // Atomic decrement with per-segment negative guard
+    const updatedLedger = await SeatLedgerModel.deallocateSeats(tripId, seatsToDeallocate, segment);
 
     if (!updatedLedger) {
       // Race condition: another operation changed the ledger between our check and update
@@ -81,6 +72,7 @@ class MongoSeatLedgerRepository {
     return {
       tripId: updatedLedger.tripId.toString(),
       allocatedSeats: updatedLedger.allocatedSeats,
+      segmentSeats: updatedLedger.segmentSeats || [],
       updatedAt: updatedLedger.updatedAt
     };
   }
@@ -98,6 +90,7 @@ class MongoSeatLedgerRepository {
     return {
       tripId: ledger.tripId.toString(),
       allocatedSeats: ledger.allocatedSeats,
+      segmentSeats: ledger.segmentSeats || [],
       updatedAt: ledger.updatedAt
     };
   }
@@ -118,6 +111,7 @@ class MongoSeatLedgerRepository {
     return {
       tripId: ledger.tripId.toString(),
       allocatedSeats: ledger.allocatedSeats,
+      segmentSeats: ledger.segmentSeats || [],
       updatedAt: ledger.updatedAt
     };
   }
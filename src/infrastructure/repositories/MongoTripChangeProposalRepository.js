@@ -0,0 +1,134 @@
+const TripChangeProposalRepository = require('../../domain/repositories/TripChangeProposalRepository');
+const TripChangeProposalModel = require('../database/models/TripChangeProposalModel');
+const TripChangeProposal = require('../../domain/entities/TripChangeProposal');
+const DomainError = require('../../domain/errors/DomainError');
+
+/**
+ * MongoDB implementation of TripChangeProposalRepository
+ */
+class MongoTripChangeProposalRepository extends TripChangeProposalRepository {
+  /**
+   * Convert Mongoose document to domain entity
+   * @private
+   */
+  _toDomain(doc) {
+    if (!doc) return null;
+
+    const obj = doc.toObject ? doc.toObject() : doc;
+
+    return new TripChangeProposal({
+      id: obj._id.toString(),
+      tripId: obj.tripId.toString(),
+      driverId: obj.driverId.toString(),
+      changes: obj.changes || [],
+      previousTerms: obj.previousTerms,
+      proposedTerms: obj.proposedTerms,
+      status: obj.status,
+      deadline: obj.deadline,
+      responses: (obj.responses || []).map((response) => ({
+        bookingId: response.bookingId.toString(),
+        passengerId: response.passengerId.toString(),
+        seats: response.seats,
+        bookingStatus: response.bookingStatus,
+        status: response.status,
+        respondedAt: response.respondedAt || null
+      })),
+      closedAt: obj.closedAt || null,
+      createdAt: obj.createdAt,
+      updatedAt: obj.updatedAt
+    });
+  }
+
+  async create(proposalData) {
+    try {
+      const doc = await TripChangeProposalModel.create({ ...proposalData, status: 'open' });
+      return this._toDomain(doc);
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new DomainError(
+          'Trip has a change proposal waiting for passenger responses',
+          409,
+          'change_proposal_pending'
+        );
+      }
+      throw error;
+    }
+  }
+
+  async findById(proposalId) {
+    const doc = await TripChangeProposalModel.findById(proposalId).lean();
+    return this._toDomain(doc);
+  }
+
+  async findOpenByTrip(tripId) {
+    const doc = await TripChangeProposalModel.findOne({ tripId, status: 'open' }).lean();
+    return this._toDomain(doc);
+  }
+
+  async findByTrip(tripId) {
+    const docs = await TripChangeProposalModel.find({ tripId }).sort({ createdAt: -1 }).limit(50).lean();
+    return docs.map((doc) => this._toDomain(doc));
+  }
+
+  async findByPassenger(passengerId, { status } = {}) {
+    const query = { 'responses.passengerId': passengerId };
+    if (status) {
+      query.status = status;
+    }
+
+    const docs = await TripChangeProposalModel.find(query).sort({ createdAt: -1 }).limit(100).lean();
+    return docs.map((doc) => this._toDomain(doc));
+  }
+
+  async setResponse(proposalId, bookingId, status, respondedAt = new Date()) {
+    const doc = await TripChangeProposalModel.findOneAndUpdate(
+      {
+        _id: proposalId,
+        status: 'open',
+        responses: { $elemMatch: { bookingId, status: 'pending' } }
+      },
+      { $set: { 'responses.$.status': status, 'responses.$.respondedAt': respondedAt } },
+      { new: true, runValidators: true }
+    ).lean();
+    return this._toDomain(doc);
+  }
+
+  async closeIfSettled(proposalId) {
+    const doc = await TripChangeProposalModel.findOneAndUpdate(
+      { _id: proposalId, status: 'open', 'responses.status': { $ne: 'pending' } },
+      { $set: { status: 'closed', closedAt: new Date() } },
+      { new: true }
+    ).lean();
+    return this._toDomain(doc);
+  }
+
+  async close(proposalId, pendingStatus) {
+    const now = new Date();
+    const doc = await TripChangeProposalModel.findOneAndUpdate(
+      { _id: proposalId, status: 'open' },
+      {
+        $set: {
+          status: 'closed',
+          closedAt: now,
+          'responses.$[pending].status': pendingStatus,
+          'responses.$[pending].respondedAt': now
+        }
+      },
+      { new: true, arrayFilters: [{ 'pending.status': 'pending' }] }
+    ).lean();
+    return this._toDomain(doc);
+  }
+
+  async findExpired(now = new Date(), limit = 100) {
+    const docs = await TripChangeProposalModel.find({
+      status: 'open',
+      deadline: { $lte: now }
+    })
+      .sort({ deadline: 1 })
+      .limit(limit)
+      .lean();
+    return docs.map((doc) => this._toDomain(doc));
+  }
+}
+
+module.exports = MongoTripChangeProposalRepository;
@@ -0,0 +1,94 @@
+const TripConversationRepository = require('../../domain/repositories/TripConversationRepository');
+const TripConversationModel = require('../database/models/TripConversationModel');
+const TripConversation = require('../../domain/entities/TripConversation');
+
+/**
+ * MongoDB implementation of TripConversationRepository
+ */
+class MongoTripConversationRepository extends TripConversationRepository {
+  /**
+   * Convert Mongoose document to domain entity
+   * @private
+   */
+  _toDomain(doc) {
+    if (!doc) return null;
+
+    const obj = doc.toObject ? doc.toObject() : doc;
+
+    return new TripConversation({
+      id: obj._id.toString(),
+      tripId: obj.tripId.toString(),
+      driverId: obj.driverId.toString(),
+      status: obj.status,
+      closesAt: obj.closesAt || null,
+      closedAt: obj.closedAt || null,
+      closeReason: obj.closeReason || null,
+      reads: (obj.reads || []).map((read) => ({
+        userId: read.userId.toString(),
+        lastReadAt: read.lastReadAt
+      })),
+      createdAt: obj.createdAt,
+      updatedAt: obj.updatedAt
+    });
+  }
+
+  async findByTrip(tripId) {
+    const doc = await TripConversationModel.findOne({ tripId }).lean();
+    return this._toDomain(doc);
+  }
+
+  async ensure({ tripId, driverId, closesAt = null }) {
+    const doc = await TripConversationModel.findOneAndUpdate(
+      { tripId },
+      { $setOnInsert: { tripId, driverId, status: 'open', closesAt, reads: [] } },
+      { new: true, upsert: true }
+    ).lean();
+    return this._toDomain(doc);
+  }
+
+  async markRead(tripId, userId, readAt) {
+    // Existing receipt: only moves forward
+    const moved = await TripConversationModel.updateOne(
+      { tripId, reads: { $elemMatch: { userId, lastReadAt: { $lt: readAt } } } },
+      { $set: { 'reads.$.lastReadAt': readAt } }
+    );
+
+    // First read of this participant
+    if (moved.modifiedCount === 0) {
+      await TripConversationModel.updateOne(
+        { tripId, 'reads.userId': { $ne: userId } },
+        { $push: { reads: { userId, lastReadAt: readAt } } }
+      );
+    }
+
+    return this.findByTrip(tripId);
+  }
+
+  async scheduleClosure(tripId, closesAt) {
+    const doc = await TripConversationModel.findOneAndUpdate(
+      { tripId, status: 'open' },
+      { $set: { closesAt } },
+      { new: true }
+    ).lean();
+    return this._toDomain(doc);
+  }
+
+  async close(tripId, reason) {
+    const doc = await TripConversationModel.findOneAndUpdate(
+      { tripId, status: 'open' },
+      { $set: { status: 'closed', closedAt: new Date(), closeReason: reason } },
+      { new: true }
+    ).lean();
+    return this._toDomain(doc);
+  }
+
+  async findDueForClosure(now, limit) {
+    const docs = await TripConversationModel.find({ status: 'open', closesAt: { $ne: null, $lte: now } })
+      .sort({ closesAt: 1 })
+      .limit(limit)
+      .lean();
+    return docs.map((doc) => this._toDomain(doc));
+  }
+}
+
+module.exports = MongoTripConversationRepository;
@@ -0,0 +1,62 @@
+const TripLocationRepository = require('../../domain/repositories/TripLocationRepository');
+const TripLocationModel = require('../database/models/TripLocationModel');
+const TripLocation = require('../../domain/entities/TripLocation');
+
+// Newest first
+const LATEST_ORDER = { recordedAt: -1, _id: -1 };
+
+/**
+ * MongoDB implementation of TripLocationRepository
+ */
+class MongoTripLocationRepository extends TripLocationRepository {
+  /**
+   * Convert Mongoose document to domain entity
+   * @private
+   */
+  _toDomain(doc) {
+    if (!doc) return null;
+
+    const obj = doc.toObject ? doc.toObject() : doc;
+
+    return new TripLocation({
+      id: obj._id.toString(),
+      tripId: obj.tripId.toString(),
+      driverId: obj.driverId.toString(),
+      lat: obj.lat,
+      lng: obj.lng,
+      heading: obj.heading ?? null,
+      speedKmh: obj.speedKmh ?? null,
+      accuracyM: obj.accuracyM ?? null,
+      recordedAt: obj.recordedAt,
+      createdAt: obj.createdAt
+    });
+  }
+
+  async append(locationData, bufferSize) {
+    const doc = await TripLocationModel.create(locationData);
+
+    // Trim the buffer: everything past the newest `bufferSize` positions
+    const stale = await TripLocationModel.find({ tripId: locationData.tripId })
+      .sort(LATEST_ORDER)
+      .skip(bufferSize)
+      .select('_id')
+      .lean();
+    if (stale.length > 0) {
+      await TripLocationModel.deleteMany({ _id: { $in: stale.map((item) => item._id) } });
+    }
+
+    return this._toDomain(doc);
+  }
+
+  async findLatestByTrip(tripId, limit) {
+    const docs = await TripLocationModel.find({ tripId }).sort(LATEST_ORDER).limit(limit).lean();
+    return docs.map((doc) => this._toDomain(doc));
+  }
+
+  async deleteByTrip(tripId) {
+    const result = await TripLocationModel.deleteMany({ tripId });
+    return result.deletedCount || 0;
+  }
+}
+
+module.exports = MongoTripLocationRepository;
@@ -0,0 +1,62 @@
+const TripMessageRepository = require('../../domain/repositories/TripMessageRepository');
+const TripMessageModel = require('../database/models/TripMessageModel');
+const TripMessage = require('../../domain/entities/TripMessage');
+
+// Newest first
+const LATEST_ORDER = { createdAt: -1, _id: -1 };
+
+/**
+ * MongoDB implementation of TripMessageRepository
+ */
+class MongoTripMessageRepository extends TripMessageRepository {
+  /**
+   * Convert Mongoose document to domain entity
+   * @private
+   */
+  _toDomain(doc) {
+    if (!doc) return null;
+
+    const obj = doc.toObject ? doc.toObject() : doc;
+
+    return new TripMessage({
+      id: obj._id.toString(),
+      tripId: obj.tripId.toString(),
+      senderId: obj.senderId.toString(),
+      senderRole: obj.senderRole,
+      body: obj.body,
+      hasContactDetails: !!obj.hasContactDetails,
+      reportCount: obj.reportCount || 0,
+      createdAt: obj.createdAt
+    });
+  }
+
+  async create(messageData) {
+    const doc = await TripMessageModel.create(messageData);
+    return this._toDomain(doc);
+  }
+
+  async findById(messageId) {
+    const doc = await TripMessageModel.findById(messageId).lean();
+    return this._toDomain(doc);
+  }
+
+  async findByTrip(tripId, { before = null, limit }) {
+    const query = { tripId };
+    if (before) query.createdAt = { $lt: before };
+
+    const docs = await TripMessageModel.find(query).sort(LATEST_ORDER).limit(limit).lean();
+    return docs.map((doc) => this._toDomain(doc));
+  }
+
+  async countUnread(tripId, userId, since) {
+    const query = { tripId, senderId: { $ne: userId } };
+    if (since) query.createdAt = { $gt: since };
+    return TripMessageModel.countDocuments(query);
+  }
+
+  async incrementReportCount(messageId) {
+    await TripMessageModel.updateOne({ _id: messageId }, { $inc: { reportCount: 1 } });
+  }
+}
+
+module.exports = MongoTripMessageRepository;
@@ -1,7 +1,503 @@
 const TripOfferRepository = require('../../domain/repositories/TripOfferRepository');
 const TripOfferModel = require('../database/models/TripOfferModel');
+const SeatLedgerModel = require('../database/models/SeatLedgerModel');
+const DriverRatingAggregateModel = require('../database/models/DriverRatingAggregateModel');
 const TripOffer = require('../../domain/entities/TripOffer');
 
+const EARTH_RADIUS_METERS = 6378100;
+const DEFAULT_SEARCH_RADIUS_METERS = 1000;
+
+/**
+ * Great-circle distance between two { lat, lng } points, in meters (haversine)
+ * @private
+ */
+const distanceInMeters = (a, b) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return Math.round(2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h)));
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Query conditions matching origin/destination text against any stop of the
+ * route (waypoints included), so partial rides show up in text searches
+ * @private
+ */
+const stopTextConditions = (qOrigin, qDestination) => {
+  const conditions = [];
+  if (qOrigin) {
+    const regex = { $regex: escapeRegex(qOrigin), $options: 'i' };
+    conditions.push({ $or: [{ 'origin.text': regex }, { 'waypoints.text': regex }] });
+  }
+  if (qDestination) {
+    const regex = { $regex: escapeRegex(qDestination), $options: 'i' };
+    conditions.push({ $or: [{ 'destination.text': regex }, { 'waypoints.text': regex }] });
+  }
+  return conditions;
+};
+
+/**
+ * Route stops of a raw trip document: origin, waypoints..., destination
+ * @private
+ */
+const stopsOf = (doc) => [doc.origin, ...(doc.waypoints || []), doc.destination];
+
+/**
+ * Pick the board/alight stops whose text matches the search terms
+ * Boarding uses the first matching stop, alighting the first matching stop after it.
+ * @private
+ * @returns {{from: number, to: number}|null} null if no stop pair fits
+ */
+const resolveSegmentByText = (doc, qOrigin, qDestination) => {
+  const stops = stopsOf(doc);
+  const last = stops.length - 1;
+  const matches = (stop, text) => stop.text.toLowerCase().includes(text.toLowerCase());
+
+  const from = qOrigin ? stops.findIndex((stop, i) => i < last && matches(stop, qOrigin)) : 0;
+  if (from < 0) return null;
+
+  if (!qDestination) return { from, to: last };
+  const to = stops.findIndex((stop, i) => i > from && matches(stop, qDestination));
+  return to < 0 ? null : { from, to };
+};
+
+/**
+ * Pick the board/alight stops closest to the pickup/drop-off points
+ * Only stops within the radius qualify; the pair with the smallest combined
+ * distance wins. A missing point defaults to the origin/destination.
+ * @private
+ * @returns {{from: number, to: number, originMeters: number|null, destinationMeters: number|null}|null}
+ */
+const resolveSegmentByProximity = (doc, nearOrigin, nearDestination, radius) => {
+  const stops = stopsOf(doc);
+  const last = stops.length - 1;
+  const boardDistances = stops.map((stop) => (nearOrigin ? distanceInMeters(nearOrigin, stop.geo) : null));
+  const alightDistances = stops.map((stop) => (nearDestination ? distanceInMeters(nearDestination, stop.geo) : null));
+
+  let best = null;
+  for (let from = 0; from < last; from++) {
+    if (nearOrigin ? boardDistances[from] > radius : from !== 0) continue;
+
+    for (let to = from + 1; to <= last; to++) {
+      if (nearDestination ? alightDistances[to] > radius : to !== last) continue;
+
+      const totalMeters = (boardDistances[from] || 0) + (alightDistances[to] || 0);
+      if (!best || totalMeters < best.totalMeters) {
+        best = {
+          from,
+          to,
+          originMeters: boardDistances[from],
+          destinationMeters: alightDistances[to],
+          totalMeters
+        };
+      }
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Seats still free on every segment in [from, to) of a trip
+ * Ledgers without per-segment data apply their allocation to the whole route.
+ * @private
+ */
+const availableSeatsOn = (doc, ledger, segment) => {
+  if (!ledger) return doc.totalSeats;
+  const occupied =
+    ledger.segmentSeats && ledger.segmentSeats.length > 0
+      ? Math.max(0, ...ledger.segmentSeats.slice(segment.from, segment.to))
+      : ledger.allocatedSeats;
+  return Math.max(0, doc.totalSeats - occupied);
+};
+
+// Local zone for time-of-day filters (fromTime/toTime)
+const SEARCH_TIMEZONE = 'America/Bogota';
+
+// sort option (leading '-' = descending) → field ranked by the search pipeline
+const SEARCH_SORT_FIELDS = {
+  departureAt: 'departureAt',
+  price: 'pricePerSeat',
+  rating: '_driverRating'
+};
+
+/**
+ * Filters shared by text and proximity searches, as a single $match
+ * The time-of-day window is evaluated in SEARCH_TIMEZONE by the database.
+ * @private
+ */
+const searchMatchStage = ({ qOrigin, qDestination, fromDate, toDate, fromTime, toTime, minPrice, maxPrice }) => {
+  const match = {
+    status: 'published',
+    departureAt: { $gt: new Date() } // Only future trips
+  };
+
+  const textConditions = stopTextConditions(qOrigin, qDestination);
+  if (textConditions.length > 0) {
+    match.$and = textConditions;
+  }
+
+  if (fromDate) {
+    match.departureAt.$gte = new Date(fromDate);
+  }
+  if (toDate) {
+    match.departureAt.$lte = new Date(toDate);
+  }
+
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    match.pricePerSeat = {};
+    if (minPrice !== undefined) match.pricePerSeat.$gte = minPrice;
+    if (maxPrice !== undefined) match.pricePerSeat.$lte = maxPrice;
+  }
+
+  if (fromTime || toTime) {
+    // 'HH:MM' strings compare in time order once zero-padded ('7:05' → '07:05')
+    const localTime = { $dateToString: { format: '%H:%M', date: '$departureAt', timezone: SEARCH_TIMEZONE } };
+    const bounds = [];
+    if (fromTime) bounds.push({ $gte: [localTime, fromTime.padStart(5, '0')] });
+    if (toTime) bounds.push({ $lte: [localTime, toTime.padStart(5, '0')] });
+    match.$expr = { $and: bounds };
+  }
+
+  return { $match: match };
+};
+
+/**
+ * Departure time of day of a trip document in SEARCH_TIMEZONE ('HH:MM')
+ * @private
+ */
+const localTimeOf = (date) =>
+  new Intl.DateTimeFormat('en-GB', {
+    timeZone: SEARCH_TIMEZONE,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).format(new Date(date));
+
+/**
+ * Check one trip document against search filters, as searchPublishedTrips would
+ * Mirrors searchMatchStage (status and future departure aside) and the segment
+ * resolution of text and proximity searches.
+ * @private
+ * @returns {{from: number, to: number}|null} Ridden stop pair, or null if the trip does not match
+ */
+const matchSearchFilters = (doc, ledger, filters) => {
+  const {
+    qOrigin,
+    qDestination,
+    fromDate,
+    toDate,
+    fromTime,
+    toTime,
+    minPrice,
+    maxPrice,
+    minAvailableSeats,
+    nearOrigin,
+    nearDestination,
+    radius = DEFAULT_SEARCH_RADIUS_METERS
+  } = filters;
+  const departureAt = new Date(doc.departureAt);
+
+  if (fromDate && departureAt < new Date(fromDate)) return null;
+  if (toDate && departureAt > new Date(toDate)) return null;
+  if (minPrice !== undefined && doc.pricePerSeat < minPrice) return null;
+  if (maxPrice !== undefined && doc.pricePerSeat > maxPrice) return null;
+
+  if (fromTime || toTime) {
+    const localTime = localTimeOf(departureAt);
+    if (fromTime && localTime < fromTime.padStart(5, '0')) return null;
+    if (toTime && localTime > toTime.padStart(5, '0')) return null;
+  }
+
+  let match;
+  if (nearOrigin || nearDestination) {
+    match = resolveSegmentByProximity(doc, nearOrigin, nearDestination, radius);
+    if (match) {
+      const stops = stopsOf(doc);
+      const textOk = (stop, text) => !text || stop.text.toLowerCase().includes(text.toLowerCase());
+      if (!textOk(stops[match.from], qOrigin) || !textOk(stops[match.to], qDestination)) match = null;
+    }
+  } else {
+    match = resolveSegmentByText(doc, qOrigin, qDestination);
+  }
+  if (!match) return null;
+
+  if (minAvailableSeats !== undefined && availableSeatsOn(doc, ledger, match) < minAvailableSeats) return null;
+
+  return match;
+};
+
+/**
+ * Attach the trip's seat ledger as `_ledger` (null if none yet)
+ * @private
+ */
+const ledgerLookupStages = () => [
+  {
+    $lookup: {
+      from: SeatLedgerModel.collection.name,
+      localField: '_id',
+      foreignField: 'tripId',
+      as: '_ledger'
+    }
+  },
+  { $addFields: { _ledger: { $ifNull: [{ $arrayElemAt: ['$_ledger', 0] }, null] } } }
+];
+
+/**
+ * Attach the driver's average rating as `_driverRating` (0 if unrated)
+ * @private
+ */
+const driverRatingLookupStages = () => [
+  {
+    $lookup: {
+      from: DriverRatingAggregateModel.collection.name,
+      localField: 'driverId',
+      foreignField: 'driverId',
+      as: '_rating'
+    }
+  },
+  { $addFields: { _driverRating: { $ifNull: [{ $arrayElemAt: ['$_rating.avgRating', 0] }, 0] } } },
+  { $project: { _rating: 0 } }
+];
+
+/**
+ * Text-search segment resolution (same rules as resolveSegmentByText)
+ * Sets _boardIndex/_alightIndex (-1 when no stop pair fits).
+ * @private
+ */
+const textSegmentStages = (qOrigin, qDestination) => {
+  const textAt = (index) => ({ $arrayElemAt: ['$_stopTexts', index] });
+  const firstMatch = (rangeStart, rangeEnd, text) => ({
+    $indexOfArray: [
+      {
+        $map: {
+          input: { $range: [rangeStart, rangeEnd] },
+          as: 'i',
+          in: { $regexMatch: { input: textAt('$$i'), regex: escapeRegex(text), options: 'i' } }
+        }
+      },
+      true
+    ]
+  });
+
+  return [
+    {
+      $addFields: {
+        _stopTexts: {
+          $map: {
+            input: { $concatArrays: [['$origin'], { $ifNull: ['$waypoints', []] }, ['$destination']] },
+            as: 'stop',
+            in: { $ifNull: ['$$stop.text', ''] }
+          }
+        }
+      }
+    },
+    { $addFields: { _lastStop: { $subtract: [{ $size: '$_stopTexts' }, 1] } } },
+    { $addFields: { _boardIndex: qOrigin ? firstMatch(0, '$_lastStop', qOrigin) : 0 } },
+    {
+      $addFields: {
+        _alightIndex: !qDestination
+          ? '$_lastStop'
+          : {
+              $let: {
+                vars: {
+                  offset: firstMatch({ $add: ['$_boardIndex', 1] }, { $add: ['$_lastStop', 1] }, qDestination)
+                },
+                in: { $cond: [{ $lt: ['$$offset', 0] }, -1, { $add: ['$_boardIndex', 1, '$$offset'] }] }
+              }
+            }
+      }
+    },
+    { $match: { _boardIndex: { $gte: 0 }, _alightIndex: { $gte: 0 } } }
+  ];
+};
+
+/**
+ * Great-circle distance in meters from a { lat, lng } point to a stop's geo,
+ * as an aggregation expression (same formula and rounding as distanceInMeters)
+ * @private
+ */
+const distanceExpression = (point, geo) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const halfDelta = (field, value) => ({
+    $sin: { $divide: [{ $degreesToRadians: { $subtract: [`${geo}.${field}`, value] } }, 2] }
+  });
+  const h = {
+    $add: [
+      { $pow: [halfDelta('lat', point.lat), 2] },
+      {
+        $multiply: [
+          Math.cos(toRad(point.lat)),
+          { $cos: { $degreesToRadians: `${geo}.lat` } },
+          { $pow: [halfDelta('lng', point.lng), 2] }
+        ]
+      }
+    ]
+  };
+  const meters = { $multiply: [2 * EARTH_RADIUS_METERS, { $asin: { $min: [1, { $sqrt: h }] } }] };
+  return { $floor: { $add: [meters, 0.5] } };
+};
+
+/**
+ * Proximity-search segment resolution (same rules as resolveSegmentByProximity;
+ * the text terms must then match the chosen stops)
+ * Sets _match ({ from, to, originMeters, destinationMeters, totalMeters }) and
+ * _boardIndex/_alightIndex; trips without a qualifying stop pair are dropped.
+ * @private
+ */
+const proximitySegmentStages = ({ nearOrigin, nearDestination, radius, qOrigin, qDestination }) => {
+  const distancesTo = (point) => (point
+    ? { $map: { input: '$_stops', as: 'stop', in: distanceExpression(point, '$$stop.geo') } }
+    : null);
+  const textMatches = (index, text) => (text
+    ? { $regexMatch: { input: { $ifNull: [{ $arrayElemAt: ['$_stops.text', index] }, ''] }, regex: escapeRegex(text), options: 'i' } }
+    : true);
+  // null distances (stop without geo) never fall within the radius
+  const withinRadius = (distance) => ({ $and: [{ $gte: [distance, 0] }, { $lte: [distance, radius] }] });
+
+  const boardMeters = { $arrayElemAt: ['$_boardDistances', '$$pair.from'] };
+  const alightMeters = { $arrayElemAt: ['$_alightDistances', '$$pair.to'] };
+
+  return [
+    {
+      $addFields: {
+        _stops: { $concatArrays: [['$origin'], { $ifNull: ['$waypoints', []] }, ['$destination']] }
+      }
+    },
+    {
+      $addFields: {
+        _lastStop: { $subtract: [{ $size: '$_stops' }, 1] },
+        _boardDistances: distancesTo(nearOrigin),
+        _alightDistances: distancesTo(nearDestination)
+      }
+    },
+    {
+      // Every (board, alight) pair with board before alight
+      $addFields: {
+        _pairs: {
+          $reduce: {
+            input: { $range: [0, '$_lastStop'] },
+            initialValue: [],
+            in: {
+              $concatArrays: [
+                '$$value',
+                {
+                  $map: {
+                    input: { $range: [{ $add: ['$$this', 1] }, { $add: ['$_lastStop', 1] }] },
+                    as: 'to',
+                    in: { from: '$$this', to: '$$to' }
+                  }
+                }
+              ]
+            }
+          }
+        }
+      }
+    },
+    {
+      $addFields: {
+        _pairs: {
+          $map: {
+            input: {
+              $filter: {
+                input: '$_pairs',
+                as: 'pair',
+                cond: {
+                  $and: [
+                    nearOrigin ? withinRadius(boardMeters) : { $eq: ['$$pair.from', 0] },
+                    nearDestination ? withinRadius(alightMeters) : { $eq: ['$$pair.to', '$_lastStop'] }
+                  ]
+                }
+              }
+            },
+            as: 'pair',
+            in: {
+              from: '$$pair.from',
+              to: '$$pair.to',
+              originMeters: nearOrigin ? boardMeters : null,
+              destinationMeters: nearDestination ? alightMeters : null,
+              totalMeters: {
+                $add: [nearOrigin ? boardMeters : 0, nearDestination ? alightMeters : 0]
+              }
+            }
+          }
+        }
+      }
+    },
+    {
+      // Smallest combined distance; the first pair wins ties
+      $addFields: {
+        _match: {
+          $reduce: {
+            input: '$_pairs',
+            initialValue: null,
+            in: {
+              $cond: [
+                { $or: [{ $eq: ['$$value', null] }, { $lt: ['$$this.totalMeters', '$$value.totalMeters'] }] },
+                '$$this',
+                '$$value'
+              ]
+            }
+          }
+        }
+      }
+    },
+    { $match: { _match: { $ne: null } } },
+    { $addFields: { _boardIndex: '$_match.from', _alightIndex: '$_match.to' } },
+    // Text terms still have to agree with the stops chosen by proximity
+    { $match: { $expr: { $and: [textMatches('$_boardIndex', qOrigin), textMatches('$_alightIndex', qDestination)] } } }
+  ];
+};
+
+/**
+ * Seats free on every leg between _boardIndex and _alightIndex
+ * (same rules as availableSeatsOn)
+ * @private
+ */
+const availableSeatsExpression = () => {
+  const segmentSeats = { $ifNull: ['$_ledger.segmentSeats', []] };
+  const occupiedOnSegment = {
+    $max: [
+      0,
+      { $max: { $slice: [segmentSeats, '$_boardIndex', { $subtract: ['$_alightIndex', '$_boardIndex'] }] } }
+    ]
+  };
+  return {
+    $max: [
+      0,
+      {
+        $subtract: [
+          '$totalSeats',
+          {
+            $cond: [
+              { $gt: [{ $size: segmentSeats }, 0] },
+              occupiedOnSegment,
+              { $ifNull: ['$_ledger.allocatedSeats', 0] }
+            ]
+          }
+        ]
+      }
+    ]
+  };
+};
+
+/**
+ * Parse a search sort option ('price', '-rating', ...) into { field, direction }
+ * @private
+ * @returns {{field: string, direction: number}|null} null for unknown/missing options
+ */
+const parseSearchSort = (sort) => {
+  if (!sort) return null;
+  const direction = sort.startsWith('-') ? -1 : 1;
+  const field = SEARCH_SORT_FIELDS[sort.replace(/^-/, '')];
+  return field ? { field, direction } : null;
+};
+
 /**
  * MongoDB implementation of TripOfferRepository
  */
@@ -22,12 +518,28 @@ class MongoTripOfferRepository extends TripOfferRepository {
       vehicleId: toStr(doc.vehicleId),
       origin: doc.origin,
       destination: doc.destination,
+      waypoints: doc.waypoints || [],
       departureAt: doc.departureAt,
       estimatedArrivalAt: doc.estimatedArrivalAt,
       pricePerSeat: doc.pricePerSeat,
       totalSeats: doc.totalSeats,
       status: doc.status,
       notes: doc.notes,
+      instantBook: !!doc.instantBook,
+      termsVersion: doc.termsVersion || 1,
+      seriesId: toStr(doc.seriesId) || null,
+      occurrenceDate: doc.occurrenceDate || null,
+      detachedFromSeries: !!doc.detachedFromSeries,
+      rideRequestId: toStr(doc.rideRequestId) || null,
+      cancellationPolicy: doc.cancellationPolicy?.tiers?.length
+        ? {
+            tiers: doc.cancellationPolicy.tiers.map((t) => ({
+              minHoursBeforeDeparture: t.minHoursBeforeDeparture,
+              refundPercent: t.refundPercent,
+              penaltyPercent: t.penaltyPercent || 0
+            }))
+          }
+        : null,
       createdAt: doc.createdAt,
       updatedAt: doc.updatedAt
     });
@@ -82,6 +594,14 @@ class MongoTripOfferRepository extends TripOfferRepository {
   }
 
   async update(tripId, updates) {
+    // findByIdAndUpdate skips the pre('validate') hook: keep stopPoints in sync here
+    if (updates.origin || updates.destination || updates.waypoints) {
+      const current = await TripOfferModel.findById(tripId).select('origin waypoints destination').lean();
+      if (current) {
+        updates = { ...updates, stopPoints: TripOfferModel.toStopPoints({ ...current, ...updates }) };
+      }
+    }
+
     const doc = await TripOfferModel.findByIdAndUpdate(
       tripId,
       { $set: updates },
@@ -114,180 +634,273 @@ class MongoTripOfferRepository extends TripOfferRepository {
     return this._toDomainArray(docs);
   }
 
+  async findCalendarTripsByDriver(driverId, now = new Date()) {
+    const docs = await TripOfferModel.findCalendarTripsByDriver(driverId, now);
+    return this._toDomainArray(docs);
+  }
+
+  async findByIds(tripIds) {
+    if (!tripIds || tripIds.length === 0) {
+      return [];
+    }
+
+    const docs = await TripOfferModel.find({ _id: { $in: tripIds } });
+    return this._toDomainArray(docs);
+  }
+
   async countByDriverAndStatus(driverId, status) {
     return TripOfferModel.countDocuments({ driverId, status });
   }
 
+  async getBoardingPinFailures(tripId) {
+    const doc = await TripOfferModel.findById(tripId).select('boardingPinFailures').lean();
+    return (doc && doc.boardingPinFailures) || 0;
+  }
+
+  async registerBoardingPinFailure(tripId) {
+    const doc = await TripOfferModel.findByIdAndUpdate(
+      tripId,
+      { $inc: { boardingPinFailures: 1 } },
+      { new: true, projection: { boardingPinFailures: 1 } }
+    ).lean();
+    return doc ? doc.boardingPinFailures : 0;
+  }
+
+  /**
+   * Find upcoming draft/published occurrences of a recurring series
+   *
+   * @param {string} seriesId - Trip series ID
+   * @param {Object} options
+   * @param {Date} options.fromDepartureAt - Inclusive lower bound (default: now)
+   * @param {boolean} options.includeDetached - Include individually edited occurrences
+   * @returns {Promise<TripOffer[]>} Occurrences sorted by departure
+   */
+  async findUpcomingBySeries(seriesId, { fromDepartureAt = new Date(), includeDetached = true } = {}) {
+    const query = {
+      seriesId,
+      status: { $in: ['draft', 'published'] },
+      departureAt: { $gte: fromDepartureAt }
+    };
+
+    if (!includeDetached) {
+      query.detachedFromSeries = { $ne: true };
+    }
+
+    const docs = await TripOfferModel.find(query).sort({ departureAt: 1 });
+    return this._toDomainArray(docs);
+  }
+
   /**
    * Search published trips with filters (for passengers)
    * Only returns: status='published' AND departureAt > now
+   *
+   * Text and proximity searches each run as a single aggregation (filters,
+   * time-of-day window, stop matching, seat ledger lookup, availability, sort
+   * and pagination), so pages, totals and each segment's availableSeats are exact.
    * 
    * @param {Object} filters - Search filters
    * @param {string} filters.qOrigin - Origin text search (case-insensitive)
    * @param {string} filters.qDestination - Destination text search (case-insensitive)
    * @param {Date} filters.fromDate - Minimum departure date
    * @param {Date} filters.toDate - Maximum departure date
-   * @param {string} filters.fromTime - Minimum departure time (HH:MM format)
-   * @param {string} filters.toTime - Maximum departure time (HH:MM format)
+   * @param {string} filters.fromTime - Minimum departure time (HH:MM, America/Bogota)
+   * @param {string} filters.toTime - Maximum departure time (HH:MM, America/Bogota)
    * @param {number} filters.minAvailableSeats - Minimum available seats required
    * @param {number} filters.minPrice - Minimum price per seat
    * @param {number} filters.maxPrice - Maximum price per seat
+   * @param {Object} filters.nearOrigin - Pickup point { lat, lng } (proximity search)
+   * @param {Object} filters.nearDestination - Drop-off point { lat, lng } (proximity search)
+   * @param {number} filters.radius - Max distance in meters from each point (default: 1000)
+   * @param {string} filters.sort - departureAt | price | rating, '-' prefix for descending
+   *   (default: departureAt; proximity searches default to walking distance)
    * @param {number} filters.page - Page number (default: 1)
    * @param {number} filters.pageSize - Results per page (default: 10, max: 50)
-   * @returns {Promise<Object>} { trips, total, page, pageSize, totalPages }
+   * @returns {Promise<Object>} { trips, segments, total, page, pageSize, totalPages, distances? }
    */
   async searchPublishedTrips(filters = {}) {
-    const {
-      qOrigin,
-      qDestination,
-      fromDate,
-      toDate,
-      fromTime,
-      toTime,
-      minAvailableSeats,
-      minPrice,
-      maxPrice,
-      page = 1,
-      pageSize = 10
-    } = filters;
-
-    // Build query
-    const query = {
-      status: 'published',
-      departureAt: { $gt: new Date() } // Only future trips
-    };
-
-    // Text search for origin (case-insensitive, safe regex)
-    if (qOrigin) {
-      // Escape special regex characters
-      const escapedOrigin = qOrigin.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      query['origin.text'] = { $regex: escapedOrigin, $options: 'i' };
+    if (filters.nearOrigin || filters.nearDestination) {
+      return this._searchNearbyTrips(filters);
     }
 
-    // Text search for destination (case-insensitive, safe regex)
-    if (qDestination) {
-      // Escape special regex characters
-      const escapedDestination = qDestination.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      query['destination.text'] = { $regex: escapedDestination, $options: 'i' };
-    }
+    const { qOrigin, qDestination, minAvailableSeats, sort, page = 1, pageSize = 10 } = filters;
 
-    // Date range filters
-    if (fromDate) {
-      query.departureAt.$gte = new Date(fromDate);
-    }
+    const limit = Math.min(pageSize, 50); // Max 50 results per page
+    const skip = (page - 1) * limit;
+    const order = parseSearchSort(sort) || { field: 'departureAt', direction: 1 };
 
-    if (toDate) {
-      query.departureAt.$lte = new Date(toDate);
-    }
+    const pipeline = [
+      searchMatchStage(filters),
+      ...textSegmentStages(qOrigin, qDestination),
+      ...ledgerLookupStages(),
+      { $addFields: { _availableSeats: availableSeatsExpression() } }
+    ];
 
-    // Time range filters (applied to departureAt hour)
-    if (fromTime || toTime) {
-      // We'll filter by time after fetching, or use aggregation
-      // For now, we'll apply time filters in memory after getting results
-      // This is simpler but less efficient for large datasets
+    if (minAvailableSeats !== undefined) {
+      pipeline.push({ $match: { _availableSeats: { $gte: minAvailableSeats } } });
     }
 
-    // Price filters
-    if (minPrice !== undefined) {
-      query.pricePerSeat = query.pricePerSeat || {};
-      query.pricePerSeat.$gte = minPrice;
+    if (order.field === '_driverRating') {
+      pipeline.push(...driverRatingLookupStages());
     }
 
-    if (maxPrice !== undefined) {
-      query.pricePerSeat = query.pricePerSeat || {};
-      query.pricePerSeat.$lte = maxPrice;
-    }
+    // Ties: soonest departure first, then a stable order across pages
+    const sortStage = { [order.field]: order.direction };
+    if (order.field !== 'departureAt') sortStage.departureAt = 1;
+    sortStage._id = 1;
+
+    pipeline.push({
+      $facet: {
+        items: [
+          { $sort: sortStage },
+          { $skip: skip },
+          { $limit: limit },
+          {
+            $addFields: {
+              _segment: {
+                boardStopIndex: '$_boardIndex',
+                alightStopIndex: '$_alightIndex',
+                board: { $arrayElemAt: ['$_stopTexts', '$_boardIndex'] },
+                alight: { $arrayElemAt: ['$_stopTexts', '$_alightIndex'] },
+                availableSeats: '$_availableSeats'
+              }
+            }
+          },
+          { $project: { _stopTexts: 0, _lastStop: 0, _ledger: 0 } }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    });
 
-    // Pagination
-    const skip = (page - 1) * pageSize;
-    const limit = Math.min(pageSize, 50); // Max 50 results per page
+    const [result] = await TripOfferModel.aggregate(pipeline);
+    const docs = result.items;
+    const total = result.total.length > 0 ? result.total[0].count : 0;
 
-    // Execute query
-    let docs = await TripOfferModel.find(query)
-      .sort({ departureAt: 1 }) // Sort by departure ascending (soonest first)
-      .skip(skip)
-      .limit(limit * 2) // Fetch more to account for filtering
-      .lean();
-
-    // Apply time filters if specified
-    if (fromTime || toTime) {
-      docs = docs.filter(doc => {
-        const departure = new Date(doc.departureAt);
-        const hour = departure.getHours();
-        const minute = departure.getMinutes();
-        const timeStr = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
-        
-        if (fromTime && timeStr < fromTime) return false;
-        if (toTime && timeStr > toTime) return false;
-        return true;
-      });
-    }
+    const segments = {};
+    docs.forEach((doc) => {
+      segments[doc._id.toString()] = doc._segment;
+    });
 
-    // Filter by available seats if specified
-    if (minAvailableSeats !== undefined) {
-      const SeatLedgerModel = require('../database/models/SeatLedgerModel');
-      const tripIds = docs.map(doc => doc._id);
-      const ledgers = await SeatLedgerModel.find({ tripId: { $in: tripIds } }).lean();
-      const ledgerMap = new Map(ledgers.map(l => [l.tripId.toString(), l.allocatedSeats]));
-
-      docs = docs.filter(doc => {
-        const allocatedSeats = ledgerMap.get(doc._id.toString()) || 0;
-        const availableSeats = doc.totalSeats - allocatedSeats;
-        return availableSeats >= minAvailableSeats;
-      });
-    }
+    return {
+      trips: this._toDomainArray(docs),
+      segments,
+      total,
+      page,
+      pageSize: limit,
+      totalPages: Math.ceil(total / limit)
+    };
+  }
+
+  /**
+   * Proximity search for published trips
+   *
+   * Any stop of the route (origin, waypoints, destination) within the radius
+   * of the pickup point can be the boarding stop, and any later stop within
+   * the radius of the drop-off point the alighting one. Results are ranked by
+   * combined walking distance (pickup + drop-off), soonest departure first on
+   * ties, unless another sort is requested. Distances are straight-line meters.
+   *
+   * Runs as a single aggregation like text searches (stop pair selection,
+   * seat filter, sort and pagination included), so pages and totals are exact.
+   *
+   * @private
+   * @param {Object} filters - Same filters as searchPublishedTrips
+   * @returns {Promise<Object>} { trips, total, page, pageSize, totalPages, distances, segments }
+   */
+  async _searchNearbyTrips(filters) {
+    const {
+      qOrigin,
+      qDestination,
+      minAvailableSeats,
+      nearOrigin,
+      nearDestination,
+      radius = DEFAULT_SEARCH_RADIUS_METERS,
+      sort,
+      page = 1,
+      pageSize = 10
+    } = filters;
 
-    // Limit to requested page size after filtering
-    docs = docs.slice(0, limit);
+    const limit = Math.min(pageSize, 50);
+    const skip = (page - 1) * limit;
 
-    // Get total count (with all filters applied)
-    // For accurate count, we need to apply all filters
-    let totalDocs = await TripOfferModel.find({
-      status: 'published',
-      departureAt: { $gt: new Date() },
-      ...(qOrigin && {
-        'origin.text': { $regex: qOrigin.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' }
-      }),
-      ...(qDestination && {
-        'destination.text': { $regex: qDestination.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' }
-      }),
-      ...(fromDate && { departureAt: { ...query.departureAt, $gte: new Date(fromDate) } }),
-      ...(toDate && { departureAt: { ...query.departureAt, $lte: new Date(toDate) } }),
-      ...(minPrice !== undefined && { pricePerSeat: { $gte: minPrice } }),
-      ...(maxPrice !== undefined && { pricePerSeat: { $lte: maxPrice } })
-    }).lean();
+    const matchStage = searchMatchStage(filters);
+    matchStage.$match.$and = matchStage.$match.$and || [];
 
-    // Apply time and seat filters to total count
-    if (fromTime || toTime) {
-      totalDocs = totalDocs.filter(doc => {
-        const departure = new Date(doc.departureAt);
-        const hour = departure.getHours();
-        const minute = departure.getMinutes();
-        const timeStr = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
-        
-        if (fromTime && timeStr < fromTime) return false;
-        if (toTime && timeStr > toTime) return false;
-        return true;
+    // Pre-filter with the 2dsphere index: some stop near each given point
+    [nearOrigin, nearDestination].filter(Boolean).forEach((point) => {
+      matchStage.$match.$and.push({
+        stopPoints: {
+          $geoWithin: {
+            $centerSphere: [[point.lng, point.lat], radius / EARTH_RADIUS_METERS]
+          }
+        }
       });
-    }
+    });
+
+    const pipeline = [
+      matchStage,
+      ...proximitySegmentStages({ nearOrigin, nearDestination, radius, qOrigin, qDestination }),
+      ...ledgerLookupStages(),
+      { $addFields: { _availableSeats: availableSeatsExpression() } }
+    ];
 
     if (minAvailableSeats !== undefined) {
-      const SeatLedgerModel = require('../database/models/SeatLedgerModel');
-      const tripIds = totalDocs.map(doc => doc._id);
-      const ledgers = await SeatLedgerModel.find({ tripId: { $in: tripIds } }).lean();
-      const ledgerMap = new Map(ledgers.map(l => [l.tripId.toString(), l.allocatedSeats]));
-
-      totalDocs = totalDocs.filter(doc => {
-        const allocatedSeats = ledgerMap.get(doc._id.toString()) || 0;
-        const availableSeats = doc.totalSeats - allocatedSeats;
-        return availableSeats >= minAvailableSeats;
-      });
+      pipeline.push({ $match: { _availableSeats: { $gte: minAvailableSeats } } });
     }
 
-    const total = totalDocs.length;
+    const order = parseSearchSort(sort);
+    if (order && order.field === '_driverRating') {
+      pipeline.push(...driverRatingLookupStages());
+    }
+
+    // Requested order first (if any), then walking distance, soonest departure and a stable order across pages
+    const sortStage = order ? { [order.field]: order.direction } : {};
+    sortStage['_match.totalMeters'] = 1;
+    if (!order || order.field !== 'departureAt') sortStage.departureAt = 1;
+    sortStage._id = 1;
+
+    pipeline.push({
+      $facet: {
+        items: [
+          { $sort: sortStage },
+          { $skip: skip },
+          { $limit: limit },
+          {
+            $addFields: {
+              _segment: {
+                boardStopIndex: '$_boardIndex',
+                alightStopIndex: '$_alightIndex',
+                board: { $arrayElemAt: ['$_stops.text', '$_boardIndex'] },
+                alight: { $arrayElemAt: ['$_stops.text', '$_alightIndex'] },
+                availableSeats: '$_availableSeats'
+              }
+            }
+          },
+          { $project: { _stops: 0, _lastStop: 0, _boardDistances: 0, _alightDistances: 0, _pairs: 0, _ledger: 0 } }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    });
+
+    const [result] = await TripOfferModel.aggregate(pipeline);
+    const docs = result.items;
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+
+    const distances = {};
+    const segments = {};
+    docs.forEach((doc) => {
+      const tripId = doc._id.toString();
+      distances[tripId] = {
+        originMeters: doc._match.originMeters,
+        destinationMeters: doc._match.destinationMeters,
+        totalMeters: doc._match.totalMeters
+      };
+      segments[tripId] = doc._segment;
+    });
 
     return {
       trips: this._toDomainArray(docs),
+      distances,
+      segments,
       total,
       page,
       pageSize: limit,
@@ -295,6 +908,39 @@ class MongoTripOfferRepository extends TripOfferRepository {
     };
   }
 
+  /**
+   * Evaluate one trip against several search filter sets (saved search alerts)
+   * Same matching rules as searchPublishedTrips; only published, future trips match.
+   *
+   * @param {string} tripId
+   * @param {Array<Object>} filterSets - Filters as accepted by searchPublishedTrips
+   * @returns {Promise<Array<Object|null>>} Ridden segment per filter set
+   *   ({ boardStopIndex, alightStopIndex, board, alight, availableSeats }), null where it does not match
+   */
+  async matchSearches(tripId, filterSets) {
+    const doc = await TripOfferModel.findOne({
+      _id: tripId,
+      status: 'published',
+      departureAt: { $gt: new Date() }
+    }).lean();
+    if (!doc) return filterSets.map(() => null);
+
+    const ledger = await SeatLedgerModel.findOne({ tripId }).lean();
+    const stops = stopsOf(doc);
+
+    return filterSets.map((filters) => {
+      const match = matchSearchFilters(doc, ledger, filters);
+      if (!match) return null;
+      return {
+        boardStopIndex: match.from,
+        alightStopIndex: match.to,
+        board: stops[match.from].text,
+        alight: stops[match.to].text,
+        availableSeats: availableSeatsOn(doc, ledger, match)
+      };
+    });
+  }
+
   /**
    * Find published trips past their estimated arrival time (US-3.4.4)
    * Used for auto-completion job
@@ -0,0 +1,87 @@
+const TripSeriesRepository = require('../../domain/repositories/TripSeriesRepository');
+const TripSeriesModel = require('../database/models/TripSeriesModel');
+const TripSeries = require('../../domain/entities/TripSeries');
+
+/**
+ * MongoDB implementation of TripSeriesRepository
+ */
+class MongoTripSeriesRepository extends TripSeriesRepository {
+  /**
+   * Map Mongoose document to domain entity
+   * @private
+   */
+  _toDomain(doc) {
+    if (!doc) return null;
+
+    const toStr = (val) => val ? val.toString() : val;
+
+    return new TripSeries({
+      id: toStr(doc._id),
+      driverId: toStr(doc.driverId),
+      vehicleId: toStr(doc.vehicleId),
+      origin: doc.origin,
+      destination: doc.destination,
+      waypoints: doc.waypoints || [],
+      daysOfWeek: doc.daysOfWeek ? [...doc.daysOfWeek] : [],
+      departureTime: doc.departureTime,
+      durationMinutes: doc.durationMinutes,
+      startDate: doc.startDate,
+      untilDate: doc.untilDate,
+      pricePerSeat: doc.pricePerSeat,
+      totalSeats: doc.totalSeats,
+      notes: doc.notes,
+      tripStatus: doc.tripStatus,
+      status: doc.status,
+      generatedUntil: doc.generatedUntil,
+      canceledAt: doc.canceledAt,
+      createdAt: doc.createdAt,
+      updatedAt: doc.updatedAt
+    });
+  }
+
+  async create(seriesData) {
+    const doc = await TripSeriesModel.create(seriesData);
+    return this._toDomain(doc);
+  }
+
+  async findById(seriesId) {
+    const doc = await TripSeriesModel.findById(seriesId).lean();
+    return this._toDomain(doc);
+  }
+
+  async findByDriverId(driverId, filters = {}) {
+    const query = { driverId };
+    if (filters.status) {
+      query.status = filters.status;
+    }
+
+    const docs = await TripSeriesModel.find(query).sort({ createdAt: -1 }).lean();
+    return docs.map((doc) => this._toDomain(doc));
+  }
+
+  async update(seriesId, updates) {
+    const doc = await TripSeriesModel.findByIdAndUpdate(
+      seriesId,
+      { $set: updates },
+      { new: true, runValidators: true }
+    ).lean();
+
+    if (!doc) {
+      throw new Error('Trip series not found');
+    }
+
+    return this._toDomain(doc);
+  }
+
+  async findActiveNeedingExpansion(horizon) {
+    const docs = await TripSeriesModel.find({
+      status: 'active',
+      untilDate: { $gte: TripSeries.toLocalDate(new Date()) },
+      $or: [{ generatedUntil: null }, { generatedUntil: { $lt: horizon } }]
+    }).lean();
+
+    return docs.map((doc) => this._toDomain(doc));
+  }
+}
+
+module.exports = MongoTripSeriesRepository;
@@ -3,6 +3,7 @@ const UserModel = require('../database/models/UserModel');
 const DuplicateError = require('../../domain/errors/DuplicateError');
 const ValidationError = require('../../domain/errors/ValidationError');
 const User = require('../../domain/entities/User');
+const NotificationPreferences = require('../../domain/entities/NotificationPreferences');
 
 class MongoUserRepository extends UserRepository {
 
@@ -243,6 +244,203 @@ class MongoUserRepository extends UserRepository {
     );
   }
 
+  /**
+   * Get notification preferences of a user
+   * Users who never saved preferences get the defaults.
+   *
+   * @param {string} userId - User ID
+   * @returns {Promise<NotificationPreferences|null>} Preferences, or null if the user does not exist
+   */
+  async getNotificationPreferences(userId) {
+    try {
+      const doc = await UserModel.findById(userId).select('notificationPreferences').lean();
+      return doc ? NotificationPreferences.fromStored(doc.notificationPreferences) : null;
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Replace notification preferences of a user
+   *
+   * @param {string} userId - User ID
+   * @param {NotificationPreferences} preferences - Preferences to store
+   * @returns {Promise<NotificationPreferences|null>} Stored preferences, or null if the user does not exist
+   */
+  async updateNotificationPreferences(userId, preferences) {
+    try {
+      const doc = await UserModel.findByIdAndUpdate(
+        userId,
+        { $set: { notificationPreferences: preferences.toStored() } },
+        { new: true, runValidators: true }
+      ).select('notificationPreferences').lean();
+      return doc ? NotificationPreferences.fromStored(doc.notificationPreferences) : null;
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        throw new ValidationError('Invalid notification preferences', 'invalid_schema', this._formatValidationErrors(error));
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get driver settings of a user (defaults for fields never saved)
+   *
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} { waitlistPromotion }, or null if the user does not exist
+   */
+  async getDriverSettings(userId) {
+    try {
+      const doc = await UserModel.findById(userId).select('driverSettings').lean();
+      return doc ? this._toDriverSettings(doc.driverSettings) : null;
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Partially update driver settings of a user
+   *
+   * @param {string} userId - User ID
+   * @param {Object} settings - Fields to change, e.g. { waitlistPromotion }
+   * @returns {Promise<Object|null>} Stored settings, or null if the user does not exist
+   */
+  async updateDriverSettings(userId, settings) {
+    const updates = {};
+    for (const [key, value] of Object.entries(settings)) {
+      updates[`driverSettings.${key}`] = value;
+    }
+
+    try {
+      const doc = await UserModel.findByIdAndUpdate(
+        userId,
+        { $set: updates },
+        { new: true, runValidators: true }
+      ).select('driverSettings').lean();
+      return doc ? this._toDriverSettings(doc.driverSettings) : null;
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        throw new ValidationError('Invalid driver settings', 'invalid_schema', this._formatValidationErrors(error));
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the role and admin restrictions of a user (suspension, publish ban)
+   *
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} { role, suspended, suspendedAt, publishBanUntil, publishBanReason },
+   *   or null if the user does not exist
+   */
+  async getAccountRestrictions(userId) {
+    try {
+      const doc = await UserModel.findById(userId)
+        .select('role suspended suspendedAt publishBanUntil publishBanReason')
+        .lean();
+      if (!doc) return null;
+
+      return {
+        role: doc.role,
+        suspended: !!doc.suspended,
+        suspendedAt: doc.suspendedAt || null,
+        publishBanUntil: doc.publishBanUntil || null,
+        publishBanReason: doc.publishBanReason || ''
+      };
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the calendar feed state of a user
+   *
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} { enabled, rotatedAt }, or null if the user does not exist
+   */
+  async getCalendarFeed(userId) {
+    try {
+      const doc = await UserModel.findById(userId).select('+calendarFeedTokenHash calendarFeedRotatedAt').lean();
+      return doc ? this._toCalendarFeed(doc) : null;
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Store the hash of a new calendar feed token (the previous one stops working)
+   *
+   * @param {string} userId - User ID
+   * @param {string} tokenHash - SHA-256 hash of the token
+   * @returns {Promise<Object|null>} { enabled, rotatedAt }, or null if the user does not exist
+   */
+  async setCalendarFeedToken(userId, tokenHash) {
+    const doc = await UserModel.findByIdAndUpdate(
+      userId,
+      { $set: { calendarFeedTokenHash: tokenHash, calendarFeedRotatedAt: new Date() } },
+      { new: true, runValidators: false }
+    ).select('+calendarFeedTokenHash calendarFeedRotatedAt').lean();
+    return doc ? this._toCalendarFeed(doc) : null;
+  }
+
+  /**
+   * Disable the calendar feed of a user
+   *
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} { enabled, rotatedAt }, or null if the user does not exist
+   */
+  async clearCalendarFeedToken(userId) {
+    const doc = await UserModel.findByIdAndUpdate(
+      userId,
+      { $unset: { calendarFeedTokenHash: 1 }, $set: { calendarFeedRotatedAt: null } },
+      { new: true, runValidators: false }
+    ).select('+calendarFeedTokenHash calendarFeedRotatedAt').lean();
+    return doc ? this._toCalendarFeed(doc) : null;
+  }
+
+  /**
+   * Find the owner of a calendar feed token
+   *
+   * @param {string} tokenHash - SHA-256 hash of the token
+   * @returns {Promise<string|null>} User ID or null
+   */
+  async findIdByCalendarFeedToken(tokenHash) {
+    const doc = await UserModel.findOne({ calendarFeedTokenHash: tokenHash }).select('_id').lean();
+    return doc ? doc._id.toString() : null;
+  }
+
+  //Estado del feed de calendario (nunca expone el hash)
+  _toCalendarFeed(doc) {
+    return {
+      enabled: !!doc.calendarFeedTokenHash,
+      rotatedAt: doc.calendarFeedRotatedAt || null
+    };
+  }
+
+  //Ajustes de conductor con defaults para campos nunca guardados
+  _toDriverSettings(stored) {
+    return {
+      waitlistPromotion: (stored && stored.waitlistPromotion) || 'request',
+      autoAcceptRules: ((stored && stored.autoAcceptRules) || []).map(rule => ({
+        type: rule.type,
+        minRating: rule.minRating ?? null,
+        maxSeats: rule.maxSeats ?? null
+      }))
+    };
+  }
+
   //Conversión de errores de Mongoose a formato details
   _formatValidationErrors(error) {
     return Object.keys(error.errors).map(field => ({ field, issue: error.errors[field].message }));
@@ -0,0 +1,134 @@
+const WaitlistRepository = require('../../domain/repositories/WaitlistRepository');
+const WaitlistEntryModel = require('../database/models/WaitlistEntryModel');
+const WaitlistEntry = require('../../domain/entities/WaitlistEntry');
+const DomainError = require('../../domain/errors/DomainError');
+
+// Line order: first come, first served
+const LINE_ORDER = { createdAt: 1, _id: 1 };
+
+/**
+ * MongoDB implementation of WaitlistRepository
+ */
+class MongoWaitlistRepository extends WaitlistRepository {
+  /**
+   * Convert Mongoose document to domain entity
+   * @private
+   */
+  _toDomain(doc, position = null) {
+    if (!doc) return null;
+
+    const obj = doc.toObject ? doc.toObject() : doc;
+
+    return new WaitlistEntry({
+      id: obj._id.toString(),
+      tripId: obj.tripId.toString(),
+      passengerId: obj.passengerId.toString(),
+      seats: obj.seats,
+      note: obj.note || '',
+      boardStopIndex: obj.boardStopIndex,
+      alightStopIndex: obj.alightStopIndex,
+      status: obj.status,
+      offeredAt: obj.offeredAt,
+      offerExpiresAt: obj.offerExpiresAt,
+      promotionMode: obj.promotionMode || null,
+      bookingId: obj.bookingId ? obj.bookingId.toString() : null,
+      resolvedAt: obj.resolvedAt,
+      position,
+      createdAt: obj.createdAt,
+      updatedAt: obj.updatedAt
+    });
+  }
+
+  async create(entryData) {
+    try {
+      const doc = await WaitlistEntryModel.create({ ...entryData, status: 'waiting' });
+      const entry = this._toDomain(doc);
+      entry.position = await this.getPosition(entry);
+      return entry;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new DomainError('You are already on the waitlist for this trip', 409, 'already_waitlisted');
+      }
+      throw error;
+    }
+  }
+
+  async findById(entryId) {
+    const doc = await WaitlistEntryModel.findById(entryId).lean();
+    return this._toDomain(doc);
+  }
+
+  async findOpenEntry(passengerId, tripId) {
+    const doc = await WaitlistEntryModel.findOne({
+      passengerId,
+      tripId,
+      status: { $in: WaitlistEntry.OPEN_STATUSES }
+    }).lean();
+    return this._toDomain(doc);
+  }
+
+  async findWaitingByTrip(tripId) {
+    const docs = await WaitlistEntryModel.find({ tripId, status: 'waiting' }).sort(LINE_ORDER).lean();
+    return docs.map((doc, index) => this._toDomain(doc, index + 1));
+  }
+
+  async findOpenByTrip(tripId) {
+    const docs = await WaitlistEntryModel.find({
+      tripId,
+      status: { $in: WaitlistEntry.OPEN_STATUSES }
+    }).sort(LINE_ORDER).lean();
+
+    let position = 0;
+    return docs.map((doc) => this._toDomain(doc, doc.status === 'waiting' ? ++position : null));
+  }
+
+  async findByPassenger(passengerId, { status } = {}) {
+    const query = { passengerId };
+    if (status) {
+      query.status = Array.isArray(status) ? { $in: status } : status;
+    }
+
+    const docs = await WaitlistEntryModel.find(query).sort({ createdAt: -1 }).limit(100).lean();
+    const entries = docs.map((doc) => this._toDomain(doc));
+    for (const entry of entries) {
+      if (entry.isWaiting()) {
+        entry.position = await this.getPosition(entry);
+      }
+    }
+    return entries;
+  }
+
+  async getPosition(entry) {
+    const ahead = await WaitlistEntryModel.countDocuments({
+      tripId: entry.tripId,
+      status: 'waiting',
+      $or: [
+        { createdAt: { $lt: entry.createdAt } },
+        { createdAt: entry.createdAt, _id: { $lt: entry.id } }
+      ]
+    });
+    return ahead + 1;
+  }
+
+  async transition(entryId, fromStatuses, updates, conditions = {}) {
+    const doc = await WaitlistEntryModel.findOneAndUpdate(
+      { ...conditions, _id: entryId, status: { $in: fromStatuses } },
+      { $set: updates },
+      { new: true, runValidators: true }
+    ).lean();
+    return this._toDomain(doc);
+  }
+
+  async findExpiredOffers(now = new Date(), limit = 100) {
+    const docs = await WaitlistEntryModel.find({
+      status: 'offered',
+      offerExpiresAt: { $lte: now }
+    })
+      .sort({ offerExpiresAt: 1 })
+      .limit(limit)
+      .lean();
+    return docs.map((doc) => this._toDomain(doc));
+  }
+}
+
+module.exports = MongoWaitlistRepository;
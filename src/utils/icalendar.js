@@ -0,0 +1,111 @@
+/**
+ * iCalendar Utility
+ *
+ * Builds RFC 5545 calendars (.ics) for the trip feeds.
+ *
+ * - Lines end with CRLF and are folded at 75 octets (multi-byte characters
+ *   are never split)
+ * - Times are written in UTC (…Z) so no VTIMEZONE block is needed
+ * - Clients match events by UID and apply the one with the highest SEQUENCE
+ */
+
+const MAX_LINE_OCTETS = 75;
+
+class ICalendarUtil {
+  /**
+   * Escape a TEXT value (backslash, semicolon, comma, newlines)
+   * @param {string} value
+   * @returns {string}
+   */
+  static escapeText(value) {
+    return String(value ?? '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Format a date as a UTC DATE-TIME (20261018T193000Z)
+   * @param {Date|string} date
+   * @returns {string}
+   */
+  static formatDate(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  /**
+   * Fold a content line at 75 octets (continuation lines start with a space)
+   * @param {string} line
+   * @returns {string}
+   */
+  static foldLine(line) {
+    const parts = [];
+    let current = '';
+    let currentOctets = 0;
+
+    for (const char of line) {
+      const octets = Buffer.byteLength(char, 'utf8');
+      // Continuation lines lose one octet to the leading space
+      const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+      if (currentOctets + octets > limit) {
+        parts.push(current);
+        current = '';
+        currentOctets = 0;
+      }
+      current += char;
+      currentOctets += octets;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+  }
+
+  /**
+   * Build a calendar
+   *
+   * @param {Object} calendar
+   * @param {string} calendar.name - Shown by clients as the calendar name
+   * @param {string} calendar.prodId - Product identifier
+   * @param {string} [calendar.refreshInterval] - ISO 8601 duration suggested to clients (PT1H)
+   * @param {Array<Object>} calendar.events - { uid, sequence, start, end, summary, description, location, status, lastModified }
+   * @param {Date} [now] - DTSTAMP of every event
+   * @returns {string} .ics content
+   */
+  static buildCalendar({ name, prodId, refreshInterval = null, events }, now = new Date()) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${prodId}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${ICalendarUtil.escapeText(name)}`
+    ];
+    if (refreshInterval) {
+      lines.push(`REFRESH-INTERVAL;VALUE=DURATION:${refreshInterval}`, `X-PUBLISHED-TTL:${refreshInterval}`);
+    }
+
+    const dtstamp = ICalendarUtil.formatDate(now);
+    for (const event of events) {
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${event.uid}`,
+        `SEQUENCE:${event.sequence || 0}`,
+        `DTSTAMP:${dtstamp}`,
+        `DTSTART:${ICalendarUtil.formatDate(event.start)}`,
+        `DTEND:${ICalendarUtil.formatDate(event.end)}`,
+        `SUMMARY:${ICalendarUtil.escapeText(event.summary)}`
+      );
+      if (event.description) lines.push(`DESCRIPTION:${ICalendarUtil.escapeText(event.description)}`);
+      if (event.location) lines.push(`LOCATION:${ICalendarUtil.escapeText(event.location)}`);
+      if (event.lastModified) lines.push(`LAST-MODIFIED:${ICalendarUtil.formatDate(event.lastModified)}`);
+      lines.push(`STATUS:${event.status || 'CONFIRMED'}`, 'END:VEVENT');
+    }
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map((line) => ICalendarUtil.foldLine(line)).join('\r\n') + '\r\n';
+  }
+}
+
+module.exports = ICalendarUtil;